@@ -1,10 +1,31 @@
-module.exports = {
+const project = {
   testEnvironment: 'node',
   roots: ['<rootDir>/src', '<rootDir>/tests'],
   testMatch: [
     '**/__tests__/**/*.js',
     '**/?(*.)+(spec|test).js'
   ],
+  setupFilesAfterEnv: ['<rootDir>/tests/setup.js']
+};
+
+const projects = [{ displayName: 'sqlite', ...project }];
+
+// With DATABASE_URL set, the database-backed suites also run against that PostgreSQL server
+if (process.env.DATABASE_URL) {
+  projects.push({
+    ...project,
+    displayName: 'postgres',
+    testMatch: [
+      '<rootDir>/tests/database/postgres-driver.test.js',
+      '<rootDir>/tests/database/repositories/**/*.test.js',
+      '<rootDir>/tests/gaming/**/*.test.js'
+    ],
+    setupFilesAfterEnv: [...project.setupFilesAfterEnv, '<rootDir>/tests/postgres-setup.js']
+  });
+}
+
+module.exports = {
+  projects,
   collectCoverageFrom: [
     'src/**/*.js',
     '!src/bot.js',
@@ -12,6 +33,5 @@ module.exports = {
   ],
   coverageDirectory: 'coverage',
   coverageReporters: ['text', 'lcov', 'html'],
-  setupFilesAfterEnv: ['<rootDir>/tests/setup.js'],
   testTimeout: 10000
-};
\ No newline at end of file
+};
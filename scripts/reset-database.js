@@ -6,13 +6,25 @@
  */
 
 const fs = require('fs');
-const path = require('path');
+const config = require('../src/config');
 const dbConnection = require('../src/database/connection');
+const BackupManager = require('../src/database/BackupManager');
 const logger = require('../src/utils/logger');
 
 async function resetDatabase() {
   try {
-    const dbPath = path.join(__dirname, '../data/bot.db');
+    const dbPath = config.database.path;
+    
+    // Back up the existing database before it is deleted
+    if (fs.existsSync(dbPath)) {
+      if (!dbConnection.isReady()) {
+        await dbConnection.initialize({ migrate: false });
+      }
+      const backup = await new BackupManager(dbConnection).createBefore('pre-reset');
+      if (backup) {
+        logger.info(`Backed up existing database to ${backup.path}`);
+      }
+    }
     
     // Close any existing connection
     if (dbConnection.isReady()) {
@@ -24,8 +24,11 @@ async function seedTeams() {
     for (const team of sampleTeams) {
       try {
         await dbConnection.run(
-          `INSERT OR REPLACE INTO teams (team_id, statbroadcast_gid, team_name, sport, conference) 
-           VALUES (?, ?, ?, ?, ?)`,
+          `INSERT INTO teams (team_id, statbroadcast_gid, team_name, sport, conference)
+           VALUES (?, ?, ?, ?, ?)
+           ON CONFLICT (team_id) DO UPDATE SET
+             statbroadcast_gid = excluded.statbroadcast_gid, team_name = excluded.team_name,
+             sport = excluded.sport, conference = excluded.conference, updated_at = CURRENT_TIMESTAMP`,
           [team.team_id, team.statbroadcast_gid, team.team_name, team.sport, team.conference]
         );
         logger.info(`Seeded team: ${team.team_name}`);
@@ -7,6 +7,12 @@ const logger = require('./utils/logger');
 const config = require('./config');
 const ErrorHandler = require('./utils/errorHandler');
 const CommandLoader = require('./utils/commandLoader');
+const CommandRegistrar = require('./utils/commandRegistrar');
+const ComponentRouter = require('./utils/componentRouter');
+const ServiceContainer = require('./utils/serviceContainer');
+const rateLimiter = require('./utils/rateLimiter');
+const i18n = require('./utils/i18n');
+const auditLog = require('./utils/auditLog');
 
 class DiscordBot {
   constructor() {
@@ -29,24 +35,224 @@ class DiscordBot {
 
     this.commands = new Collection();
     this.commandLoader = new CommandLoader();
+    this.commandsPath = path.join(__dirname, 'commands');
+    this.commandRegistrar = null;
     this.isReady = false;
 
-    // Initialize ESPN API client for bulk operations
+    // Long-lived subsystems, started in dependency order and stopped in reverse on shutdown
+    this.services = new ServiceContainer();
+    this.registerServices();
+
+    // Buttons, select menus and modals are routed to handlers registered by command modules.
+    // Running services are handed to the handlers as they come up.
+    this.componentRouter = new ComponentRouter();
+  }
+
+  /**
+   * Register the bot's subsystems with the service container
+   */
+  registerServices() {
+    const services = this.services;
     const ESPNAPIClient = require('./modules/sports/ESPNAPIClient');
-    this.espnClient = new ESPNAPIClient();
-    
-    // Initialize odds tracker (will be set up after database connection)
-    this.oddsTracker = null;
+
+    services.set('client', this.client);
+    services.set('espnClient', new ESPNAPIClient());
+
+    services.register('database', {
+      factory: () => require('./database/connection'),
+      start: database => database.initialize(),
+      stop: database => database.close(),
+      health: database => {
+        const { queries, errors, slowQueries, averageMs, driver } = database.getStats();
+        return { ready: database.isReady(), queries, errors, slowQueries, averageMs, ...driver };
+      },
+      required: true
+    });
+
+    // Scheduled SQLite backups, also used by /backup
+    services.register('backups', {
+      dependsOn: ['database'],
+      factory: ({ database }) => {
+        const BackupManager = require('./database/BackupManager');
+        return new BackupManager(database);
+      },
+      start: backups => backups.start(),
+      stop: backups => backups.stop(),
+      health: backups => ({ scheduled: Boolean(backups.job), lastBackup: backups.lastBackup?.name || null })
+    });
+
+    services.register('volatileDM', {
+      factory: () => require('./utils/volatileDM'),
+      stop: volatileDM => volatileDM.clearAllPendingDeletions()
+    });
+
+    services.register('emojiReactionManager', {
+      factory: () => require('./utils/emojiReactionManager'),
+      stop: emojiReactionManager => emojiReactionManager.cleanupAllReactions()
+    });
+
+    services.set('rateLimiter', rateLimiter, {
+      health: limiter => limiter.getStats()
+    });
+
+    // Sports: odds scraping (Puppeteer), daily game logs (cron) and betting threads
+    services.register('oddsTracker', {
+      dependsOn: ['database'],
+      factory: ({ database }) => {
+        const OddsTracker = require('./modules/sports/OddsTracker');
+        return new OddsTracker(database);
+      },
+      start: oddsTracker => oddsTracker.initialize(),
+      stop: oddsTracker => oddsTracker.cleanup(),
+      health: oddsTracker => ({ scheduledJobs: oddsTracker.scheduledJobs.size })
+    });
+
+    services.register('bettingThreadManager', {
+      factory: () => {
+        const BettingThreadManager = require('./modules/sports/BettingThreadManager');
+        return new BettingThreadManager(this.client);
+      }
+    });
+
+    services.register('gameLogManager', {
+      dependsOn: ['bettingThreadManager'],
+      factory: ({ bettingThreadManager }) => {
+        const GameLogManager = require('./modules/sports/GameLogManager');
+        return new GameLogManager(this.client, bettingThreadManager);
+      },
+      start: gameLogManager => gameLogManager.initialize(),
+      stop: gameLogManager => gameLogManager.cleanup(),
+      health: gameLogManager => ({ scheduledJobs: gameLogManager.scheduledJobs.size })
+    });
+
+    services.register('gameLogInteractions', {
+      dependsOn: ['bettingThreadManager', 'espnClient'],
+      factory: ({ bettingThreadManager, espnClient }) => {
+        const GameLogInteractionHandler = require('./modules/sports/GameLogInteractionHandler');
+        return new GameLogInteractionHandler(bettingThreadManager, espnClient);
+      }
+    });
+
+    // TF.js models for /generate-betting-recommendations, only built when first requested
+    services.register('bettingModels', {
+      lazy: true,
+      factory: () => {
+        const VariationalAutoencoder = require('./modules/sports/VariationalAutoencoder');
+        const TransitionProbabilityNN = require('./modules/sports/TransitionProbabilityNN');
+        return {
+          vae: new VariationalAutoencoder(80, 16), // inputDim, latentDim
+          transitionNN: new TransitionProbabilityNN(10) // gameContextDim
+        };
+      },
+      stop: ({ vae, transitionNN }) => {
+        vae.dispose();
+        transitionNN.dispose();
+      }
+    });
+
+    // Gaming: one shared lobby manager for the scheduler, waitlist, recurring lobbies,
+    // matchmaking, voice-activity expiry and component handlers
+    services.register('voiceChannelManager', {
+      factory: () => {
+        const VoiceChannelManager = require('./modules/gaming/VoiceChannelManager');
+        return new VoiceChannelManager(this.client);
+      }
+    });
+
+    services.register('lobbyManager', {
+      dependsOn: ['voiceChannelManager'],
+      factory: ({ voiceChannelManager }) => {
+        const LobbyManager = require('./modules/gaming/LobbyManager');
+        const lobbyManager = new LobbyManager();
+        lobbyManager.setClient(this.client);
+        lobbyManager.setVoiceChannelManager(voiceChannelManager);
+        voiceChannelManager.setLobbyManager(lobbyManager);
+        return lobbyManager;
+      }
+    });
+
+    const lobbyService = modulePath => ({
+      dependsOn: ['lobbyManager'],
+      factory: ({ lobbyManager }) => {
+        const ServiceClass = require(modulePath);
+        return new ServiceClass(this.client, lobbyManager);
+      },
+      start: service => service.start(),
+      stop: service => service.stop()
+    });
+
+    services.register('lobbyScheduler', lobbyService('./modules/gaming/LobbyScheduler'));
+    services.register('lobbyWaitlist', {
+      dependsOn: ['lobbyManager'],
+      factory: ({ lobbyManager }) => lobbyManager.getWaitlistManager(),
+      start: waitlistManager => waitlistManager.start(),
+      stop: waitlistManager => waitlistManager.stop()
+    });
+    services.register('partyLeaderManager', {
+      dependsOn: ['lobbyManager'],
+      factory: ({ lobbyManager }) => lobbyManager.getPartyLeaderManager()
+    });
+    services.register('recurringLobbyManager', lobbyService('./modules/gaming/RecurringLobbyManager'));
+    services.register('matchmakingManager', lobbyService('./modules/gaming/MatchmakingManager'));
+    services.register('lobbyExpiryManager', lobbyService('./modules/gaming/LobbyExpiryManager'));
+    services.register('lobbyStatsManager', {
+      factory: () => {
+        const LobbyStatsManager = require('./modules/gaming/LobbyStatsManager');
+        return new LobbyStatsManager();
+      }
+    });
+
+    // Performance metrics for the betting models, reported by the admin API
+    services.register('modelMonitor', {
+      factory: () => {
+        const ModelPerformanceMonitor = require('./modules/sports/ModelPerformanceMonitor');
+        return new ModelPerformanceMonitor();
+      }
+    });
+
+    // Opt-in HTTP status endpoints and dashboard, bound to localhost by default
+    if (config.adminApi.enabled) {
+      services.register('adminApi', {
+        factory: () => {
+          const AdminApiServer = require('./modules/admin/AdminApiServer');
+          return new AdminApiServer(this, config.adminApi);
+        },
+        start: server => server.start(),
+        stop: server => server.stop()
+      });
+    }
+
+    // Development only: reload edited command files without restarting
+    if (config.bot.hotReload) {
+      services.register('commandWatcher', {
+        factory: () => {
+          const CommandWatcher = require('./utils/commandWatcher');
+          return new CommandWatcher(this.commandsPath, filePath => this.reloadCommandFile(filePath));
+        },
+        start: watcher => watcher.start(),
+        stop: watcher => watcher.stop()
+      });
+    }
+  }
+
+  /**
+   * Start every registered service not yet running and hand them to component handlers
+   * @param {Array<string>} [names] - Services to start (defaults to all)
+   */
+  async startServices(names = null) {
+    const health = await this.services.start(names);
+    this.componentRouter.provide(this.services.getRunningServices());
+
+    const failed = Object.keys(health).filter(name => health[name].status === ServiceContainer.STATUS.FAILED);
+    if (failed.length > 0) {
+      logger.warn('Some services failed to start', { failed });
+    }
   }
 
   async initialize() {
     try {
-      // Initialize database
-      const dbConnection = require('./database/connection');
-      await dbConnection.initialize();
-      
-      // Initialize odds tracker
-      await this.initializeOddsTracker(dbConnection.db);
+      // Connect the database and start odds tracking
+      await this.startServices(['database', 'oddsTracker']);
 
       // Load commands
       await this.loadCommands();
@@ -68,20 +274,25 @@ class DiscordBot {
   }
 
   async loadCommands() {
-    const commandsPath = path.join(__dirname, 'commands');
-    this.commands = await this.commandLoader.loadCommands(commandsPath);
+    this.commands = await this.commandLoader.loadCommands(this.commandsPath);
+    this.componentRouter.registerCommandComponents(this.commands);
   }
 
-  async registerSlashCommands() {
-    const commands = [];
-
-    for (const command of this.commands.values()) {
-      commands.push(command.data.toJSON());
-    }
+  /**
+   * Build the JSON Discord receives for a command. Name and description
+   * translations come from the commands section of src/locales.
+   */
+  getCommandDefinition(command) {
+    return i18n.localizeCommand(command.data.toJSON());
+  }
 
-    if (commands.length === 0) {
-      logger.info('No commands to register');
-      return;
+  /**
+   * Get the registrar for the configured command scope: COMMAND_GUILD_ID if set, otherwise global
+   * @returns {CommandRegistrar}
+   */
+  getCommandRegistrar() {
+    if (this.commandRegistrar) {
+      return this.commandRegistrar;
     }
 
     // Validate token and client ID before making API calls
@@ -93,20 +304,40 @@ class DiscordBot {
       throw new Error('Invalid Discord client ID. Please set a valid DISCORD_CLIENT_ID in your .env file.');
     }
 
-    const rest = new REST().setToken(config.discord.token);
+    this.commandRegistrar = new CommandRegistrar({
+      rest: new REST().setToken(config.discord.token),
+      clientId: config.discord.clientId,
+      guildId: config.discord.commandGuildId
+    });
+    return this.commandRegistrar;
+  }
+
+  async registerSlashCommands() {
+    const commands = [...this.commands.values()].map(command => this.getCommandDefinition(command));
+
+    if (commands.length === 0) {
+      logger.info('No commands to register');
+      return;
+    }
+
+    const registrar = this.getCommandRegistrar();
 
     try {
       logger.info(`Started refreshing ${commands.length} application (/) commands.`);
       logger.debug(`Using client ID: ${config.discord.clientId}`);
 
-      // Always register global commands for multi-server support
-      logger.info('Registering global commands for multi-server support...');
-      
+      if (config.discord.commandGuildId) {
+        logger.info(`Registering commands to guild ${config.discord.commandGuildId} only (COMMAND_GUILD_ID)...`);
+      } else {
+        // Always register global commands for multi-server support
+        logger.info('Registering global commands for multi-server support...');
+      }
+
       // Clear any existing guild-specific commands to prevent conflicts
-      if (process.env.DEV_GUILD_ID && process.env.DEV_GUILD_ID !== 'your_test_server_guild_id_here') {
+      if (!config.discord.commandGuildId && process.env.DEV_GUILD_ID && process.env.DEV_GUILD_ID !== 'your_test_server_guild_id_here') {
         try {
           logger.info('Clearing guild-specific commands to prevent conflicts...');
-          await rest.put(
+          await registrar.rest.put(
             Routes.applicationGuildCommands(config.discord.clientId, process.env.DEV_GUILD_ID),
             { body: [] }
           );
@@ -116,14 +347,12 @@ class DiscordBot {
         }
       }
 
-      // Register global commands
-      const data = await rest.put(
-        Routes.applicationCommands(config.discord.clientId),
-        { body: commands }
-      );
+      const data = await registrar.registerAll(commands);
 
-      logger.info(`Successfully registered ${data.length} global slash commands.`);
-      logger.info('Commands will be available on all servers within 1 hour (usually much faster).');
+      logger.info(`Successfully registered ${data.length} ${registrar.scope} slash commands.`);
+      if (!config.discord.commandGuildId) {
+        logger.info('Commands will be available on all servers within 1 hour (usually much faster).');
+      }
       logger.info('Commands registered:', commands.map(cmd => cmd.name).join(', '));
     } catch (error) {
       if (error.status === 401) {
@@ -138,6 +367,79 @@ class DiscordBot {
     }
   }
 
+  /**
+   * Reload command modules from disk and push only the slash command definitions
+   * that changed. A command whose file fails to load keeps running its previous
+   * version, and one whose new definition Discord rejects is rolled back to it.
+   * @param {Array<string>} [names] - Commands to reload (defaults to all)
+   * @returns {Promise<Array<{ name: string, status: string, error?: string }>>} - Status is
+   *   created, updated, unchanged, failed (did not load) or rolled_back (rejected by Discord)
+   */
+  async reloadCommands(names = null) {
+    const results = [];
+    const reloaded = new Map();
+
+    for (const name of names || [...this.commands.keys()]) {
+      try {
+        reloaded.set(name, this.commandLoader.reloadCommand(name));
+      } catch (error) {
+        results.push({ name, status: 'failed', error: error.message });
+      }
+    }
+
+    if (reloaded.size === 0) {
+      return results;
+    }
+
+    const definitions = [...reloaded.values()].map(({ command }) => this.getCommandDefinition(command));
+    let synced;
+    try {
+      synced = await this.getCommandRegistrar().sync(definitions);
+    } catch (error) {
+      // Discord could not be reached at all, so nothing was pushed
+      synced = definitions.map(({ name }) => ({ name, action: 'unchanged', error }));
+    }
+
+    for (const { name, action, error } of synced) {
+      const { command, previous } = reloaded.get(name);
+
+      if (error) {
+        this.commandLoader.restoreCommand(previous);
+        results.push({ name, status: 'rolled_back', error: error.message });
+        continue;
+      }
+
+      // Buttons and modals of the new version replace the old handlers
+      this.componentRouter.registerCommandComponents(new Collection([[name, command]]));
+      results.push({ name, status: action });
+    }
+
+    logger.info('Reloaded commands', {
+      results: results.map(({ name, status }) => `${name}:${status}`).join(', ')
+    });
+
+    return results;
+  }
+
+  /**
+   * Hot reload the command defined in a changed file (development watcher)
+   * @param {string} filePath - Changed command file
+   */
+  async reloadCommandFile(filePath) {
+    const name = this.commandLoader.getCommandNameForFile(filePath);
+    if (!name) {
+      logger.info(`New command file ${path.relative(this.commandsPath, filePath)} will load on the next restart`);
+      return;
+    }
+
+    const [result] = await this.reloadCommands([name]);
+    if (result.error) {
+      logger.warn(`Hot reload of /${name} ${result.status === 'failed' ? 'failed' : 'was rolled back'}: ${result.error}`);
+    } else {
+      logger.info(`Hot reloaded /${name} (${result.status})`);
+    }
+  }
+
   setupEventHandlers() {
     this.client.once('ready', async () => {
       this.isReady = true;
@@ -146,24 +448,33 @@ class DiscordBot {
 
       // Initialize server configurations for all guilds
       await this.initializeGuildConfigs();
-      
-      // Initialize game log manager for sports functionality
-      await this.initializeGameLogManager();
-      
 
+      // Start game logs, betting threads, lobby scheduling, matchmaking and lobby expiry
+      await this.startServices();
     });
 
     this.client.on('interactionCreate', async (interaction) => {
       await this.handleInteraction(interaction);
     });
 
-    this.client.on('voiceStateUpdate', (oldState, newState) => {
-      // Voice state handling will be implemented in task 4
+    this.client.on('voiceStateUpdate', async (oldState, newState) => {
       logger.debug('Voice state update detected', {
         userId: newState.id,
         oldChannel: oldState.channelId,
         newChannel: newState.channelId
       });
+
+      // Track time spent in lobby voice channels for /gaming-stats
+      const lobbyStatsManager = this.services.getIfRunning('lobbyStatsManager');
+      if (lobbyStatsManager) {
+        await lobbyStatsManager.handleVoiceStateUpdate(oldState, newState);
+      }
+
+      // Keep active lobbies alive while in use and start the countdown once empty
+      const lobbyExpiryManager = this.services.getIfRunning('lobbyExpiryManager');
+      if (lobbyExpiryManager) {
+        await lobbyExpiryManager.handleVoiceStateUpdate(oldState, newState);
+      }
     });
 
     this.client.on('error', (error) => {
@@ -256,10 +567,8 @@ class DiscordBot {
         await this.handleSlashCommand(interaction);
       } else if (interaction.isAutocomplete()) {
         await this.handleAutocomplete(interaction);
-      } else if (interaction.isButton()) {
-        await this.handleButtonInteraction(interaction);
-      } else if (interaction.isModalSubmit()) {
-        await this.handleModalSubmit(interaction);
+      } else if (interaction.isButton() || interaction.isAnySelectMenu() || interaction.isModalSubmit()) {
+        await this.componentRouter.route(interaction);
       }
     } catch (error) {
       await ErrorHandler.handleDiscordError(error, interaction);
@@ -279,6 +588,16 @@ class DiscordBot {
       return;
     }
 
+    // Expensive commands share a global limit on simultaneous runs
+    const release = rateLimiter.acquire(command.data.name, command.options?.maxConcurrent);
+    if (!release) {
+      await interaction.reply({
+        content: await i18n.translate(interaction, 'command.atCapacity'),
+        ephemeral: true
+      });
+      return;
+    }
+
     // Log command usage
     if (command.logUsage) {
       command.logUsage(interaction, 'started');
@@ -297,6 +616,8 @@ class DiscordBot {
         command.logUsage(interaction, 'failed', { error: error.message });
       }
       throw error; // Re-throw to be handled by the main error handler
+    } finally {
+      release();
     }
   }
 
@@ -314,1085 +635,6 @@ class DiscordBot {
     }
   }
 
-  async handleButtonInteraction(interaction) {
-    try {
-      const customId = interaction.customId;
-
-      // Handle lobby join requests
-      if (customId.startsWith('join_request_')) {
-        const lobbyCatalogManager = require('./utils/lobbyCatalogManager');
-        const LobbyManager = require('./modules/gaming/LobbyManager');
-        const lobbyManager = new LobbyManager();
-        lobbyManager.setClient(this.client);
-        
-        await lobbyCatalogManager.handleJoinRequest(interaction, lobbyManager);
-        return;
-      }
-
-      // Handle join request responses (approve/decline)
-      if (customId.startsWith('approve_') || customId.startsWith('decline_')) {
-        const lobbyCatalogManager = require('./utils/lobbyCatalogManager');
-        const LobbyManager = require('./modules/gaming/LobbyManager');
-        const VoiceChannelManager = require('./modules/gaming/VoiceChannelManager');
-        
-        const lobbyManager = new LobbyManager();
-        const voiceChannelManager = new VoiceChannelManager(this.client);
-        lobbyManager.setClient(this.client);
-        lobbyManager.setVoiceChannelManager(voiceChannelManager);
-        
-        await lobbyCatalogManager.handleJoinResponse(interaction, lobbyManager, voiceChannelManager);
-        return;
-      }
-
-      // Handle betting thread toggle (create/delete)
-      if (customId.startsWith('toggle_betting_')) {
-        await this.handleToggleBetting(interaction);
-        return;
-      }
-
-      // Handle game options modal
-      if (customId.startsWith('game_options_')) {
-        await this.handleGameOptions(interaction);
-        return;
-      }
-
-      // Handle add all threads
-      if (customId.startsWith('add_all_threads_')) {
-        await this.handleAddAllThreads(interaction);
-        return;
-      }
-
-      // Handle remove all threads
-      if (customId.startsWith('remove_all_threads_')) {
-        await this.handleRemoveAllThreads(interaction);
-        return;
-      }
-
-      // If no handler found, log and respond
-      logger.warn('Unhandled button interaction:', { customId });
-      await interaction.reply({
-        content: '❌ This button is no longer active or not recognized.',
-        ephemeral: true
-      });
-
-    } catch (error) {
-      logger.error('Error handling button interaction:', error);
-      
-      if (!interaction.replied && !interaction.deferred) {
-        await interaction.reply({
-          content: '❌ An error occurred while processing your request.',
-          ephemeral: true
-        });
-      }
-    }
-  }
-
-  /**
-   * Handle toggle betting thread button (create or delete)
-   * @param {ButtonInteraction} interaction - Discord button interaction
-   */
-  async handleToggleBetting(interaction) {
-    try {
-      // Parse custom ID: toggle_betting_{sport}_{gameId}
-      // Handle sports with underscores (like ncaa_football)
-      const customId = interaction.customId;
-      const prefix = 'toggle_betting_';
-      const afterPrefix = customId.substring(prefix.length);
-      
-      // Find the last underscore to separate sport from gameId
-      const lastUnderscoreIndex = afterPrefix.lastIndexOf('_');
-      const sport = afterPrefix.substring(0, lastUnderscoreIndex);
-      const gameId = afterPrefix.substring(lastUnderscoreIndex + 1);
-
-      // Check if user has permissions
-      if (!interaction.member.permissions.has('ManageChannels')) {
-        // Just defer the interaction and log - no visible message
-        await interaction.deferUpdate();
-        logger.warn('User lacks permissions for betting thread management', {
-          userId: interaction.user.id,
-          userName: interaction.user.username,
-          guildId: interaction.guild.id
-        });
-        return;
-      }
-
-      // Betting thread manager should be initialized at startup
-      if (!this.bettingThreadManager) {
-        logger.error('BettingThreadManager not initialized in toggle handler');
-        await interaction.reply({
-          content: '❌ Betting system not initialized. Please restart the bot.',
-          ephemeral: true
-        });
-        return;
-      }
-
-      // Check if thread already exists
-      const hasThread = this.bettingThreadManager.hasThread(sport, gameId);
-      
-      logger.info('Toggle betting button clicked', {
-        sport,
-        gameId,
-        hasThread,
-        userId: interaction.user.id,
-        userName: interaction.user.username
-      });
-      
-      logger.debug('Toggle betting thread state check', {
-        sport,
-        gameId,
-        hasThread,
-        trackedThreads: this.bettingThreadManager.createdThreads.size
-      });
-      
-      // Immediate visual feedback - update button to show processing state
-      await interaction.deferUpdate();
-
-      if (hasThread) {
-        // Delete existing thread
-        const success = await this.bettingThreadManager.deleteBettingThread(
-          interaction.guild,
-          sport,
-          gameId
-        );
-
-        if (success) {
-          // Update button to "Create Thread"
-          logger.info('Updating button after thread deletion', { sport, gameId });
-          await this.updateGameButton(interaction, sport, gameId, false);
-        } else {
-          logger.error('Failed to delete betting thread', { sport, gameId });
-          // Still update the button in case of tracking issues
-          await this.updateGameButton(interaction, sport, gameId, false);
-        }
-      } else {
-        // Create new thread
-        const thread = await this.bettingThreadManager.createBettingThread(
-          interaction.guild,
-          sport,
-          gameId
-        );
-
-        if (thread) {
-          // Update button to "Delete Thread"
-          logger.info('Updating button after thread creation', { sport, gameId, threadId: thread.id });
-          await this.updateGameButton(interaction, sport, gameId, true, thread.id);
-        } else {
-          logger.error('Failed to create betting thread', { sport, gameId });
-          // Keep button in original state if creation failed
-        }
-      }
-
-    } catch (error) {
-      logger.error('Failed to handle toggle betting:', error);
-      
-      // If we haven't deferred yet, try to defer the interaction
-      if (!interaction.deferred && !interaction.replied) {
-        try {
-          await interaction.deferUpdate();
-        } catch (deferError) {
-          logger.error('Failed to defer interaction:', deferError);
-        }
-      }
-    }
-  }
-
-  /**
-   * Update game button based on thread state
-   * @param {ButtonInteraction} interaction - Discord button interaction
-   * @param {string} sport - Sport key
-   * @param {string} gameId - Game ID
-   * @param {boolean} hasThread - Whether thread exists
-   * @param {string} threadId - Thread ID (if exists)
-   */
-  async updateGameButton(interaction, sport, gameId, hasThread, threadId = null) {
-    try {
-      const { ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
-
-      // Get the original message content
-      let originalContent = interaction.message.content;
-      
-      // Remove any existing thread info from content
-      const lines = originalContent.split('\n');
-      const gameInfoLines = lines.filter(line => !line.includes('✅ **Thread:**'));
-      let updatedContent = gameInfoLines.join('\n');
-
-      // Add thread info if thread exists
-      if (hasThread && threadId) {
-        updatedContent += `\n✅ **Thread:** <#${threadId}>`;
-      }
-
-      // Create updated button with proper state
-      const actionRow = new ActionRowBuilder()
-        .addComponents(
-          new ButtonBuilder()
-            .setCustomId(`toggle_betting_${sport}_${gameId}`)
-            .setLabel(hasThread ? '🗑️ Delete Thread' : '📈 Create Thread')
-            .setStyle(hasThread ? ButtonStyle.Danger : ButtonStyle.Success),
-          new ButtonBuilder()
-            .setCustomId(`game_options_${sport}_${gameId}`)
-            .setLabel('⚙️ Options')
-            .setStyle(ButtonStyle.Secondary)
-        );
-
-      // Update the message with new content and buttons
-      await interaction.message.edit({
-        content: updatedContent,
-        components: [actionRow]
-      });
-
-      logger.debug('Updated game button successfully', {
-        sport,
-        gameId,
-        hasThread,
-        buttonLabel: hasThread ? 'Delete Thread' : 'Create Thread',
-        threadId
-      });
-
-    } catch (error) {
-      logger.error('Failed to update game button:', error);
-    }
-  }
-
-  /**
-   * Handle add all threads button
-   * @param {ButtonInteraction} interaction - Discord button interaction
-   */
-  async handleAddAllThreads(interaction) {
-    try {
-      // Parse custom ID: add_all_threads_{sport}
-      const customId = interaction.customId;
-      const prefix = 'add_all_threads_';
-      const sport = customId.substring(prefix.length);
-
-      // Check permissions
-      if (!interaction.member.permissions.has('ManageChannels')) {
-        await interaction.reply({
-          content: '❌ You need "Manage Channels" permission to create betting threads.',
-          ephemeral: true
-        });
-        return;
-      }
-
-      // Immediate feedback - show processing message
-      await interaction.reply({
-        content: `🔄 Creating betting threads for all ${sport.toUpperCase()} games... This may take a moment.`,
-        ephemeral: true
-      });
-      
-      logger.info('Add all threads requested', {
-        sport,
-        userId: interaction.user.id,
-        guildId: interaction.guild.id
-      });
-
-      if (!this.bettingThreadManager) {
-        logger.error('BettingThreadManager not initialized in add all handler');
-        await interaction.editReply({
-          content: '❌ Betting system not initialized. Please restart the bot.'
-        });
-        return;
-      }
-
-      // OPTIMIZATION 1: Use cached data first, fallback to API if needed
-      let games;
-      const cachedGames = await this.espnClient.getCachedSchedule(sport);
-      if (cachedGames && cachedGames.length > 0) {
-        games = cachedGames;
-        logger.info('Using cached games data', { sport, gameCount: games.length });
-      } else {
-        logger.info('No cached data, fetching from API', { sport });
-        games = await this.espnClient.getUpcomingGames(sport);
-      }
-
-      const todaysGames = this.filterTodaysGames(games);
-      
-      logger.info('Processing add all threads', {
-        sport,
-        totalGames: todaysGames.length
-      });
-
-      // OPTIMIZATION 2: Filter games that need threads first
-      const gamesToProcess = todaysGames.filter(game => 
-        !this.bettingThreadManager.hasThread(sport, game.id)
-      );
-
-      if (gamesToProcess.length === 0) {
-        await interaction.editReply({
-          content: `✅ All ${sport.toUpperCase()} games already have betting threads!`
-        });
-        return;
-      }
-
-      // OPTIMIZATION 3: Create threads in parallel with concurrency limit
-      const concurrencyLimit = 3; // Process 3 threads at a time
-      const gameIds = [];
-      let createdCount = 0;
-
-      for (let i = 0; i < gamesToProcess.length; i += concurrencyLimit) {
-        const batch = gamesToProcess.slice(i, i + concurrencyLimit);
-        
-        const promises = batch.map(async (game) => {
-          try {
-            // Skip recommendation generation for bulk operations to improve performance
-            const thread = await this.bettingThreadManager.createBettingThread(
-              interaction.guild,
-              sport,
-              game.id,
-              { skipRecommendation: true }
-            );
-            if (thread) {
-              gameIds.push(game.id);
-              return true;
-            }
-            return false;
-          } catch (error) {
-            logger.error('Failed to create thread for game', { 
-              sport, 
-              gameId: game.id, 
-              error: error.message 
-            });
-            return false;
-          }
-        });
-
-        const results = await Promise.all(promises);
-        createdCount += results.filter(Boolean).length;
-
-        // Update progress
-        const progress = Math.min(i + concurrencyLimit, gamesToProcess.length);
-        await interaction.editReply({
-          content: `🔄 Creating betting threads... ${progress}/${gamesToProcess.length} processed (${createdCount} created)`
-        });
-      }
-
-      logger.info('Add all threads completed', {
-        sport,
-        createdCount,
-        totalGames: todaysGames.length
-      });
-
-      // OPTIMIZATION 4: Update buttons in parallel batches
-      await this.updateAllGameButtonsInChannelOptimized(interaction.channel, sport, gameIds);
-
-      // Final success message
-      await interaction.editReply({
-        content: `✅ Created ${createdCount} betting threads for ${sport.toUpperCase()} games! Button states updated.`
-      });
-
-    } catch (error) {
-      logger.error('Failed to handle add all threads:', error);
-      try {
-        await interaction.editReply({
-          content: '❌ Failed to create betting threads. Please try again.'
-        });
-      } catch (editError) {
-        logger.error('Failed to edit reply:', editError);
-      }
-    }
-  }
-
-  /**
-   * Handle remove all threads button
-   * @param {ButtonInteraction} interaction - Discord button interaction
-   */
-  async handleRemoveAllThreads(interaction) {
-    try {
-      // Parse custom ID: remove_all_threads_{sport}
-      const customId = interaction.customId;
-      const prefix = 'remove_all_threads_';
-      const sport = customId.substring(prefix.length);
-
-      // Check permissions
-      if (!interaction.member.permissions.has('ManageChannels')) {
-        await interaction.reply({
-          content: '❌ You need "Manage Channels" permission to delete betting threads.',
-          ephemeral: true
-        });
-        return;
-      }
-
-      // Immediate feedback - show processing message
-      await interaction.reply({
-        content: `🔄 Deleting betting threads for all ${sport.toUpperCase()} games... This may take a moment.`,
-        ephemeral: true
-      });
-      
-      logger.info('Remove all threads requested', {
-        sport,
-        userId: interaction.user.id,
-        guildId: interaction.guild.id
-      });
-
-      if (!this.bettingThreadManager) {
-        logger.error('BettingThreadManager not initialized in remove all handler');
-        await interaction.editReply({
-          content: '❌ Betting system not initialized. Please restart the bot.'
-        });
-        return;
-      }
-
-      // OPTIMIZATION 1: Use cached data first, fallback to API if needed
-      let games;
-      const cachedGames = await this.espnClient.getCachedSchedule(sport);
-      if (cachedGames && cachedGames.length > 0) {
-        games = cachedGames;
-        logger.info('Using cached games data', { sport, gameCount: games.length });
-      } else {
-        logger.info('No cached data, fetching from API', { sport });
-        games = await this.espnClient.getUpcomingGames(sport);
-      }
-
-      const todaysGames = this.filterTodaysGames(games);
-      
-      logger.info('Processing remove all threads', {
-        sport,
-        totalGames: todaysGames.length
-      });
-
-      // OPTIMIZATION 2: Filter games that have threads first
-      const gamesToProcess = todaysGames.filter(game => 
-        this.bettingThreadManager.hasThread(sport, game.id)
-      );
-
-      if (gamesToProcess.length === 0) {
-        await interaction.editReply({
-          content: `✅ No betting threads found for ${sport.toUpperCase()} games!`
-        });
-        return;
-      }
-
-      // OPTIMIZATION 3: Delete threads in parallel with concurrency limit
-      const concurrencyLimit = 3; // Process 3 threads at a time
-      const gameIds = [];
-      let deletedCount = 0;
-
-      for (let i = 0; i < gamesToProcess.length; i += concurrencyLimit) {
-        const batch = gamesToProcess.slice(i, i + concurrencyLimit);
-        
-        const promises = batch.map(async (game) => {
-          try {
-            const success = await this.bettingThreadManager.deleteBettingThread(
-              interaction.guild,
-              sport,
-              game.id
-            );
-            if (success) {
-              gameIds.push(game.id);
-              return true;
-            }
-            return false;
-          } catch (error) {
-            logger.error('Failed to delete thread for game', { 
-              sport, 
-              gameId: game.id, 
-              error: error.message 
-            });
-            return false;
-          }
-        });
-
-        const results = await Promise.all(promises);
-        deletedCount += results.filter(Boolean).length;
-
-        // Update progress
-        const progress = Math.min(i + concurrencyLimit, gamesToProcess.length);
-        await interaction.editReply({
-          content: `🔄 Deleting betting threads... ${progress}/${gamesToProcess.length} processed (${deletedCount} deleted)`
-        });
-      }
-
-      logger.info('Remove all threads completed', {
-        sport,
-        deletedCount,
-        totalGames: todaysGames.length
-      });
-
-      // OPTIMIZATION 4: Update buttons in parallel batches
-      await this.updateAllGameButtonsInChannelOptimized(interaction.channel, sport, gameIds);
-
-      // Final success message
-      await interaction.editReply({
-        content: `✅ Deleted ${deletedCount} betting threads for ${sport.toUpperCase()} games! Button states updated.`
-      });
-
-    } catch (error) {
-      logger.error('Failed to handle remove all threads:', error);
-      try {
-        await interaction.editReply({
-          content: '❌ Failed to delete betting threads. Please try again.'
-        });
-      } catch (editError) {
-        logger.error('Failed to edit reply:', editError);
-      }
-    }
-  }
-
-  /**
-   * Filter games to only today's games
-   * @param {Array} games - All games
-   * @returns {Array} - Today's games
-   */
-  filterTodaysGames(games) {
-    const today = new Date();
-    const todayStart = new Date(today.getFullYear(), today.getMonth(), today.getDate());
-    const todayEnd = new Date(todayStart);
-    todayEnd.setDate(todayEnd.getDate() + 1);
-
-    return games.filter(game => {
-      const gameDate = new Date(game.date);
-      return gameDate >= todayStart && gameDate < todayEnd;
-    });
-  }
-
-  /**
-   * Update all game buttons in a channel to reflect current thread states (OPTIMIZED)
-   * @param {TextChannel} channel - Discord channel
-   * @param {string} sport - Sport key
-   * @param {Array} affectedGameIds - Game IDs that were affected by bulk operation
-   */
-  async updateAllGameButtonsInChannelOptimized(channel, sport, affectedGameIds) {
-    try {
-      // Fetch recent messages in the channel
-      const messages = await channel.messages.fetch({ limit: 50 });
-      
-      // Find messages that need updating
-      const messagesToUpdate = [];
-      
-      for (const [messageId, message] of messages) {
-        // Skip messages that don't have components or aren't from the bot
-        if (!message.components || message.components.length === 0 || !message.author.bot) {
-          continue;
-        }
-
-        // Check if this message has toggle buttons for the affected sport
-        const toggleButton = message.components
-          .flatMap(row => row.components)
-          .find(component => component.customId && component.customId.startsWith(`toggle_betting_${sport}_`));
-
-        if (!toggleButton) {
-          continue;
-        }
-
-        const gameId = toggleButton.customId.split('_')[3];
-        
-        // Only update if this game was affected by the bulk operation
-        if (affectedGameIds.includes(gameId)) {
-          messagesToUpdate.push({ message, gameId });
-        }
-      }
-
-      // Update messages in parallel batches
-      const batchSize = 5;
-      for (let i = 0; i < messagesToUpdate.length; i += batchSize) {
-        const batch = messagesToUpdate.slice(i, i + batchSize);
-        
-        const updatePromises = batch.map(async ({ message, gameId }) => {
-          try {
-            const hasThread = this.bettingThreadManager.hasThread(sport, gameId);
-            const threadId = hasThread ? this.bettingThreadManager.getThreadId(sport, gameId) : null;
-            await this.updateGameButtonMessage(message, sport, gameId, hasThread, threadId);
-          } catch (error) {
-            logger.error('Failed to update game button message in batch', {
-              messageId: message.id,
-              gameId,
-              error: error.message
-            });
-          }
-        });
-
-        await Promise.all(updatePromises);
-      }
-
-      logger.info('Updated all game buttons in channel (optimized)', {
-        channelId: channel.id,
-        sport,
-        affectedGames: affectedGameIds.length,
-        messagesUpdated: messagesToUpdate.length
-      });
-
-    } catch (error) {
-      logger.error('Failed to update all game buttons in channel (optimized)', {
-        channelId: channel.id,
-        sport,
-        error: error.message
-      });
-    }
-  }
-
-  /**
-   * Update all game buttons in a channel to reflect current thread states (LEGACY)
-   * @param {TextChannel} channel - Discord channel
-   * @param {string} sport - Sport key
-   * @param {Array} affectedGameIds - Game IDs that were affected by bulk operation
-   */
-  async updateAllGameButtonsInChannel(channel, sport, affectedGameIds) {
-    try {
-      // Fetch recent messages in the channel
-      const messages = await channel.messages.fetch({ limit: 50 });
-      
-      for (const [messageId, message] of messages) {
-        // Skip messages that don't have components or aren't from the bot
-        if (!message.components || message.components.length === 0 || !message.author.bot) {
-          continue;
-        }
-
-        // Check if this message has toggle buttons for the affected sport
-        const hasToggleButton = message.components.some(row => 
-          row.components.some(component => 
-            component.customId && component.customId.startsWith(`toggle_betting_${sport}_`)
-          )
-        );
-
-        if (!hasToggleButton) {
-          continue;
-        }
-
-        // Extract game ID from the toggle button
-        const toggleButton = message.components
-          .flatMap(row => row.components)
-          .find(component => component.customId && component.customId.startsWith(`toggle_betting_${sport}_`));
-
-        if (!toggleButton) {
-          continue;
-        }
-
-        const gameId = toggleButton.customId.split('_')[3];
-        
-        // Only update if this game was affected by the bulk operation
-        if (!affectedGameIds.includes(gameId)) {
-          continue;
-        }
-
-        // Check current thread state
-        const hasThread = this.bettingThreadManager.hasThread(sport, gameId);
-        const threadId = hasThread ? this.bettingThreadManager.getThreadId(sport, gameId) : null;
-
-        // Update the message with new button state
-        await this.updateGameButtonMessage(message, sport, gameId, hasThread, threadId);
-      }
-
-      logger.info('Updated all game buttons in channel', {
-        channelId: channel.id,
-        sport,
-        affectedGames: affectedGameIds.length
-      });
-
-    } catch (error) {
-      logger.error('Failed to update all game buttons in channel', {
-        channelId: channel.id,
-        sport,
-        error: error.message
-      });
-    }
-  }
-
-  /**
-   * Update a specific game button message
-   * @param {Message} message - Discord message
-   * @param {string} sport - Sport key
-   * @param {string} gameId - Game ID
-   * @param {boolean} hasThread - Whether thread exists
-   * @param {string} threadId - Thread ID (if exists)
-   */
-  async updateGameButtonMessage(message, sport, gameId, hasThread, threadId = null) {
-    try {
-      const { ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
-
-      // Get the original message content
-      let originalContent = message.content;
-      
-      // Remove any existing thread info from content
-      const lines = originalContent.split('\n');
-      const gameInfoLines = lines.filter(line => !line.includes('✅ **Thread:**'));
-      let updatedContent = gameInfoLines.join('\n');
-
-      // Add thread info if thread exists
-      if (hasThread && threadId) {
-        updatedContent += `\n✅ **Thread:** <#${threadId}>`;
-      }
-
-      // Create updated button with proper state
-      const actionRow = new ActionRowBuilder()
-        .addComponents(
-          new ButtonBuilder()
-            .setCustomId(`toggle_betting_${sport}_${gameId}`)
-            .setLabel(hasThread ? '🗑️ Delete Thread' : '📈 Create Thread')
-            .setStyle(hasThread ? ButtonStyle.Danger : ButtonStyle.Success),
-          new ButtonBuilder()
-            .setCustomId(`game_options_${sport}_${gameId}`)
-            .setLabel('⚙️ Options')
-            .setStyle(ButtonStyle.Secondary)
-        );
-
-      // Update the message with new content and buttons
-      await message.edit({
-        content: updatedContent,
-        components: [actionRow]
-      });
-
-      logger.debug('Updated game button message', {
-        messageId: message.id,
-        sport,
-        gameId,
-        hasThread
-      });
-
-    } catch (error) {
-      logger.error('Failed to update game button message', {
-        messageId: message.id,
-        sport,
-        gameId,
-        error: error.message
-      });
-    }
-  }
-
-  /**
-   * Initialize odds tracker
-   * @param {Database} database - Database connection
-   */
-  async initializeOddsTracker(database) {
-    try {
-      const OddsTracker = require('./modules/sports/OddsTracker');
-      this.oddsTracker = new OddsTracker(database);
-      await this.oddsTracker.initialize();
-      
-      logger.info('Odds tracker initialized successfully');
-    } catch (error) {
-      logger.error('Failed to initialize odds tracker:', error);
-      // Don't throw error - odds tracking is optional functionality
-    }
-  }
-
-  /**
-   * Handle game options button - show modal with options
-   * @param {ButtonInteraction} interaction - Discord button interaction
-   */
-  async handleGameOptions(interaction) {
-    try {
-      // Parse custom ID: game_options_{sport}_{gameId}
-      // Handle sports with underscores (like ncaa_football)
-      const customId = interaction.customId;
-      const prefix = 'game_options_';
-      const afterPrefix = customId.substring(prefix.length);
-      
-      // Find the last underscore to separate sport from gameId
-      const lastUnderscoreIndex = afterPrefix.lastIndexOf('_');
-      const sport = afterPrefix.substring(0, lastUnderscoreIndex);
-      const gameId = afterPrefix.substring(lastUnderscoreIndex + 1);
-
-      // Check permissions
-      if (!interaction.member.permissions.has('ManageChannels')) {
-        await interaction.reply({
-          content: '❌ You need "Manage Channels" permission to manage games.',
-          ephemeral: true
-        });
-        return;
-      }
-
-      const { ModalBuilder, TextInputBuilder, TextInputStyle, ActionRowBuilder } = require('discord.js');
-
-      // Get game info from the embed
-      const embed = interaction.message.embeds[0];
-      const gameTitle = embed.description?.replace(/\*\*/g, '') || 'Game';
-
-      // Initialize betting thread manager to check thread status
-      if (!this.bettingThreadManager) {
-        const BettingThreadManager = require('./modules/sports/BettingThreadManager');
-        this.bettingThreadManager = new BettingThreadManager(this.client);
-      }
-
-      const hasThread = this.bettingThreadManager.hasThread(sport, gameId);
-      const threadId = this.bettingThreadManager.getThreadId(sport, gameId);
-
-      // Create modal
-      const modal = new ModalBuilder()
-        .setCustomId(`game_options_modal_${sport}_${gameId}`)
-        .setTitle(`Game Options: ${gameTitle.substring(0, 40)}`);
-
-      // Current status field
-      const statusInput = new TextInputBuilder()
-        .setCustomId('current_status')
-        .setLabel('Current Status')
-        .setStyle(TextInputStyle.Short)
-        .setValue(hasThread ? `Thread exists: ${threadId}` : 'No betting thread')
-        .setRequired(false);
-
-      // Action selection field
-      const actionInput = new TextInputBuilder()
-        .setCustomId('action_selection')
-        .setLabel('Action (type: toggle, remove, or cancel)')
-        .setStyle(TextInputStyle.Short)
-        .setPlaceholder('toggle = create/delete thread, remove = remove game, cancel = do nothing')
-        .setRequired(true);
-
-      // Reason field (optional)
-      const reasonInput = new TextInputBuilder()
-        .setCustomId('action_reason')
-        .setLabel('Reason (optional)')
-        .setStyle(TextInputStyle.Paragraph)
-        .setPlaceholder('Optional reason for this action...')
-        .setRequired(false)
-        .setMaxLength(500);
-
-      // Add inputs to action rows
-      const statusRow = new ActionRowBuilder().addComponents(statusInput);
-      const actionRow = new ActionRowBuilder().addComponents(actionInput);
-      const reasonRow = new ActionRowBuilder().addComponents(reasonInput);
-
-      modal.addComponents(statusRow, actionRow, reasonRow);
-
-      // Show the modal
-      await interaction.showModal(modal);
-
-    } catch (error) {
-      logger.error('Failed to handle game options:', error);
-      
-      try {
-        await interaction.reply({
-          content: '❌ An error occurred while opening game options.',
-          ephemeral: true
-        });
-      } catch (replyError) {
-        logger.error('Failed to send error reply:', replyError);
-      }
-    }
-  }
-
-  /**
-   * Handle modal submissions
-   * @param {ModalSubmitInteraction} interaction - Discord modal interaction
-   */
-  async handleModalSubmit(interaction) {
-    try {
-      const customId = interaction.customId;
-
-      // Handle game options modal
-      if (customId.startsWith('game_options_modal_')) {
-        await this.handleGameOptionsModal(interaction);
-        return;
-      }
-
-      // If no handler found, log and respond
-      logger.warn('Unhandled modal submission:', { customId });
-      await interaction.reply({
-        content: '❌ This modal is no longer active or not recognized.',
-        ephemeral: true
-      });
-
-    } catch (error) {
-      logger.error('Error handling modal submission:', error);
-      
-      if (!interaction.replied && !interaction.deferred) {
-        await interaction.reply({
-          content: '❌ An error occurred while processing your request.',
-          ephemeral: true
-        });
-      }
-    }
-  }
-
-  /**
-   * Handle game options modal submission
-   * @param {ModalSubmitInteraction} interaction - Discord modal interaction
-   */
-  async handleGameOptionsModal(interaction) {
-    try {
-      // Parse custom ID: game_options_modal_{sport}_{gameId}
-      // Handle sports with underscores (like ncaa_football)
-      const customId = interaction.customId;
-      const prefix = 'game_options_modal_';
-      const afterPrefix = customId.substring(prefix.length);
-      
-      // Find the last underscore to separate sport from gameId
-      const lastUnderscoreIndex = afterPrefix.lastIndexOf('_');
-      const sport = afterPrefix.substring(0, lastUnderscoreIndex);
-      const gameId = afterPrefix.substring(lastUnderscoreIndex + 1);
-
-      // Get form values
-      const action = interaction.fields.getTextInputValue('action_selection').toLowerCase().trim();
-      const reason = interaction.fields.getTextInputValue('action_reason') || 'No reason provided';
-
-      await interaction.reply({
-        content: `🔄 Processing action: ${action}...`,
-        ephemeral: true
-      });
-
-      // Initialize betting thread manager if needed
-      if (!this.bettingThreadManager) {
-        const BettingThreadManager = require('./modules/sports/BettingThreadManager');
-        this.bettingThreadManager = new BettingThreadManager(this.client);
-      }
-
-      switch (action) {
-        case 'toggle':
-          // Same logic as toggle betting button
-          const hasThread = this.bettingThreadManager.hasThread(sport, gameId);
-          
-          if (hasThread) {
-            const success = await this.bettingThreadManager.deleteBettingThread(
-              interaction.guild,
-              sport,
-              gameId
-            );
-            
-            if (success) {
-              // Find and update the original message
-              await this.updateGameButtonFromModal(interaction, sport, gameId, false);
-              await interaction.editReply({
-                content: `✅ Betting thread deleted successfully.\nReason: ${reason}`
-              });
-            } else {
-              await interaction.editReply({
-                content: '❌ Failed to delete betting thread.'
-              });
-            }
-          } else {
-            const thread = await this.bettingThreadManager.createBettingThread(
-              interaction.guild,
-              sport,
-              gameId
-            );
-            
-            if (thread) {
-              await this.updateGameButtonFromModal(interaction, sport, gameId, true, thread.id);
-              await interaction.editReply({
-                content: `✅ Betting thread created: <#${thread.id}>\nReason: ${reason}`
-              });
-            } else {
-              await interaction.editReply({
-                content: '❌ Failed to create betting thread.'
-              });
-            }
-          }
-          break;
-
-        case 'remove':
-          // Remove the game message entirely
-          try {
-            // Delete any existing thread first
-            if (this.bettingThreadManager.hasThread(sport, gameId)) {
-              await this.bettingThreadManager.deleteBettingThread(interaction.guild, sport, gameId);
-            }
-            
-            // Find the original message and delete it
-            // We'll need to find it in the channel - for now just acknowledge
-            await interaction.editReply({
-              content: `✅ Game removal requested.\nReason: ${reason}\n\n*Note: Manual message deletion required for now*`
-            });
-          } catch (error) {
-            await interaction.editReply({
-              content: '❌ Failed to remove game.'
-            });
-          }
-          break;
-
-        case 'cancel':
-          await interaction.editReply({
-            content: '✅ Action cancelled. No changes made.'
-          });
-          break;
-
-        default:
-          await interaction.editReply({
-            content: `❌ Unknown action: "${action}". Valid actions are: toggle, remove, cancel`
-          });
-          break;
-      }
-
-    } catch (error) {
-      logger.error('Failed to handle game options modal:', error);
-      
-      try {
-        await interaction.editReply({
-          content: '❌ An error occurred while processing your request.'
-        });
-      } catch (replyError) {
-        logger.error('Failed to send error reply:', replyError);
-      }
-    }
-  }
-
-  /**
-   * Update game button from modal (need to find the original message)
-   * @param {ModalSubmitInteraction} interaction - Modal interaction
-   * @param {string} sport - Sport key
-   * @param {string} gameId - Game ID
-   * @param {boolean} hasThread - Whether thread exists
-   * @param {string} threadId - Thread ID (if exists)
-   */
-  async updateGameButtonFromModal(interaction, sport, gameId, hasThread, threadId = null) {
-    try {
-      // For now, we'll just log this - finding the original message requires more complex logic
-      logger.info('Game button update requested from modal', {
-        sport,
-        gameId,
-        hasThread,
-        threadId,
-        guildId: interaction.guild.id
-      });
-      
-      // TODO: Implement finding and updating the original game message
-      // This would require storing message IDs or searching through recent messages
-      
-    } catch (error) {
-      logger.error('Failed to update game button from modal:', error);
-    }
-  }
-
-  /**
-   * Handle remove game button
-   * @param {ButtonInteraction} interaction - Discord button interaction
-   */
-  async handleRemoveGame(interaction) {
-    try {
-      // Parse custom ID: remove_game_{sport}_{gameId}
-      const parts = interaction.customId.split('_');
-      const sport = parts[2];
-      const gameId = parts[3];
-
-      // Check if user has permissions
-      if (!interaction.member.permissions.has('ManageChannels')) {
-        await interaction.reply({
-          content: '❌ You need "Manage Channels" permission to remove games.',
-          ephemeral: true
-        });
-        return;
-      }
-
-      // Update the message to show game was removed
-      const { EmbedBuilder } = require('discord.js');
-      const embed = EmbedBuilder.from(interaction.message.embeds[0])
-        .setColor(0xFF0000)
-        .setTitle('🗑️ Game Removed')
-        .setDescription('This game has been removed from the betting schedule.');
-
-      await interaction.update({ 
-        embeds: [embed], 
-        components: [] // Remove buttons
-      });
-
-      logger.info('Game removed from betting schedule', {
-        sport,
-        gameId,
-        userId: interaction.user.id,
-        guildId: interaction.guild.id
-      });
-
-    } catch (error) {
-      logger.error('Failed to handle remove game:', error);
-      
-      try {
-        await interaction.reply({
-          content: '❌ An error occurred while removing the game.',
-          ephemeral: true
-        });
-      } catch (replyError) {
-        logger.error('Failed to send error reply:', replyError);
-      }
-    }
-  }
-
   /**
    * Initialize server configurations for all guilds the bot is in
    */
@@ -1418,28 +660,6 @@ class DiscordBot {
     }
   }
 
-  /**
-   * Initialize game log manager for sports functionality
-   */
-  async initializeGameLogManager() {
-    try {
-      // Initialize betting thread manager first
-      const BettingThreadManager = require('./modules/sports/BettingThreadManager');
-      this.bettingThreadManager = new BettingThreadManager(this.client);
-      
-      // Initialize game log manager with betting thread manager reference
-      const GameLogManager = require('./modules/sports/GameLogManager');
-      this.gameLogManager = new GameLogManager(this.client, this.bettingThreadManager);
-      await this.gameLogManager.initialize();
-      
-      logger.info('Game log manager and betting thread manager initialized successfully');
-    } catch (error) {
-      logger.error('Failed to initialize sports managers:', error);
-    }
-  }
-
-
-
   /**
    * Handle team color reactions on betting embeds
    * @param {MessageReaction} reaction - Discord reaction
@@ -1510,6 +730,15 @@ class DiscordBot {
       // Store team color override in database
       await this.storeTeamColorOverride(message.guild.id, teamAbbrev, colorName);
 
+      await auditLog.record({
+        guildId: message.guild.id,
+        actorId: user.id,
+        action: 'team_color.override',
+        targetType: 'team',
+        targetId: teamAbbrev,
+        payload: { color: colorName, thread: message.channel.id }
+      }, this.client);
+
       // Clear color mapper cache for this guild
       const TeamColorMapper = require('./modules/sports/TeamColorMapper');
       const colorMapper = new TeamColorMapper();
@@ -1687,25 +916,8 @@ class DiscordBot {
   async shutdown() {
     logger.info('Shutting down bot...');
 
-    // Clean up volatile DM timers
-    const volatileDM = require('./utils/volatileDM');
-    volatileDM.clearAllPendingDeletions();
-    
-    // Clean up emoji reaction listeners
-    const emojiReactionManager = require('./utils/emojiReactionManager');
-    emojiReactionManager.cleanupAllReactions();
-    
-    // Clean up game log manager
-    if (this.gameLogManager) {
-      this.gameLogManager.cleanup();
-    }
-    
-    // Clean up odds tracker
-    if (this.oddsTracker) {
-      this.oddsTracker.cleanup();
-    }
-    
-
+    // Stop cron jobs, timers, Puppeteer browsers and TF.js models, dependents before their dependencies
+    await this.services.stop();
 
     if (this.client) {
       await this.client.destroy();
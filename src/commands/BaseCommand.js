@@ -1,5 +1,8 @@
 const { SlashCommandBuilder, PermissionFlagsBits } = require('discord.js');
 const logger = require('../utils/logger');
+const rateLimiter = require('../utils/rateLimiter');
+const commandPolicies = require('../utils/commandPolicies');
+const i18n = require('../utils/i18n');
 
 /**
  * Base class for all Discord slash commands
@@ -12,7 +15,8 @@ class BaseCommand {
     this.options = {
       category: options.category || 'general',
       permissions: options.permissions || [],
-      cooldown: options.cooldown || 3, // seconds
+      cooldown: options.cooldown || 3, // seconds, default per-user limit that guilds can override
+      maxConcurrent: options.maxConcurrent || null, // global limit on simultaneous runs
       guildOnly: options.guildOnly !== false, // default true
       adminOnly: options.adminOnly || false,
       ...options
@@ -36,9 +40,6 @@ class BaseCommand {
     if (this.options.guildOnly) {
       this.data.setDMPermission(false);
     }
-
-    // Initialize cooldown tracking
-    this.cooldowns = new Map();
   }
 
   /**
@@ -58,6 +59,15 @@ class BaseCommand {
     await interaction.respond([]);
   }
 
+  /**
+   * Component handlers (buttons, select menus, modals) this command owns - optional override
+   * Each entry is a ComponentRouter registration: { component, handle, permissions, requires }
+   * @returns {Array<Object>} - Component registrations
+   */
+  getComponents() {
+    return [];
+  }
+
   /**
    * Check if user has permission to use this command
    * @param {CommandInteraction} interaction - The Discord interaction
@@ -69,7 +79,7 @@ class BaseCommand {
       const member = interaction.member;
       if (!member || !member.permissions.has(PermissionFlagsBits.Administrator)) {
         await interaction.reply({
-          content: 'This command requires administrator permissions.',
+          content: await i18n.translate(interaction, 'command.adminOnly'),
           ephemeral: true
         });
         return false;
@@ -79,7 +89,7 @@ class BaseCommand {
     // Check guild-only restriction
     if (this.options.guildOnly && !interaction.guild) {
       await interaction.reply({
-        content: 'This command can only be used in a server.',
+        content: await i18n.translate(interaction, 'command.guildOnly'),
         ephemeral: true
       });
       return false;
@@ -93,7 +103,7 @@ class BaseCommand {
 
       if (!hasPermission) {
         await interaction.reply({
-          content: 'You don\'t have the required permissions to use this command.',
+          content: await i18n.translate(interaction, 'command.missingPermissions'),
           ephemeral: true
         });
         return false;
@@ -104,35 +114,24 @@ class BaseCommand {
   }
 
   /**
-   * Check and handle command cooldown
+   * Check and handle command cooldown, using the guild's rate limit for this command
    * @param {CommandInteraction} interaction - The Discord interaction
    * @returns {boolean} - Whether the command can be executed (not on cooldown)
    */
   async checkCooldown(interaction) {
-    const userId = interaction.user.id;
-    const now = Date.now();
-    const cooldownAmount = this.options.cooldown * 1000;
-
-    if (this.cooldowns.has(userId)) {
-      const expirationTime = this.cooldowns.get(userId) + cooldownAmount;
+    const { allowed, retryAfterMs, scope } = await rateLimiter.consume(this, interaction);
 
-      if (now < expirationTime) {
-        const timeLeft = (expirationTime - now) / 1000;
-        await interaction.reply({
-          content: `Please wait ${timeLeft.toFixed(1)} more seconds before using this command again.`,
-          ephemeral: true
-        });
-        return false;
-      }
+    if (!allowed) {
+      const locale = await i18n.resolveLocale(interaction);
+      const seconds = i18n.formatNumber(locale, retryAfterMs / 1000, { minimumFractionDigits: 1, maximumFractionDigits: 1 });
+      const key = { channel: 'command.cooldownChannel', guild: 'command.cooldownGuild' }[scope] || 'command.cooldown';
+      await interaction.reply({
+        content: i18n.t(locale, key, { seconds }),
+        ephemeral: true
+      });
+      return false;
     }
 
-    this.cooldowns.set(userId, now);
-
-    // Clean up expired cooldowns
-    setTimeout(() => {
-      this.cooldowns.delete(userId);
-    }, cooldownAmount);
-
     return true;
   }
 
@@ -147,6 +146,11 @@ class BaseCommand {
       return false;
     }
 
+    // Check the guild's role and channel policies from /permissions
+    if (!(await commandPolicies.check(this, interaction))) {
+      return false;
+    }
+
     // Check cooldown
     if (!(await this.checkCooldown(interaction))) {
       return false;
@@ -155,6 +159,21 @@ class BaseCommand {
     return true;
   }
 
+  /**
+   * Get one of the bot's shared running services, such as the lobbyManager
+   * @param {CommandInteraction} interaction - The Discord interaction
+   * @param {string} name - Service name
+   * @returns {*} - Service instance
+   * @throws {Error} - If the service has not started (yet)
+   */
+  getService(interaction, name) {
+    const service = interaction.client.bot?.services.getIfRunning(name);
+    if (!service) {
+      throw new Error('This feature is not available yet. Please try again in a moment.');
+    }
+    return service;
+  }
+
   /**
    * Log command usage for analytics and debugging
    * @param {CommandInteraction} interaction - The Discord interaction
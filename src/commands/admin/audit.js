@@ -0,0 +1,213 @@
+const { EmbedBuilder, PermissionFlagsBits, ChannelType } = require('discord.js');
+const BaseCommand = require('../BaseCommand');
+const AuditLogRepository = require('../../database/repositories/AuditLogRepository');
+const ServerConfigRepository = require('../../database/repositories/ServerConfigRepository');
+const auditLog = require('../../utils/auditLog');
+const { zonedTimeToDate } = require('../../utils/timezone');
+const dbConnection = require('../../database/connection');
+
+const PAGE_SIZE = 10;
+
+const ACTION_CHOICES = Object.entries(auditLog.ACTIONS).map(([value, label]) => ({ name: label, value }));
+
+class AuditCommand extends BaseCommand {
+  constructor() {
+    super('audit', 'Search the log of bot actions in this server and pick a mod-log channel', {
+      category: 'admin',
+      guildOnly: true
+    });
+
+    this.data
+      .addSubcommand(subcommand =>
+        subcommand.setName('search')
+          .setDescription('Show recorded actions, newest first')
+          .addUserOption(option =>
+            option.setName('user')
+              .setDescription('Only actions by this member')
+              .setRequired(false)
+          )
+          .addStringOption(option =>
+            option.setName('action')
+              .setDescription('Only this kind of action')
+              .setRequired(false)
+              .addChoices(...ACTION_CHOICES)
+          )
+          .addStringOption(option =>
+            option.setName('from')
+              .setDescription('First day to include, YYYY-MM-DD in server time')
+              .setRequired(false)
+          )
+          .addStringOption(option =>
+            option.setName('to')
+              .setDescription('Last day to include, YYYY-MM-DD in server time')
+              .setRequired(false)
+          )
+          .addIntegerOption(option =>
+            option.setName('page')
+              .setDescription('Page of results (default: 1)')
+              .setRequired(false)
+              .setMinValue(1)
+          )
+      )
+      .addSubcommand(subcommand =>
+        subcommand.setName('channel')
+          .setDescription('Also post new entries to a mod-log channel')
+          .addChannelOption(option =>
+            option.setName('channel')
+              .setDescription('Mod-log channel (leave empty to stop posting)')
+              .setRequired(false)
+              .addChannelTypes(ChannelType.GuildText)
+          )
+      );
+
+    this.repository = new AuditLogRepository();
+    this.configRepo = new ServerConfigRepository();
+  }
+
+  async execute(interaction) {
+    try {
+      // Ensure database is connected
+      if (!dbConnection.isReady()) {
+        await dbConnection.initialize();
+      }
+
+      if (!interaction.member?.permissions.has(PermissionFlagsBits.ManageGuild)) {
+        throw new Error('You need the Manage Server permission to view the audit log.');
+      }
+
+      const subcommand = interaction.options.getSubcommand();
+      const embed = subcommand === 'channel'
+        ? await this.setChannel(interaction)
+        : await this.search(interaction);
+
+      embed.setTimestamp();
+      await interaction.reply({ embeds: [embed], ephemeral: true });
+
+      this.logUsage(interaction, 'completed', { action: subcommand });
+    } catch (error) {
+      this.logUsage(interaction, 'failed', { error: error.message });
+
+      const errorEmbed = new EmbedBuilder()
+        .setColor(0xFF0000)
+        .setTitle('❌ Audit Log Error')
+        .setDescription(error.message)
+        .setTimestamp();
+
+      if (interaction.replied || interaction.deferred) {
+        await interaction.editReply({ embeds: [errorEmbed] });
+      } else {
+        await interaction.reply({ embeds: [errorEmbed], ephemeral: true });
+      }
+    }
+  }
+
+  async search(interaction) {
+    const guildId = interaction.guild.id;
+    const timezone = await this.configRepo.getTimezone(guildId);
+    const user = interaction.options.getUser('user');
+    const action = interaction.options.getString('action');
+    const from = interaction.options.getString('from');
+    const to = interaction.options.getString('to');
+    const page = interaction.options.getInteger('page') || 1;
+
+    const since = from ? this.parseDay(from, timezone) : null;
+    const until = to ? this.parseDay(to, timezone, 1) : null;
+    if (since && until && since >= until) {
+      throw new Error('The "from" day must not be after the "to" day.');
+    }
+
+    const { entries, total } = await this.repository.search(guildId, {
+      actorId: user?.id,
+      action,
+      since,
+      until,
+      limit: PAGE_SIZE,
+      offset: (page - 1) * PAGE_SIZE
+    });
+
+    const filters = [
+      user && `by ${user}`,
+      action && auditLog.getLabel(action),
+      from && `from ${from}`,
+      to && `to ${to}`
+    ].filter(Boolean);
+
+    const pages = Math.max(1, Math.ceil(total / PAGE_SIZE));
+    const embed = new EmbedBuilder()
+      .setColor(0x5865F2)
+      .setTitle('📝 Audit Log')
+      .setFooter({ text: `Page ${Math.min(page, pages)} of ${pages} • ${total} ${total === 1 ? 'entry' : 'entries'} • Times in ${timezone}` });
+
+    if (entries.length === 0) {
+      embed.setDescription(filters.length > 0 ? `No actions match ${filters.join(', ')}.` : 'No actions have been recorded yet.');
+      return embed;
+    }
+
+    const lines = entries.map(entry => this.formatEntry(entry));
+    if (filters.length > 0) {
+      lines.unshift(`*Filtered ${filters.join(', ')}*\n`);
+    }
+
+    return embed.setDescription(lines.join('\n').slice(0, 4096));
+  }
+
+  async setChannel(interaction) {
+    const guildId = interaction.guild.id;
+    const channel = interaction.options.getChannel('channel');
+
+    if (channel) {
+      const missing = ['ViewChannel', 'SendMessages', 'EmbedLinks']
+        .filter(permission => !channel.permissionsFor?.(interaction.guild.members.me)?.has(permission));
+      if (missing.length > 0) {
+        throw new Error(`I need ${missing.join(', ')} in ${channel} to post audit entries there.`);
+      }
+    }
+
+    await this.configRepo.setAuditChannel(guildId, channel?.id || null);
+    await auditLog.record({
+      guildId,
+      actorId: interaction.user.id,
+      action: 'audit.channel',
+      targetType: channel ? 'channel' : null,
+      targetId: channel?.id || null,
+      payload: channel ? null : { mirroring: 'off' }
+    }, interaction.client);
+
+    return new EmbedBuilder()
+      .setColor(0x00FF00)
+      .setTitle('✅ Audit Log Channel Updated')
+      .setDescription(channel
+        ? `New audit entries will also be posted to ${channel}.`
+        : 'Audit entries are no longer posted to a channel. They are still recorded for `/audit search`.');
+  }
+
+  /**
+   * Parse a YYYY-MM-DD day as the start of that day in the server's timezone
+   * @param {string} value - Day entered by the admin
+   * @param {string} timezone - IANA timezone
+   * @param {number} [offsetDays] - Days to add, 1 for the end of the day
+   * @returns {Date}
+   */
+  parseDay(value, timezone, offsetDays = 0) {
+    const match = value.trim().match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    if (!match) {
+      throw new Error(`"${value}" is not a date. Use YYYY-MM-DD, e.g. 2025-06-01.`);
+    }
+
+    const [, year, month, day] = match.map(Number);
+    const check = new Date(Date.UTC(year, month - 1, day));
+    if (check.getUTCMonth() !== month - 1 || check.getUTCDate() !== day) {
+      throw new Error(`"${value}" is not a valid date.`);
+    }
+
+    return zonedTimeToDate({ year, month, day: day + offsetDays }, timezone);
+  }
+
+  formatEntry(entry) {
+    const timestamp = Math.floor(new Date(entry.createdAt).getTime() / 1000);
+    const target = entry.targetId ? ` → ${auditLog.formatTarget(entry)}` : '';
+    return `<t:${timestamp}:f> **${auditLog.getLabel(entry.action)}** by ${auditLog.formatActor(entry.actorId)}${target}`;
+  }
+}
+
+module.exports = AuditCommand;
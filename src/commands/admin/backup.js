@@ -0,0 +1,188 @@
+const { EmbedBuilder, PermissionFlagsBits } = require('discord.js');
+const BaseCommand = require('../BaseCommand');
+const auditLog = require('../../utils/auditLog');
+const config = require('../../config');
+
+const LIST_LIMIT = 15;
+
+class BackupCommand extends BaseCommand {
+  constructor() {
+    super('backup', 'List, create and restore database backups (Bot owners only)', {
+      category: 'admin',
+      adminOnly: true,
+      permissions: [PermissionFlagsBits.Administrator],
+      cooldown: 10
+    });
+
+    this.data
+      .addSubcommand(subcommand =>
+        subcommand.setName('list')
+          .setDescription('Show the newest backups')
+      )
+      .addSubcommand(subcommand =>
+        subcommand.setName('create')
+          .setDescription('Back up the database now')
+      )
+      .addSubcommand(subcommand =>
+        subcommand.setName('restore')
+          .setDescription('Replace the database with a backup, for every server')
+          .addStringOption(option =>
+            option.setName('backup')
+              .setDescription('Backup to restore, or a UTC time such as 2025-11-20T18:00 for the last backup before it')
+              .setRequired(true)
+              .setAutocomplete(true)
+          )
+          .addBooleanOption(option =>
+            option.setName('confirm')
+              .setDescription('Confirm that the current data should be replaced')
+              .setRequired(true)
+          )
+      );
+  }
+
+  async execute(interaction) {
+    try {
+      // Backups hold every server's data, so only the bot's owners may touch them
+      if (!config.bot.ownerIds.includes(interaction.user.id)) {
+        throw new Error(config.bot.ownerIds.length > 0
+          ? 'Only the bot owners can manage backups.'
+          : 'Set BOT_OWNER_IDS to manage backups from Discord, or use `npm run backup` on the server.');
+      }
+
+      const backups = this.getBackupManager(interaction);
+      const subcommand = interaction.options.getSubcommand();
+
+      await interaction.deferReply({ ephemeral: true });
+
+      let embed;
+      switch (subcommand) {
+        case 'create':
+          embed = await this.create(backups);
+          break;
+        case 'restore':
+          embed = await this.restore(interaction, backups);
+          break;
+        default:
+          embed = await this.list(backups);
+      }
+
+      embed.setTimestamp();
+      await interaction.editReply({ embeds: [embed] });
+
+      this.logUsage(interaction, 'completed', { action: subcommand });
+    } catch (error) {
+      this.logUsage(interaction, 'failed', { error: error.message });
+
+      const errorEmbed = new EmbedBuilder()
+        .setColor(0xFF0000)
+        .setTitle('❌ Backup Error')
+        .setDescription(error.message)
+        .setTimestamp();
+
+      if (interaction.replied || interaction.deferred) {
+        await interaction.editReply({ embeds: [errorEmbed] });
+      } else {
+        await interaction.reply({ embeds: [errorEmbed], ephemeral: true });
+      }
+    }
+  }
+
+  async list(backups) {
+    const entries = await backups.list();
+    const embed = new EmbedBuilder()
+      .setColor(0x5865F2)
+      .setTitle('💾 Database Backups')
+      .setFooter({ text: `Keeping the newest ${backups.retention} • ${backups.job ? `Scheduled: ${backups.schedule}` : 'Not scheduled'}` });
+
+    if (entries.length === 0) {
+      return embed.setDescription('No backups yet. Use `/backup create` to take one.');
+    }
+
+    const lines = entries.slice(0, LIST_LIMIT).map(entry => this.formatBackup(entry));
+    if (entries.length > LIST_LIMIT) {
+      lines.push(`*…and ${entries.length - LIST_LIMIT} older*`);
+    }
+
+    return embed.setDescription(lines.join('\n').slice(0, 4096));
+  }
+
+  async create(backups) {
+    const backup = await backups.create({ reason: 'manual' });
+
+    return new EmbedBuilder()
+      .setColor(0x00FF00)
+      .setTitle('✅ Backup Created')
+      .setDescription(this.formatBackup(backup));
+  }
+
+  async restore(interaction, backups) {
+    if (!interaction.options.getBoolean('confirm')) {
+      throw new Error('Restoring replaces the data of every server. Set `confirm` to True to go ahead.');
+    }
+
+    const target = interaction.options.getString('backup').trim();
+    const { restored, safetyBackup, migrations } = await backups.restore(target);
+
+    await auditLog.record({
+      guildId: interaction.guild?.id,
+      actorId: interaction.user.id,
+      action: 'database.restore',
+      targetType: 'backup',
+      targetId: restored.name,
+      payload: { safetyBackup: safetyBackup.name }
+    }, interaction.client);
+
+    const embed = new EmbedBuilder()
+      .setColor(0x00FF00)
+      .setTitle('✅ Database Restored')
+      .setDescription(`Restored ${this.formatBackup(restored)}\n\nThe data from before the restore was saved as \`${safetyBackup.name}\`. Restart the bot so running lobbies and caches pick up the restored data.`);
+
+    if (migrations.length > 0) {
+      embed.addFields({ name: 'Migrations applied', value: migrations.join('\n').slice(0, 1024) });
+    }
+
+    return embed;
+  }
+
+  async autocomplete(interaction) {
+    const backups = interaction.client.bot?.services.getIfRunning('backups');
+    if (!backups || !config.bot.ownerIds.includes(interaction.user.id)) {
+      await interaction.respond([]);
+      return;
+    }
+
+    const focused = interaction.options.getFocused().toLowerCase();
+    const choices = (await backups.list())
+      .filter(backup => backup.name.toLowerCase().includes(focused))
+      .slice(0, 25)
+      .map(backup => ({ name: `${backup.createdAt.toISOString().slice(0, 16).replace('T', ' ')} UTC (${backup.reason})`, value: backup.name }));
+
+    await interaction.respond(choices);
+  }
+
+  /**
+   * @returns {BackupManager}
+   */
+  getBackupManager(interaction) {
+    const backups = interaction.client.bot?.services.getIfRunning('backups');
+    if (!backups) {
+      throw new Error('Backups are not available right now.');
+    }
+    if (!backups.isSupported()) {
+      throw new Error('Backups only cover SQLite database files. Use pg_dump to back up PostgreSQL.');
+    }
+    return backups;
+  }
+
+  /**
+   * One line per backup: time, reason and size
+   * @param {Object} backup - From BackupManager#list
+   */
+  formatBackup(backup) {
+    const seconds = Math.floor(backup.createdAt.getTime() / 1000);
+    const size = backup.size >= 1024 * 1024 ? `${(backup.size / 1024 / 1024).toFixed(1)} MB` : `${Math.ceil(backup.size / 1024)} KB`;
+    return `<t:${seconds}:f> • ${backup.reason} • ${size}\n\`${backup.name}\``;
+  }
+}
+
+module.exports = BackupCommand;
@@ -0,0 +1,242 @@
+const { EmbedBuilder, PermissionFlagsBits } = require('discord.js');
+const BaseCommand = require('../BaseCommand');
+const CommandRateLimitRepository = require('../../database/repositories/CommandRateLimitRepository');
+const rateLimiter = require('../../utils/rateLimiter');
+const dbConnection = require('../../database/connection');
+
+const ALL_COMMANDS = '*';
+const SCOPE_LABELS = { user: 'per user', channel: 'per channel', guild: 'server-wide' };
+
+class CommandConfigCommand extends BaseCommand {
+  constructor() {
+    super('command-config', 'Tune command cooldowns and rate limit exemptions for this server', {
+      category: 'admin',
+      guildOnly: true
+    });
+
+    const addCommandOption = (subcommand, required = true) => subcommand.addStringOption(option =>
+      option.setName('command')
+        .setDescription(required ? 'Command name' : 'Command name (all commands if omitted)')
+        .setRequired(required)
+        .setAutocomplete(true)
+    );
+
+    this.data
+      .addSubcommand(subcommand =>
+        addCommandOption(subcommand.setName('set').setDescription('Override a command\'s cooldown'))
+          .addIntegerOption(option =>
+            option.setName('cooldown')
+              .setDescription('Cooldown window in seconds (0 disables the limit)')
+              .setRequired(true)
+              .setMinValue(0)
+              .setMaxValue(86400)
+          )
+          .addStringOption(option =>
+            option.setName('scope')
+              .setDescription('Who shares the limit (default: each user)')
+              .setRequired(false)
+              .addChoices(
+                { name: 'Each user', value: 'user' },
+                { name: 'Each channel', value: 'channel' },
+                { name: 'Whole server', value: 'guild' }
+              )
+          )
+          .addIntegerOption(option =>
+            option.setName('uses')
+              .setDescription('Uses allowed per window (default: 1)')
+              .setRequired(false)
+              .setMinValue(1)
+              .setMaxValue(100)
+          )
+      )
+      .addSubcommand(subcommand =>
+        addCommandOption(subcommand.setName('reset').setDescription('Go back to a command\'s default cooldown'))
+      )
+      .addSubcommand(subcommand =>
+        addCommandOption(
+          subcommand.setName('exempt')
+            .setDescription('Let a role skip rate limits')
+            .addRoleOption(option => option.setName('role').setDescription('Role to exempt').setRequired(true)),
+          false
+        )
+      )
+      .addSubcommand(subcommand =>
+        addCommandOption(
+          subcommand.setName('unexempt')
+            .setDescription('Remove a role\'s rate limit exemption')
+            .addRoleOption(option => option.setName('role').setDescription('Exempt role').setRequired(true)),
+          false
+        )
+      )
+      .addSubcommand(subcommand =>
+        subcommand.setName('list')
+          .setDescription('Show this server\'s cooldown overrides and exemptions')
+      );
+
+    this.repository = new CommandRateLimitRepository();
+  }
+
+  async execute(interaction) {
+    try {
+      // Ensure database is connected
+      if (!dbConnection.isReady()) {
+        await dbConnection.initialize();
+      }
+
+      if (!interaction.member?.permissions.has(PermissionFlagsBits.ManageGuild)) {
+        throw new Error('You need the Manage Server permission to configure commands.');
+      }
+
+      const subcommand = interaction.options.getSubcommand();
+      const guildId = interaction.guild.id;
+      let embed;
+
+      if (subcommand === 'list') {
+        embed = await this.buildListEmbed(interaction);
+      } else {
+        const commandName = this.resolveCommandName(interaction, subcommand === 'set' || subcommand === 'reset');
+
+        if (subcommand === 'set') {
+          const limit = {
+            cooldownSeconds: interaction.options.getInteger('cooldown'),
+            scope: interaction.options.getString('scope') || 'user',
+            maxUses: interaction.options.getInteger('uses') || 1
+          };
+          await this.repository.setOverride(guildId, commandName, limit, interaction.user.id);
+          await rateLimiter.resetBuckets(guildId, commandName);
+
+          embed = new EmbedBuilder()
+            .setColor(0x00FF00)
+            .setTitle('⏱️ Cooldown Updated')
+            .setDescription(`\`/${commandName}\` is now limited to ${this.formatLimit(limit)}.`);
+        } else if (subcommand === 'reset') {
+          const removed = await this.repository.removeOverride(guildId, commandName);
+          await rateLimiter.resetBuckets(guildId, commandName);
+
+          embed = new EmbedBuilder()
+            .setColor(0x5865F2)
+            .setTitle('↩️ Cooldown Reset')
+            .setDescription(removed
+              ? `\`/${commandName}\` is back to its default cooldown.`
+              : `\`/${commandName}\` had no override in this server.`);
+        } else {
+          const role = interaction.options.getRole('role');
+          const target = commandName === ALL_COMMANDS ? 'every command' : `\`/${commandName}\``;
+
+          if (subcommand === 'exempt') {
+            const added = await this.repository.addExemption(guildId, commandName, role.id, interaction.user.id);
+            embed = new EmbedBuilder()
+              .setColor(0x00FF00)
+              .setTitle('🛡️ Role Exempted')
+              .setDescription(`${role} ${added ? 'now skips' : 'already skips'} rate limits on ${target}.`);
+          } else {
+            const removed = await this.repository.removeExemption(guildId, commandName, role.id);
+            embed = new EmbedBuilder()
+              .setColor(0xFF6B6B)
+              .setTitle('🛡️ Exemption Removed')
+              .setDescription(removed
+                ? `${role} is rate limited on ${target} again.`
+                : `${role} was not exempt on ${target}.`);
+          }
+        }
+      }
+
+      embed.setTimestamp();
+      await interaction.reply({ embeds: [embed], ephemeral: true });
+
+      this.logUsage(interaction, 'completed', { action: subcommand });
+    } catch (error) {
+      this.logUsage(interaction, 'failed', { error: error.message });
+
+      const errorEmbed = new EmbedBuilder()
+        .setColor(0xFF0000)
+        .setTitle('❌ Command Config Error')
+        .setDescription(error.message)
+        .setTimestamp();
+
+      if (interaction.replied || interaction.deferred) {
+        await interaction.editReply({ embeds: [errorEmbed] });
+      } else {
+        await interaction.reply({ embeds: [errorEmbed], ephemeral: true });
+      }
+    }
+  }
+
+  async autocomplete(interaction) {
+    const focused = interaction.options.getFocused().toLowerCase();
+    const names = [...(interaction.client.bot?.commands?.keys() || [])]
+      .filter(name => name.includes(focused))
+      .sort()
+      .slice(0, 25);
+
+    await interaction.respond(names.map(name => ({ name: `/${name}`, value: name })));
+  }
+
+  /**
+   * Read the command option, checking it names a loaded command
+   * @param {boolean} required - Whether an omitted option is an error rather than "all commands"
+   */
+  resolveCommandName(interaction, required) {
+    const commandName = interaction.options.getString('command')?.trim().replace(/^\//, '').toLowerCase();
+
+    if (!commandName) {
+      if (required) {
+        throw new Error('Choose a command to configure.');
+      }
+      return ALL_COMMANDS;
+    }
+
+    const commands = interaction.client.bot?.commands;
+    if (commands && !commands.has(commandName)) {
+      throw new Error(`There is no \`/${commandName}\` command.`);
+    }
+
+    return commandName;
+  }
+
+  /**
+   * List overrides, with each command's default for comparison, and exemptions
+   */
+  async buildListEmbed(interaction) {
+    const guildId = interaction.guild.id;
+    const [overrides, exemptions] = await Promise.all([
+      this.repository.getOverrides(guildId),
+      this.repository.getExemptions(guildId)
+    ]);
+    const commands = interaction.client.bot?.commands;
+
+    const overrideLines = overrides.map(override => {
+      const limit = { cooldownSeconds: override.cooldown_seconds, scope: override.scope, maxUses: override.max_uses };
+      const defaultCooldown = commands?.get(override.command_name)?.options?.cooldown;
+      const defaultText = defaultCooldown !== undefined ? ` (default ${defaultCooldown}s per user)` : '';
+      return `• \`/${override.command_name}\`: ${this.formatLimit(limit)}${defaultText}`;
+    });
+
+    const exemptionLines = exemptions.map(exemption =>
+      `• <@&${exemption.role_id}>: ${exemption.command_name === ALL_COMMANDS ? 'every command' : `\`/${exemption.command_name}\``}`
+    );
+
+    return new EmbedBuilder()
+      .setColor(0x5865F2)
+      .setTitle('⚙️ Command Rate Limits')
+      .setDescription('Commands without an override use their built-in per-user cooldown.')
+      .addFields(
+        { name: '⏱️ Overrides', value: overrideLines.join('\n').slice(0, 1024) || 'None', inline: false },
+        { name: '🛡️ Exempt Roles', value: exemptionLines.join('\n').slice(0, 1024) || 'None', inline: false }
+      );
+  }
+
+  /**
+   * Describe a limit like "2 uses per 30s, per channel"
+   */
+  formatLimit({ cooldownSeconds, scope, maxUses }) {
+    if (cooldownSeconds === 0) {
+      return 'no cooldown';
+    }
+
+    const uses = maxUses === 1 ? '1 use' : `${maxUses} uses`;
+    return `${uses} per ${cooldownSeconds}s, ${SCOPE_LABELS[scope] || scope}`;
+  }
+}
+
+module.exports = CommandConfigCommand;
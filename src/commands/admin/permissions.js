@@ -0,0 +1,203 @@
+const { EmbedBuilder, PermissionFlagsBits } = require('discord.js');
+const BaseCommand = require('../BaseCommand');
+const CommandPermissionRepository = require('../../database/repositories/CommandPermissionRepository');
+const commandPolicies = require('../../utils/commandPolicies');
+const dbConnection = require('../../database/connection');
+
+const CATEGORY_CHOICES = commandPolicies.CATEGORIES.map(category => ({
+  name: category.charAt(0).toUpperCase() + category.slice(1),
+  value: category
+}));
+
+class PermissionsCommand extends BaseCommand {
+  constructor() {
+    super('permissions', 'Grant or deny commands to roles and channels in this server', {
+      category: 'admin',
+      guildOnly: true
+    });
+
+    const addPolicyOptions = subcommand => subcommand
+      .addStringOption(option =>
+        option.setName('command')
+          .setDescription('Command name (or pick a category instead)')
+          .setRequired(false)
+          .setAutocomplete(true)
+      )
+      .addStringOption(option =>
+        option.setName('category')
+          .setDescription('Command category (or pick a command instead)')
+          .setRequired(false)
+          .addChoices(...CATEGORY_CHOICES)
+      )
+      .addRoleOption(option =>
+        option.setName('role')
+          .setDescription('Role the policy applies to (or pick a channel instead)')
+          .setRequired(false)
+      )
+      .addChannelOption(option =>
+        option.setName('channel')
+          .setDescription('Channel the policy applies to (or pick a role instead)')
+          .setRequired(false)
+      );
+
+    this.data
+      .addSubcommand(subcommand =>
+        addPolicyOptions(subcommand.setName('allow').setDescription('Allow a command or category for a role or channel'))
+      )
+      .addSubcommand(subcommand =>
+        addPolicyOptions(subcommand.setName('deny').setDescription('Deny a command or category to a role or channel'))
+      )
+      .addSubcommand(subcommand =>
+        addPolicyOptions(subcommand.setName('clear').setDescription('Remove a policy'))
+      )
+      .addSubcommand(subcommand =>
+        subcommand.setName('list')
+          .setDescription('Show every policy in this server and who set it')
+      );
+
+    this.repository = new CommandPermissionRepository();
+  }
+
+  async execute(interaction) {
+    try {
+      // Ensure database is connected
+      if (!dbConnection.isReady()) {
+        await dbConnection.initialize();
+      }
+
+      if (!interaction.member?.permissions.has(PermissionFlagsBits.ManageGuild)) {
+        throw new Error('You need the Manage Server permission to manage command permissions.');
+      }
+
+      const subcommand = interaction.options.getSubcommand();
+      const guildId = interaction.guild.id;
+      let embed;
+
+      if (subcommand === 'list') {
+        embed = await this.buildAuditEmbed(interaction);
+      } else {
+        const policy = this.readPolicy(interaction);
+        const description = `${this.formatTarget(policy)} for ${this.formatSubject(policy)}`;
+
+        if (subcommand === 'clear') {
+          const removed = await this.repository.removePolicy(guildId, policy);
+          embed = new EmbedBuilder()
+            .setColor(0x5865F2)
+            .setTitle('🧹 Policy Cleared')
+            .setDescription(removed ? `Removed the policy on ${description}.` : `There was no policy on ${description}.`);
+        } else {
+          policy.effect = subcommand;
+          await this.repository.setPolicy(guildId, policy, interaction.user.id);
+          embed = new EmbedBuilder()
+            .setColor(subcommand === 'allow' ? 0x00FF00 : 0xFF6B6B)
+            .setTitle(subcommand === 'allow' ? '✅ Policy Set: Allow' : '⛔ Policy Set: Deny')
+            .setDescription(`${subcommand === 'allow' ? 'Allowed' : 'Denied'} ${description}.`)
+            .setFooter({ text: 'Command policies win over category policies. Administrators are never restricted.' });
+        }
+      }
+
+      embed.setTimestamp();
+      await interaction.reply({ embeds: [embed], ephemeral: true });
+
+      this.logUsage(interaction, 'completed', { action: subcommand });
+    } catch (error) {
+      this.logUsage(interaction, 'failed', { error: error.message });
+
+      const errorEmbed = new EmbedBuilder()
+        .setColor(0xFF0000)
+        .setTitle('❌ Permissions Error')
+        .setDescription(error.message)
+        .setTimestamp();
+
+      if (interaction.replied || interaction.deferred) {
+        await interaction.editReply({ embeds: [errorEmbed] });
+      } else {
+        await interaction.reply({ embeds: [errorEmbed], ephemeral: true });
+      }
+    }
+  }
+
+  async autocomplete(interaction) {
+    const focused = interaction.options.getFocused().toLowerCase();
+    const names = [...(interaction.client.bot?.commands?.keys() || [])]
+      .filter(name => name !== this.name && name.includes(focused))
+      .sort()
+      .slice(0, 25);
+
+    await interaction.respond(names.map(name => ({ name: `/${name}`, value: name })));
+  }
+
+  /**
+   * Read the target (command or category) and subject (role or channel) options
+   * @returns {Object} - { targetType, target, subjectType, subjectId }
+   */
+  readPolicy(interaction) {
+    const commandName = interaction.options.getString('command')?.trim().replace(/^\//, '').toLowerCase();
+    const category = interaction.options.getString('category');
+    const role = interaction.options.getRole('role');
+    const channel = interaction.options.getChannel('channel');
+
+    if (Boolean(commandName) === Boolean(category)) {
+      throw new Error('Pick either a command or a category.');
+    }
+
+    if (Boolean(role) === Boolean(channel)) {
+      throw new Error('Pick either a role or a channel.');
+    }
+
+    if (commandName) {
+      if (commandName === this.name) {
+        throw new Error('`/permissions` cannot be restricted.');
+      }
+
+      const commands = interaction.client.bot?.commands;
+      if (commands && !commands.has(commandName)) {
+        throw new Error(`There is no \`/${commandName}\` command.`);
+      }
+    }
+
+    return {
+      targetType: commandName ? 'command' : 'category',
+      target: commandName || category,
+      subjectType: role ? 'role' : 'channel',
+      subjectId: (role || channel).id
+    };
+  }
+
+  /**
+   * Audit view: every policy with who set it and when
+   */
+  async buildAuditEmbed(interaction) {
+    const policies = await this.repository.getPolicies(interaction.guild.id);
+
+    const lines = policies.map(policy => {
+      const setAt = Math.floor(new Date(policy.created_at).getTime() / 1000);
+      const target = this.formatTarget({ targetType: policy.target_type, target: policy.target });
+      const subject = this.formatSubject({ subjectType: policy.subject_type, subjectId: policy.subject_id });
+      return `${policy.effect === 'allow' ? '✅' : '⛔'} ${target} → ${subject} · by <@${policy.created_by}> <t:${setAt}:R>`;
+    });
+
+    const embed = new EmbedBuilder()
+      .setColor(0x5865F2)
+      .setTitle('🔐 Command Permission Policies')
+      .setDescription(lines.length > 0
+        ? lines.join('\n').slice(0, 4000)
+        : 'No policies set. Every command follows its built-in permissions.');
+
+    if (lines.length > 0) {
+      embed.setFooter({ text: `${lines.length} ${lines.length === 1 ? 'policy' : 'policies'} · command policies win over category policies` });
+    }
+
+    return embed;
+  }
+
+  formatTarget({ targetType, target }) {
+    return targetType === 'command' ? `\`/${target}\`` : `the **${target}** category`;
+  }
+
+  formatSubject({ subjectType, subjectId }) {
+    return subjectType === 'role' ? `<@&${subjectId}>` : `<#${subjectId}>`;
+  }
+}
+
+module.exports = PermissionsCommand;
@@ -0,0 +1,106 @@
+const { EmbedBuilder, PermissionFlagsBits } = require('discord.js');
+const BaseCommand = require('../BaseCommand');
+
+const STATUS_LABELS = {
+  created: '🆕 Registered',
+  updated: '🔄 Updated',
+  unchanged: '✅ Reloaded (definition unchanged)',
+  failed: '❌ Failed to load',
+  rolled_back: '↩️ Rolled back'
+};
+
+class ReloadCommand extends BaseCommand {
+  constructor() {
+    super('reload', 'Reload command code from disk and push changed slash commands (Admin only)', {
+      category: 'admin',
+      adminOnly: true,
+      permissions: [PermissionFlagsBits.Administrator],
+      cooldown: 10
+    });
+
+    this.data.addStringOption(option =>
+      option.setName('command')
+        .setDescription('Command to reload (all commands if omitted)')
+        .setRequired(false)
+        .setAutocomplete(true)
+    );
+  }
+
+  async execute(interaction) {
+    try {
+      const bot = interaction.client.bot;
+      if (!bot) {
+        throw new Error('Reloading is not available right now.');
+      }
+
+      const commandName = interaction.options.getString('command')?.trim().replace(/^\//, '').toLowerCase();
+      if (commandName && !bot.commands.has(commandName)) {
+        throw new Error(`There is no /${commandName} command.`);
+      }
+
+      await interaction.deferReply({ ephemeral: true });
+
+      const results = await bot.reloadCommands(commandName ? [commandName] : null);
+      const problems = results.filter(result => result.error);
+
+      const embed = new EmbedBuilder()
+        .setColor(problems.length > 0 ? 0xFFA500 : 0x00FF00)
+        .setTitle(problems.length > 0 ? '⚠️ Reload Finished With Errors' : '✅ Commands Reloaded')
+        .setDescription(this.formatResults(results))
+        .setFooter({ text: `Slash commands: ${bot.getCommandRegistrar().scope}` })
+        .setTimestamp();
+
+      for (const { name, status, error } of problems.slice(0, 10)) {
+        embed.addFields({ name: `/${name} — ${STATUS_LABELS[status]}`, value: error.slice(0, 1024) });
+      }
+
+      await interaction.editReply({ embeds: [embed] });
+      this.logUsage(interaction, 'completed', { command: commandName || 'all', problems: problems.length });
+    } catch (error) {
+      this.logUsage(interaction, 'failed', { error: error.message });
+
+      const errorEmbed = new EmbedBuilder()
+        .setColor(0xFF0000)
+        .setTitle('❌ Reload Error')
+        .setDescription(error.message)
+        .setTimestamp();
+
+      if (interaction.replied || interaction.deferred) {
+        await interaction.editReply({ embeds: [errorEmbed] });
+      } else {
+        await interaction.reply({ embeds: [errorEmbed], ephemeral: true });
+      }
+    }
+  }
+
+  async autocomplete(interaction) {
+    const focused = interaction.options.getFocused().toLowerCase();
+    const names = [...(interaction.client.bot?.commands?.keys() || [])]
+      .filter(name => name.includes(focused))
+      .sort()
+      .slice(0, 25);
+
+    await interaction.respond(names.map(name => ({ name: `/${name}`, value: name })));
+  }
+
+  /**
+   * Summarize reload results as one line per status
+   * @param {Array<Object>} results - Results from DiscordBot#reloadCommands
+   */
+  formatResults(results) {
+    if (results.length === 0) {
+      return 'No commands were reloaded.';
+    }
+
+    return Object.entries(STATUS_LABELS)
+      .map(([status, label]) => {
+        const names = results.filter(result => result.status === status).map(result => `/${result.name}`);
+        return names.length > 0 ? `**${label}:** ${names.join(', ')}` : null;
+      })
+      .filter(Boolean)
+      .join('\n')
+      .slice(0, 4096);
+  }
+}
+
+module.exports = ReloadCommand;
@@ -0,0 +1,72 @@
+const { EmbedBuilder, PermissionFlagsBits } = require('discord.js');
+const BaseCommand = require('../BaseCommand');
+const GuildSetupWizard = require('../../modules/admin/GuildSetupWizard');
+const dbConnection = require('../../database/connection');
+
+class SetupCommand extends BaseCommand {
+  constructor() {
+    super('setup', 'Set up sports channels, the lobby catalog, lobby defaults, the timezone and language', {
+      category: 'admin',
+      guildOnly: true,
+      cooldown: 5
+    });
+
+    this.wizard = new GuildSetupWizard();
+  }
+
+  async execute(interaction) {
+    try {
+      // Ensure database is connected
+      if (!dbConnection.isReady()) {
+        await dbConnection.initialize();
+      }
+
+      if (!interaction.member?.permissions.has(PermissionFlagsBits.ManageGuild)) {
+        throw new Error('You need the Manage Server permission to run setup.');
+      }
+
+      const step = await this.wizard.render(interaction.guild, 'sports');
+
+      await interaction.reply({ ...step, ephemeral: true });
+      this.logUsage(interaction, 'completed');
+    } catch (error) {
+      this.logUsage(interaction, 'failed', { error: error.message });
+
+      const errorEmbed = new EmbedBuilder()
+        .setColor(0xFF0000)
+        .setTitle('❌ Setup Error')
+        .setDescription(error.message)
+        .setTimestamp();
+
+      if (interaction.replied || interaction.deferred) {
+        await interaction.editReply({ embeds: [errorEmbed] });
+      } else {
+        await interaction.reply({ embeds: [errorEmbed], ephemeral: true });
+      }
+    }
+  }
+
+  getComponents() {
+    const permissions = ['ManageGuild'];
+    const wizard = this.wizard;
+
+    return [
+      {
+        component: GuildSetupWizard.STEP_BUTTON,
+        permissions,
+        handle: (interaction, params, { voiceChannelManager }) => wizard.handleStep(interaction, params, voiceChannelManager)
+      },
+      { component: GuildSetupWizard.SPORT_SELECT, permissions, handle: interaction => wizard.handleSportSelect(interaction) },
+      { component: GuildSetupWizard.SPORT_CHANNEL_SELECT, permissions, handle: (interaction, params) => wizard.handleSportChannel(interaction, params) },
+      { component: GuildSetupWizard.CATALOG_CHANNEL_SELECT, permissions, handle: interaction => wizard.handleCatalogChannel(interaction) },
+      { component: GuildSetupWizard.LOBBY_DEFAULTS_BUTTON, permissions, handle: interaction => wizard.handleLobbyDefaultsButton(interaction) },
+      { component: GuildSetupWizard.LOBBY_DEFAULTS_MODAL, permissions, handle: interaction => wizard.handleLobbyDefaultsModal(interaction) },
+      { component: GuildSetupWizard.TIMEZONE_SELECT, permissions, handle: interaction => wizard.handleTimezoneSelect(interaction) },
+      { component: GuildSetupWizard.TIMEZONE_BUTTON, permissions, handle: interaction => wizard.handleTimezoneButton(interaction) },
+      { component: GuildSetupWizard.TIMEZONE_MODAL, permissions, handle: interaction => wizard.handleTimezoneModal(interaction) },
+      { component: GuildSetupWizard.LANGUAGE_SELECT, permissions, handle: interaction => wizard.handleLanguageSelect(interaction) }
+    ];
+  }
+}
+
+module.exports = SetupCommand;
@@ -0,0 +1,112 @@
+const { EmbedBuilder } = require('discord.js');
+const BaseCommand = require('../BaseCommand');
+const dbConnection = require('../../database/connection');
+
+class CoLeaderCommand extends BaseCommand {
+  constructor() {
+    super('co-leader', 'Promote or demote lobby co-leaders (leader only)', {
+      category: 'gaming',
+      guildOnly: true,
+      cooldown: 3
+    });
+
+    const addTargetOptions = subcommand => subcommand
+      .addUserOption(option =>
+        option.setName('player')
+          .setDescription('The lobby member')
+          .setRequired(true)
+      )
+      .addStringOption(option =>
+        option.setName('game')
+          .setDescription('The game lobby (optional if you only lead one lobby)')
+          .setRequired(false)
+          .setMaxLength(100)
+      );
+
+    this.data
+      .addSubcommand(subcommand =>
+        addTargetOptions(subcommand.setName('promote')
+          .setDescription('Let a member invite, kick and move players'))
+      )
+      .addSubcommand(subcommand =>
+        addTargetOptions(subcommand.setName('demote')
+          .setDescription('Return a co-leader to a regular member'))
+      );
+  }
+
+  async execute(interaction) {
+    try {
+      // Shared managers from the bot's service container
+      const lobbyManager = this.getService(interaction, 'lobbyManager');
+      const partyLeaderManager = this.getService(interaction, 'partyLeaderManager');
+
+      // Ensure database is connected
+      if (!dbConnection.isReady()) {
+        await dbConnection.initialize();
+      }
+
+      await interaction.deferReply();
+
+      const subcommand = interaction.options.getSubcommand();
+      const targetUser = interaction.options.getUser('player');
+      const gameType = interaction.options.getString('game');
+      const userId = interaction.user.id;
+
+      const lobby = await lobbyManager.findLobbyWithCapability(
+        userId,
+        'promote_members',
+        gameType,
+        `/co-leader ${subcommand} player:@${targetUser.username} game:GameName`
+      );
+
+      let embed;
+
+      if (subcommand === 'promote') {
+        await partyLeaderManager.promoteToCoLeader(lobby.id, userId, targetUser.id);
+
+        embed = new EmbedBuilder()
+          .setColor(0x00FF00)
+          .setTitle('⭐ Co-Leader Promoted')
+          .setDescription(`<@${targetUser.id}> is now a co-leader of the **${lobby.gameType}** lobby.`)
+          .addFields({
+            name: '📋 Co-Leader Capabilities',
+            value: '• Invite players\n• Kick regular members\n• Move members into the voice channel'
+          });
+      } else {
+        await partyLeaderManager.demoteCoLeader(lobby.id, userId, targetUser.id);
+
+        embed = new EmbedBuilder()
+          .setColor(0xFFAA00)
+          .setTitle('👤 Co-Leader Demoted')
+          .setDescription(`<@${targetUser.id}> is now a regular member of the **${lobby.gameType}** lobby.`);
+      }
+
+      embed.setTimestamp();
+
+      await interaction.editReply({ embeds: [embed] });
+
+      this.logUsage(interaction, 'completed', {
+        action: subcommand,
+        lobbyId: lobby.id,
+        targetUserId: targetUser.id
+      });
+
+    } catch (error) {
+      this.logUsage(interaction, 'failed', { error: error.message });
+
+      const errorEmbed = new EmbedBuilder()
+        .setColor(0xFF0000)
+        .setTitle('❌ Co-Leader Update Failed')
+        .setDescription(error.message)
+        .setTimestamp();
+
+      if (interaction.deferred) {
+        await interaction.editReply({ embeds: [errorEmbed] });
+      } else {
+        await interaction.reply({ embeds: [errorEmbed], ephemeral: true });
+      }
+    }
+  }
+}
+
+module.exports = CoLeaderCommand;
@@ -1,7 +1,8 @@
 const { EmbedBuilder } = require('discord.js');
 const BaseCommand = require('../BaseCommand');
-const LobbyManager = require('../../modules/gaming/LobbyManager');
-const VoiceChannelManager = require('../../modules/gaming/VoiceChannelManager');
+const LobbyScheduler = require('../../modules/gaming/LobbyScheduler');
+const LobbyTemplateManager = require('../../modules/gaming/LobbyTemplateManager');
+const ServerConfigRepository = require('../../database/repositories/ServerConfigRepository');
 const dbConnection = require('../../database/connection');
 const logger = require('../../utils/logger');
 
@@ -17,48 +18,115 @@ class CreateLobbyCommand extends BaseCommand {
     this.data
       .addStringOption(option =>
         option.setName('game')
-          .setDescription('The game you want to play')
-          .setRequired(true)
+          .setDescription('The game you want to play (optional when using a template)')
+          .setRequired(false)
           .setMaxLength(100)
       )
+      .addStringOption(option =>
+        option.setName('template')
+          .setDescription('Start from one of your saved or server lobby templates')
+          .setRequired(false)
+          .setAutocomplete(true)
+      )
       .addIntegerOption(option =>
         option.setName('max-players')
           .setDescription('Maximum number of players (default: 10)')
           .setMinValue(2)
           .setMaxValue(20)
           .setRequired(false)
+      )
+      .addStringOption(option =>
+        option.setName('start-time')
+          .setDescription('Schedule for later in server time, e.g. "in 2h", "20:30", "2025-06-01 19:00" or a Discord timestamp')
+          .setRequired(false)
+          .setMaxLength(50)
+      )
+      .addBooleanOption(option =>
+        option.setName('share-with-partners')
+          .setDescription('Also list this lobby in partnered servers\' catalogs (see /federation)')
+          .setRequired(false)
       );
 
-    // Initialize managers
-    this.lobbyManager = new LobbyManager();
-    this.voiceChannelManager = null; // Will be initialized with client
+    this.templateManager = new LobbyTemplateManager();
   }
 
   async execute(interaction) {
     try {
-      // Initialize voice channel manager with client
-      if (!this.voiceChannelManager) {
-        this.voiceChannelManager = new VoiceChannelManager(interaction.client);
-        this.lobbyManager.setClient(interaction.client);
-        this.lobbyManager.setVoiceChannelManager(this.voiceChannelManager);
-        this.voiceChannelManager.setLobbyManager(this.lobbyManager);
-      }
+      // Shared managers from the bot's service container
+      const lobbyManager = this.getService(interaction, 'lobbyManager');
+      const voiceChannelManager = this.getService(interaction, 'voiceChannelManager');
 
       // Ensure database is connected
       if (!dbConnection.isReady()) {
         await dbConnection.initialize();
       }
 
-      const gameType = interaction.options.getString('game');
-      const maxPlayers = interaction.options.getInteger('max-players') || 10;
       const userId = interaction.user.id;
       const guildId = interaction.guild.id;
 
+      // Explicit options override the template's saved settings
+      const templateInput = interaction.options.getString('template');
+      const template = templateInput
+        ? await this.templateManager.resolveTemplate(guildId, userId, templateInput)
+        : null;
+
+      if (templateInput && !template) {
+        throw new Error(`Template "${templateInput}" was not found. Use \`/lobby-template list\` to see your templates.`);
+      }
+
+      const gameType = interaction.options.getString('game') || template?.gameType;
+      if (!gameType) {
+        throw new Error('Please choose a game or a template.');
+      }
+
+      const maxPlayers = interaction.options.getInteger('max-players') || template?.maxPlayers || 10;
+      const startTimeInput = interaction.options.getString('start-time');
+
+      if (startTimeInput) {
+        await this.createScheduledLobby(interaction, gameType, maxPlayers, startTimeInput);
+        return;
+      }
+
+      const lobbyOptions = template ? template.toLobbyOptions() : { voiceOptions: {} };
+
       // Create the lobby with integrated voice channel and inactivity cleanup
-      const lobby = await this.lobbyManager.createLobbyWithVoice(guildId, userId, gameType, {
-        voiceOptions: { userLimit: maxPlayers }
+      let lobby = await lobbyManager.createLobbyWithVoice(guildId, userId, gameType, {
+        ...lobbyOptions,
+        maxPlayers,
+        isPublic: !template?.isPrivate() && !!interaction.options.getBoolean('share-with-partners'),
+        voiceOptions: { ...lobbyOptions.voiceOptions, userLimit: maxPlayers }
       });
 
+      const invitedIds = template ? await this.inviteTemplatePlayers(interaction, lobby, template.inviteList) : [];
+      if (invitedIds.length > 0) {
+        // Reload so the catalog post shows the invited members
+        lobby = await lobbyManager.getLobby(lobby.id) || lobby;
+      }
+
+      // Private template lobbies stay out of the catalog; only invited players get access
+      if (template?.isPrivate()) {
+        const inviteText = invitedIds.length > 0
+          ? ` Invited: ${invitedIds.map(id => `<@${id}>`).join(' ')}.`
+          : ' Use `/invite-player` to add players.';
+        const voiceText = lobby.voiceChannelId ? ` Voice channel: <#${lobby.voiceChannelId}>.` : '';
+        const textText = lobby.textChannelId ? ` Text chat: <#${lobby.textChannelId}>.` : '';
+
+        await interaction.reply({
+          content: `🔒 Your private **${gameType}** lobby has been created from template **${template.name}**.${voiceText}${textText}${inviteText}`,
+          ephemeral: true
+        });
+
+        this.logUsage(interaction, 'completed', {
+          gameType,
+          maxPlayers,
+          lobbyId: lobby.id,
+          templateId: template.id,
+          privacy: 'private',
+          invitedCount: invitedIds.length
+        });
+        return;
+      }
+
       // Post lobby to catalog channel (this is the only response)
       const lobbyCatalogManager = require('../../utils/lobbyCatalogManager');
       let catalogMessage = null;
@@ -75,6 +143,8 @@ class CreateLobbyCommand extends BaseCommand {
         throw new Error('Failed to create lobby listing. Please try again.');
       }
 
+      await lobbyManager.setCatalogMessage(lobby.id, catalogMessage);
+
       // Send a simple ephemeral confirmation that the lobby was created
       await interaction.reply({
         content: `✅ Your **${gameType}** lobby has been created and posted to the lobby catalog! React with emojis on the lobby banner to customize your voice channel name.`,
@@ -102,7 +172,7 @@ class CreateLobbyCommand extends BaseCommand {
           catalogMessage,
           lobby.id,
           lobby.voiceChannelId,
-          this.voiceChannelManager,
+          voiceChannelManager,
           config.emoji.reactionTimeoutMinutes,
           userId // Pass the lobby owner's ID
         );
@@ -112,7 +182,10 @@ class CreateLobbyCommand extends BaseCommand {
         gameType, 
         maxPlayers, 
         lobbyId: lobby.id,
-        inactivityCleanup: true
+        templateId: template?.id || null,
+        invitedCount: invitedIds.length,
+        inactivityCleanup: true,
+        sharedWithPartners: lobby.isPublic
       });
 
     } catch (error) {
@@ -131,6 +204,152 @@ class CreateLobbyCommand extends BaseCommand {
       }
     }
   }
+
+  /**
+   * Add a template's default invite list to a freshly created lobby and DM each player.
+   * Players that can't be added (e.g. lobby full) are skipped.
+   * @param {CommandInteraction} interaction - The Discord interaction
+   * @param {Lobby} lobby - The new lobby
+   * @param {string[]} inviteList - User IDs to invite
+   * @returns {Promise<string[]>} - IDs of players that were added
+   */
+  async inviteTemplatePlayers(interaction, lobby, inviteList) {
+    const partyLeaderManager = this.getService(interaction, 'partyLeaderManager');
+    const volatileDM = require('../../utils/volatileDM');
+    const config = require('../../config');
+
+    const invitedIds = await partyLeaderManager.inviteUsers(lobby.id, lobby.leaderId, inviteList);
+
+    for (const targetUserId of invitedIds) {
+      try {
+        const targetUser = await interaction.client.users.fetch(targetUserId);
+        const dmEmbed = new EmbedBuilder()
+          .setColor(0x0099FF)
+          .setTitle('🎮 You\'ve Been Invited to a Gaming Lobby!')
+          .setDescription(`<@${lobby.leaderId}> has invited you to join their **${lobby.gameType}** lobby in **${interaction.guild.name}**!`);
+
+        if (lobby.voiceChannelId) {
+          dmEmbed.addFields({
+            name: '🔊 Voice Channel',
+            value: `You now have access to the voice channel. Head back to the server and join <#${lobby.voiceChannelId}>!`
+          });
+        }
+
+        dmEmbed.addFields({
+          name: '⏰ Auto-Delete',
+          value: `This message will automatically delete in ${config.dm.volatileDeleteMinutes} minutes to keep your DMs clean.`
+        })
+        .setTimestamp();
+
+        await volatileDM.sendVolatileDM(targetUser, { embeds: [dmEmbed] }, config.dm.volatileDeleteMinutes);
+      } catch (dmError) {
+        logger.debug('Failed to send template invite DM', { targetUserId, error: dmError.message });
+      }
+    }
+
+    return invitedIds;
+  }
+
+  async autocomplete(interaction) {
+    try {
+      // Ensure database is connected
+      if (!dbConnection.isReady()) {
+        await dbConnection.initialize();
+      }
+
+      const choices = await this.templateManager.getAutocompleteChoices(
+        interaction.guild.id,
+        interaction.user.id,
+        interaction.options.getFocused()
+      );
+
+      await interaction.respond(choices);
+    } catch (error) {
+      // If autocomplete fails, just return empty array
+      await interaction.respond([]);
+    }
+  }
+
+  /**
+   * Catalog post controls: join requests, RSVPs and the leader's approve/decline DM
+   */
+  getComponents() {
+    const lobbyCatalogManager = require('../../utils/lobbyCatalogManager');
+    const { joinRequest, rsvp, joinResponse } = lobbyCatalogManager.components;
+
+    return [
+      {
+        component: joinRequest,
+        requires: ['lobbyManager'],
+        handle: (interaction, { lobbyId }, { lobbyManager }) =>
+          lobbyCatalogManager.handleJoinRequest(interaction, lobbyManager, lobbyId)
+      },
+      {
+        component: rsvp,
+        requires: ['lobbyManager'],
+        handle: (interaction, { lobbyId, response }, { lobbyManager }) =>
+          lobbyCatalogManager.handleRsvp(interaction, lobbyManager, lobbyId, response)
+      },
+      {
+        component: joinResponse,
+        requires: ['lobbyManager', 'voiceChannelManager'],
+        handle: (interaction, { action, requestId }, { lobbyManager, voiceChannelManager }) =>
+          lobbyCatalogManager.handleJoinResponse(interaction, lobbyManager, voiceChannelManager, action, requestId)
+      }
+    ];
+  }
+
+  /**
+   * Create a lobby that opens at a future start time and collect RSVPs on the catalog post
+   * @param {CommandInteraction} interaction - The Discord interaction
+   * @param {string} gameType - Game name
+   * @param {number} maxPlayers - Maximum number of players
+   * @param {string} startTimeInput - Raw start time option value
+   */
+  async createScheduledLobby(interaction, gameType, maxPlayers, startTimeInput) {
+    const timezone = await new ServerConfigRepository().getTimezone(interaction.guild.id);
+    const startTime = LobbyScheduler.parseStartTime(startTimeInput, new Date(), timezone);
+    if (!startTime) {
+      throw new Error(`Couldn't understand start time "${startTimeInput}". Try "in 2h", "20:30", "2025-06-01 19:00" (${timezone}) or a Discord timestamp.`);
+    }
+
+    const lobbyManager = this.getService(interaction, 'lobbyManager');
+
+    const lobby = await lobbyManager.createScheduledLobby(
+      interaction.guild.id,
+      interaction.user.id,
+      gameType,
+      startTime,
+      { maxPlayers }
+    );
+
+    const lobbyCatalogManager = require('../../utils/lobbyCatalogManager');
+    let catalogMessage;
+
+    try {
+      const rsvps = await lobbyManager.getRsvps(lobby.id);
+      catalogMessage = await lobbyCatalogManager.postScheduledLobbyToCatalog(interaction.guild, lobby, rsvps);
+    } catch (catalogError) {
+      logger.error('Failed to post scheduled lobby to catalog:', catalogError);
+      await lobbyManager.disbandLobby(lobby.id);
+      throw new Error('Failed to create lobby listing. Please try again.');
+    }
+
+    await lobbyManager.setCatalogMessage(lobby.id, catalogMessage);
+
+    const startUnix = Math.floor(startTime.getTime() / 1000);
+    await interaction.reply({
+      content: `📅 Your **${gameType}** lobby is scheduled for <t:${startUnix}:F> (<t:${startUnix}:R>) and posted to the lobby catalog for RSVPs. The voice channel will open at the start time.`,
+      ephemeral: true
+    });
+
+    this.logUsage(interaction, 'completed', {
+      gameType,
+      maxPlayers,
+      lobbyId: lobby.id,
+      scheduledStart: lobby.scheduledStart
+    });
+  }
 }
 
 module.exports = CreateLobbyCommand;
\ No newline at end of file
@@ -1,8 +1,5 @@
 const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
 const BaseCommand = require('../BaseCommand');
-const PartyLeaderManager = require('../../modules/gaming/PartyLeaderManager');
-const LobbyManager = require('../../modules/gaming/LobbyManager');
-const VoiceChannelManager = require('../../modules/gaming/VoiceChannelManager');
 const dbConnection = require('../../database/connection');
 
 class DisbandLobbyCommand extends BaseCommand {
@@ -21,25 +18,13 @@ class DisbandLobbyCommand extends BaseCommand {
           .setRequired(false)
           .setMaxLength(100)
       );
-
-    this.lobbyManager = new LobbyManager();
-    this.voiceChannelManager = null;
-    this.partyLeaderManager = null;
   }
 
-
-
   async execute(interaction) {
     try {
-      // Initialize managers
-      if (!this.voiceChannelManager) {
-        this.voiceChannelManager = new VoiceChannelManager(interaction.client);
-        this.lobbyManager.setClient(interaction.client);
-        this.lobbyManager.setVoiceChannelManager(this.voiceChannelManager);
-      }
-      if (!this.partyLeaderManager) {
-        this.partyLeaderManager = new PartyLeaderManager(this.lobbyManager, this.voiceChannelManager);
-      }
+      // Shared managers from the bot's service container
+      const lobbyManager = this.getService(interaction, 'lobbyManager');
+      const partyLeaderManager = this.getService(interaction, 'partyLeaderManager');
 
       // Ensure database is connected
       if (!dbConnection.isReady()) {
@@ -51,36 +36,18 @@ class DisbandLobbyCommand extends BaseCommand {
       await interaction.deferReply({ ephemeral: true });
 
       const gameType = interaction.options.getString('game');
-      let targetLobby;
-
-      if (gameType) {
-        // Specific game provided
-        targetLobby = await this.lobbyManager.findLobbyByGameAndLeader(userId, gameType);
-
-        if (!targetLobby) {
-          throw new Error(`No active ${gameType} lobby found where you are the leader`);
-        }
-      } else {
-        // No game specified - find user's lobbies and auto-select
-        const userLedLobbies = await this.lobbyManager.getUserLedLobbies(userId);
-
-        if (userLedLobbies.length === 0) {
-          throw new Error('You are not currently leading any lobbies. Create one first with `/create-lobby`');
-        } else if (userLedLobbies.length === 1) {
-          // Only one lobby - use it automatically
-          targetLobby = userLedLobbies[0];
-        } else {
-          // Multiple lobbies - require game specification
-          const gameList = userLedLobbies.map(lobby => `• ${lobby.gameType}`).join('\n');
-          throw new Error(`You are leading multiple lobbies. Please specify which game:\n${gameList}\n\nUse: \`/disband-lobby game:GameName\``);
-        }
-      }
+      const targetLobby = await lobbyManager.findLobbyWithCapability(
+        userId,
+        'disband_lobby',
+        gameType,
+        '/disband-lobby game:GameName'
+      );
 
       const gameTypeName = targetLobby.gameType;
       const memberCount = targetLobby.getMemberCount();
 
       // Disband the lobby (this will handle voice channel deletion)
-      await this.partyLeaderManager.disbandLobby(targetLobby.id, userId);
+      await partyLeaderManager.disbandLobby(targetLobby.id, userId);
 
       // Create success embed
       const embed = new EmbedBuilder()
@@ -0,0 +1,131 @@
+const { EmbedBuilder, PermissionFlagsBits } = require('discord.js');
+const BaseCommand = require('../BaseCommand');
+const lobbyCatalogManager = require('../../utils/lobbyCatalogManager');
+const dbConnection = require('../../database/connection');
+
+class FederationCommand extends BaseCommand {
+  constructor() {
+    super('federation', 'Share public lobbies with partnered servers', {
+      category: 'gaming',
+      guildOnly: true,
+      cooldown: 5
+    });
+
+    this.data
+      .addSubcommand(subcommand =>
+        subcommand.setName('link')
+          .setDescription('Link this server to a partner (active once they link back)')
+          .addStringOption(option =>
+            option.setName('server-id')
+              .setDescription('ID of the partner server')
+              .setRequired(true)
+              .setMaxLength(20)
+          )
+      )
+      .addSubcommand(subcommand =>
+        subcommand.setName('unlink')
+          .setDescription('Stop sharing lobbies with a partner server')
+          .addStringOption(option =>
+            option.setName('server-id')
+              .setDescription('ID of the partner server')
+              .setRequired(true)
+              .setMaxLength(20)
+          )
+      )
+      .addSubcommand(subcommand =>
+        subcommand.setName('status')
+          .setDescription('Show partnered servers and pending links')
+      );
+  }
+
+  async execute(interaction) {
+    try {
+      // Ensure database is connected
+      if (!dbConnection.isReady()) {
+        await dbConnection.initialize();
+      }
+
+      const subcommand = interaction.options.getSubcommand();
+      const federationManager = lobbyCatalogManager.getFederationManager();
+      const guildId = interaction.guild.id;
+
+      if (subcommand !== 'status' && !interaction.member?.permissions.has(PermissionFlagsBits.ManageGuild)) {
+        throw new Error('You need the Manage Server permission to change server partnerships.');
+      }
+
+      let embed;
+
+      if (subcommand === 'link') {
+        const partnerGuildId = interaction.options.getString('server-id').trim();
+        const { active, created } = await federationManager.linkGuild(guildId, partnerGuildId, interaction.user.id, interaction.client);
+        const partnerName = this.getGuildName(interaction.client, partnerGuildId);
+
+        embed = new EmbedBuilder()
+          .setColor(active ? 0x00FF00 : 0xFFAA00)
+          .setTitle(active ? '🌐 Servers Partnered' : '⏳ Partnership Requested')
+          .setDescription(active
+            ? `Public lobbies are now shared between this server and **${partnerName}**.`
+            : `${created ? 'Linked' : 'Already linked'} to **${partnerName}**. Sharing starts once an admin there runs \`/federation link server-id:${guildId}\`.`);
+      } else if (subcommand === 'unlink') {
+        const partnerGuildId = interaction.options.getString('server-id').trim();
+        await federationManager.unlinkGuild(guildId, partnerGuildId, interaction.client);
+
+        embed = new EmbedBuilder()
+          .setColor(0xFF6B6B)
+          .setTitle('🔌 Partnership Ended')
+          .setDescription(`Lobbies are no longer shared with **${this.getGuildName(interaction.client, partnerGuildId)}**, and mirrored posts have been removed.`);
+      } else {
+        embed = await this.buildStatusEmbed(interaction, federationManager);
+      }
+
+      embed.setTimestamp();
+      await interaction.reply({ embeds: [embed], ephemeral: true });
+
+      this.logUsage(interaction, 'completed', { action: subcommand });
+    } catch (error) {
+      this.logUsage(interaction, 'failed', { error: error.message });
+
+      const errorEmbed = new EmbedBuilder()
+        .setColor(0xFF0000)
+        .setTitle('❌ Federation Error')
+        .setDescription(error.message)
+        .setTimestamp();
+
+      if (interaction.replied || interaction.deferred) {
+        await interaction.editReply({ embeds: [errorEmbed] });
+      } else {
+        await interaction.reply({ embeds: [errorEmbed], ephemeral: true });
+      }
+    }
+  }
+
+  /**
+   * List partners and pending links in both directions
+   */
+  async buildStatusEmbed(interaction, federationManager) {
+    const status = await federationManager.getFederationStatus(interaction.guild.id);
+    const formatList = ids => ids.length > 0
+      ? ids.map(id => `• ${this.getGuildName(interaction.client, id)} (\`${id}\`)`).join('\n')
+      : 'None';
+
+    return new EmbedBuilder()
+      .setColor(0x5865F2)
+      .setTitle('🌐 Lobby Federation')
+      .setDescription('Lobbies created with `share-with-partners` are listed in every partner server\'s lobby catalog.')
+      .addFields(
+        { name: '🤝 Partners', value: formatList(status.partners), inline: false },
+        { name: '📤 Waiting for Them', value: formatList(status.outgoing), inline: true },
+        { name: '📥 Waiting for You', value: formatList(status.incoming), inline: true }
+      )
+      .setFooter({ text: `This server's ID: ${interaction.guild.id}` });
+  }
+
+  /**
+   * Display name for a guild the bot may or may not be in
+   */
+  getGuildName(client, guildId) {
+    return client.guilds.cache.get(guildId)?.name || guildId;
+  }
+}
+
+module.exports = FederationCommand;
@@ -0,0 +1,131 @@
+const { EmbedBuilder } = require('discord.js');
+const BaseCommand = require('../BaseCommand');
+const LobbyStatsManager = require('../../modules/gaming/LobbyStatsManager');
+const dbConnection = require('../../database/connection');
+
+const MEDALS = ['🥇', '🥈', '🥉'];
+
+class GamingStatsCommand extends BaseCommand {
+  constructor() {
+    super('gaming-stats', 'View lobby play history: most-played games, hours played and teammates', {
+      category: 'gaming',
+      guildOnly: true,
+      cooldown: 5
+    });
+
+    this.data
+      .addSubcommand(subcommand =>
+        subcommand.setName('user')
+          .setDescription('Gaming stats for you or another player')
+          .addUserOption(option =>
+            option.setName('player')
+              .setDescription('Player to view (defaults to you)')
+              .setRequired(false)
+          )
+      )
+      .addSubcommand(subcommand =>
+        subcommand.setName('leaderboard')
+          .setDescription('Most active players and games in this server')
+      );
+
+    this.statsManager = new LobbyStatsManager();
+  }
+
+  async execute(interaction) {
+    try {
+      // Ensure database is connected
+      if (!dbConnection.isReady()) {
+        await dbConnection.initialize();
+      }
+
+      await interaction.deferReply();
+
+      const subcommand = interaction.options.getSubcommand();
+      const embed = subcommand === 'leaderboard'
+        ? await this.buildLeaderboardEmbed(interaction)
+        : await this.buildUserEmbed(interaction);
+
+      await interaction.editReply({ embeds: [embed] });
+
+      this.logUsage(interaction, 'completed', { action: subcommand });
+    } catch (error) {
+      this.logUsage(interaction, 'failed', { error: error.message });
+
+      const errorEmbed = new EmbedBuilder()
+        .setColor(0xFF0000)
+        .setTitle('❌ Error Getting Gaming Stats')
+        .setDescription(error.message)
+        .setTimestamp();
+
+      if (interaction.deferred) {
+        await interaction.editReply({ embeds: [errorEmbed] });
+      } else {
+        await interaction.reply({ embeds: [errorEmbed], ephemeral: true });
+      }
+    }
+  }
+
+  /**
+   * Stats for a single player
+   */
+  async buildUserEmbed(interaction) {
+    const player = interaction.options.getUser('player') || interaction.user;
+    const stats = await this.statsManager.getUserStats(interaction.guild.id, player.id);
+
+    const embed = new EmbedBuilder()
+      .setColor(0x0099FF)
+      .setTitle(`🎮 Gaming Stats for ${player.username}`)
+      .setTimestamp();
+
+    if (stats.sessions === 0) {
+      return embed.setDescription(`<@${player.id}> hasn't played in any lobbies yet.`);
+    }
+
+    const gameLines = stats.games
+      .map((game, index) => `${MEDALS[index] || '•'} **${game.gameType}** — ${game.hoursPlayed}h over ${game.sessions} lobb${game.sessions === 1 ? 'y' : 'ies'}`)
+      .join('\n');
+
+    const teammateLines = stats.teammates
+      .map(teammate => `👥 <@${teammate.userId}> — ${teammate.sharedSessions} lobb${teammate.sharedSessions === 1 ? 'y' : 'ies'} together`)
+      .join('\n');
+
+    return embed
+      .addFields(
+        { name: '🕹️ Lobbies Played', value: `${stats.sessions}`, inline: true },
+        { name: '⏱️ Hours in Voice', value: `${stats.hoursPlayed}h`, inline: true },
+        { name: '🏆 Most Played Games', value: gameLines, inline: false },
+        { name: '🤝 Frequent Teammates', value: teammateLines || 'No teammates yet', inline: false }
+      );
+  }
+
+  /**
+   * Guild-wide leaderboard
+   */
+  async buildLeaderboardEmbed(interaction) {
+    const leaderboard = await this.statsManager.getLeaderboard(interaction.guild.id);
+
+    const embed = new EmbedBuilder()
+      .setColor(0xFFD700)
+      .setTitle(`🏆 ${interaction.guild.name} Gaming Leaderboard`)
+      .setTimestamp();
+
+    if (leaderboard.players.length === 0) {
+      return embed.setDescription('No lobbies have been played in this server yet.');
+    }
+
+    const playerLines = leaderboard.players
+      .map((player, index) => `${MEDALS[index] || `**${index + 1}.**`} <@${player.userId}> — ${player.hoursPlayed}h, ${player.sessions} lobb${player.sessions === 1 ? 'y' : 'ies'}`)
+      .join('\n');
+
+    const gameLines = leaderboard.games
+      .map(game => `🎯 **${game.gameType}** — ${game.sessions} lobb${game.sessions === 1 ? 'y' : 'ies'}`)
+      .join('\n');
+
+    return embed.addFields(
+      { name: '⏱️ Most Hours in Voice', value: playerLines, inline: false },
+      { name: '🎮 Most Played Games', value: gameLines, inline: false }
+    );
+  }
+}
+
+module.exports = GamingStatsCommand;
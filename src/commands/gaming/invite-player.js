@@ -1,14 +1,12 @@
 const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
 const BaseCommand = require('../BaseCommand');
-const LobbyManager = require('../../modules/gaming/LobbyManager');
-const VoiceChannelManager = require('../../modules/gaming/VoiceChannelManager');
 const PartyLeaderManager = require('../../modules/gaming/PartyLeaderManager');
 const dbConnection = require('../../database/connection');
 const config = require('../../config');
 
 class InvitePlayerCommand extends BaseCommand {
   constructor() {
-    super('invite-player', 'Invite a player to your lobby (leader only)', {
+    super('invite-player', 'Invite a player to your lobby (leader or co-leader)', {
       category: 'gaming',
       guildOnly: true,
       cooldown: 3
@@ -26,22 +24,13 @@ class InvitePlayerCommand extends BaseCommand {
           .setRequired(false)
           .setMaxLength(100)
       );
-
-    this.lobbyManager = new LobbyManager();
-    this.voiceChannelManager = null;
-    this.partyLeaderManager = null;
   }
 
   async execute(interaction) {
     try {
-      // Initialize managers
-      if (!this.voiceChannelManager) {
-        this.voiceChannelManager = new VoiceChannelManager(interaction.client);
-        this.lobbyManager.setVoiceChannelManager(this.voiceChannelManager);
-      }
-      if (!this.partyLeaderManager) {
-        this.partyLeaderManager = new PartyLeaderManager(this.lobbyManager, this.voiceChannelManager);
-      }
+      // Shared managers from the bot's service container
+      const lobbyManager = this.getService(interaction, 'lobbyManager');
+      const partyLeaderManager = this.getService(interaction, 'partyLeaderManager');
 
       // Ensure database is connected
       if (!dbConnection.isReady()) {
@@ -64,33 +53,16 @@ class InvitePlayerCommand extends BaseCommand {
         throw new Error('You cannot invite bots to lobbies');
       }
 
-      let lobby;
-
-      if (gameType) {
-        // Specific game provided
-        lobby = await this.lobbyManager.findLobbyByGameAndLeader(leaderId, gameType);
-        
-        if (!lobby) {
-          throw new Error(`No active ${gameType} lobby found where you are the leader. Create one first with \`/create-lobby\``);
-        }
-      } else {
-        // No game specified - find user's lobbies and auto-select
-        const userLedLobbies = await this.lobbyManager.getUserLedLobbies(leaderId);
-        
-        if (userLedLobbies.length === 0) {
-          throw new Error('You are not currently leading any lobbies. Create one first with `/create-lobby`');
-        } else if (userLedLobbies.length === 1) {
-          // Only one lobby - use it automatically
-          lobby = userLedLobbies[0];
-        } else {
-          // Multiple lobbies - require game specification
-          const gameList = userLedLobbies.map(l => `• ${l.gameType}`).join('\n');
-          throw new Error(`You are leading multiple lobbies. Please specify which game:\n${gameList}\n\nUse: \`/invite-player player:@${targetUser.username} game:GameName\``);
-        }
-      }
+      // Leaders and co-leaders can invite
+      const lobby = await lobbyManager.findLobbyWithCapability(
+        leaderId,
+        'invite_users',
+        gameType,
+        `/invite-player player:@${targetUser.username} game:GameName`
+      );
 
       // Use PartyLeaderManager to invite the user
-      const result = await this.partyLeaderManager.inviteUser(lobby.id, leaderId, targetUser.id);
+      const result = await partyLeaderManager.inviteUser(lobby.id, leaderId, targetUser.id);
 
       const gameTypeName = lobby.gameType;
 
@@ -127,10 +99,10 @@ class InvitePlayerCommand extends BaseCommand {
       const dmEmbed = new EmbedBuilder()
         .setColor(0x0099FF)
         .setTitle('🎮 You\'ve Been Invited to a Gaming Lobby!')
-        .setDescription(`<@${leaderId}> has invited you to join their **${gameTypeName}** lobby in **${interaction.guild.name}**!`)
+        .setDescription(`<@${leaderId}> has invited you to join a **${gameTypeName}** lobby in **${interaction.guild.name}**!`)
         .addFields(
           { name: '🎯 Game', value: gameTypeName, inline: true },
-          { name: '👑 Leader', value: `<@${leaderId}>`, inline: true },
+          { name: '👑 Leader', value: `<@${lobby.leaderId}>`, inline: true },
           { name: '🏠 Server', value: interaction.guild.name, inline: true }
         );
 
@@ -1,6 +1,6 @@
 const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
 const BaseCommand = require('../BaseCommand');
-const LobbyManager = require('../../modules/gaming/LobbyManager');
+const LobbyWaitlistManager = require('../../modules/gaming/LobbyWaitlistManager');
 const dbConnection = require('../../database/connection');
 
 class JoinLobbyCommand extends BaseCommand {
@@ -19,14 +19,15 @@ class JoinLobbyCommand extends BaseCommand {
           .setMaxLength(50)
       );
 
-    this.lobbyManager = new LobbyManager();
-
     // Enable autocomplete for lobby-id option
     this.data.options[0].setAutocomplete(true);
   }
 
   async execute(interaction) {
     try {
+      // Shared managers from the bot's service container
+      const lobbyManager = this.getService(interaction, 'lobbyManager');
+
       // Ensure database is connected
       if (!dbConnection.isReady()) {
         await dbConnection.initialize();
@@ -36,7 +37,7 @@ class JoinLobbyCommand extends BaseCommand {
       const requesterId = interaction.user.id;
 
       // Get the lobby to validate it exists and is active
-      const lobby = await this.lobbyManager.getLobby(lobbyId);
+      const lobby = await lobbyManager.getLobby(lobbyId);
       if (!lobby || !lobby.isActive()) {
         await interaction.reply({
           content: '❌ This lobby is no longer active or does not exist.',
@@ -63,6 +64,30 @@ class JoinLobbyCommand extends BaseCommand {
         return;
       }
 
+      const lobbyCatalogManager = require('../../utils/lobbyCatalogManager');
+
+      // Lobbies from other servers can only be joined through a federation partnership
+      const crossServer = lobby.guildId !== interaction.guild.id;
+      if (crossServer && !await lobbyCatalogManager.getFederationManager().canJoinFrom(lobby, interaction.guild.id)) {
+        await interaction.reply({
+          content: '❌ This lobby is no longer active or does not exist.',
+          ephemeral: true
+        });
+        return;
+      }
+
+      // Full lobbies queue the requester instead of pinging the leader
+      if (await lobbyManager.isLobbyFull(lobby)) {
+        await lobbyCatalogManager.replyWithWaitlistPosition(interaction, lobby, lobbyManager);
+
+        this.logUsage(interaction, 'waitlisted', {
+          lobbyId,
+          requesterId,
+          gameType: lobby.gameType
+        });
+        return;
+      }
+
       // Respond to the requester immediately to prevent timeout
       await interaction.reply({
         content: `📨 Sending join request to <@${lobby.leaderId}>...`,
@@ -71,20 +96,14 @@ class JoinLobbyCommand extends BaseCommand {
 
       // Use the lobby catalog manager to handle the join request
       // This duplicates the exact functionality of clicking the "Request to Join" button
-      const lobbyCatalogManager = require('../../utils/lobbyCatalogManager');
-      
-      // Create unique request ID (same format as button handler)
-      const requestId = `${lobbyId}_${requesterId}_${Date.now()}`;
-
-      // Store the request (same as button handler)
-      lobbyCatalogManager.pendingRequests.set(requestId, {
+      const requestId = lobbyCatalogManager.createJoinRequest({
         lobbyId,
         requesterId,
         requesterTag: interaction.user.tag,
         leaderId: lobby.leaderId,
         gameType: lobby.gameType,
         guildName: interaction.guild.name,
-        timestamp: Date.now()
+        crossServer
       });
 
       // Send DM to lobby leader asynchronously (same as button handler)
@@ -96,10 +115,12 @@ class JoinLobbyCommand extends BaseCommand {
           content: `📨 Join request sent to <@${lobby.leaderId}>! They will receive a DM to approve or decline your request.`
         });
       } catch (dmError) {
-        // If DM fails, update the response with error info
+        // If DM fails, the request is dropped, so say it was not delivered
         await interaction.editReply({
-          content: `⚠️ Join request created but failed to send DM to <@${lobby.leaderId}>. They may have DMs disabled. Your request is still pending.`
+          content: `⚠️ Couldn't send your join request to <@${lobby.leaderId}>. They may have DMs disabled, so ask them in the server instead.`
         });
+        this.logUsage(interaction, 'failed', { requestId, lobbyId, requesterId, error: dmError.message });
+        return;
       }
 
       this.logUsage(interaction, 'completed', {
@@ -132,6 +153,20 @@ class JoinLobbyCommand extends BaseCommand {
     }
   }
 
+  /**
+   * Waitlist slot offer and leave buttons
+   */
+  getComponents() {
+    return [
+      {
+        component: LobbyWaitlistManager.WAITLIST_BUTTON,
+        requires: ['lobbyManager'],
+        handle: (interaction, { action, lobbyId }, { lobbyManager }) =>
+          lobbyManager.getWaitlistManager().handleWaitlistButton(interaction, action, lobbyId)
+      }
+    ];
+  }
+
   async autocomplete(interaction) {
     try {
       // Ensure database is connected
@@ -0,0 +1,93 @@
+const { EmbedBuilder } = require('discord.js');
+const BaseCommand = require('../BaseCommand');
+const dbConnection = require('../../database/connection');
+
+class KickPlayerCommand extends BaseCommand {
+  constructor() {
+    super('kick-player', 'Remove a player from your lobby (leader or co-leader)', {
+      category: 'gaming',
+      guildOnly: true,
+      cooldown: 3
+    });
+
+    this.data
+      .addUserOption(option =>
+        option.setName('player')
+          .setDescription('The player to remove from your lobby')
+          .setRequired(true)
+      )
+      .addStringOption(option =>
+        option.setName('game')
+          .setDescription('The game lobby to remove them from (optional if you only manage one lobby)')
+          .setRequired(false)
+          .setMaxLength(100)
+      );
+  }
+
+  async execute(interaction) {
+    try {
+      // Shared managers from the bot's service container
+      const lobbyManager = this.getService(interaction, 'lobbyManager');
+      const partyLeaderManager = this.getService(interaction, 'partyLeaderManager');
+
+      // Ensure database is connected
+      if (!dbConnection.isReady()) {
+        await dbConnection.initialize();
+      }
+
+      await interaction.deferReply({ ephemeral: true });
+
+      const targetUser = interaction.options.getUser('player');
+      const gameType = interaction.options.getString('game');
+      const userId = interaction.user.id;
+
+      if (targetUser.id === userId) {
+        throw new Error('You cannot kick yourself. Use `/leave-lobby` instead');
+      }
+
+      const lobby = await lobbyManager.findLobbyWithCapability(
+        userId,
+        'kick_users',
+        gameType,
+        `/kick-player player:@${targetUser.username} game:GameName`
+      );
+
+      const result = await partyLeaderManager.kickUser(lobby.id, userId, targetUser.id);
+
+      const embed = new EmbedBuilder()
+        .setColor(0xFF6600)
+        .setTitle('👢 Player Removed')
+        .setDescription(`<@${targetUser.id}> has been removed from the **${lobby.gameType}** lobby.`)
+        .addFields(
+          { name: '🎯 Game', value: lobby.gameType, inline: true },
+          { name: '👥 Total Members', value: `${result.lobby ? result.lobby.getMemberCount() : 0}`, inline: true }
+        )
+        .setTimestamp();
+
+      await interaction.editReply({ embeds: [embed] });
+
+      this.logUsage(interaction, 'completed', {
+        lobbyId: lobby.id,
+        gameType: lobby.gameType,
+        targetUserId: targetUser.id
+      });
+
+    } catch (error) {
+      this.logUsage(interaction, 'failed', { error: error.message });
+
+      const errorEmbed = new EmbedBuilder()
+        .setColor(0xFF0000)
+        .setTitle('❌ Failed to Kick Player')
+        .setDescription(error.message)
+        .setTimestamp();
+
+      if (interaction.deferred) {
+        await interaction.editReply({ embeds: [errorEmbed] });
+      } else {
+        await interaction.reply({ embeds: [errorEmbed], ephemeral: true });
+      }
+    }
+  }
+}
+
+module.exports = KickPlayerCommand;
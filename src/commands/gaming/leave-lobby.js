@@ -1,7 +1,5 @@
 const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
 const BaseCommand = require('../BaseCommand');
-const LobbyManager = require('../../modules/gaming/LobbyManager');
-const VoiceChannelManager = require('../../modules/gaming/VoiceChannelManager');
 const dbConnection = require('../../database/connection');
 
 class LeaveLobbyCommand extends BaseCommand {
@@ -19,18 +17,13 @@ class LeaveLobbyCommand extends BaseCommand {
           .setRequired(false)
           .setMaxLength(100)
       );
-
-    this.lobbyManager = new LobbyManager();
-    this.voiceChannelManager = null;
   }
 
   async execute(interaction) {
     try {
-      // Initialize voice channel manager with client
-      if (!this.voiceChannelManager) {
-        this.voiceChannelManager = new VoiceChannelManager(interaction.client);
-        this.lobbyManager.setVoiceChannelManager(this.voiceChannelManager);
-      }
+      // Shared managers from the bot's service container
+      const lobbyManager = this.getService(interaction, 'lobbyManager');
+      const voiceChannelManager = this.getService(interaction, 'voiceChannelManager');
 
       // Ensure database is connected
       if (!dbConnection.isReady()) {
@@ -46,30 +39,32 @@ class LeaveLobbyCommand extends BaseCommand {
 
       if (gameType) {
         // Leave specific game lobby (search where user is a member)
-        targetLobby = await this.lobbyManager.findLobbyByGameAndMember(userId, gameType);
+        targetLobby = await lobbyManager.findLobbyByGameAndMember(userId, gameType);
         if (!targetLobby) {
           throw new Error(`You are not a member of any ${gameType} lobby`);
         }
       } else {
         // Find user's current lobby
-        const userLobbies = await this.lobbyManager.getUserLobbies(userId);
+        const userLobbies = await lobbyManager.getUserLobbies(userId);
         if (userLobbies.length === 0) {
           throw new Error('You are not currently in any lobby');
         }
         targetLobby = userLobbies[0]; // Use first active lobby
       }
 
+      lobbyManager.validateLobbyPermissions(targetLobby, userId, 'leave_lobby');
+
       const lobbyGameType = targetLobby.gameType;
       const wasLeader = targetLobby.isLeader(userId);
       const voiceChannelId = targetLobby.voiceChannelId;
 
       // Remove from voice channel first
       if (voiceChannelId) {
-        await this.voiceChannelManager.removeUserFromChannel(voiceChannelId, userId);
+        await voiceChannelManager.removeUserFromChannel(voiceChannelId, userId);
       }
 
       // Leave the lobby
-      const remainingLobby = await this.lobbyManager.leaveLobby(targetLobby.id, userId);
+      const remainingLobby = await lobbyManager.leaveLobby(targetLobby.id, userId);
 
       let embed;
 
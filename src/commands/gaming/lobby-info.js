@@ -1,8 +1,13 @@
 const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
 const BaseCommand = require('../BaseCommand');
-const LobbyManager = require('../../modules/gaming/LobbyManager');
 const dbConnection = require('../../database/connection');
 
+const LOBBY_ROLE_ICONS = {
+  leader: '👑',
+  co_leader: '⭐',
+  member: '👤'
+};
+
 class LobbyInfoCommand extends BaseCommand {
   constructor() {
     super('lobby-info', 'View information about a lobby', {
@@ -23,12 +28,13 @@ class LobbyInfoCommand extends BaseCommand {
           .setDescription('The leader of the lobby (only needed if viewing someone else\'s lobby)')
           .setRequired(false)
       );
-
-    this.lobbyManager = new LobbyManager();
   }
 
   async execute(interaction) {
     try {
+      // Shared managers from the bot's service container
+      const lobbyManager = this.getService(interaction, 'lobbyManager');
+
       // Ensure database is connected
       if (!dbConnection.isReady()) {
         await dbConnection.initialize();
@@ -46,14 +52,14 @@ class LobbyInfoCommand extends BaseCommand {
         // Get specific lobby by game name
         if (leader) {
           // Viewing someone else's lobby - search by their leadership
-          lobby = await this.lobbyManager.findLobbyByGameAndLeader(leader.id, gameType);
+          lobby = await lobbyManager.findLobbyByGameAndLeader(leader.id, gameType);
         } else {
           // Viewing your own lobby - search where you're a member (could be leader or not)
-          lobby = await this.lobbyManager.findLobbyByGameAndMember(userId, gameType);
+          lobby = await lobbyManager.findLobbyByGameAndMember(userId, gameType);
         }
       } else {
         // Get user's current lobby
-        const userLobbies = await this.lobbyManager.getUserLobbies(userId);
+        const userLobbies = await lobbyManager.getUserLobbies(userId);
         lobby = userLobbies.length > 0 ? userLobbies[0] : null;
       }
 
@@ -73,7 +79,7 @@ class LobbyInfoCommand extends BaseCommand {
 
       // Create info embed
       const memberList = lobby.getMemberIds()
-        .map(memberId => `${lobby.isLeader(memberId) ? '👑' : '👤'} <@${memberId}>`)
+        .map(memberId => `${LOBBY_ROLE_ICONS[lobby.getRole(memberId)]} <@${memberId}>`)
         .join('\n');
 
       const timeRemaining = lobby.getTimeRemaining();
@@ -97,6 +103,15 @@ class LobbyInfoCommand extends BaseCommand {
         )
         .setTimestamp();
 
+      const coLeaderIds = lobby.getCoLeaderIds();
+      if (coLeaderIds.length > 0) {
+        embed.addFields({
+          name: '⭐ Co-Leaders',
+          value: coLeaderIds.map(id => `<@${id}>`).join(', '),
+          inline: true
+        });
+      }
+
       if (lobby.voiceChannelId) {
         embed.addFields({ 
           name: '🔊 Voice Channel', 
@@ -105,6 +120,23 @@ class LobbyInfoCommand extends BaseCommand {
         });
       }
 
+      if (lobby.textChannelId) {
+        embed.addFields({
+          name: '💬 Text Chat',
+          value: `<#${lobby.textChannelId}>`,
+          inline: true
+        });
+      }
+
+      const waitlist = await lobbyManager.getWaitlistManager().getWaitlist(lobby.id);
+      if (waitlist.length > 0) {
+        embed.addFields({
+          name: '⏳ Waitlist',
+          value: `${waitlist.length} waiting`,
+          inline: true
+        });
+      }
+
       await interaction.editReply({ embeds: [embed] });
 
       this.logUsage(interaction, 'completed', { lobbyId: lobby.id });
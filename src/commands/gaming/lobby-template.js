@@ -0,0 +1,309 @@
+const { EmbedBuilder, PermissionFlagsBits } = require('discord.js');
+const BaseCommand = require('../BaseCommand');
+const LobbyTemplateManager = require('../../modules/gaming/LobbyTemplateManager');
+const dbConnection = require('../../database/connection');
+
+class LobbyTemplateCommand extends BaseCommand {
+  constructor() {
+    super('lobby-template', 'Save, list and delete reusable lobby templates', {
+      category: 'gaming',
+      guildOnly: true,
+      cooldown: 3
+    });
+
+    this.data
+      .addSubcommand(subcommand =>
+        subcommand.setName('save')
+          .setDescription('Save a lobby template (replaces one with the same name)')
+          .addStringOption(option =>
+            option.setName('name')
+              .setDescription('Template name')
+              .setRequired(true)
+              .setMaxLength(50)
+          )
+          .addStringOption(option =>
+            option.setName('game')
+              .setDescription('The game for lobbies created from this template')
+              .setRequired(true)
+              .setMaxLength(100)
+          )
+          .addIntegerOption(option =>
+            option.setName('max-players')
+              .setDescription('Maximum number of players')
+              .setMinValue(2)
+              .setMaxValue(20)
+              .setRequired(false)
+          )
+          .addIntegerOption(option =>
+            option.setName('duration')
+              .setDescription('Lobby duration in minutes (default: until voice inactivity)')
+              .setMinValue(5)
+              .setMaxValue(1440)
+              .setRequired(false)
+          )
+          .addStringOption(option =>
+            option.setName('channel-name')
+              .setDescription('Voice channel name (default: the game name)')
+              .setRequired(false)
+              .setMaxLength(90)
+          )
+          .addStringOption(option =>
+            option.setName('emoji')
+              .setDescription('Emoji shown in front of the voice channel name')
+              .setRequired(false)
+              .setMaxLength(16)
+          )
+          .addStringOption(option =>
+            option.setName('privacy')
+              .setDescription('Public lobbies are posted to the lobby catalog; private ones are invite-only')
+              .setRequired(false)
+              .addChoices(
+                { name: 'Public', value: 'public' },
+                { name: 'Private', value: 'private' }
+              )
+          )
+          .addStringOption(option =>
+            option.setName('invites')
+              .setDescription('Players to invite automatically, e.g. "@alice @bob"')
+              .setRequired(false)
+          )
+          .addBooleanOption(option =>
+            option.setName('shared')
+              .setDescription('Publish for everyone in this server (requires Manage Server)')
+              .setRequired(false)
+          )
+      )
+      .addSubcommand(subcommand =>
+        subcommand.setName('list')
+          .setDescription('List your templates and this server\'s shared templates')
+      )
+      .addSubcommand(subcommand =>
+        subcommand.setName('delete')
+          .setDescription('Delete a lobby template')
+          .addStringOption(option =>
+            option.setName('name')
+              .setDescription('Template name')
+              .setRequired(true)
+              .setMaxLength(50)
+              .setAutocomplete(true)
+          )
+          .addBooleanOption(option =>
+            option.setName('shared')
+              .setDescription('Delete the shared server template (requires Manage Server)')
+              .setRequired(false)
+          )
+      );
+
+    this.templateManager = new LobbyTemplateManager();
+  }
+
+  async execute(interaction) {
+    try {
+      // Ensure database is connected
+      if (!dbConnection.isReady()) {
+        await dbConnection.initialize();
+      }
+
+      const subcommand = interaction.options.getSubcommand();
+
+      if (subcommand === 'save') {
+        await this.handleSave(interaction);
+      } else if (subcommand === 'list') {
+        await this.handleList(interaction);
+      } else if (subcommand === 'delete') {
+        await this.handleDelete(interaction);
+      }
+    } catch (error) {
+      this.logUsage(interaction, 'failed', { error: error.message });
+
+      const errorEmbed = new EmbedBuilder()
+        .setColor(0xFF0000)
+        .setTitle('❌ Lobby Template Error')
+        .setDescription(error.message)
+        .setTimestamp();
+
+      if (interaction.replied || interaction.deferred) {
+        await interaction.editReply({ embeds: [errorEmbed] });
+      } else {
+        await interaction.reply({ embeds: [errorEmbed], ephemeral: true });
+      }
+    }
+  }
+
+  /**
+   * Save a personal or shared template
+   */
+  async handleSave(interaction) {
+    const shared = interaction.options.getBoolean('shared') || false;
+    this.requireManageGuild(interaction, shared);
+
+    const invitesInput = interaction.options.getString('invites');
+    const inviteList = LobbyTemplateManager.parseInviteList(invitesInput)
+      .filter(userId => userId !== interaction.user.id);
+
+    if (invitesInput && inviteList.length === 0) {
+      throw new Error('No players found in the invite list. Mention them like "@alice @bob".');
+    }
+
+    const { template, replaced } = await this.templateManager.saveTemplate(
+      interaction.guild.id,
+      interaction.user.id,
+      {
+        name: interaction.options.getString('name').trim(),
+        gameType: interaction.options.getString('game').trim(),
+        maxPlayers: interaction.options.getInteger('max-players'),
+        durationMinutes: interaction.options.getInteger('duration'),
+        channelName: interaction.options.getString('channel-name'),
+        channelEmoji: interaction.options.getString('emoji')?.trim() || null,
+        privacy: interaction.options.getString('privacy') || 'public',
+        inviteList
+      },
+      { shared }
+    );
+
+    const embed = this.buildTemplateEmbed(template)
+      .setTitle(`✅ ${replaced ? 'Updated' : 'Saved'} ${shared ? 'Shared ' : ''}Template: ${template.name}`)
+      .setFooter({ text: `Use it with /create-lobby template:${template.name}` });
+
+    await interaction.reply({ embeds: [embed], ephemeral: true });
+
+    this.logUsage(interaction, 'completed', {
+      action: 'save',
+      templateId: template.id,
+      shared,
+      replaced
+    });
+  }
+
+  /**
+   * List personal and shared templates
+   */
+  async handleList(interaction) {
+    const { personal, shared } = await this.templateManager.listTemplates(interaction.guild.id, interaction.user.id);
+
+    const formatTemplate = template => {
+      const details = [
+        template.maxPlayers ? `${template.maxPlayers} players` : null,
+        template.durationMinutes ? `${template.durationMinutes} min` : null,
+        template.isPrivate() ? '🔒 private' : null
+      ].filter(Boolean).join(' • ');
+
+      return `**${template.name}** — ${template.gameType}${details ? ` (${details})` : ''}`;
+    };
+
+    const embed = new EmbedBuilder()
+      .setColor(0x0099FF)
+      .setTitle('📋 Lobby Templates')
+      .addFields(
+        {
+          name: '👤 Your Templates',
+          value: personal.length > 0 ? personal.map(formatTemplate).join('\n').substring(0, 1024) : 'None yet. Save one with `/lobby-template save`.'
+        },
+        {
+          name: '🏠 Server Templates',
+          value: shared.length > 0 ? shared.map(formatTemplate).join('\n').substring(0, 1024) : 'None published.'
+        }
+      )
+      .setTimestamp();
+
+    await interaction.reply({ embeds: [embed], ephemeral: true });
+
+    this.logUsage(interaction, 'completed', {
+      action: 'list',
+      personalCount: personal.length,
+      sharedCount: shared.length
+    });
+  }
+
+  /**
+   * Delete a personal or shared template
+   */
+  async handleDelete(interaction) {
+    const shared = interaction.options.getBoolean('shared') || false;
+    this.requireManageGuild(interaction, shared);
+
+    const template = await this.templateManager.deleteTemplate(
+      interaction.guild.id,
+      interaction.user.id,
+      interaction.options.getString('name').trim(),
+      { shared }
+    );
+
+    await interaction.reply({
+      content: `🗑️ Deleted ${shared ? 'shared ' : ''}template **${template.name}**.`,
+      ephemeral: true
+    });
+
+    this.logUsage(interaction, 'completed', {
+      action: 'delete',
+      templateId: template.id,
+      shared
+    });
+  }
+
+  /**
+   * Shared templates are managed by guild admins only
+   */
+  requireManageGuild(interaction, shared) {
+    if (shared && !interaction.member?.permissions.has(PermissionFlagsBits.ManageGuild)) {
+      throw new Error('You need the Manage Server permission to manage shared templates.');
+    }
+  }
+
+  /**
+   * Build an embed describing a template's settings
+   */
+  buildTemplateEmbed(template) {
+    const embed = new EmbedBuilder()
+      .setColor(0x00FF00)
+      .addFields(
+        { name: '🎯 Game', value: template.gameType, inline: true },
+        { name: '👥 Max Players', value: `${template.maxPlayers || 'Default'}`, inline: true },
+        { name: '⏰ Duration', value: template.durationMinutes ? `${template.durationMinutes} minutes` : 'Until voice inactivity', inline: true },
+        { name: '🔊 Voice Channel', value: `${template.channelEmoji || '🎮'} ${template.channelName || template.gameType}`, inline: true },
+        { name: '🔒 Privacy', value: template.isPrivate() ? 'Private (invite-only)' : 'Public (lobby catalog)', inline: true }
+      )
+      .setTimestamp();
+
+    if (template.inviteList.length > 0) {
+      embed.addFields({
+        name: '📨 Auto-Invite',
+        value: template.inviteList.map(userId => `<@${userId}>`).join(' ')
+      });
+    }
+
+    return embed;
+  }
+
+  async autocomplete(interaction) {
+    try {
+      // Ensure database is connected
+      if (!dbConnection.isReady()) {
+        await dbConnection.initialize();
+      }
+
+      const focusedValue = interaction.options.getFocused();
+      const shared = interaction.options.getBoolean('shared') || false;
+      const { personal, shared: sharedTemplates } = await this.templateManager.listTemplates(
+        interaction.guild.id,
+        interaction.user.id
+      );
+
+      // Delete works on names within one scope, so suggest names rather than IDs
+      const choices = (shared ? sharedTemplates : personal)
+        .filter(template => template.name.toLowerCase().includes(focusedValue.toLowerCase()))
+        .slice(0, 25) // Discord limit
+        .map(template => ({
+          name: `${template.name} (${template.gameType})`.substring(0, 100),
+          value: template.name
+        }));
+
+      await interaction.respond(choices);
+    } catch (error) {
+      // If autocomplete fails, just return empty array
+      await interaction.respond([]);
+    }
+  }
+}
+
+module.exports = LobbyTemplateCommand;
@@ -0,0 +1,191 @@
+const { EmbedBuilder } = require('discord.js');
+const BaseCommand = require('../BaseCommand');
+const MatchmakingManager = require('../../modules/gaming/MatchmakingManager');
+const dbConnection = require('../../database/connection');
+const config = require('../../config');
+
+class QueueCommand extends BaseCommand {
+  constructor() {
+    super('queue', 'Queue for a game and get matched into a lobby with similar players', {
+      category: 'gaming',
+      guildOnly: true,
+      cooldown: 3
+    });
+
+    this.data
+      .addSubcommand(subcommand =>
+        subcommand.setName('join')
+          .setDescription('Enter the matchmaking queue for a game')
+          .addStringOption(option =>
+            option.setName('game')
+              .setDescription('The game to queue for')
+              .setRequired(true)
+              .setMaxLength(100)
+          )
+          .addIntegerOption(option =>
+            option.setName('rank')
+              .setDescription('Your skill rank from 1 (new) to 10 (top)')
+              .setRequired(false)
+              .setMinValue(1)
+              .setMaxValue(10)
+          )
+          .addStringOption(option =>
+            option.setName('role')
+              .setDescription('The role you want to play')
+              .setRequired(false)
+              .addChoices(
+                { name: 'Tank', value: 'tank' },
+                { name: 'Healer', value: 'healer' },
+                { name: 'DPS', value: 'dps' },
+                { name: 'Flex', value: 'flex' }
+              )
+          )
+          .addIntegerOption(option =>
+            option.setName('group-size')
+              .setDescription(`Players per lobby (default ${config.lobby.queueGroupSize})`)
+              .setRequired(false)
+              .setMinValue(2)
+              .setMaxValue(10)
+          )
+      )
+      .addSubcommand(subcommand =>
+        subcommand.setName('leave')
+          .setDescription('Leave the matchmaking queue')
+      )
+      .addSubcommand(subcommand =>
+        subcommand.setName('status')
+          .setDescription('See your place in the matchmaking queue')
+      );
+  }
+
+  async execute(interaction) {
+    try {
+      // Ensure database is connected
+      if (!dbConnection.isReady()) {
+        await dbConnection.initialize();
+      }
+
+      const matchmakingManager = interaction.client.bot?.services.getIfRunning('matchmakingManager');
+      if (!matchmakingManager) {
+        throw new Error('Matchmaking is not available yet. Please try again in a moment.');
+      }
+
+      const subcommand = interaction.options.getSubcommand();
+      const guildId = interaction.guild.id;
+      const userId = interaction.user.id;
+
+      if (subcommand === 'join') {
+        await this.handleJoin(interaction, matchmakingManager);
+        return;
+      }
+
+      if (subcommand === 'leave') {
+        const entry = await matchmakingManager.leaveQueue(guildId, userId);
+        await interaction.reply({
+          content: `👋 You left the **${entry.game_type}** queue.`,
+          ephemeral: true
+        });
+      } else if (subcommand === 'status') {
+        const status = await matchmakingManager.getQueueStatus(guildId, userId);
+        const content = status
+          ? `⏳ You're #${status.position} of ${status.waitingCount} waiting for **${status.entry.game_type}** (${status.entry.group_size}-player lobbies). Your queue times out <t:${Math.floor(new Date(status.entry.expires_at).getTime() / 1000)}:R>.`
+          : 'You are not in a matchmaking queue. Join one with `/queue join`.';
+
+        await interaction.reply({ content, ephemeral: true });
+      }
+
+      this.logUsage(interaction, 'completed', { action: subcommand });
+    } catch (error) {
+      this.logUsage(interaction, 'failed', { error: error.message });
+
+      const errorEmbed = new EmbedBuilder()
+        .setColor(0xFF0000)
+        .setTitle('❌ Matchmaking Error')
+        .setDescription(error.message)
+        .setTimestamp();
+
+      if (interaction.replied || interaction.deferred) {
+        await interaction.editReply({ embeds: [errorEmbed] });
+      } else {
+        await interaction.reply({ embeds: [errorEmbed], ephemeral: true });
+      }
+    }
+  }
+
+  /**
+   * Requeue button sent when a queue entry times out
+   */
+  getComponents() {
+    return [
+      {
+        component: MatchmakingManager.REQUEUE_BUTTON,
+        requires: ['matchmakingManager'],
+        handle: (interaction, { entryId }, { matchmakingManager }) =>
+          matchmakingManager.handleRequeueButton(interaction, entryId)
+      }
+    ];
+  }
+
+  /**
+   * Queue the user and report whether they were matched straight away
+   */
+  async handleJoin(interaction, matchmakingManager) {
+    await interaction.deferReply({ ephemeral: true });
+
+    const { entry, position, lobby } = await matchmakingManager.joinQueue(
+      interaction.guild.id,
+      interaction.user.id,
+      interaction.options.getString('game'),
+      {
+        rank: interaction.options.getInteger('rank'),
+        role: interaction.options.getString('role'),
+        groupSize: interaction.options.getInteger('group-size')
+      }
+    );
+
+    let embed;
+
+    if (lobby) {
+      embed = new EmbedBuilder()
+        .setColor(0x00FF00)
+        .setTitle('🎯 Match Found!')
+        .setDescription(`You've been matched into a **${lobby.gameType}** lobby led by <@${lobby.leaderId}>.`)
+        .addFields(
+          { name: '👥 Players', value: lobby.getMemberIds().map(id => `<@${id}>`).join(' '), inline: false }
+        );
+
+      if (lobby.voiceChannelId) {
+        embed.addFields({ name: '🔊 Voice Channel', value: `<#${lobby.voiceChannelId}>`, inline: true });
+      }
+    } else {
+      const details = [
+        entry.role ? `Role: ${entry.role}` : null,
+        entry.rank ? `Rank: ${entry.rank}` : null,
+        `${entry.group_size}-player lobby`
+      ].filter(Boolean).join(' • ');
+
+      embed = new EmbedBuilder()
+        .setColor(0x0099FF)
+        .setTitle(`⏳ Queued for ${entry.game_type}`)
+        .setDescription(`You'll be matched and moved into a lobby once enough compatible players are waiting.`)
+        .addFields(
+          { name: '📍 Position', value: `#${position}`, inline: true },
+          { name: '⌛ Times Out', value: `<t:${Math.floor(new Date(entry.expires_at).getTime() / 1000)}:R>`, inline: true },
+          { name: '🎯 Preferences', value: details, inline: false }
+        );
+    }
+
+    embed.setTimestamp();
+
+    await interaction.editReply({ embeds: [embed] });
+
+    this.logUsage(interaction, 'completed', {
+      action: 'join',
+      gameType: entry.game_type,
+      matched: !!lobby,
+      lobbyId: lobby?.id
+    });
+  }
+}
+
+module.exports = QueueCommand;
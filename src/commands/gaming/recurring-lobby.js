@@ -0,0 +1,265 @@
+const { EmbedBuilder, PermissionFlagsBits } = require('discord.js');
+const BaseCommand = require('../BaseCommand');
+const LobbyTemplateManager = require('../../modules/gaming/LobbyTemplateManager');
+const dbConnection = require('../../database/connection');
+
+class RecurringLobbyCommand extends BaseCommand {
+  constructor() {
+    super('recurring-lobby', 'Schedule a lobby that is recreated automatically, e.g. every Tuesday', {
+      category: 'gaming',
+      guildOnly: true,
+      cooldown: 3
+    });
+
+    const addSeriesOption = subcommand => subcommand.addIntegerOption(option =>
+      option.setName('series')
+        .setDescription('The recurring lobby')
+        .setRequired(true)
+        .setAutocomplete(true)
+    );
+
+    this.data
+      .addSubcommand(subcommand =>
+        subcommand.setName('create')
+          .setDescription('Create a recurring lobby from a template')
+          .addStringOption(option =>
+            option.setName('template')
+              .setDescription('Lobby template to create each occurrence from')
+              .setRequired(true)
+              .setAutocomplete(true)
+          )
+          .addStringOption(option =>
+            option.setName('schedule')
+              .setDescription('Cron schedule, e.g. "0 20 * * 2" for Tuesdays at 8 PM')
+              .setRequired(true)
+              .setMaxLength(100)
+          )
+          .addStringOption(option =>
+            option.setName('invites')
+              .setDescription('Players to add to every occurrence, e.g. "@alice @bob"')
+              .setRequired(false)
+          )
+          .addStringOption(option =>
+            option.setName('timezone')
+              .setDescription('IANA timezone for the schedule, e.g. "America/Chicago" (defaults to the server timezone)')
+              .setRequired(false)
+              .setMaxLength(64)
+          )
+      )
+      .addSubcommand(subcommand =>
+        subcommand.setName('list')
+          .setDescription('List recurring lobbies in this server')
+      )
+      .addSubcommand(subcommand =>
+        addSeriesOption(subcommand.setName('pause')
+          .setDescription('Stop creating occurrences until resumed'))
+      )
+      .addSubcommand(subcommand =>
+        addSeriesOption(subcommand.setName('resume')
+          .setDescription('Resume a paused recurring lobby'))
+      )
+      .addSubcommand(subcommand =>
+        addSeriesOption(subcommand.setName('skip')
+          .setDescription('Skip the next occurrence'))
+      )
+      .addSubcommand(subcommand =>
+        addSeriesOption(subcommand.setName('delete')
+          .setDescription('Delete a recurring lobby series'))
+      );
+
+    this.templateManager = new LobbyTemplateManager();
+  }
+
+  async execute(interaction) {
+    try {
+      // Ensure database is connected
+      if (!dbConnection.isReady()) {
+        await dbConnection.initialize();
+      }
+
+      const recurringLobbyManager = interaction.client.bot?.services.getIfRunning('recurringLobbyManager');
+      if (!recurringLobbyManager) {
+        throw new Error('Recurring lobbies are not available yet. Please try again in a moment.');
+      }
+
+      const subcommand = interaction.options.getSubcommand();
+      const guildId = interaction.guild.id;
+      const userId = interaction.user.id;
+      const isAdmin = this.canManageGuild(interaction);
+
+      if (subcommand === 'create') {
+        await this.handleCreate(interaction, recurringLobbyManager);
+        return;
+      }
+
+      if (subcommand === 'list') {
+        await this.handleList(interaction, recurringLobbyManager);
+        return;
+      }
+
+      const seriesId = interaction.options.getInteger('series');
+      let content;
+
+      if (subcommand === 'pause') {
+        const series = await recurringLobbyManager.pauseSeries(guildId, seriesId, userId, isAdmin);
+        content = `⏸️ Paused the recurring **${series.gameType}** lobby. Use \`/recurring-lobby resume\` to start it again.`;
+      } else if (subcommand === 'resume') {
+        const series = await recurringLobbyManager.resumeSeries(guildId, seriesId, userId, isAdmin);
+        content = `▶️ Resumed the recurring **${series.gameType}** lobby.`;
+      } else if (subcommand === 'skip') {
+        const series = await recurringLobbyManager.skipNextOccurrence(guildId, seriesId, userId, isAdmin);
+        content = series.skipCount === 1
+          ? `⏭️ The next **${series.gameType}** occurrence will be skipped.`
+          : `⏭️ The next ${series.skipCount} **${series.gameType}** occurrences will be skipped.`;
+      } else if (subcommand === 'delete') {
+        const series = await recurringLobbyManager.deleteSeries(guildId, seriesId, userId, isAdmin);
+        content = `🗑️ Deleted the recurring **${series.gameType}** lobby. Lobbies it already created are not affected.`;
+      }
+
+      await interaction.reply({ content, ephemeral: true });
+
+      this.logUsage(interaction, 'completed', { action: subcommand, seriesId });
+    } catch (error) {
+      this.logUsage(interaction, 'failed', { error: error.message });
+
+      const errorEmbed = new EmbedBuilder()
+        .setColor(0xFF0000)
+        .setTitle('❌ Recurring Lobby Error')
+        .setDescription(error.message)
+        .setTimestamp();
+
+      if (interaction.replied || interaction.deferred) {
+        await interaction.editReply({ embeds: [errorEmbed] });
+      } else {
+        await interaction.reply({ embeds: [errorEmbed], ephemeral: true });
+      }
+    }
+  }
+
+  /**
+   * Create a new series
+   */
+  async handleCreate(interaction, recurringLobbyManager) {
+    const invitesInput = interaction.options.getString('invites');
+    const inviteList = LobbyTemplateManager.parseInviteList(invitesInput);
+
+    if (invitesInput && inviteList.length === 0) {
+      throw new Error('No players found in the invite list. Mention them like "@alice @bob".');
+    }
+
+    const { series, template } = await recurringLobbyManager.createSeries(
+      interaction.guild.id,
+      interaction.user.id,
+      {
+        template: interaction.options.getString('template'),
+        cronExpression: interaction.options.getString('schedule').trim(),
+        timezone: interaction.options.getString('timezone')?.trim(),
+        inviteList
+      }
+    );
+
+    const embed = new EmbedBuilder()
+      .setColor(0x00FF00)
+      .setTitle(`🔁 Recurring ${series.gameType} Lobby Created`)
+      .setDescription('A lobby will be created, posted to the lobby catalog and shared with its members at every occurrence.')
+      .addFields(
+        { name: '🆔 Series', value: `#${series.id}`, inline: true },
+        { name: '📋 Template', value: template.name, inline: true },
+        { name: '🗓️ Schedule', value: `\`${series.cronExpression}\` (${series.timezone})`, inline: true }
+      )
+      .setTimestamp();
+
+    if (series.inviteList.length > 0) {
+      embed.addFields({
+        name: '📨 Pre-Invited',
+        value: series.inviteList.map(userId => `<@${userId}>`).join(' ')
+      });
+    }
+
+    await interaction.reply({ embeds: [embed], ephemeral: true });
+
+    this.logUsage(interaction, 'completed', {
+      action: 'create',
+      seriesId: series.id,
+      templateId: template.id,
+      cronExpression: series.cronExpression
+    });
+  }
+
+  /**
+   * List series in the guild
+   */
+  async handleList(interaction, recurringLobbyManager) {
+    const seriesList = await recurringLobbyManager.listSeries(interaction.guild.id);
+
+    const lines = seriesList.map(series => {
+      const status = series.isActive() ? '🟢' : '⏸️';
+      const skips = series.skipCount > 0 ? ` • skipping next ${series.skipCount}` : '';
+      return `${status} **#${series.id} ${series.gameType}** — <@${series.leaderId}> • \`${series.cronExpression}\` (${series.timezone})${skips}`;
+    });
+
+    const embed = new EmbedBuilder()
+      .setColor(0x0099FF)
+      .setTitle('🔁 Recurring Lobbies')
+      .setDescription(lines.length > 0
+        ? lines.join('\n').substring(0, 4096)
+        : 'No recurring lobbies yet. Create one with `/recurring-lobby create`.')
+      .setTimestamp();
+
+    await interaction.reply({ embeds: [embed], ephemeral: true });
+
+    this.logUsage(interaction, 'completed', { action: 'list', count: seriesList.length });
+  }
+
+  /**
+   * Guild admins can manage any series
+   */
+  canManageGuild(interaction) {
+    return !!interaction.member?.permissions.has(PermissionFlagsBits.ManageGuild);
+  }
+
+  async autocomplete(interaction) {
+    try {
+      // Ensure database is connected
+      if (!dbConnection.isReady()) {
+        await dbConnection.initialize();
+      }
+
+      const focused = interaction.options.getFocused(true);
+      const guildId = interaction.guild.id;
+      const userId = interaction.user.id;
+
+      if (focused.name === 'template') {
+        const choices = await this.templateManager.getAutocompleteChoices(guildId, userId, focused.value);
+        await interaction.respond(choices);
+        return;
+      }
+
+      const recurringLobbyManager = interaction.client.bot?.services.getIfRunning('recurringLobbyManager');
+      if (!recurringLobbyManager) {
+        await interaction.respond([]);
+        return;
+      }
+
+      const isAdmin = this.canManageGuild(interaction);
+      const searchTerm = String(focused.value).toLowerCase();
+      const seriesList = await recurringLobbyManager.listSeries(guildId);
+
+      const choices = seriesList
+        .filter(series => isAdmin || series.leaderId === userId)
+        .filter(series => series.gameType.toLowerCase().includes(searchTerm) || String(series.id).includes(searchTerm))
+        .slice(0, 25) // Discord limit
+        .map(series => ({
+          name: `#${series.id} ${series.gameType} (${series.cronExpression})${series.isActive() ? '' : ' - paused'}`.substring(0, 100),
+          value: series.id
+        }));
+
+      await interaction.respond(choices);
+    } catch (error) {
+      // If autocomplete fails, just return empty array
+      await interaction.respond([]);
+    }
+  }
+}
+
+module.exports = RecurringLobbyCommand;
@@ -1,7 +1,5 @@
 const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
 const BaseCommand = require('../BaseCommand');
-const LobbyManager = require('../../modules/gaming/LobbyManager');
-const VoiceChannelManager = require('../../modules/gaming/VoiceChannelManager');
 const PartyLeaderManager = require('../../modules/gaming/PartyLeaderManager');
 const dbConnection = require('../../database/connection');
 const config = require('../../config');
@@ -26,22 +24,13 @@ class TransferLeadershipCommand extends BaseCommand {
           .setRequired(false)
           .setMaxLength(100)
       );
-
-    this.lobbyManager = new LobbyManager();
-    this.voiceChannelManager = null;
-    this.partyLeaderManager = null;
   }
 
   async execute(interaction) {
     try {
-      // Initialize managers
-      if (!this.voiceChannelManager) {
-        this.voiceChannelManager = new VoiceChannelManager(interaction.client);
-        this.lobbyManager.setVoiceChannelManager(this.voiceChannelManager);
-      }
-      if (!this.partyLeaderManager) {
-        this.partyLeaderManager = new PartyLeaderManager(this.lobbyManager, this.voiceChannelManager);
-      }
+      // Shared managers from the bot's service container
+      const lobbyManager = this.getService(interaction, 'lobbyManager');
+      const partyLeaderManager = this.getService(interaction, 'partyLeaderManager');
 
       // Ensure database is connected
       if (!dbConnection.isReady()) {
@@ -64,38 +53,20 @@ class TransferLeadershipCommand extends BaseCommand {
         throw new Error('You cannot transfer leadership to bots');
       }
 
-      let lobby;
-
-      if (gameType) {
-        // Specific game provided
-        lobby = await this.lobbyManager.findLobbyByGameAndLeader(currentLeaderId, gameType);
-        
-        if (!lobby) {
-          throw new Error(`No active ${gameType} lobby found where you are the leader`);
-        }
-      } else {
-        // No game specified - find user's lobbies and auto-select
-        const userLedLobbies = await this.lobbyManager.getUserLedLobbies(currentLeaderId);
-        
-        if (userLedLobbies.length === 0) {
-          throw new Error('You are not currently leading any lobbies');
-        } else if (userLedLobbies.length === 1) {
-          // Only one lobby - use it automatically
-          lobby = userLedLobbies[0];
-        } else {
-          // Multiple lobbies - require game specification
-          const gameList = userLedLobbies.map(l => `• ${l.gameType}`).join('\n');
-          throw new Error(`You are leading multiple lobbies. Please specify which game:\n${gameList}\n\nUse: \`/transfer-leadership new-leader:@${newLeader.username} game:GameName\``);
-        }
-      }
+      const lobby = await lobbyManager.findLobbyWithCapability(
+        currentLeaderId,
+        'transfer_leadership',
+        gameType,
+        `/transfer-leadership new-leader:@${newLeader.username} game:GameName`
+      );
 
       // Check if new leader is a member of the lobby
       if (!lobby.hasMember(newLeader.id)) {
-        throw new Error(`<@${newLeader.id}> is not a member of your ${gameType} lobby. Invite them first with \`/invite-player\``);
+        throw new Error(`<@${newLeader.id}> is not a member of your ${lobby.gameType} lobby. Invite them first with \`/invite-player\``);
       }
 
       // Use PartyLeaderManager to transfer leadership
-      const result = await this.partyLeaderManager.transferLeadership(
+      const result = await partyLeaderManager.transferLeadership(
         lobby.id, 
         currentLeaderId, 
         newLeader.id
@@ -1,6 +1,7 @@
 const { EmbedBuilder } = require('discord.js');
 const BaseCommand = require('../BaseCommand');
 const logger = require('../../utils/logger');
+const i18n = require('../../utils/i18n');
 
 class ClearMyDMsCommand extends BaseCommand {
   constructor() {
@@ -22,10 +23,12 @@ class ClearMyDMsCommand extends BaseCommand {
   }
 
   async execute(interaction) {
+    const locale = await i18n.resolveLocale(interaction);
+
     try {
       // Send initial response
       await interaction.reply({
-        content: '🗑️ Starting to clear all bot messages from your DMs...',
+        content: i18n.t(locale, 'clearDms.starting'),
         ephemeral: true
       });
 
@@ -40,7 +43,7 @@ class ClearMyDMsCommand extends BaseCommand {
       const progressInterval = setInterval(async () => {
         try {
           await interaction.editReply({
-            content: `🗑️ Clearing DMs from the past ${hoursBack} hours... This may take a moment...`,
+            content: i18n.t(locale, 'clearDms.progress', { count: hoursBack }),
             ephemeral: true
           });
         } catch (error) {
@@ -61,25 +64,25 @@ class ClearMyDMsCommand extends BaseCommand {
       // Create result embed
       const resultEmbed = new EmbedBuilder()
         .setColor(deletedCount > 0 ? 0x00FF00 : 0xFFAA00)
-        .setTitle('🗑️ DM Cleanup Complete')
+        .setTitle(i18n.t(locale, 'clearDms.completeTitle'))
         .addFields(
-          { name: '✅ Messages Deleted', value: `${deletedCount}`, inline: true },
-          { name: '❌ Errors', value: `${errorCount}`, inline: true },
-          { name: '📊 Batches Processed', value: `${batchCount}`, inline: true }
+          { name: i18n.t(locale, 'clearDms.deletedField'), value: i18n.formatNumber(locale, deletedCount), inline: true },
+          { name: i18n.t(locale, 'clearDms.errorsField'), value: i18n.formatNumber(locale, errorCount), inline: true },
+          { name: i18n.t(locale, 'clearDms.batchesField'), value: i18n.formatNumber(locale, batchCount), inline: true }
         )
         .setTimestamp();
 
       if (deletedCount === 0) {
-        resultEmbed.setDescription(`No bot messages found in your DMs from the past ${hoursBack} hours.`);
+        resultEmbed.setDescription(i18n.t(locale, 'clearDms.noneFound', { count: hoursBack }));
       } else {
-        resultEmbed.setDescription(`Successfully deleted ${deletedCount} bot messages from your DMs (past ${hoursBack} hours)!`);
+        resultEmbed.setDescription(i18n.t(locale, 'clearDms.deleted', { count: deletedCount, hours: hoursBack }));
       }
 
       if (errorCount > 0) {
         const errorSummary = errors.slice(0, 3).map(e => `• ${e.error}`).join('\n');
         resultEmbed.addFields({
-          name: '⚠️ Error Details',
-          value: errorCount > 3 ? `${errorSummary}\n... and ${errorCount - 3} more` : errorSummary,
+          name: i18n.t(locale, 'clearDms.errorDetailsField'),
+          value: errorCount > 3 ? `${errorSummary}\n${i18n.t(locale, 'clearDms.moreErrors', { count: errorCount - 3 })}` : errorSummary,
           inline: false
         });
       }
@@ -111,11 +114,11 @@ class ClearMyDMsCommand extends BaseCommand {
       
       const errorEmbed = new EmbedBuilder()
         .setColor(0xFF0000)
-        .setTitle('❌ DM Cleanup Failed')
-        .setDescription('An error occurred while trying to clear your DMs. Please try again later.')
+        .setTitle(i18n.t(locale, 'clearDms.failedTitle'))
+        .setDescription(i18n.t(locale, 'clearDms.failedDescription'))
         .addFields({
-          name: 'Error Details',
-          value: error.message || 'Unknown error',
+          name: i18n.t(locale, 'clearDms.failedDetailsField'),
+          value: error.message || i18n.t(locale, 'clearDms.unknownError'),
           inline: false
         })
         .setTimestamp();
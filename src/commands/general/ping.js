@@ -1,4 +1,5 @@
 const BaseCommand = require('../BaseCommand');
+const i18n = require('../../utils/i18n');
 
 class PingCommand extends BaseCommand {
   constructor() {
@@ -9,8 +10,9 @@ class PingCommand extends BaseCommand {
   }
 
   async execute(interaction) {
+    const locale = await i18n.resolveLocale(interaction);
     const sent = await interaction.reply({ 
-      content: 'Pinging...', 
+      content: i18n.t(locale, 'ping.pinging'), 
       fetchReply: true 
     });
     
@@ -18,7 +20,7 @@ class PingCommand extends BaseCommand {
     const apiLatency = Math.round(interaction.client.ws.ping);
 
     await interaction.editReply({
-      content: `🏓 Pong!\n📡 Latency: ${latency}ms\n💓 API Latency: ${apiLatency}ms`
+      content: i18n.t(locale, 'ping.result', { latency, apiLatency })
     });
   }
 }
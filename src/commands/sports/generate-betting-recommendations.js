@@ -8,6 +8,7 @@ const VAEFeedbackTrainer = require('../../modules/sports/VAEFeedbackTrainer');
 const VariationalAutoencoder = require('../../modules/sports/VariationalAutoencoder');
 const TransitionProbabilityNN = require('../../modules/sports/TransitionProbabilityNN');
 const logger = require('../../utils/logger');
+const config = require('../../config');
 
 /**
  * Generate betting recommendations using VAE-NN system
@@ -15,11 +16,12 @@ const logger = require('../../utils/logger');
  */
 class GenerateBettingRecommendationsCommand extends BaseCommand {
   constructor() {
-    super();
-    this.name = 'generate-betting-recommendations';
-    this.description = 'Generate betting recommendations using VAE-NN enhanced MCMC simulation';
-    this.category = 'sports';
-    
+    super('generate-betting-recommendations', 'Generate betting recommendations using VAE-NN enhanced MCMC simulation', {
+      category: 'sports',
+      maxConcurrent: config.commands.expensiveConcurrency
+    });
+    this.data = this.buildCommand();
+
     // Initialize components
     this.espnClient = new ESPNAPIClient();
     this.teamRepository = new TeamRepository();
@@ -89,7 +91,7 @@ class GenerateBettingRecommendationsCommand extends BaseCommand {
       });
       
       // Initialize VAE-NN system
-      await this.initializeVAENNSystem();
+      await this.initializeVAENNSystem(interaction.client.bot?.services);
       
       // Fetch today's games
       const todaysGames = await this.espnClient.getTodaysGames(sport);
@@ -118,7 +120,7 @@ class GenerateBettingRecommendationsCommand extends BaseCommand {
       // Create betting threads if requested
       let threadsCreated = 0;
       if (createThreads && interaction.guild) {
-        threadsCreated = await this.createBettingThreads(interaction.guild, successfulRecs, sport);
+        threadsCreated = await this.createBettingThreads(interaction.guild, successfulRecs, sport, interaction.user.id);
       }
       
       const totalDuration = Date.now() - startTime;
@@ -170,8 +172,9 @@ class GenerateBettingRecommendationsCommand extends BaseCommand {
 
   /**
    * Initialize VAE-NN system for enhanced predictions
+   * @param {ServiceContainer} [services] - Bot services; the models are shared from there so shutdown disposes them
    */
-  async initializeVAENNSystem() {
+  async initializeVAENNSystem(services = null) {
     try {
       if (this.recommendationEngine) {
         return; // Already initialized
@@ -179,11 +182,13 @@ class GenerateBettingRecommendationsCommand extends BaseCommand {
       
       logger.info('Initializing VAE-NN system for betting recommendations');
       
-      // Initialize VAE
-      const vae = new VariationalAutoencoder(80, 16); // inputDim, latentDim
-      
-      // Initialize Transition Probability NN
-      const transitionNN = new TransitionProbabilityNN(10); // gameContextDim
+      // Initialize VAE and Transition Probability NN
+      const { vae, transitionNN } = services?.has('bettingModels')
+        ? services.get('bettingModels')
+        : {
+          vae: new VariationalAutoencoder(80, 16), // inputDim, latentDim
+          transitionNN: new TransitionProbabilityNN(10) // gameContextDim
+        };
       
       // Initialize VAE-NN feedback trainer
       const vaeNNSystem = new VAEFeedbackTrainer(vae, transitionNN, {
@@ -294,9 +299,10 @@ class GenerateBettingRecommendationsCommand extends BaseCommand {
    * @param {Guild} guild - Discord guild
    * @param {Array} recommendations - Successful recommendations
    * @param {string} sport - Sport key
+   * @param {string} actorId - Member who ran the command, for the audit log
    * @returns {Promise<number>} - Number of threads created
    */
-  async createBettingThreads(guild, recommendations, sport) {
+  async createBettingThreads(guild, recommendations, sport, actorId = null) {
     let threadsCreated = 0;
     
     for (const rec of recommendations) {
@@ -311,7 +317,7 @@ class GenerateBettingRecommendationsCommand extends BaseCommand {
           guild,
           sport,
           rec.gameId,
-          { skipRecommendation: false } // Include recommendation in thread
+          { skipRecommendation: false, actorId } // Include recommendation in thread
         );
         
         if (thread) {
@@ -162,19 +162,17 @@ class OddsStatusCommand extends BaseCommand {
       });
 
       // Scraping schedule
-      const scheduleText = Object.entries(oddsTracker.scrapingSchedules).map(([name, cron]) => {
-        const time = {
-          'morning': '8:00 AM',
-          'midday': '12:00 PM', 
-          'afternoon': '4:00 PM',
-          'evening': '8:00 PM',
-          'night': '11:00 PM'
-        }[name] || cron;
+      const scheduleText = Object.values(oddsTracker.scrapingSchedules).map(hour => {
+        const time = new Date(Date.UTC(2000, 0, 1, hour)).toLocaleTimeString('en-US', {
+          hour: 'numeric',
+          minute: '2-digit',
+          timeZone: 'UTC'
+        });
         return `• ${time}`;
       }).join('\n');
 
       embed.addFields({
-        name: '⏰ Scraping Schedule',
+        name: '⏰ Scraping Schedule (each server\'s timezone)',
         value: scheduleText,
         inline: false
       });
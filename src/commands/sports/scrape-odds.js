@@ -1,9 +1,14 @@
 const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
 const BaseCommand = require('../BaseCommand');
+const config = require('../../config');
+const auditLog = require('../../utils/auditLog');
 
 class ScrapeOddsCommand extends BaseCommand {
   constructor() {
-    super('scrape-odds', 'Manually trigger odds scraping for testing');
+    super('scrape-odds', 'Manually trigger odds scraping for testing', {
+      category: 'sports',
+      maxConcurrent: config.commands.expensiveConcurrency
+    });
     
     this.data.addStringOption(option =>
       option.setName('sport')
@@ -36,8 +41,8 @@ class ScrapeOddsCommand extends BaseCommand {
 
       const sport = interaction.options.getString('sport');
       
-      // Get odds tracker from bot instance
-      const oddsTracker = interaction.client.oddsTracker;
+      // Get odds tracker from the bot's services
+      const oddsTracker = interaction.client.bot?.services.getIfRunning('oddsTracker');
       
       if (!oddsTracker || !oddsTracker.isInitialized) {
         const embed = new EmbedBuilder()
@@ -64,6 +69,17 @@ class ScrapeOddsCommand extends BaseCommand {
       const results = await oddsTracker.manualScrape(sport);
       const duration = Date.now() - startTime;
 
+      await auditLog.record({
+        guildId: interaction.guild?.id,
+        actorId: interaction.user.id,
+        action: 'odds.scrape',
+        payload: {
+          sport: sport || 'all',
+          snapshots: sport ? results[sport]?.snapshots : results.totalSnapshots,
+          durationMs: duration
+        }
+      }, interaction.client);
+
       // Build results embed
       const resultsEmbed = new EmbedBuilder()
         .setTitle('✅ Odds Scraping Complete')
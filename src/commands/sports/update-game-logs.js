@@ -1,6 +1,7 @@
 const { SlashCommandBuilder, EmbedBuilder, PermissionFlagsBits } = require('discord.js');
 const BaseCommand = require('../BaseCommand');
 const GameLogManager = require('../../modules/sports/GameLogManager');
+const GameLogInteractionHandler = require('../../modules/sports/GameLogInteractionHandler');
 const logger = require('../../utils/logger');
 
 class UpdateGameLogsCommand extends BaseCommand {
@@ -159,6 +160,46 @@ class UpdateGameLogsCommand extends BaseCommand {
     }
   }
 
+  /**
+   * Betting thread buttons and the game options modal on game log posts
+   */
+  getComponents() {
+    const permissions = ['ManageChannels'];
+    const requires = ['gameLogInteractions'];
+
+    return [
+      {
+        component: GameLogInteractionHandler.TOGGLE_BETTING_BUTTON,
+        permissions,
+        requires,
+        handle: (interaction, params, { gameLogInteractions }) =>
+          gameLogInteractions.handleToggleBetting(interaction, params)
+      },
+      {
+        component: GameLogInteractionHandler.BULK_THREADS_BUTTON,
+        permissions,
+        requires,
+        handle: (interaction, { action, sport }, { gameLogInteractions }) => action === 'add'
+          ? gameLogInteractions.handleAddAllThreads(interaction, sport)
+          : gameLogInteractions.handleRemoveAllThreads(interaction, sport)
+      },
+      {
+        component: GameLogInteractionHandler.GAME_OPTIONS_BUTTON,
+        permissions,
+        requires,
+        handle: (interaction, params, { gameLogInteractions }) =>
+          gameLogInteractions.handleGameOptions(interaction, params)
+      },
+      {
+        component: GameLogInteractionHandler.GAME_OPTIONS_MODAL,
+        permissions,
+        requires,
+        handle: (interaction, params, { gameLogInteractions }) =>
+          gameLogInteractions.handleGameOptionsModal(interaction, params)
+      }
+    ];
+  }
+
   /**
    * Get display name for sport
    * @param {string} sport - Sport key
@@ -4,12 +4,33 @@ const config = {
   // Discord Configuration
   discord: {
     token: process.env.DISCORD_TOKEN,
-    clientId: process.env.DISCORD_CLIENT_ID
+    clientId: process.env.DISCORD_CLIENT_ID,
+    commandGuildId: process.env.COMMAND_GUILD_ID || null // register slash commands to this guild only instead of globally
   },
 
   // Database Configuration
   database: {
-    path: process.env.DATABASE_PATH || './data/bot.db'
+    driver: process.env.DATABASE_DRIVER || 'sqlite', // sqlite or postgres
+    path: process.env.DATABASE_PATH || './data/bot.db', // SQLite file
+    url: process.env.DATABASE_URL || null, // PostgreSQL connection string
+    poolSize: parseInt(process.env.DATABASE_POOL_SIZE) || 10, // PostgreSQL connections
+    journalMode: process.env.SQLITE_JOURNAL_MODE || 'wal', // wal lets reads run while a write is in progress
+    synchronous: process.env.SQLITE_SYNCHRONOUS || 'normal', // normal is durable enough with wal and much faster
+    busyTimeout: parseInt(process.env.SQLITE_BUSY_TIMEOUT) || 5000, // ms SQLite waits on a lock before SQLITE_BUSY
+    busyRetries: parseInt(process.env.SQLITE_BUSY_RETRIES ?? 5), // retries with backoff after SQLITE_BUSY
+    readPoolSize: parseInt(process.env.SQLITE_READ_POOL_SIZE ?? 4), // read-only connections for SELECTs, wal only
+    pragmas: Object.fromEntries( // more SQLite pragmas, e.g. cache_size=-20000,temp_store=memory
+      (process.env.SQLITE_PRAGMAS || '').split(',').filter(Boolean).map(pair => pair.split('=').map(part => part.trim()))
+    ),
+    slowQueryMs: parseInt(process.env.DATABASE_SLOW_QUERY_MS) || 500 // queries slower than this are logged
+  },
+
+  // SQLite backups
+  backup: {
+    enabled: process.env.BACKUP_ENABLED !== 'false', // scheduled backups, and automatic ones before migrations and resets
+    directory: process.env.BACKUP_DIR || null, // defaults to a backups folder next to the database file
+    schedule: process.env.BACKUP_SCHEDULE || '0 4 * * *', // cron expression in the bot timezone
+    retention: parseInt(process.env.BACKUP_RETENTION) || 14 // newest backups kept, older ones are deleted
   },
 
   // Sports API Configuration
@@ -21,14 +42,27 @@ const config = {
   // Bot Settings
   bot: {
     logLevel: process.env.LOG_LEVEL || 'info',
-    environment: process.env.NODE_ENV || 'development'
+    environment: process.env.NODE_ENV || 'development',
+    timezone: process.env.BOT_TIMEZONE || 'America/New_York', // servers that have not picked a timezone in /setup use this
+    locale: process.env.BOT_LOCALE || 'en', // language for servers and members without a supported one
+    ownerIds: (process.env.BOT_OWNER_IDS || '').split(',').map(id => id.trim()).filter(Boolean), // users allowed to run commands that affect every server, such as /backup
+    hotReload: process.env.COMMAND_HOT_RELOAD === 'true' && (process.env.NODE_ENV || 'development') === 'development' // watch src/commands and reload edited commands
   },
 
   // Lobby Settings
   lobby: {
     defaultDuration: parseInt(process.env.DEFAULT_LOBBY_DURATION) || 60, // minutes
     maxSize: parseInt(process.env.MAX_LOBBY_SIZE) || 10,
-    cleanupInterval: parseInt(process.env.CLEANUP_INTERVAL) || 300000 // 5 minutes in ms
+    cleanupInterval: parseInt(process.env.CLEANUP_INTERVAL) || 300000, // 5 minutes in ms
+    reminderMinutes: parseInt(process.env.LOBBY_REMINDER_MINUTES) || 15, // minutes before a scheduled start
+    waitlistOfferMinutes: parseInt(process.env.LOBBY_WAITLIST_OFFER_MINUTES) || 5, // minutes to accept a freed slot
+    recurringTimezone: process.env.LOBBY_RECURRING_TIMEZONE || null, // overrides the server timezone for new recurring lobby schedules
+    queueTimeoutMinutes: parseInt(process.env.LOBBY_QUEUE_TIMEOUT_MINUTES) || 30, // minutes a player waits in /queue before timing out
+    queueGroupSize: parseInt(process.env.LOBBY_QUEUE_GROUP_SIZE) || 5, // default players per matchmade lobby
+    queueRankSpread: parseInt(process.env.LOBBY_QUEUE_RANK_SPREAD) || 2, // max rank difference within a matchmade lobby
+    emptyGraceMinutes: parseInt(process.env.LOBBY_EMPTY_GRACE_MINUTES) || 30, // minutes an empty lobby voice channel survives
+    emptyWarningMinutes: parseInt(process.env.LOBBY_EMPTY_WARNING_MINUTES) || 5, // warn the leader this long before an empty lobby is disbanded
+    activityExtendMinutes: parseInt(process.env.LOBBY_ACTIVITY_EXTEND_MINUTES) || 30 // keep timed lobbies alive at least this long while voice is in use
   },
 
   // DM Settings
@@ -55,6 +89,19 @@ const config = {
     reactionTimeoutMinutes: parseInt(process.env.EMOJI_REACTION_TIMEOUT_MINUTES) || 10
   },
 
+  // Command Rate Limit Settings
+  commands: {
+    expensiveConcurrency: parseInt(process.env.EXPENSIVE_COMMAND_CONCURRENCY) || 1 // simultaneous runs of scraping and model commands
+  },
+
+  // Local HTTP admin API and status dashboard
+  adminApi: {
+    enabled: process.env.ADMIN_API_ENABLED === 'true',
+    host: process.env.ADMIN_API_HOST || '127.0.0.1', // keep on localhost; reads are not authenticated
+    port: parseInt(process.env.ADMIN_API_PORT) || 3030,
+    token: process.env.ADMIN_API_TOKEN || null // bearer token for write endpoints, which are disabled without one
+  },
+
   // Validation
   validate() {
     const required = [
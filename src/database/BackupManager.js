@@ -0,0 +1,342 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const cron = require('node-cron');
+const { pipeline } = require('stream/promises');
+const logger = require('../utils/logger');
+const config = require('../config');
+const Migrator = require('./Migrator');
+const { SqliteDriver } = require('./drivers');
+
+// <database name>-<UTC time>-<reason>.db.gz, e.g. bot-20251120T040000123Z-scheduled.db.gz
+const BACKUP_FILE = /^(.+)-(\d{8}T\d{9}Z)-([a-z0-9-]+)\.db\.gz$/;
+
+// A database file and the journal files SQLite may leave next to it
+const removeDatabaseFile = async filePath => {
+  for (const suffix of ['', '-wal', '-shm', '-journal']) {
+    await fs.promises.rm(`${filePath}${suffix}`, { force: true });
+  }
+};
+
+const toStamp = date => date.toISOString().replace(/[-:.]/g, '');
+
+const fromStamp = stamp => new Date(
+  `${stamp.slice(0, 4)}-${stamp.slice(4, 6)}-${stamp.slice(6, 11)}:${stamp.slice(11, 13)}:${stamp.slice(13, 15)}.${stamp.slice(15, 18)}Z`
+);
+
+/**
+ * Compressed, integrity-checked snapshots of the SQLite database.
+ *
+ * Backups are taken with SQLite's online backup API while the bot keeps
+ * running, checked with PRAGMA integrity_check, gzipped into the backup
+ * directory and pruned to the newest `retention` files. Restoring copies a
+ * backup into the open connection after saving a 'pre-restore' backup of
+ * the current state, then applies any migrations newer than the backup.
+ *
+ * Point-in-time restores pick the newest backup taken at or before the given
+ * time, so they are as fine-grained as the backup schedule.
+ *
+ * PostgreSQL is not supported here; use pg_dump and its point-in-time recovery.
+ */
+class BackupManager {
+  /**
+   * @param {DatabaseConnection} db - Open connection to back up and restore into
+   * @param {Object} [options] - Defaults to config.backup
+   * @param {boolean} [options.enabled] - Run the schedule and automatic backups
+   * @param {string} [options.directory] - Where backups are written
+   * @param {string} [options.schedule] - Cron expression for scheduled backups
+   * @param {number} [options.retention] - Newest backups to keep
+   * @param {string} [options.databasePath] - SQLite file (defaults to config.database.path)
+   */
+  constructor(db, options = {}) {
+    const settings = { ...config.backup, ...options };
+    const databasePath = settings.databasePath || config.database.path;
+
+    this.db = db;
+    this.enabled = settings.enabled;
+    this.schedule = settings.schedule;
+    this.retention = settings.retention;
+    this.databasePath = databasePath;
+    this.directory = settings.directory || path.join(path.dirname(databasePath), 'backups');
+    this.baseName = path.basename(databasePath, path.extname(databasePath)) || 'database';
+    this.job = null;
+    this.busy = false;
+    this.lastBackup = null;
+  }
+
+  /**
+   * Whether the open database can be backed up (a SQLite file, not :memory:)
+   */
+  isSupported() {
+    return this.db.dialect === 'sqlite' && this.databasePath !== ':memory:';
+  }
+
+  /**
+   * Start scheduled backups
+   */
+  start() {
+    if (!this.enabled || !this.isSupported()) {
+      logger.info('Scheduled database backups are off', { enabled: this.enabled, dialect: this.db.dialect });
+      return;
+    }
+
+    this.job = cron.schedule(this.schedule, async () => {
+      try {
+        await this.create({ reason: 'scheduled' });
+      } catch (error) {
+        logger.error('Scheduled database backup failed', { error: error.message });
+      }
+    }, {
+      scheduled: false,
+      timezone: config.bot.timezone
+    });
+    this.job.start();
+
+    logger.info('Scheduled database backups', { schedule: this.schedule, directory: this.directory, retention: this.retention });
+  }
+
+  stop() {
+    if (this.job) {
+      this.job.stop();
+      this.job = null;
+    }
+  }
+
+  /**
+   * Back up the database, check the copy and compress it
+   * @param {Object} [options]
+   * @param {string} [options.reason] - Recorded in the file name (manual, scheduled, pre-migrate...)
+   * @returns {Promise<Object>} - The backup, as listed by list()
+   */
+  async create({ reason = 'manual' } = {}) {
+    return await this.exclusive(() => this.write(reason));
+  }
+
+  /**
+   * Back up before a destructive operation, unless backups are off or there
+   * is nothing worth keeping yet (a new or in-memory database, or PostgreSQL)
+   * @param {string} reason - e.g. 'pre-migrate', 'pre-reset'
+   * @returns {Promise<Object|null>} - The backup, or null when skipped
+   */
+  async createBefore(reason) {
+    if (!this.enabled || !this.isSupported()) {
+      return null;
+    }
+
+    const tables = await this.db.listTables();
+    if (tables.length === 0) {
+      return null;
+    }
+
+    return await this.create({ reason });
+  }
+
+  /**
+   * Backups in the directory, newest first
+   * @returns {Promise<Array<Object>>} - { name, path, createdAt, reason, size }
+   */
+  async list() {
+    if (!fs.existsSync(this.directory)) {
+      return [];
+    }
+
+    const backups = [];
+    for (const name of await fs.promises.readdir(this.directory)) {
+      const match = name.match(BACKUP_FILE);
+      if (!match || match[1] !== this.baseName) continue;
+
+      const filePath = path.join(this.directory, name);
+      const { size } = await fs.promises.stat(filePath);
+      backups.push({ name, path: filePath, createdAt: fromStamp(match[2]), reason: match[3], size });
+    }
+
+    return backups.sort((a, b) => b.createdAt - a.createdAt || b.name.localeCompare(a.name));
+  }
+
+  /**
+   * Find a backup by file name, or the newest one taken at or before a time
+   * @param {string|Date} target - Backup name, or a Date / date string (UTC unless it
+   *   says otherwise) for point-in-time
+   * @returns {Promise<Object|null>}
+   */
+  async find(target) {
+    const backups = await this.list();
+
+    if (typeof target === 'string') {
+      const byName = backups.find(backup => backup.name === target);
+      if (byName || BACKUP_FILE.test(target)) {
+        return byName || null;
+      }
+    }
+
+    // Times without a zone are read as UTC, the zone of the backup names
+    const time = target instanceof Date ? target : new Date(/T[\d:.]+$/.test(target) ? `${target}Z` : target);
+    if (Number.isNaN(time.getTime())) {
+      throw new Error(`Not a backup name or a date: ${target}`);
+    }
+
+    return backups.find(backup => backup.createdAt <= time) || null;
+  }
+
+  /**
+   * find(), throwing when nothing matches
+   * @private
+   */
+  async findOrThrow(target) {
+    const backup = await this.find(target);
+    if (!backup) {
+      throw new Error(`No backup matches ${target instanceof Date ? target.toISOString() : target}`);
+    }
+    return backup;
+  }
+
+  /**
+   * Replace the database with a backup. The current state is backed up first
+   * (reason 'pre-restore') so a restore can itself be undone.
+   * @param {string|Date} target - See find()
+   * @returns {Promise<Object>} - { restored, safetyBackup, migrations }
+   */
+  async restore(target) {
+    if (!this.isSupported()) {
+      throw new Error('Backups are only supported for SQLite database files; use pg_dump for PostgreSQL');
+    }
+
+    const backup = await this.findOrThrow(target);
+
+    return await this.exclusive(async () => {
+      const restoreFile = await this.extract(backup);
+
+      try {
+        const safetyBackup = await this.write('pre-restore');
+        await this.db.driver.restoreFrom(restoreFile);
+        const migrations = await new Migrator(this.db).up();
+
+        logger.info('Database restored from backup', { backup: backup.name, safetyBackup: safetyBackup.name, migrations });
+        return { restored: backup, safetyBackup, migrations };
+      } finally {
+        await removeDatabaseFile(restoreFile);
+      }
+    });
+  }
+
+  /**
+   * Check that a backup decompresses to a database that passes the integrity check
+   * @param {string|Date} target - See find()
+   * @returns {Promise<Object>} - The backup checked
+   */
+  async verify(target) {
+    const backup = await this.findOrThrow(target);
+
+    await removeDatabaseFile(await this.extract(backup));
+    return backup;
+  }
+
+  /**
+   * Delete all but the newest `retention` backups
+   * @returns {Promise<Array<string>>} - Names of the deleted backups
+   */
+  async prune() {
+    const expired = (await this.list()).slice(this.retention);
+
+    for (const backup of expired) {
+      await fs.promises.rm(backup.path, { force: true });
+    }
+
+    if (expired.length > 0) {
+      logger.info('Pruned old database backups', { deleted: expired.map(backup => backup.name) });
+    }
+    return expired.map(backup => backup.name);
+  }
+
+  /**
+   * Copy, check and compress the database, then prune
+   * @private
+   */
+  async write(reason) {
+    if (!this.isSupported()) {
+      throw new Error('Backups are only supported for SQLite database files; use pg_dump for PostgreSQL');
+    }
+
+    const slug = String(reason).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'manual';
+    const name = `${this.baseName}-${toStamp(new Date())}-${slug}.db.gz`;
+    const finalPath = path.join(this.directory, name);
+    const copyPath = path.join(this.directory, `.${name}.db`);
+    const partialPath = `${finalPath}.partial`;
+
+    await fs.promises.mkdir(this.directory, { recursive: true });
+
+    try {
+      await this.db.driver.backupTo(copyPath);
+      await BackupManager.checkIntegrity(copyPath);
+      await pipeline(fs.createReadStream(copyPath), zlib.createGzip(), fs.createWriteStream(partialPath));
+      await fs.promises.rename(partialPath, finalPath);
+    } finally {
+      await removeDatabaseFile(copyPath);
+      await fs.promises.rm(partialPath, { force: true });
+    }
+
+    const { size } = await fs.promises.stat(finalPath);
+    const backup = { name, path: finalPath, createdAt: fromStamp(name.match(BACKUP_FILE)[2]), reason: slug, size };
+    this.lastBackup = backup;
+    logger.info('Database backed up', { backup: name, size });
+
+    await this.prune();
+    return backup;
+  }
+
+  /**
+   * Decompress a backup next to it and check its integrity
+   * @private
+   * @returns {Promise<string>} - Path of the database file, for the caller to delete
+   */
+  async extract(backup) {
+    const filePath = path.join(this.directory, `.restore-${process.pid}-${Date.now()}.db`);
+
+    try {
+      await pipeline(fs.createReadStream(backup.path), zlib.createGunzip(), fs.createWriteStream(filePath));
+      await BackupManager.checkIntegrity(filePath);
+      return filePath;
+    } catch (error) {
+      await removeDatabaseFile(filePath);
+      throw error;
+    }
+  }
+
+  /**
+   * Run one backup or restore at a time
+   * @private
+   */
+  async exclusive(work) {
+    if (this.busy) {
+      throw new Error('Another backup or restore is already running');
+    }
+
+    this.busy = true;
+    try {
+      return await work();
+    } finally {
+      this.busy = false;
+    }
+  }
+
+  /**
+   * Throw unless PRAGMA integrity_check passes on a database file
+   * @param {string} filePath
+   */
+  static async checkIntegrity(filePath) {
+    const driver = new SqliteDriver({ path: filePath });
+    await driver.open();
+
+    try {
+      const rows = await driver.all('PRAGMA integrity_check');
+      const problems = rows.map(row => row.integrity_check).filter(result => result !== 'ok');
+      if (problems.length > 0) {
+        throw new Error(`Backup failed the integrity check: ${problems.slice(0, 5).join('; ')}`);
+      }
+    } finally {
+      await driver.close();
+    }
+  }
+}
+
+module.exports = BackupManager;
@@ -0,0 +1,361 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+// 014_create_lobby_waitlist.sql, 028_align_betting_schemas.js, 014_create_lobby_waitlist.down.sql,
+// and driver-specific variants such as 013_add_lobby_scheduling.postgres.sql
+const MIGRATION_FILE = /^(\d{3,})_([\w-]+?)(?:\.(sqlite|postgres))?(\.down)?\.(sql|js)$/;
+
+/**
+ * Applies and reverts the schema migrations in src/database/migrations.
+ *
+ * Migrations are discovered from the directory and run in version order, each
+ * in its own transaction with foreign keys off (so table rebuilds do not cascade),
+ * checked with foreign_key_check before committing. An SQL migration may have a
+ * NNN_name.down.sql next to it; a JS migration exports up(db) and optionally
+ * down(db). A file named NNN_name.postgres.sql (or .postgres.down.sql) replaces
+ * NNN_name.sql on that driver, for the few migrations the Postgres driver cannot
+ * translate. The checksum of each applied file is recorded so later edits are
+ * caught, and checkDrift() compares the live schema with a scratch database
+ * built from the same migrations.
+ */
+class Migrator {
+  /**
+   * @param {DatabaseConnection} db - Open connection
+   * @param {Object} options
+   * @param {string} [options.directory] - Migrations directory
+   */
+  constructor(db, { directory = MIGRATIONS_DIR } = {}) {
+    this.db = db;
+    this.directory = directory;
+  }
+
+  /**
+   * Find migration files in version order, picking the variants for the
+   * connection's driver
+   * @returns {Array<Object>} - { version, name, file, type, downFile, checksum }
+   */
+  discover() {
+    const byName = new Map();
+
+    for (const file of fs.readdirSync(this.directory)) {
+      const match = file.match(MIGRATION_FILE);
+      if (!match) continue;
+
+      const [, version, label, dialect, down, type] = match;
+      if (dialect && dialect !== this.db.dialect) continue;
+
+      const name = `${version}_${label}`;
+      const entry = byName.get(name) || { version: parseInt(version, 10), name, up: {}, down: {} };
+      entry[down ? 'down' : 'up'][dialect ? 'dialect' : 'generic'] = { file, type };
+      byName.set(name, entry);
+    }
+
+    const migrations = [];
+    for (const entry of byName.values()) {
+      const up = entry.up.dialect || entry.up.generic;
+      if (!up) continue;
+
+      const down = up.type === 'sql' ? entry.down.dialect || entry.down.generic : null;
+
+      migrations.push({
+        version: entry.version,
+        name: entry.name,
+        file: up.file,
+        type: up.type,
+        downFile: down ? down.file : null,
+        checksum: this.checksum(up.file)
+      });
+    }
+
+    migrations.sort((a, b) => a.version - b.version);
+
+    const versions = new Set();
+    for (const migration of migrations) {
+      if (versions.has(migration.version)) {
+        throw new Error(`Two migrations share version ${migration.version}: rename one of them`);
+      }
+      versions.add(migration.version);
+    }
+
+    return migrations;
+  }
+
+  checksum(file) {
+    const content = fs.readFileSync(path.join(this.directory, file), 'utf-8').replace(/\r\n/g, '\n');
+    return crypto.createHash('sha256').update(content).digest('hex');
+  }
+
+  /**
+   * Create the bookkeeping table, adding the checksum column to databases that
+   * were migrated before checksums were recorded
+   */
+  async ensureTable() {
+    await this.db.run(`
+      CREATE TABLE IF NOT EXISTS migrations (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT UNIQUE NOT NULL,
+        executed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        checksum TEXT
+      )
+    `);
+
+    const columns = await this.db.listColumns('migrations');
+    if (!columns.some(column => column.name === 'checksum')) {
+      await this.db.run('ALTER TABLE migrations ADD COLUMN checksum TEXT');
+    }
+  }
+
+  async getApplied() {
+    return await this.db.all('SELECT name, executed_at, checksum FROM migrations ORDER BY id');
+  }
+
+  /**
+   * Compare migration files with what the database has applied
+   * @returns {Promise<Object>} - { applied, pending, modified, missing }; applied and
+   *   pending are migrations, modified lists applied migrations whose file changed,
+   *   missing lists applied names with no file
+   */
+  async status() {
+    await this.ensureTable();
+
+    const migrations = this.discover();
+    const applied = await this.getApplied();
+    const byName = new Map(migrations.map(migration => [migration.name, migration]));
+    const appliedNames = new Set(applied.map(row => row.name));
+
+    // Rows from before checksums were recorded take the current file's checksum
+    for (const row of applied) {
+      const migration = byName.get(row.name);
+      if (migration && !row.checksum) {
+        await this.db.run('UPDATE migrations SET checksum = ? WHERE name = ?', [migration.checksum, row.name]);
+        row.checksum = migration.checksum;
+      }
+    }
+
+    return {
+      applied: applied
+        .filter(row => byName.has(row.name))
+        .map(row => ({ ...byName.get(row.name), executedAt: row.executed_at })),
+      pending: migrations.filter(migration => !appliedNames.has(migration.name)),
+      modified: applied
+        .filter(row => byName.has(row.name) && byName.get(row.name).checksum !== row.checksum)
+        .map(row => row.name),
+      missing: applied.filter(row => !byName.has(row.name)).map(row => row.name)
+    };
+  }
+
+  /**
+   * Apply pending migrations
+   * @param {Object} options
+   * @param {number} [options.to] - Stop after this version
+   * @returns {Promise<Array<string>>} - Names of the migrations applied
+   */
+  async up({ to = null } = {}) {
+    const { pending, modified } = await this.status();
+
+    if (modified.length > 0) {
+      throw new Error(`Migrations changed after they were applied: ${modified.join(', ')}. Add a new migration instead of editing an applied one.`);
+    }
+
+    const applied = [];
+    for (const migration of pending) {
+      if (to !== null && migration.version > to) break;
+
+      logger.info(`Running migration: ${migration.name}`);
+      await this.runInTransaction(async tx => {
+        await this.execute(migration, 'up', tx);
+        await tx.run('INSERT INTO migrations (name, checksum) VALUES (?, ?)', [migration.name, migration.checksum]);
+      });
+      applied.push(migration.name);
+    }
+
+    if (applied.length > 0) {
+      logger.info(`Applied ${applied.length} migrations`, { migrations: applied });
+    }
+
+    return applied;
+  }
+
+  /**
+   * Revert the most recently applied migrations
+   * @param {Object} options
+   * @param {number} [options.steps] - How many to revert (default 1)
+   * @param {number} [options.to] - Revert everything after this version instead
+   * @returns {Promise<Array<string>>} - Names of the migrations reverted
+   */
+  async down({ steps = 1, to = null } = {}) {
+    const { applied } = await this.status();
+    const targets = applied
+      .slice()
+      .reverse()
+      .filter(migration => to === null || migration.version > to);
+    const selected = to === null ? targets.slice(0, steps) : targets;
+
+    const irreversible = selected.filter(migration => !this.canRevert(migration));
+    if (irreversible.length > 0) {
+      throw new Error(`No down migration for ${irreversible.map(migration => migration.name).join(', ')}`);
+    }
+
+    const reverted = [];
+    for (const migration of selected) {
+      logger.info(`Reverting migration: ${migration.name}`);
+      await this.runInTransaction(async tx => {
+        await this.execute(migration, 'down', tx);
+        await tx.run('DELETE FROM migrations WHERE name = ?', [migration.name]);
+      });
+      reverted.push(migration.name);
+    }
+
+    return reverted;
+  }
+
+  canRevert(migration) {
+    if (migration.type === 'js') {
+      return typeof this.loadModule(migration).down === 'function';
+    }
+    return Boolean(migration.downFile);
+  }
+
+  loadModule(migration) {
+    return require(path.join(this.directory, migration.file));
+  }
+
+  /**
+   * @param {Object} tx - Transaction to run the migration's statements on
+   */
+  async execute(migration, direction, tx) {
+    if (migration.type === 'js') {
+      await this.loadModule(migration)[direction](tx);
+      return;
+    }
+
+    const file = direction === 'up' ? migration.file : migration.downFile;
+    await tx.exec(fs.readFileSync(path.join(this.directory, file), 'utf-8'));
+  }
+
+  /**
+   * Run a migration step atomically, with foreign keys checked at the end so
+   * table rebuilds do not cascade
+   */
+  async runInTransaction(work) {
+    await this.db.transaction(work, { deferForeignKeys: true });
+  }
+
+  /**
+   * Compare the live schema with the one the applied migrations produce on an
+   * empty database
+   * @param {Function} [createScratch] - Returns an open, empty connection to build
+   *   into (default: a scratch database from the connection's driver)
+   * @returns {Promise<Array<string>>} - One line per mismatch; empty when they agree
+   */
+  async checkDrift(createScratch = () => this.db.openScratch()) {
+    const { applied } = await this.status();
+    const scratch = await createScratch();
+
+    try {
+      const scratchMigrator = new Migrator(scratch, { directory: this.directory });
+      await scratchMigrator.ensureTable();
+      for (const migration of applied) {
+        await scratchMigrator.runInTransaction(tx => scratchMigrator.execute(migration, 'up', tx));
+      }
+
+      return Migrator.compareSchemas(await Migrator.readSchema(scratch), await Migrator.readSchema(this.db));
+    } finally {
+      await scratch.close();
+    }
+  }
+
+  /**
+   * Read tables, columns and indexes, leaving out SQLite internals and bookkeeping
+   * @returns {Promise<Object>} - { tableName: { columns: { name: column }, indexes: { name: sql } } }
+   */
+  static async readSchema(db) {
+    const schema = {};
+    const tables = (await db.listTables()).filter(name => name !== 'migrations');
+
+    for (const name of tables) {
+      const columns = {};
+      for (const { name: column, ...definition } of await db.listColumns(name)) {
+        columns[column] = definition;
+      }
+
+      const indexes = {};
+      for (const index of await db.listIndexes(name)) {
+        indexes[index.name] = Migrator.normalizeSql(index.sql);
+      }
+
+      schema[name] = { columns, indexes };
+    }
+
+    return schema;
+  }
+
+  static normalizeSql(sql) {
+    return sql.replace(/\s+/g, ' ').replace(/\s*([(),])\s*/g, '$1').replace(/IF NOT EXISTS /i, '').trim().toLowerCase();
+  }
+
+  /**
+   * Describe how an actual schema differs from the expected one
+   * @returns {Array<string>}
+   */
+  static compareSchemas(expected, actual) {
+    const problems = [];
+
+    for (const [table, { columns, indexes }] of Object.entries(expected)) {
+      if (!actual[table]) {
+        problems.push(`${table}: table is missing`);
+        continue;
+      }
+
+      for (const [column, definition] of Object.entries(columns)) {
+        const found = actual[table].columns[column];
+        if (!found) {
+          problems.push(`${table}.${column}: column is missing`);
+          continue;
+        }
+
+        for (const property of ['type', 'notNull', 'default', 'primaryKey']) {
+          if (found[property] !== definition[property]) {
+            problems.push(`${table}.${column}: ${property} is ${JSON.stringify(found[property])}, expected ${JSON.stringify(definition[property])}`);
+          }
+        }
+      }
+
+      for (const column of Object.keys(actual[table].columns)) {
+        if (!columns[column]) {
+          problems.push(`${table}.${column}: unexpected column`);
+        }
+      }
+
+      for (const [index, sql] of Object.entries(indexes)) {
+        if (!actual[table].indexes[index]) {
+          problems.push(`${table}: index ${index} is missing`);
+        } else if (actual[table].indexes[index] !== sql) {
+          problems.push(`${table}: index ${index} has a different definition`);
+        }
+      }
+
+      for (const index of Object.keys(actual[table].indexes)) {
+        if (!indexes[index]) {
+          problems.push(`${table}: unexpected index ${index}`);
+        }
+      }
+    }
+
+    for (const table of Object.keys(actual)) {
+      if (!expected[table]) {
+        problems.push(`${table}: unexpected table`);
+      }
+    }
+
+    return problems;
+  }
+}
+
+Migrator.MIGRATIONS_DIR = MIGRATIONS_DIR;
+
+module.exports = Migrator;
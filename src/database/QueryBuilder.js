@@ -0,0 +1,325 @@
+const IDENTIFIER = /^[A-Za-z_][A-Za-z0-9_]*(\.[A-Za-z_][A-Za-z0-9_]*)?$/;
+const ORDER_TERM = /^\s*([A-Za-z_][\w.]*)(?:\s+(ASC|DESC))?\s*$/i;
+
+const COMPARISONS = {
+  eq: '=',
+  ne: '!=',
+  gt: '>',
+  gte: '>=',
+  lt: '<',
+  lte: '<='
+};
+
+const isPlainObject = value =>
+  value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+
+const identifier = name => {
+  if (!IDENTIFIER.test(name)) {
+    throw new Error(`Invalid column name: ${name}`);
+  }
+  return name;
+};
+
+/**
+ * Composable SELECT over one table, built by BaseRepository.select() and
+ * BaseRepository.where().
+ *
+ * Criteria map columns to a value for equality, or to an object of operators
+ * that are all ANDed: { gt, gte, lt, lte, ne, eq, between: [low, high],
+ * in: [...], notIn: [...], like, isNull: true|false }. Undefined and null
+ * values and operands are skipped, as BaseRepository.findBy always did, so
+ * optional filters can be passed straight through; use isNull to match NULL.
+ * The key `or` takes a list of criteria of which any may match.
+ *
+ * @example
+ * await repo.where({ sport, game_date: { between: [start, end] } })
+ *   .orderBy('game_date')
+ *   .limit(50)
+ *   .all();
+ */
+class QueryBuilder {
+  /**
+   * @param {DatabaseConnection} db
+   * @param {string} tableName
+   */
+  constructor(db, tableName) {
+    this.db = db;
+    this.tableName = tableName;
+    this.columns = [];
+    this.conditions = [];
+    this.params = [];
+    this.ordering = [];
+    this.limitCount = null;
+    this.offsetCount = null;
+    this.cursor = null;
+  }
+
+  /**
+   * Columns to return (all of them by default)
+   * @param {...string|Array<string>} columns
+   */
+  select(...columns) {
+    this.columns.push(...columns.flat().map(identifier));
+    return this;
+  }
+
+  /**
+   * Add criteria, ANDed with any added before
+   * @param {Object} criteria
+   */
+  where(criteria = {}) {
+    const { sql, params } = QueryBuilder.compile(criteria);
+    if (sql) {
+      this.conditions.push(sql);
+      this.params.push(...params);
+    }
+    return this;
+  }
+
+  /**
+   * Add sort keys. Takes a column and direction, a list of them
+   * ([['game_date', 'DESC'], 'id']) or an ORDER BY clause such as
+   * 'created_at DESC, id DESC'. A clause with an expression in it (RANDOM(),
+   * COLLATE) is used as written but cannot be paginated with after().
+   * @param {string|Array} column
+   * @param {string} [direction] - 'ASC' or 'DESC'
+   */
+  orderBy(column, direction = 'ASC') {
+    if (!column) return this;
+
+    if (Array.isArray(column)) {
+      for (const term of column) {
+        if (Array.isArray(term)) {
+          this.orderBy(term[0], term[1]);
+        } else {
+          this.orderBy(term);
+        }
+      }
+      return this;
+    }
+
+    const terms = column.includes(',') ? column.split(',') : [column];
+    if (terms.every(term => ORDER_TERM.test(term))) {
+      for (const term of terms) {
+        const [, name, termDirection] = term.match(ORDER_TERM);
+        const resolved = (termDirection || (terms.length === 1 ? direction : 'ASC')).toUpperCase();
+        if (resolved !== 'ASC' && resolved !== 'DESC') {
+          throw new Error(`Invalid sort direction: ${direction}`);
+        }
+        this.ordering.push({ column: identifier(name), direction: resolved });
+      }
+    } else {
+      this.ordering.push({ expression: column.trim() });
+    }
+
+    return this;
+  }
+
+  limit(count) {
+    this.limitCount = count ? parseInt(count, 10) : null;
+    return this;
+  }
+
+  offset(count) {
+    this.offsetCount = count ? parseInt(count, 10) : null;
+    return this;
+  }
+
+  /**
+   * Continue after the row a cursor from page() points at. The sort keys
+   * must be plain columns that never hold NULL, ending with a unique one.
+   * @param {string|null} cursor
+   */
+  after(cursor) {
+    this.cursor = cursor || null;
+    return this;
+  }
+
+  /**
+   * @returns {{ sql: string, params: Array }}
+   */
+  toSQL() {
+    const conditions = [...this.conditions];
+    const params = [...this.params];
+
+    if (this.cursor) {
+      const keyset = this.keysetCondition(QueryBuilder.decodeCursor(this.cursor));
+      conditions.push(keyset.sql);
+      params.push(...keyset.params);
+    }
+
+    let sql = `SELECT ${this.columns.length > 0 ? this.columns.join(', ') : '*'} FROM ${this.tableName}`;
+
+    if (conditions.length > 0) {
+      sql += ` WHERE ${conditions.join(' AND ')}`;
+    }
+
+    if (this.ordering.length > 0) {
+      const terms = this.ordering.map(term => term.expression || `${term.column} ${term.direction}`);
+      sql += ` ORDER BY ${terms.join(', ')}`;
+    }
+
+    if (this.limitCount) {
+      sql += ' LIMIT ?';
+      params.push(this.limitCount);
+    }
+
+    if (this.offsetCount) {
+      sql += `${this.limitCount ? '' : ' LIMIT -1'} OFFSET ?`;
+      params.push(this.offsetCount);
+    }
+
+    return { sql, params };
+  }
+
+  async all() {
+    const { sql, params } = this.toSQL();
+    return await this.db.all(sql, params);
+  }
+
+  async first() {
+    const limitCount = this.limitCount;
+    this.limitCount = 1;
+    const { sql, params } = this.toSQL();
+    this.limitCount = limitCount;
+
+    return (await this.db.get(sql, params)) || null;
+  }
+
+  /**
+   * Number of rows matching the criteria, ignoring order, limit and cursor
+   */
+  async count() {
+    let sql = `SELECT COUNT(*) AS count FROM ${this.tableName}`;
+    if (this.conditions.length > 0) {
+      sql += ` WHERE ${this.conditions.join(' AND ')}`;
+    }
+
+    const row = await this.db.get(sql, this.params);
+    return row.count;
+  }
+
+  /**
+   * Fetch one page of rows in the builder's order
+   * @param {number} size - Rows per page
+   * @returns {Promise<{ rows: Array<Object>, nextCursor: string|null }>} - nextCursor
+   *   goes to after() for the following page, and is null on the last one
+   */
+  async page(size) {
+    if (this.ordering.length === 0 || this.ordering.some(term => term.expression)) {
+      throw new Error('Cursor pagination needs the query ordered by columns');
+    }
+
+    const limitCount = this.limitCount;
+    this.limitCount = size + 1;
+    const rows = await this.all();
+    this.limitCount = limitCount;
+
+    const hasMore = rows.length > size;
+    const pageRows = hasMore ? rows.slice(0, size) : rows;
+    const last = pageRows[pageRows.length - 1];
+
+    return {
+      rows: pageRows,
+      nextCursor: hasMore ? QueryBuilder.encodeCursor(this.ordering.map(term => last[term.column.split('.').pop()])) : null
+    };
+  }
+
+  /**
+   * Rows after the cursor's sort key values: (a > ?) OR (a = ? AND b > ?) ...
+   * @private
+   */
+  keysetCondition(values) {
+    if (this.ordering.some(term => term.expression) || values.length !== this.ordering.length) {
+      throw new Error('Cursor does not match the query ordering');
+    }
+
+    const branches = [];
+    const params = [];
+
+    this.ordering.forEach((term, index) => {
+      const parts = this.ordering.slice(0, index).map(previous => `${previous.column} = ?`);
+      parts.push(`${term.column} ${term.direction === 'DESC' ? '<' : '>'} ?`);
+      branches.push(`(${parts.join(' AND ')})`);
+      params.push(...values.slice(0, index + 1));
+    });
+
+    return { sql: `(${branches.join(' OR ')})`, params };
+  }
+
+  /**
+   * Compile criteria to a WHERE expression (without the keyword)
+   * @param {Object} criteria
+   * @returns {{ sql: string, params: Array }} - sql is empty when nothing applies
+   */
+  static compile(criteria = {}) {
+    const conditions = [];
+    const params = [];
+
+    for (const [key, value] of Object.entries(criteria)) {
+      if (value === undefined || value === null) continue;
+
+      if (key === 'or') {
+        const branches = value.map(branch => QueryBuilder.compile(branch)).filter(branch => branch.sql);
+        if (branches.length > 0) {
+          conditions.push(`(${branches.map(branch => branch.sql).join(' OR ')})`);
+          branches.forEach(branch => params.push(...branch.params));
+        }
+        continue;
+      }
+
+      const column = identifier(key);
+
+      if (!isPlainObject(value)) {
+        conditions.push(`${column} = ?`);
+        params.push(value);
+        continue;
+      }
+
+      for (const [operator, operand] of Object.entries(value)) {
+        if (operand === undefined || operand === null) continue;
+
+        if (COMPARISONS[operator]) {
+          conditions.push(`${column} ${COMPARISONS[operator]} ?`);
+          params.push(operand);
+        } else if (operator === 'between') {
+          conditions.push(`${column} BETWEEN ? AND ?`);
+          params.push(operand[0], operand[1]);
+        } else if (operator === 'in' || operator === 'notIn') {
+          if (operand.length === 0) {
+            // Nothing is in an empty list, and everything is outside it
+            if (operator === 'in') conditions.push('1 = 0');
+            continue;
+          }
+          conditions.push(`${column} ${operator === 'in' ? 'IN' : 'NOT IN'} (${operand.map(() => '?').join(', ')})`);
+          params.push(...operand);
+        } else if (operator === 'like') {
+          conditions.push(`${column} LIKE ?`);
+          params.push(operand);
+        } else if (operator === 'isNull') {
+          conditions.push(`${column} IS ${operand ? '' : 'NOT '}NULL`);
+        } else {
+          throw new Error(`Unknown operator ${operator} for ${column}`);
+        }
+      }
+    }
+
+    return { sql: conditions.join(' AND '), params };
+  }
+
+  static encodeCursor(values) {
+    return Buffer.from(JSON.stringify(values)).toString('base64url');
+  }
+
+  static decodeCursor(cursor) {
+    try {
+      const values = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+      if (Array.isArray(values)) return values;
+    } catch (error) {
+      // Fall through to the error below
+    }
+    throw new Error('Invalid cursor');
+  }
+}
+
+module.exports = QueryBuilder;
@@ -0,0 +1,88 @@
+const MAX_STATEMENTS = 200;
+const MAX_SQL_LENGTH = 300;
+
+/**
+ * Timing of the queries run through DatabaseConnection, grouped by SQL text.
+ * Only the most recently used statements are kept, so ad hoc SQL cannot grow
+ * it without bound.
+ */
+class QueryMetrics {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.slowQueryMs] - Queries at least this slow count as slow
+   */
+  constructor({ slowQueryMs = 500 } = {}) {
+    this.slowQueryMs = slowQueryMs;
+    this.reset();
+  }
+
+  reset() {
+    this.queries = 0;
+    this.errors = 0;
+    this.slowQueries = 0;
+    this.totalMs = 0;
+    this.statements = new Map();
+  }
+
+  /**
+   * Record one query
+   * @param {string} sql
+   * @param {number} durationMs - Including time spent waiting for the write queue
+   * @param {boolean} [failed]
+   * @returns {boolean} - Whether the query was slow
+   */
+  record(sql, durationMs, failed = false) {
+    const key = sql.replace(/\s+/g, ' ').trim().slice(0, MAX_SQL_LENGTH);
+    const slow = durationMs >= this.slowQueryMs;
+
+    this.queries++;
+    this.totalMs += durationMs;
+    if (failed) this.errors++;
+    if (slow) this.slowQueries++;
+
+    const entry = this.statements.get(key) || { sql: key, count: 0, errors: 0, slow: 0, totalMs: 0, maxMs: 0 };
+    entry.count++;
+    entry.totalMs += durationMs;
+    entry.maxMs = Math.max(entry.maxMs, durationMs);
+    if (failed) entry.errors++;
+    if (slow) entry.slow++;
+
+    // Re-insert so the Map stays in least recently used order
+    this.statements.delete(key);
+    this.statements.set(key, entry);
+    if (this.statements.size > MAX_STATEMENTS) {
+      this.statements.delete(this.statements.keys().next().value);
+    }
+
+    return slow;
+  }
+
+  /**
+   * @param {number} [limit] - Statements to list
+   * @returns {Object} - Totals and the statements with the most total time
+   */
+  getSummary(limit = 10) {
+    const round = ms => Math.round(ms * 10) / 10;
+
+    return {
+      queries: this.queries,
+      errors: this.errors,
+      slowQueries: this.slowQueries,
+      slowQueryMs: this.slowQueryMs,
+      averageMs: this.queries > 0 ? round(this.totalMs / this.queries) : 0,
+      topStatements: [...this.statements.values()]
+        .sort((a, b) => b.totalMs - a.totalMs)
+        .slice(0, limit)
+        .map(({ sql, count, errors, slow, totalMs, maxMs }) => ({
+          sql,
+          count,
+          errors,
+          slow,
+          averageMs: round(totalMs / count),
+          maxMs: round(maxMs)
+        }))
+    };
+  }
+}
+
+module.exports = QueryMetrics;
@@ -0,0 +1,83 @@
+#!/usr/bin/env node
+
+const dbConnection = require('./connection');
+const BackupManager = require('./BackupManager');
+const logger = require('../utils/logger');
+
+const USAGE = `Usage: npm run backup -- <command>
+
+  list               List backups, newest first
+  create [reason]    Back up the database now (reason defaults to manual)
+  restore <target>   Restore a backup by file name, or the newest one taken at or
+                     before a date/time (e.g. 2025-11-20T18:00:00Z)
+  verify <name>      Check that a backup decompresses and passes the integrity check`;
+
+/**
+ * Database backup script
+ * Run with: npm run backup -- list|create|restore|verify
+ * Stop the bot before restoring, so it does not keep serving the old data.
+ */
+async function backup(argv = process.argv.slice(2)) {
+  const [command = 'list', arg] = argv;
+
+  if (!['list', 'create', 'restore', 'verify'].includes(command) || (['restore', 'verify'].includes(command) && !arg)) {
+    console.log(USAGE);
+    return 1;
+  }
+
+  await dbConnection.initialize({ migrate: false });
+  const manager = new BackupManager(dbConnection);
+
+  try {
+    switch (command) {
+      case 'list': {
+        const backups = await manager.list();
+        for (const entry of backups) {
+          console.log(`  ${entry.name}  ${formatSize(entry.size)}`);
+        }
+        console.log(`\n${backups.length} backup(s) in ${manager.directory}`);
+        return 0;
+      }
+
+      case 'create': {
+        const created = await manager.create({ reason: arg });
+        console.log(`Backed up to ${created.path} (${formatSize(created.size)})`);
+        return 0;
+      }
+
+      case 'restore': {
+        const { restored, safetyBackup, migrations } = await manager.restore(arg);
+        console.log(`Restored ${restored.name}`);
+        console.log(`The previous state was saved as ${safetyBackup.name}`);
+        if (migrations.length > 0) {
+          console.log(`Applied:\n  ${migrations.join('\n  ')}`);
+        }
+        return 0;
+      }
+
+      case 'verify': {
+        await manager.verify(arg);
+        console.log(`${arg} passed the integrity check.`);
+        return 0;
+      }
+    }
+  } finally {
+    await dbConnection.close();
+  }
+}
+
+function formatSize(bytes) {
+  return bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(1)} MB` : `${Math.ceil(bytes / 1024)} KB`;
+}
+
+// Run backup if this file is executed directly
+if (require.main === module) {
+  backup()
+    .then(code => process.exit(code))
+    .catch(error => {
+      logger.error('Database backup command failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = backup;
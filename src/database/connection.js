@@ -1,47 +1,50 @@
-const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
 const fs = require('fs');
 const logger = require('../utils/logger');
 const config = require('../config');
+const Migrator = require('./Migrator');
+const BackupManager = require('./BackupManager');
+const QueryMetrics = require('./QueryMetrics');
+const { createDriver } = require('./drivers');
 
+/**
+ * Promise API over the configured storage driver (SQLite by default, or
+ * PostgreSQL), with error logging and timing for every query. Queries slower
+ * than DATABASE_SLOW_QUERY_MS are logged; getStats() reports the timings.
+ */
 class DatabaseConnection {
   constructor() {
-    this.db = null;
+    this.driver = null;
     this.isConnected = false;
+    this.metrics = new QueryMetrics({ slowQueryMs: config.database.slowQueryMs });
   }
 
   /**
-   * Initialize database connection and create tables if they don't exist
+   * Initialize database connection and bring the schema up to date
+   * @param {Object} options
+   * @param {boolean} [options.migrate] - Apply pending migrations (the migrate CLI opens without)
    */
-  async initialize() {
+  async initialize({ migrate = true } = {}) {
     try {
-      // Ensure data directory exists
-      const dbPath = config.database.path;
-      const dbDir = path.dirname(dbPath);
-      
-      if (!fs.existsSync(dbDir)) {
-        fs.mkdirSync(dbDir, { recursive: true });
-        logger.info(`Created database directory: ${dbDir}`);
-      }
+      const driver = createDriver(config.database);
+
+      if (driver.name === 'sqlite') {
+        // Ensure data directory exists
+        const dbDir = path.dirname(config.database.path);
 
-      // Create database connection
-      this.db = new sqlite3.Database(dbPath, (err) => {
-        if (err) {
-          logger.error('Error opening database:', err);
-          throw err;
+        if (!fs.existsSync(dbDir)) {
+          fs.mkdirSync(dbDir, { recursive: true });
+          logger.info(`Created database directory: ${dbDir}`);
         }
-        logger.info(`Connected to SQLite database: ${dbPath}`);
-      });
+      }
+
+      await this.open(driver);
+      logger.info(`Connected to ${driver.describe()}`);
+
+      if (migrate) {
+        await this.runMigrations();
+      }
 
-      // Enable foreign keys
-      await this.run('PRAGMA foreign_keys = ON');
-      
-      // Create tables
-      await this.createTables();
-      
-      // Run migrations
-      await this.runMigrations();
-      
       this.isConnected = true;
       logger.info('Database initialization completed');
     } catch (error) {
@@ -51,178 +54,205 @@ class DatabaseConnection {
   }
 
   /**
-   * Create all required tables (basic structure)
+   * Connect through a driver
+   * @param {SqliteDriver|PostgresDriver} driver
+   */
+  async open(driver) {
+    try {
+      await driver.open();
+      this.driver = driver;
+    } catch (error) {
+      logger.error('Error opening database:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Which driver is in use ('sqlite' or 'postgres')
    */
-  async createTables() {
-    // Basic tables are created in migrations now
-    logger.info('Database tables and indexes created successfully');
+  get dialect() {
+    return this.driver?.name || null;
   }
 
   /**
-   * Run database migrations
+   * Apply pending migrations from src/database/migrations, backing the
+   * database up first when it already holds applied migrations
+   * @returns {Promise<Array<string>>} - Names of the migrations applied
    */
   async runMigrations() {
     try {
-      // Create migrations table if it doesn't exist
-      await this.run(`
-        CREATE TABLE IF NOT EXISTS migrations (
-          id INTEGER PRIMARY KEY AUTOINCREMENT,
-          name TEXT UNIQUE NOT NULL,
-          executed_at DATETIME DEFAULT CURRENT_TIMESTAMP
-        )
-      `);
-
-      // List of migrations to run in order
-      const migrations = [
-        '001_create_core_tables',
-        '002_create_betting_tables', 
-        '003_create_teams_and_games',
-        '004_create_prediction_tables',
-        '005_add_vae_model_indexes',
-        '006_migrate_team_representations'
-      ];
-
-      for (const migrationName of migrations) {
-        // Check if migration has been run
-        const existingMigration = await this.get(
-          'SELECT * FROM migrations WHERE name = ?',
-          [migrationName]
-        );
-
-        if (!existingMigration) {
-          logger.info(`Running migration: ${migrationName}`);
-          
-          const migrationSQL = fs.readFileSync(
-            path.join(__dirname, `migrations/${migrationName}.sql`),
-            'utf-8'
-          );
-          
-          // Split by semicolon and execute each statement
-          const statements = migrationSQL.split(';').filter(s => s.trim());
-          for (const statement of statements) {
-            if (statement.trim()) {
-              try {
-                await this.run(statement);
-              } catch (error) {
-                // Ignore "duplicate column" and "table already exists" errors
-                if (!error.message.includes('duplicate column') && 
-                    !error.message.includes('already exists')) {
-                  throw error;
-                }
-              }
-            }
-          }
-          
-          // Record migration as completed
-          await this.run(
-            'INSERT INTO migrations (name) VALUES (?)',
-            [migrationName]
-          );
-          
-          logger.info('Migration completed successfully');
-        }
+      const migrator = new Migrator(this);
+      const { applied, pending } = await migrator.status();
+
+      if (applied.length > 0 && pending.length > 0) {
+        await new BackupManager(this).createBefore('pre-migrate');
       }
+
+      return await migrator.up();
     } catch (error) {
       logger.error('Migration failed:', error);
-      // Don't throw - continue with app startup
+      throw error;
     }
   }
 
+  /**
+   * Open an empty database of the same kind, for building a reference schema
+   * @returns {Promise<DatabaseConnection>}
+   */
+  async openScratch() {
+    const scratch = new DatabaseConnection();
+    scratch.driver = await this.driver.createScratch();
+    scratch.isConnected = true;
+    return scratch;
+  }
+
   /**
    * Execute a SQL query that doesn't return rows (INSERT, UPDATE, DELETE, CREATE, etc.)
    */
-  run(sql, params = []) {
-    return new Promise((resolve, reject) => {
-      this.db.run(sql, params, function(err) {
-        if (err) {
-          logger.error('Database run error:', { sql, params, error: err.message });
-          reject(err);
-        } else {
-          resolve({ lastID: this.lastID, changes: this.changes });
-        }
-      });
-    });
+  async run(sql, params = []) {
+    return await this.timed('run', sql, params, () => this.driver.run(sql, params));
   }
 
   /**
    * Execute a SQL query that returns a single row
    */
-  get(sql, params = []) {
-    return new Promise((resolve, reject) => {
-      this.db.get(sql, params, (err, row) => {
-        if (err) {
-          logger.error('Database get error:', { sql, params, error: err.message });
-          reject(err);
-        } else {
-          resolve(row);
-        }
-      });
-    });
+  async get(sql, params = []) {
+    return await this.timed('get', sql, params, () => this.driver.get(sql, params));
   }
 
   /**
    * Execute a SQL query that returns multiple rows
    */
-  all(sql, params = []) {
-    return new Promise((resolve, reject) => {
-      this.db.all(sql, params, (err, rows) => {
-        if (err) {
-          logger.error('Database all error:', { sql, params, error: err.message });
-          reject(err);
-        } else {
-          resolve(rows);
+  async all(sql, params = []) {
+    return await this.timed('all', sql, params, () => this.driver.all(sql, params));
+  }
+
+  /**
+   * Execute a script of one or more SQL statements without parameters
+   */
+  async exec(sql) {
+    await this.timed('exec', sql, null, () => this.driver.exec(sql));
+  }
+
+  /**
+   * Execute statements in a transaction
+   * @param {Array<Object>|Function} statements - { sql, params } to run in order, or a
+   *   function given the transaction's run/get/all/exec to use instead of this connection's
+   * @param {Object} [options] - Driver transaction options (deferForeignKeys)
+   */
+  async transaction(statements, options = {}) {
+    const work = typeof statements === 'function'
+      ? statements
+      : async tx => {
+        for (const { sql, params } of statements) {
+          await tx.run(sql, params);
         }
-      });
-    });
+      };
+
+    // Statements run on tx are not timed one by one; the transaction is, as a whole
+    const started = process.hrtime.bigint();
+    let failed = false;
+    try {
+      return await this.driver.transaction(work, options);
+    } catch (error) {
+      failed = true;
+      throw error;
+    } finally {
+      this.recordTiming('TRANSACTION', started, failed);
+    }
   }
 
   /**
-   * Execute multiple SQL statements in a transaction
+   * Run a query through the driver, logging it when it fails or is slow
+   * @private
    */
-  async transaction(statements) {
-    await this.run('BEGIN TRANSACTION');
+  async timed(method, sql, params, query) {
+    const started = process.hrtime.bigint();
+    let failed = false;
+
     try {
-      for (const { sql, params } of statements) {
-        await this.run(sql, params);
-      }
-      await this.run('COMMIT');
+      return await query();
     } catch (error) {
-      await this.run('ROLLBACK');
+      failed = true;
+      logger.error(`Database ${method} error:`, params ? { sql, params, error: error.message } : { error: error.message });
       throw error;
+    } finally {
+      this.recordTiming(sql, started, failed);
+    }
+  }
+
+  /**
+   * @private
+   */
+  recordTiming(sql, started, failed) {
+    const durationMs = Number(process.hrtime.bigint() - started) / 1e6;
+
+    if (this.metrics.record(sql, durationMs, failed)) {
+      logger.warn('Slow database query', {
+        sql: sql.replace(/\s+/g, ' ').trim().slice(0, 300),
+        durationMs: Math.round(durationMs),
+        driver: this.driver?.getStats?.()
+      });
     }
   }
 
+  /**
+   * Query timings (totals and the statements taking the most time) and driver counters
+   * @param {number} [limit] - Statements to list
+   * @returns {Object}
+   */
+  getStats(limit = 10) {
+    return {
+      ...this.metrics.getSummary(limit),
+      driver: this.driver?.getStats?.() || null
+    };
+  }
+
+  /**
+   * Placeholder for the index-th (1-based) bind parameter in driver-native SQL
+   */
+  placeholder(index) {
+    return this.driver.placeholder(index);
+  }
+
+  async listTables() {
+    return await this.driver.listTables();
+  }
+
+  async listColumns(table) {
+    return await this.driver.listColumns(table);
+  }
+
+  async listIndexes(table) {
+    return await this.driver.listIndexes(table);
+  }
+
   /**
    * Close the database connection
    */
   async close() {
-    return new Promise((resolve, reject) => {
-      if (this.db) {
-        this.db.close((err) => {
-          if (err) {
-            logger.error('Error closing database:', err);
-            reject(err);
-          } else {
-            logger.info('Database connection closed');
-            this.isConnected = false;
-            resolve();
-          }
-        });
-      } else {
-        resolve();
-      }
-    });
+    if (!this.driver) return;
+
+    try {
+      await this.driver.close();
+      logger.info('Database connection closed');
+      this.isConnected = false;
+    } catch (error) {
+      logger.error('Error closing database:', error);
+      throw error;
+    }
   }
 
   /**
    * Check if database is ready
    */
   isReady() {
-    return this.isConnected && this.db;
+    return Boolean(this.isConnected && this.driver?.isOpen());
   }
 }
 
 // Create singleton instance
 const dbConnection = new DatabaseConnection();
+dbConnection.DatabaseConnection = DatabaseConnection;
 
-module.exports = dbConnection;
\ No newline at end of file
+module.exports = dbConnection;
@@ -0,0 +1,446 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const sqlite3 = require('sqlite3').verbose();
+
+const BUSY_CODES = ['SQLITE_BUSY', 'SQLITE_LOCKED'];
+const PRAGMA_NAME = /^[A-Za-z_]+$/;
+const PRAGMA_VALUE = /^-?[\w.]+$/;
+
+const openDatabase = (path, mode) => new Promise((resolve, reject) => {
+  const db = new sqlite3.Database(path, mode, (err) => {
+    if (err) {
+      reject(err);
+    } else {
+      resolve(db);
+    }
+  });
+});
+
+const runOn = (db, sql, params) => new Promise((resolve, reject) => {
+  db.run(sql, params, function(err) {
+    if (err) {
+      reject(err);
+    } else {
+      resolve({ lastID: this.lastID, changes: this.changes });
+    }
+  });
+});
+
+const getOn = (db, sql, params) => new Promise((resolve, reject) => {
+  db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+});
+
+const allOn = (db, sql, params) => new Promise((resolve, reject) => {
+  db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+});
+
+const execOn = (db, sql) => new Promise((resolve, reject) => {
+  db.exec(sql, (err) => (err ? reject(err) : resolve()));
+});
+
+const closeOn = db => new Promise((resolve, reject) => {
+  db.close((err) => (err ? reject(err) : resolve()));
+});
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Storage driver for a SQLite file (the default).
+ *
+ * Every driver exposes the same promise API so DatabaseConnection and the
+ * migrator do not care which database they talk to:
+ * - open(), close(), describe()
+ * - run(sql, params) resolving to { lastID, changes }, get(sql, params), all(sql, params)
+ * - exec(script) for parameterless multi-statement SQL
+ * - transaction(work, options) calling work(tx), where tx has the same query methods
+ * - placeholder(index) for the bind parameter style
+ * - listTables(), listColumns(table), listIndexes(table) for schema inspection
+ * - createScratch() for an empty throwaway database of the same kind
+ * - getStats() for driver counters shown with the query metrics
+ *
+ * SQLite also has backupTo(file) and restoreFrom(file) for BackupManager.
+ *
+ * Queries are written in SQLite's dialect with ? placeholders; other drivers
+ * translate them.
+ *
+ * Writes go through one connection, one at a time: run(), exec(), statements
+ * other than SELECT and whole transactions wait their turn in a queue, so a
+ * transaction never picks up another caller's statements. In WAL mode SELECTs
+ * outside a transaction are spread over a pool of read-only connections and
+ * keep running while a write is in progress. A statement that still hits
+ * SQLITE_BUSY after the busy timeout (another process holding the lock) is
+ * retried with exponential backoff.
+ */
+class SqliteDriver {
+  /**
+   * @param {Object} options
+   * @param {string} options.path - File path or ':memory:'
+   * @param {string} [options.journalMode] - e.g. 'wal' (kept as the file has it when unset)
+   * @param {string} [options.synchronous] - e.g. 'normal' (SQLite's default when unset)
+   * @param {number} [options.busyTimeout] - Milliseconds SQLite waits on a lock before SQLITE_BUSY
+   * @param {number} [options.busyRetries] - Retries of a statement that still got SQLITE_BUSY
+   * @param {number} [options.retryDelay] - Milliseconds before the first retry, doubled after each
+   * @param {number} [options.readPoolSize] - Read-only connections for SELECTs (WAL files only)
+   * @param {Object} [options.pragmas] - More pragmas for every connection, e.g. { cache_size: -20000 }
+   */
+  constructor({
+    path,
+    journalMode = null,
+    synchronous = null,
+    busyTimeout = 5000,
+    busyRetries = 5,
+    retryDelay = 50,
+    readPoolSize = 0,
+    pragmas = {}
+  }) {
+    this.name = 'sqlite';
+    this.path = path;
+    this.options = { journalMode, synchronous, busyTimeout, busyRetries, retryDelay, readPoolSize, pragmas };
+    this.db = null;
+    this.readers = [];
+    this.nextReader = 0;
+    this.journalMode = null;
+
+    // Tail of the write queue, and the async context of the transaction holding it
+    this.writeQueue = Promise.resolve();
+    this.transactionScope = new AsyncLocalStorage();
+    this.counters = { queuedWrites: 0, busyRetries: 0, busyFailures: 0 };
+  }
+
+  describe() {
+    return `SQLite database: ${this.path}`;
+  }
+
+  async open() {
+    const { journalMode, readPoolSize } = this.options;
+
+    this.db = await openDatabase(this.path, sqlite3.OPEN_READWRITE | sqlite3.OPEN_CREATE);
+
+    try {
+      await this.configure(this.db, { readOnly: false });
+
+      const mode = await getOn(this.db, `PRAGMA ${journalMode ? this.checkPragma('journal_mode', journalMode) : 'journal_mode'}`, []);
+      this.journalMode = mode.journal_mode;
+
+      // Readers only see committed data without blocking the writer in WAL mode,
+      // and every :memory: connection would be a separate empty database
+      if (this.journalMode === 'wal' && this.path !== ':memory:') {
+        for (let i = 0; i < readPoolSize; i++) {
+          const reader = await openDatabase(this.path, sqlite3.OPEN_READONLY);
+          this.readers.push(reader);
+          await this.configure(reader, { readOnly: true });
+        }
+      }
+    } catch (error) {
+      await this.close();
+      throw error;
+    }
+  }
+
+  /**
+   * Apply the busy timeout, foreign keys and configured pragmas to a connection
+   * @private
+   */
+  async configure(db, { readOnly }) {
+    const { busyTimeout, synchronous, pragmas } = this.options;
+    const settings = [
+      ['busy_timeout', busyTimeout],
+      ['foreign_keys', 'ON'],
+      ...(synchronous && !readOnly ? [['synchronous', synchronous]] : []),
+      ...Object.entries(pragmas)
+    ];
+
+    for (const [name, value] of settings) {
+      await runOn(db, `PRAGMA ${this.checkPragma(name, value)}`, []);
+    }
+  }
+
+  /**
+   * @private
+   * @returns {string} - "name = value", once both are known to be safe to inline
+   */
+  checkPragma(name, value) {
+    if (!PRAGMA_NAME.test(name) || !PRAGMA_VALUE.test(String(value))) {
+      throw new Error(`Invalid SQLite pragma: ${name} = ${value}`);
+    }
+    return `${name} = ${value}`;
+  }
+
+  async close() {
+    if (!this.db) return;
+
+    // Let queued writes finish first
+    await this.writeQueue;
+
+    for (const reader of this.readers.splice(0)) {
+      await closeOn(reader);
+    }
+
+    await closeOn(this.db);
+    this.db = null;
+  }
+
+  isOpen() {
+    return Boolean(this.db);
+  }
+
+  placeholder() {
+    return '?';
+  }
+
+  run(sql, params = []) {
+    return this.write(() => runOn(this.db, sql, params));
+  }
+
+  get(sql, params = []) {
+    return this.isRead(sql)
+      ? this.read(db => getOn(db, sql, params))
+      : this.write(() => getOn(this.db, sql, params));
+  }
+
+  all(sql, params = []) {
+    return this.isRead(sql)
+      ? this.read(db => allOn(db, sql, params))
+      : this.write(() => allOn(this.db, sql, params));
+  }
+
+  exec(sql) {
+    return this.write(() => execOn(this.db, sql));
+  }
+
+  /**
+   * Run work(tx) atomically, holding the write queue until it commits or rolls
+   * back. tx is the driver itself: inside work its methods (and anything else
+   * called from work) use the write connection directly instead of queueing
+   * behind the transaction.
+   * @param {Function} work - Receives the transaction's query methods
+   * @param {Object} options
+   * @param {boolean} [options.deferForeignKeys] - Switch foreign keys off for the
+   *   duration (SQLite ignores that pragma inside a transaction) and check them
+   *   before committing, as SQLite recommends for table rebuilds
+   */
+  async transaction(work, { deferForeignKeys = false } = {}) {
+    const run = () => this.transactionScope.run(true, () => this.runTransaction(work, deferForeignKeys));
+
+    // Nested calls reach BEGIN on the open transaction and fail, as SQLite does
+    return this.inTransaction() ? await run() : await this.enqueue(run);
+  }
+
+  /**
+   * @private
+   */
+  async runTransaction(work, deferForeignKeys) {
+    if (deferForeignKeys) {
+      await this.run('PRAGMA foreign_keys = OFF');
+    }
+
+    try {
+      // IMMEDIATE takes the write lock up front, so a busy database fails here, where it can be retried
+      await this.retryBusy(() => runOn(this.db, 'BEGIN IMMEDIATE', []));
+      try {
+        const result = await work(this);
+
+        if (deferForeignKeys) {
+          const violations = await this.all('PRAGMA foreign_key_check');
+          if (violations.length > 0) {
+            const tables = [...new Set(violations.map(violation => violation.table))];
+            throw new Error(`Foreign key violations in ${tables.join(', ')}`);
+          }
+        }
+
+        await this.run('COMMIT');
+        return result;
+      } catch (error) {
+        await this.run('ROLLBACK');
+        throw error;
+      }
+    } finally {
+      if (deferForeignKeys) {
+        await this.run('PRAGMA foreign_keys = ON');
+      }
+    }
+  }
+
+  /**
+   * Whether the caller is running inside transaction()
+   */
+  inTransaction() {
+    return this.transactionScope.getStore() === true;
+  }
+
+  /**
+   * Only plain SELECTs can go to a read connection
+   * @private
+   */
+  isRead(sql) {
+    return /^\s*SELECT\b/i.test(sql) && !/\bRETURNING\b/i.test(sql);
+  }
+
+  /**
+   * Run a query on the next read connection, or on the write connection when
+   * there is no pool or the caller is inside a transaction
+   * @private
+   */
+  read(query) {
+    if (this.readers.length === 0 || this.inTransaction()) {
+      return this.retryBusy(() => query(this.db));
+    }
+
+    const reader = this.readers[this.nextReader];
+    this.nextReader = (this.nextReader + 1) % this.readers.length;
+    return this.retryBusy(() => query(reader));
+  }
+
+  /**
+   * Run a statement on the write connection once the writes queued before it are done
+   * @private
+   */
+  write(statement) {
+    if (this.inTransaction()) {
+      return this.retryBusy(statement);
+    }
+    return this.enqueue(() => this.retryBusy(statement));
+  }
+
+  /**
+   * @private
+   */
+  enqueue(work) {
+    this.counters.queuedWrites++;
+    const result = this.writeQueue.then(work);
+    this.writeQueue = result.then(() => undefined, () => undefined);
+    return result.finally(() => {
+      this.counters.queuedWrites--;
+    });
+  }
+
+  /**
+   * Retry a statement with exponential backoff while SQLite reports the database busy
+   * @private
+   */
+  async retryBusy(statement) {
+    const { busyRetries, retryDelay } = this.options;
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await statement();
+      } catch (error) {
+        if (!BUSY_CODES.includes(error.code)) throw error;
+
+        if (attempt >= busyRetries) {
+          this.counters.busyFailures++;
+          throw error;
+        }
+
+        this.counters.busyRetries++;
+        await sleep(retryDelay * 2 ** attempt);
+      }
+    }
+  }
+
+  /**
+   * @returns {Object} - { journalMode, readConnections, queuedWrites, busyRetries, busyFailures }
+   */
+  getStats() {
+    return {
+      journalMode: this.journalMode,
+      readConnections: this.readers.length,
+      ...this.counters
+    };
+  }
+
+  async listTables() {
+    const rows = await this.all(
+      "SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' ORDER BY name"
+    );
+    return rows.map(row => row.name);
+  }
+
+  /**
+   * @returns {Promise<Array<Object>>} - { name, type, notNull, default, primaryKey }
+   */
+  async listColumns(table) {
+    const rows = await this.all(`PRAGMA table_info("${table}")`);
+    return rows.map(column => ({
+      name: column.name,
+      type: (column.type || '').toUpperCase(),
+      notNull: Boolean(column.notnull),
+      default: column.dflt_value,
+      primaryKey: column.pk > 0
+    }));
+  }
+
+  /**
+   * Indexes created with CREATE INDEX (not the automatic ones behind UNIQUE and PRIMARY KEY)
+   * @returns {Promise<Array<Object>>} - { name, sql }
+   */
+  async listIndexes(table) {
+    return await this.all(
+      "SELECT name, sql FROM sqlite_master WHERE type = 'index' AND tbl_name = ? AND sql IS NOT NULL ORDER BY name",
+      [table]
+    );
+  }
+
+  /**
+   * Copy the open database into a file with SQLite's online backup API. In WAL
+   * mode a read connection copies one committed snapshot in a single step,
+   * which does not hold up writers. Otherwise the write connection copies a
+   * few pages at a time so other queries keep being served, and writes made
+   * meanwhile end up in the copy.
+   * @param {string} filename - Destination file (replaced if it exists)
+   * @param {Object} [options]
+   * @param {number} [options.pagesPerStep] - Pages copied before yielding
+   */
+  backupTo(filename, { pagesPerStep = 100 } = {}) {
+    if (this.readers.length > 0) {
+      return this.copyWithBackup(this.readers[0], filename, true, -1);
+    }
+    return this.copyWithBackup(this.db, filename, true, pagesPerStep);
+  }
+
+  /**
+   * Replace the open database's contents with a database file, in place, so
+   * the connection stays usable
+   * @param {string} filename - Source file
+   */
+  restoreFrom(filename) {
+    return this.enqueue(() => this.copyWithBackup(this.db, filename, false, -1));
+  }
+
+  /**
+   * Run a backup between one of this database's connections and a file until it completes
+   * @private
+   */
+  copyWithBackup(db, filename, filenameIsDest, pagesPerStep) {
+    return new Promise((resolve, reject) => {
+      let backup = null;
+
+      const fail = error => backup.finish(() => reject(error));
+
+      const step = () => {
+        backup.step(pagesPerStep, (err) => {
+          // Busy and locked pages are retried on the next step
+          if (err && !backup.retryErrors.includes(err.errno)) {
+            fail(err);
+          } else if (backup.completed) {
+            backup.finish(finishErr => (finishErr ? reject(finishErr) : resolve()));
+          } else if (backup.failed) {
+            fail(new Error(`Backup ${filenameIsDest ? 'to' : 'from'} ${filename} failed`));
+          } else {
+            setImmediate(step);
+          }
+        });
+      };
+
+      // A backup that failed to start has nothing to finish
+      backup = db.backup(filename, 'main', 'main', filenameIsDest, (err) => (err ? reject(err) : step()));
+    });
+  }
+
+  async createScratch() {
+    const scratch = new SqliteDriver({ path: ':memory:' });
+    await scratch.open();
+    return scratch;
+  }
+}
+
+module.exports = SqliteDriver;
@@ -0,0 +1,25 @@
+const SqliteDriver = require('./SqliteDriver');
+const PostgresDriver = require('./PostgresDriver');
+
+/**
+ * Create the storage driver named by the database config
+ * @param {Object} options - config.database
+ * @returns {SqliteDriver|PostgresDriver}
+ */
+function createDriver({ driver = 'sqlite', path, url, poolSize, journalMode, synchronous, busyTimeout, busyRetries, readPoolSize, pragmas }) {
+  switch (driver) {
+    case 'sqlite':
+      return new SqliteDriver({ path, journalMode, synchronous, busyTimeout, busyRetries, readPoolSize, pragmas });
+
+    case 'postgres':
+      if (!url) {
+        throw new Error('DATABASE_URL is required when DATABASE_DRIVER is postgres');
+      }
+      return new PostgresDriver({ url, poolSize });
+
+    default:
+      throw new Error(`Unknown DATABASE_DRIVER "${driver}". Use sqlite or postgres.`);
+  }
+}
+
+module.exports = { createDriver, SqliteDriver, PostgresDriver };
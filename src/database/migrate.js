@@ -1,30 +1,108 @@
 #!/usr/bin/env node
 
 const dbConnection = require('./connection');
+const Migrator = require('./Migrator');
+const BackupManager = require('./BackupManager');
 const logger = require('../utils/logger');
 
+const USAGE = `Usage: npm run migrate -- <command>
+
+  status          List applied, pending and changed migrations
+  up [version]    Apply pending migrations, optionally only up to a version (default)
+  down [steps]    Revert the last applied migration, or the last <steps>
+  check           Compare the database schema with the migrations; exits 1 on drift`;
+
 /**
  * Database migration script
- * Run with: npm run migrate
+ * Run with: npm run migrate -- status|up|down|check
  */
-async function migrate() {
+async function migrate(argv = process.argv.slice(2)) {
+  const [command = 'up', arg] = argv;
+  const number = arg === undefined ? null : parseInt(arg, 10);
+
+  if (!['status', 'up', 'down', 'check'].includes(command) || (arg !== undefined && !(number > 0))) {
+    console.log(USAGE);
+    return 1;
+  }
+
+  await dbConnection.initialize({ migrate: false });
+  const migrator = new Migrator(dbConnection);
+
   try {
-    logger.info('Starting database migration...');
-    
-    // Initialize database connection and create tables
-    await dbConnection.initialize();
-    
-    logger.info('Database migration completed successfully');
-    process.exit(0);
-  } catch (error) {
-    logger.error('Database migration failed:', error);
-    process.exit(1);
+    switch (command) {
+      case 'status':
+        return await printStatus(migrator);
+
+      case 'up': {
+        const { applied: before, pending } = await migrator.status();
+        if (before.length > 0 && pending.length > 0) {
+          await backupFirst('pre-migrate');
+        }
+        const applied = await migrator.up({ to: number });
+        console.log(applied.length > 0 ? `Applied:\n  ${applied.join('\n  ')}` : 'Nothing to apply.');
+        return 0;
+      }
+
+      case 'down': {
+        await backupFirst('pre-rollback');
+        const reverted = await migrator.down({ steps: number || 1 });
+        console.log(reverted.length > 0 ? `Reverted:\n  ${reverted.join('\n  ')}` : 'Nothing to revert.');
+        return 0;
+      }
+
+      case 'check': {
+        const problems = await migrator.checkDrift();
+
+        if (problems.length === 0) {
+          console.log('Schema matches the applied migrations.');
+          return 0;
+        }
+
+        console.log(`Schema drift (${problems.length}):\n  ${problems.join('\n  ')}`);
+        return 1;
+      }
+    }
+  } finally {
+    await dbConnection.close();
   }
 }
 
+async function backupFirst(reason) {
+  const backup = await new BackupManager(dbConnection).createBefore(reason);
+  if (backup) {
+    console.log(`Backed up to ${backup.path}`);
+  }
+}
+
+async function printStatus(migrator) {
+  const { applied, pending, modified, missing } = await migrator.status();
+
+  for (const migration of applied) {
+    const flags = [
+      modified.includes(migration.name) && 'CHANGED SINCE APPLIED',
+      !migrator.canRevert(migration) && 'no down'
+    ].filter(Boolean);
+    console.log(`  applied  ${migration.name}${flags.length > 0 ? `  (${flags.join(', ')})` : ''}`);
+  }
+  for (const name of missing) {
+    console.log(`  applied  ${name}  (file not found)`);
+  }
+  for (const migration of pending) {
+    console.log(`  pending  ${migration.name}`);
+  }
+
+  console.log(`\n${applied.length + missing.length} applied, ${pending.length} pending`);
+  return modified.length > 0 ? 1 : 0;
+}
+
 // Run migration if this file is executed directly
 if (require.main === module) {
-  migrate();
+  migrate()
+    .then(code => process.exit(code))
+    .catch(error => {
+      logger.error('Database migration failed:', error);
+      process.exit(1);
+    });
 }
 
-module.exports = migrate;
\ No newline at end of file
+module.exports = migrate;
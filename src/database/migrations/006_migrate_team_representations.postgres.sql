@@ -0,0 +1,21 @@
+-- Migration 006: Migrate existing team representations to posterior format (PostgreSQL)
+
+-- Add metadata fields to teams table if they don't exist
+ALTER TABLE teams ADD COLUMN IF NOT EXISTS model_version TEXT DEFAULT 'v1.0';
+ALTER TABLE teams ADD COLUMN IF NOT EXISTS representation_type TEXT DEFAULT 'bayesian_posterior';
+
+-- Update existing statistical representations to include metadata (jsonb in place of SQLite's json_set)
+UPDATE teams
+SET statistical_representation = CAST(
+  CAST(COALESCE(statistical_representation, '{}') AS JSONB) || jsonb_build_object(
+    'type', 'bayesian_posterior',
+    'model_version', 'v1.0',
+    'last_updated', datetime('now'),
+    'games_processed', COALESCE(CAST(statistical_representation AS JSONB) -> 'games_processed', CAST('0' AS JSONB))
+  ) AS TEXT
+)
+WHERE statistical_representation IS NOT NULL;
+
+-- Create index for representation type
+CREATE INDEX IF NOT EXISTS idx_teams_representation_type ON teams(representation_type);
+CREATE INDEX IF NOT EXISTS idx_teams_model_version ON teams(model_version);
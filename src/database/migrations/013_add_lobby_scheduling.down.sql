@@ -0,0 +1,37 @@
+-- Revert migration 013: Scheduled lobbies with RSVP tracking
+
+DROP INDEX IF EXISTS idx_lobby_rsvps_lobby_id;
+DROP TABLE IF EXISTS lobby_rsvps;
+
+-- Rebuild lobbies with the original columns and status CHECK. Lobbies that
+-- were still waiting for their start time have no status there, so they end
+-- up disbanded.
+PRAGMA foreign_keys = OFF;
+
+CREATE TABLE IF NOT EXISTS lobbies_old (
+    id TEXT PRIMARY KEY,
+    guild_id TEXT NOT NULL,
+    leader_id TEXT NOT NULL,
+    game_type TEXT NOT NULL,
+    voice_channel_id TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    expires_at DATETIME,
+    status TEXT DEFAULT 'active' CHECK (status IN ('active', 'disbanded', 'expired')),
+    FOREIGN KEY (guild_id) REFERENCES server_config(guild_id)
+);
+
+INSERT INTO lobbies_old (id, guild_id, leader_id, game_type, voice_channel_id, created_at, expires_at, status)
+SELECT id, guild_id, leader_id, game_type, voice_channel_id, created_at, expires_at,
+       CASE WHEN status = 'scheduled' THEN 'disbanded' ELSE status END
+FROM lobbies;
+
+DROP TABLE lobbies;
+
+ALTER TABLE lobbies_old RENAME TO lobbies;
+
+PRAGMA foreign_keys = ON;
+
+CREATE INDEX IF NOT EXISTS idx_lobbies_guild_id ON lobbies(guild_id);
+CREATE INDEX IF NOT EXISTS idx_lobbies_leader_id ON lobbies(leader_id);
+CREATE INDEX IF NOT EXISTS idx_lobbies_status ON lobbies(status);
+CREATE INDEX IF NOT EXISTS idx_lobbies_expires_at ON lobbies(expires_at);
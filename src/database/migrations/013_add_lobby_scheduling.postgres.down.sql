@@ -0,0 +1,17 @@
+-- Revert migration 013: Scheduled lobbies with RSVP tracking (PostgreSQL)
+
+DROP INDEX IF EXISTS idx_lobby_rsvps_lobby_id;
+DROP TABLE IF EXISTS lobby_rsvps;
+
+-- Lobbies still waiting for their start time have no status under the original CHECK
+UPDATE lobbies SET status = 'disbanded' WHERE status = 'scheduled';
+
+ALTER TABLE lobbies DROP CONSTRAINT IF EXISTS lobbies_status_check;
+ALTER TABLE lobbies ADD CONSTRAINT lobbies_status_check CHECK (status IN ('active', 'disbanded', 'expired'));
+
+DROP INDEX IF EXISTS idx_lobbies_scheduled_start;
+ALTER TABLE lobbies DROP COLUMN catalog_message_id;
+ALTER TABLE lobbies DROP COLUMN catalog_channel_id;
+ALTER TABLE lobbies DROP COLUMN reminder_sent_at;
+ALTER TABLE lobbies DROP COLUMN max_players;
+ALTER TABLE lobbies DROP COLUMN scheduled_start;
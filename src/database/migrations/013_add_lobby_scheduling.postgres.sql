@@ -0,0 +1,25 @@
+-- Migration 013: Scheduled lobbies with RSVP tracking (PostgreSQL)
+
+-- Postgres can replace a CHECK constraint in place, so alter lobbies instead of rebuilding it
+ALTER TABLE lobbies DROP CONSTRAINT IF EXISTS lobbies_status_check;
+ALTER TABLE lobbies ADD CONSTRAINT lobbies_status_check CHECK (status IN ('scheduled', 'active', 'disbanded', 'expired'));
+
+ALTER TABLE lobbies ADD COLUMN scheduled_start DATETIME;
+ALTER TABLE lobbies ADD COLUMN max_players INTEGER;
+ALTER TABLE lobbies ADD COLUMN reminder_sent_at DATETIME;
+ALTER TABLE lobbies ADD COLUMN catalog_channel_id TEXT;
+ALTER TABLE lobbies ADD COLUMN catalog_message_id TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_lobbies_scheduled_start ON lobbies(status, scheduled_start);
+
+-- RSVP responses for scheduled lobbies
+CREATE TABLE IF NOT EXISTS lobby_rsvps (
+    lobby_id TEXT NOT NULL,
+    user_id TEXT NOT NULL,
+    response TEXT NOT NULL CHECK (response IN ('going', 'maybe', 'no')),
+    responded_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (lobby_id, user_id),
+    FOREIGN KEY (lobby_id) REFERENCES lobbies(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_lobby_rsvps_lobby_id ON lobby_rsvps(lobby_id);
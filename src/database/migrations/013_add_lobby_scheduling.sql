@@ -0,0 +1,48 @@
+-- Migration 013: Scheduled lobbies with RSVP tracking
+
+-- SQLite cannot alter a CHECK constraint, so rebuild the lobbies table to allow the 'scheduled' status
+PRAGMA foreign_keys = OFF;
+
+CREATE TABLE IF NOT EXISTS lobbies_new (
+    id TEXT PRIMARY KEY,
+    guild_id TEXT NOT NULL,
+    leader_id TEXT NOT NULL,
+    game_type TEXT NOT NULL,
+    voice_channel_id TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    expires_at DATETIME,
+    status TEXT DEFAULT 'active' CHECK (status IN ('scheduled', 'active', 'disbanded', 'expired')),
+    scheduled_start DATETIME,
+    max_players INTEGER,
+    reminder_sent_at DATETIME,
+    catalog_channel_id TEXT,
+    catalog_message_id TEXT,
+    FOREIGN KEY (guild_id) REFERENCES server_config(guild_id)
+);
+
+INSERT INTO lobbies_new (id, guild_id, leader_id, game_type, voice_channel_id, created_at, expires_at, status)
+SELECT id, guild_id, leader_id, game_type, voice_channel_id, created_at, expires_at, status FROM lobbies;
+
+DROP TABLE lobbies;
+
+ALTER TABLE lobbies_new RENAME TO lobbies;
+
+PRAGMA foreign_keys = ON;
+
+CREATE INDEX IF NOT EXISTS idx_lobbies_guild_id ON lobbies(guild_id);
+CREATE INDEX IF NOT EXISTS idx_lobbies_leader_id ON lobbies(leader_id);
+CREATE INDEX IF NOT EXISTS idx_lobbies_status ON lobbies(status);
+CREATE INDEX IF NOT EXISTS idx_lobbies_expires_at ON lobbies(expires_at);
+CREATE INDEX IF NOT EXISTS idx_lobbies_scheduled_start ON lobbies(status, scheduled_start);
+
+-- RSVP responses for scheduled lobbies
+CREATE TABLE IF NOT EXISTS lobby_rsvps (
+    lobby_id TEXT NOT NULL,
+    user_id TEXT NOT NULL,
+    response TEXT NOT NULL CHECK (response IN ('going', 'maybe', 'no')),
+    responded_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (lobby_id, user_id),
+    FOREIGN KEY (lobby_id) REFERENCES lobbies(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_lobby_rsvps_lobby_id ON lobby_rsvps(lobby_id);
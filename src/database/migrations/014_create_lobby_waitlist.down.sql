@@ -0,0 +1,3 @@
+-- Revert migration 014: Ordered waitlist for full lobbies
+
+DROP TABLE IF EXISTS lobby_waitlist;
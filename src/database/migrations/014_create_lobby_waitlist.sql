@@ -0,0 +1,16 @@
+-- Migration 014: Ordered waitlist for full lobbies
+
+CREATE TABLE IF NOT EXISTS lobby_waitlist (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    lobby_id TEXT NOT NULL,
+    user_id TEXT NOT NULL,
+    status TEXT DEFAULT 'waiting' CHECK (status IN ('waiting', 'offered')),
+    queued_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    offered_at DATETIME,
+    offer_expires_at DATETIME,
+    UNIQUE (lobby_id, user_id),
+    FOREIGN KEY (lobby_id) REFERENCES lobbies(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_lobby_waitlist_lobby_id ON lobby_waitlist(lobby_id, id);
+CREATE INDEX IF NOT EXISTS idx_lobby_waitlist_offer_expires_at ON lobby_waitlist(status, offer_expires_at);
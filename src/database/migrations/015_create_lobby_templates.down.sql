@@ -0,0 +1,3 @@
+-- Revert migration 015: Saved lobby templates
+
+DROP TABLE IF EXISTS lobby_templates;
@@ -0,0 +1,23 @@
+-- Migration 015: Saved lobby templates
+-- Personal templates belong to owner_id, shared guild templates have no owner and are published by guild admins
+
+CREATE TABLE IF NOT EXISTS lobby_templates (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    guild_id TEXT NOT NULL,
+    owner_id TEXT,
+    name TEXT NOT NULL,
+    game_type TEXT NOT NULL,
+    max_players INTEGER,
+    duration_minutes INTEGER,
+    channel_name TEXT,
+    channel_emoji TEXT,
+    privacy TEXT DEFAULT 'public' CHECK (privacy IN ('public', 'private')),
+    invite_list TEXT,
+    created_by TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (guild_id) REFERENCES server_config(guild_id)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_lobby_templates_unique_name ON lobby_templates(guild_id, IFNULL(owner_id, ''), name COLLATE NOCASE);
+CREATE INDEX IF NOT EXISTS idx_lobby_templates_owner ON lobby_templates(guild_id, owner_id);
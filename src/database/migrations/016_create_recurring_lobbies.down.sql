@@ -0,0 +1,3 @@
+-- Revert migration 016: Recurring lobby series driven by cron schedules
+
+DROP TABLE IF EXISTS recurring_lobbies;
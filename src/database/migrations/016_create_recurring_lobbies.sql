@@ -0,0 +1,23 @@
+-- Migration 016: Recurring lobby series driven by cron schedules
+
+CREATE TABLE IF NOT EXISTS recurring_lobbies (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    guild_id TEXT NOT NULL,
+    leader_id TEXT NOT NULL,
+    template_id INTEGER,
+    game_type TEXT NOT NULL,
+    cron_expression TEXT NOT NULL,
+    timezone TEXT NOT NULL DEFAULT 'America/New_York',
+    invite_list TEXT,
+    status TEXT DEFAULT 'active' CHECK (status IN ('active', 'paused')),
+    skip_count INTEGER DEFAULT 0,
+    last_run_at DATETIME,
+    last_lobby_id TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (guild_id) REFERENCES server_config(guild_id),
+    FOREIGN KEY (template_id) REFERENCES lobby_templates(id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_recurring_lobbies_guild ON recurring_lobbies(guild_id, status);
+CREATE INDEX IF NOT EXISTS idx_recurring_lobbies_leader ON recurring_lobbies(leader_id);
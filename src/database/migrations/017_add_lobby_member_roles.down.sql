@@ -0,0 +1,4 @@
+-- Revert migration 017: Lobby member roles for co-leaders
+
+DROP INDEX IF EXISTS idx_lobby_members_role;
+ALTER TABLE lobby_members DROP COLUMN role;
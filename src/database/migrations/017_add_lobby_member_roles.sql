@@ -0,0 +1,6 @@
+-- Migration 017: Lobby member roles for co-leaders
+
+-- The leader stays on lobbies.leader_id, so members are either regular members or co-leaders
+ALTER TABLE lobby_members ADD COLUMN role TEXT DEFAULT 'member' CHECK (role IN ('member', 'co_leader'));
+
+CREATE INDEX IF NOT EXISTS idx_lobby_members_role ON lobby_members(lobby_id, role);
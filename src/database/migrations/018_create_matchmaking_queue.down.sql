@@ -0,0 +1,3 @@
+-- Revert migration 018: Per-game matchmaking queue
+
+DROP TABLE IF EXISTS matchmaking_queue;
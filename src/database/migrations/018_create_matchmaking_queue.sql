@@ -0,0 +1,19 @@
+-- Migration 018: Per-game matchmaking queue
+
+-- A user waits in at most one queue per guild. Timed-out entries stay as 'expired' so they can be requeued.
+CREATE TABLE IF NOT EXISTS matchmaking_queue (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    guild_id TEXT NOT NULL,
+    user_id TEXT NOT NULL,
+    game_type TEXT NOT NULL,
+    rank INTEGER CHECK (rank IS NULL OR (rank >= 1 AND rank <= 10)),
+    role TEXT CHECK (role IS NULL OR role IN ('tank', 'healer', 'dps', 'flex')),
+    group_size INTEGER NOT NULL CHECK (group_size >= 2 AND group_size <= 10),
+    status TEXT DEFAULT 'waiting' CHECK (status IN ('waiting', 'expired')),
+    queued_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    expires_at DATETIME NOT NULL,
+    UNIQUE (guild_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_matchmaking_queue_game ON matchmaking_queue(guild_id, status, game_type COLLATE NOCASE, id);
+CREATE INDEX IF NOT EXISTS idx_matchmaking_queue_expires_at ON matchmaking_queue(status, expires_at);
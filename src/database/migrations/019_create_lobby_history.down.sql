@@ -0,0 +1,4 @@
+-- Revert migration 019: Lobby session history for gaming stats
+
+DROP TABLE IF EXISTS lobby_session_members;
+DROP TABLE IF EXISTS lobby_sessions;
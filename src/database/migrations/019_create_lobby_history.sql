@@ -0,0 +1,31 @@
+-- Migration 019: Lobby session history for gaming stats
+
+-- One row per time a lobby was open. Lobby IDs are reused (leader + game), so history is keyed by session.
+CREATE TABLE IF NOT EXISTS lobby_sessions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    lobby_id TEXT NOT NULL,
+    guild_id TEXT NOT NULL,
+    leader_id TEXT NOT NULL,
+    game_type TEXT NOT NULL,
+    started_at DATETIME NOT NULL,
+    ended_at DATETIME,
+    outcome TEXT CHECK (outcome IS NULL OR outcome IN ('disbanded', 'expired', 'emptied'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_lobby_sessions_lobby_id ON lobby_sessions(lobby_id, ended_at);
+CREATE INDEX IF NOT EXISTS idx_lobby_sessions_guild_id ON lobby_sessions(guild_id, game_type);
+
+-- Each stint a member spent in a session, with time spent in the lobby voice channel
+CREATE TABLE IF NOT EXISTS lobby_session_members (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    session_id INTEGER NOT NULL,
+    user_id TEXT NOT NULL,
+    joined_at DATETIME NOT NULL,
+    left_at DATETIME,
+    voice_seconds INTEGER DEFAULT 0,
+    voice_joined_at DATETIME,
+    FOREIGN KEY (session_id) REFERENCES lobby_sessions(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_lobby_session_members_session ON lobby_session_members(session_id, user_id);
+CREATE INDEX IF NOT EXISTS idx_lobby_session_members_user ON lobby_session_members(user_id);
@@ -0,0 +1,5 @@
+-- Revert migration 020: Voice activity state for event-driven lobby expiry
+
+DROP INDEX IF EXISTS idx_lobbies_voice_empty_since;
+ALTER TABLE lobbies DROP COLUMN empty_warning_sent_at;
+ALTER TABLE lobbies DROP COLUMN voice_empty_since;
@@ -0,0 +1,9 @@
+-- Migration 020: Voice activity state for event-driven lobby expiry
+
+-- When the lobby voice channel last became empty (NULL while occupied), so grace periods survive a restart
+ALTER TABLE lobbies ADD COLUMN voice_empty_since DATETIME;
+
+-- When the leader was warned that an empty lobby is about to be disbanded
+ALTER TABLE lobbies ADD COLUMN empty_warning_sent_at DATETIME;
+
+CREATE INDEX IF NOT EXISTS idx_lobbies_voice_empty_since ON lobbies(status, voice_empty_since);
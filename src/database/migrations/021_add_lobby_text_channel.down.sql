@@ -0,0 +1,3 @@
+-- Revert migration 021: Companion text channel for each lobby
+
+ALTER TABLE lobbies DROP COLUMN text_channel_id;
@@ -0,0 +1,4 @@
+-- Migration 021: Companion text channel for each lobby
+
+-- Private text channel that mirrors the voice channel's access (kept read-only after the lobby ends)
+ALTER TABLE lobbies ADD COLUMN text_channel_id TEXT;
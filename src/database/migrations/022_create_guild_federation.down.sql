@@ -0,0 +1,5 @@
+-- Revert migration 022: Cross-guild lobby federation
+
+ALTER TABLE lobbies DROP COLUMN is_public;
+DROP TABLE IF EXISTS lobby_catalog_mirrors;
+DROP TABLE IF EXISTS guild_federation_links;
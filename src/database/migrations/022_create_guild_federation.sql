@@ -0,0 +1,31 @@
+-- Migration 022: Cross-guild lobby federation
+
+-- A guild opting in to share public lobbies with a partner guild.
+-- Two guilds are partnered once each has linked the other.
+CREATE TABLE IF NOT EXISTS guild_federation_links (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    guild_id TEXT NOT NULL,
+    partner_guild_id TEXT NOT NULL,
+    linked_by TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (guild_id, partner_guild_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_guild_federation_links_partner ON guild_federation_links(partner_guild_id);
+
+-- Copies of a public lobby's catalog post in partner guild catalogs
+CREATE TABLE IF NOT EXISTS lobby_catalog_mirrors (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    lobby_id TEXT NOT NULL,
+    guild_id TEXT NOT NULL,
+    channel_id TEXT NOT NULL,
+    message_id TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (lobby_id) REFERENCES lobbies(id) ON DELETE CASCADE,
+    UNIQUE (lobby_id, guild_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_lobby_catalog_mirrors_guild ON lobby_catalog_mirrors(guild_id);
+
+-- Public lobbies are mirrored into partner catalogs
+ALTER TABLE lobbies ADD COLUMN is_public INTEGER DEFAULT 0;
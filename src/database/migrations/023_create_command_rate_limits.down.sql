@@ -0,0 +1,5 @@
+-- Revert migration 023: Guild-configurable command rate limits
+
+DROP TABLE IF EXISTS command_cooldowns;
+DROP TABLE IF EXISTS command_rate_limit_exemptions;
+DROP TABLE IF EXISTS command_rate_limits;
@@ -0,0 +1,35 @@
+-- Migration 023: Guild-configurable command rate limits
+
+-- Per-guild override of a command's default cooldown.
+-- scope is user, channel or guild and picks who shares a bucket.
+CREATE TABLE IF NOT EXISTS command_rate_limits (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    guild_id TEXT NOT NULL,
+    command_name TEXT NOT NULL,
+    scope TEXT NOT NULL DEFAULT 'user',
+    cooldown_seconds INTEGER NOT NULL,
+    max_uses INTEGER NOT NULL DEFAULT 1,
+    updated_by TEXT,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (guild_id, command_name)
+);
+
+-- Roles that skip a command's rate limit, command_name '*' covers every command
+CREATE TABLE IF NOT EXISTS command_rate_limit_exemptions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    guild_id TEXT NOT NULL,
+    command_name TEXT NOT NULL,
+    role_id TEXT NOT NULL,
+    created_by TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (guild_id, command_name, role_id)
+);
+
+-- Usage within the current cooldown window, kept so limits survive restarts
+CREATE TABLE IF NOT EXISTS command_cooldowns (
+    bucket_key TEXT PRIMARY KEY,
+    uses INTEGER NOT NULL DEFAULT 0,
+    window_ends_at INTEGER NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_command_cooldowns_window ON command_cooldowns(window_ends_at);
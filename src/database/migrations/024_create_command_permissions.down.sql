@@ -0,0 +1,3 @@
+-- Revert migration 024: Role and channel command permission policies
+
+DROP TABLE IF EXISTS command_permission_policies;
@@ -0,0 +1,18 @@
+-- Migration 024: Role and channel command permission policies
+
+-- Grants or denies a command or a whole command category to a role or channel.
+-- target_type is command or category, subject_type is role or channel, effect is allow or deny.
+CREATE TABLE IF NOT EXISTS command_permission_policies (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    guild_id TEXT NOT NULL,
+    target_type TEXT NOT NULL,
+    target TEXT NOT NULL,
+    subject_type TEXT NOT NULL,
+    subject_id TEXT NOT NULL,
+    effect TEXT NOT NULL,
+    created_by TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (guild_id, target_type, target, subject_type, subject_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_command_permission_policies_guild ON command_permission_policies(guild_id);
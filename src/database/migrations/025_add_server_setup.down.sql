@@ -0,0 +1,8 @@
+-- Revert migration 025: Settings chosen in the /setup wizard
+
+ALTER TABLE server_config DROP COLUMN setup_completed_at;
+ALTER TABLE server_config DROP COLUMN timezone;
+ALTER TABLE server_config DROP COLUMN lobby_catalog_channel_id;
+ALTER TABLE server_config DROP COLUMN betting_forum_ids;
+ALTER TABLE server_config DROP COLUMN ncaa_football_channel_id;
+ALTER TABLE server_config DROP COLUMN ncaa_basketball_channel_id;
@@ -0,0 +1,16 @@
+-- Migration 025: Settings chosen in the /setup wizard
+
+-- Game log channels for the NCAA sports the bot posts separately.
+-- The older ncaa_channel_id still applies to both when these are unset.
+ALTER TABLE server_config ADD COLUMN ncaa_basketball_channel_id TEXT;
+ALTER TABLE server_config ADD COLUMN ncaa_football_channel_id TEXT;
+
+-- JSON map of sport key to the forum channel used for betting threads
+ALTER TABLE server_config ADD COLUMN betting_forum_ids TEXT;
+
+ALTER TABLE server_config ADD COLUMN lobby_catalog_channel_id TEXT;
+
+-- IANA timezone for schedules shown and entered in this server
+ALTER TABLE server_config ADD COLUMN timezone TEXT;
+
+ALTER TABLE server_config ADD COLUMN setup_completed_at DATETIME;
@@ -0,0 +1,3 @@
+-- Revert migration 026: Default language for bot responses in a server
+
+ALTER TABLE server_config DROP COLUMN locale;
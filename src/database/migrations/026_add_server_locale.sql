@@ -0,0 +1,5 @@
+-- Migration 026: Default language for bot responses in a server
+
+-- Locale code from src/locales (e.g. en, es). Members whose Discord client uses a
+-- supported language still get replies in their own language.
+ALTER TABLE server_config ADD COLUMN locale TEXT;
@@ -0,0 +1,4 @@
+-- Revert migration 027: Audit log of bot actions per guild
+
+ALTER TABLE server_config DROP COLUMN audit_channel_id;
+DROP TABLE IF EXISTS audit_log;
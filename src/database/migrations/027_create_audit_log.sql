@@ -0,0 +1,22 @@
+-- Migration 027: Audit log of bot actions per guild
+
+-- One row per recorded action. actor_id is the member who caused it, or NULL for
+-- actions the bot took by itself (e.g. disbanding an empty lobby).
+-- payload holds action-specific details as JSON.
+CREATE TABLE IF NOT EXISTS audit_log (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    guild_id TEXT NOT NULL,
+    actor_id TEXT,
+    action TEXT NOT NULL,
+    target_type TEXT,
+    target_id TEXT,
+    payload TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_guild_created ON audit_log(guild_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_audit_log_guild_actor ON audit_log(guild_id, actor_id);
+CREATE INDEX IF NOT EXISTS idx_audit_log_guild_action ON audit_log(guild_id, action);
+
+-- Mod-log channel that new audit entries are also posted to
+ALTER TABLE server_config ADD COLUMN audit_channel_id TEXT;
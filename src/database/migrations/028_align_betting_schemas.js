@@ -0,0 +1,174 @@
+// Migration 028: Give betting_snapshots, betting_threads and reconciliation_log the
+// columns their repositories use. Migration 002 created older shapes that the code
+// never wrote to (BettingSnapshotRepository and BettingThreadRepository used to
+// create their own tables, which silently lost to 002's). A table already in the new
+// shape is left alone; an old-shape table with rows is kept as <name>_legacy so the
+// data can be inspected before it is dropped by hand.
+
+const TABLES = {
+  betting_snapshots: {
+    marker: 'scraped_at',
+    create: `
+      CREATE TABLE betting_snapshots (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          game_id TEXT NOT NULL,
+          sport TEXT NOT NULL,
+          scraped_at DATETIME NOT NULL,
+          home_moneyline INTEGER,
+          away_moneyline INTEGER,
+          spread_line REAL,
+          home_spread_odds INTEGER,
+          away_spread_odds INTEGER,
+          total_line REAL,
+          over_odds INTEGER,
+          under_odds INTEGER,
+          source TEXT DEFAULT 'ActionNetwork',
+          sportsbook TEXT,
+          is_stale BOOLEAN DEFAULT FALSE,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+      CREATE INDEX IF NOT EXISTS idx_game_sport ON betting_snapshots(game_id, sport);
+      CREATE INDEX IF NOT EXISTS idx_scraped_at ON betting_snapshots(scraped_at);
+      CREATE INDEX IF NOT EXISTS idx_sport_date ON betting_snapshots(sport, scraped_at);
+    `,
+    oldIndexes: ['idx_betting_snapshots_game_id', 'idx_betting_snapshots_time'],
+    createOld: `
+      CREATE TABLE betting_snapshots (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          game_id TEXT NOT NULL,
+          source TEXT NOT NULL,
+          snapshot_time TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          home_spread REAL,
+          away_spread REAL,
+          home_spread_odds INTEGER,
+          away_spread_odds INTEGER,
+          home_moneyline INTEGER,
+          away_moneyline INTEGER,
+          over_under REAL,
+          over_odds INTEGER,
+          under_odds INTEGER,
+          raw_data TEXT,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+      CREATE INDEX IF NOT EXISTS idx_betting_snapshots_game_id ON betting_snapshots(game_id);
+      CREATE INDEX IF NOT EXISTS idx_betting_snapshots_time ON betting_snapshots(snapshot_time);
+    `
+  },
+
+  betting_threads: {
+    marker: 'sport',
+    create: `
+      CREATE TABLE betting_threads (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          guild_id TEXT NOT NULL,
+          sport TEXT NOT NULL,
+          game_id TEXT NOT NULL,
+          thread_id TEXT NOT NULL,
+          channel_id TEXT,
+          game_name TEXT,
+          game_date TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          is_active BOOLEAN DEFAULT 1,
+          UNIQUE (guild_id, sport, game_id)
+      );
+      CREATE INDEX IF NOT EXISTS idx_betting_threads_guild_sport ON betting_threads(guild_id, sport);
+      CREATE INDEX IF NOT EXISTS idx_betting_threads_thread_id ON betting_threads(thread_id);
+    `,
+    oldIndexes: ['idx_betting_threads_game_id', 'idx_betting_threads_guild'],
+    createOld: `
+      CREATE TABLE betting_threads (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          game_id TEXT NOT NULL,
+          thread_id TEXT NOT NULL,
+          channel_id TEXT NOT NULL,
+          guild_id TEXT NOT NULL,
+          home_team TEXT NOT NULL,
+          away_team TEXT NOT NULL,
+          game_date DATETIME NOT NULL,
+          status TEXT DEFAULT 'active' CHECK (status IN ('active', 'completed', 'cancelled')),
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+      CREATE INDEX IF NOT EXISTS idx_betting_threads_game_id ON betting_threads(game_id);
+      CREATE INDEX IF NOT EXISTS idx_betting_threads_guild ON betting_threads(guild_id);
+    `
+  },
+
+  reconciliation_log: {
+    marker: 'started_at',
+    create: `
+      CREATE TABLE reconciliation_log (
+          id TEXT PRIMARY KEY,
+          started_at DATETIME NOT NULL,
+          completed_at DATETIME,
+          date_range_start TEXT,
+          date_range_end TEXT,
+          triggered_by TEXT,
+          status TEXT NOT NULL DEFAULT 'running' CHECK (status IN ('running', 'completed', 'failed')),
+          games_found INTEGER DEFAULT 0,
+          games_processed INTEGER DEFAULT 0,
+          games_failed INTEGER DEFAULT 0,
+          data_sources TEXT,
+          error_message TEXT
+      );
+      CREATE INDEX IF NOT EXISTS idx_reconciliation_log_started ON reconciliation_log(started_at);
+      CREATE INDEX IF NOT EXISTS idx_reconciliation_log_status ON reconciliation_log(status, started_at);
+    `,
+    oldIndexes: ['idx_reconciliation_log_espn', 'idx_reconciliation_log_date'],
+    createOld: `
+      CREATE TABLE reconciliation_log (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          espn_game_id TEXT NOT NULL,
+          statbroadcast_game_id TEXT,
+          reconciliation_date DATE NOT NULL,
+          status TEXT NOT NULL CHECK (status IN ('matched', 'unmatched', 'error')),
+          confidence_score REAL,
+          notes TEXT,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+      CREATE INDEX IF NOT EXISTS idx_reconciliation_log_espn ON reconciliation_log(espn_game_id);
+      CREATE INDEX IF NOT EXISTS idx_reconciliation_log_date ON reconciliation_log(reconciliation_date);
+    `
+  }
+};
+
+async function getColumns(db, table) {
+  return (await db.all(`PRAGMA table_info(${table})`)).map(column => column.name);
+}
+
+async function up(db) {
+  for (const [table, spec] of Object.entries(TABLES)) {
+    const columns = await getColumns(db, table);
+    if (columns.includes(spec.marker)) continue;
+
+    if (columns.length > 0) {
+      for (const index of spec.oldIndexes) {
+        await db.exec(`DROP INDEX IF EXISTS ${index}`);
+      }
+
+      const { count } = await db.get(`SELECT COUNT(*) AS count FROM ${table}`);
+      await db.exec(count > 0 ? `ALTER TABLE ${table} RENAME TO ${table}_legacy` : `DROP TABLE ${table}`);
+    }
+
+    await db.exec(spec.create);
+  }
+}
+
+async function down(db) {
+  for (const [table, spec] of Object.entries(TABLES)) {
+    await db.exec(`DROP TABLE IF EXISTS ${table}`);
+
+    if ((await getColumns(db, `${table}_legacy`)).length > 0) {
+      await db.exec(`ALTER TABLE ${table}_legacy RENAME TO ${table}`);
+      for (const index of spec.oldIndexes) {
+        await db.exec(spec.createOld.split(';').find(statement => statement.includes(index)));
+      }
+    } else {
+      await db.exec(spec.createOld);
+    }
+  }
+}
+
+module.exports = { up, down };
@@ -1,3 +1,5 @@
+const i18n = require('../../utils/i18n');
+
 /**
  * BettingSnapshot model for storing historical betting line data
  */
@@ -233,38 +235,34 @@ class BettingSnapshot {
   /**
    * Format odds for display
    * @param {number} odds - American odds
+   * @param {string} locale - Locale for number formatting
    * @returns {string} - Formatted odds string
    */
-  static formatOdds(odds) {
-    if (!odds) return 'N/A';
-    
-    if (odds > 0) {
-      return `+${odds}`;
-    } else {
-      return `${odds}`;
-    }
+  static formatOdds(odds, locale = i18n.BASE_LOCALE) {
+    return i18n.formatOdds(locale, odds);
   }
 
   /**
    * Get display summary of current lines
+   * @param {string} locale - Locale for number formatting
    * @returns {Object} - Display-ready betting information
    */
-  getDisplaySummary() {
+  getDisplaySummary(locale = i18n.BASE_LOCALE) {
     return {
       moneyline: {
-        home: BettingSnapshot.formatOdds(this.homeMoneyline),
-        away: BettingSnapshot.formatOdds(this.awayMoneyline)
+        home: BettingSnapshot.formatOdds(this.homeMoneyline, locale),
+        away: BettingSnapshot.formatOdds(this.awayMoneyline, locale)
       },
       spread: {
-        line: this.spreadLine !== null ? (this.spreadLine > 0 ? `+${this.spreadLine}` : `${this.spreadLine}`) : 'N/A',
-        homeOdds: BettingSnapshot.formatOdds(this.homeSpreadOdds),
-        awayOdds: BettingSnapshot.formatOdds(this.awaySpreadOdds),
+        line: i18n.formatLine(locale, this.spreadLine),
+        homeOdds: BettingSnapshot.formatOdds(this.homeSpreadOdds, locale),
+        awayOdds: BettingSnapshot.formatOdds(this.awaySpreadOdds, locale),
         progressBar: this.generateSpreadProgressBar()
       },
       total: {
-        line: this.totalLine !== null ? `${this.totalLine}` : 'N/A',
-        overOdds: BettingSnapshot.formatOdds(this.overOdds),
-        underOdds: BettingSnapshot.formatOdds(this.underOdds)
+        line: this.totalLine !== null ? i18n.formatNumber(locale, this.totalLine) : i18n.t(locale, 'odds.notAvailable'),
+        overOdds: BettingSnapshot.formatOdds(this.overOdds, locale),
+        underOdds: BettingSnapshot.formatOdds(this.underOdds, locale)
       },
       metadata: {
         source: this.source,
@@ -9,10 +9,20 @@ class Lobby {
     this.leaderId = data.leader_id || data.leaderId;
     this.gameType = data.game_type || data.gameType;
     this.voiceChannelId = data.voice_channel_id || data.voiceChannelId;
+    this.textChannelId = data.text_channel_id || data.textChannelId || null;
     this.createdAt = data.created_at || data.createdAt;
     this.expiresAt = data.expires_at || data.expiresAt;
     this.status = data.status || 'active';
+    this.scheduledStart = data.scheduled_start || data.scheduledStart || null;
+    this.maxPlayers = data.max_players || data.maxPlayers || null;
+    this.reminderSentAt = data.reminder_sent_at || data.reminderSentAt || null;
+    this.catalogChannelId = data.catalog_channel_id || data.catalogChannelId || null;
+    this.catalogMessageId = data.catalog_message_id || data.catalogMessageId || null;
+    this.voiceEmptySince = data.voice_empty_since || data.voiceEmptySince || null;
+    this.emptyWarningSentAt = data.empty_warning_sent_at || data.emptyWarningSentAt || null;
+    this.isPublic = !!(data.is_public || data.isPublic);
     this.members = new Set(data.members || []);
+    this.coLeaders = new Set(data.co_leaders || data.coLeaders || []);
   }
 
   /**
@@ -31,7 +41,7 @@ class Lobby {
   /**
    * Create a new lobby instance
    */
-  static create(guildId, leaderId, gameType, durationMinutes = null) {
+  static create(guildId, leaderId, gameType, durationMinutes = null, maxPlayers = null) {
     const expiresAt = durationMinutes ? 
       new Date(Date.now() + (durationMinutes * 60 * 1000)).toISOString() : 
       null; // Indefinite duration
@@ -43,7 +53,8 @@ class Lobby {
       gameType,
       createdAt: new Date().toISOString(),
       expiresAt,
-      status: 'active'
+      status: 'active',
+      maxPlayers
     });
 
     // Add leader as first member
@@ -52,6 +63,31 @@ class Lobby {
     return lobby;
   }
 
+  /**
+   * Create a new scheduled lobby instance that opens at a future start time
+   */
+  static createScheduled(guildId, leaderId, gameType, scheduledStart, maxPlayers = null) {
+    const startDate = new Date(scheduledStart);
+
+    const lobby = new Lobby({
+      // Suffix the start time so a leader can schedule the same game more than once
+      id: `${Lobby.generateId(leaderId, gameType)}-${Math.floor(startDate.getTime() / 1000).toString(36)}`,
+      guildId,
+      leaderId,
+      gameType,
+      createdAt: new Date().toISOString(),
+      expiresAt: null,
+      status: 'scheduled',
+      scheduledStart: startDate.toISOString(),
+      maxPlayers
+    });
+
+    // Leader is tracked as a member so they keep ownership once the lobby opens
+    lobby.members.add(leaderId);
+
+    return lobby;
+  }
+
   /**
    * Validate lobby data
    */
@@ -78,10 +114,20 @@ class Lobby {
       errors.push('Game type must be 100 characters or less');
     }
 
-    if (!['active', 'disbanded', 'expired'].includes(this.status)) {
+    if (!['scheduled', 'active', 'disbanded', 'expired'].includes(this.status)) {
       errors.push('Invalid lobby status');
     }
 
+    if (this.status === 'scheduled') {
+      if (!this.scheduledStart || isNaN(new Date(this.scheduledStart).getTime())) {
+        errors.push('Scheduled lobbies require a valid start time');
+      }
+    }
+
+    if (this.maxPlayers !== null && (this.maxPlayers < 2 || this.maxPlayers > 99)) {
+      errors.push('Max players must be between 2 and 99');
+    }
+
     return {
       isValid: errors.length === 0,
       errors
@@ -98,9 +144,18 @@ class Lobby {
       leader_id: this.leaderId,
       game_type: this.gameType,
       voice_channel_id: this.voiceChannelId,
+      text_channel_id: this.textChannelId,
       created_at: this.createdAt,
       expires_at: this.expiresAt,
-      status: this.status
+      status: this.status,
+      scheduled_start: this.scheduledStart,
+      max_players: this.maxPlayers,
+      reminder_sent_at: this.reminderSentAt,
+      catalog_channel_id: this.catalogChannelId,
+      catalog_message_id: this.catalogMessageId,
+      voice_empty_since: this.voiceEmptySince,
+      empty_warning_sent_at: this.emptyWarningSentAt,
+      is_public: this.isPublic ? 1 : 0
     };
   }
 
@@ -120,6 +175,7 @@ class Lobby {
    * Remove a member from the lobby
    */
   removeMember(userId) {
+    this.coLeaders.delete(userId);
     return this.members.delete(userId);
   }
 
@@ -151,6 +207,54 @@ class Lobby {
     return this.leaderId === userId;
   }
 
+  /**
+   * Check if user is a co-leader
+   */
+  isCoLeader(userId) {
+    return this.coLeaders.has(userId);
+  }
+
+  /**
+   * Promote a member to co-leader
+   */
+  addCoLeader(userId) {
+    if (!this.hasMember(userId) || this.isLeader(userId)) {
+      return false;
+    }
+
+    this.coLeaders.add(userId);
+    return true;
+  }
+
+  /**
+   * Demote a co-leader back to a regular member
+   */
+  removeCoLeader(userId) {
+    return this.coLeaders.delete(userId);
+  }
+
+  /**
+   * Get all co-leader IDs as array
+   */
+  getCoLeaderIds() {
+    return Array.from(this.coLeaders);
+  }
+
+  /**
+   * Get a user's role in the lobby ('leader', 'co_leader', 'member' or null)
+   */
+  getRole(userId) {
+    if (this.isLeader(userId)) {
+      return 'leader';
+    }
+
+    if (this.isCoLeader(userId)) {
+      return 'co_leader';
+    }
+
+    return this.hasMember(userId) ? 'member' : null;
+  }
+
   /**
    * Transfer leadership to another member
    */
@@ -160,6 +264,7 @@ class Lobby {
     }
     
     this.leaderId = newLeaderId;
+    this.coLeaders.delete(newLeaderId);
     return true;
   }
 
@@ -170,6 +275,39 @@ class Lobby {
     return this.status === 'active' && !this.isExpired();
   }
 
+  /**
+   * Check if lobby is waiting for its scheduled start time
+   */
+  isScheduled() {
+    return this.status === 'scheduled';
+  }
+
+  /**
+   * Check if a scheduled lobby has reached its start time
+   */
+  isStartDue(now = new Date()) {
+    return this.isScheduled() && new Date(this.scheduledStart) <= now;
+  }
+
+  /**
+   * Get minutes until the scheduled start (null for unscheduled lobbies)
+   */
+  getMinutesUntilStart(now = new Date()) {
+    if (!this.scheduledStart) {
+      return null;
+    }
+
+    const diffMs = new Date(this.scheduledStart).getTime() - now.getTime();
+    return diffMs <= 0 ? 0 : Math.ceil(diffMs / (1000 * 60));
+  }
+
+  /**
+   * Open a scheduled lobby
+   */
+  activate() {
+    this.status = 'active';
+  }
+
   /**
    * Check if lobby is expired
    */
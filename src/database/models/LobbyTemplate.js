@@ -0,0 +1,145 @@
+/**
+ * Lobby Template Model
+ * Saved /create-lobby settings, either personal (has an owner) or shared across a guild
+ */
+class LobbyTemplate {
+  constructor(data = {}) {
+    this.id = data.id || null;
+    this.guildId = data.guild_id || data.guildId;
+    this.ownerId = data.owner_id || data.ownerId || null;
+    this.name = data.name;
+    this.gameType = data.game_type || data.gameType;
+    this.maxPlayers = data.max_players || data.maxPlayers || null;
+    this.durationMinutes = data.duration_minutes || data.durationMinutes || null;
+    this.channelName = data.channel_name || data.channelName || null;
+    this.channelEmoji = data.channel_emoji || data.channelEmoji || null;
+    this.privacy = data.privacy || 'public';
+    this.createdBy = data.created_by || data.createdBy;
+    this.createdAt = data.created_at || data.createdAt;
+    this.updatedAt = data.updated_at || data.updatedAt;
+
+    // Parse invite list from JSON string if needed
+    const inviteList = data.invite_list !== undefined ? data.invite_list : data.inviteList;
+    if (typeof inviteList === 'string') {
+      try {
+        this.inviteList = JSON.parse(inviteList);
+      } catch (error) {
+        this.inviteList = [];
+      }
+    } else {
+      this.inviteList = inviteList || [];
+    }
+  }
+
+  /**
+   * Whether this is a guild-wide template published by an admin
+   */
+  isShared() {
+    return !this.ownerId;
+  }
+
+  /**
+   * Whether this lobby should stay out of the public lobby catalog
+   */
+  isPrivate() {
+    return this.privacy === 'private';
+  }
+
+  /**
+   * Validate template data
+   */
+  validate() {
+    const errors = [];
+
+    if (!this.guildId) {
+      errors.push('Guild ID is required');
+    }
+
+    if (!this.createdBy) {
+      errors.push('Creator ID is required');
+    }
+
+    if (!this.name || this.name.trim().length === 0) {
+      errors.push('Template name is required');
+    }
+
+    if (this.name && this.name.length > 50) {
+      errors.push('Template name must be 50 characters or less');
+    }
+
+    if (!this.gameType || this.gameType.trim().length === 0) {
+      errors.push('Game type is required');
+    }
+
+    if (this.gameType && this.gameType.length > 100) {
+      errors.push('Game type must be 100 characters or less');
+    }
+
+    if (this.maxPlayers !== null && (this.maxPlayers < 2 || this.maxPlayers > 20)) {
+      errors.push('Max players must be between 2 and 20');
+    }
+
+    if (this.durationMinutes !== null && (this.durationMinutes < 5 || this.durationMinutes > 1440)) {
+      errors.push('Duration must be between 5 and 1440 minutes');
+    }
+
+    if (this.channelName && this.channelName.length > 90) {
+      errors.push('Channel name must be 90 characters or less');
+    }
+
+    if (this.channelEmoji && !/^\p{Extended_Pictographic}[\p{Extended_Pictographic}\p{Emoji_Modifier}\u{200D}\u{FE0F}]{0,7}$/u.test(this.channelEmoji)) {
+      errors.push('Channel emoji must be a single emoji');
+    }
+
+    if (!['public', 'private'].includes(this.privacy)) {
+      errors.push('Privacy must be public or private');
+    }
+
+    if (!Array.isArray(this.inviteList) || this.inviteList.length > LobbyTemplate.MAX_INVITES) {
+      errors.push(`Invite list can contain at most ${LobbyTemplate.MAX_INVITES} users`);
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+
+  /**
+   * Convert to database format
+   */
+  toDatabase() {
+    return {
+      guild_id: this.guildId,
+      owner_id: this.ownerId,
+      name: this.name,
+      game_type: this.gameType,
+      max_players: this.maxPlayers,
+      duration_minutes: this.durationMinutes,
+      channel_name: this.channelName,
+      channel_emoji: this.channelEmoji,
+      privacy: this.privacy,
+      invite_list: JSON.stringify(this.inviteList || []),
+      created_by: this.createdBy
+    };
+  }
+
+  /**
+   * Options for LobbyManager.createLobbyWithVoice
+   */
+  toLobbyOptions() {
+    return {
+      maxPlayers: this.maxPlayers,
+      durationMinutes: this.durationMinutes,
+      voiceOptions: {
+        userLimit: this.maxPlayers || 10,
+        channelName: this.channelName,
+        emoji: this.channelEmoji
+      }
+    };
+  }
+}
+
+LobbyTemplate.MAX_INVITES = 10;
+
+module.exports = LobbyTemplate;
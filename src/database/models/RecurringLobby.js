@@ -0,0 +1,104 @@
+const cron = require('node-cron');
+const { isValidTimezone, getDefaultTimezone } = require('../../utils/timezone');
+
+/**
+ * Recurring Lobby Model
+ * A lobby series that is recreated from a template on a cron schedule
+ */
+class RecurringLobby {
+  constructor(data = {}) {
+    this.id = data.id || null;
+    this.guildId = data.guild_id || data.guildId;
+    this.leaderId = data.leader_id || data.leaderId;
+    this.templateId = data.template_id || data.templateId || null;
+    this.gameType = data.game_type || data.gameType;
+    this.cronExpression = data.cron_expression || data.cronExpression;
+    this.timezone = data.timezone || getDefaultTimezone();
+    this.status = data.status || 'active';
+    this.skipCount = data.skip_count || data.skipCount || 0;
+    this.lastRunAt = data.last_run_at || data.lastRunAt || null;
+    this.lastLobbyId = data.last_lobby_id || data.lastLobbyId || null;
+    this.createdAt = data.created_at || data.createdAt;
+    this.updatedAt = data.updated_at || data.updatedAt;
+
+    // Parse invite list from JSON string if needed
+    const inviteList = data.invite_list !== undefined ? data.invite_list : data.inviteList;
+    if (typeof inviteList === 'string') {
+      try {
+        this.inviteList = JSON.parse(inviteList);
+      } catch (error) {
+        this.inviteList = [];
+      }
+    } else {
+      this.inviteList = inviteList || [];
+    }
+  }
+
+  /**
+   * Whether occurrences are currently being created
+   */
+  isActive() {
+    return this.status === 'active';
+  }
+
+  /**
+   * Validate recurring lobby data
+   */
+  validate() {
+    const errors = [];
+
+    if (!this.guildId) {
+      errors.push('Guild ID is required');
+    }
+
+    if (!this.leaderId) {
+      errors.push('Leader ID is required');
+    }
+
+    if (!this.gameType || this.gameType.trim().length === 0) {
+      errors.push('Game type is required');
+    }
+
+    if (!this.cronExpression || !cron.validate(this.cronExpression)) {
+      errors.push('Schedule must be a valid cron expression');
+    }
+
+    if (!isValidTimezone(this.timezone)) {
+      errors.push('Timezone must be a valid IANA timezone');
+    }
+
+    if (!['active', 'paused'].includes(this.status)) {
+      errors.push('Invalid recurring lobby status');
+    }
+
+    if (!Array.isArray(this.inviteList) || this.inviteList.length > 20) {
+      errors.push('Invite list can contain at most 20 users');
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+
+  /**
+   * Convert to database format
+   */
+  toDatabase() {
+    return {
+      guild_id: this.guildId,
+      leader_id: this.leaderId,
+      template_id: this.templateId,
+      game_type: this.gameType,
+      cron_expression: this.cronExpression,
+      timezone: this.timezone,
+      invite_list: JSON.stringify(this.inviteList || []),
+      status: this.status,
+      skip_count: this.skipCount,
+      last_run_at: this.lastRunAt,
+      last_lobby_id: this.lastLobbyId
+    };
+  }
+}
+
+module.exports = RecurringLobby;
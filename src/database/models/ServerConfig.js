@@ -1,3 +1,6 @@
+const { isValidTimezone, getDefaultTimezone } = require('../../utils/timezone');
+const i18n = require('../../utils/i18n');
+
 /**
  * Server Configuration Model
  * Represents bot configuration for a Discord server
@@ -9,7 +12,9 @@ class ServerConfig {
       nfl: data.nfl_channel_id || data.nflChannelId || null,
       nba: data.nba_channel_id || data.nbaChannelId || null,
       nhl: data.nhl_channel_id || data.nhlChannelId || null,
-      ncaa: data.ncaa_channel_id || data.ncaaChannelId || null
+      ncaa: data.ncaa_channel_id || data.ncaaChannelId || null,
+      ncaa_basketball: data.ncaa_basketball_channel_id || data.ncaaBasketballChannelId || null,
+      ncaa_football: data.ncaa_football_channel_id || data.ncaaFootballChannelId || null
     };
     this.lobbySettings = {
       duration: data.lobby_duration_minutes || data.lobbyDuration || 60,
@@ -27,6 +32,22 @@ class ServerConfig {
       this.teamColorOverrides = data.team_color_overrides || data.teamColorOverrides || {};
     }
     
+    // Parse betting forum channels (sport key -> forum channel ID) from JSON string if needed
+    if (typeof data.betting_forum_ids === 'string') {
+      try {
+        this.bettingForums = JSON.parse(data.betting_forum_ids);
+      } catch (error) {
+        this.bettingForums = {};
+      }
+    } else {
+      this.bettingForums = data.betting_forum_ids || data.bettingForums || {};
+    }
+
+    this.lobbyCatalogChannelId = data.lobby_catalog_channel_id || data.lobbyCatalogChannelId || null;
+    this.timezone = data.timezone || null;
+    this.locale = data.locale || null;
+    this.auditChannelId = data.audit_channel_id || data.auditChannelId || null;
+    this.setupCompletedAt = data.setup_completed_at || data.setupCompletedAt || null;
     this.createdAt = data.created_at || data.createdAt;
     this.updatedAt = data.updated_at || data.updatedAt;
   }
@@ -49,6 +70,14 @@ class ServerConfig {
       errors.push('Max lobby size must be between 2 and 50');
     }
 
+    if (this.timezone && !isValidTimezone(this.timezone)) {
+      errors.push(`Unknown timezone: ${this.timezone}`);
+    }
+
+    if (this.locale && !i18n.LOCALES[this.locale]) {
+      errors.push(`Unsupported language: ${this.locale}`);
+    }
+
     return {
       isValid: errors.length === 0,
       errors
@@ -65,9 +94,17 @@ class ServerConfig {
       nba_channel_id: this.sportsChannels.nba,
       nhl_channel_id: this.sportsChannels.nhl,
       ncaa_channel_id: this.sportsChannels.ncaa,
+      ncaa_basketball_channel_id: this.sportsChannels.ncaa_basketball,
+      ncaa_football_channel_id: this.sportsChannels.ncaa_football,
       lobby_duration_minutes: this.lobbySettings.duration,
       max_lobby_size: this.lobbySettings.maxSize,
-      team_color_overrides: JSON.stringify(this.teamColorOverrides || {})
+      team_color_overrides: JSON.stringify(this.teamColorOverrides || {}),
+      betting_forum_ids: JSON.stringify(this.bettingForums || {}),
+      lobby_catalog_channel_id: this.lobbyCatalogChannelId,
+      timezone: this.timezone,
+      locale: this.locale,
+      audit_channel_id: this.auditChannelId,
+      setup_completed_at: this.setupCompletedAt
     };
   }
 
@@ -76,7 +113,14 @@ class ServerConfig {
    */
   getSportsChannel(league) {
     const normalizedLeague = league.toLowerCase();
-    return this.sportsChannels[normalizedLeague] || null;
+    const channelId = this.sportsChannels[normalizedLeague];
+
+    // NCAA sports share the older single NCAA channel unless they have their own
+    if (!channelId && normalizedLeague.startsWith('ncaa_')) {
+      return this.sportsChannels.ncaa || null;
+    }
+
+    return channelId || null;
   }
 
   /**
@@ -84,7 +128,7 @@ class ServerConfig {
    */
   setSportsChannel(league, channelId) {
     const normalizedLeague = league.toLowerCase();
-    if (['nfl', 'nba', 'nhl', 'ncaa'].includes(normalizedLeague)) {
+    if (ServerConfig.SPORTS_CHANNEL_KEYS.includes(normalizedLeague)) {
       this.sportsChannels[normalizedLeague] = channelId;
       return true;
     }
@@ -107,6 +151,40 @@ class ServerConfig {
       .map(([league]) => league);
   }
 
+  /**
+   * Get the betting forum channel ID for a sport
+   * @param {string} sport - Sport key
+   * @returns {string|null} - Forum channel ID or null
+   */
+  getBettingForum(sport) {
+    return this.bettingForums?.[sport.toLowerCase()] || null;
+  }
+
+  /**
+   * Set or clear the betting forum channel for a sport
+   * @param {string} sport - Sport key
+   * @param {string|null} channelId - Forum channel ID, or null to clear
+   */
+  setBettingForum(sport, channelId) {
+    if (!this.bettingForums) {
+      this.bettingForums = {};
+    }
+
+    if (channelId) {
+      this.bettingForums[sport.toLowerCase()] = channelId;
+    } else {
+      delete this.bettingForums[sport.toLowerCase()];
+    }
+  }
+
+  /**
+   * Get the timezone dates and schedules in this server follow
+   * @returns {string} - IANA timezone name (the bot default when unset)
+   */
+  getTimezone() {
+    return this.timezone || getDefaultTimezone();
+  }
+
   /**
    * Get team color override
    * @param {string} teamAbbrev - Team abbreviation
@@ -150,4 +228,7 @@ class ServerConfig {
   }
 }
 
+// Leagues with a game log channel column
+ServerConfig.SPORTS_CHANNEL_KEYS = ['nfl', 'nba', 'nhl', 'ncaa', 'ncaa_basketball', 'ncaa_football'];
+
 module.exports = ServerConfig;
\ No newline at end of file
@@ -0,0 +1,76 @@
+const BaseRepository = require('./BaseRepository');
+
+/**
+ * Repository for the per-guild audit log of bot actions
+ */
+class AuditLogRepository extends BaseRepository {
+  constructor() {
+    super('audit_log');
+  }
+
+  /**
+   * Record an action
+   * @param {Object} entry - { guildId, actorId, action, targetType, targetId, payload }
+   * @returns {Promise<Object>} - The stored entry
+   */
+  async record({ guildId, actorId = null, action, targetType = null, targetId = null, payload = null }) {
+    const createdAt = new Date().toISOString();
+    const result = await this.db.run(
+      `INSERT INTO ${this.tableName} (guild_id, actor_id, action, target_type, target_id, payload, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [guildId, actorId, action, targetType, targetId, payload ? JSON.stringify(payload) : null, createdAt]
+    );
+
+    return { id: result.lastID, guildId, actorId, action, targetType, targetId, payload, createdAt };
+  }
+
+  /**
+   * Search a guild's entries, newest first
+   * @param {string} guildId - Guild ID
+   * @param {Object} filters
+   * @param {string} [filters.actorId] - Only actions by this user
+   * @param {string} [filters.action] - Only this action type
+   * @param {Date} [filters.since] - Only entries at or after this time
+   * @param {Date} [filters.until] - Only entries before this time
+   * @param {number} [filters.limit] - Page size
+   * @param {number} [filters.offset] - Entries to skip
+   * @returns {Promise<{ entries: Array<Object>, total: number }>}
+   */
+  async search(guildId, { actorId = null, action = null, since = null, until = null, limit = 10, offset = 0 } = {}) {
+    const query = this.where({
+      guild_id: guildId,
+      actor_id: actorId,
+      action,
+      created_at: { gte: since?.toISOString(), lt: until?.toISOString() }
+    });
+
+    const total = await query.count();
+    const rows = await query.orderBy('created_at DESC, id DESC').limit(limit).offset(offset).all();
+
+    return { entries: rows.map(row => this.toEntry(row)), total };
+  }
+
+  toEntry(row) {
+    let payload = null;
+    if (row.payload) {
+      try {
+        payload = JSON.parse(row.payload);
+      } catch (error) {
+        payload = null;
+      }
+    }
+
+    return {
+      id: row.id,
+      guildId: row.guild_id,
+      actorId: row.actor_id,
+      action: row.action,
+      targetType: row.target_type,
+      targetId: row.target_id,
+      payload,
+      createdAt: row.created_at
+    };
+  }
+}
+
+module.exports = AuditLogRepository;
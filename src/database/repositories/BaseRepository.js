@@ -1,6 +1,10 @@
 const dbConnection = require('../connection');
+const QueryBuilder = require('../QueryBuilder');
 const logger = require('../../utils/logger');
 
+// Keeps multi-row INSERTs under SQLite's historical limit of 999 bound parameters
+const MAX_INSERT_PARAMS = 999;
+
 /**
  * Base Repository class with common database operations
  */
@@ -24,37 +28,33 @@ class BaseRepository {
     }
   }
 
+  /**
+   * Start a query on this table returning the given columns
+   * @param {...string} columns - Columns to return (all by default)
+   * @returns {QueryBuilder}
+   */
+  select(...columns) {
+    return new QueryBuilder(this.db, this.tableName).select(...columns);
+  }
+
+  /**
+   * Start a query on this table with criteria (see QueryBuilder for the operators)
+   * @param {Object} criteria
+   * @returns {QueryBuilder}
+   */
+  where(criteria = {}) {
+    return new QueryBuilder(this.db, this.tableName).where(criteria);
+  }
+
   /**
    * Find records by criteria
+   * @param {Object} criteria - Column values or operator objects, see QueryBuilder
+   * @param {string|Array} [orderBy] - ORDER BY clause or [column, direction] pairs
+   * @param {number} [limit]
    */
   async findBy(criteria = {}, orderBy = null, limit = null) {
     try {
-      const conditions = [];
-      const params = [];
-
-      for (const [key, value] of Object.entries(criteria)) {
-        if (value !== undefined && value !== null) {
-          conditions.push(`${key} = ?`);
-          params.push(value);
-        }
-      }
-
-      let sql = `SELECT * FROM ${this.tableName}`;
-      
-      if (conditions.length > 0) {
-        sql += ` WHERE ${conditions.join(' AND ')}`;
-      }
-
-      if (orderBy) {
-        sql += ` ORDER BY ${orderBy}`;
-      }
-
-      if (limit) {
-        sql += ` LIMIT ${limit}`;
-      }
-
-      const rows = await this.db.all(sql, params);
-      return rows;
+      return await this.where(criteria).orderBy(orderBy).limit(limit).all();
     } catch (error) {
       logger.error(`Error finding ${this.tableName} records:`, error);
       throw error;
@@ -96,6 +96,48 @@ class BaseRepository {
     }
   }
 
+  /**
+   * Insert many records with multi-row INSERTs in one transaction
+   * @param {Array<Object>} records - Records with the same columns
+   * @param {Object} [options]
+   * @param {number} [options.batchSize] - Rows per INSERT statement
+   * @returns {Promise<number>} - Rows inserted
+   */
+  async createMany(records, { batchSize = 100 } = {}) {
+    if (records.length === 0) return 0;
+
+    try {
+      const keys = Object.keys(records[0]);
+      const mismatch = records.find(record =>
+        Object.keys(record).length !== keys.length || keys.some(key => !(key in record)));
+      if (mismatch) {
+        throw new Error('Every record in a batch insert needs the same columns');
+      }
+
+      const rowsPerStatement = Math.max(1, Math.min(batchSize, Math.floor(MAX_INSERT_PARAMS / keys.length)));
+      const row = `(${keys.map(() => '?').join(', ')})`;
+
+      const inserted = await this.db.transaction(async tx => {
+        let changes = 0;
+
+        for (let start = 0; start < records.length; start += rowsPerStatement) {
+          const batch = records.slice(start, start + rowsPerStatement);
+          const sql = `INSERT INTO ${this.tableName} (${keys.join(', ')}) VALUES ${batch.map(() => row).join(', ')}`;
+          const result = await tx.run(sql, batch.flatMap(record => keys.map(key => record[key])));
+          changes += result.changes;
+        }
+
+        return changes;
+      });
+
+      logger.debug(`Created ${this.tableName} records:`, { count: inserted });
+      return inserted;
+    } catch (error) {
+      logger.error(`Error creating ${this.tableName} records:`, error);
+      throw error;
+    }
+  }
+
   /**
    * Update a record by primary key
    */
@@ -121,17 +163,9 @@ class BaseRepository {
    */
   async updateBy(criteria, data) {
     try {
-      const conditions = [];
-      const conditionParams = [];
-
-      for (const [key, value] of Object.entries(criteria)) {
-        if (value !== undefined && value !== null) {
-          conditions.push(`${key} = ?`);
-          conditionParams.push(value);
-        }
-      }
+      const where = QueryBuilder.compile(criteria);
 
-      if (conditions.length === 0) {
+      if (!where.sql) {
         throw new Error('No criteria provided for update operation');
       }
 
@@ -139,8 +173,8 @@ class BaseRepository {
       const values = Object.values(data);
       const setClause = keys.map(key => `${key} = ?`).join(', ');
 
-      const sql = `UPDATE ${this.tableName} SET ${setClause} WHERE ${conditions.join(' AND ')}`;
-      const result = await this.db.run(sql, [...values, ...conditionParams]);
+      const sql = `UPDATE ${this.tableName} SET ${setClause} WHERE ${where.sql}`;
+      const result = await this.db.run(sql, [...values, ...where.params]);
 
       logger.debug(`Updated ${this.tableName} records by criteria:`, { criteria, changes: result.changes });
       return result;
@@ -171,22 +205,14 @@ class BaseRepository {
    */
   async deleteBy(criteria) {
     try {
-      const conditions = [];
-      const params = [];
-
-      for (const [key, value] of Object.entries(criteria)) {
-        if (value !== undefined && value !== null) {
-          conditions.push(`${key} = ?`);
-          params.push(value);
-        }
-      }
+      const where = QueryBuilder.compile(criteria);
 
-      if (conditions.length === 0) {
+      if (!where.sql) {
         throw new Error('No criteria provided for delete operation');
       }
 
-      const sql = `DELETE FROM ${this.tableName} WHERE ${conditions.join(' AND ')}`;
-      const result = await this.db.run(sql, params);
+      const sql = `DELETE FROM ${this.tableName} WHERE ${where.sql}`;
+      const result = await this.db.run(sql, where.params);
 
       logger.debug(`Deleted ${this.tableName} records by criteria:`, { criteria, changes: result.changes });
       return result;
@@ -201,24 +227,7 @@ class BaseRepository {
    */
   async count(criteria = {}) {
     try {
-      const conditions = [];
-      const params = [];
-
-      for (const [key, value] of Object.entries(criteria)) {
-        if (value !== undefined && value !== null) {
-          conditions.push(`${key} = ?`);
-          params.push(value);
-        }
-      }
-
-      let sql = `SELECT COUNT(*) as count FROM ${this.tableName}`;
-      
-      if (conditions.length > 0) {
-        sql += ` WHERE ${conditions.join(' AND ')}`;
-      }
-
-      const result = await this.db.get(sql, params);
-      return result.count;
+      return await this.where(criteria).count();
     } catch (error) {
       logger.error(`Error counting ${this.tableName} records:`, error);
       throw error;
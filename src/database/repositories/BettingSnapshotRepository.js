@@ -9,56 +9,6 @@ class BettingSnapshotRepository {
     this.db = db;
   }
 
-  /**
-   * Create betting snapshots table
-   */
-  async createTable() {
-    // Create the table first
-    const createTableQuery = `
-      CREATE TABLE IF NOT EXISTS betting_snapshots (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        game_id TEXT NOT NULL,
-        sport TEXT NOT NULL,
-        scraped_at DATETIME NOT NULL,
-        home_moneyline INTEGER,
-        away_moneyline INTEGER,
-        spread_line REAL,
-        home_spread_odds INTEGER,
-        away_spread_odds INTEGER,
-        total_line REAL,
-        over_odds INTEGER,
-        under_odds INTEGER,
-        source TEXT DEFAULT 'ActionNetwork',
-        sportsbook TEXT,
-        is_stale BOOLEAN DEFAULT FALSE,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      )
-    `;
-
-    // Create indexes separately
-    const indexQueries = [
-      `CREATE INDEX IF NOT EXISTS idx_game_sport ON betting_snapshots (game_id, sport)`,
-      `CREATE INDEX IF NOT EXISTS idx_scraped_at ON betting_snapshots (scraped_at)`,
-      `CREATE INDEX IF NOT EXISTS idx_sport_date ON betting_snapshots (sport, scraped_at)`
-    ];
-
-    try {
-      // Create table
-      await this.db.exec(createTableQuery);
-      
-      // Create indexes
-      for (const indexQuery of indexQueries) {
-        await this.db.exec(indexQuery);
-      }
-      
-      logger.info('Betting snapshots table and indexes created successfully');
-    } catch (error) {
-      logger.error('Failed to create betting snapshots table:', error);
-      throw error;
-    }
-  }
-
   /**
    * Save a betting snapshot
    * @param {BettingSnapshot} snapshot - Betting snapshot to save
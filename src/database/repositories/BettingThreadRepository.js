@@ -10,41 +10,6 @@ class BettingThreadRepository extends BaseRepository {
     this.tableName = 'betting_threads';
   }
 
-  /**
-   * Create the betting_threads table
-   */
-  async createTable() {
-    const sql = `
-      CREATE TABLE IF NOT EXISTS ${this.tableName} (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        guild_id TEXT NOT NULL,
-        sport TEXT NOT NULL,
-        game_id TEXT NOT NULL,
-        thread_id TEXT NOT NULL,
-        channel_id TEXT,
-        game_name TEXT,
-        game_date TEXT,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        is_active BOOLEAN DEFAULT 1,
-        UNIQUE(guild_id, sport, game_id)
-      )
-    `;
-
-    await this.executeQuery(sql);
-    
-    // Create indexes for better performance
-    await this.executeQuery(`
-      CREATE INDEX IF NOT EXISTS idx_betting_threads_guild_sport 
-      ON ${this.tableName}(guild_id, sport)
-    `);
-    
-    await this.executeQuery(`
-      CREATE INDEX IF NOT EXISTS idx_betting_threads_thread_id 
-      ON ${this.tableName}(thread_id)
-    `);
-  }
-
   /**
    * Create a new betting thread record
    * @param {BettingThread} bettingThread - Betting thread to create
@@ -60,9 +25,16 @@ class BettingThreadRepository extends BaseRepository {
     data.updated_at = new Date().toISOString();
 
     const sql = `
-      INSERT OR REPLACE INTO ${this.tableName} 
+      INSERT INTO ${this.tableName} 
       (guild_id, sport, game_id, thread_id, channel_id, game_name, game_date, created_at, updated_at, is_active)
       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT (guild_id, sport, game_id) DO UPDATE SET
+        thread_id = excluded.thread_id,
+        channel_id = excluded.channel_id,
+        game_name = excluded.game_name,
+        game_date = excluded.game_date,
+        updated_at = excluded.updated_at,
+        is_active = excluded.is_active
     `;
 
     const params = [
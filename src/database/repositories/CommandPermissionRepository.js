@@ -0,0 +1,65 @@
+const BaseRepository = require('./BaseRepository');
+
+/**
+ * Repository for per-guild command permission policies
+ * A policy allows or denies a command (or a whole category) to a role or channel.
+ */
+class CommandPermissionRepository extends BaseRepository {
+  constructor() {
+    super('command_permission_policies');
+  }
+
+  /**
+   * Create or replace the policy for a target and subject
+   * @param {string} guildId - Guild ID
+   * @param {Object} policy - { targetType, target, subjectType, subjectId, effect }
+   * @param {string} createdBy - User ID of the admin setting the policy
+   */
+  async setPolicy(guildId, { targetType, target, subjectType, subjectId, effect }, createdBy) {
+    await this.db.run(
+      `INSERT INTO ${this.tableName} (guild_id, target_type, target, subject_type, subject_id, effect, created_by, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+       ON CONFLICT (guild_id, target_type, target, subject_type, subject_id) DO UPDATE SET
+         effect = excluded.effect,
+         created_by = excluded.created_by,
+         created_at = excluded.created_at`,
+      [guildId, targetType, target, subjectType, subjectId, effect, createdBy, new Date().toISOString()]
+    );
+  }
+
+  /**
+   * Remove the policy for a target and subject
+   * @returns {Promise<boolean>} - False if there was no policy
+   */
+  async removePolicy(guildId, { targetType, target, subjectType, subjectId }) {
+    const result = await this.deleteBy({
+      guild_id: guildId,
+      target_type: targetType,
+      target,
+      subject_type: subjectType,
+      subject_id: subjectId
+    });
+    return result.changes > 0;
+  }
+
+  /**
+   * Get the policies that apply to a command, directly or through its category
+   */
+  async getPoliciesFor(guildId, commandName, category) {
+    return await this.db.all(
+      `SELECT * FROM ${this.tableName}
+       WHERE guild_id = ?
+         AND ((target_type = 'command' AND target = ?) OR (target_type = 'category' AND target = ?))`,
+      [guildId, commandName, category]
+    );
+  }
+
+  /**
+   * Get every policy in a guild, newest first
+   */
+  async getPolicies(guildId) {
+    return await this.findBy({ guild_id: guildId }, 'created_at DESC');
+  }
+}
+
+module.exports = CommandPermissionRepository;
@@ -0,0 +1,143 @@
+const BaseRepository = require('./BaseRepository');
+
+/**
+ * Repository for per-guild command rate limit overrides, role exemptions
+ * and the persisted cooldown buckets that make limits survive restarts
+ */
+class CommandRateLimitRepository extends BaseRepository {
+  constructor() {
+    super('command_rate_limits');
+  }
+
+  /**
+   * Get a guild's override for a command
+   * @returns {Promise<Object|null>} - Override row or null to use the command's default
+   */
+  async getOverride(guildId, commandName) {
+    return await this.findOneBy({ guild_id: guildId, command_name: commandName });
+  }
+
+  /**
+   * Get every override configured in a guild
+   */
+  async getOverrides(guildId) {
+    return await this.findBy({ guild_id: guildId }, 'command_name ASC');
+  }
+
+  /**
+   * Create or replace a guild's override for a command
+   */
+  async setOverride(guildId, commandName, { scope, cooldownSeconds, maxUses }, updatedBy) {
+    await this.db.run(
+      `INSERT INTO ${this.tableName} (guild_id, command_name, scope, cooldown_seconds, max_uses, updated_by, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?)
+       ON CONFLICT (guild_id, command_name) DO UPDATE SET
+         scope = excluded.scope,
+         cooldown_seconds = excluded.cooldown_seconds,
+         max_uses = excluded.max_uses,
+         updated_by = excluded.updated_by,
+         updated_at = excluded.updated_at`,
+      [guildId, commandName, scope, cooldownSeconds, maxUses, updatedBy, new Date().toISOString()]
+    );
+
+    return await this.getOverride(guildId, commandName);
+  }
+
+  /**
+   * Remove a guild's override for a command
+   * @returns {Promise<boolean>} - False if there was no override
+   */
+  async removeOverride(guildId, commandName) {
+    const result = await this.deleteBy({ guild_id: guildId, command_name: commandName });
+    return result.changes > 0;
+  }
+
+  /**
+   * Exempt a role from a command's rate limit ('*' for every command)
+   * @returns {Promise<boolean>} - False if the exemption already existed
+   */
+  async addExemption(guildId, commandName, roleId, createdBy) {
+    const result = await this.db.run(
+      `INSERT OR IGNORE INTO command_rate_limit_exemptions (guild_id, command_name, role_id, created_by, created_at)
+       VALUES (?, ?, ?, ?, ?)`,
+      [guildId, commandName, roleId, createdBy, new Date().toISOString()]
+    );
+    return result.changes > 0;
+  }
+
+  /**
+   * Remove a role exemption
+   * @returns {Promise<boolean>} - False if there was no exemption
+   */
+  async removeExemption(guildId, commandName, roleId) {
+    const result = await this.db.run(
+      'DELETE FROM command_rate_limit_exemptions WHERE guild_id = ? AND command_name = ? AND role_id = ?',
+      [guildId, commandName, roleId]
+    );
+    return result.changes > 0;
+  }
+
+  /**
+   * Get the roles exempt from a command, including guild-wide '*' exemptions
+   * @returns {Promise<string[]>} - Role IDs
+   */
+  async getExemptRoleIds(guildId, commandName) {
+    const rows = await this.db.all(
+      `SELECT DISTINCT role_id FROM command_rate_limit_exemptions
+       WHERE guild_id = ? AND command_name IN (?, '*')`,
+      [guildId, commandName]
+    );
+    return rows.map(row => row.role_id);
+  }
+
+  /**
+   * Get every exemption configured in a guild
+   */
+  async getExemptions(guildId) {
+    return await this.db.all(
+      'SELECT * FROM command_rate_limit_exemptions WHERE guild_id = ? ORDER BY command_name, created_at',
+      [guildId]
+    );
+  }
+
+  /**
+   * Get a persisted cooldown bucket
+   * @returns {Promise<Object|null>} - { uses, windowEndsAt } or null
+   */
+  async getBucket(bucketKey) {
+    const row = await this.db.get(
+      'SELECT uses, window_ends_at FROM command_cooldowns WHERE bucket_key = ?',
+      [bucketKey]
+    );
+    return row ? { uses: row.uses, windowEndsAt: row.window_ends_at } : null;
+  }
+
+  /**
+   * Persist a cooldown bucket
+   */
+  async saveBucket(bucketKey, { uses, windowEndsAt }) {
+    await this.db.run(
+      `INSERT INTO command_cooldowns (bucket_key, uses, window_ends_at) VALUES (?, ?, ?)
+       ON CONFLICT (bucket_key) DO UPDATE SET uses = excluded.uses, window_ends_at = excluded.window_ends_at`,
+      [bucketKey, uses, windowEndsAt]
+    );
+  }
+
+  /**
+   * Delete every bucket whose key starts with a prefix
+   */
+  async deleteBuckets(keyPrefix) {
+    await this.db.run('DELETE FROM command_cooldowns WHERE substr(bucket_key, 1, ?) = ?', [keyPrefix.length, keyPrefix]);
+  }
+
+  /**
+   * Delete buckets whose window has passed
+   * @returns {Promise<number>} - Number of buckets removed
+   */
+  async pruneBuckets(now = Date.now()) {
+    const result = await this.db.run('DELETE FROM command_cooldowns WHERE window_ends_at <= ?', [now]);
+    return result.changes;
+  }
+}
+
+module.exports = CommandRateLimitRepository;
@@ -162,27 +162,14 @@ class GameIdsRepository extends BaseRepository {
     try {
       const { limit = null, sport = 'mens-college-basketball', excludeGameId = null } = options;
 
-      let sql = `
-        SELECT game_id, sport, home_team_id, away_team_id, game_date, 
-               transition_probabilities_home, transition_probabilities_away
-        FROM ${this.tableName} 
-        WHERE labels_extracted = 1 AND sport = ?
-      `;
-      
-      const params = [sport];
-
-      if (excludeGameId) {
-        sql += ' AND game_id != ?';
-        params.push(excludeGameId);
-      }
-
-      sql += ' ORDER BY game_date ASC';
-
-      if (limit) {
-        sql += ` LIMIT ${limit}`;
-      }
-
-      const rows = await this.query(sql, params);
+      const rows = await this.select(
+        'game_id', 'sport', 'home_team_id', 'away_team_id', 'game_date',
+        'transition_probabilities_home', 'transition_probabilities_away'
+      )
+        .where({ labels_extracted: true, sport, game_id: { ne: excludeGameId } })
+        .orderBy('game_date')
+        .limit(limit)
+        .all();
       
       return rows.map(row => ({
         ...this.mapRowToObject(row),
@@ -274,23 +261,11 @@ class GameIdsRepository extends BaseRepository {
    */
   async getRandomGamesForNegativeSampling(count, excludeGameId = null, sport = 'mens-college-basketball') {
     try {
-      let sql = `
-        SELECT game_id, transition_probabilities_home, transition_probabilities_away
-        FROM ${this.tableName} 
-        WHERE labels_extracted = 1 AND sport = ?
-      `;
-      
-      const params = [sport];
-
-      if (excludeGameId) {
-        sql += ' AND game_id != ?';
-        params.push(excludeGameId);
-      }
-
-      sql += ' ORDER BY RANDOM() LIMIT ?';
-      params.push(count);
-
-      const rows = await this.query(sql, params);
+      const rows = await this.select('game_id', 'transition_probabilities_home', 'transition_probabilities_away')
+        .where({ labels_extracted: true, sport, game_id: { ne: excludeGameId } })
+        .orderBy('RANDOM()')
+        .limit(count)
+        .all();
       
       return rows.map(row => ({
         gameId: row.game_id,
@@ -0,0 +1,121 @@
+const BaseRepository = require('./BaseRepository');
+
+/**
+ * Repository for guild federation links and mirrored catalog posts
+ * Each link row is one guild opting in to share with a partner; a partnership
+ * only counts once both guilds have linked each other.
+ */
+class GuildFederationRepository extends BaseRepository {
+  constructor() {
+    super('guild_federation_links');
+  }
+
+  /**
+   * Link a guild to a partner guild
+   * @returns {Promise<boolean>} - False if the link already existed
+   */
+  async link(guildId, partnerGuildId, linkedBy) {
+    const result = await this.db.run(
+      `INSERT OR IGNORE INTO ${this.tableName} (guild_id, partner_guild_id, linked_by, created_at)
+       VALUES (?, ?, ?, ?)`,
+      [guildId, partnerGuildId, linkedBy, new Date().toISOString()]
+    );
+    return result.changes > 0;
+  }
+
+  /**
+   * Remove a guild's link to a partner guild
+   * @returns {Promise<boolean>} - False if there was no link
+   */
+  async unlink(guildId, partnerGuildId) {
+    const result = await this.deleteBy({ guild_id: guildId, partner_guild_id: partnerGuildId });
+    return result.changes > 0;
+  }
+
+  /**
+   * Whether two guilds have linked each other
+   */
+  async isPartnered(guildId, partnerGuildId) {
+    const row = await this.db.get(
+      `SELECT COUNT(*) AS links FROM ${this.tableName}
+       WHERE (guild_id = ? AND partner_guild_id = ?) OR (guild_id = ? AND partner_guild_id = ?)`,
+      [guildId, partnerGuildId, partnerGuildId, guildId]
+    );
+    return row.links === 2;
+  }
+
+  /**
+   * Get the guilds partnered with a guild (linked both ways)
+   * @returns {Promise<string[]>} - Partner guild IDs
+   */
+  async getPartnerGuildIds(guildId) {
+    const rows = await this.query(
+      `SELECT l.partner_guild_id FROM ${this.tableName} l
+       INNER JOIN ${this.tableName} r ON r.guild_id = l.partner_guild_id AND r.partner_guild_id = l.guild_id
+       WHERE l.guild_id = ?
+       ORDER BY l.created_at`,
+      [guildId]
+    );
+    return rows.map(row => row.partner_guild_id);
+  }
+
+  /**
+   * Get a guild's links in both directions, for showing pending requests
+   * @returns {Promise<{outgoing: string[], incoming: string[]}>} - Guild IDs linked by and to this guild
+   */
+  async getLinks(guildId) {
+    const [outgoing, incoming] = await Promise.all([
+      this.findBy({ guild_id: guildId }, 'created_at ASC'),
+      this.findBy({ partner_guild_id: guildId }, 'created_at ASC')
+    ]);
+
+    return {
+      outgoing: outgoing.map(row => row.partner_guild_id),
+      incoming: incoming.map(row => row.guild_id)
+    };
+  }
+
+  /**
+   * Record a lobby's catalog post in a partner guild
+   */
+  async addMirror(lobbyId, guildId, channelId, messageId) {
+    await this.db.run(
+      `INSERT INTO lobby_catalog_mirrors (lobby_id, guild_id, channel_id, message_id, created_at)
+       VALUES (?, ?, ?, ?, ?)
+       ON CONFLICT (lobby_id, guild_id) DO UPDATE SET
+         channel_id = excluded.channel_id, message_id = excluded.message_id, created_at = excluded.created_at`,
+      [lobbyId, guildId, channelId, messageId, new Date().toISOString()]
+    );
+  }
+
+  /**
+   * Get every mirrored catalog post for a lobby
+   */
+  async getMirrors(lobbyId) {
+    return await this.db.all(
+      'SELECT * FROM lobby_catalog_mirrors WHERE lobby_id = ? ORDER BY id',
+      [lobbyId]
+    );
+  }
+
+  /**
+   * Get the posts mirrored from one guild's lobbies into another guild
+   */
+  async getMirrorsBetween(sourceGuildId, partnerGuildId) {
+    return await this.db.all(
+      `SELECT m.* FROM lobby_catalog_mirrors m
+       INNER JOIN lobbies l ON l.id = m.lobby_id
+       WHERE l.guild_id = ? AND m.guild_id = ?`,
+      [sourceGuildId, partnerGuildId]
+    );
+  }
+
+  /**
+   * Forget a mirrored catalog post
+   */
+  async removeMirror(mirrorId) {
+    await this.db.run('DELETE FROM lobby_catalog_mirrors WHERE id = ?', [mirrorId]);
+  }
+}
+
+module.exports = GuildFederationRepository;
@@ -1,6 +1,17 @@
 const BaseRepository = require('./BaseRepository');
 const logger = require('../../utils/logger');
 
+// game_date holds YYYY-MM-DD
+const toDateString = date => (date instanceof Date ? date.toISOString().split('T')[0] : date);
+
+// where() drops null criteria, so a missing season would match every season
+const requireSeason = season => {
+  if (season === undefined || season === null) {
+    throw new Error('A season is required');
+  }
+  return season;
+};
+
 /**
  * Repository for historical game data
  * Stores complete game results for model training and validation
@@ -83,10 +94,7 @@ class HistoricalGameRepository extends BaseRepository {
         ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
       `;
 
-      // Format date as ISO string for SQLite
-      const gameDate = gameData.gameDate instanceof Date 
-        ? gameData.gameDate.toISOString().split('T')[0]
-        : gameData.gameDate;
+      const gameDate = toDateString(gameData.gameDate);
 
       const params = [
         gameData.id,
@@ -147,8 +155,7 @@ class HistoricalGameRepository extends BaseRepository {
    */
   async getGameById(gameId) {
     try {
-      const sql = 'SELECT * FROM historical_games WHERE id = ?';
-      const game = await this.db.get(sql, [gameId]);
+      const game = await this.findById(gameId);
       
       logger.debug('getGameById result', {
         gameId,
@@ -175,15 +182,11 @@ class HistoricalGameRepository extends BaseRepository {
    */
   async getTeamGameHistory(teamId, season, limit = 100) {
     try {
-      const sql = `
-        SELECT * FROM historical_games
-        WHERE (home_team_id = ? OR away_team_id = ?)
-          AND season = ?
-        ORDER BY game_date DESC
-        LIMIT ?
-      `;
+      const games = await this.where({ or: [{ home_team_id: teamId }, { away_team_id: teamId }], season: requireSeason(season) })
+        .orderBy('game_date', 'DESC')
+        .limit(limit)
+        .all();
 
-      const games = await this.db.all(sql, [teamId, teamId, season, limit]);
       return games.map(game => this._toCamelCase(game));
     } catch (error) {
       logger.error('Failed to get team game history', {
@@ -204,15 +207,16 @@ class HistoricalGameRepository extends BaseRepository {
    */
   async getHeadToHeadHistory(team1Id, team2Id, limit = 10) {
     try {
-      const sql = `
-        SELECT * FROM historical_games
-        WHERE (home_team_id = ? AND away_team_id = ?)
-           OR (home_team_id = ? AND away_team_id = ?)
-        ORDER BY game_date DESC
-        LIMIT ?
-      `;
+      const games = await this.where({
+        or: [
+          { home_team_id: team1Id, away_team_id: team2Id },
+          { home_team_id: team2Id, away_team_id: team1Id }
+        ]
+      })
+        .orderBy('game_date', 'DESC')
+        .limit(limit)
+        .all();
 
-      const games = await this.db.all(sql, [team1Id, team2Id, team2Id, team1Id, limit]);
       return games.map(game => this._toCamelCase(game));
     } catch (error) {
       logger.error('Failed to get head-to-head history', {
@@ -225,30 +229,21 @@ class HistoricalGameRepository extends BaseRepository {
   }
 
   /**
-   * Get games within a date range for a sport
-   * @param {Date} startDate - Start date
-   * @param {Date} endDate - End date
-   * @param {string} sport - Sport key
+   * Get games within a date range, optionally for one sport
+   * @param {Date|string} startDate - Start date (inclusive)
+   * @param {Date|string} endDate - End date (inclusive)
+   * @param {string} [sport] - Sport key (every sport when omitted, as reconciliation needs)
    * @returns {Promise<Array>}
    */
-  async getGamesByDateRange(startDate, endDate, sport) {
+  async getGamesByDateRange(startDate, endDate, sport = null) {
     try {
-      // Format dates as ISO strings for SQLite
-      const start = startDate instanceof Date 
-        ? startDate.toISOString().split('T')[0]
-        : startDate;
-      const end = endDate instanceof Date 
-        ? endDate.toISOString().split('T')[0]
-        : endDate;
-
-      const sql = `
-        SELECT * FROM historical_games
-        WHERE game_date >= ? AND game_date <= ?
-          AND sport = ?
-        ORDER BY game_date ASC
-      `;
+      const games = await this.where({
+        game_date: { between: [toDateString(startDate), toDateString(endDate)] },
+        sport
+      })
+        .orderBy('game_date')
+        .all();
 
-      const games = await this.db.all(sql, [start, end, sport]);
       return games.map(game => this._toCamelCase(game));
     } catch (error) {
       logger.error('Failed to get games by date range', {
@@ -269,15 +264,14 @@ class HistoricalGameRepository extends BaseRepository {
    */
   async getBettingOutcomes(teamId, season) {
     try {
-      const sql = `
-        SELECT * FROM historical_games
-        WHERE (home_team_id = ? OR away_team_id = ?)
-          AND season = ?
-          AND pre_game_spread IS NOT NULL
-        ORDER BY game_date DESC
-      `;
+      const games = await this.where({
+        or: [{ home_team_id: teamId }, { away_team_id: teamId }],
+        season: requireSeason(season),
+        pre_game_spread: { isNull: false }
+      })
+        .orderBy('game_date', 'DESC')
+        .all();
 
-      const games = await this.db.all(sql, [teamId, teamId, season]);
       return games.map(game => this._toCamelCase(game));
     } catch (error) {
       logger.error('Failed to get betting outcomes', {
@@ -297,13 +291,7 @@ class HistoricalGameRepository extends BaseRepository {
    */
   async getSeasonGames(sport, season) {
     try {
-      const sql = `
-        SELECT * FROM historical_games
-        WHERE sport = ? AND season = ?
-        ORDER BY game_date ASC
-      `;
-
-      const games = await this.db.all(sql, [sport, season]);
+      const games = await this.findBy({ sport, season: requireSeason(season) }, 'game_date ASC');
       return games.map(game => this._toCamelCase(game));
     } catch (error) {
       logger.error('Failed to get season games', {
@@ -337,9 +325,7 @@ class HistoricalGameRepository extends BaseRepository {
           processed_at = excluded.processed_at
       `;
 
-      const gameDate = game.game_date instanceof Date 
-        ? game.game_date.toISOString().split('T')[0]
-        : game.game_date;
+      const gameDate = toDateString(game.game_date);
 
       const params = [
         game.game_id || game.espn_game_id, // Use game_id or espn_game_id as the id
@@ -376,39 +362,6 @@ class HistoricalGameRepository extends BaseRepository {
     }
   }
 
-  /**
-   * Get games by date range (without sport filter for reconciliation)
-   * @param {Date} startDate - Start date
-   * @param {Date} endDate - End date
-   * @returns {Promise<Array>}
-   */
-  async getGamesByDateRange(startDate, endDate) {
-    try {
-      const start = startDate instanceof Date 
-        ? startDate.toISOString().split('T')[0]
-        : startDate;
-      const end = endDate instanceof Date 
-        ? endDate.toISOString().split('T')[0]
-        : endDate;
-
-      const sql = `
-        SELECT * FROM historical_games
-        WHERE game_date >= ? AND game_date <= ?
-        ORDER BY game_date ASC
-      `;
-
-      const games = await this.db.all(sql, [start, end]);
-      return games.map(game => this._toCamelCase(game));
-    } catch (error) {
-      logger.error('Failed to get games by date range', {
-        startDate,
-        endDate,
-        error: error.message
-      });
-      throw error;
-    }
-  }
-
   /**
    * Update transition probabilities for a game
    * @param {string} gameId - Game ID
@@ -417,15 +370,7 @@ class HistoricalGameRepository extends BaseRepository {
    */
   async updateTransitionProbabilities(gameId, probabilities) {
     try {
-      const probabilitiesJson = JSON.stringify(probabilities);
-
-      const sql = `
-        UPDATE historical_games
-        SET transition_probabilities = ?
-        WHERE id = ?
-      `;
-
-      await this.db.run(sql, [probabilitiesJson, gameId]);
+      await this.update(gameId, { transition_probabilities: JSON.stringify(probabilities) });
 
       logger.info('Updated transition probabilities', {
         gameId
@@ -446,16 +391,11 @@ class HistoricalGameRepository extends BaseRepository {
    */
   async getGamesNeedingTransitionProbabilities(limit = 100) {
     try {
-      const sql = `
-        SELECT * FROM historical_games
-        WHERE has_play_by_play = 1
-          AND statbroadcast_game_id IS NOT NULL
-          AND transition_probabilities IS NULL
-        ORDER BY game_date ASC
-        LIMIT ?
-      `;
-
-      const games = await this.db.all(sql, [limit]);
+      const games = await this.findBy({
+        has_play_by_play: 1,
+        statbroadcast_game_id: { isNull: false },
+        transition_probabilities: { isNull: true }
+      }, 'game_date ASC', limit);
       return games.map(game => this._toCamelCase(game));
     } catch (error) {
       logger.error('Failed to get games needing transition probabilities', {
@@ -472,14 +412,7 @@ class HistoricalGameRepository extends BaseRepository {
    */
   async getGamesWithTransitionProbabilities(limit = 100) {
     try {
-      const sql = `
-        SELECT * FROM historical_games
-        WHERE transition_probabilities IS NOT NULL
-        ORDER BY game_date DESC
-        LIMIT ?
-      `;
-
-      const games = await this.db.all(sql, [limit]);
+      const games = await this.findBy({ transition_probabilities: { isNull: false } }, 'game_date DESC', limit);
       return games.map(game => {
         const camelGame = this._toCamelCase(game);
         // Parse transition probabilities JSON
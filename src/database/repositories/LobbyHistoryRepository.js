@@ -0,0 +1,246 @@
+const BaseRepository = require('./BaseRepository');
+
+/**
+ * SQL for a stint's voice seconds, including a voice visit still in progress.
+ * Takes the current time as its first parameter.
+ * @param {string} [alias] - Table alias for lobby_session_members
+ */
+const voiceSecondsSql = (alias = 'm') => {
+  const column = alias ? `${alias}.` : '';
+  return `(${column}voice_seconds + CASE WHEN ${column}voice_joined_at IS NOT NULL
+    THEN CAST((julianday(?) - julianday(${column}voice_joined_at)) * 86400 AS INTEGER) ELSE 0 END)`;
+};
+
+/**
+ * Repository for lobby session history
+ * A session covers one period a lobby was open. Members get a row per stint
+ * (join to leave), and voice time accumulates on their open stint.
+ */
+class LobbyHistoryRepository extends BaseRepository {
+  constructor() {
+    super('lobby_sessions');
+  }
+
+  /**
+   * Open a session for a lobby and record its current members as joined
+   * @param {Lobby} lobby - The lobby that just opened
+   * @returns {Promise<number>} - Session ID
+   */
+  async startSession(lobby, at = new Date()) {
+    const startedAt = at.toISOString();
+
+    // A lobby can only have one open session
+    await this.endSession(lobby.id, 'disbanded', at);
+
+    const result = await this.create({
+      lobby_id: lobby.id,
+      guild_id: lobby.guildId,
+      leader_id: lobby.leaderId,
+      game_type: lobby.gameType,
+      started_at: startedAt
+    });
+
+    for (const userId of lobby.getMemberIds()) {
+      await this.recordJoin(lobby.id, userId, at);
+    }
+
+    return result.lastID;
+  }
+
+  /**
+   * Get the open session for a lobby
+   * @param {string} lobbyId - Lobby ID
+   * @returns {Promise<Object|null>} - Session row
+   */
+  async getOpenSession(lobbyId) {
+    return await this.where({ lobby_id: lobbyId, ended_at: { isNull: true } }).orderBy('id', 'DESC').first();
+  }
+
+  /**
+   * Record a member joining an open lobby
+   * @returns {Promise<boolean>} - False if the lobby has no open session or the member is already in it
+   */
+  async recordJoin(lobbyId, userId, at = new Date()) {
+    const session = await this.getOpenSession(lobbyId);
+    if (!session) {
+      return false;
+    }
+
+    const openStint = await this.db.get(
+      'SELECT id FROM lobby_session_members WHERE session_id = ? AND user_id = ? AND left_at IS NULL',
+      [session.id, userId]
+    );
+    if (openStint) {
+      return false;
+    }
+
+    await this.db.run(
+      'INSERT INTO lobby_session_members (session_id, user_id, joined_at) VALUES (?, ?, ?)',
+      [session.id, userId, at.toISOString()]
+    );
+    return true;
+  }
+
+  /**
+   * Record a member leaving, closing any voice time in progress
+   */
+  async recordLeave(lobbyId, userId, at = new Date()) {
+    const session = await this.getOpenSession(lobbyId);
+    if (!session) {
+      return false;
+    }
+
+    await this.recordVoiceLeave(lobbyId, userId, at);
+
+    const result = await this.db.run(
+      'UPDATE lobby_session_members SET left_at = ? WHERE session_id = ? AND user_id = ? AND left_at IS NULL',
+      [at.toISOString(), session.id, userId]
+    );
+    return result.changes > 0;
+  }
+
+  /**
+   * Start counting voice time for a member in the lobby's voice channel
+   */
+  async recordVoiceJoin(lobbyId, userId, at = new Date()) {
+    const session = await this.getOpenSession(lobbyId);
+    if (!session) {
+      return false;
+    }
+
+    const result = await this.db.run(
+      `UPDATE lobby_session_members SET voice_joined_at = ?
+       WHERE session_id = ? AND user_id = ? AND left_at IS NULL AND voice_joined_at IS NULL`,
+      [at.toISOString(), session.id, userId]
+    );
+    return result.changes > 0;
+  }
+
+  /**
+   * Stop counting voice time for a member
+   */
+  async recordVoiceLeave(lobbyId, userId, at = new Date()) {
+    const session = await this.getOpenSession(lobbyId);
+    if (!session) {
+      return false;
+    }
+
+    const result = await this.db.run(
+      `UPDATE lobby_session_members
+       SET voice_seconds = ${voiceSecondsSql(null)}, voice_joined_at = NULL
+       WHERE session_id = ? AND user_id = ? AND left_at IS NULL AND voice_joined_at IS NOT NULL`,
+      [at.toISOString(), session.id, userId]
+    );
+    return result.changes > 0;
+  }
+
+  /**
+   * Close a lobby's open session and every stint still in it
+   * @param {string} lobbyId - Lobby ID
+   * @param {string} outcome - 'disbanded', 'expired' or 'emptied'
+   */
+  async endSession(lobbyId, outcome, at = new Date()) {
+    const session = await this.getOpenSession(lobbyId);
+    if (!session) {
+      return false;
+    }
+
+    const endedAt = at.toISOString();
+
+    await this.db.run(
+      `UPDATE lobby_session_members
+       SET voice_seconds = ${voiceSecondsSql(null)}, voice_joined_at = NULL
+       WHERE session_id = ? AND voice_joined_at IS NOT NULL`,
+      [endedAt, session.id]
+    );
+    await this.db.run(
+      'UPDATE lobby_session_members SET left_at = ? WHERE session_id = ? AND left_at IS NULL',
+      [endedAt, session.id]
+    );
+    await this.update(session.id, { ended_at: endedAt, outcome });
+
+    return true;
+  }
+
+  /**
+   * Get a user's totals in a guild
+   * @returns {Promise<{sessions: number, voice_seconds: number}>}
+   */
+  async getUserTotals(guildId, userId, now = new Date()) {
+    const row = await this.db.get(
+      `SELECT COUNT(DISTINCT s.id) AS sessions, COALESCE(SUM(${voiceSecondsSql()}), 0) AS voice_seconds
+       FROM lobby_session_members m
+       INNER JOIN lobby_sessions s ON s.id = m.session_id
+       WHERE s.guild_id = ? AND m.user_id = ?`,
+      [now.toISOString(), guildId, userId]
+    );
+    return row || { sessions: 0, voice_seconds: 0 };
+  }
+
+  /**
+   * Get a user's most-played games, by voice time then session count
+   */
+  async getUserGameStats(guildId, userId, limit = 5, now = new Date()) {
+    return await this.query(
+      `SELECT MIN(s.game_type) AS game_type, COUNT(DISTINCT s.id) AS sessions,
+              COALESCE(SUM(${voiceSecondsSql()}), 0) AS voice_seconds
+       FROM lobby_session_members m
+       INNER JOIN lobby_sessions s ON s.id = m.session_id
+       WHERE s.guild_id = ? AND m.user_id = ?
+       GROUP BY s.game_type COLLATE NOCASE
+       ORDER BY voice_seconds DESC, sessions DESC
+       LIMIT ?`,
+      [now.toISOString(), guildId, userId, limit]
+    );
+  }
+
+  /**
+   * Get the users who most often shared a lobby session with a user
+   */
+  async getFrequentTeammates(guildId, userId, limit = 5) {
+    return await this.query(
+      `SELECT other.user_id, COUNT(DISTINCT me.session_id) AS shared_sessions
+       FROM lobby_session_members me
+       INNER JOIN lobby_sessions s ON s.id = me.session_id
+       INNER JOIN lobby_session_members other ON other.session_id = me.session_id AND other.user_id != me.user_id
+       WHERE s.guild_id = ? AND me.user_id = ?
+       GROUP BY other.user_id
+       ORDER BY shared_sessions DESC
+       LIMIT ?`,
+      [guildId, userId, limit]
+    );
+  }
+
+  /**
+   * Get the guild's most active players by voice time
+   */
+  async getGuildLeaderboard(guildId, limit = 10, now = new Date()) {
+    return await this.query(
+      `SELECT m.user_id, COUNT(DISTINCT s.id) AS sessions, COALESCE(SUM(${voiceSecondsSql()}), 0) AS voice_seconds
+       FROM lobby_session_members m
+       INNER JOIN lobby_sessions s ON s.id = m.session_id
+       WHERE s.guild_id = ?
+       GROUP BY m.user_id
+       ORDER BY voice_seconds DESC, sessions DESC
+       LIMIT ?`,
+      [now.toISOString(), guildId, limit]
+    );
+  }
+
+  /**
+   * Get the guild's most-played games
+   */
+  async getGuildTopGames(guildId, limit = 5) {
+    return await this.query(
+      `SELECT MIN(game_type) AS game_type, COUNT(*) AS sessions
+       FROM ${this.tableName}
+       WHERE guild_id = ?
+       GROUP BY game_type COLLATE NOCASE
+       ORDER BY sessions DESC
+       LIMIT ?`,
+      [guildId, limit]
+    );
+  }
+}
+
+module.exports = LobbyHistoryRepository;
@@ -1,19 +1,22 @@
 const BaseRepository = require('./BaseRepository');
 const Lobby = require('../models/Lobby');
+const LobbyHistoryRepository = require('./LobbyHistoryRepository');
 
 /**
  * Repository for lobby operations
+ * Lifecycle changes (open, join, leave, close) are mirrored into the session history
  */
 class LobbyRepository extends BaseRepository {
   constructor() {
     super('lobbies');
+    this.historyRepo = new LobbyHistoryRepository();
   }
 
   /**
    * Create a new lobby
    */
-  async createLobby(guildId, leaderId, gameType, durationMinutes = null) {
-    const lobby = Lobby.create(guildId, leaderId, gameType, durationMinutes);
+  async createLobby(guildId, leaderId, gameType, durationMinutes = null, maxPlayers = null) {
+    const lobby = Lobby.create(guildId, leaderId, gameType, durationMinutes, maxPlayers);
     
     const validation = lobby.validate();
     if (!validation.isValid) {
@@ -26,6 +29,28 @@ class LobbyRepository extends BaseRepository {
     // Add leader as first member
     await this.addMember(lobby.id, leaderId);
 
+    await this.historyRepo.startSession(lobby);
+
+    return lobby;
+  }
+
+  /**
+   * Create a lobby that opens at a future start time
+   */
+  async createScheduledLobby(guildId, leaderId, gameType, scheduledStart, maxPlayers = null) {
+    const lobby = Lobby.createScheduled(guildId, leaderId, gameType, scheduledStart, maxPlayers);
+
+    const validation = lobby.validate();
+    if (!validation.isValid) {
+      throw new Error(`Invalid lobby data: ${validation.errors.join(', ')}`);
+    }
+
+    await this.create(lobby.toDatabase());
+    await this.addMember(lobby.id, leaderId);
+
+    // The leader is implicitly going
+    await this.setRsvp(lobby.id, leaderId, 'going');
+
     return lobby;
   }
 
@@ -41,8 +66,7 @@ class LobbyRepository extends BaseRepository {
     const lobby = new Lobby(lobbyRow);
     
     // Load members
-    const members = await this.getLobbyMembers(lobbyId);
-    lobby.members = new Set(members.map(m => m.user_id));
+    await this.loadMembers(lobby);
 
     return lobby;
   }
@@ -67,8 +91,7 @@ class LobbyRepository extends BaseRepository {
       }
 
       // Load members
-      const members = await this.getLobbyMembers(lobby.id);
-      lobby.members = new Set(members.map(m => m.user_id));
+      await this.loadMembers(lobby);
       
       lobbies.push(lobby);
     }
@@ -90,8 +113,7 @@ class LobbyRepository extends BaseRepository {
       const lobby = new Lobby(row);
       
       if (!lobby.isExpired()) {
-        const members = await this.getLobbyMembers(lobby.id);
-        lobby.members = new Set(members.map(m => m.user_id));
+        await this.loadMembers(lobby);
         lobbies.push(lobby);
       }
     }
@@ -117,8 +139,7 @@ class LobbyRepository extends BaseRepository {
       const lobby = new Lobby(row);
       
       if (!lobby.isExpired()) {
-        const members = await this.getLobbyMembers(lobby.id);
-        lobby.members = new Set(members.map(m => m.user_id));
+        await this.loadMembers(lobby);
         lobbies.push(lobby);
       }
     }
@@ -135,6 +156,7 @@ class LobbyRepository extends BaseRepository {
         'INSERT OR IGNORE INTO lobby_members (lobby_id, user_id) VALUES (?, ?)',
         [lobbyId, userId]
       );
+      await this.historyRepo.recordJoin(lobbyId, userId);
       return true;
     } catch (error) {
       throw new Error(`Failed to add member to lobby: ${error.message}`);
@@ -150,6 +172,7 @@ class LobbyRepository extends BaseRepository {
         'DELETE FROM lobby_members WHERE lobby_id = ? AND user_id = ?',
         [lobbyId, userId]
       );
+      await this.historyRepo.recordLeave(lobbyId, userId);
       return result.changes > 0;
     } catch (error) {
       throw new Error(`Failed to remove member from lobby: ${error.message}`);
@@ -166,6 +189,29 @@ class LobbyRepository extends BaseRepository {
     );
   }
 
+  /**
+   * Load members and co-leaders onto a lobby instance
+   */
+  async loadMembers(lobby) {
+    const members = await this.getLobbyMembers(lobby.id);
+    lobby.members = new Set(members.map(m => m.user_id));
+    lobby.coLeaders = new Set(
+      members.filter(m => m.role === 'co_leader').map(m => m.user_id)
+    );
+    return lobby;
+  }
+
+  /**
+   * Set a member's role ('member' or 'co_leader')
+   */
+  async setMemberRole(lobbyId, userId, role) {
+    const result = await this.db.run(
+      'UPDATE lobby_members SET role = ? WHERE lobby_id = ? AND user_id = ?',
+      [role, lobbyId, userId]
+    );
+    return result.changes > 0;
+  }
+
   /**
    * Update lobby voice channel
    */
@@ -173,6 +219,20 @@ class LobbyRepository extends BaseRepository {
     return await this.update(lobbyId, { voice_channel_id: voiceChannelId });
   }
 
+  /**
+   * Mark a lobby as public (mirrored into partner guild catalogs) or not
+   */
+  async setPublic(lobbyId, isPublic) {
+    return await this.update(lobbyId, { is_public: isPublic ? 1 : 0 });
+  }
+
+  /**
+   * Update lobby companion text channel
+   */
+  async updateTextChannel(lobbyId, textChannelId) {
+    return await this.update(lobbyId, { text_channel_id: textChannelId });
+  }
+
   /**
    * Transfer lobby leadership
    */
@@ -183,19 +243,26 @@ class LobbyRepository extends BaseRepository {
     }
 
     await this.update(lobbyId, { leader_id: newLeaderId });
+
+    // The leader role lives on the lobby row, so a promoted co-leader goes back to a plain member entry
+    await this.setMemberRole(lobbyId, newLeaderId, 'member');
     return true;
   }
 
   /**
    * Disband lobby
+   * @param {string} [outcome] - History outcome: 'disbanded' by a leader or 'emptied' when everyone left
    */
-  async disbandLobby(lobbyId) {
+  async disbandLobby(lobbyId, outcome = 'disbanded') {
     await this.update(lobbyId, { 
       status: 'disbanded'
     });
 
-    // Remove all members
+    await this.historyRepo.endSession(lobbyId, outcome);
+
+    // Remove all members and anyone still waiting for a slot
     await this.db.run('DELETE FROM lobby_members WHERE lobby_id = ?', [lobbyId]);
+    await this.db.run('DELETE FROM lobby_waitlist WHERE lobby_id = ?', [lobbyId]);
     
     return true;
   }
@@ -208,6 +275,10 @@ class LobbyRepository extends BaseRepository {
       status: 'expired'
     });
 
+    await this.historyRepo.endSession(lobbyId, 'expired');
+
+    await this.db.run('DELETE FROM lobby_waitlist WHERE lobby_id = ?', [lobbyId]);
+
     return true;
   }
 
@@ -230,6 +301,45 @@ class LobbyRepository extends BaseRepository {
     return true;
   }
 
+  /**
+   * Get every active lobby across guilds (used to rebuild expiry timers)
+   */
+  async getAllActiveLobbies() {
+    const rows = await this.findBy({ status: 'active' }, 'created_at ASC');
+    return rows.map(row => new Lobby(row));
+  }
+
+  /**
+   * Record when the lobby voice channel became empty
+   */
+  async markVoiceEmpty(lobbyId, at = new Date()) {
+    return await this.update(lobbyId, { voice_empty_since: at.toISOString() });
+  }
+
+  /**
+   * Clear the empty-channel grace period once someone is back in voice
+   */
+  async clearVoiceEmpty(lobbyId) {
+    return await this.update(lobbyId, {
+      voice_empty_since: null,
+      empty_warning_sent_at: null
+    });
+  }
+
+  /**
+   * Record that the leader was warned about an upcoming empty-lobby disband
+   */
+  async markEmptyWarningSent(lobbyId, at = new Date()) {
+    return await this.update(lobbyId, { empty_warning_sent_at: at.toISOString() });
+  }
+
+  /**
+   * Move a lobby's expiry time
+   */
+  async setExpiresAt(lobbyId, expiresAt) {
+    return await this.update(lobbyId, { expires_at: expiresAt.toISOString() });
+  }
+
   /**
    * Get expired lobbies for cleanup
    */
@@ -265,6 +375,7 @@ class LobbyRepository extends BaseRepository {
       SELECT 
         COUNT(*) as total_lobbies,
         COUNT(CASE WHEN status = 'active' THEN 1 END) as active_lobbies,
+        COUNT(CASE WHEN status = 'scheduled' THEN 1 END) as scheduled_lobbies,
         COUNT(CASE WHEN status = 'completed' THEN 1 END) as completed_lobbies,
         COUNT(CASE WHEN status = 'disbanded' THEN 1 END) as disbanded_lobbies
       FROM ${this.tableName} 
@@ -283,6 +394,115 @@ class LobbyRepository extends BaseRepository {
     return activeLobbies.length < maxLobbiesPerUser;
   }
 
+  /**
+   * Get scheduled lobbies for a guild ordered by start time
+   */
+  async getScheduledLobbiesByGuild(guildId) {
+    const rows = await this.findBy(
+      { guild_id: guildId, status: 'scheduled' },
+      'scheduled_start ASC'
+    );
+
+    return rows.map(row => new Lobby(row));
+  }
+
+  /**
+   * Get scheduled lobbies led by a user
+   */
+  async getScheduledLobbiesByLeader(leaderId) {
+    const rows = await this.findBy(
+      { leader_id: leaderId, status: 'scheduled' },
+      'scheduled_start ASC'
+    );
+
+    return rows.map(row => new Lobby(row));
+  }
+
+  /**
+   * Get scheduled lobbies whose start time has been reached
+   */
+  async getDueScheduledLobbies(now = new Date()) {
+    const rows = await this.findBy(
+      { status: 'scheduled', scheduled_start: { lte: now.toISOString() } },
+      'scheduled_start ASC'
+    );
+
+    return rows.map(row => new Lobby(row));
+  }
+
+  /**
+   * Get scheduled lobbies starting before the cutoff that have not had reminders sent
+   */
+  async getLobbiesNeedingReminder(cutoff) {
+    const rows = await this.findBy(
+      { status: 'scheduled', reminder_sent_at: { isNull: true }, scheduled_start: { lte: cutoff.toISOString() } },
+      'scheduled_start ASC'
+    );
+
+    return rows.map(row => new Lobby(row));
+  }
+
+  /**
+   * Record that start reminders were sent for a scheduled lobby
+   */
+  async markReminderSent(lobbyId) {
+    return await this.update(lobbyId, { reminder_sent_at: new Date().toISOString() });
+  }
+
+  /**
+   * Open a scheduled lobby and attach its voice channel
+   */
+  async activateScheduledLobby(lobbyId, voiceChannelId = null) {
+    const result = await this.update(lobbyId, {
+      status: 'active',
+      voice_channel_id: voiceChannelId
+    });
+
+    const lobby = await this.getLobbyById(lobbyId);
+    if (lobby) {
+      await this.historyRepo.startSession(lobby);
+    }
+
+    return result;
+  }
+
+  /**
+   * Store where the lobby's catalog post lives so it can be edited after a restart
+   */
+  async updateCatalogMessage(lobbyId, channelId, messageId) {
+    return await this.update(lobbyId, {
+      catalog_channel_id: channelId,
+      catalog_message_id: messageId
+    });
+  }
+
+  /**
+   * Record or change a user's RSVP for a scheduled lobby
+   */
+  async setRsvp(lobbyId, userId, response) {
+    try {
+      await this.db.run(
+        `INSERT INTO lobby_rsvps (lobby_id, user_id, response, responded_at)
+         VALUES (?, ?, ?, ?)
+         ON CONFLICT(lobby_id, user_id) DO UPDATE SET response = excluded.response, responded_at = excluded.responded_at`,
+        [lobbyId, userId, response, new Date().toISOString()]
+      );
+      return true;
+    } catch (error) {
+      throw new Error(`Failed to record RSVP: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get RSVPs for a lobby
+   */
+  async getRsvps(lobbyId) {
+    return await this.db.all(
+      'SELECT * FROM lobby_rsvps WHERE lobby_id = ? ORDER BY responded_at',
+      [lobbyId]
+    );
+  }
+
   /**
    * Get lobby by voice channel ID
    */
@@ -297,8 +517,7 @@ class LobbyRepository extends BaseRepository {
     }
 
     const lobby = new Lobby(row);
-    const members = await this.getLobbyMembers(lobby.id);
-    lobby.members = new Set(members.map(m => m.user_id));
+    await this.loadMembers(lobby);
 
     return lobby;
   }
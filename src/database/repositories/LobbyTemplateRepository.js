@@ -0,0 +1,98 @@
+const BaseRepository = require('./BaseRepository');
+const LobbyTemplate = require('../models/LobbyTemplate');
+
+/**
+ * Repository for saved lobby templates
+ */
+class LobbyTemplateRepository extends BaseRepository {
+  constructor() {
+    super('lobby_templates');
+  }
+
+  /**
+   * Get a template by ID
+   */
+  async getTemplateById(templateId) {
+    const row = await this.findById(templateId);
+    return row ? new LobbyTemplate(row) : null;
+  }
+
+  /**
+   * Find a template by name within one scope (ownerId null = shared guild template)
+   */
+  async getTemplateByName(guildId, ownerId, name) {
+    const row = await this.db.get(
+      `SELECT * FROM lobby_templates
+       WHERE guild_id = ? AND IFNULL(owner_id, '') = ? AND name = ? COLLATE NOCASE`,
+      [guildId, ownerId || '', name]
+    );
+    return row ? new LobbyTemplate(row) : null;
+  }
+
+  /**
+   * Create or replace a template with the same name in the same scope
+   */
+  async saveTemplate(template) {
+    const validation = template.validate();
+    if (!validation.isValid) {
+      throw new Error(`Invalid lobby template: ${validation.errors.join(', ')}`);
+    }
+
+    const existing = await this.getTemplateByName(template.guildId, template.ownerId, template.name);
+
+    if (existing) {
+      await this.update(existing.id, {
+        ...template.toDatabase(),
+        updated_at: new Date().toISOString()
+      });
+      template.id = existing.id;
+    } else {
+      const result = await this.create(template.toDatabase());
+      template.id = result.lastID;
+    }
+
+    return template;
+  }
+
+  /**
+   * Get a user's personal templates in a guild
+   */
+  async getUserTemplates(guildId, userId) {
+    const rows = await this.findBy({ guild_id: guildId, owner_id: userId }, 'name COLLATE NOCASE ASC');
+    return rows.map(row => new LobbyTemplate(row));
+  }
+
+  /**
+   * Get templates shared with the whole guild
+   */
+  async getSharedTemplates(guildId) {
+    const rows = await this.findBy({ guild_id: guildId, owner_id: { isNull: true } }, 'name COLLATE NOCASE ASC');
+    return rows.map(row => new LobbyTemplate(row));
+  }
+
+  /**
+   * Get every template a user can use: their own first, then shared ones
+   */
+  async getAvailableTemplates(guildId, userId) {
+    const personal = await this.getUserTemplates(guildId, userId);
+    const shared = await this.getSharedTemplates(guildId);
+    return [...personal, ...shared];
+  }
+
+  /**
+   * Count a user's personal templates in a guild
+   */
+  async countUserTemplates(guildId, userId) {
+    return await this.count({ guild_id: guildId, owner_id: userId });
+  }
+
+  /**
+   * Delete a template by ID
+   */
+  async deleteTemplate(templateId) {
+    const result = await this.delete(templateId);
+    return result.changes > 0;
+  }
+}
+
+module.exports = LobbyTemplateRepository;
@@ -0,0 +1,128 @@
+const BaseRepository = require('./BaseRepository');
+
+/**
+ * Repository for lobby waitlist operations
+ * Entries are ordered by their auto-increment ID, which preserves queue order
+ */
+class LobbyWaitlistRepository extends BaseRepository {
+  constructor() {
+    super('lobby_waitlist');
+  }
+
+  /**
+   * Add a user to the end of a lobby's waitlist
+   * @param {string} lobbyId - Lobby ID
+   * @param {string} userId - User ID
+   * @returns {Promise<boolean>} - False if the user was already waiting
+   */
+  async addToWaitlist(lobbyId, userId) {
+    const result = await this.db.run(
+      'INSERT OR IGNORE INTO lobby_waitlist (lobby_id, user_id, queued_at) VALUES (?, ?, ?)',
+      [lobbyId, userId, new Date().toISOString()]
+    );
+    return result.changes > 0;
+  }
+
+  /**
+   * Remove a user from a lobby's waitlist
+   * @param {string} lobbyId - Lobby ID
+   * @param {string} userId - User ID
+   * @returns {Promise<boolean>} - Whether an entry was removed
+   */
+  async removeFromWaitlist(lobbyId, userId) {
+    const result = await this.deleteBy({ lobby_id: lobbyId, user_id: userId });
+    return result.changes > 0;
+  }
+
+  /**
+   * Get a user's waitlist entry
+   * @param {string} lobbyId - Lobby ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>} - Waitlist entry
+   */
+  async getEntry(lobbyId, userId) {
+    return await this.findOneBy({ lobby_id: lobbyId, user_id: userId });
+  }
+
+  /**
+   * Get the full waitlist for a lobby in queue order
+   * @param {string} lobbyId - Lobby ID
+   * @returns {Promise<Array>} - Waitlist entries
+   */
+  async getWaitlist(lobbyId) {
+    return await this.findBy({ lobby_id: lobbyId }, 'id ASC');
+  }
+
+  /**
+   * Get a user's 1-based position in the queue (null if not waiting)
+   * @param {string} lobbyId - Lobby ID
+   * @param {string} userId - User ID
+   * @returns {Promise<number|null>} - Queue position
+   */
+  async getPosition(lobbyId, userId) {
+    const entry = await this.getEntry(lobbyId, userId);
+    if (!entry) {
+      return null;
+    }
+
+    const result = await this.db.get(
+      'SELECT COUNT(*) as position FROM lobby_waitlist WHERE lobby_id = ? AND id <= ?',
+      [lobbyId, entry.id]
+    );
+    return result.position;
+  }
+
+  /**
+   * Get the next user waiting for a slot
+   * @param {string} lobbyId - Lobby ID
+   * @returns {Promise<Object|null>} - Waitlist entry
+   */
+  async getNextWaiting(lobbyId) {
+    const rows = await this.findBy({ lobby_id: lobbyId, status: 'waiting' }, 'id ASC', 1);
+    return rows.length > 0 ? rows[0] : null;
+  }
+
+  /**
+   * Get the outstanding slot offer for a lobby
+   * @param {string} lobbyId - Lobby ID
+   * @returns {Promise<Object|null>} - Waitlist entry with an open offer
+   */
+  async getActiveOffer(lobbyId) {
+    return await this.findOneBy({ lobby_id: lobbyId, status: 'offered' });
+  }
+
+  /**
+   * Mark a waitlist entry as offered a slot
+   * @param {number} entryId - Waitlist entry ID
+   * @param {Date} expiresAt - When the offer lapses
+   */
+  async markOffered(entryId, expiresAt) {
+    return await this.update(entryId, {
+      status: 'offered',
+      offered_at: new Date().toISOString(),
+      offer_expires_at: expiresAt.toISOString()
+    });
+  }
+
+  /**
+   * Get offers that lapsed without a response
+   * @param {Date} now - Reference time
+   * @returns {Promise<Array>} - Expired offer entries
+   */
+  async getExpiredOffers(now = new Date()) {
+    return await this.query(
+      `SELECT * FROM ${this.tableName} WHERE status = 'offered' AND offer_expires_at <= ? ORDER BY id ASC`,
+      [now.toISOString()]
+    );
+  }
+
+  /**
+   * Remove every waitlist entry for a lobby
+   * @param {string} lobbyId - Lobby ID
+   */
+  async clearWaitlist(lobbyId) {
+    return await this.db.run('DELETE FROM lobby_waitlist WHERE lobby_id = ?', [lobbyId]);
+  }
+}
+
+module.exports = LobbyWaitlistRepository;
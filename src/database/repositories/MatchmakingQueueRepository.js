@@ -0,0 +1,141 @@
+const BaseRepository = require('./BaseRepository');
+
+/**
+ * Repository for the per-game matchmaking queue
+ * Entries are ordered by their auto-increment ID, which preserves queue order
+ */
+class MatchmakingQueueRepository extends BaseRepository {
+  constructor() {
+    super('matchmaking_queue');
+  }
+
+  /**
+   * Put a user in a game's queue, replacing any entry they have in the guild
+   * @param {Object} entry - guildId, userId, gameType, rank, role, groupSize, expiresAt
+   * @returns {Promise<Object>} - The stored queue entry
+   */
+  async enqueue({ guildId, userId, gameType, rank = null, role = null, groupSize, expiresAt }) {
+    await this.deleteBy({ guild_id: guildId, user_id: userId });
+
+    const result = await this.create({
+      guild_id: guildId,
+      user_id: userId,
+      game_type: gameType,
+      rank,
+      role,
+      group_size: groupSize,
+      status: 'waiting',
+      queued_at: new Date().toISOString(),
+      expires_at: expiresAt
+    });
+
+    return await this.findById(result.lastID);
+  }
+
+  /**
+   * Get a user's queue entry in a guild (waiting or expired)
+   * @param {string} guildId - Guild ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>} - Queue entry
+   */
+  async getEntry(guildId, userId) {
+    return await this.findOneBy({ guild_id: guildId, user_id: userId });
+  }
+
+  /**
+   * Get everyone waiting for a game in queue order
+   * @param {string} guildId - Guild ID
+   * @param {string} gameType - Game name (case-insensitive)
+   * @returns {Promise<Array>} - Waiting queue entries
+   */
+  async getWaitingForGame(guildId, gameType) {
+    return await this.query(
+      `SELECT * FROM ${this.tableName}
+       WHERE guild_id = ? AND status = 'waiting' AND game_type = ? COLLATE NOCASE
+       ORDER BY id ASC`,
+      [guildId, gameType]
+    );
+  }
+
+  /**
+   * Get the distinct games with players waiting
+   * @returns {Promise<Array<{guild_id: string, game_type: string}>>}
+   */
+  async getQueuedGames() {
+    return await this.query(
+      `SELECT guild_id, MIN(game_type) AS game_type FROM ${this.tableName}
+       WHERE status = 'waiting'
+       GROUP BY guild_id, game_type COLLATE NOCASE`
+    );
+  }
+
+  /**
+   * Get waiting entries whose queue time has run out
+   * @param {Date} now - Current time
+   * @returns {Promise<Array>} - Timed-out entries
+   */
+  async getTimedOutEntries(now = new Date()) {
+    return await this.findBy({ status: 'waiting', expires_at: { lte: now.toISOString() } }, 'id ASC');
+  }
+
+  /**
+   * Mark an entry as timed out
+   * @param {number} entryId - Queue entry ID
+   */
+  async markExpired(entryId) {
+    return await this.update(entryId, { status: 'expired' });
+  }
+
+  /**
+   * Put a timed-out entry back in the queue at the end of the line
+   * @param {number} entryId - Queue entry ID
+   * @param {string} expiresAt - New timeout
+   * @returns {Promise<Object|null>} - The requeued entry
+   */
+  async requeue(entryId, expiresAt) {
+    const entry = await this.findById(entryId);
+    if (!entry) {
+      return null;
+    }
+
+    return await this.enqueue({
+      guildId: entry.guild_id,
+      userId: entry.user_id,
+      gameType: entry.game_type,
+      rank: entry.rank,
+      role: entry.role,
+      groupSize: entry.group_size,
+      expiresAt
+    });
+  }
+
+  /**
+   * Remove a user from the queue
+   * @param {string} guildId - Guild ID
+   * @param {string} userId - User ID
+   * @returns {Promise<boolean>} - Whether an entry was removed
+   */
+  async removeEntry(guildId, userId) {
+    const result = await this.deleteBy({ guild_id: guildId, user_id: userId });
+    return result.changes > 0;
+  }
+
+  /**
+   * Remove matched entries
+   * @param {number[]} entryIds - Queue entry IDs
+   */
+  async removeEntries(entryIds) {
+    if (entryIds.length === 0) {
+      return 0;
+    }
+
+    const placeholders = entryIds.map(() => '?').join(', ');
+    const result = await this.db.run(
+      `DELETE FROM ${this.tableName} WHERE id IN (${placeholders})`,
+      entryIds
+    );
+    return result.changes;
+  }
+}
+
+module.exports = MatchmakingQueueRepository;
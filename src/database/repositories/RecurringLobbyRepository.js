@@ -0,0 +1,97 @@
+const BaseRepository = require('./BaseRepository');
+const RecurringLobby = require('../models/RecurringLobby');
+
+/**
+ * Repository for recurring lobby series
+ */
+class RecurringLobbyRepository extends BaseRepository {
+  constructor() {
+    super('recurring_lobbies');
+  }
+
+  /**
+   * Create a new series
+   */
+  async createSeries(series) {
+    const validation = series.validate();
+    if (!validation.isValid) {
+      throw new Error(`Invalid recurring lobby: ${validation.errors.join(', ')}`);
+    }
+
+    const result = await this.create(series.toDatabase());
+    series.id = result.lastID;
+    return series;
+  }
+
+  /**
+   * Get a series by ID
+   */
+  async getSeriesById(seriesId) {
+    const row = await this.findById(seriesId);
+    return row ? new RecurringLobby(row) : null;
+  }
+
+  /**
+   * Get every series that should have a cron job
+   */
+  async getActiveSeries() {
+    const rows = await this.findBy({ status: 'active' }, 'id ASC');
+    return rows.map(row => new RecurringLobby(row));
+  }
+
+  /**
+   * Get all series in a guild
+   */
+  async getSeriesByGuild(guildId) {
+    const rows = await this.findBy({ guild_id: guildId }, 'id ASC');
+    return rows.map(row => new RecurringLobby(row));
+  }
+
+  /**
+   * Count series led by a user in a guild
+   */
+  async countSeriesByLeader(guildId, leaderId) {
+    return await this.count({ guild_id: guildId, leader_id: leaderId });
+  }
+
+  /**
+   * Pause or resume a series
+   */
+  async setStatus(seriesId, status) {
+    return await this.update(seriesId, {
+      status,
+      updated_at: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Set how many upcoming occurrences to skip
+   */
+  async setSkipCount(seriesId, skipCount) {
+    return await this.update(seriesId, {
+      skip_count: skipCount,
+      updated_at: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Record a completed occurrence
+   */
+  async recordRun(seriesId, lobbyId) {
+    return await this.update(seriesId, {
+      last_run_at: new Date().toISOString(),
+      last_lobby_id: lobbyId,
+      updated_at: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Delete a series
+   */
+  async deleteSeries(seriesId) {
+    const result = await this.delete(seriesId);
+    return result.changes > 0;
+  }
+}
+
+module.exports = RecurringLobbyRepository;
@@ -1,5 +1,6 @@
 const BaseRepository = require('./BaseRepository');
 const ServerConfig = require('../models/ServerConfig');
+const { getDefaultTimezone } = require('../../utils/timezone');
 
 /**
  * Repository for server configuration operations
@@ -72,6 +73,84 @@ class ServerConfigRepository extends BaseRepository {
     return await this.saveConfig(config);
   }
 
+  /**
+   * Set or clear the betting forum channel for a sport
+   */
+  async setBettingForum(guildId, sport, channelId) {
+    const config = await this.getByGuildId(guildId) || new ServerConfig({ guildId });
+    config.setBettingForum(sport, channelId);
+    return await this.saveConfig(config);
+  }
+
+  /**
+   * Get the betting forum channel for a guild and sport
+   */
+  async getBettingForum(guildId, sport) {
+    const config = await this.getByGuildId(guildId);
+    return config ? config.getBettingForum(sport) : null;
+  }
+
+  /**
+   * Set or clear the channel lobbies are listed in
+   */
+  async setLobbyCatalogChannel(guildId, channelId) {
+    const config = await this.getByGuildId(guildId) || new ServerConfig({ guildId });
+    config.lobbyCatalogChannelId = channelId;
+    return await this.saveConfig(config);
+  }
+
+  /**
+   * Set the guild's timezone
+   */
+  async setTimezone(guildId, timezone) {
+    const config = await this.getByGuildId(guildId) || new ServerConfig({ guildId });
+    config.timezone = timezone;
+    return await this.saveConfig(config);
+  }
+
+  /**
+   * Set the guild's default response language, or clear it with null
+   */
+  async setLocale(guildId, locale) {
+    const config = await this.getByGuildId(guildId) || new ServerConfig({ guildId });
+    config.locale = locale;
+    return await this.saveConfig(config);
+  }
+
+  /**
+   * Set the mod-log channel audit entries are mirrored to, or stop mirroring with null
+   */
+  async setAuditChannel(guildId, channelId) {
+    const config = await this.getByGuildId(guildId) || new ServerConfig({ guildId });
+    config.auditChannelId = channelId;
+    return await this.saveConfig(config);
+  }
+
+  /**
+   * Get the guild's timezone, or the bot default when none is set
+   */
+  async getTimezone(guildId) {
+    const config = await this.getByGuildId(guildId);
+    return config ? config.getTimezone() : getDefaultTimezone();
+  }
+
+  /**
+   * Get every timezone scheduled jobs need to cover: each one a guild picked, plus the default
+   */
+  async getTimezonesInUse() {
+    const rows = await this.query(`SELECT DISTINCT timezone FROM ${this.tableName} WHERE timezone IS NOT NULL`);
+    return [...new Set([getDefaultTimezone(), ...rows.map(row => row.timezone)])];
+  }
+
+  /**
+   * Record that an admin finished the /setup wizard
+   */
+  async markSetupComplete(guildId) {
+    const config = await this.getByGuildId(guildId) || new ServerConfig({ guildId });
+    config.setupCompletedAt = new Date().toISOString();
+    return await this.saveConfig(config);
+  }
+
   /**
    * Get all configured guilds
    */
@@ -84,15 +163,12 @@ class ServerConfigRepository extends BaseRepository {
    * Get guilds with sports channels configured
    */
   async getGuildsWithSportsChannels() {
-    const sql = `
-      SELECT * FROM ${this.tableName} 
-      WHERE nfl_channel_id IS NOT NULL 
-         OR nba_channel_id IS NOT NULL 
-         OR nhl_channel_id IS NOT NULL 
-         OR ncaa_channel_id IS NOT NULL
-    `;
-    
-    const rows = await this.query(sql);
+    const columns = [
+      'nfl_channel_id', 'nba_channel_id', 'nhl_channel_id',
+      'ncaa_channel_id', 'ncaa_basketball_channel_id', 'ncaa_football_channel_id'
+    ];
+
+    const rows = await this.findBy({ or: columns.map(column => ({ [column]: { isNull: false } })) });
     return rows.map(row => new ServerConfig(row));
   }
 
@@ -104,7 +180,9 @@ class ServerConfigRepository extends BaseRepository {
       nfl: 'nfl_channel_id',
       nba: 'nba_channel_id',
       nhl: 'nhl_channel_id',
-      ncaa: 'ncaa_channel_id'
+      ncaa: 'ncaa_channel_id',
+      ncaa_basketball: 'ncaa_basketball_channel_id',
+      ncaa_football: 'ncaa_football_channel_id'
     };
 
     const column = columnMap[league.toLowerCase()];
@@ -112,8 +190,7 @@ class ServerConfigRepository extends BaseRepository {
       throw new Error(`Invalid league: ${league}`);
     }
 
-    const sql = `SELECT * FROM ${this.tableName} WHERE ${column} IS NOT NULL`;
-    const rows = await this.query(sql);
+    const rows = await this.findBy({ [column]: { isNull: false } });
     return rows.map(row => new ServerConfig(row));
   }
 
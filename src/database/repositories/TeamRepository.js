@@ -29,20 +29,7 @@ class TeamRepository extends BaseRepository {
         existing = await this.getTeamByStatBroadcastGid(team.statbroadcastGid);
       }
 
-      const data = {
-        team_id: team.teamId,
-        statbroadcast_gid: team.statbroadcastGid,
-        team_name: team.teamName,
-        sport: team.sport || 'mens-college-basketball',
-        conference: team.conference || null,
-        statistical_representation: team.statisticalRepresentation 
-          ? JSON.stringify(team.statisticalRepresentation) 
-          : null,
-        player_roster: team.playerRoster 
-          ? JSON.stringify(team.playerRoster) 
-          : null,
-        updated_at: new Date().toISOString()
-      };
+      const data = this.mapObjectToRow(team);
 
       if (existing) {
         // Update existing team (use team_id as primary key)
@@ -60,6 +47,45 @@ class TeamRepository extends BaseRepository {
     }
   }
 
+  /**
+   * Insert teams that are not stored yet, in batches
+   * @param {Array<Object>} teams - Team data, as for saveTeam
+   * @returns {Promise<number>} - Teams inserted
+   */
+  async createTeams(teams) {
+    try {
+      return await this.createMany(teams.map(team => this.mapObjectToRow(team)));
+    } catch (error) {
+      logger.error('Failed to create teams', {
+        count: teams.length,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Map team data to a database row
+   * @param {Object} team - Team data
+   * @returns {Object} - Row for the teams table
+   */
+  mapObjectToRow(team) {
+    return {
+      team_id: team.teamId,
+      statbroadcast_gid: team.statbroadcastGid,
+      team_name: team.teamName,
+      sport: team.sport || 'mens-college-basketball',
+      conference: team.conference || null,
+      statistical_representation: team.statisticalRepresentation 
+        ? JSON.stringify(team.statisticalRepresentation) 
+        : null,
+      player_roster: team.playerRoster 
+        ? JSON.stringify(team.playerRoster) 
+        : null,
+      updated_at: new Date().toISOString()
+    };
+  }
+
   /**
    * Get team by ESPN ID
    * @param {string} espnId - ESPN team ID
@@ -560,14 +586,9 @@ class TeamRepository extends BaseRepository {
 
       // Load uncached teams from database
       if (uncachedIds.length > 0) {
-        const query = `
-          SELECT team_id, statistical_representation
-          FROM teams 
-          WHERE team_id IN (${uncachedIds.map(() => '?').join(',')})
-          AND statistical_representation IS NOT NULL
-        `;
-        
-        const rows = await this.db.all(query, uncachedIds);
+        const rows = await this.select('team_id', 'statistical_representation')
+          .where({ team_id: { in: uncachedIds }, statistical_representation: { isNull: false } })
+          .all();
         
         for (const row of rows) {
           try {
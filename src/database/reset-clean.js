@@ -10,43 +10,26 @@
  * - Reset all processed flags and training state
  */
 
-const fs = require('fs');
-const path = require('path');
 const dbConnection = require('./connection');
+const BackupManager = require('./BackupManager');
 const logger = require('../utils/logger');
-const config = require('../config');
 
 class DatabaseResetManager {
-  constructor() {
-    this.dbPath = config.database.path;
-    this.backupDir = path.join(path.dirname(this.dbPath), 'backups');
-  }
-
   /**
    * Create a backup of the current database
+   * @returns {Promise<string|null>} - Path of the backup, or null when there was nothing to back up
    */
   async createBackup() {
     try {
-      if (!fs.existsSync(this.dbPath)) {
+      const backup = await new BackupManager(dbConnection).createBefore('pre-reset');
+
+      if (!backup) {
         logger.info('No existing database to backup');
         return null;
       }
 
-      // Ensure backup directory exists
-      if (!fs.existsSync(this.backupDir)) {
-        fs.mkdirSync(this.backupDir, { recursive: true });
-        logger.info(`Created backup directory: ${this.backupDir}`);
-      }
-
-      // Create timestamped backup filename
-      const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-      const backupPath = path.join(this.backupDir, `bot.db.backup-${timestamp}`);
-
-      // Copy database file
-      fs.copyFileSync(this.dbPath, backupPath);
-      logger.info(`Database backed up to: ${backupPath}`);
-      
-      return backupPath;
+      logger.info(`Database backed up to: ${backup.path}`);
+      return backup.path;
     } catch (error) {
       logger.error('Failed to create database backup:', error);
       throw error;
@@ -61,18 +44,16 @@ class DatabaseResetManager {
       logger.info('Dropping all existing tables...');
 
       // Get list of all tables
-      const tables = await dbConnection.all(`
-        SELECT name FROM sqlite_master 
-        WHERE type='table' AND name NOT LIKE 'sqlite_%'
-      `);
+      const tables = await dbConnection.listTables();
 
-      // Disable foreign key constraints temporarily
+      // Disable foreign key constraints temporarily (Postgres drops dependents with CASCADE instead)
       await dbConnection.run('PRAGMA foreign_keys = OFF');
+      const cascade = dbConnection.dialect === 'postgres' ? ' CASCADE' : '';
 
       // Drop all tables
       for (const table of tables) {
-        await dbConnection.run(`DROP TABLE IF EXISTS ${table.name}`);
-        logger.info(`Dropped table: ${table.name}`);
+        await dbConnection.run(`DROP TABLE IF EXISTS ${table}${cascade}`);
+        logger.info(`Dropped table: ${table}`);
       }
 
       // Re-enable foreign key constraints
@@ -144,12 +125,12 @@ class DatabaseResetManager {
       // Clear team strength history
       await dbConnection.run('DELETE FROM team_strength_history');
 
-      // Reset betting thread status
+      // Close any active betting threads
       await dbConnection.run(`
         UPDATE betting_threads 
-        SET status = 'cancelled',
+        SET is_active = 0,
             updated_at = CURRENT_TIMESTAMP
-        WHERE status = 'active'
+        WHERE is_active = 1
       `);
 
       // Clear reconciliation log
@@ -177,22 +158,16 @@ class DatabaseResetManager {
         'team_strength_history', 'model_predictions', 'migrations'
       ];
 
-      const existingTables = await dbConnection.all(`
-        SELECT name FROM sqlite_master 
-        WHERE type='table' AND name NOT LIKE 'sqlite_%'
-        ORDER BY name
-      `);
-
-      const existingTableNames = existingTables.map(t => t.name);
+      const existingTableNames = await dbConnection.listTables();
       const missingTables = expectedTables.filter(t => !existingTableNames.includes(t));
 
       if (missingTables.length > 0) {
         throw new Error(`Missing expected tables: ${missingTables.join(', ')}`);
       }
 
-      // Verify foreign key constraints are enabled
-      const fkResult = await dbConnection.get('PRAGMA foreign_keys');
-      if (fkResult.foreign_keys !== 1) {
+      // Verify foreign key constraints are enabled (always on in Postgres)
+      const fkResult = dbConnection.dialect === 'sqlite' && await dbConnection.get('PRAGMA foreign_keys');
+      if (fkResult && fkResult.foreign_keys !== 1) {
         throw new Error('Foreign key constraints are not enabled');
       }
 
@@ -235,17 +210,17 @@ class DatabaseResetManager {
     try {
       logger.info('Starting database reset and clean operation...');
 
-      // Step 1: Create backup
+      // Step 1: Connect without migrating, so the backup holds the database as it was
+      if (!dbConnection.isReady()) {
+        await dbConnection.initialize({ migrate: false });
+      }
+
+      // Step 2: Create backup
       const backupPath = await this.createBackup();
       if (backupPath) {
         logger.info(`Backup created: ${backupPath}`);
       }
 
-      // Step 2: Initialize connection if not already connected
-      if (!dbConnection.isReady()) {
-        await dbConnection.initialize();
-      }
-
       // Step 3: Drop all tables
       await this.dropAllTables();
 
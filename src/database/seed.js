@@ -19,10 +19,14 @@ async function seed() {
     
     // Insert sample server config
     await dbConnection.run(`
-      INSERT OR REPLACE INTO server_config (
+      INSERT INTO server_config (
         guild_id, nfl_channel_id, nba_channel_id, nhl_channel_id, ncaa_channel_id,
         lobby_duration_minutes, max_lobby_size
       ) VALUES (?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT (guild_id) DO UPDATE SET
+        nfl_channel_id = excluded.nfl_channel_id, nba_channel_id = excluded.nba_channel_id,
+        nhl_channel_id = excluded.nhl_channel_id, ncaa_channel_id = excluded.ncaa_channel_id,
+        lobby_duration_minutes = excluded.lobby_duration_minutes, max_lobby_size = excluded.max_lobby_size
     `, [
       sampleGuildId,
       '123456789012345679', // NFL channel
@@ -35,9 +39,11 @@ async function seed() {
 
     // Insert sample user preferences
     await dbConnection.run(`
-      INSERT OR REPLACE INTO user_preferences (
+      INSERT INTO user_preferences (
         user_id, guild_id, sports_notifications, lobby_notifications
       ) VALUES (?, ?, ?, ?)
+      ON CONFLICT (user_id, guild_id) DO UPDATE SET
+        sports_notifications = excluded.sports_notifications, lobby_notifications = excluded.lobby_notifications
     `, [
       '987654321098765432', // Sample user ID
       sampleGuildId,
@@ -63,10 +69,14 @@ async function seed() {
 
     // Insert sample game thread
     await dbConnection.run(`
-      INSERT OR REPLACE INTO game_threads (
+      INSERT INTO game_threads (
         game_id, thread_id, channel_id, guild_id, league,
         home_team, away_team, game_date, status
       ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT (game_id) DO UPDATE SET
+        thread_id = excluded.thread_id, channel_id = excluded.channel_id, guild_id = excluded.guild_id,
+        league = excluded.league, home_team = excluded.home_team, away_team = excluded.away_team,
+        game_date = excluded.game_date, status = excluded.status
     `, [
       'nfl_2024_week8_chiefs_raiders',
       '123456789012345684',
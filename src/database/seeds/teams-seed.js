@@ -58,14 +58,54 @@ async function seedTeams(teamRepository) {
   let created = 0;
   let updated = 0;
   let failed = 0;
-  
+
+  // Teams known by neither ID go in with batched inserts; the rest through saveTeam
+  const stored = await teamRepository.select('team_id', 'statbroadcast_gid').all();
+  const storedIds = new Set(stored.map(row => row.team_id));
+  const storedGids = new Set(stored.map(row => row.statbroadcast_gid));
+  // A repeated ESPN ID or GID would fail the whole batch, so repeats go through saveTeam
+  const newTeams = new Set();
   for (const team of teams) {
+    if (storedIds.has(team.teamId) || storedGids.has(team.statbroadcastGid)) continue;
+    storedIds.add(team.teamId);
+    storedGids.add(team.statbroadcastGid);
+    newTeams.add(team);
+  }
+
+  if (newTeams.size > 0) {
+    try {
+      created += await teamRepository.createTeams([...newTeams]);
+    } catch (error) {
+      logger.warn('Batched team insert failed, seeding new teams one at a time', {
+        count: newTeams.size,
+        error: error.message
+      });
+
+      // The batch rolled back, so one bad row only fails itself
+      for (const team of newTeams) {
+        try {
+          await teamRepository.saveTeam(team);
+          created++;
+        } catch (teamError) {
+          failed++;
+          storedIds.delete(team.teamId);
+          logger.error('Failed to seed team', {
+            teamId: team.teamId,
+            teamName: team.teamName,
+            error: teamError.message
+          });
+        }
+      }
+    }
+  }
+
+  for (const team of teams) {
+    if (newTeams.has(team)) continue;
+
     try {
-      const existing = await teamRepository.getTeamByEspnId(team.teamId);
-      
       await teamRepository.saveTeam(team);
       
-      if (existing) {
+      if (storedIds.has(team.teamId)) {
         updated++;
         logger.debug('Updated team', { teamId: team.teamId, teamName: team.teamName });
       } else {
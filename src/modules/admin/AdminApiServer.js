@@ -0,0 +1,293 @@
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('../../utils/logger');
+const dbConnection = require('../../database/connection');
+
+const MAX_BODY_BYTES = 10 * 1024;
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+/**
+ * Embedded HTTP server for operators: JSON status endpoints and a small HTML
+ * dashboard. It is meant to be bound to localhost. Reads are open to anyone who
+ * can reach it; writes (such as triggering a scrape) need the API token as a
+ * bearer token and are disabled when no token is configured.
+ */
+class AdminApiServer {
+  /**
+   * @param {Object} bot - Running DiscordBot ({ client, commands, services })
+   * @param {Object} options
+   * @param {string} options.host - Interface to bind
+   * @param {number} options.port - Port to listen on (0 picks a free one)
+   * @param {string|null} options.token - Token required for write endpoints
+   */
+  constructor(bot, { host = '127.0.0.1', port = 3030, token = null } = {}) {
+    this.bot = bot;
+    this.host = host;
+    this.port = port;
+    this.token = token;
+    this.server = null;
+    this.startedAt = Date.now();
+
+    // "METHOD /path" -> { handler, write }
+    this.routes = new Map();
+    this.route('GET', '/', () => this.getDashboard());
+    this.route('GET', '/api/health', () => this.getHealth());
+    this.route('GET', '/api/lobbies', query => this.getLobbies(query));
+    this.route('GET', '/api/odds', query => this.getOddsStatus(query));
+    this.route('GET', '/api/espn', () => this.getEspnQueryStatus());
+    this.route('GET', '/api/models', () => this.getModelMetrics());
+    this.route('GET', '/api/reconciliations', query => this.getReconciliations(query));
+    this.route('GET', '/api/database', query => this.getDatabaseStats(query));
+    this.route('POST', '/api/odds/scrape', (query, body) => this.triggerScrape(body), { write: true });
+
+    this.handle = this.handle.bind(this);
+  }
+
+  route(method, pathname, handler, { write = false } = {}) {
+    this.routes.set(`${method} ${pathname}`, { handler, write });
+  }
+
+  async start() {
+    this.server = http.createServer(this.handle);
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, () => {
+        this.server.off('error', reject);
+        resolve();
+      });
+    });
+
+    const { address, port } = this.server.address();
+    logger.info('Admin API listening', { url: `http://${address}:${port}`, writes: Boolean(this.token) });
+  }
+
+  async stop() {
+    if (!this.server) return;
+
+    await new Promise(resolve => this.server.close(() => resolve()));
+    this.server = null;
+  }
+
+  /**
+   * Request listener; also usable directly with supertest
+   */
+  async handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+
+    try {
+      const route = this.routes.get(`${req.method} ${url.pathname}`);
+      if (!route) {
+        const allowed = [...this.routes.keys()].filter(key => key.endsWith(` ${url.pathname}`));
+        throw allowed.length > 0
+          ? new HttpError(405, `Use ${allowed.map(key => key.split(' ')[0]).join(' or ')} for ${url.pathname}`)
+          : new HttpError(404, `No endpoint at ${url.pathname}`);
+      }
+
+      if (route.write) {
+        this.authorize(req);
+      }
+
+      const body = req.method === 'POST' ? await this.readBody(req) : null;
+      const result = await route.handler(Object.fromEntries(url.searchParams), body);
+
+      if (result && result.html !== undefined) {
+        this.send(res, 200, result.html, 'text/html; charset=utf-8');
+      } else {
+        this.send(res, 200, JSON.stringify(result), 'application/json');
+      }
+    } catch (error) {
+      const status = error.status || 500;
+      if (status === 500) {
+        logger.error('Admin API request failed', { method: req.method, path: url.pathname, error: error.message });
+      }
+      this.send(res, status, JSON.stringify({ error: error.message }), 'application/json');
+    }
+  }
+
+  send(res, status, body, contentType) {
+    res.writeHead(status, { 'Content-Type': contentType, 'Cache-Control': 'no-store' });
+    res.end(body);
+  }
+
+  /**
+   * Check the bearer token for write endpoints
+   */
+  authorize(req) {
+    if (!this.token) {
+      throw new HttpError(403, 'Write endpoints are disabled. Set ADMIN_API_TOKEN to enable them.');
+    }
+
+    const supplied = (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+    const expected = Buffer.from(this.token);
+    const actual = Buffer.from(supplied);
+
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+      throw new HttpError(401, 'Missing or invalid API token');
+    }
+  }
+
+  async readBody(req) {
+    let raw = '';
+    for await (const chunk of req) {
+      raw += chunk;
+      if (raw.length > MAX_BODY_BYTES) {
+        throw new HttpError(413, 'Request body is too large');
+      }
+    }
+
+    if (!raw) return {};
+
+    try {
+      return JSON.parse(raw);
+    } catch (error) {
+      throw new HttpError(400, 'Request body must be JSON');
+    }
+  }
+
+  /**
+   * Get a running service or answer 503
+   */
+  requireService(name) {
+    const service = this.bot.services.getIfRunning(name);
+    if (!service) {
+      throw new HttpError(503, `${name} is not running`);
+    }
+    return service;
+  }
+
+  requireDatabase() {
+    if (!dbConnection.isReady()) {
+      throw new HttpError(503, 'Database is not connected');
+    }
+  }
+
+  getDashboard() {
+    if (!this.dashboardHtml) {
+      this.dashboardHtml = fs.readFileSync(path.join(__dirname, 'dashboard.html'), 'utf8');
+    }
+    return { html: this.dashboardHtml };
+  }
+
+  getHealth() {
+    const { client, commands, services } = this.bot;
+    const serviceHealth = services.getHealth();
+    const failed = Object.keys(serviceHealth).filter(name => serviceHealth[name].status === 'failed');
+
+    return {
+      status: client.isReady() && failed.length === 0 ? 'ok' : 'degraded',
+      uptimeSeconds: Math.floor(process.uptime()),
+      memoryMb: Math.round(process.memoryUsage().rss / 1024 / 1024),
+      discord: {
+        ready: client.isReady(),
+        user: client.user?.tag || null,
+        guilds: client.guilds.cache.size,
+        pingMs: client.ws.ping
+      },
+      commands: commands.size,
+      services: serviceHealth
+    };
+  }
+
+  async getLobbies({ guild = null } = {}) {
+    this.requireDatabase();
+
+    const LobbyRepository = require('../../database/repositories/LobbyRepository');
+    const lobbyRepo = new LobbyRepository();
+    const lobbies = (await lobbyRepo.getAllActiveLobbies()).filter(lobby => !guild || lobby.guildId === guild);
+
+    for (const lobby of lobbies) {
+      await lobbyRepo.loadMembers(lobby);
+    }
+
+    return {
+      count: lobbies.length,
+      lobbies: lobbies.map(lobby => ({
+        id: lobby.id,
+        guildId: lobby.guildId,
+        leaderId: lobby.leaderId,
+        game: lobby.gameType,
+        members: lobby.getMemberCount(),
+        maxPlayers: lobby.maxPlayers,
+        isPublic: lobby.isPublic,
+        voiceChannelId: lobby.voiceChannelId,
+        createdAt: lobby.createdAt,
+        expiresAt: lobby.expiresAt,
+        scheduledStart: lobby.scheduledStart
+      }))
+    };
+  }
+
+  async getOddsStatus({ sport = null, days = '7' } = {}) {
+    const oddsTracker = this.requireService('oddsTracker');
+    const daysBack = Math.min(Math.max(parseInt(days) || 7, 1), 90);
+
+    if (sport && !oddsTracker.supportedSports.includes(sport)) {
+      throw new HttpError(400, `Unknown sport: ${sport}`);
+    }
+
+    const stats = {};
+    for (const key of sport ? [sport] : oddsTracker.supportedSports) {
+      stats[key] = await oddsTracker.getTrackingStats(key, daysBack);
+    }
+
+    return {
+      daysBack,
+      scheduledJobs: [...oddsTracker.scheduledJobs.keys()],
+      schedules: oddsTracker.scrapingSchedules,
+      sports: stats
+    };
+  }
+
+  getEspnQueryStatus() {
+    return this.requireService('espnClient').getDailyQueryStatus();
+  }
+
+  getModelMetrics() {
+    return this.requireService('modelMonitor').getCurrentMetrics();
+  }
+
+  async getReconciliations({ limit = '10' } = {}) {
+    this.requireDatabase();
+
+    const ReconciliationLogRepository = require('../../database/repositories/ReconciliationLogRepository');
+    const repository = new ReconciliationLogRepository();
+
+    return {
+      recent: await repository.getRecentReconciliations(Math.min(Math.max(parseInt(limit) || 10, 1), 100)),
+      stats: await repository.getReconciliationStats()
+    };
+  }
+
+  getDatabaseStats({ limit = '10' } = {}) {
+    this.requireDatabase();
+
+    return dbConnection.getStats(Math.min(Math.max(parseInt(limit) || 10, 1), 50));
+  }
+
+  async triggerScrape({ sport = null } = {}) {
+    const oddsTracker = this.requireService('oddsTracker');
+
+    if (sport && !oddsTracker.supportedSports.includes(sport)) {
+      throw new HttpError(400, `Unknown sport: ${sport}`);
+    }
+
+    logger.info('Odds scrape triggered through the admin API', { sport: sport || 'all' });
+    const startTime = Date.now();
+    const results = await oddsTracker.manualScrape(sport);
+
+    return { sport: sport || 'all', durationMs: Date.now() - startTime, results };
+  }
+}
+
+AdminApiServer.HttpError = HttpError;
+
+module.exports = AdminApiServer;
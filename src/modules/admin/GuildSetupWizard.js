@@ -0,0 +1,520 @@
+const {
+  ActionRowBuilder, ButtonBuilder, ButtonStyle, ChannelSelectMenuBuilder, ChannelType, EmbedBuilder,
+  ModalBuilder, StringSelectMenuBuilder, TextInputBuilder, TextInputStyle
+} = require('discord.js');
+const ComponentRouter = require('../../utils/componentRouter');
+const ServerConfigRepository = require('../../database/repositories/ServerConfigRepository');
+const ServerConfig = require('../../database/models/ServerConfig');
+const VoiceChannelManager = require('../gaming/VoiceChannelManager');
+const { COMMON_TIMEZONES, isValidTimezone } = require('../../utils/timezone');
+const i18n = require('../../utils/i18n');
+const config = require('../../config');
+const logger = require('../../utils/logger');
+
+const SPORTS = [
+  { key: 'nfl', name: 'NFL' },
+  { key: 'nba', name: 'NBA' },
+  { key: 'nhl', name: 'NHL' },
+  { key: 'ncaa_basketball', name: 'NCAA Basketball' },
+  { key: 'ncaa_football', name: 'NCAA Football' }
+];
+const SPORT_KEYS = SPORTS.map(sport => sport.key);
+const STEPS = ['sports', 'lobby', 'timezone', 'review'];
+
+// Permissions the bot needs in each kind of channel it posts to
+const CHANNEL_PERMISSIONS = {
+  gamelog: ['ViewChannel', 'SendMessages', 'EmbedLinks'],
+  forum: ['ViewChannel', 'SendMessages', 'CreatePublicThreads'],
+  catalog: ['ViewChannel', 'SendMessages', 'EmbedLinks']
+};
+
+const STEP_BUTTON = ComponentRouter.defineComponent({
+  name: 'setup-step',
+  type: 'button',
+  params: [
+    { name: 'step', type: 'enum', values: [...STEPS, 'finish'] },
+    { name: 'sport', type: 'enum', values: SPORT_KEYS }
+  ]
+});
+
+const SPORT_SELECT = ComponentRouter.defineComponent({ name: 'setup-sport', type: 'select' });
+
+const SPORT_CHANNEL_SELECT = ComponentRouter.defineComponent({
+  name: 'setup-sport-channel',
+  type: 'select',
+  params: [
+    { name: 'kind', type: 'enum', values: ['gamelog', 'forum'] },
+    { name: 'sport', type: 'enum', values: SPORT_KEYS }
+  ]
+});
+
+const CATALOG_CHANNEL_SELECT = ComponentRouter.defineComponent({ name: 'setup-catalog', type: 'select' });
+
+const LOBBY_DEFAULTS_BUTTON = ComponentRouter.defineComponent({ name: 'setup-lobby-defaults', type: 'button' });
+const LOBBY_DEFAULTS_MODAL = ComponentRouter.defineComponent({ name: 'setup-lobby-defaults', type: 'modal' });
+
+const TIMEZONE_SELECT = ComponentRouter.defineComponent({ name: 'setup-timezone', type: 'select' });
+const TIMEZONE_BUTTON = ComponentRouter.defineComponent({ name: 'setup-timezone-other', type: 'button' });
+const TIMEZONE_MODAL = ComponentRouter.defineComponent({ name: 'setup-timezone', type: 'modal' });
+const LANGUAGE_SELECT = ComponentRouter.defineComponent({ name: 'setup-language', type: 'select' });
+
+/**
+ * The /setup wizard: an ephemeral message that walks a server admin through
+ * sports channels and forums, the lobby catalog, lobby defaults, the timezone and language.
+ * Every choice is saved to server_config as soon as it is made, so the wizard can
+ * be left and resumed at any step.
+ */
+class GuildSetupWizard {
+  constructor() {
+    this.configRepo = new ServerConfigRepository();
+  }
+
+  async getConfig(guildId) {
+    return await this.configRepo.getByGuildId(guildId) || new ServerConfig({ guildId });
+  }
+
+  /**
+   * Build the message for a wizard step
+   * @param {Guild} guild - Discord guild
+   * @param {string} step - One of STEPS
+   * @param {string} [sport] - Sport being edited on the sports step
+   * @param {VoiceChannelManager} [voiceChannelManager] - Used to validate permissions on the review step
+   * @returns {Promise<Object>} - Message payload with embeds and components
+   */
+  async render(guild, step, sport = SPORT_KEYS[0], voiceChannelManager = null) {
+    const serverConfig = await this.getConfig(guild.id);
+
+    let payload;
+    if (step === 'sports') {
+      payload = this.renderSports(guild, serverConfig, sport);
+    } else if (step === 'lobby') {
+      payload = this.renderLobby(guild, serverConfig);
+    } else if (step === 'timezone') {
+      payload = this.renderTimezone(serverConfig);
+    } else {
+      payload = await this.renderReview(guild, serverConfig, voiceChannelManager);
+    }
+
+    const stepIndex = STEPS.indexOf(step);
+    payload.embeds[0]
+      .setColor(0x5865F2)
+      .setFooter({ text: `Step ${stepIndex + 1} of ${STEPS.length} · changes are saved as you go` });
+
+    payload.components.push(this.buildNavigation(step, sport));
+    return payload;
+  }
+
+  renderSports(guild, serverConfig, sport) {
+    const sportName = SPORTS.find(entry => entry.key === sport).name;
+    const unsetText = serverConfig.setupCompletedAt ? 'not set (skipped)' : 'not set (found or created by name)';
+
+    const embed = new EmbedBuilder()
+      .setTitle('🏈 Setup: Sports Channels')
+      .setDescription(`Pick the channel for daily **${sportName}** game logs and the forum for its betting threads. Choose another sport from the first menu, or clear a menu to unset it.`)
+      .addFields(SPORTS.map(entry => ({
+        name: entry.name,
+        value: [
+          `Game logs: ${this.describeChannel(guild, serverConfig.getSportsChannel(entry.key), 'gamelog', unsetText)}`,
+          `Betting forum: ${this.describeChannel(guild, serverConfig.getBettingForum(entry.key), 'forum', unsetText)}`
+        ].join('\n'),
+        inline: false
+      })));
+
+    const sportSelect = new StringSelectMenuBuilder()
+      .setCustomId(SPORT_SELECT.build())
+      .setPlaceholder('Sport to configure')
+      .addOptions(SPORTS.map(entry => ({ label: entry.name, value: entry.key, default: entry.key === sport })));
+
+    const gameLogSelect = this.buildChannelSelect(
+      SPORT_CHANNEL_SELECT.build({ kind: 'gamelog', sport }),
+      `${sportName} game log channel`,
+      [ChannelType.GuildText, ChannelType.GuildAnnouncement],
+      serverConfig.sportsChannels[sport]
+    );
+
+    const forumSelect = this.buildChannelSelect(
+      SPORT_CHANNEL_SELECT.build({ kind: 'forum', sport }),
+      `${sportName} betting forum`,
+      [ChannelType.GuildForum],
+      serverConfig.getBettingForum(sport)
+    );
+
+    return {
+      embeds: [embed],
+      components: [
+        new ActionRowBuilder().addComponents(sportSelect),
+        new ActionRowBuilder().addComponents(gameLogSelect),
+        new ActionRowBuilder().addComponents(forumSelect)
+      ]
+    };
+  }
+
+  renderLobby(guild, serverConfig) {
+    const embed = new EmbedBuilder()
+      .setTitle('🎮 Setup: Lobbies')
+      .setDescription('Pick the channel where active lobbies are listed, and the defaults new lobbies start with.')
+      .addFields(
+        {
+          name: '📋 Lobby Catalog',
+          value: this.describeChannel(guild, serverConfig.lobbyCatalogChannelId, 'catalog', 'not set (uses or creates #🎮-lobby-catalog)'),
+          inline: false
+        },
+        { name: '⏱️ Default Duration', value: `${serverConfig.lobbySettings.duration} minutes`, inline: true },
+        { name: '👥 Default Max Size', value: `${serverConfig.lobbySettings.maxSize} players`, inline: true }
+      );
+
+    const catalogSelect = this.buildChannelSelect(
+      CATALOG_CHANNEL_SELECT.build(),
+      'Lobby catalog channel',
+      [ChannelType.GuildText],
+      serverConfig.lobbyCatalogChannelId
+    );
+
+    const defaultsButton = new ButtonBuilder()
+      .setCustomId(LOBBY_DEFAULTS_BUTTON.build())
+      .setLabel('Edit Lobby Defaults')
+      .setEmoji('✏️')
+      .setStyle(ButtonStyle.Secondary);
+
+    return {
+      embeds: [embed],
+      components: [
+        new ActionRowBuilder().addComponents(catalogSelect),
+        new ActionRowBuilder().addComponents(defaultsButton)
+      ]
+    };
+  }
+
+  renderTimezone(serverConfig) {
+    const current = serverConfig.timezone;
+
+    const embed = new EmbedBuilder()
+      .setTitle('🕒 Setup: Timezone & Language')
+      .setDescription('Pick the timezone schedules in this server are shown and entered in, and the language for replies to members whose Discord language the bot doesn\'t speak.')
+      .addFields(
+        {
+          name: 'Current Timezone',
+          value: current || `not set (bot default: ${config.bot.timezone})`,
+          inline: true
+        },
+        {
+          name: 'Current Language',
+          value: this.describeLocale(serverConfig.locale),
+          inline: true
+        }
+      );
+
+    const timezoneSelect = new StringSelectMenuBuilder()
+      .setCustomId(TIMEZONE_SELECT.build())
+      .setPlaceholder('Choose a timezone')
+      .addOptions(COMMON_TIMEZONES.map(timezone => ({
+        label: timezone.name,
+        description: timezone.value,
+        value: timezone.value,
+        default: timezone.value === current
+      })));
+
+    const otherButton = new ButtonBuilder()
+      .setCustomId(TIMEZONE_BUTTON.build())
+      .setLabel('Other Timezone…')
+      .setStyle(ButtonStyle.Secondary);
+
+    const languageSelect = new StringSelectMenuBuilder()
+      .setCustomId(LANGUAGE_SELECT.build())
+      .setPlaceholder('Choose a language')
+      .addOptions(Object.entries(i18n.LOCALES).map(([locale, { name }]) => ({
+        label: name,
+        value: locale,
+        default: locale === serverConfig.locale
+      })));
+
+    return {
+      embeds: [embed],
+      components: [
+        new ActionRowBuilder().addComponents(timezoneSelect),
+        new ActionRowBuilder().addComponents(languageSelect),
+        new ActionRowBuilder().addComponents(otherButton)
+      ]
+    };
+  }
+
+  describeLocale(locale) {
+    if (locale) {
+      return i18n.LOCALES[locale]?.name || locale;
+    }
+    return `not set (bot default: ${i18n.LOCALES[i18n.getDefaultLocale()].name})`;
+  }
+
+  async renderReview(guild, serverConfig, voiceChannelManager) {
+    const problems = this.findChannelProblems(guild, serverConfig);
+
+    try {
+      await (voiceChannelManager || new VoiceChannelManager(guild.client)).validatePermissions(guild.id);
+    } catch (error) {
+      problems.unshift(`Lobby voice channels: ${error.message}`);
+    }
+
+    const configuredSports = SPORTS.filter(sport => serverConfig.getSportsChannel(sport.key));
+
+    const embed = new EmbedBuilder()
+      .setTitle('✅ Setup: Review')
+      .setDescription(problems.length > 0
+        ? '⚠️ Fix these before finishing, or the affected features will fail:'
+        : 'Everything checks out. Finish to stop the bot creating sports channels and forums on its own. Sports without a channel will be skipped.')
+      .addFields(
+        {
+          name: '🏈 Sports With Game Logs',
+          value: configuredSports.length > 0 ? configuredSports.map(sport => sport.name).join(', ') : 'None',
+          inline: false
+        },
+        {
+          name: '🎮 Lobbies',
+          value: `Catalog: ${serverConfig.lobbyCatalogChannelId ? `<#${serverConfig.lobbyCatalogChannelId}>` : 'default'} · ${serverConfig.lobbySettings.duration} min · ${serverConfig.lobbySettings.maxSize} players`,
+          inline: false
+        },
+        { name: '🕒 Timezone', value: serverConfig.timezone || `default (${config.bot.timezone})`, inline: true },
+        { name: '🌐 Language', value: this.describeLocale(serverConfig.locale), inline: true }
+      );
+
+    if (problems.length > 0) {
+      embed.addFields({ name: '⚠️ Problems', value: problems.map(problem => `• ${problem}`).join('\n').slice(0, 1024), inline: false });
+    }
+
+    return { embeds: [embed], components: [] };
+  }
+
+  buildNavigation(step, sport) {
+    const stepIndex = STEPS.indexOf(step);
+    const row = new ActionRowBuilder();
+
+    if (stepIndex > 0) {
+      row.addComponents(new ButtonBuilder()
+        .setCustomId(STEP_BUTTON.build({ step: STEPS[stepIndex - 1], sport }))
+        .setLabel('Back')
+        .setStyle(ButtonStyle.Secondary));
+    }
+
+    if (stepIndex < STEPS.length - 1) {
+      row.addComponents(new ButtonBuilder()
+        .setCustomId(STEP_BUTTON.build({ step: STEPS[stepIndex + 1], sport }))
+        .setLabel('Next')
+        .setStyle(ButtonStyle.Primary));
+    } else {
+      row.addComponents(new ButtonBuilder()
+        .setCustomId(STEP_BUTTON.build({ step: 'finish', sport }))
+        .setLabel('Finish Setup')
+        .setStyle(ButtonStyle.Success));
+    }
+
+    return row;
+  }
+
+  buildChannelSelect(customId, placeholder, channelTypes, selectedChannelId) {
+    const select = new ChannelSelectMenuBuilder()
+      .setCustomId(customId)
+      .setPlaceholder(placeholder)
+      .setChannelTypes(...channelTypes)
+      .setMinValues(0)
+      .setMaxValues(1);
+
+    if (selectedChannelId) {
+      select.setDefaultChannels(selectedChannelId);
+    }
+
+    return select;
+  }
+
+  /**
+   * Mention a configured channel, flagging it if it is gone or the bot cannot use it
+   */
+  describeChannel(guild, channelId, kind, unsetText) {
+    if (!channelId) {
+      return unsetText;
+    }
+
+    const channel = guild.channels.cache.get(channelId);
+    if (!channel) {
+      return `⚠️ deleted channel (${channelId})`;
+    }
+
+    const missing = this.getMissingPermissions(guild, channel, kind);
+    return missing.length > 0 ? `<#${channelId}> ⚠️ missing ${missing.join(', ')}` : `<#${channelId}>`;
+  }
+
+  /**
+   * Permissions the bot lacks in a channel
+   * @returns {Array<string>} - Missing permission names
+   */
+  getMissingPermissions(guild, channel, kind) {
+    const permissions = channel.permissionsFor(guild.members.me);
+    return CHANNEL_PERMISSIONS[kind].filter(permission => !permissions?.has(permission));
+  }
+
+  /**
+   * Describe every configured channel that is gone or unusable
+   * @returns {Array<string>} - Problem descriptions
+   */
+  findChannelProblems(guild, serverConfig) {
+    const checks = [
+      ...SPORTS.map(sport => ({ label: `${sport.name} game logs`, channelId: serverConfig.getSportsChannel(sport.key), kind: 'gamelog' })),
+      ...SPORTS.map(sport => ({ label: `${sport.name} betting forum`, channelId: serverConfig.getBettingForum(sport.key), kind: 'forum' })),
+      { label: 'Lobby catalog', channelId: serverConfig.lobbyCatalogChannelId, kind: 'catalog' }
+    ];
+
+    const problems = [];
+    for (const { label, channelId, kind } of checks) {
+      if (!channelId) continue;
+
+      const channel = guild.channels.cache.get(channelId);
+      if (!channel) {
+        problems.push(`${label}: the channel was deleted`);
+        continue;
+      }
+
+      const missing = this.getMissingPermissions(guild, channel, kind);
+      if (missing.length > 0) {
+        problems.push(`${label}: bot is missing ${missing.join(', ')} in <#${channelId}>`);
+      }
+    }
+
+    return problems;
+  }
+
+  /**
+   * Show a step in place of the current wizard message
+   */
+  async showStep(interaction, step, sport, voiceChannelManager = null) {
+    await interaction.update(await this.render(interaction.guild, step, sport, voiceChannelManager));
+  }
+
+  async handleStep(interaction, { step, sport }, voiceChannelManager) {
+    if (step !== 'finish') {
+      await this.showStep(interaction, step, sport, voiceChannelManager);
+      return;
+    }
+
+    await this.configRepo.markSetupComplete(interaction.guild.id);
+    logger.info('Server setup completed', { guildId: interaction.guild.id, userId: interaction.user.id });
+
+    const embed = new EmbedBuilder()
+      .setColor(0x00FF00)
+      .setTitle('🎉 Setup Complete')
+      .setDescription('Settings are saved. Run `/setup` again any time to change them.')
+      .setTimestamp();
+
+    await interaction.update({ embeds: [embed], components: [] });
+  }
+
+  async handleSportSelect(interaction) {
+    await this.showStep(interaction, 'sports', interaction.values[0]);
+  }
+
+  async handleSportChannel(interaction, { kind, sport }) {
+    const channelId = interaction.values[0] || null;
+
+    if (kind === 'gamelog') {
+      await this.configRepo.setSportsChannel(interaction.guild.id, sport, channelId);
+    } else {
+      await this.configRepo.setBettingForum(interaction.guild.id, sport, channelId);
+    }
+
+    await this.showStep(interaction, 'sports', sport);
+  }
+
+  async handleCatalogChannel(interaction) {
+    await this.configRepo.setLobbyCatalogChannel(interaction.guild.id, interaction.values[0] || null);
+    await this.showStep(interaction, 'lobby');
+  }
+
+  async handleLobbyDefaultsButton(interaction) {
+    const { lobbySettings } = await this.getConfig(interaction.guild.id);
+
+    const modal = new ModalBuilder()
+      .setCustomId(LOBBY_DEFAULTS_MODAL.build())
+      .setTitle('Lobby Defaults')
+      .addComponents(
+        new ActionRowBuilder().addComponents(new TextInputBuilder()
+          .setCustomId('duration')
+          .setLabel('Default duration in minutes (5-1440)')
+          .setStyle(TextInputStyle.Short)
+          .setValue(String(lobbySettings.duration))
+          .setRequired(true)),
+        new ActionRowBuilder().addComponents(new TextInputBuilder()
+          .setCustomId('max_size')
+          .setLabel('Default max players (2-50)')
+          .setStyle(TextInputStyle.Short)
+          .setValue(String(lobbySettings.maxSize))
+          .setRequired(true))
+      );
+
+    await interaction.showModal(modal);
+  }
+
+  async handleLobbyDefaultsModal(interaction) {
+    const duration = parseInt(interaction.fields.getTextInputValue('duration'), 10);
+    const maxSize = parseInt(interaction.fields.getTextInputValue('max_size'), 10);
+
+    if (Number.isNaN(duration) || Number.isNaN(maxSize)) {
+      await interaction.reply({ content: '❌ Duration and max players must be whole numbers.', ephemeral: true });
+      return;
+    }
+
+    try {
+      await this.configRepo.updateLobbySettings(interaction.guild.id, { duration, maxSize });
+    } catch (error) {
+      await interaction.reply({ content: `❌ ${error.message.replace('Invalid server config: ', '')}`, ephemeral: true });
+      return;
+    }
+
+    await this.showStep(interaction, 'lobby');
+  }
+
+  async handleTimezoneSelect(interaction) {
+    await this.configRepo.setTimezone(interaction.guild.id, interaction.values[0]);
+    await this.showStep(interaction, 'timezone');
+  }
+
+  async handleLanguageSelect(interaction) {
+    await this.configRepo.setLocale(interaction.guild.id, interaction.values[0]);
+    await this.showStep(interaction, 'timezone');
+  }
+
+  async handleTimezoneButton(interaction) {
+    const modal = new ModalBuilder()
+      .setCustomId(TIMEZONE_MODAL.build())
+      .setTitle('Server Timezone')
+      .addComponents(new ActionRowBuilder().addComponents(new TextInputBuilder()
+        .setCustomId('timezone')
+        .setLabel('IANA timezone, e.g. America/Toronto')
+        .setStyle(TextInputStyle.Short)
+        .setMaxLength(64)
+        .setRequired(true)));
+
+    await interaction.showModal(modal);
+  }
+
+  async handleTimezoneModal(interaction) {
+    const timezone = interaction.fields.getTextInputValue('timezone').trim();
+
+    if (!isValidTimezone(timezone)) {
+      await interaction.reply({ content: `❌ \`${timezone}\` is not a known timezone. Use a name like \`Europe/Paris\`.`, ephemeral: true });
+      return;
+    }
+
+    await this.configRepo.setTimezone(interaction.guild.id, timezone);
+    await this.showStep(interaction, 'timezone');
+  }
+}
+
+GuildSetupWizard.STEP_BUTTON = STEP_BUTTON;
+GuildSetupWizard.SPORT_SELECT = SPORT_SELECT;
+GuildSetupWizard.SPORT_CHANNEL_SELECT = SPORT_CHANNEL_SELECT;
+GuildSetupWizard.CATALOG_CHANNEL_SELECT = CATALOG_CHANNEL_SELECT;
+GuildSetupWizard.LOBBY_DEFAULTS_BUTTON = LOBBY_DEFAULTS_BUTTON;
+GuildSetupWizard.LOBBY_DEFAULTS_MODAL = LOBBY_DEFAULTS_MODAL;
+GuildSetupWizard.TIMEZONE_SELECT = TIMEZONE_SELECT;
+GuildSetupWizard.TIMEZONE_BUTTON = TIMEZONE_BUTTON;
+GuildSetupWizard.TIMEZONE_MODAL = TIMEZONE_MODAL;
+GuildSetupWizard.LANGUAGE_SELECT = LANGUAGE_SELECT;
+
+module.exports = GuildSetupWizard;
@@ -0,0 +1,338 @@
+const { EmbedBuilder } = require('discord.js');
+const LobbyRepository = require('../../database/repositories/LobbyRepository');
+const volatileDM = require('../../utils/volatileDM');
+const config = require('../../config');
+const logger = require('../../utils/logger');
+
+// setTimeout can't wait longer than ~24.8 days; longer waits re-check when this fires
+const MAX_TIMER_MS = 2147483647;
+
+/**
+ * Expires lobbies from voice activity instead of fixed polling.
+ * While anyone is in a lobby's voice channel its expiry keeps moving forward. Once the
+ * channel empties a grace countdown starts: the leader is warned shortly before the
+ * lobby is disbanded, and anyone rejoining cancels it. Countdown state lives in the
+ * lobbies table and timers are rebuilt from it on start.
+ */
+class LobbyExpiryManager {
+  constructor(client, lobbyManager) {
+    this.client = client;
+    this.lobbyManager = lobbyManager;
+    this.lobbyRepo = new LobbyRepository();
+    this.timers = new Map();
+  }
+
+  /**
+   * Rebuild timers for every active lobby
+   */
+  async start() {
+    const lobbies = await this.lobbyRepo.getAllActiveLobbies();
+
+    for (const lobby of lobbies) {
+      await this.trackLobby(lobby.id);
+    }
+
+    logger.info('Lobby expiry manager started', { trackedLobbies: this.timers.size });
+  }
+
+  /**
+   * Clear all timers
+   */
+  stop() {
+    for (const lobbyId of this.timers.keys()) {
+      this.clearTimers(lobbyId);
+    }
+    logger.info('Lobby expiry manager stopped');
+  }
+
+  /**
+   * Voice channel manager used to inspect and delete lobby channels
+   */
+  get voiceChannelManager() {
+    return this.lobbyManager.voiceChannelManager;
+  }
+
+  /**
+   * (Re)build a lobby's timers from its stored state and current voice occupancy
+   */
+  async trackLobby(lobbyId, now = new Date()) {
+    try {
+      const lobby = await this.lobbyRepo.getLobbyById(lobbyId);
+      this.clearTimers(lobbyId);
+
+      if (!lobby || lobby.status !== 'active') {
+        return;
+      }
+
+      if (lobby.voiceChannelId) {
+        if (this.isVoiceOccupied(lobby)) {
+          await this.handleVoiceActivity(lobby, now);
+          return;
+        }
+
+        // Empty channels (including ones that emptied while the bot was offline) count down
+        if (!lobby.voiceEmptySince) {
+          await this.lobbyRepo.markVoiceEmpty(lobbyId, now);
+          lobby.voiceEmptySince = now.toISOString();
+        }
+        this.scheduleGrace(lobby, now);
+      }
+
+      this.scheduleExpiry(lobby, now);
+    } catch (error) {
+      logger.error('Failed to track lobby expiry', { lobbyId, error: error.message });
+    }
+  }
+
+  /**
+   * Start or cancel grace countdowns as members move between voice channels
+   * @param {VoiceState} oldState - Voice state before the update
+   * @param {VoiceState} newState - Voice state after the update
+   */
+  async handleVoiceStateUpdate(oldState, newState) {
+    if (oldState.channelId === newState.channelId) {
+      return;
+    }
+
+    try {
+      if (oldState.channelId) {
+        const lobby = await this.lobbyRepo.getLobbyByVoiceChannel(oldState.channelId);
+        if (lobby && !this.isVoiceOccupied(lobby) && !lobby.voiceEmptySince) {
+          await this.startGrace(lobby);
+        }
+      }
+
+      if (newState.channelId) {
+        const lobby = await this.lobbyRepo.getLobbyByVoiceChannel(newState.channelId);
+        if (lobby) {
+          await this.handleVoiceActivity(lobby);
+        }
+      }
+    } catch (error) {
+      logger.error('Failed to update lobby expiry from voice activity:', error);
+    }
+  }
+
+  /**
+   * Someone is in voice: cancel any countdown and push the expiry forward
+   */
+  async handleVoiceActivity(lobby, now = new Date()) {
+    if (lobby.voiceEmptySince) {
+      await this.lobbyRepo.clearVoiceEmpty(lobby.id);
+      lobby.voiceEmptySince = null;
+      lobby.emptyWarningSentAt = null;
+
+      logger.info('Lobby voice channel active again, cancelled empty countdown', { lobbyId: lobby.id });
+    }
+
+    this.clearTimers(lobby.id);
+
+    if (lobby.expiresAt) {
+      const minimumExpiry = new Date(now.getTime() + config.lobby.activityExtendMinutes * 60 * 1000);
+      if (new Date(lobby.expiresAt) < minimumExpiry) {
+        await this.lobbyRepo.setExpiresAt(lobby.id, minimumExpiry);
+        lobby.expiresAt = minimumExpiry.toISOString();
+      }
+    }
+
+    this.scheduleExpiry(lobby, now);
+  }
+
+  /**
+   * The voice channel just emptied: start the grace countdown
+   */
+  async startGrace(lobby, now = new Date()) {
+    await this.lobbyRepo.markVoiceEmpty(lobby.id, now);
+    lobby.voiceEmptySince = now.toISOString();
+    lobby.emptyWarningSentAt = null;
+
+    this.clearTimers(lobby.id);
+    this.scheduleGrace(lobby, now);
+    this.scheduleExpiry(lobby, now);
+
+    logger.info('Lobby voice channel empty, started grace countdown', {
+      lobbyId: lobby.id,
+      graceMinutes: config.lobby.emptyGraceMinutes
+    });
+  }
+
+  /**
+   * Schedule the leader warning and the disband for an empty lobby
+   */
+  scheduleGrace(lobby, now = new Date()) {
+    const disbandAt = this.getDisbandTime(lobby);
+    const warnAt = new Date(disbandAt.getTime() - config.lobby.emptyWarningMinutes * 60 * 1000);
+
+    if (!lobby.emptyWarningSentAt) {
+      this.setTimer(lobby.id, 'warning', warnAt, now, () => this.sendEmptyWarning(lobby.id));
+    }
+
+    this.setTimer(lobby.id, 'disband', disbandAt, now, () => this.disbandEmptyLobby(lobby.id));
+  }
+
+  /**
+   * Schedule the fixed expiry of a timed lobby
+   */
+  scheduleExpiry(lobby, now = new Date()) {
+    if (!lobby.expiresAt) {
+      return;
+    }
+
+    this.setTimer(lobby.id, 'expiry', new Date(lobby.expiresAt), now, () => this.handleExpiryDue(lobby.id));
+  }
+
+  /**
+   * When an empty lobby will be disbanded
+   */
+  getDisbandTime(lobby) {
+    return new Date(new Date(lobby.voiceEmptySince).getTime() + config.lobby.emptyGraceMinutes * 60 * 1000);
+  }
+
+  /**
+   * DM the leader that their empty lobby is about to be disbanded
+   */
+  async sendEmptyWarning(lobbyId) {
+    try {
+      const lobby = await this.lobbyRepo.getLobbyById(lobbyId);
+      if (!lobby || lobby.status !== 'active' || !lobby.voiceEmptySince || lobby.emptyWarningSentAt) {
+        return false;
+      }
+
+      await this.lobbyRepo.markEmptyWarningSent(lobbyId);
+
+      const disbandUnix = Math.floor(this.getDisbandTime(lobby).getTime() / 1000);
+      const embed = new EmbedBuilder()
+        .setColor(0xFFAA00)
+        .setTitle('⚠️ Your Lobby Is About to Close')
+        .setDescription(`Nobody has been in the **${lobby.gameType}** lobby voice channel for a while.`)
+        .addFields(
+          { name: '⌛ Disbands', value: `<t:${disbandUnix}:R>`, inline: true },
+          { name: '🔊 Keep It Open', value: `Join <#${lobby.voiceChannelId}> to cancel the countdown.`, inline: true },
+          {
+            name: '⏰ Auto-Delete',
+            value: `This message will automatically delete in ${config.dm.volatileDeleteMinutes} minutes to keep your DMs clean.`
+          }
+        )
+        .setTimestamp();
+
+      const user = await this.client.users.fetch(lobby.leaderId);
+      await volatileDM.sendVolatileDM(user, { embeds: [embed] }, config.dm.volatileDeleteMinutes);
+
+      logger.info('Warned leader about empty lobby', { lobbyId, leaderId: lobby.leaderId });
+      return true;
+    } catch (error) {
+      logger.warn('Failed to warn leader about empty lobby', { lobbyId, error: error.message });
+      return false;
+    }
+  }
+
+  /**
+   * Disband a lobby whose voice channel stayed empty through the grace period
+   */
+  async disbandEmptyLobby(lobbyId) {
+    try {
+      this.clearTimers(lobbyId);
+
+      const lobby = await this.lobbyRepo.getLobbyById(lobbyId);
+      if (!lobby || lobby.status !== 'active' || !lobby.voiceEmptySince) {
+        return false;
+      }
+
+      // A voice event may have been missed (e.g. during a reconnect)
+      if (this.isVoiceOccupied(lobby)) {
+        await this.handleVoiceActivity(lobby);
+        return false;
+      }
+
+      await this.lobbyManager.disbandLobby(lobbyId, 'emptied');
+      logger.info('Disbanded lobby after empty voice grace period', { lobbyId });
+      return true;
+    } catch (error) {
+      logger.error('Failed to disband empty lobby', { lobbyId, error: error.message });
+      return false;
+    }
+  }
+
+  /**
+   * A timed lobby reached its expiry: extend it if voice is in use, otherwise expire it
+   */
+  async handleExpiryDue(lobbyId, now = new Date()) {
+    try {
+      const lobby = await this.lobbyRepo.getLobbyById(lobbyId);
+      if (!lobby || lobby.status !== 'active' || !lobby.expiresAt) {
+        this.clearTimers(lobbyId);
+        return false;
+      }
+
+      if (new Date(lobby.expiresAt) > now) {
+        // Extended since this timer was set
+        this.scheduleExpiry(lobby, now);
+        return false;
+      }
+
+      if (lobby.voiceChannelId && this.isVoiceOccupied(lobby)) {
+        await this.handleVoiceActivity(lobby, now);
+        return false;
+      }
+
+      this.clearTimers(lobbyId);
+
+      if (lobby.voiceChannelId && this.voiceChannelManager) {
+        try {
+          await this.voiceChannelManager.deleteChannel(lobby.voiceChannelId, 'Lobby expired');
+        } catch (voiceError) {
+          logger.warn('Failed to delete voice channel for expired lobby', { lobbyId, error: voiceError.message });
+        }
+      }
+
+      await this.lobbyManager.expireLobby(lobbyId);
+      return true;
+    } catch (error) {
+      logger.error('Failed to process lobby expiry', { lobbyId, error: error.message });
+      return false;
+    }
+  }
+
+  /**
+   * Whether anyone is in the lobby's voice channel
+   */
+  isVoiceOccupied(lobby) {
+    if (!lobby.voiceChannelId || !this.voiceChannelManager) {
+      return false;
+    }
+
+    return !this.voiceChannelManager.isChannelEmpty(lobby.voiceChannelId);
+  }
+
+  /**
+   * Set one of a lobby's timers, replacing any previous timer of the same kind
+   */
+  setTimer(lobbyId, kind, at, now, callback) {
+    const timers = this.timers.get(lobbyId) || {};
+    if (timers[kind]) {
+      clearTimeout(timers[kind]);
+    }
+
+    const delay = Math.max(0, at.getTime() - now.getTime());
+    timers[kind] = delay > MAX_TIMER_MS
+      ? setTimeout(() => this.trackLobby(lobbyId), MAX_TIMER_MS)
+      : setTimeout(callback, delay);
+
+    this.timers.set(lobbyId, timers);
+  }
+
+  /**
+   * Clear every timer for a lobby
+   */
+  clearTimers(lobbyId) {
+    const timers = this.timers.get(lobbyId);
+    if (!timers) {
+      return;
+    }
+
+    Object.values(timers).forEach(timer => clearTimeout(timer));
+    this.timers.delete(lobbyId);
+  }
+}
+
+module.exports = LobbyExpiryManager;
@@ -0,0 +1,247 @@
+const GuildFederationRepository = require('../../database/repositories/GuildFederationRepository');
+const logger = require('../../utils/logger');
+
+// Cross-server invites are single use and expire after a day
+const INVITE_MAX_AGE_SECONDS = 24 * 60 * 60;
+
+/**
+ * Shares public lobbies between partnered guilds.
+ * Guild admins link their server to a partner, and once both sides have linked,
+ * public lobbies are mirrored into each other's lobby catalogs. Mirrored posts are
+ * tracked in the database so they follow the source lobby across restarts.
+ */
+class LobbyFederationManager {
+  constructor() {
+    this.federationRepo = new GuildFederationRepository();
+  }
+
+  /**
+   * Link a guild to a partner guild
+   * @returns {Promise<{active: boolean, created: boolean}>} - Whether the partnership is now active
+   */
+  async linkGuild(guildId, partnerGuildId, userId, client) {
+    try {
+      if (guildId === partnerGuildId) {
+        throw new Error('A server cannot be linked to itself.');
+      }
+
+      if (!client.guilds.cache.has(partnerGuildId)) {
+        throw new Error('I\'m not in that server. Invite the bot there before linking it.');
+      }
+
+      const created = await this.federationRepo.link(guildId, partnerGuildId, userId);
+      const active = await this.federationRepo.isPartnered(guildId, partnerGuildId);
+
+      logger.info('Guild federation link added', { guildId, partnerGuildId, userId, active });
+      return { active, created };
+    } catch (error) {
+      logger.error('Failed to link guilds:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a guild's link to a partner and take down mirrored posts in both directions
+   */
+  async unlinkGuild(guildId, partnerGuildId, client) {
+    try {
+      const removed = await this.federationRepo.unlink(guildId, partnerGuildId);
+      if (!removed) {
+        throw new Error('This server is not linked to that server.');
+      }
+
+      const mirrors = [
+        ...await this.federationRepo.getMirrorsBetween(guildId, partnerGuildId),
+        ...await this.federationRepo.getMirrorsBetween(partnerGuildId, guildId)
+      ];
+
+      for (const mirror of mirrors) {
+        await this.deleteMirror(mirror, client);
+      }
+
+      logger.info('Guild federation link removed', { guildId, partnerGuildId, removedMirrors: mirrors.length });
+      return true;
+    } catch (error) {
+      logger.error('Failed to unlink guilds:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a guild's partners and pending links
+   * @returns {Promise<{partners: string[], outgoing: string[], incoming: string[]}>}
+   */
+  async getFederationStatus(guildId) {
+    try {
+      const [partners, links] = await Promise.all([
+        this.federationRepo.getPartnerGuildIds(guildId),
+        this.federationRepo.getLinks(guildId)
+      ]);
+
+      return {
+        partners,
+        outgoing: links.outgoing.filter(id => !partners.includes(id)),
+        incoming: links.incoming.filter(id => !partners.includes(id))
+      };
+    } catch (error) {
+      logger.error('Failed to get federation status:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Whether a join request from a guild may reach a lobby hosted elsewhere
+   */
+  async canJoinFrom(lobby, guildId) {
+    if (lobby.guildId === guildId) {
+      return true;
+    }
+
+    return lobby.isPublic && await this.federationRepo.isPartnered(lobby.guildId, guildId);
+  }
+
+  /**
+   * Post a public lobby to every partner guild's catalog
+   * @returns {Promise<number>} - Number of partner catalogs posted to
+   */
+  async mirrorLobby(lobby, client) {
+    if (!lobby.isPublic) {
+      return 0;
+    }
+
+    const lobbyCatalogManager = require('../../utils/lobbyCatalogManager');
+    const sourceGuild = client.guilds.cache.get(lobby.guildId);
+    const partnerGuildIds = await this.federationRepo.getPartnerGuildIds(lobby.guildId);
+    let mirrored = 0;
+
+    for (const partnerGuildId of partnerGuildIds) {
+      const partnerGuild = client.guilds.cache.get(partnerGuildId);
+      if (!partnerGuild) {
+        continue;
+      }
+
+      try {
+        const catalogChannel = await lobbyCatalogManager.getOrCreateLobbyChannel(partnerGuild);
+        const message = await catalogChannel.send({
+          embeds: [lobbyCatalogManager.buildMirrorEmbed(lobby, sourceGuild?.name)],
+          components: [lobbyCatalogManager.buildJoinRequestRow(lobby.id)]
+        });
+
+        await this.federationRepo.addMirror(lobby.id, partnerGuildId, catalogChannel.id, message.id);
+        mirrored++;
+      } catch (error) {
+        logger.warn('Failed to mirror lobby to partner catalog', {
+          lobbyId: lobby.id,
+          partnerGuildId,
+          error: error.message
+        });
+      }
+    }
+
+    if (mirrored > 0) {
+      logger.info('Mirrored lobby to partner catalogs', { lobbyId: lobby.id, mirrored });
+    }
+
+    return mirrored;
+  }
+
+  /**
+   * Refresh every mirrored post of a lobby
+   */
+  async updateMirrors(lobby, client) {
+    const lobbyCatalogManager = require('../../utils/lobbyCatalogManager');
+    const mirrors = await this.federationRepo.getMirrors(lobby.id);
+    const sourceGuild = client.guilds.cache.get(lobby.guildId);
+
+    for (const mirror of mirrors) {
+      const message = await this.fetchMirrorMessage(mirror, client);
+      if (!message) {
+        await this.federationRepo.removeMirror(mirror.id);
+        continue;
+      }
+
+      try {
+        await message.edit({ embeds: [lobbyCatalogManager.buildMirrorEmbed(lobby, sourceGuild?.name)] });
+      } catch (error) {
+        logger.warn('Failed to update mirrored lobby post', { lobbyId: lobby.id, guildId: mirror.guild_id, error: error.message });
+      }
+    }
+  }
+
+  /**
+   * Remove every mirrored post of a lobby
+   */
+  async removeMirrors(lobbyId, client) {
+    const mirrors = await this.federationRepo.getMirrors(lobbyId);
+
+    for (const mirror of mirrors) {
+      await this.deleteMirror(mirror, client);
+    }
+
+    if (mirrors.length > 0) {
+      logger.info('Removed mirrored lobby posts', { lobbyId, removed: mirrors.length });
+    }
+  }
+
+  /**
+   * Delete one mirrored post and forget it
+   */
+  async deleteMirror(mirror, client) {
+    const message = await this.fetchMirrorMessage(mirror, client);
+    if (message) {
+      await message.delete().catch(error => {
+        logger.warn('Failed to delete mirrored lobby post', { lobbyId: mirror.lobby_id, error: error.message });
+      });
+    }
+
+    await this.federationRepo.removeMirror(mirror.id);
+  }
+
+  /**
+   * Fetch a mirrored post's message, or null if it is gone
+   */
+  async fetchMirrorMessage(mirror, client) {
+    const guild = client.guilds.cache.get(mirror.guild_id);
+    const channel = guild?.channels.cache.get(mirror.channel_id);
+    if (!channel) {
+      return null;
+    }
+
+    return await channel.messages.fetch(mirror.message_id).catch(() => null);
+  }
+
+  /**
+   * Create a single-use invite to the lobby's home server for an approved partner player.
+   * Points at the lobby's text or voice channel, falling back to the catalog channel.
+   * @returns {Promise<Invite|null>}
+   */
+  async createCrossServerInvite(lobby, client) {
+    try {
+      let inviteChannel = [lobby.textChannelId, lobby.voiceChannelId]
+        .map(channelId => channelId && client.channels.cache.get(channelId))
+        .find(Boolean);
+
+      if (!inviteChannel) {
+        const guild = client.guilds.cache.get(lobby.guildId);
+        if (!guild) {
+          return null;
+        }
+
+        const lobbyCatalogManager = require('../../utils/lobbyCatalogManager');
+        inviteChannel = await lobbyCatalogManager.getOrCreateLobbyChannel(guild);
+      }
+
+      return await inviteChannel.createInvite({
+        maxAge: INVITE_MAX_AGE_SECONDS,
+        maxUses: 1,
+        unique: true,
+        reason: `Cross-server invite to ${lobby.gameType} lobby ${lobby.id}`
+      });
+    } catch (error) {
+      logger.warn('Failed to create cross-server lobby invite', { lobbyId: lobby.id, error: error.message });
+      return null;
+    }
+  }
+}
+
+module.exports = LobbyFederationManager;
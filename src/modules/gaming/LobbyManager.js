@@ -1,6 +1,17 @@
 const LobbyRepository = require('../../database/repositories/LobbyRepository');
 const ServerConfigRepository = require('../../database/repositories/ServerConfigRepository');
+const PartyLeaderManager = require('./PartyLeaderManager');
 const logger = require('../../utils/logger');
+const auditLog = require('../../utils/auditLog');
+
+const RSVP_RESPONSES = ['going', 'maybe', 'no'];
+const MAX_SCHEDULED_LOBBIES_PER_USER = 5;
+const MAX_SCHEDULE_DAYS = 30;
+
+const LEGACY_ACTION_CAPABILITIES = {
+  disband: 'disband_lobby',
+  extend: 'extend_duration'
+};
 
 /**
  * Manages gaming lobby operations
@@ -10,10 +21,7 @@ class LobbyManager {
     this.lobbyRepo = new LobbyRepository();
     this.configRepo = new ServerConfigRepository();
     this.voiceChannelManager = voiceChannelManager;
-    this.cleanupInterval = null;
-    
-    // Start cleanup process (now mainly for database cleanup)
-    this.startCleanupProcess();
+    this.partyLeaderManager = null; // Created on first use
   }
 
   /**
@@ -21,6 +29,7 @@ class LobbyManager {
    */
   setVoiceChannelManager(voiceChannelManager) {
     this.voiceChannelManager = voiceChannelManager;
+    this.partyLeaderManager = null;
   }
 
   /**
@@ -30,20 +39,31 @@ class LobbyManager {
     this.client = client;
   }
 
+  /**
+   * Get the bot's voice-activity expiry manager, if running
+   */
+  getExpiryManager() {
+    const client = this.voiceChannelManager?.client || this.client;
+    return client?.bot?.services.getIfRunning('lobbyExpiryManager') || null;
+  }
+
+  /**
+   * Hand a lobby to the expiry manager so its timers reflect the latest state
+   */
+  async trackLobbyExpiry(lobbyId) {
+    const expiryManager = this.getExpiryManager();
+    if (expiryManager) {
+      await expiryManager.trackLobby(lobbyId);
+    }
+  }
+
   /**
    * Create a new gaming lobby
    */
   async createLobby(guildId, leaderId, gameType, options = {}) {
     try {
       // Ensure server configuration exists (auto-create if needed)
-      let config = await this.configRepo.getByGuildId(guildId);
-      if (!config) {
-        // Create default server configuration
-        const ServerConfig = require('../../database/models/ServerConfig');
-        config = new ServerConfig({ guildId });
-        await this.configRepo.saveConfig(config);
-        logger.info('Created default server configuration', { guildId });
-      }
+      const config = await this.getOrCreateServerConfig(guildId);
 
       const lobbySettings = config.lobbySettings;
 
@@ -77,14 +97,27 @@ class LobbyManager {
         });
       }
 
-      // Create the lobby with indefinite duration (will be managed by voice activity)
-      const lobby = await this.lobbyRepo.createLobby(guildId, leaderId, gameType, null);
+      // Without an explicit duration the lobby is indefinite (managed by voice activity)
+      const lobby = await this.lobbyRepo.createLobby(
+        guildId,
+        leaderId,
+        gameType,
+        options.durationMinutes || null,
+        options.maxPlayers || null
+      );
+
+      // Public lobbies are mirrored into partner guild catalogs
+      if (options.isPublic) {
+        await this.lobbyRepo.setPublic(lobby.id, true);
+        lobby.isPublic = true;
+      }
 
       logger.info('Lobby created successfully', {
         lobbyId: lobby.id,
         guildId,
         leaderId,
-        gameType
+        gameType,
+        isPublic: lobby.isPublic
       });
 
       return lobby;
@@ -94,6 +127,229 @@ class LobbyManager {
     }
   }
 
+  /**
+   * Create a lobby that opens at a future start time.
+   * The voice channel is only created once the start time arrives (see LobbyScheduler).
+   */
+  async createScheduledLobby(guildId, leaderId, gameType, scheduledStart, options = {}) {
+    try {
+      await this.getOrCreateServerConfig(guildId);
+
+      if (!gameType || gameType.trim().length === 0) {
+        throw new Error('Game type is required');
+      }
+
+      if (gameType.length > 100) {
+        throw new Error('Game type must be 100 characters or less');
+      }
+
+      const startDate = new Date(scheduledStart);
+      if (isNaN(startDate.getTime())) {
+        throw new Error('Invalid start time');
+      }
+
+      const now = Date.now();
+      if (startDate.getTime() < now + 60 * 1000) {
+        throw new Error('Start time must be at least 1 minute in the future');
+      }
+
+      if (startDate.getTime() > now + MAX_SCHEDULE_DAYS * 24 * 60 * 60 * 1000) {
+        throw new Error(`Lobbies can only be scheduled up to ${MAX_SCHEDULE_DAYS} days ahead`);
+      }
+
+      const scheduledLobbies = await this.lobbyRepo.getScheduledLobbiesByLeader(leaderId);
+      if (scheduledLobbies.length >= MAX_SCHEDULED_LOBBIES_PER_USER) {
+        throw new Error(`You have reached the maximum number of scheduled lobbies (${MAX_SCHEDULED_LOBBIES_PER_USER})`);
+      }
+
+      const lobby = await this.lobbyRepo.createScheduledLobby(
+        guildId,
+        leaderId,
+        gameType,
+        startDate,
+        options.maxPlayers || null
+      );
+
+      logger.info('Scheduled lobby created', {
+        lobbyId: lobby.id,
+        guildId,
+        leaderId,
+        gameType,
+        scheduledStart: lobby.scheduledStart
+      });
+
+      return lobby;
+    } catch (error) {
+      logger.error('Failed to create scheduled lobby:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Open a scheduled lobby: add RSVP'd players, create the voice channel and activate it
+   */
+  async startScheduledLobby(lobbyId) {
+    try {
+      const lobby = await this.lobbyRepo.getLobbyById(lobbyId);
+
+      if (!lobby || !lobby.isScheduled()) {
+        return null;
+      }
+
+      // Everyone who RSVP'd "going" becomes a member when the lobby opens
+      const rsvps = await this.lobbyRepo.getRsvps(lobbyId);
+      const goingUserIds = rsvps
+        .filter(rsvp => rsvp.response === 'going')
+        .map(rsvp => rsvp.user_id);
+
+      for (const userId of goingUserIds) {
+        await this.lobbyRepo.addMember(lobbyId, userId);
+        lobby.members.add(userId);
+      }
+
+      let voiceChannelId = null;
+
+      if (this.voiceChannelManager) {
+        try {
+          const voiceChannel = await this.voiceChannelManager.createPrivateChannel(
+            lobby.guildId,
+            lobby.gameType,
+            lobby.leaderId,
+            { userLimit: lobby.maxPlayers || 10 }
+          );
+          voiceChannelId = voiceChannel.id;
+
+          for (const userId of lobby.getMemberIds()) {
+            if (lobby.isLeader(userId)) continue;
+
+            try {
+              await this.voiceChannelManager.addUserToChannel(voiceChannelId, userId);
+            } catch (accessError) {
+              logger.warn('Failed to grant voice access to RSVP member', {
+                lobbyId,
+                userId,
+                error: accessError.message
+              });
+            }
+          }
+
+          await this.attachTextChannel(lobby, voiceChannel);
+        } catch (voiceError) {
+          logger.warn('Failed to create voice channel for scheduled lobby, continuing without voice', {
+            lobbyId,
+            error: voiceError.message
+          });
+        }
+      }
+
+      await this.lobbyRepo.activateScheduledLobby(lobbyId, voiceChannelId);
+      lobby.voiceChannelId = voiceChannelId;
+      lobby.activate();
+      await this.trackLobbyExpiry(lobbyId);
+
+      logger.info('Scheduled lobby started', {
+        lobbyId,
+        voiceChannelId,
+        memberCount: lobby.getMemberCount()
+      });
+
+      return lobby;
+    } catch (error) {
+      logger.error('Failed to start scheduled lobby:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record a user's RSVP for a scheduled lobby
+   */
+  async setRsvp(lobbyId, userId, response) {
+    try {
+      if (!RSVP_RESPONSES.includes(response)) {
+        throw new Error(`Invalid RSVP response: ${response}`);
+      }
+
+      const lobby = await this.lobbyRepo.getLobbyById(lobbyId);
+
+      if (!lobby || !lobby.isScheduled()) {
+        throw new Error('This lobby is no longer accepting RSVPs');
+      }
+
+      if (lobby.isLeader(userId)) {
+        throw new Error('You are the leader of this lobby');
+      }
+
+      const rsvps = await this.lobbyRepo.getRsvps(lobbyId);
+
+      if (response === 'going' && lobby.maxPlayers) {
+        const goingCount = rsvps.filter(r => r.response === 'going' && r.user_id !== userId).length;
+        if (goingCount >= lobby.maxPlayers) {
+          throw new Error(`This lobby already has ${lobby.maxPlayers} players going. You can still RSVP "maybe".`);
+        }
+      }
+
+      await this.lobbyRepo.setRsvp(lobbyId, userId, response);
+
+      logger.info('Lobby RSVP recorded', { lobbyId, userId, response });
+
+      return await this.lobbyRepo.getRsvps(lobbyId);
+    } catch (error) {
+      logger.error('Failed to record RSVP:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get RSVPs for a lobby
+   */
+  async getRsvps(lobbyId) {
+    try {
+      return await this.lobbyRepo.getRsvps(lobbyId);
+    } catch (error) {
+      logger.error('Failed to get lobby RSVPs:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get scheduled lobbies for a guild
+   */
+  async getScheduledLobbies(guildId) {
+    try {
+      return await this.lobbyRepo.getScheduledLobbiesByGuild(guildId);
+    } catch (error) {
+      logger.error('Failed to get scheduled lobbies:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Persist the catalog message for a lobby so it can be found again after a restart
+   */
+  async setCatalogMessage(lobbyId, message) {
+    try {
+      await this.lobbyRepo.updateCatalogMessage(lobbyId, message.channel.id, message.id);
+      return true;
+    } catch (error) {
+      logger.warn('Failed to store lobby catalog message:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get the server configuration for a guild, creating defaults if missing
+   */
+  async getOrCreateServerConfig(guildId) {
+    let config = await this.configRepo.getByGuildId(guildId);
+    if (!config) {
+      const ServerConfig = require('../../database/models/ServerConfig');
+      config = new ServerConfig({ guildId });
+      await this.configRepo.saveConfig(config);
+      logger.info('Created default server configuration', { guildId });
+    }
+    return config;
+  }
+
   /**
    * Get lobby by ID
    */
@@ -132,9 +388,7 @@ class LobbyManager {
         throw new Error('You are already in this lobby');
       }
 
-      // Get server configuration for max lobby size
-      const config = await this.configRepo.getByGuildId(lobby.guildId);
-      const maxSize = config ? config.lobbySettings.maxSize : 10;
+      const maxSize = await this.getLobbyCapacity(lobby);
 
       if (lobby.getMemberCount() >= maxSize) {
         throw new Error(`Lobby is full (max ${maxSize} members)`);
@@ -157,6 +411,47 @@ class LobbyManager {
     }
   }
 
+  /**
+   * Get the member cap for a lobby: its own max players, falling back to the server default
+   */
+  async getLobbyCapacity(lobby) {
+    if (lobby.maxPlayers) {
+      return lobby.maxPlayers;
+    }
+
+    const config = await this.configRepo.getByGuildId(lobby.guildId);
+    return config ? config.lobbySettings.maxSize : 10;
+  }
+
+  /**
+   * Check whether a lobby has reached its member cap
+   */
+  async isLobbyFull(lobby) {
+    return lobby.getMemberCount() >= await this.getLobbyCapacity(lobby);
+  }
+
+  /**
+   * Waitlist manager for this lobby manager (created on first use)
+   */
+  getWaitlistManager() {
+    if (!this.waitlistManager) {
+      const LobbyWaitlistManager = require('./LobbyWaitlistManager');
+      this.waitlistManager = new LobbyWaitlistManager(this);
+    }
+    return this.waitlistManager;
+  }
+
+  /**
+   * Get the party leader manager for leader and co-leader actions on these lobbies
+   * @returns {PartyLeaderManager}
+   */
+  getPartyLeaderManager() {
+    if (!this.partyLeaderManager) {
+      this.partyLeaderManager = new PartyLeaderManager(this, this.voiceChannelManager);
+    }
+    return this.partyLeaderManager;
+  }
+
   /**
    * Leave a lobby
    */
@@ -179,7 +474,8 @@ class LobbyManager {
       // If leader left and there are other members, transfer leadership
       if (lobby.isLeader(userId) && lobby.getMemberCount() > 0) {
         const memberIds = lobby.getMemberIds();
-        const newLeader = memberIds[0]; // First remaining member becomes leader
+        // First co-leader takes over, otherwise the first remaining member
+        const newLeader = memberIds.find(id => lobby.isCoLeader(id)) || memberIds[0];
         
         await this.transferLeadership(lobbyId, newLeader);
         lobby.transferLeadership(newLeader);
@@ -193,7 +489,7 @@ class LobbyManager {
 
       // If no members left, disband the lobby
       if (lobby.getMemberCount() === 0) {
-        await this.disbandLobby(lobbyId);
+        await this.disbandLobby(lobbyId, 'emptied');
         logger.info('Lobby disbanded - no members remaining', { lobbyId });
         return null;
       }
@@ -204,6 +500,13 @@ class LobbyManager {
         memberCount: lobby.getMemberCount()
       });
 
+      // Offer the freed slot to the next person on the waitlist
+      try {
+        await this.getWaitlistManager().offerNextSlot(lobbyId);
+      } catch (waitlistError) {
+        logger.warn('Failed to offer freed lobby slot to waitlist:', waitlistError);
+      }
+
       return lobby;
     } catch (error) {
       logger.error('Failed to leave lobby:', error);
@@ -245,10 +548,44 @@ class LobbyManager {
     }
   }
 
+  /**
+   * Set a member's role ('member' or 'co_leader')
+   */
+  async setMemberRole(lobbyId, userId, role) {
+    try {
+      const lobby = await this.getLobby(lobbyId);
+
+      if (!lobby) {
+        throw new Error('Lobby not found');
+      }
+
+      if (!lobby.hasMember(userId)) {
+        throw new Error('User must be a member of the lobby');
+      }
+
+      await this.lobbyRepo.setMemberRole(lobbyId, userId, role);
+
+      if (role === 'co_leader') {
+        lobby.addCoLeader(userId);
+      } else {
+        lobby.removeCoLeader(userId);
+      }
+
+      logger.info('Lobby member role updated', { lobbyId, userId, role });
+
+      return lobby;
+    } catch (error) {
+      logger.error('Failed to set lobby member role:', error);
+      throw error;
+    }
+  }
+
   /**
    * Disband a lobby
+   * @param {string} [outcome] - 'disbanded' by a leader, or 'emptied' when nobody is left
+   * @param {string|null} [actorId] - Member who disbanded it, null when the bot did
    */
-  async disbandLobby(lobbyId) {
+  async disbandLobby(lobbyId, outcome = 'disbanded', actorId = null) {
     try {
       const lobby = await this.getLobby(lobbyId);
       
@@ -268,6 +605,8 @@ class LobbyManager {
         }
       }
 
+      await this.archiveLobbyTextChannel(lobby, 'Lobby disbanded');
+
       // Remove from lobby catalog
       try {
         const lobbyCatalogManager = require('../../utils/lobbyCatalogManager');
@@ -281,9 +620,19 @@ class LobbyManager {
         logger.warn('Failed to remove lobby from catalog during disband:', catalogError);
       }
 
-      await this.lobbyRepo.disbandLobby(lobbyId);
+      await this.lobbyRepo.disbandLobby(lobbyId, outcome);
+
+      logger.info('Lobby disbanded', { lobbyId, outcome });
+
+      await auditLog.record({
+        guildId: lobby.guildId,
+        actorId,
+        action: 'lobby.disband',
+        targetType: 'lobby',
+        targetId: lobbyId,
+        payload: { game: lobby.gameType, leader: lobby.leaderId, members: lobby.getMemberCount(), outcome }
+      }, this.voiceChannelManager?.client || this.client);
 
-      logger.info('Lobby disbanded', { lobbyId });
       return true;
     } catch (error) {
       logger.error('Failed to disband lobby:', error);
@@ -296,6 +645,9 @@ class LobbyManager {
    */
   async expireLobby(lobbyId) {
     try {
+      const lobby = await this.lobbyRepo.getLobbyById(lobbyId);
+      await this.archiveLobbyTextChannel(lobby, 'Lobby expired');
+
       // Remove from lobby catalog
       try {
         const lobbyCatalogManager = require('../../utils/lobbyCatalogManager');
@@ -339,6 +691,7 @@ class LobbyManager {
 
       await this.lobbyRepo.extendLobby(lobbyId, additionalMinutes);
       lobby.extend(additionalMinutes);
+      await this.trackLobbyExpiry(lobbyId);
 
       logger.info('Lobby extended', {
         lobbyId,
@@ -410,14 +763,15 @@ class LobbyManager {
           // Update lobby with voice channel ID
           await this.updateLobbyVoiceChannel(lobby.id, voiceChannel.id);
           lobby.voiceChannelId = voiceChannel.id;
+          await this.attachTextChannel(lobby, voiceChannel);
 
-          // Set up automatic cleanup based on voice channel inactivity (30 minutes)
-          this.voiceChannelManager.setupChannelCleanup(voiceChannel.id, lobby.id, 30);
+          // Expiry follows voice activity from here on
+          await this.trackLobbyExpiry(lobby.id);
 
-          logger.info('Lobby created with voice channel and inactivity cleanup', {
+          logger.info('Lobby created with voice channel', {
             lobbyId: lobby.id,
             voiceChannelId: voiceChannel.id,
-            inactivityTimeout: 30
+            textChannelId: lobby.textChannelId
           });
         } catch (voiceError) {
           logger.warn('Failed to create voice channel for lobby, continuing without voice', {
@@ -434,6 +788,40 @@ class LobbyManager {
     }
   }
 
+  /**
+   * Create the lobby's companion text channel next to its voice channel.
+   * The lobby works without one, so failures are only logged.
+   */
+  async attachTextChannel(lobby, voiceChannel) {
+    try {
+      const textChannel = await this.voiceChannelManager.createTextChannel(voiceChannel, lobby.gameType);
+      await this.lobbyRepo.updateTextChannel(lobby.id, textChannel.id);
+      lobby.textChannelId = textChannel.id;
+      return textChannel;
+    } catch (error) {
+      logger.warn('Failed to create text channel for lobby, continuing without one', {
+        lobbyId: lobby.id,
+        error: error.message
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Archive the lobby's text channel so its chat and game codes stay readable
+   */
+  async archiveLobbyTextChannel(lobby, reason) {
+    if (!lobby?.textChannelId || !this.voiceChannelManager) {
+      return;
+    }
+
+    try {
+      await this.voiceChannelManager.archiveTextChannel(lobby.textChannelId, reason);
+    } catch (textError) {
+      logger.warn('Failed to archive lobby text channel:', textError);
+    }
+  }
+
   /**
    * Update lobby voice channel
    */
@@ -507,7 +895,7 @@ class LobbyManager {
         throw new Error('Only the lobby leader can disband the lobby');
       }
 
-      return await this.disbandLobby(lobby.id);
+      return await this.disbandLobby(lobby.id, 'disbanded', userId);
     } catch (error) {
       logger.error('Failed to disband lobby by game:', error);
       throw error;
@@ -530,6 +918,43 @@ class LobbyManager {
     }
   }
 
+  /**
+   * Find the lobby a user can perform an action in, optionally narrowed by game.
+   * Throws a user-facing error when there is no match or the choice is ambiguous.
+   * @param {string} [usage] - Example command appended when a game must be specified
+   */
+  async findLobbyWithCapability(userId, capability, gameType = null, usage = null) {
+    try {
+      const userLobbies = await this.lobbyRepo.getLobbiesByMember(userId);
+      const allowedLobbies = userLobbies.filter(lobby =>
+        lobby.isActive() && PartyLeaderManager.hasCapability(lobby, userId, capability)
+      );
+
+      if (gameType) {
+        const lobby = allowedLobbies.find(l => l.gameType.toLowerCase() === gameType.toLowerCase());
+        if (!lobby) {
+          throw new Error(`No active ${gameType} lobby found where you can ${PartyLeaderManager.describeCapability(capability)}`);
+        }
+        return lobby;
+      }
+
+      if (allowedLobbies.length === 0) {
+        throw new Error(`You are not in any lobby where you can ${PartyLeaderManager.describeCapability(capability)}`);
+      }
+
+      if (allowedLobbies.length > 1) {
+        const gameList = allowedLobbies.map(l => `• ${l.gameType}`).join('\n');
+        const usageHint = usage ? `\n\nUse: \`${usage}\`` : '';
+        throw new Error(`You can ${PartyLeaderManager.describeCapability(capability)} in multiple lobbies. Please specify which game:\n${gameList}${usageHint}`);
+      }
+
+      return allowedLobbies[0];
+    } catch (error) {
+      logger.error('Failed to find lobby with capability:', error);
+      throw error;
+    }
+  }
+
   /**
    * Find lobby by game type where user is a member (not necessarily leader)
    */
@@ -546,36 +971,6 @@ class LobbyManager {
     }
   }
 
-  /**
-   * Start automatic cleanup process for expired lobbies
-   */
-  startCleanupProcess() {
-    // Run cleanup every 5 minutes
-    this.cleanupInterval = setInterval(async () => {
-      try {
-        const cleanedCount = await this.lobbyRepo.cleanupExpiredLobbies();
-        if (cleanedCount > 0) {
-          logger.info(`Cleaned up ${cleanedCount} expired lobbies`);
-        }
-      } catch (error) {
-        logger.error('Error during lobby cleanup:', error);
-      }
-    }, 5 * 60 * 1000); // 5 minutes
-
-    logger.info('Lobby cleanup process started');
-  }
-
-  /**
-   * Stop cleanup process
-   */
-  stopCleanupProcess() {
-    if (this.cleanupInterval) {
-      clearInterval(this.cleanupInterval);
-      this.cleanupInterval = null;
-      logger.info('Lobby cleanup process stopped');
-    }
-  }
-
   /**
    * Get lobby statistics for a guild
    */
@@ -596,15 +991,10 @@ class LobbyManager {
       throw new Error('Lobby not found');
     }
 
-    switch (action) {
-      case 'disband':
-      case 'transfer_leadership':
-      case 'extend':
-        if (!lobby.isLeader(userId)) {
-          throw new Error('Only the lobby leader can perform this action');
-        }
-        break;
-      
+    // Legacy action names map onto the leadership capability matrix
+    const capability = LEGACY_ACTION_CAPABILITIES[action] || action;
+
+    switch (capability) {
       case 'join':
         if (lobby.hasMember(userId)) {
           throw new Error('You are already in this lobby');
@@ -616,6 +1006,10 @@ class LobbyManager {
           throw new Error('You are not in this lobby');
         }
         break;
+
+      default:
+        PartyLeaderManager.assertCapability(lobby, userId, capability);
+        break;
     }
 
     if (!lobby.isActive()) {
@@ -0,0 +1,319 @@
+const { EmbedBuilder } = require('discord.js');
+const LobbyRepository = require('../../database/repositories/LobbyRepository');
+const lobbyCatalogManager = require('../../utils/lobbyCatalogManager');
+const volatileDM = require('../../utils/volatileDM');
+const config = require('../../config');
+const logger = require('../../utils/logger');
+const { getZonedParts, zonedTimeToDate } = require('../../utils/timezone');
+
+// Scheduled lobbies whose start was missed by more than this (e.g. bot offline) are expired instead of opened
+const MISSED_START_GRACE_MINUTES = 60;
+
+/**
+ * Opens scheduled lobbies at their start time and sends RSVP reminders.
+ * All schedule state lives in the lobbies table, so polling picks up where it left off after a restart.
+ */
+class LobbyScheduler {
+  constructor(client, lobbyManager) {
+    this.client = client;
+    this.lobbyManager = lobbyManager;
+    this.lobbyRepo = new LobbyRepository();
+    this.checkInterval = null;
+    this.isProcessing = false;
+  }
+
+  /**
+   * Restore catalog tracking for scheduled lobbies and start polling
+   */
+  async start(intervalMs = 60 * 1000) {
+    await this.restoreCatalogTracking();
+    await this.processScheduledLobbies();
+
+    this.checkInterval = setInterval(() => {
+      this.processScheduledLobbies();
+    }, intervalMs);
+
+    logger.info('Lobby scheduler started', { intervalMs });
+  }
+
+  /**
+   * Stop polling
+   */
+  stop() {
+    if (this.checkInterval) {
+      clearInterval(this.checkInterval);
+      this.checkInterval = null;
+      logger.info('Lobby scheduler stopped');
+    }
+  }
+
+  /**
+   * Re-register persisted catalog messages so scheduled posts can be edited after a restart
+   */
+  async restoreCatalogTracking() {
+    try {
+      const rows = await this.lobbyRepo.findBy({ status: 'scheduled' });
+
+      for (const row of rows) {
+        if (row.catalog_message_id && row.catalog_channel_id) {
+          lobbyCatalogManager.trackCatalogMessage(row.id, {
+            messageId: row.catalog_message_id,
+            channelId: row.catalog_channel_id,
+            guildId: row.guild_id
+          });
+        }
+      }
+
+      logger.info('Restored scheduled lobby catalog tracking', { count: rows.length });
+    } catch (error) {
+      logger.error('Failed to restore scheduled lobby catalog tracking:', error);
+    }
+  }
+
+  /**
+   * Send due reminders and open lobbies whose start time has arrived
+   */
+  async processScheduledLobbies(now = new Date()) {
+    if (this.isProcessing) {
+      return;
+    }
+
+    this.isProcessing = true;
+    try {
+      await this.sendDueReminders(now);
+      await this.startDueLobbies(now);
+    } catch (error) {
+      logger.error('Error processing scheduled lobbies:', error);
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  /**
+   * DM everyone who RSVP'd going or maybe for lobbies starting within the reminder window
+   */
+  async sendDueReminders(now = new Date()) {
+    const cutoff = new Date(now.getTime() + config.lobby.reminderMinutes * 60 * 1000);
+    const lobbies = await this.lobbyRepo.getLobbiesNeedingReminder(cutoff);
+
+    for (const lobby of lobbies) {
+      // Lobbies that are already due get a start notification instead
+      if (lobby.isStartDue(now)) {
+        continue;
+      }
+
+      try {
+        const rsvps = await this.lobbyRepo.getRsvps(lobby.id);
+        const recipients = rsvps.filter(rsvp => rsvp.response === 'going' || rsvp.response === 'maybe');
+        const startUnix = Math.floor(new Date(lobby.scheduledStart).getTime() / 1000);
+
+        for (const rsvp of recipients) {
+          const embed = new EmbedBuilder()
+            .setColor(0x9B59B6)
+            .setTitle('⏰ Lobby Starting Soon')
+            .setDescription(`The **${lobby.gameType}** lobby you RSVP'd to starts <t:${startUnix}:R>.`)
+            .addFields(
+              { name: '👑 Leader', value: `<@${lobby.leaderId}>`, inline: true },
+              { name: '📋 Your RSVP', value: rsvp.response === 'going' ? '✅ Going' : '🤔 Maybe', inline: true },
+              {
+                name: '⏰ Auto-Delete',
+                value: `This message will automatically delete in ${config.dm.volatileDeleteMinutes} minutes to keep your DMs clean.`
+              }
+            )
+            .setTimestamp();
+
+          await this.sendDM(rsvp.user_id, embed);
+        }
+
+        await this.lobbyRepo.markReminderSent(lobby.id);
+
+        logger.info('Sent scheduled lobby reminders', {
+          lobbyId: lobby.id,
+          recipientCount: recipients.length
+        });
+      } catch (error) {
+        logger.error('Failed to send scheduled lobby reminders', {
+          lobbyId: lobby.id,
+          error: error.message
+        });
+      }
+    }
+  }
+
+  /**
+   * Open scheduled lobbies whose start time has been reached
+   */
+  async startDueLobbies(now = new Date()) {
+    const lobbies = await this.lobbyRepo.getDueScheduledLobbies(now);
+
+    for (const lobby of lobbies) {
+      try {
+        const minutesLate = (now.getTime() - new Date(lobby.scheduledStart).getTime()) / (60 * 1000);
+
+        if (minutesLate > MISSED_START_GRACE_MINUTES) {
+          await this.lobbyManager.expireLobby(lobby.id);
+          logger.warn('Expired scheduled lobby that missed its start time', {
+            lobbyId: lobby.id,
+            minutesLate: Math.round(minutesLate)
+          });
+          continue;
+        }
+
+        const startedLobby = await this.lobbyManager.startScheduledLobby(lobby.id);
+        if (!startedLobby) {
+          continue;
+        }
+
+        const catalogMessage = await lobbyCatalogManager.markLobbyStarted(startedLobby, this.client);
+
+        if (catalogMessage && startedLobby.voiceChannelId && this.lobbyManager.voiceChannelManager) {
+          const emojiReactionManager = require('../../utils/emojiReactionManager');
+          emojiReactionManager.setupEmojiReactionListener(
+            catalogMessage,
+            startedLobby.id,
+            startedLobby.voiceChannelId,
+            this.lobbyManager.voiceChannelManager,
+            config.emoji.reactionTimeoutMinutes,
+            startedLobby.leaderId
+          );
+        }
+
+        await this.notifyLobbyStarted(startedLobby);
+      } catch (error) {
+        logger.error('Failed to start scheduled lobby', {
+          lobbyId: lobby.id,
+          error: error.message
+        });
+      }
+    }
+  }
+
+  /**
+   * Let lobby members know their scheduled lobby is open
+   */
+  async notifyLobbyStarted(lobby) {
+    for (const userId of lobby.getMemberIds()) {
+      const embed = new EmbedBuilder()
+        .setColor(0x00FF00)
+        .setTitle('🎮 Your Lobby Is Open!')
+        .setDescription(`The scheduled **${lobby.gameType}** lobby has started.`)
+        .addFields(
+          { name: '👑 Leader', value: `<@${lobby.leaderId}>`, inline: true }
+        );
+
+      if (lobby.voiceChannelId) {
+        embed.addFields({
+          name: '🔊 Voice Channel',
+          value: `You have access to <#${lobby.voiceChannelId}>. Head back to the server and jump in!`
+        });
+      }
+
+      embed.addFields({
+        name: '⏰ Auto-Delete',
+        value: `This message will automatically delete in ${config.dm.volatileDeleteMinutes} minutes to keep your DMs clean.`
+      })
+      .setTimestamp();
+
+      await this.sendDM(userId, embed);
+    }
+  }
+
+  /**
+   * Send a volatile DM to a user by ID
+   */
+  async sendDM(userId, embed) {
+    try {
+      const user = await this.client.users.fetch(userId);
+      await volatileDM.sendVolatileDM(user, { embeds: [embed] }, config.dm.volatileDeleteMinutes);
+    } catch (error) {
+      logger.debug('Failed to send scheduled lobby DM', { userId, error: error.message });
+    }
+  }
+
+  /**
+   * Parse a user-supplied start time.
+   * Accepts relative times ("in 2h", "1h30m", "45m"), clock times ("20:30", "8:30pm"),
+   * dates ("2025-06-01 19:00"), unix seconds and Discord timestamps ("<t:1748800800:F>").
+   * Clock times and dates without an offset use the given timezone, or the bot's local one.
+   * @param {string} input - Raw start time text
+   * @param {Date} now - Reference time
+   * @param {string|null} timezone - IANA timezone for clock times and dates
+   * @returns {Date|null} - Parsed start time or null if unrecognized
+   */
+  static parseStartTime(input, now = new Date(), timezone = null) {
+    if (!input || typeof input !== 'string') {
+      return null;
+    }
+
+    const text = input.trim().toLowerCase();
+
+    // Discord timestamp or unix seconds
+    const unixMatch = text.match(/^(?:<t:)?(\d{9,11})(?::[a-z])?>?$/);
+    if (unixMatch) {
+      return new Date(parseInt(unixMatch[1]) * 1000);
+    }
+
+    // Relative durations
+    const relativeText = text.replace(/^in\s+/, '').replace(/\s+/g, '');
+    const relativeMatch = relativeText.match(/^(?:(\d+)d)?(?:(\d+)h)?(?:(\d+)m(?:in)?)?$/);
+    if (relativeMatch && relativeText.length > 0) {
+      const [, days = 0, hours = 0, minutes = 0] = relativeMatch;
+      const totalMinutes = parseInt(days) * 1440 + parseInt(hours) * 60 + parseInt(minutes);
+      if (totalMinutes > 0) {
+        return new Date(now.getTime() + totalMinutes * 60 * 1000);
+      }
+    }
+
+    // Clock time: next occurrence today or tomorrow
+    const clockMatch = text.match(/^(\d{1,2})(?::(\d{2}))?\s*(am|pm)?$/);
+    if (clockMatch && (clockMatch[2] || clockMatch[3])) {
+      let hours = parseInt(clockMatch[1]);
+      const minutes = parseInt(clockMatch[2] || '0');
+      const meridiem = clockMatch[3];
+
+      if (meridiem) {
+        if (hours < 1 || hours > 12) return null;
+        hours = hours % 12 + (meridiem === 'pm' ? 12 : 0);
+      }
+
+      if (hours > 23 || minutes > 59) {
+        return null;
+      }
+
+      if (timezone) {
+        const today = getZonedParts(now, timezone);
+        const start = zonedTimeToDate({ ...today, hour: hours, minute: minutes }, timezone);
+        return start > now
+          ? start
+          : zonedTimeToDate({ ...today, day: today.day + 1, hour: hours, minute: minutes }, timezone);
+      }
+
+      const start = new Date(now);
+      start.setHours(hours, minutes, 0, 0);
+      if (start <= now) {
+        start.setDate(start.getDate() + 1);
+      }
+      return start;
+    }
+
+    // Calendar date and time
+    const dateMatch = text.match(/^(\d{4})-(\d{2})-(\d{2})[t\s]+(\d{1,2}):(\d{2})$/);
+    if (dateMatch) {
+      const [, year, month, day, hours, minutes] = dateMatch.map(Number);
+      const start = timezone
+        ? zonedTimeToDate({ year, month, day, hour: hours, minute: minutes }, timezone)
+        : new Date(year, month - 1, day, hours, minutes, 0, 0);
+      return isNaN(start.getTime()) ? null : start;
+    }
+
+    // Fall back to ISO 8601 with an explicit offset
+    if (/^\d{4}-\d{2}-\d{2}t.*(z|[+-]\d{2}:?\d{2})$/.test(text)) {
+      const start = new Date(input.trim());
+      return isNaN(start.getTime()) ? null : start;
+    }
+
+    return null;
+  }
+}
+
+module.exports = LobbyScheduler;
@@ -0,0 +1,115 @@
+const LobbyRepository = require('../../database/repositories/LobbyRepository');
+const LobbyHistoryRepository = require('../../database/repositories/LobbyHistoryRepository');
+const logger = require('../../utils/logger');
+
+/**
+ * Tracks voice time in lobby voice channels and reports gaming stats from the
+ * lobby session history. Joins, leaves and lobby outcomes are recorded by
+ * LobbyRepository as they happen.
+ */
+class LobbyStatsManager {
+  constructor() {
+    this.lobbyRepo = new LobbyRepository();
+    this.historyRepo = new LobbyHistoryRepository();
+  }
+
+  /**
+   * Start or stop a member's voice time when they move between channels
+   * @param {VoiceState} oldState - Voice state before the update
+   * @param {VoiceState} newState - Voice state after the update
+   */
+  async handleVoiceStateUpdate(oldState, newState) {
+    // Mute, deafen and stream changes keep the same channel
+    if (oldState.channelId === newState.channelId) {
+      return;
+    }
+
+    const userId = newState.id || oldState.id;
+
+    try {
+      if (oldState.channelId) {
+        const lobby = await this.lobbyRepo.getLobbyByVoiceChannel(oldState.channelId);
+        if (lobby) {
+          await this.historyRepo.recordVoiceLeave(lobby.id, userId);
+        }
+      }
+
+      if (newState.channelId) {
+        const lobby = await this.lobbyRepo.getLobbyByVoiceChannel(newState.channelId);
+        if (lobby && lobby.hasMember(userId)) {
+          await this.historyRepo.recordVoiceJoin(lobby.id, userId);
+        }
+      }
+    } catch (error) {
+      logger.error('Failed to record lobby voice activity:', error);
+    }
+  }
+
+  /**
+   * Get a user's gaming stats in a guild
+   * @returns {Promise<{sessions: number, hoursPlayed: number, games: Array, teammates: Array}>}
+   */
+  async getUserStats(guildId, userId) {
+    try {
+      const [totals, games, teammates] = await Promise.all([
+        this.historyRepo.getUserTotals(guildId, userId),
+        this.historyRepo.getUserGameStats(guildId, userId),
+        this.historyRepo.getFrequentTeammates(guildId, userId)
+      ]);
+
+      return {
+        sessions: totals.sessions,
+        hoursPlayed: LobbyStatsManager.toHours(totals.voice_seconds),
+        games: games.map(game => ({
+          gameType: game.game_type,
+          sessions: game.sessions,
+          hoursPlayed: LobbyStatsManager.toHours(game.voice_seconds)
+        })),
+        teammates: teammates.map(teammate => ({
+          userId: teammate.user_id,
+          sharedSessions: teammate.shared_sessions
+        }))
+      };
+    } catch (error) {
+      logger.error('Failed to get user gaming stats:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the guild leaderboard
+   * @returns {Promise<{players: Array, games: Array}>}
+   */
+  async getLeaderboard(guildId, limit = 10) {
+    try {
+      const [players, games] = await Promise.all([
+        this.historyRepo.getGuildLeaderboard(guildId, limit),
+        this.historyRepo.getGuildTopGames(guildId)
+      ]);
+
+      return {
+        players: players.map(player => ({
+          userId: player.user_id,
+          sessions: player.sessions,
+          hoursPlayed: LobbyStatsManager.toHours(player.voice_seconds)
+        })),
+        games: games.map(game => ({
+          gameType: game.game_type,
+          sessions: game.sessions
+        }))
+      };
+    } catch (error) {
+      logger.error('Failed to get gaming leaderboard:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Convert voice seconds to hours, rounded to one decimal place
+   */
+  static toHours(seconds) {
+    return Math.round(((seconds || 0) / 3600) * 10) / 10;
+  }
+}
+
+module.exports = LobbyStatsManager;
@@ -0,0 +1,181 @@
+const LobbyTemplateRepository = require('../../database/repositories/LobbyTemplateRepository');
+const ServerConfigRepository = require('../../database/repositories/ServerConfigRepository');
+const LobbyTemplate = require('../../database/models/LobbyTemplate');
+const logger = require('../../utils/logger');
+
+const MAX_TEMPLATES_PER_USER = 25;
+const MAX_SHARED_TEMPLATES_PER_GUILD = 25;
+
+/**
+ * Manages saved lobby templates.
+ * Personal templates are owned by one user; shared templates are published by guild admins
+ * and usable by everyone in the guild. Callers are responsible for checking admin permissions
+ * before passing { shared: true }.
+ */
+class LobbyTemplateManager {
+  constructor() {
+    this.templateRepo = new LobbyTemplateRepository();
+    this.configRepo = new ServerConfigRepository();
+  }
+
+  /**
+   * Save a template, replacing any template with the same name in the same scope
+   * @param {string} guildId - Guild ID
+   * @param {string} userId - User saving the template
+   * @param {Object} data - Template fields (name, gameType, maxPlayers, durationMinutes, channelName, channelEmoji, privacy, inviteList)
+   * @param {Object} options - { shared: publish for the whole guild }
+   */
+  async saveTemplate(guildId, userId, data, options = {}) {
+    try {
+      const ownerId = options.shared ? null : userId;
+
+      // Templates reference server_config, so make sure the guild has a row
+      await this.ensureServerConfig(guildId);
+
+      const existing = await this.templateRepo.getTemplateByName(guildId, ownerId, data.name || '');
+      if (!existing) {
+        const count = ownerId
+          ? await this.templateRepo.countUserTemplates(guildId, userId)
+          : (await this.templateRepo.getSharedTemplates(guildId)).length;
+        const limit = ownerId ? MAX_TEMPLATES_PER_USER : MAX_SHARED_TEMPLATES_PER_GUILD;
+
+        if (count >= limit) {
+          throw new Error(`You have reached the maximum number of ${ownerId ? 'personal' : 'shared'} templates (${limit})`);
+        }
+      }
+
+      const template = new LobbyTemplate({
+        ...data,
+        guildId,
+        ownerId,
+        createdBy: userId
+      });
+
+      await this.templateRepo.saveTemplate(template);
+
+      logger.info('Lobby template saved', {
+        templateId: template.id,
+        guildId,
+        userId,
+        name: template.name,
+        shared: template.isShared(),
+        replaced: !!existing
+      });
+
+      return { template, replaced: !!existing };
+    } catch (error) {
+      logger.error('Failed to save lobby template:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get templates a user can use in a guild
+   * @returns {Promise<{personal: LobbyTemplate[], shared: LobbyTemplate[]}>}
+   */
+  async listTemplates(guildId, userId) {
+    const personal = await this.templateRepo.getUserTemplates(guildId, userId);
+    const shared = await this.templateRepo.getSharedTemplates(guildId);
+    return { personal, shared };
+  }
+
+  /**
+   * Delete a template by name
+   * @param {Object} options - { shared: delete the guild template instead of a personal one }
+   */
+  async deleteTemplate(guildId, userId, name, options = {}) {
+    try {
+      const ownerId = options.shared ? null : userId;
+      const template = await this.templateRepo.getTemplateByName(guildId, ownerId, name);
+
+      if (!template) {
+        throw new Error(`No ${options.shared ? 'shared' : 'personal'} template named "${name}" was found`);
+      }
+
+      await this.templateRepo.deleteTemplate(template.id);
+
+      logger.info('Lobby template deleted', {
+        templateId: template.id,
+        guildId,
+        userId,
+        name: template.name,
+        shared: template.isShared()
+      });
+
+      return template;
+    } catch (error) {
+      logger.error('Failed to delete lobby template:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Resolve a template from an autocomplete value (template ID) or a typed name.
+   * Personal templates take precedence over shared ones with the same name.
+   * @returns {Promise<LobbyTemplate|null>}
+   */
+  async resolveTemplate(guildId, userId, input) {
+    if (!input) {
+      return null;
+    }
+
+    if (/^\d+$/.test(input)) {
+      const template = await this.templateRepo.getTemplateById(parseInt(input));
+      if (template && template.guildId === guildId && (template.isShared() || template.ownerId === userId)) {
+        return template;
+      }
+    }
+
+    return await this.templateRepo.getTemplateByName(guildId, userId, input) ||
+      await this.templateRepo.getTemplateByName(guildId, null, input);
+  }
+
+  /**
+   * Build autocomplete choices for the templates a user can use
+   */
+  async getAutocompleteChoices(guildId, userId, focusedValue = '') {
+    const templates = await this.templateRepo.getAvailableTemplates(guildId, userId);
+    const searchTerm = focusedValue.toLowerCase();
+
+    return templates
+      .filter(template =>
+        template.name.toLowerCase().includes(searchTerm) ||
+        template.gameType.toLowerCase().includes(searchTerm)
+      )
+      .slice(0, 25) // Discord limit
+      .map(template => ({
+        name: `${template.isShared() ? '🏠' : '👤'} ${template.name} (${template.gameType})`.substring(0, 100),
+        value: String(template.id)
+      }));
+  }
+
+  /**
+   * Ensure the guild has a server_config row
+   */
+  async ensureServerConfig(guildId) {
+    const config = await this.configRepo.getByGuildId(guildId);
+    if (!config) {
+      const ServerConfig = require('../../database/models/ServerConfig');
+      await this.configRepo.saveConfig(new ServerConfig({ guildId }));
+      logger.info('Created default server configuration', { guildId });
+    }
+  }
+
+  /**
+   * Extract user IDs from mentions or raw IDs, e.g. "<@123> <@!456> 789"
+   * @param {string} input - Raw invite list option value
+   * @returns {string[]} - Unique user IDs
+   */
+  static parseInviteList(input) {
+    if (!input) {
+      return [];
+    }
+
+    const ids = [...input.matchAll(/<@!?(\d{15,21})>|\b(\d{15,21})\b/g)]
+      .map(match => match[1] || match[2]);
+
+    return [...new Set(ids)];
+  }
+}
+
+module.exports = LobbyTemplateManager;
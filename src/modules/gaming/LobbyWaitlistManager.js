@@ -0,0 +1,377 @@
+const { EmbedBuilder, ButtonBuilder, ActionRowBuilder, ButtonStyle } = require('discord.js');
+const LobbyWaitlistRepository = require('../../database/repositories/LobbyWaitlistRepository');
+const volatileDM = require('../../utils/volatileDM');
+const config = require('../../config');
+const logger = require('../../utils/logger');
+const ComponentRouter = require('../../utils/componentRouter');
+
+const MAX_WAITLIST_SIZE = 20;
+
+const WAITLIST_BUTTON = ComponentRouter.defineComponent({
+  name: 'waitlist',
+  type: 'button',
+  params: [
+    { name: 'action', type: 'enum', values: ['accept', 'decline', 'leave'] },
+    { name: 'lobbyId' }
+  ],
+  legacy: {
+    'waitlist_': rest => {
+      const [action, ...lobbyIdParts] = rest.split('_');
+      return { action, lobbyId: lobbyIdParts.join('_') };
+    }
+  }
+});
+
+/**
+ * Queues users for full lobbies and offers freed slots in order.
+ * Only one offer is outstanding per lobby at a time; an offer that is declined
+ * or lapses moves on to the next person in line.
+ */
+class LobbyWaitlistManager {
+  constructor(lobbyManager) {
+    this.lobbyManager = lobbyManager;
+    this.waitlistRepo = new LobbyWaitlistRepository();
+    this.checkInterval = null;
+  }
+
+  /**
+   * Discord client used for DMs and catalog updates
+   */
+  get client() {
+    return this.lobbyManager.voiceChannelManager?.client || this.lobbyManager.client;
+  }
+
+  /**
+   * Start polling for lapsed offers.
+   * Offer expiry is stored in the database, so offers made before a restart still lapse.
+   */
+  start(intervalMs = 30 * 1000) {
+    this.checkInterval = setInterval(() => {
+      this.expireOffers().catch(error => {
+        logger.error('Error expiring lobby waitlist offers:', error);
+      });
+    }, intervalMs);
+
+    logger.info('Lobby waitlist offer expiry started', { intervalMs });
+  }
+
+  /**
+   * Stop polling
+   */
+  stop() {
+    if (this.checkInterval) {
+      clearInterval(this.checkInterval);
+      this.checkInterval = null;
+      logger.info('Lobby waitlist offer expiry stopped');
+    }
+  }
+
+  /**
+   * Add a user to a full lobby's waitlist
+   * @returns {Promise<{position: number, alreadyWaiting: boolean}>}
+   */
+  async joinWaitlist(lobbyId, userId) {
+    try {
+      const lobby = await this.lobbyManager.getLobby(lobbyId);
+
+      if (!lobby || !lobby.isActive()) {
+        throw new Error('Lobby not found or has expired');
+      }
+
+      if (lobby.hasMember(userId)) {
+        throw new Error('You are already in this lobby');
+      }
+
+      const existingPosition = await this.waitlistRepo.getPosition(lobbyId, userId);
+      if (existingPosition) {
+        return { position: existingPosition, alreadyWaiting: true };
+      }
+
+      if (!await this.lobbyManager.isLobbyFull(lobby)) {
+        throw new Error('This lobby has an open slot. Request to join it instead.');
+      }
+
+      const waitlist = await this.waitlistRepo.getWaitlist(lobbyId);
+      if (waitlist.length >= MAX_WAITLIST_SIZE) {
+        throw new Error(`The waitlist for this lobby is full (max ${MAX_WAITLIST_SIZE})`);
+      }
+
+      await this.waitlistRepo.addToWaitlist(lobbyId, userId);
+      const position = await this.waitlistRepo.getPosition(lobbyId, userId);
+
+      logger.info('User joined lobby waitlist', { lobbyId, userId, position });
+
+      return { position, alreadyWaiting: false };
+    } catch (error) {
+      logger.error('Failed to join lobby waitlist:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a user from a lobby's waitlist, passing on their offer if they held one
+   */
+  async leaveWaitlist(lobbyId, userId) {
+    try {
+      const entry = await this.waitlistRepo.getEntry(lobbyId, userId);
+      if (!entry) {
+        return false;
+      }
+
+      await this.waitlistRepo.removeFromWaitlist(lobbyId, userId);
+      logger.info('User left lobby waitlist', { lobbyId, userId });
+
+      if (entry.status === 'offered') {
+        await this.offerNextSlot(lobbyId);
+      }
+
+      return true;
+    } catch (error) {
+      logger.error('Failed to leave lobby waitlist:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the waitlist for a lobby in queue order
+   */
+  async getWaitlist(lobbyId) {
+    return await this.waitlistRepo.getWaitlist(lobbyId);
+  }
+
+  /**
+   * Offer an open slot to the next user in line
+   * @returns {Promise<Object|null>} - The waitlist entry that received the offer
+   */
+  async offerNextSlot(lobbyId) {
+    const lobby = await this.lobbyManager.getLobby(lobbyId);
+    if (!lobby || !lobby.isActive() || await this.lobbyManager.isLobbyFull(lobby)) {
+      return null;
+    }
+
+    // One offer at a time keeps the queue order fair
+    if (await this.waitlistRepo.getActiveOffer(lobbyId)) {
+      return null;
+    }
+
+    let entry = await this.waitlistRepo.getNextWaiting(lobbyId);
+    while (entry) {
+      if (lobby.hasMember(entry.user_id)) {
+        await this.waitlistRepo.removeFromWaitlist(lobbyId, entry.user_id);
+      } else {
+        const expiresAt = new Date(Date.now() + config.lobby.waitlistOfferMinutes * 60 * 1000);
+        await this.waitlistRepo.markOffered(entry.id, expiresAt);
+
+        if (await this.sendOfferDM(lobby, entry.user_id, expiresAt)) {
+          logger.info('Offered lobby slot to waitlisted user', {
+            lobbyId,
+            userId: entry.user_id,
+            expiresAt: expiresAt.toISOString()
+          });
+          return entry;
+        }
+
+        // Users we can't reach lose their place rather than stalling the queue
+        await this.waitlistRepo.removeFromWaitlist(lobbyId, entry.user_id);
+        logger.warn('Skipped waitlisted user who could not be messaged', {
+          lobbyId,
+          userId: entry.user_id
+        });
+      }
+
+      entry = await this.waitlistRepo.getNextWaiting(lobbyId);
+    }
+
+    return null;
+  }
+
+  /**
+   * Accept an outstanding slot offer and join the lobby
+   */
+  async acceptOffer(lobbyId, userId) {
+    try {
+      const entry = await this.waitlistRepo.getEntry(lobbyId, userId);
+      if (!entry || entry.status !== 'offered' || new Date(entry.offer_expires_at) <= new Date()) {
+        throw new Error('This waitlist offer has expired.');
+      }
+
+      const lobby = await this.lobbyManager.joinLobby(lobbyId, userId);
+      await this.waitlistRepo.removeFromWaitlist(lobbyId, userId);
+
+      const voiceChannelManager = this.lobbyManager.voiceChannelManager;
+      if (lobby.voiceChannelId && voiceChannelManager) {
+        await voiceChannelManager.addUserToChannel(lobby.voiceChannelId, userId);
+      }
+
+      if (this.client) {
+        const lobbyCatalogManager = require('../../utils/lobbyCatalogManager');
+        await lobbyCatalogManager.updateLobbyInCatalog(lobbyId, lobby, this.client);
+      }
+
+      logger.info('Waitlisted user accepted lobby slot', { lobbyId, userId });
+
+      // Another slot may still be open (e.g. several members left at once)
+      await this.offerNextSlot(lobbyId);
+
+      return lobby;
+    } catch (error) {
+      logger.error('Failed to accept lobby waitlist offer:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Decline an outstanding slot offer and pass it to the next user
+   */
+  async declineOffer(lobbyId, userId) {
+    const entry = await this.waitlistRepo.getEntry(lobbyId, userId);
+    if (!entry || entry.status !== 'offered') {
+      return false;
+    }
+
+    await this.waitlistRepo.removeFromWaitlist(lobbyId, userId);
+    logger.info('Waitlisted user declined lobby slot', { lobbyId, userId });
+
+    await this.offerNextSlot(lobbyId);
+    return true;
+  }
+
+  /**
+   * Drop offers that lapsed without a response and move on to the next user
+   */
+  async expireOffers(now = new Date()) {
+    const expired = await this.waitlistRepo.getExpiredOffers(now);
+
+    for (const entry of expired) {
+      try {
+        await this.waitlistRepo.removeFromWaitlist(entry.lobby_id, entry.user_id);
+        logger.info('Lobby waitlist offer expired', {
+          lobbyId: entry.lobby_id,
+          userId: entry.user_id
+        });
+
+        await this.offerNextSlot(entry.lobby_id);
+      } catch (error) {
+        logger.error('Failed to expire lobby waitlist offer', {
+          lobbyId: entry.lobby_id,
+          userId: entry.user_id,
+          error: error.message
+        });
+      }
+    }
+
+    return expired.length;
+  }
+
+  /**
+   * DM a waitlisted user that a slot is open
+   * @returns {Promise<boolean>} - Whether the DM was delivered
+   */
+  async sendOfferDM(lobby, userId, expiresAt) {
+    try {
+      const client = this.client;
+      if (!client) {
+        return false;
+      }
+
+      const user = await client.users.fetch(userId);
+      const expiresUnix = Math.floor(expiresAt.getTime() / 1000);
+
+      const embed = new EmbedBuilder()
+        .setColor(0x00FF00)
+        .setTitle('🎟️ A Lobby Slot Opened Up!')
+        .setDescription(`A spot opened in the **${lobby.gameType}** lobby you're waiting for.`)
+        .addFields(
+          { name: '👑 Leader', value: `<@${lobby.leaderId}>`, inline: true },
+          { name: '⌛ Offer Expires', value: `<t:${expiresUnix}:R>`, inline: true },
+          {
+            name: '⏰ Auto-Delete',
+            value: `This message will automatically delete in ${config.dm.volatileDeleteMinutes} minutes to keep your DMs clean.`
+          }
+        )
+        .setTimestamp();
+
+      const acceptButton = new ButtonBuilder()
+        .setCustomId(WAITLIST_BUTTON.build({ action: 'accept', lobbyId: lobby.id }))
+        .setLabel('Join Lobby')
+        .setStyle(ButtonStyle.Success)
+        .setEmoji('✅');
+
+      const declineButton = new ButtonBuilder()
+        .setCustomId(WAITLIST_BUTTON.build({ action: 'decline', lobbyId: lobby.id }))
+        .setLabel('Pass')
+        .setStyle(ButtonStyle.Secondary)
+        .setEmoji('❌');
+
+      const actionRow = new ActionRowBuilder().addComponents(acceptButton, declineButton);
+
+      await volatileDM.sendVolatileDM(user, {
+        embeds: [embed],
+        components: [actionRow]
+      }, config.dm.volatileDeleteMinutes);
+
+      return true;
+    } catch (error) {
+      logger.debug('Failed to send waitlist offer DM', { userId, error: error.message });
+      return false;
+    }
+  }
+
+  /**
+   * Button row letting a waitlisted user give up their place
+   */
+  buildLeaveWaitlistRow(lobbyId) {
+    const leaveButton = new ButtonBuilder()
+      .setCustomId(WAITLIST_BUTTON.build({ action: 'leave', lobbyId }))
+      .setLabel('Leave Waitlist')
+      .setStyle(ButtonStyle.Secondary)
+      .setEmoji('🚪');
+
+    return new ActionRowBuilder().addComponents(leaveButton);
+  }
+
+  /**
+   * Handle the accept, decline and leave waitlist buttons
+   * @param {ButtonInteraction} interaction - Discord button interaction
+   * @param {string} action - accept, decline or leave
+   * @param {string} lobbyId - Lobby ID
+   */
+  async handleWaitlistButton(interaction, action, lobbyId) {
+    const userId = interaction.user.id;
+
+    try {
+      if (action === 'accept') {
+        const lobby = await this.acceptOffer(lobbyId, userId);
+        const voiceText = lobby.voiceChannelId
+          ? ` You now have access to <#${lobby.voiceChannelId}>.`
+          : '';
+
+        await interaction.reply({
+          content: `✅ You joined the **${lobby.gameType}** lobby!${voiceText}`,
+          ephemeral: true
+        });
+      } else if (action === 'decline') {
+        await this.declineOffer(lobbyId, userId);
+        await interaction.reply({
+          content: '👋 You passed on the slot and left the waitlist.',
+          ephemeral: true
+        });
+      } else if (action === 'leave') {
+        const removed = await this.leaveWaitlist(lobbyId, userId);
+        await interaction.reply({
+          content: removed ? '👋 You left the waitlist.' : '❌ You are not on this waitlist.',
+          ephemeral: true
+        });
+      }
+    } catch (error) {
+      await interaction.reply({
+        content: `❌ ${error.message}`,
+        ephemeral: true
+      });
+    }
+  }
+}
+
+LobbyWaitlistManager.WAITLIST_BUTTON = WAITLIST_BUTTON;
+
+module.exports = LobbyWaitlistManager;
@@ -0,0 +1,520 @@
+const { EmbedBuilder, ButtonBuilder, ActionRowBuilder, ButtonStyle } = require('discord.js');
+const MatchmakingQueueRepository = require('../../database/repositories/MatchmakingQueueRepository');
+const volatileDM = require('../../utils/volatileDM');
+const config = require('../../config');
+const logger = require('../../utils/logger');
+const ComponentRouter = require('../../utils/componentRouter');
+
+const QUEUE_ROLES = ['tank', 'healer', 'dps', 'flex'];
+
+/**
+ * Share of a group each declared role may fill. Flex (or no role) fills any slot.
+ */
+const ROLE_SHARES = {
+  tank: 0.2,
+  healer: 0.2,
+  dps: 0.6
+};
+
+const MIN_RANK = 1;
+const MAX_RANK = 10;
+const MIN_GROUP_SIZE = 2;
+const MAX_GROUP_SIZE = 10;
+
+const REQUEUE_BUTTON = ComponentRouter.defineComponent({
+  name: 'queue-requeue',
+  type: 'button',
+  params: [{ name: 'entryId', type: 'integer' }],
+  legacy: {
+    'queue_requeue_': entryId => ({ entryId })
+  }
+});
+
+/**
+ * Per-game matchmaking queue. Players queue with an optional self-reported rank and
+ * role; once enough compatible players are waiting a lobby is created for them, the
+ * highest-ranked player leads it and everyone is moved into its voice channel.
+ */
+class MatchmakingManager {
+  constructor(client, lobbyManager) {
+    this.client = client;
+    this.lobbyManager = lobbyManager;
+    this.queueRepo = new MatchmakingQueueRepository();
+    this.checkInterval = null;
+    this.matchingGames = new Set();
+  }
+
+  /**
+   * Start polling for timed-out entries and retrying matches
+   */
+  start(intervalMs = 60 * 1000) {
+    this.checkInterval = setInterval(() => {
+      this.tick().catch(error => {
+        logger.error('Error processing matchmaking queue:', error);
+      });
+    }, intervalMs);
+
+    logger.info('Matchmaking queue started', { intervalMs });
+  }
+
+  /**
+   * Stop polling
+   */
+  stop() {
+    if (this.checkInterval) {
+      clearInterval(this.checkInterval);
+      this.checkInterval = null;
+      logger.info('Matchmaking queue stopped');
+    }
+  }
+
+  /**
+   * Time out stale entries, then try to match every queued game
+   */
+  async tick(now = new Date()) {
+    await this.expireEntries(now);
+
+    const games = await this.queueRepo.getQueuedGames();
+    for (const { guild_id: guildId, game_type: gameType } of games) {
+      try {
+        await this.tryMatch(guildId, gameType);
+      } catch (error) {
+        logger.error('Failed to match queued players', { guildId, gameType, error: error.message });
+      }
+    }
+  }
+
+  /**
+   * Put a user in a game's queue and try to form a match
+   * @returns {Promise<{entry: Object, position: number, lobby: Lobby|null}>}
+   */
+  async joinQueue(guildId, userId, gameType, options = {}) {
+    try {
+      const game = (gameType || '').trim();
+      const rank = options.rank ?? null;
+      const role = options.role || null;
+      const groupSize = options.groupSize || config.lobby.queueGroupSize;
+
+      if (!game) {
+        throw new Error('Game type is required');
+      }
+
+      if (game.length > 100) {
+        throw new Error('Game type must be 100 characters or less');
+      }
+
+      if (rank !== null && (!Number.isInteger(rank) || rank < MIN_RANK || rank > MAX_RANK)) {
+        throw new Error(`Rank must be a whole number between ${MIN_RANK} and ${MAX_RANK}`);
+      }
+
+      if (role !== null && !QUEUE_ROLES.includes(role)) {
+        throw new Error(`Role must be one of: ${QUEUE_ROLES.join(', ')}`);
+      }
+
+      if (!Number.isInteger(groupSize) || groupSize < MIN_GROUP_SIZE || groupSize > MAX_GROUP_SIZE) {
+        throw new Error(`Group size must be between ${MIN_GROUP_SIZE} and ${MAX_GROUP_SIZE}`);
+      }
+
+      const existing = await this.queueRepo.getEntry(guildId, userId);
+      if (existing && existing.status === 'waiting') {
+        throw new Error(`You are already queued for **${existing.game_type}**. Use \`/queue leave\` first.`);
+      }
+
+      const activeLobby = await this.lobbyManager.findLobbyByGameAndMember(userId, game);
+      if (activeLobby) {
+        throw new Error(`You are already in an active ${activeLobby.gameType} lobby.`);
+      }
+
+      const entry = await this.queueRepo.enqueue({
+        guildId,
+        userId,
+        gameType: game,
+        rank,
+        role,
+        groupSize,
+        expiresAt: this.getTimeout().toISOString()
+      });
+
+      logger.info('User joined matchmaking queue', { guildId, userId, gameType: game, rank, role, groupSize });
+
+      const lobbies = await this.tryMatch(guildId, game);
+      const lobby = lobbies.find(l => l.hasMember(userId)) || null;
+      const position = lobby ? null : await this.getPosition(guildId, userId);
+
+      return { entry, position, lobby };
+    } catch (error) {
+      logger.error('Failed to join matchmaking queue:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a user from their queue
+   */
+  async leaveQueue(guildId, userId) {
+    try {
+      const entry = await this.queueRepo.getEntry(guildId, userId);
+      if (!entry || entry.status !== 'waiting') {
+        throw new Error('You are not in a matchmaking queue.');
+      }
+
+      await this.queueRepo.removeEntry(guildId, userId);
+      logger.info('User left matchmaking queue', { guildId, userId, gameType: entry.game_type });
+
+      return entry;
+    } catch (error) {
+      logger.error('Failed to leave matchmaking queue:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Put a timed-out user back in line
+   */
+  async requeue(entryId, userId) {
+    try {
+      const entry = await this.queueRepo.findById(entryId);
+      if (!entry || entry.user_id !== userId) {
+        throw new Error('This queue entry no longer exists. Use `/queue join` to queue again.');
+      }
+
+      if (entry.status === 'waiting') {
+        throw new Error(`You are already queued for **${entry.game_type}**.`);
+      }
+
+      await this.queueRepo.requeue(entryId, this.getTimeout().toISOString());
+      logger.info('User requeued for matchmaking', { guildId: entry.guild_id, userId, gameType: entry.game_type });
+
+      const lobbies = await this.tryMatch(entry.guild_id, entry.game_type);
+      const lobby = lobbies.find(l => l.hasMember(userId)) || null;
+
+      return { entry, lobby };
+    } catch (error) {
+      logger.error('Failed to requeue for matchmaking:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a user's queue status
+   * @returns {Promise<{entry: Object, position: number, waitingCount: number}|null>}
+   */
+  async getQueueStatus(guildId, userId) {
+    const entry = await this.queueRepo.getEntry(guildId, userId);
+    if (!entry || entry.status !== 'waiting') {
+      return null;
+    }
+
+    const waiting = await this.queueRepo.getWaitingForGame(guildId, entry.game_type);
+    return {
+      entry,
+      position: waiting.findIndex(e => e.user_id === userId) + 1,
+      waitingCount: waiting.length
+    };
+  }
+
+  /**
+   * Get a user's 1-based position among players waiting for the same game
+   */
+  async getPosition(guildId, userId) {
+    const status = await this.getQueueStatus(guildId, userId);
+    return status ? status.position : null;
+  }
+
+  /**
+   * Form as many lobbies as the waiting players allow for a game
+   * @returns {Promise<Lobby[]>} - Lobbies created
+   */
+  async tryMatch(guildId, gameType) {
+    const key = `${guildId}:${gameType.toLowerCase()}`;
+
+    // Serialize matching per game so two joins can't claim the same players
+    if (this.matchingGames.has(key)) {
+      return [];
+    }
+
+    this.matchingGames.add(key);
+    const lobbies = [];
+
+    try {
+      let waiting = await this.queueRepo.getWaitingForGame(guildId, gameType);
+      let group = MatchmakingManager.findGroup(waiting, config.lobby.queueRankSpread);
+
+      while (group) {
+        const lobby = await this.createMatchLobby(guildId, group);
+        if (!lobby) {
+          break;
+        }
+
+        lobbies.push(lobby);
+        waiting = await this.queueRepo.getWaitingForGame(guildId, gameType);
+        group = MatchmakingManager.findGroup(waiting, config.lobby.queueRankSpread);
+      }
+    } finally {
+      this.matchingGames.delete(key);
+    }
+
+    return lobbies;
+  }
+
+  /**
+   * Pick the first balanced group from waiting entries (in queue order).
+   * Players only group with others wanting the same group size, ranks stay within
+   * the allowed spread and no declared role takes more than its share of slots.
+   * @returns {Array|null} - Entries forming the group
+   */
+  static findGroup(entries, rankSpread) {
+    for (const anchor of entries) {
+      const size = anchor.group_size;
+      const group = [];
+      const roleCounts = {};
+      let minRank = null;
+      let maxRank = null;
+
+      for (const entry of entries) {
+        if (entry.group_size !== size) {
+          continue;
+        }
+
+        // The anchor is the longest-waiting player, so never skip past them
+        if (group.length === 0 && entry !== anchor) {
+          continue;
+        }
+
+        if (entry.rank !== null && entry.rank !== undefined) {
+          const low = minRank === null ? entry.rank : Math.min(minRank, entry.rank);
+          const high = maxRank === null ? entry.rank : Math.max(maxRank, entry.rank);
+          if (high - low > rankSpread) {
+            continue;
+          }
+        }
+
+        if (entry.role && ROLE_SHARES[entry.role]) {
+          const roleCap = Math.max(1, Math.ceil(size * ROLE_SHARES[entry.role]));
+          if ((roleCounts[entry.role] || 0) >= roleCap) {
+            continue;
+          }
+          roleCounts[entry.role] = (roleCounts[entry.role] || 0) + 1;
+        }
+
+        if (entry.rank !== null && entry.rank !== undefined) {
+          minRank = minRank === null ? entry.rank : Math.min(minRank, entry.rank);
+          maxRank = maxRank === null ? entry.rank : Math.max(maxRank, entry.rank);
+        }
+
+        group.push(entry);
+
+        if (group.length === size) {
+          return group;
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Create the lobby for a matched group, invite everyone and move them into voice
+   * @returns {Promise<Lobby|null>}
+   */
+  async createMatchLobby(guildId, group) {
+    const gameType = group[0].game_type;
+    const memberIds = group.map(entry => entry.user_id);
+
+    // Highest rank leads, ties go to whoever waited longest
+    const leaderOrder = [...group].sort((a, b) => (b.rank || 0) - (a.rank || 0) || a.id - b.id);
+
+    let lobby = null;
+    for (const candidate of leaderOrder) {
+      try {
+        lobby = await this.lobbyManager.createLobbyWithVoice(guildId, candidate.user_id, gameType, {
+          maxPlayers: group.length,
+          voiceOptions: { userLimit: group.length }
+        });
+        break;
+      } catch (error) {
+        logger.warn('Matchmade lobby leader candidate could not create a lobby', {
+          guildId,
+          userId: candidate.user_id,
+          error: error.message
+        });
+      }
+    }
+
+    if (!lobby) {
+      logger.error('Failed to create matchmade lobby', { guildId, gameType, memberIds });
+      return null;
+    }
+
+    await this.queueRepo.removeEntries(group.map(entry => entry.id));
+
+    const partyLeaderManager = this.lobbyManager.getPartyLeaderManager();
+    await partyLeaderManager.inviteUsers(lobby.id, lobby.leaderId, memberIds.filter(id => id !== lobby.leaderId));
+
+    const matchedLobby = await this.lobbyManager.getLobby(lobby.id) || lobby;
+
+    await this.moveMembersToVoice(matchedLobby);
+    await this.notifyMatch(matchedLobby, group);
+
+    logger.info('Matchmade lobby created', {
+      guildId,
+      lobbyId: matchedLobby.id,
+      gameType,
+      leaderId: matchedLobby.leaderId,
+      memberIds
+    });
+
+    return matchedLobby;
+  }
+
+  /**
+   * Move members already sitting in a voice channel into the lobby's channel
+   */
+  async moveMembersToVoice(lobby) {
+    const voiceChannelManager = this.lobbyManager.voiceChannelManager;
+    if (!lobby.voiceChannelId || !voiceChannelManager) {
+      return;
+    }
+
+    for (const userId of lobby.getMemberIds()) {
+      try {
+        await voiceChannelManager.moveUserToChannel(userId, lobby.voiceChannelId, lobby.guildId);
+      } catch (error) {
+        // Members who aren't in voice get the channel link in their DM instead
+        logger.debug('Could not move matched player into lobby voice channel', {
+          lobbyId: lobby.id,
+          userId,
+          error: error.message
+        });
+      }
+    }
+  }
+
+  /**
+   * DM every matched player
+   */
+  async notifyMatch(lobby, group) {
+    const roster = group
+      .map(entry => {
+        const details = [entry.role, entry.rank ? `rank ${entry.rank}` : null].filter(Boolean).join(', ');
+        const icon = lobby.isLeader(entry.user_id) ? '👑' : '👤';
+        return `${icon} <@${entry.user_id}>${details ? ` (${details})` : ''}`;
+      })
+      .join('\n');
+
+    for (const entry of group) {
+      const embed = new EmbedBuilder()
+        .setColor(0x00FF00)
+        .setTitle('🎯 Match Found!')
+        .setDescription(`Your **${lobby.gameType}** queue popped. A lobby has been created for your group.`)
+        .addFields(
+          { name: '👥 Players', value: roster }
+        );
+
+      if (lobby.voiceChannelId) {
+        embed.addFields({ name: '🔊 Voice Channel', value: `<#${lobby.voiceChannelId}>`, inline: true });
+      }
+
+      embed.addFields({
+        name: '⏰ Auto-Delete',
+        value: `This message will automatically delete in ${config.dm.volatileDeleteMinutes} minutes to keep your DMs clean.`
+      })
+      .setTimestamp();
+
+      await this.sendDM(entry.user_id, { embeds: [embed] });
+    }
+  }
+
+  /**
+   * Time out entries that waited too long and offer a requeue button
+   */
+  async expireEntries(now = new Date()) {
+    const timedOut = await this.queueRepo.getTimedOutEntries(now);
+
+    for (const entry of timedOut) {
+      try {
+        await this.queueRepo.markExpired(entry.id);
+        logger.info('Matchmaking queue entry timed out', {
+          guildId: entry.guild_id,
+          userId: entry.user_id,
+          gameType: entry.game_type
+        });
+
+        const embed = new EmbedBuilder()
+          .setColor(0xFFAA00)
+          .setTitle('⌛ Queue Timed Out')
+          .setDescription(`No **${entry.game_type}** match was found in time, so you've been removed from the queue.`)
+          .addFields({
+            name: '⏰ Auto-Delete',
+            value: `This message will automatically delete in ${config.dm.volatileDeleteMinutes} minutes to keep your DMs clean.`
+          })
+          .setTimestamp();
+
+        const requeueButton = new ButtonBuilder()
+          .setCustomId(REQUEUE_BUTTON.build({ entryId: entry.id }))
+          .setLabel('Requeue')
+          .setStyle(ButtonStyle.Primary)
+          .setEmoji('🔁');
+
+        await this.sendDM(entry.user_id, {
+          embeds: [embed],
+          components: [new ActionRowBuilder().addComponents(requeueButton)]
+        });
+      } catch (error) {
+        logger.error('Failed to time out matchmaking queue entry', {
+          entryId: entry.id,
+          error: error.message
+        });
+      }
+    }
+
+    return timedOut.length;
+  }
+
+  /**
+   * Handle the requeue button sent when a queue entry times out
+   * @param {ButtonInteraction} interaction - Discord button interaction
+   * @param {number} entryId - Timed out queue entry ID
+   */
+  async handleRequeueButton(interaction, entryId) {
+    try {
+      const { entry, lobby } = await this.requeue(entryId, interaction.user.id);
+      const content = lobby
+        ? `🎯 Match found! You're in the **${lobby.gameType}** lobby${lobby.voiceChannelId ? ` — join <#${lobby.voiceChannelId}>` : ''}.`
+        : `🔁 You're back in the **${entry.game_type}** queue.`;
+
+      await interaction.reply({ content, ephemeral: true });
+    } catch (error) {
+      await interaction.reply({
+        content: `❌ ${error.message}`,
+        ephemeral: true
+      });
+    }
+  }
+
+  /**
+   * When a queue entry made now would time out
+   */
+  getTimeout() {
+    return new Date(Date.now() + config.lobby.queueTimeoutMinutes * 60 * 1000);
+  }
+
+  /**
+   * Send a volatile DM, ignoring users with DMs disabled
+   */
+  async sendDM(userId, message) {
+    try {
+      const user = await this.client.users.fetch(userId);
+      await volatileDM.sendVolatileDM(user, message, config.dm.volatileDeleteMinutes);
+      return true;
+    } catch (error) {
+      logger.debug('Failed to send matchmaking DM', { userId, error: error.message });
+      return false;
+    }
+  }
+}
+
+MatchmakingManager.QUEUE_ROLES = QUEUE_ROLES;
+MatchmakingManager.REQUEUE_BUTTON = REQUEUE_BUTTON;
+
+module.exports = MatchmakingManager;
@@ -1,4 +1,50 @@
 const logger = require('../../utils/logger');
+const auditLog = require('../../utils/auditLog');
+
+/**
+ * Capabilities granted to each lobby role. Every gaming command checks this
+ * matrix, so it is the single place to change who can do what.
+ */
+const ROLE_CAPABILITIES = {
+  leader: [
+    'invite_users',
+    'kick_users',
+    'transfer_leadership',
+    'promote_members',
+    'update_settings',
+    'extend_duration',
+    'disband_lobby',
+    'move_members',
+    'view_members',
+    'leave_lobby'
+  ],
+  co_leader: [
+    'invite_users',
+    'kick_users',
+    'move_members',
+    'view_members',
+    'leave_lobby'
+  ],
+  member: [
+    'leave_lobby'
+  ]
+};
+
+/**
+ * Human-readable wording for permission errors
+ */
+const CAPABILITY_DESCRIPTIONS = {
+  invite_users: 'invite users',
+  kick_users: 'kick users',
+  transfer_leadership: 'transfer leadership',
+  promote_members: 'promote or demote co-leaders',
+  update_settings: 'update lobby settings',
+  extend_duration: 'extend lobby duration',
+  disband_lobby: 'disband the lobby',
+  move_members: 'move members',
+  view_members: 'view the member list',
+  leave_lobby: 'leave the lobby'
+};
 
 /**
  * Manages party leader operations and permissions for gaming lobbies
@@ -16,7 +62,7 @@ class PartyLeaderManager {
     try {
       // Get the lobby and validate leadership
       const lobby = await this.lobbyManager.getLobby(lobbyId);
-      this.validateLeadershipAction(lobby, leaderId, 'invite users');
+      this.validateLeadershipAction(lobby, leaderId, 'invite_users');
 
       // Check if target user is already in the lobby
       if (lobby.hasMember(targetUserId)) {
@@ -52,6 +98,29 @@ class PartyLeaderManager {
     }
   }
 
+  /**
+   * Invite several users at once, skipping any that can't be added (e.g. lobby full)
+   * @returns {Promise<string[]>} - IDs of users that were added
+   */
+  async inviteUsers(lobbyId, leaderId, targetUserIds) {
+    const invitedIds = [];
+
+    for (const targetUserId of targetUserIds) {
+      try {
+        await this.inviteUser(lobbyId, leaderId, targetUserId);
+        invitedIds.push(targetUserId);
+      } catch (error) {
+        logger.warn('Skipped user during bulk lobby invite', {
+          lobbyId,
+          targetUserId,
+          error: error.message
+        });
+      }
+    }
+
+    return invitedIds;
+  }
+
   /**
    * Kick a user from the lobby
    */
@@ -59,13 +128,18 @@ class PartyLeaderManager {
     try {
       // Get the lobby and validate leadership
       const lobby = await this.lobbyManager.getLobby(lobbyId);
-      this.validateLeadershipAction(lobby, leaderId, 'kick users');
+      this.validateLeadershipAction(lobby, leaderId, 'kick_users');
 
       // Cannot kick the leader
       if (lobby.isLeader(targetUserId)) {
         throw new Error('Cannot kick the lobby leader');
       }
 
+      // Co-leaders can only kick regular members
+      if (!lobby.isLeader(leaderId) && lobby.isCoLeader(targetUserId)) {
+        throw new Error('Only the lobby leader can kick a co-leader');
+      }
+
       // Check if target user is in the lobby
       if (!lobby.hasMember(targetUserId)) {
         throw new Error('User is not in this lobby');
@@ -89,6 +163,15 @@ class PartyLeaderManager {
         memberCount: updatedLobby ? updatedLobby.getMemberCount() : 0
       });
 
+      await auditLog.record({
+        guildId: lobby.guildId,
+        actorId: leaderId,
+        action: 'lobby.kick',
+        targetType: 'user',
+        targetId: targetUserId,
+        payload: { lobby: lobbyId, game: lobby.gameType }
+      }, this.voiceChannelManager?.client);
+
       return {
         success: true,
         lobby: updatedLobby,
@@ -107,7 +190,7 @@ class PartyLeaderManager {
     try {
       // Get the lobby and validate current leadership
       const lobby = await this.lobbyManager.getLobby(lobbyId);
-      this.validateLeadershipAction(lobby, currentLeaderId, 'transfer leadership');
+      this.validateLeadershipAction(lobby, currentLeaderId, 'transfer_leadership');
 
       // Validate new leader is a member
       if (!lobby.hasMember(newLeaderId)) {
@@ -163,13 +246,23 @@ class PartyLeaderManager {
     try {
       // Get the lobby and validate leadership
       const lobby = await this.lobbyManager.getLobby(lobbyId);
-      this.validateLeadershipAction(lobby, leaderId, 'promote members');
+      this.validateLeadershipAction(lobby, leaderId, 'promote_members');
 
       // Validate target is a member
       if (!lobby.hasMember(targetUserId)) {
         throw new Error('User must be a member of the lobby');
       }
 
+      if (lobby.isLeader(targetUserId)) {
+        throw new Error('The lobby leader cannot be a co-leader');
+      }
+
+      if (lobby.isCoLeader(targetUserId)) {
+        throw new Error('User is already a co-leader');
+      }
+
+      const updatedLobby = await this.lobbyManager.setMemberRole(lobbyId, targetUserId, 'co_leader');
+
       // Grant additional voice channel permissions if exists
       if (lobby.voiceChannelId) {
         const channel = this.voiceChannelManager.client.channels.cache.get(lobby.voiceChannelId);
@@ -193,6 +286,7 @@ class PartyLeaderManager {
 
       return {
         success: true,
+        lobby: updatedLobby,
         message: 'Member successfully promoted to co-leader'
       };
     } catch (error) {
@@ -201,6 +295,43 @@ class PartyLeaderManager {
     }
   }
 
+  /**
+   * Demote a co-leader back to a regular member
+   */
+  async demoteCoLeader(lobbyId, leaderId, targetUserId) {
+    try {
+      // Get the lobby and validate leadership
+      const lobby = await this.lobbyManager.getLobby(lobbyId);
+      this.validateLeadershipAction(lobby, leaderId, 'promote_members');
+
+      if (!lobby.isCoLeader(targetUserId)) {
+        throw new Error('User is not a co-leader of this lobby');
+      }
+
+      const updatedLobby = await this.lobbyManager.setMemberRole(lobbyId, targetUserId, 'member');
+
+      // Reset voice channel permissions to regular member access
+      if (lobby.voiceChannelId) {
+        await this.voiceChannelManager.addUserToChannel(lobby.voiceChannelId, targetUserId);
+      }
+
+      logger.info('Co-leader demoted to member', {
+        lobbyId,
+        leaderId,
+        targetUserId
+      });
+
+      return {
+        success: true,
+        lobby: updatedLobby,
+        message: 'Co-leader successfully demoted to member'
+      };
+    } catch (error) {
+      logger.error('Failed to demote co-leader:', error);
+      throw error;
+    }
+  }
+
   /**
    * Update lobby settings (leader only)
    */
@@ -208,7 +339,7 @@ class PartyLeaderManager {
     try {
       // Get the lobby and validate leadership
       const lobby = await this.lobbyManager.getLobby(lobbyId);
-      this.validateLeadershipAction(lobby, leaderId, 'update lobby settings');
+      this.validateLeadershipAction(lobby, leaderId, 'update_settings');
 
       const updates = {};
       let voiceChannelUpdates = {};
@@ -268,7 +399,7 @@ class PartyLeaderManager {
     try {
       // Get the lobby and validate leadership
       const lobby = await this.lobbyManager.getLobby(lobbyId);
-      this.validateLeadershipAction(lobby, leaderId, 'extend lobby duration');
+      this.validateLeadershipAction(lobby, leaderId, 'extend_duration');
 
       // Extend the lobby
       const updatedLobby = await this.lobbyManager.extendLobby(lobbyId, additionalMinutes);
@@ -299,7 +430,7 @@ class PartyLeaderManager {
     try {
       // Get the lobby and validate leadership
       const lobby = await this.lobbyManager.getLobby(lobbyId);
-      this.validateLeadershipAction(lobby, leaderId, 'disband lobby');
+      this.validateLeadershipAction(lobby, leaderId, 'disband_lobby');
 
       // Delete voice channel if exists
       if (lobby.voiceChannelId) {
@@ -310,7 +441,7 @@ class PartyLeaderManager {
       }
 
       // Disband the lobby
-      await this.lobbyManager.disbandLobby(lobbyId);
+      await this.lobbyManager.disbandLobby(lobbyId, 'disbanded', leaderId);
 
       logger.info('Lobby disbanded by leader', {
         lobbyId,
@@ -334,7 +465,7 @@ class PartyLeaderManager {
     try {
       // Get the lobby and validate leadership
       const lobby = await this.lobbyManager.getLobby(lobbyId);
-      this.validateLeadershipAction(lobby, leaderId, 'move members');
+      this.validateLeadershipAction(lobby, leaderId, 'move_members');
 
       // Validate target is a member
       if (!lobby.hasMember(targetUserId)) {
@@ -376,12 +507,14 @@ class PartyLeaderManager {
     try {
       // Get the lobby and validate leadership
       const lobby = await this.lobbyManager.getLobby(lobbyId);
-      this.validateLeadershipAction(lobby, leaderId, 'view member list');
+      this.validateLeadershipAction(lobby, leaderId, 'view_members');
 
       const memberIds = lobby.getMemberIds();
       const members = memberIds.map(memberId => ({
         id: memberId,
         isLeader: lobby.isLeader(memberId),
+        isCoLeader: lobby.isCoLeader(memberId),
+        role: lobby.getRole(memberId),
         joinedAt: null // Could be enhanced to include join timestamp
       }));
 
@@ -408,9 +541,9 @@ class PartyLeaderManager {
   }
 
   /**
-   * Validate that the user is the leader and can perform the action
+   * Validate that the user's role grants the capability
    */
-  validateLeadershipAction(lobby, userId, action) {
+  validateLeadershipAction(lobby, userId, capability) {
     if (!lobby) {
       throw new Error('Lobby not found');
     }
@@ -419,9 +552,7 @@ class PartyLeaderManager {
       throw new Error('Lobby is not active');
     }
 
-    if (!lobby.isLeader(userId)) {
-      throw new Error(`Only the lobby leader can ${action}`);
-    }
+    PartyLeaderManager.assertCapability(lobby, userId, capability);
 
     return true;
   }
@@ -434,34 +565,15 @@ class PartyLeaderManager {
       const lobby = await this.lobbyManager.getLobby(lobbyId);
       
       if (!lobby) {
-        return { isLeader: false, capabilities: [] };
-      }
-
-      const isLeader = lobby.isLeader(userId);
-      const isMember = lobby.hasMember(userId);
-
-      const capabilities = [];
-
-      if (isLeader) {
-        capabilities.push(
-          'invite_users',
-          'kick_users',
-          'transfer_leadership',
-          'promote_members',
-          'update_settings',
-          'extend_duration',
-          'disband_lobby',
-          'move_members',
-          'view_members'
-        );
-      } else if (isMember) {
-        capabilities.push('leave_lobby');
+        return { isLeader: false, isCoLeader: false, role: null, capabilities: [] };
       }
 
       return {
-        isLeader,
-        isMember,
-        capabilities,
+        isLeader: lobby.isLeader(userId),
+        isCoLeader: lobby.isCoLeader(userId),
+        isMember: lobby.hasMember(userId),
+        role: lobby.getRole(userId),
+        capabilities: PartyLeaderManager.getCapabilities(lobby, userId),
         lobby
       };
     } catch (error) {
@@ -470,6 +582,49 @@ class PartyLeaderManager {
     }
   }
 
+  /**
+   * Get the capabilities a user's role grants in a lobby
+   */
+  static getCapabilities(lobby, userId) {
+    const role = lobby ? lobby.getRole(userId) : null;
+    return role ? [...ROLE_CAPABILITIES[role]] : [];
+  }
+
+  /**
+   * Check whether a user's role grants a capability
+   */
+  static hasCapability(lobby, userId, capability) {
+    return PartyLeaderManager.getCapabilities(lobby, userId).includes(capability);
+  }
+
+  /**
+   * Throw a user-facing error if the user's role doesn't grant the capability
+   */
+  static assertCapability(lobby, userId, capability) {
+    if (PartyLeaderManager.hasCapability(lobby, userId, capability)) {
+      return;
+    }
+
+    const action = PartyLeaderManager.describeCapability(capability);
+
+    if (ROLE_CAPABILITIES.member.includes(capability)) {
+      throw new Error(`You must be a member of this lobby to ${action}`);
+    }
+
+    if (ROLE_CAPABILITIES.co_leader.includes(capability)) {
+      throw new Error(`Only the lobby leader or a co-leader can ${action}`);
+    }
+
+    throw new Error(`Only the lobby leader can ${action}`);
+  }
+
+  /**
+   * Get the wording used for a capability in messages
+   */
+  static describeCapability(capability) {
+    return CAPABILITY_DESCRIPTIONS[capability] || capability;
+  }
+
   /**
    * Handle automatic leadership succession when leader leaves
    */
@@ -488,8 +643,8 @@ class PartyLeaderManager {
         return null;
       }
 
-      // Select new leader (first member in the list)
-      const newLeaderId = memberIds[0];
+      // Select new leader (first co-leader, otherwise first member in the list)
+      const newLeaderId = memberIds.find(id => lobby.isCoLeader(id)) || memberIds[0];
       
       // Transfer leadership
       await this.transferLeadership(lobbyId, leavingLeaderId, newLeaderId);
@@ -511,4 +666,6 @@ class PartyLeaderManager {
   }
 }
 
+PartyLeaderManager.ROLE_CAPABILITIES = ROLE_CAPABILITIES;
+
 module.exports = PartyLeaderManager;
\ No newline at end of file
@@ -0,0 +1,390 @@
+const cron = require('node-cron');
+const { EmbedBuilder } = require('discord.js');
+const RecurringLobbyRepository = require('../../database/repositories/RecurringLobbyRepository');
+const LobbyTemplateRepository = require('../../database/repositories/LobbyTemplateRepository');
+const RecurringLobby = require('../../database/models/RecurringLobby');
+const ServerConfigRepository = require('../../database/repositories/ServerConfigRepository');
+const LobbyTemplateManager = require('./LobbyTemplateManager');
+const lobbyCatalogManager = require('../../utils/lobbyCatalogManager');
+const volatileDM = require('../../utils/volatileDM');
+const config = require('../../config');
+const logger = require('../../utils/logger');
+
+const MAX_SERIES_PER_LEADER = 5;
+const MAX_SKIPPED_OCCURRENCES = 10;
+
+/**
+ * Recreates lobbies from a template on a cron schedule (e.g. weekly game nights).
+ * Each active series gets a node-cron job; series state lives in the database so jobs
+ * are rebuilt on start.
+ */
+class RecurringLobbyManager {
+  constructor(client, lobbyManager) {
+    this.client = client;
+    this.lobbyManager = lobbyManager;
+    this.seriesRepo = new RecurringLobbyRepository();
+    this.templateRepo = new LobbyTemplateRepository();
+    this.templateManager = new LobbyTemplateManager();
+    this.scheduledJobs = new Map();
+  }
+
+  /**
+   * Schedule cron jobs for every active series
+   */
+  async start() {
+    const seriesList = await this.seriesRepo.getActiveSeries();
+
+    for (const series of seriesList) {
+      try {
+        this.scheduleSeries(series);
+      } catch (error) {
+        logger.error('Failed to schedule recurring lobby', {
+          seriesId: series.id,
+          error: error.message
+        });
+      }
+    }
+
+    logger.info('Recurring lobby manager started', { activeSeries: this.scheduledJobs.size });
+  }
+
+  /**
+   * Stop all cron jobs
+   */
+  stop() {
+    for (const job of this.scheduledJobs.values()) {
+      job.stop();
+    }
+    this.scheduledJobs.clear();
+    logger.info('Recurring lobby manager stopped');
+  }
+
+  /**
+   * (Re)create the cron job for a series
+   */
+  scheduleSeries(series) {
+    this.unscheduleSeries(series.id);
+
+    const job = cron.schedule(series.cronExpression, async () => {
+      try {
+        await this.runOccurrence(series.id);
+      } catch (error) {
+        logger.error('Recurring lobby occurrence failed', {
+          seriesId: series.id,
+          error: error.message
+        });
+      }
+    }, {
+      scheduled: false,
+      timezone: series.timezone
+    });
+
+    this.scheduledJobs.set(series.id, job);
+    job.start();
+
+    logger.debug('Scheduled recurring lobby', {
+      seriesId: series.id,
+      cronExpression: series.cronExpression,
+      timezone: series.timezone
+    });
+  }
+
+  /**
+   * Stop the cron job for a series
+   */
+  unscheduleSeries(seriesId) {
+    const job = this.scheduledJobs.get(seriesId);
+    if (job) {
+      job.stop();
+      this.scheduledJobs.delete(seriesId);
+    }
+  }
+
+  /**
+   * Create a new recurring lobby series
+   * @param {string} guildId - Guild ID
+   * @param {string} leaderId - Leader of every occurrence
+   * @param {Object} options - { template, cronExpression, timezone, inviteList }
+   */
+  async createSeries(guildId, leaderId, options = {}) {
+    try {
+      const template = await this.templateManager.resolveTemplate(guildId, leaderId, options.template);
+      if (!template) {
+        throw new Error(`Template "${options.template}" was not found. Use \`/lobby-template list\` to see your templates.`);
+      }
+
+      const seriesCount = await this.seriesRepo.countSeriesByLeader(guildId, leaderId);
+      if (seriesCount >= MAX_SERIES_PER_LEADER) {
+        throw new Error(`You have reached the maximum number of recurring lobbies (${MAX_SERIES_PER_LEADER})`);
+      }
+
+      const series = new RecurringLobby({
+        guildId,
+        leaderId,
+        templateId: template.id,
+        gameType: template.gameType,
+        cronExpression: options.cronExpression,
+        timezone: options.timezone || config.lobby.recurringTimezone || await new ServerConfigRepository().getTimezone(guildId),
+        inviteList: (options.inviteList || []).filter(userId => userId !== leaderId)
+      });
+
+      await this.seriesRepo.createSeries(series);
+      this.scheduleSeries(series);
+
+      logger.info('Recurring lobby created', {
+        seriesId: series.id,
+        guildId,
+        leaderId,
+        templateId: template.id,
+        cronExpression: series.cronExpression
+      });
+
+      return { series, template };
+    } catch (error) {
+      logger.error('Failed to create recurring lobby:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get all series in a guild
+   */
+  async listSeries(guildId) {
+    return await this.seriesRepo.getSeriesByGuild(guildId);
+  }
+
+  /**
+   * Load a series the user is allowed to manage (its leader or a guild admin)
+   */
+  async getManageableSeries(guildId, seriesId, userId, isAdmin = false) {
+    const series = await this.seriesRepo.getSeriesById(seriesId);
+
+    if (!series || series.guildId !== guildId) {
+      throw new Error('Recurring lobby not found');
+    }
+
+    if (series.leaderId !== userId && !isAdmin) {
+      throw new Error('Only the series leader or a server admin can manage this recurring lobby');
+    }
+
+    return series;
+  }
+
+  /**
+   * Stop creating occurrences until resumed
+   */
+  async pauseSeries(guildId, seriesId, userId, isAdmin = false) {
+    const series = await this.getManageableSeries(guildId, seriesId, userId, isAdmin);
+
+    if (!series.isActive()) {
+      throw new Error('This recurring lobby is already paused');
+    }
+
+    await this.seriesRepo.setStatus(series.id, 'paused');
+    this.unscheduleSeries(series.id);
+    series.status = 'paused';
+
+    logger.info('Recurring lobby paused', { seriesId: series.id, userId });
+    return series;
+  }
+
+  /**
+   * Resume a paused series
+   */
+  async resumeSeries(guildId, seriesId, userId, isAdmin = false) {
+    const series = await this.getManageableSeries(guildId, seriesId, userId, isAdmin);
+
+    if (series.isActive()) {
+      throw new Error('This recurring lobby is not paused');
+    }
+
+    await this.seriesRepo.setStatus(series.id, 'active');
+    series.status = 'active';
+    this.scheduleSeries(series);
+
+    logger.info('Recurring lobby resumed', { seriesId: series.id, userId });
+    return series;
+  }
+
+  /**
+   * Skip the next occurrence (calling again skips further occurrences)
+   */
+  async skipNextOccurrence(guildId, seriesId, userId, isAdmin = false) {
+    const series = await this.getManageableSeries(guildId, seriesId, userId, isAdmin);
+
+    if (series.skipCount >= MAX_SKIPPED_OCCURRENCES) {
+      throw new Error(`At most ${MAX_SKIPPED_OCCURRENCES} occurrences can be skipped. Pause the series instead.`);
+    }
+
+    series.skipCount += 1;
+    await this.seriesRepo.setSkipCount(series.id, series.skipCount);
+
+    logger.info('Recurring lobby occurrence skipped', {
+      seriesId: series.id,
+      userId,
+      skipCount: series.skipCount
+    });
+
+    return series;
+  }
+
+  /**
+   * Delete a series (lobbies it already created are left alone)
+   */
+  async deleteSeries(guildId, seriesId, userId, isAdmin = false) {
+    const series = await this.getManageableSeries(guildId, seriesId, userId, isAdmin);
+
+    this.unscheduleSeries(series.id);
+    await this.seriesRepo.deleteSeries(series.id);
+
+    logger.info('Recurring lobby deleted', { seriesId: series.id, userId });
+    return series;
+  }
+
+  /**
+   * Create one occurrence of a series: lobby, invites, catalog post and member DMs
+   * @returns {Promise<Lobby|null>} - The created lobby, or null if the occurrence was skipped
+   */
+  async runOccurrence(seriesId) {
+    const series = await this.seriesRepo.getSeriesById(seriesId);
+    if (!series || !series.isActive()) {
+      return null;
+    }
+
+    if (series.skipCount > 0) {
+      await this.seriesRepo.setSkipCount(series.id, series.skipCount - 1);
+      logger.info('Skipped recurring lobby occurrence', {
+        seriesId: series.id,
+        remainingSkips: series.skipCount - 1
+      });
+      return null;
+    }
+
+    // A deleted template leaves the series running with just the game name
+    const template = series.templateId ? await this.templateRepo.getTemplateById(series.templateId) : null;
+    const gameType = template ? template.gameType : series.gameType;
+
+    // Last week's lobby may still be running (e.g. nobody left voice)
+    const existingLobby = await this.lobbyManager.getLobbyByUserAndGame(series.leaderId, gameType);
+    if (existingLobby && existingLobby.isActive()) {
+      logger.warn('Skipped recurring lobby occurrence - previous lobby still active', {
+        seriesId: series.id,
+        lobbyId: existingLobby.id
+      });
+      await this.sendDM(series.leaderId, new EmbedBuilder()
+        .setColor(0xFFAA00)
+        .setTitle('⚠️ Recurring Lobby Skipped')
+        .setDescription(`Your recurring **${gameType}** lobby wasn't recreated because the previous one is still active.`));
+      return null;
+    }
+
+    const newLobby = await this.lobbyManager.createLobbyWithVoice(
+      series.guildId,
+      series.leaderId,
+      gameType,
+      template ? template.toLobbyOptions() : {}
+    );
+
+    const inviteList = [...new Set([...(template ? template.inviteList : []), ...series.inviteList])]
+      .filter(userId => userId !== series.leaderId);
+    const partyLeaderManager = this.lobbyManager.getPartyLeaderManager();
+    const invitedIds = await partyLeaderManager.inviteUsers(newLobby.id, series.leaderId, inviteList);
+
+    // Reload so the catalog post shows the invited members
+    const lobby = await this.lobbyManager.getLobby(newLobby.id) || newLobby;
+
+    if (!template || !template.isPrivate()) {
+      await this.postToCatalog(lobby);
+    }
+
+    await this.seriesRepo.recordRun(series.id, lobby.id);
+    await this.notifyMembers(lobby, invitedIds);
+
+    logger.info('Created recurring lobby occurrence', {
+      seriesId: series.id,
+      lobbyId: lobby.id,
+      invitedCount: invitedIds.length
+    });
+
+    return lobby;
+  }
+
+  /**
+   * Post an occurrence to the guild's lobby catalog
+   */
+  async postToCatalog(lobby) {
+    const guild = this.client.guilds.cache.get(lobby.guildId);
+    if (!guild) {
+      logger.warn('Guild not available for recurring lobby catalog post', { lobbyId: lobby.id });
+      return null;
+    }
+
+    try {
+      const catalogMessage = await lobbyCatalogManager.postLobbyToCatalog(guild, lobby, lobby.leaderId, lobby.voiceChannelId);
+      await this.lobbyManager.setCatalogMessage(lobby.id, catalogMessage);
+
+      if (lobby.voiceChannelId && this.lobbyManager.voiceChannelManager) {
+        const emojiReactionManager = require('../../utils/emojiReactionManager');
+        emojiReactionManager.setupEmojiReactionListener(
+          catalogMessage,
+          lobby.id,
+          lobby.voiceChannelId,
+          this.lobbyManager.voiceChannelManager,
+          config.emoji.reactionTimeoutMinutes,
+          lobby.leaderId
+        );
+      }
+
+      return catalogMessage;
+    } catch (error) {
+      logger.error('Failed to post recurring lobby to catalog', {
+        lobbyId: lobby.id,
+        error: error.message
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Let the leader and invited members know this week's lobby is open
+   */
+  async notifyMembers(lobby, invitedIds) {
+    for (const userId of [lobby.leaderId, ...invitedIds]) {
+      const embed = new EmbedBuilder()
+        .setColor(0x00FF00)
+        .setTitle('🔁 Your Recurring Lobby Is Open!')
+        .setDescription(userId === lobby.leaderId
+          ? `Your recurring **${lobby.gameType}** lobby has been created.`
+          : `<@${lobby.leaderId}>'s recurring **${lobby.gameType}** lobby is open and you've been added.`);
+
+      if (lobby.voiceChannelId) {
+        embed.addFields({
+          name: '🔊 Voice Channel',
+          value: `Head back to the server and join <#${lobby.voiceChannelId}>!`
+        });
+      }
+
+      await this.sendDM(userId, embed);
+    }
+  }
+
+  /**
+   * Send a volatile DM to a user by ID
+   */
+  async sendDM(userId, embed) {
+    try {
+      embed.addFields({
+        name: '⏰ Auto-Delete',
+        value: `This message will automatically delete in ${config.dm.volatileDeleteMinutes} minutes to keep your DMs clean.`
+      })
+      .setTimestamp();
+
+      const user = await this.client.users.fetch(userId);
+      await volatileDM.sendVolatileDM(user, { embeds: [embed] }, config.dm.volatileDeleteMinutes);
+    } catch (error) {
+      logger.debug('Failed to send recurring lobby DM', { userId, error: error.message });
+    }
+  }
+}
+
+module.exports = RecurringLobbyManager;
@@ -1,6 +1,15 @@
 const { ChannelType, PermissionFlagsBits } = require('discord.js');
 const logger = require('../../utils/logger');
 
+// What anyone who can see a lobby's voice channel gets in its text channel
+const TEXT_ACCESS_PERMISSIONS = [
+  PermissionFlagsBits.ViewChannel,
+  PermissionFlagsBits.SendMessages,
+  PermissionFlagsBits.ReadMessageHistory,
+  PermissionFlagsBits.EmbedLinks,
+  PermissionFlagsBits.AttachFiles
+];
+
 /**
  * Manages Discord voice channel operations for gaming lobbies
  */
@@ -42,8 +51,10 @@ class VoiceChannelManager {
         throw new Error('Bot lacks required permissions to manage voice channels');
       }
 
-      // Create channel name (sanitized)
-      const channelName = this.sanitizeChannelName(`🎮 ${lobbyName}`);
+      // Create channel name (sanitized); a custom emoji prefix is kept as-is
+      const channelName = options.emoji
+        ? `${options.emoji} ${this.sanitizeChannelName(options.channelName || lobbyName)}`
+        : this.sanitizeChannelName(`🎮 ${options.channelName || lobbyName}`);
 
       // Find or create a category for lobby channels
       let category = guild.channels.cache.find(
@@ -113,6 +124,132 @@ class VoiceChannelManager {
     }
   }
 
+  /**
+   * Create the private text channel that accompanies a lobby voice channel.
+   * It sits next to the voice channel and copies its permission overwrites.
+   */
+  async createTextChannel(voiceChannel, lobbyName) {
+    try {
+      const textChannel = await voiceChannel.guild.channels.create({
+        name: VoiceChannelManager.toTextChannelName(voiceChannel.name),
+        type: ChannelType.GuildText,
+        parent: voiceChannel.parentId,
+        topic: `Invite links, game codes and chat for the ${lobbyName} lobby`,
+        reason: `Created text channel for lobby: ${lobbyName}`,
+        permissionOverwrites: this.buildTextOverwrites(voiceChannel)
+      });
+
+      logger.info('Text channel created for lobby', {
+        channelId: textChannel.id,
+        channelName: textChannel.name,
+        voiceChannelId: voiceChannel.id,
+        lobbyName
+      });
+
+      return textChannel;
+    } catch (error) {
+      logger.error('Failed to create lobby text channel:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Translate a voice channel's overwrites to the text channel equivalents
+   */
+  buildTextOverwrites(voiceChannel) {
+    return voiceChannel.permissionOverwrites.cache.map(overwrite => {
+      const allow = [];
+      if (overwrite.allow.has(PermissionFlagsBits.ViewChannel)) {
+        allow.push(...TEXT_ACCESS_PERMISSIONS);
+      }
+      if (overwrite.allow.has(PermissionFlagsBits.ManageChannels)) {
+        allow.push(PermissionFlagsBits.ManageChannels, PermissionFlagsBits.ManageMessages);
+      }
+
+      return {
+        id: overwrite.id,
+        type: overwrite.type,
+        allow,
+        deny: overwrite.deny.has(PermissionFlagsBits.ViewChannel) ? [PermissionFlagsBits.ViewChannel] : []
+      };
+    });
+  }
+
+  /**
+   * Mirror a voice channel access change onto the lobby's text channel
+   */
+  async syncTextChannelAccess(voiceChannelId, userId, hasAccess) {
+    try {
+      const LobbyRepository = require('../../database/repositories/LobbyRepository');
+      const lobby = await new LobbyRepository().getLobbyByVoiceChannel(voiceChannelId);
+      const textChannel = lobby?.textChannelId ? this.client.channels.cache.get(lobby.textChannelId) : null;
+      if (!textChannel) {
+        return false;
+      }
+
+      if (hasAccess) {
+        await textChannel.permissionOverwrites.create(userId, {
+          ViewChannel: true,
+          SendMessages: true,
+          ReadMessageHistory: true
+        }, {
+          reason: 'Added user to gaming lobby'
+        });
+      } else {
+        await textChannel.permissionOverwrites.delete(userId, {
+          reason: 'Removed user from gaming lobby'
+        });
+      }
+
+      return true;
+    } catch (error) {
+      logger.warn('Failed to sync lobby text channel access', {
+        voiceChannelId,
+        userId,
+        error: error.message
+      });
+      return false;
+    }
+  }
+
+  /**
+   * Archive a lobby text channel: members keep the history but can no longer post
+   */
+  async archiveTextChannel(channelId, reason = 'Lobby ended') {
+    try {
+      const channel = this.client.channels.cache.get(channelId);
+      if (!channel) {
+        logger.warn('Attempted to archive non-existent lobby text channel', { channelId });
+        return false;
+      }
+
+      const { guild } = channel;
+      for (const overwrite of channel.permissionOverwrites.cache.values()) {
+        if (overwrite.id === guild.id || overwrite.id === guild.members.me.id) {
+          continue;
+        }
+
+        await channel.permissionOverwrites.edit(overwrite.id, { SendMessages: false }, { reason });
+      }
+
+      if (!channel.name.startsWith('archived-')) {
+        await channel.setName(`archived-${channel.name}`.substring(0, 100), reason);
+      }
+
+      logger.info('Lobby text channel archived', {
+        channelId,
+        channelName: channel.name,
+        guildId: guild.id,
+        reason
+      });
+
+      return true;
+    } catch (error) {
+      logger.error('Failed to archive lobby text channel:', error);
+      throw error;
+    }
+  }
+
   /**
    * Add user to voice channel (grant permissions)
    */
@@ -136,6 +273,8 @@ class VoiceChannelManager {
         reason: 'Added user to gaming lobby'
       });
 
+      await this.syncTextChannelAccess(channelId, userId, true);
+
       logger.info('User added to voice channel', {
         channelId,
         userId,
@@ -164,6 +303,8 @@ class VoiceChannelManager {
         reason: 'Removed user from gaming lobby'
       });
 
+      await this.syncTextChannelAccess(channelId, userId, false);
+
       // If user is currently in the channel, disconnect them
       const member = channel.guild.members.cache.get(userId);
       if (member && member.voice.channelId === channelId) {
@@ -335,66 +476,6 @@ class VoiceChannelManager {
     }
   }
 
-  /**
-   * Set up automatic channel cleanup when empty with lobby integration
-   */
-  setupChannelCleanup(channelId, lobbyId, timeoutMinutes = 30) {
-    let emptyStartTime = null;
-    
-    const checkInterval = setInterval(async () => {
-      try {
-        const isEmpty = this.isChannelEmpty(channelId);
-        
-        if (isEmpty) {
-          if (!emptyStartTime) {
-            // Channel just became empty, start the timer
-            emptyStartTime = Date.now();
-            logger.info('Voice channel became empty, starting inactivity timer', {
-              channelId,
-              lobbyId,
-              timeoutMinutes
-            });
-          } else {
-            // Check if it's been empty for the timeout duration
-            const emptyDuration = (Date.now() - emptyStartTime) / (1000 * 60); // minutes
-            
-            if (emptyDuration >= timeoutMinutes) {
-              logger.info('Voice channel empty for timeout duration, cleaning up', {
-                channelId,
-                lobbyId,
-                emptyDurationMinutes: Math.round(emptyDuration)
-              });
-              
-              // Delete the voice channel
-              await this.deleteChannel(channelId, `Channel empty for ${timeoutMinutes} minutes - automatic cleanup`);
-              
-              // Disband the associated lobby
-              if (this.lobbyManager) {
-                await this.lobbyManager.disbandLobby(lobbyId);
-              }
-              
-              clearInterval(checkInterval);
-            }
-          }
-        } else {
-          // Channel has people, reset the empty timer
-          if (emptyStartTime) {
-            logger.debug('Voice channel no longer empty, resetting inactivity timer', {
-              channelId,
-              lobbyId
-            });
-            emptyStartTime = null;
-          }
-        }
-      } catch (error) {
-        logger.error('Error during channel cleanup check:', error);
-        clearInterval(checkInterval);
-      }
-    }, 60 * 1000); // Check every minute
-
-    return checkInterval;
-  }
-
   /**
    * Sanitize channel name for Discord requirements
    */
@@ -408,6 +489,19 @@ class VoiceChannelManager {
       .substring(0, 100); // Discord limit is 100 characters
   }
 
+  /**
+   * Text channel name matching a voice channel name. Unlike voice channel names,
+   * text channel names are lowercase with hyphens for spaces, but emoji are allowed.
+   */
+  static toTextChannelName(voiceChannelName) {
+    return voiceChannelName
+      .toLowerCase()
+      .replace(/\s+/g, '-')
+      .replace(/-+/g, '-')
+      .replace(/^-|-$/g, '')
+      .substring(0, 100) || 'lobby-chat';
+  }
+
   /**
    * Get channel information
    */
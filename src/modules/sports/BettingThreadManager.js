@@ -6,6 +6,8 @@ const TeamNameMatcher = require('./TeamNameMatcher');
 const ImageComposer = require('../../utils/imageComposer');
 const BettingRecommendationEngine = require('./BettingRecommendationEngine');
 const logger = require('../../utils/logger');
+const auditLog = require('../../utils/auditLog');
+const { getDefaultTimezone } = require('../../utils/timezone');
 
 /**
  * Manages betting threads for sports games
@@ -71,10 +73,11 @@ class BettingThreadManager {
    * @param {string} gameId - ESPN game ID
    * @param {Object} options - Creation options
    * @param {boolean} options.skipRecommendation - Skip MCMC recommendation generation for faster creation
+   * @param {string} options.actorId - Member who asked for the thread, for the audit log
    * @returns {Promise<ThreadChannel|null>} - Created thread or null
    */
   async createBettingThread(guild, sport, gameId, options = {}) {
-    const { skipRecommendation = false } = options;
+    const { skipRecommendation = false, actorId = null } = options;
     const startTime = Date.now();
     
     try {
@@ -349,6 +352,15 @@ class BettingThreadManager {
         skipRecommendation
       });
 
+      await auditLog.record({
+        guildId: guild.id,
+        actorId,
+        action: 'betting_thread.create',
+        targetType: 'thread',
+        targetId: thread.id,
+        payload: { sport, gameId, game: gameData.displayName, forum: forumChannel.id }
+      }, this.client);
+
       return thread;
 
     } catch (error) {
@@ -481,6 +493,21 @@ class BettingThreadManager {
    */
   async findOrCreateBettingForum(guild, sport) {
     try {
+      // Forums mapped with /setup win, and servers that finished setup get no new forums
+      const serverConfig = await this.getServerConfig(guild.id);
+      const configuredForumId = serverConfig?.getBettingForum(sport);
+      if (configuredForumId) {
+        const configuredForum = guild.channels.cache.get(configuredForumId);
+        if (configuredForum) {
+          return configuredForum;
+        }
+        logger.warn('Configured betting forum no longer exists', { guildId: guild.id, sport, channelId: configuredForumId });
+      }
+
+      if (serverConfig?.setupCompletedAt) {
+        return null;
+      }
+
       const forumName = this.sportForumNames[sport];
       if (!forumName) {
         throw new Error(`No forum name configured for sport: ${sport}`);
@@ -534,6 +561,21 @@ class BettingThreadManager {
     }
   }
 
+  /**
+   * Get a guild's server config, or null if it has none or it cannot be read
+   * @param {string} guildId - Guild ID
+   * @returns {Promise<ServerConfig|null>}
+   */
+  async getServerConfig(guildId) {
+    try {
+      const ServerConfigRepository = require('../../database/repositories/ServerConfigRepository');
+      return await new ServerConfigRepository().getByGuildId(guildId);
+    } catch (error) {
+      logger.warn('Could not load server config', { guildId, error: error.message });
+      return null;
+    }
+  }
+
   /**
    * Get game details from ESPN API or cache
    * @param {string} sport - Sport key
@@ -596,9 +638,10 @@ class BettingThreadManager {
    * Create game embed
    * @param {string} sport - Sport key
    * @param {Object} gameData - Game data
+   * @param {string} timezone - Timezone for the game time
    * @returns {EmbedBuilder} - Game embed
    */
-  async createGameEmbed(sport, gameData) {
+  async createGameEmbed(sport, gameData, timezone = getDefaultTimezone()) {
     // Get sport-specific emoji
     const sportEmojis = {
       'nfl': '🏈',
@@ -629,6 +672,7 @@ class BettingThreadManager {
       day: 'numeric',
       hour: 'numeric',
       minute: '2-digit',
+      timeZone: timezone,
       timeZoneName: 'short'
     });
 
@@ -884,11 +928,12 @@ class BettingThreadManager {
    * @param {string} sport - Sport key
    * @param {Object} gameData - ESPN game data
    * @param {BettingSnapshot} bettingData - Betting snapshot data
+   * @param {string} timezone - Timezone for the game and odds times
    * @returns {Promise<EmbedBuilder>} - Enhanced game embed
    */
-  async createGameEmbedWithOdds(sport, gameData, bettingData) {
+  async createGameEmbedWithOdds(sport, gameData, bettingData, timezone = getDefaultTimezone()) {
     // Start with the basic game embed
-    const embed = await this.createGameEmbed(sport, gameData);
+    const embed = await this.createGameEmbed(sport, gameData, timezone);
     
     if (!bettingData) {
       embed.addFields({
@@ -959,7 +1004,7 @@ class BettingThreadManager {
       embed.addFields(...bettingFields);
       
       // Add footer with data source and timestamp
-      const timestamp = new Date(summary.metadata.scrapedAt).toLocaleString();
+      const timestamp = new Date(summary.metadata.scrapedAt).toLocaleString('en-US', { timeZone: timezone, timeZoneName: 'short' });
       embed.setFooter({ 
         text: `Odds from ${summary.metadata.source} • ${timestamp}${summary.metadata.isStale ? ' (Stale)' : ''}` 
       });
@@ -1377,7 +1422,7 @@ class BettingThreadManager {
       const BettingSnapshotRepository = require('../../database/repositories/BettingSnapshotRepository');
       const dbConnection = require('../../database/connection');
       
-      if (!dbConnection.db) {
+      if (!dbConnection.isReady()) {
         logger.error('Database connection not available for storing betting snapshot', {
           gameId: bettingData.gameId,
           sport: bettingData.sport
@@ -1385,7 +1430,7 @@ class BettingThreadManager {
         return;
       }
       
-      const repo = new BettingSnapshotRepository(dbConnection.db);
+      const repo = new BettingSnapshotRepository(dbConnection);
       await repo.save(bettingData);
       
       logger.debug('Stored betting snapshot to database', {
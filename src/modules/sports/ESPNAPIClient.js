@@ -1,6 +1,7 @@
 const axios = require('axios');
 const { parse } = require('node-html-parser');
 const logger = require('../../utils/logger');
+const { getDateKey } = require('../../utils/timezone');
 const fs = require('fs').promises;
 const path = require('path');
 
@@ -296,7 +297,7 @@ class ESPNAPIClient {
   /**
    * Get upcoming games for a specific sport
    * @param {string} sport - Sport key (nfl, nba, nhl, ncaa_basketball, ncaa_football)
-   * @param {Object} options - Additional options
+   * @param {Object} options - Additional options (limit, timezone whose "today" to fetch)
    * @returns {Promise<Array>} - Array of game objects
    */
   async getUpcomingGames(sport, options = {}) {
@@ -311,7 +312,7 @@ class ESPNAPIClient {
         logger.info('Using ESPN Scoreboard API for NCAA Basketball to get complete schedule');
         
         const today = new Date();
-        const todayFormatted = this.formatDate(today);
+        const todayFormatted = this.formatDate(today, options.timezone);
         
         // Use the public scoreboard API
         const url = `https://site.api.espn.com/apis/site/v2/sports/${sportConfig.id}/${sportConfig.league}/scoreboard`;
@@ -432,7 +433,7 @@ class ESPNAPIClient {
 
       const today = new Date();
       // Only fetch today's games by using the same date for start and end
-      const todayFormatted = this.formatDate(today);
+      const todayFormatted = this.formatDate(today, options.timezone);
 
       const url = `${this.baseUrl}/${sportConfig.id}/leagues/${sportConfig.league}/events`;
       const params = {
@@ -970,9 +971,14 @@ class ESPNAPIClient {
   /**
    * Format date for ESPN API using local timezone
    * @param {Date} date - Date to format
+   * @param {string} timezone - Optional timezone whose calendar day to use instead of the local one
    * @returns {string} - Formatted date (YYYYMMDD)
    */
-  formatDate(date) {
+  formatDate(date, timezone = null) {
+    if (timezone) {
+      return getDateKey(date, timezone).replace(/-/g, '');
+    }
+
     // Use local date instead of UTC to avoid timezone issues
     const year = date.getFullYear();
     const month = String(date.getMonth() + 1).padStart(2, '0'); // getMonth() is 0-based
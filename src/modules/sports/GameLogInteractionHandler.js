@@ -0,0 +1,798 @@
+const { ActionRowBuilder, ButtonBuilder, ButtonStyle, ModalBuilder, TextInputBuilder, TextInputStyle } = require('discord.js');
+const ComponentRouter = require('../../utils/componentRouter');
+const logger = require('../../utils/logger');
+const { filterGamesOnDay, getDefaultTimezone } = require('../../utils/timezone');
+
+// Splits legacy `{sport}_{gameId}` suffixes, where sport keys may contain underscores (ncaa_football)
+const parseLegacyGame = rest => {
+  const lastUnderscoreIndex = rest.lastIndexOf('_');
+  return {
+    sport: rest.substring(0, lastUnderscoreIndex),
+    gameId: rest.substring(lastUnderscoreIndex + 1)
+  };
+};
+
+const TOGGLE_BETTING_BUTTON = ComponentRouter.defineComponent({
+  name: 'bet-thread',
+  type: 'button',
+  params: [{ name: 'sport' }, { name: 'gameId' }],
+  legacy: { 'toggle_betting_': parseLegacyGame }
+});
+
+const GAME_OPTIONS_BUTTON = ComponentRouter.defineComponent({
+  name: 'game-options',
+  type: 'button',
+  params: [{ name: 'sport' }, { name: 'gameId' }],
+  legacy: { 'game_options_': parseLegacyGame }
+});
+
+const GAME_OPTIONS_MODAL = ComponentRouter.defineComponent({
+  name: 'game-options',
+  type: 'modal',
+  params: [{ name: 'sport' }, { name: 'gameId' }],
+  legacy: { 'game_options_modal_': parseLegacyGame }
+});
+
+const BULK_THREADS_BUTTON = ComponentRouter.defineComponent({
+  name: 'bet-threads-all',
+  type: 'button',
+  params: [
+    { name: 'action', type: 'enum', values: ['add', 'remove'] },
+    { name: 'sport' }
+  ],
+  legacy: {
+    'add_all_threads_': sport => ({ action: 'add', sport }),
+    'remove_all_threads_': sport => ({ action: 'remove', sport })
+  }
+});
+
+/**
+ * Handles the betting thread buttons and game options modal on daily game log posts
+ */
+class GameLogInteractionHandler {
+  constructor(bettingThreadManager, espnClient) {
+    this.bettingThreadManager = bettingThreadManager;
+    this.espnClient = espnClient;
+  }
+
+  /**
+   * Handle toggle betting thread button (create or delete)
+   * @param {ButtonInteraction} interaction - Discord button interaction
+   * @param {Object} params - Parsed custom ID params
+   * @param {string} params.sport - Sport key
+   * @param {string} params.gameId - Game ID
+   */
+  async handleToggleBetting(interaction, { sport, gameId }) {
+    try {
+      // Check if thread already exists
+      const hasThread = this.bettingThreadManager.hasThread(sport, gameId);
+      
+      logger.info('Toggle betting button clicked', {
+        sport,
+        gameId,
+        hasThread,
+        userId: interaction.user.id,
+        userName: interaction.user.username
+      });
+      
+      logger.debug('Toggle betting thread state check', {
+        sport,
+        gameId,
+        hasThread,
+        trackedThreads: this.bettingThreadManager.createdThreads.size
+      });
+      
+      // Immediate visual feedback - update button to show processing state
+      await interaction.deferUpdate();
+
+      if (hasThread) {
+        // Delete existing thread
+        const success = await this.bettingThreadManager.deleteBettingThread(
+          interaction.guild,
+          sport,
+          gameId
+        );
+
+        if (success) {
+          // Update button to "Create Thread"
+          logger.info('Updating button after thread deletion', { sport, gameId });
+          await this.updateGameButton(interaction, sport, gameId, false);
+        } else {
+          logger.error('Failed to delete betting thread', { sport, gameId });
+          // Still update the button in case of tracking issues
+          await this.updateGameButton(interaction, sport, gameId, false);
+        }
+      } else {
+        // Create new thread
+        const thread = await this.bettingThreadManager.createBettingThread(
+          interaction.guild,
+          sport,
+          gameId,
+          { actorId: interaction.user.id }
+        );
+
+        if (thread) {
+          // Update button to "Delete Thread"
+          logger.info('Updating button after thread creation', { sport, gameId, threadId: thread.id });
+          await this.updateGameButton(interaction, sport, gameId, true, thread.id);
+        } else {
+          logger.error('Failed to create betting thread', { sport, gameId });
+          // Keep button in original state if creation failed
+        }
+      }
+
+    } catch (error) {
+      logger.error('Failed to handle toggle betting:', error);
+      
+      // If we haven't deferred yet, try to defer the interaction
+      if (!interaction.deferred && !interaction.replied) {
+        try {
+          await interaction.deferUpdate();
+        } catch (deferError) {
+          logger.error('Failed to defer interaction:', deferError);
+        }
+      }
+    }
+  }
+
+  /**
+   * Update game button based on thread state
+   * @param {ButtonInteraction} interaction - Discord button interaction
+   * @param {string} sport - Sport key
+   * @param {string} gameId - Game ID
+   * @param {boolean} hasThread - Whether thread exists
+   * @param {string} threadId - Thread ID (if exists)
+   */
+  async updateGameButton(interaction, sport, gameId, hasThread, threadId = null) {
+    try {
+      // Get the original message content
+      let originalContent = interaction.message.content;
+      
+      // Remove any existing thread info from content
+      const lines = originalContent.split('\n');
+      const gameInfoLines = lines.filter(line => !line.includes('✅ **Thread:**'));
+      let updatedContent = gameInfoLines.join('\n');
+
+      // Add thread info if thread exists
+      if (hasThread && threadId) {
+        updatedContent += `\n✅ **Thread:** <#${threadId}>`;
+      }
+
+      // Create updated button with proper state
+      const actionRow = new ActionRowBuilder()
+        .addComponents(
+          new ButtonBuilder()
+            .setCustomId(TOGGLE_BETTING_BUTTON.build({ sport, gameId }))
+            .setLabel(hasThread ? '🗑️ Delete Thread' : '📈 Create Thread')
+            .setStyle(hasThread ? ButtonStyle.Danger : ButtonStyle.Success),
+          new ButtonBuilder()
+            .setCustomId(GAME_OPTIONS_BUTTON.build({ sport, gameId }))
+            .setLabel('⚙️ Options')
+            .setStyle(ButtonStyle.Secondary)
+        );
+
+      // Update the message with new content and buttons
+      await interaction.message.edit({
+        content: updatedContent,
+        components: [actionRow]
+      });
+
+      logger.debug('Updated game button successfully', {
+        sport,
+        gameId,
+        hasThread,
+        buttonLabel: hasThread ? 'Delete Thread' : 'Create Thread',
+        threadId
+      });
+
+    } catch (error) {
+      logger.error('Failed to update game button:', error);
+    }
+  }
+
+  /**
+   * Handle add all threads button
+   * @param {ButtonInteraction} interaction - Discord button interaction
+   * @param {string} sport - Sport key
+   */
+  async handleAddAllThreads(interaction, sport) {
+    try {
+      // Immediate feedback - show processing message
+      await interaction.reply({
+        content: `🔄 Creating betting threads for all ${sport.toUpperCase()} games... This may take a moment.`,
+        ephemeral: true
+      });
+      
+      logger.info('Add all threads requested', {
+        sport,
+        userId: interaction.user.id,
+        guildId: interaction.guild.id
+      });
+
+      const timezone = await this.getTimezone(interaction.guild.id);
+
+      // OPTIMIZATION 1: Use cached data first, fallback to API if needed
+      let games;
+      const cachedGames = await this.espnClient.getCachedSchedule(sport);
+      if (cachedGames && cachedGames.length > 0) {
+        games = cachedGames;
+        logger.info('Using cached games data', { sport, gameCount: games.length });
+      } else {
+        logger.info('No cached data, fetching from API', { sport });
+        games = await this.espnClient.getUpcomingGames(sport, { timezone });
+      }
+
+      const todaysGames = this.filterTodaysGames(games, timezone);
+      
+      logger.info('Processing add all threads', {
+        sport,
+        totalGames: todaysGames.length
+      });
+
+      // OPTIMIZATION 2: Filter games that need threads first
+      const gamesToProcess = todaysGames.filter(game => 
+        !this.bettingThreadManager.hasThread(sport, game.id)
+      );
+
+      if (gamesToProcess.length === 0) {
+        await interaction.editReply({
+          content: `✅ All ${sport.toUpperCase()} games already have betting threads!`
+        });
+        return;
+      }
+
+      // OPTIMIZATION 3: Create threads in parallel with concurrency limit
+      const concurrencyLimit = 3; // Process 3 threads at a time
+      const gameIds = [];
+      let createdCount = 0;
+
+      for (let i = 0; i < gamesToProcess.length; i += concurrencyLimit) {
+        const batch = gamesToProcess.slice(i, i + concurrencyLimit);
+        
+        const promises = batch.map(async (game) => {
+          try {
+            // Skip recommendation generation for bulk operations to improve performance
+            const thread = await this.bettingThreadManager.createBettingThread(
+              interaction.guild,
+              sport,
+              game.id,
+              { skipRecommendation: true, actorId: interaction.user.id }
+            );
+            if (thread) {
+              gameIds.push(game.id);
+              return true;
+            }
+            return false;
+          } catch (error) {
+            logger.error('Failed to create thread for game', { 
+              sport, 
+              gameId: game.id, 
+              error: error.message 
+            });
+            return false;
+          }
+        });
+
+        const results = await Promise.all(promises);
+        createdCount += results.filter(Boolean).length;
+
+        // Update progress
+        const progress = Math.min(i + concurrencyLimit, gamesToProcess.length);
+        await interaction.editReply({
+          content: `🔄 Creating betting threads... ${progress}/${gamesToProcess.length} processed (${createdCount} created)`
+        });
+      }
+
+      logger.info('Add all threads completed', {
+        sport,
+        createdCount,
+        totalGames: todaysGames.length
+      });
+
+      // OPTIMIZATION 4: Update buttons in parallel batches
+      await this.updateAllGameButtonsInChannelOptimized(interaction.channel, sport, gameIds);
+
+      // Final success message
+      await interaction.editReply({
+        content: `✅ Created ${createdCount} betting threads for ${sport.toUpperCase()} games! Button states updated.`
+      });
+
+    } catch (error) {
+      logger.error('Failed to handle add all threads:', error);
+      try {
+        await interaction.editReply({
+          content: '❌ Failed to create betting threads. Please try again.'
+        });
+      } catch (editError) {
+        logger.error('Failed to edit reply:', editError);
+      }
+    }
+  }
+
+  /**
+   * Handle remove all threads button
+   * @param {ButtonInteraction} interaction - Discord button interaction
+   * @param {string} sport - Sport key
+   */
+  async handleRemoveAllThreads(interaction, sport) {
+    try {
+      // Immediate feedback - show processing message
+      await interaction.reply({
+        content: `🔄 Deleting betting threads for all ${sport.toUpperCase()} games... This may take a moment.`,
+        ephemeral: true
+      });
+      
+      logger.info('Remove all threads requested', {
+        sport,
+        userId: interaction.user.id,
+        guildId: interaction.guild.id
+      });
+
+      const timezone = await this.getTimezone(interaction.guild.id);
+
+      // OPTIMIZATION 1: Use cached data first, fallback to API if needed
+      let games;
+      const cachedGames = await this.espnClient.getCachedSchedule(sport);
+      if (cachedGames && cachedGames.length > 0) {
+        games = cachedGames;
+        logger.info('Using cached games data', { sport, gameCount: games.length });
+      } else {
+        logger.info('No cached data, fetching from API', { sport });
+        games = await this.espnClient.getUpcomingGames(sport, { timezone });
+      }
+
+      const todaysGames = this.filterTodaysGames(games, timezone);
+      
+      logger.info('Processing remove all threads', {
+        sport,
+        totalGames: todaysGames.length
+      });
+
+      // OPTIMIZATION 2: Filter games that have threads first
+      const gamesToProcess = todaysGames.filter(game => 
+        this.bettingThreadManager.hasThread(sport, game.id)
+      );
+
+      if (gamesToProcess.length === 0) {
+        await interaction.editReply({
+          content: `✅ No betting threads found for ${sport.toUpperCase()} games!`
+        });
+        return;
+      }
+
+      // OPTIMIZATION 3: Delete threads in parallel with concurrency limit
+      const concurrencyLimit = 3; // Process 3 threads at a time
+      const gameIds = [];
+      let deletedCount = 0;
+
+      for (let i = 0; i < gamesToProcess.length; i += concurrencyLimit) {
+        const batch = gamesToProcess.slice(i, i + concurrencyLimit);
+        
+        const promises = batch.map(async (game) => {
+          try {
+            const success = await this.bettingThreadManager.deleteBettingThread(
+              interaction.guild,
+              sport,
+              game.id
+            );
+            if (success) {
+              gameIds.push(game.id);
+              return true;
+            }
+            return false;
+          } catch (error) {
+            logger.error('Failed to delete thread for game', { 
+              sport, 
+              gameId: game.id, 
+              error: error.message 
+            });
+            return false;
+          }
+        });
+
+        const results = await Promise.all(promises);
+        deletedCount += results.filter(Boolean).length;
+
+        // Update progress
+        const progress = Math.min(i + concurrencyLimit, gamesToProcess.length);
+        await interaction.editReply({
+          content: `🔄 Deleting betting threads... ${progress}/${gamesToProcess.length} processed (${deletedCount} deleted)`
+        });
+      }
+
+      logger.info('Remove all threads completed', {
+        sport,
+        deletedCount,
+        totalGames: todaysGames.length
+      });
+
+      // OPTIMIZATION 4: Update buttons in parallel batches
+      await this.updateAllGameButtonsInChannelOptimized(interaction.channel, sport, gameIds);
+
+      // Final success message
+      await interaction.editReply({
+        content: `✅ Deleted ${deletedCount} betting threads for ${sport.toUpperCase()} games! Button states updated.`
+      });
+
+    } catch (error) {
+      logger.error('Failed to handle remove all threads:', error);
+      try {
+        await interaction.editReply({
+          content: '❌ Failed to delete betting threads. Please try again.'
+        });
+      } catch (editError) {
+        logger.error('Failed to edit reply:', editError);
+      }
+    }
+  }
+
+  /**
+   * Filter games to only today's games
+   * @param {Array} games - All games
+   * @param {string} timezone - Timezone that decides where today starts and ends
+   * @returns {Array} - Today's games
+   */
+  filterTodaysGames(games, timezone = getDefaultTimezone()) {
+    return filterGamesOnDay(games, timezone);
+  }
+
+  /**
+   * Get the timezone a guild's game logs follow
+   * @param {string} guildId - Guild ID
+   * @returns {Promise<string>} - IANA timezone name
+   */
+  async getTimezone(guildId) {
+    try {
+      const ServerConfigRepository = require('../../database/repositories/ServerConfigRepository');
+      return await new ServerConfigRepository().getTimezone(guildId);
+    } catch (error) {
+      logger.warn('Could not load server timezone', { guildId, error: error.message });
+      return getDefaultTimezone();
+    }
+  }
+
+  /**
+   * Update all game buttons in a channel to reflect current thread states (OPTIMIZED)
+   * @param {TextChannel} channel - Discord channel
+   * @param {string} sport - Sport key
+   * @param {Array} affectedGameIds - Game IDs that were affected by bulk operation
+   */
+  async updateAllGameButtonsInChannelOptimized(channel, sport, affectedGameIds) {
+    try {
+      // Fetch recent messages in the channel
+      const messages = await channel.messages.fetch({ limit: 50 });
+      
+      // Find messages that need updating
+      const messagesToUpdate = [];
+      
+      for (const [messageId, message] of messages) {
+        // Skip messages that don't have components or aren't from the bot
+        if (!message.components || message.components.length === 0 || !message.author.bot) {
+          continue;
+        }
+
+        // Check if this message has a toggle button for the affected sport
+        const toggleParams = message.components
+          .flatMap(row => row.components)
+          .map(component => component.customId && TOGGLE_BETTING_BUTTON.parse(component.customId))
+          .find(params => params && params.sport === sport);
+
+        if (!toggleParams) {
+          continue;
+        }
+
+        // Only update if this game was affected by the bulk operation
+        if (affectedGameIds.includes(toggleParams.gameId)) {
+          messagesToUpdate.push({ message, gameId: toggleParams.gameId });
+        }
+      }
+
+      // Update messages in parallel batches
+      const batchSize = 5;
+      for (let i = 0; i < messagesToUpdate.length; i += batchSize) {
+        const batch = messagesToUpdate.slice(i, i + batchSize);
+        
+        const updatePromises = batch.map(async ({ message, gameId }) => {
+          try {
+            const hasThread = this.bettingThreadManager.hasThread(sport, gameId);
+            const threadId = hasThread ? this.bettingThreadManager.getThreadId(sport, gameId) : null;
+            await this.updateGameButtonMessage(message, sport, gameId, hasThread, threadId);
+          } catch (error) {
+            logger.error('Failed to update game button message in batch', {
+              messageId: message.id,
+              gameId,
+              error: error.message
+            });
+          }
+        });
+
+        await Promise.all(updatePromises);
+      }
+
+      logger.info('Updated all game buttons in channel (optimized)', {
+        channelId: channel.id,
+        sport,
+        affectedGames: affectedGameIds.length,
+        messagesUpdated: messagesToUpdate.length
+      });
+
+    } catch (error) {
+      logger.error('Failed to update all game buttons in channel (optimized)', {
+        channelId: channel.id,
+        sport,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Update a specific game button message
+   * @param {Message} message - Discord message
+   * @param {string} sport - Sport key
+   * @param {string} gameId - Game ID
+   * @param {boolean} hasThread - Whether thread exists
+   * @param {string} threadId - Thread ID (if exists)
+   */
+  async updateGameButtonMessage(message, sport, gameId, hasThread, threadId = null) {
+    try {
+      // Get the original message content
+      let originalContent = message.content;
+      
+      // Remove any existing thread info from content
+      const lines = originalContent.split('\n');
+      const gameInfoLines = lines.filter(line => !line.includes('✅ **Thread:**'));
+      let updatedContent = gameInfoLines.join('\n');
+
+      // Add thread info if thread exists
+      if (hasThread && threadId) {
+        updatedContent += `\n✅ **Thread:** <#${threadId}>`;
+      }
+
+      // Create updated button with proper state
+      const actionRow = new ActionRowBuilder()
+        .addComponents(
+          new ButtonBuilder()
+            .setCustomId(TOGGLE_BETTING_BUTTON.build({ sport, gameId }))
+            .setLabel(hasThread ? '🗑️ Delete Thread' : '📈 Create Thread')
+            .setStyle(hasThread ? ButtonStyle.Danger : ButtonStyle.Success),
+          new ButtonBuilder()
+            .setCustomId(GAME_OPTIONS_BUTTON.build({ sport, gameId }))
+            .setLabel('⚙️ Options')
+            .setStyle(ButtonStyle.Secondary)
+        );
+
+      // Update the message with new content and buttons
+      await message.edit({
+        content: updatedContent,
+        components: [actionRow]
+      });
+
+      logger.debug('Updated game button message', {
+        messageId: message.id,
+        sport,
+        gameId,
+        hasThread
+      });
+
+    } catch (error) {
+      logger.error('Failed to update game button message', {
+        messageId: message.id,
+        sport,
+        gameId,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Handle game options button - show modal with options
+   * @param {ButtonInteraction} interaction - Discord button interaction
+   * @param {Object} params - Parsed custom ID params
+   * @param {string} params.sport - Sport key
+   * @param {string} params.gameId - Game ID
+   */
+  async handleGameOptions(interaction, { sport, gameId }) {
+    try {
+      // Get game info from the embed
+      const embed = interaction.message.embeds[0];
+      const gameTitle = embed.description?.replace(/\*\*/g, '') || 'Game';
+
+      const hasThread = this.bettingThreadManager.hasThread(sport, gameId);
+      const threadId = this.bettingThreadManager.getThreadId(sport, gameId);
+
+      // Create modal
+      const modal = new ModalBuilder()
+        .setCustomId(GAME_OPTIONS_MODAL.build({ sport, gameId }))
+        .setTitle(`Game Options: ${gameTitle.substring(0, 40)}`);
+
+      // Current status field
+      const statusInput = new TextInputBuilder()
+        .setCustomId('current_status')
+        .setLabel('Current Status')
+        .setStyle(TextInputStyle.Short)
+        .setValue(hasThread ? `Thread exists: ${threadId}` : 'No betting thread')
+        .setRequired(false);
+
+      // Action selection field
+      const actionInput = new TextInputBuilder()
+        .setCustomId('action_selection')
+        .setLabel('Action (type: toggle, remove, or cancel)')
+        .setStyle(TextInputStyle.Short)
+        .setPlaceholder('toggle = create/delete thread, remove = remove game, cancel = do nothing')
+        .setRequired(true);
+
+      // Reason field (optional)
+      const reasonInput = new TextInputBuilder()
+        .setCustomId('action_reason')
+        .setLabel('Reason (optional)')
+        .setStyle(TextInputStyle.Paragraph)
+        .setPlaceholder('Optional reason for this action...')
+        .setRequired(false)
+        .setMaxLength(500);
+
+      // Add inputs to action rows
+      const statusRow = new ActionRowBuilder().addComponents(statusInput);
+      const actionRow = new ActionRowBuilder().addComponents(actionInput);
+      const reasonRow = new ActionRowBuilder().addComponents(reasonInput);
+
+      modal.addComponents(statusRow, actionRow, reasonRow);
+
+      // Show the modal
+      await interaction.showModal(modal);
+
+    } catch (error) {
+      logger.error('Failed to handle game options:', error);
+      
+      try {
+        await interaction.reply({
+          content: '❌ An error occurred while opening game options.',
+          ephemeral: true
+        });
+      } catch (replyError) {
+        logger.error('Failed to send error reply:', replyError);
+      }
+    }
+  }
+
+  /**
+   * Handle game options modal submission
+   * @param {ModalSubmitInteraction} interaction - Discord modal interaction
+   * @param {Object} params - Parsed custom ID params
+   * @param {string} params.sport - Sport key
+   * @param {string} params.gameId - Game ID
+   */
+  async handleGameOptionsModal(interaction, { sport, gameId }) {
+    try {
+      // Get form values
+      const action = interaction.fields.getTextInputValue('action_selection').toLowerCase().trim();
+      const reason = interaction.fields.getTextInputValue('action_reason') || 'No reason provided';
+
+      await interaction.reply({
+        content: `🔄 Processing action: ${action}...`,
+        ephemeral: true
+      });
+
+      switch (action) {
+        case 'toggle':
+          // Same logic as toggle betting button
+          const hasThread = this.bettingThreadManager.hasThread(sport, gameId);
+          
+          if (hasThread) {
+            const success = await this.bettingThreadManager.deleteBettingThread(
+              interaction.guild,
+              sport,
+              gameId
+            );
+            
+            if (success) {
+              // Find and update the original message
+              await this.updateGameButtonFromModal(interaction, sport, gameId, false);
+              await interaction.editReply({
+                content: `✅ Betting thread deleted successfully.\nReason: ${reason}`
+              });
+            } else {
+              await interaction.editReply({
+                content: '❌ Failed to delete betting thread.'
+              });
+            }
+          } else {
+            const thread = await this.bettingThreadManager.createBettingThread(
+              interaction.guild,
+              sport,
+              gameId,
+              { actorId: interaction.user.id }
+            );
+            
+            if (thread) {
+              await this.updateGameButtonFromModal(interaction, sport, gameId, true, thread.id);
+              await interaction.editReply({
+                content: `✅ Betting thread created: <#${thread.id}>\nReason: ${reason}`
+              });
+            } else {
+              await interaction.editReply({
+                content: '❌ Failed to create betting thread.'
+              });
+            }
+          }
+          break;
+
+        case 'remove':
+          // Remove the game message entirely
+          try {
+            // Delete any existing thread first
+            if (this.bettingThreadManager.hasThread(sport, gameId)) {
+              await this.bettingThreadManager.deleteBettingThread(interaction.guild, sport, gameId);
+            }
+            
+            // Find the original message and delete it
+            // We'll need to find it in the channel - for now just acknowledge
+            await interaction.editReply({
+              content: `✅ Game removal requested.\nReason: ${reason}\n\n*Note: Manual message deletion required for now*`
+            });
+          } catch (error) {
+            await interaction.editReply({
+              content: '❌ Failed to remove game.'
+            });
+          }
+          break;
+
+        case 'cancel':
+          await interaction.editReply({
+            content: '✅ Action cancelled. No changes made.'
+          });
+          break;
+
+        default:
+          await interaction.editReply({
+            content: `❌ Unknown action: "${action}". Valid actions are: toggle, remove, cancel`
+          });
+          break;
+      }
+
+    } catch (error) {
+      logger.error('Failed to handle game options modal:', error);
+      
+      try {
+        await interaction.editReply({
+          content: '❌ An error occurred while processing your request.'
+        });
+      } catch (replyError) {
+        logger.error('Failed to send error reply:', replyError);
+      }
+    }
+  }
+
+  /**
+   * Update game button from modal (need to find the original message)
+   * @param {ModalSubmitInteraction} interaction - Modal interaction
+   * @param {string} sport - Sport key
+   * @param {string} gameId - Game ID
+   * @param {boolean} hasThread - Whether thread exists
+   * @param {string} threadId - Thread ID (if exists)
+   */
+  async updateGameButtonFromModal(interaction, sport, gameId, hasThread, threadId = null) {
+    try {
+      // For now, we'll just log this - finding the original message requires more complex logic
+      logger.info('Game button update requested from modal', {
+        sport,
+        gameId,
+        hasThread,
+        threadId,
+        guildId: interaction.guild.id
+      });
+      
+      // TODO: Implement finding and updating the original game message
+      // This would require storing message IDs or searching through recent messages
+      
+    } catch (error) {
+      logger.error('Failed to update game button from modal:', error);
+    }
+  }
+}
+
+GameLogInteractionHandler.TOGGLE_BETTING_BUTTON = TOGGLE_BETTING_BUTTON;
+GameLogInteractionHandler.GAME_OPTIONS_BUTTON = GAME_OPTIONS_BUTTON;
+GameLogInteractionHandler.GAME_OPTIONS_MODAL = GAME_OPTIONS_MODAL;
+GameLogInteractionHandler.BULK_THREADS_BUTTON = BULK_THREADS_BUTTON;
+
+module.exports = GameLogInteractionHandler;
@@ -1,6 +1,8 @@
 const { EmbedBuilder, ChannelType } = require('discord.js');
 const ESPNAPIClient = require('./ESPNAPIClient');
+const GameLogInteractionHandler = require('./GameLogInteractionHandler');
 const logger = require('../../utils/logger');
+const { filterGamesOnDay, getDefaultTimezone, isLocalHour } = require('../../utils/timezone');
 const cron = require('node-cron');
 
 /**
@@ -57,19 +59,43 @@ class GameLogManager {
    * Schedule daily game log updates
    */
   scheduleDailyUpdates() {
-    // Schedule for 8 AM daily
-    const job = cron.schedule('0 8 * * *', async () => {
-      logger.info('Running scheduled daily game log update');
-      await this.updateAllGuildGameLogs();
+    // Guilds can be in different timezones, so check every 15 minutes which ones just hit 8 AM
+    const job = cron.schedule('*/15 * * * *', async () => {
+      await this.updateDueGuildGameLogs();
     }, {
-      scheduled: false,
-      timezone: 'America/New_York'
+      scheduled: false
     });
 
     this.scheduledJobs.set('daily-update', job);
     job.start();
     
-    logger.info('Scheduled daily game log updates for 8 AM EST');
+    logger.info(`Scheduled daily game log updates for ${GameLogManager.DAILY_POST_HOUR}:00 in each server's timezone`);
+  }
+
+  /**
+   * Update game logs for guilds where it is currently the daily post hour
+   * @param {Date} now - Tick time
+   */
+  async updateDueGuildGameLogs(now = new Date()) {
+    try {
+      for (const [guildId, guild] of this.client.guilds.cache) {
+        const timezone = await this.getTimezone(guildId);
+        if (!isLocalHour(now, timezone, GameLogManager.DAILY_POST_HOUR)) continue;
+
+        logger.info('Running scheduled daily game log update', { guildId, timezone });
+        try {
+          await this.updateGuildGameLogs(guild);
+        } catch (error) {
+          logger.error('Failed to update game logs for guild', {
+            guildId,
+            guildName: guild.name,
+            error: error.message
+          });
+        }
+      }
+    } catch (error) {
+      logger.error('Failed to run scheduled game log updates', { error: error.message });
+    }
   }
 
   /**
@@ -171,6 +197,8 @@ class GameLogManager {
         return;
       }
 
+      const timezone = await this.getTimezone(guild.id);
+
       logger.info('Channel found/created successfully', {
         guildId: guild.id,
         sport,
@@ -196,20 +224,20 @@ class GameLogManager {
         });
         
         if (cachedGames && cachedGames.length > 0) {
-          await this.postGameSchedule(channel, sport, cachedGames, true);
+          await this.postGameSchedule(channel, sport, this.filterTodaysGames(cachedGames, timezone), true, timezone);
         }
         return;
       }
 
       // Fetch today's games
-      logger.info('Fetching games from ESPN', { sport });
-      const games = await this.espnClient.getUpcomingGames(sport);
+      logger.info('Fetching games from ESPN', { sport, timezone });
+      const games = await this.espnClient.getUpcomingGames(sport, { timezone });
       logger.info('Games fetched from ESPN', {
         sport,
         totalGames: games.length
       });
 
-      const todaysGames = this.filterTodaysGames(games);
+      const todaysGames = this.filterTodaysGames(games, timezone);
       logger.info('Filtered to today\'s games', {
         sport,
         todaysGamesCount: todaysGames.length,
@@ -218,7 +246,7 @@ class GameLogManager {
       
       if (todaysGames.length === 0) {
         logger.info('No games today for sport, posting no games message', { sport });
-        await this.postNoGamesMessage(channel, sport);
+        await this.postNoGamesMessage(channel, sport, timezone);
         return;
       }
 
@@ -229,7 +257,7 @@ class GameLogManager {
         channelId: channel.id
       });
       
-      await this.postGameSchedule(channel, sport, todaysGames);
+      await this.postGameSchedule(channel, sport, todaysGames, false, timezone);
       
       logger.info('Successfully updated sport game log', {
         guildId: guild.id,
@@ -257,8 +285,23 @@ class GameLogManager {
    */
   async findOrCreateSportChannel(guild, sport) {
     try {
+      // Channels mapped with /setup win, and servers that finished setup get no new channels
+      const serverConfig = await this.getServerConfig(guild.id);
+      const configuredChannelId = serverConfig?.getSportsChannel(sport);
+      if (configuredChannelId) {
+        const configuredChannel = guild.channels.cache.get(configuredChannelId);
+        if (configuredChannel) {
+          return configuredChannel;
+        }
+        logger.warn('Configured sport channel no longer exists', { guildId: guild.id, sport, channelId: configuredChannelId });
+      }
+
+      if (serverConfig?.setupCompletedAt) {
+        return null;
+      }
+
       const channelName = this.defaultChannelNames[sport];
-      
+
       // Try to find existing channel
       let channel = guild.channels.cache.find(
         ch => ch.type === ChannelType.GuildText && 
@@ -306,21 +349,39 @@ class GameLogManager {
     }
   }
 
+  /**
+   * Get a guild's server config, or null if it has none or it cannot be read
+   * @param {string} guildId - Guild ID
+   * @returns {Promise<ServerConfig|null>}
+   */
+  async getServerConfig(guildId) {
+    try {
+      const ServerConfigRepository = require('../../database/repositories/ServerConfigRepository');
+      return await new ServerConfigRepository().getByGuildId(guildId);
+    } catch (error) {
+      logger.warn('Could not load server config', { guildId, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Get the timezone a guild's game logs follow
+   * @param {string} guildId - Guild ID
+   * @returns {Promise<string>} - IANA timezone name
+   */
+  async getTimezone(guildId) {
+    const serverConfig = await this.getServerConfig(guildId);
+    return serverConfig ? serverConfig.getTimezone() : getDefaultTimezone();
+  }
+
   /**
    * Filter games to only today's games
    * @param {Array} games - All games
+   * @param {string} timezone - Timezone that decides where today starts and ends
    * @returns {Array} - Today's games
    */
-  filterTodaysGames(games) {
-    const today = new Date();
-    const todayStart = new Date(today.getFullYear(), today.getMonth(), today.getDate());
-    const todayEnd = new Date(todayStart);
-    todayEnd.setDate(todayEnd.getDate() + 1);
-
-    return games.filter(game => {
-      const gameDate = new Date(game.date);
-      return gameDate >= todayStart && gameDate < todayEnd;
-    });
+  filterTodaysGames(games, timezone = getDefaultTimezone()) {
+    return filterGamesOnDay(games, timezone);
   }
 
   /**
@@ -329,19 +390,21 @@ class GameLogManager {
    * @param {string} sport - Sport key
    * @param {Array} games - Games to post
    * @param {boolean} isFromCache - Whether data is from cache
+   * @param {string} timezone - Timezone for the date and game times
    */
-  async postGameSchedule(channel, sport, games, isFromCache = false) {
+  async postGameSchedule(channel, sport, games, isFromCache = false, timezone = getDefaultTimezone()) {
     try {
       const sportName = this.getSportDisplayName(sport);
       const today = new Date().toLocaleDateString('en-US', {
         weekday: 'long',
         year: 'numeric',
         month: 'long',
-        day: 'numeric'
+        day: 'numeric',
+        timeZone: timezone
       });
 
       if (games.length === 0) {
-        await this.postNoGamesMessage(channel, sport);
+        await this.postNoGamesMessage(channel, sport, timezone);
         return;
       }
 
@@ -369,12 +432,12 @@ class GameLogManager {
       const globalActionRow = new ActionRowBuilder()
         .addComponents(
           new ButtonBuilder()
-            .setCustomId(`add_all_threads_${sport}`)
+            .setCustomId(GameLogInteractionHandler.BULK_THREADS_BUTTON.build({ action: 'add', sport }))
             .setLabel('📈 Add All Threads')
             .setStyle(ButtonStyle.Success)
             .setEmoji('📈'),
           new ButtonBuilder()
-            .setCustomId(`remove_all_threads_${sport}`)
+            .setCustomId(GameLogInteractionHandler.BULK_THREADS_BUTTON.build({ action: 'remove', sport }))
             .setLabel('🗑️ Remove All Threads')
             .setStyle(ButtonStyle.Danger)
             .setEmoji('🗑️')
@@ -388,7 +451,7 @@ class GameLogManager {
       // Post each game as individual message
       for (let i = 0; i < games.length; i++) {
         const game = games[i];
-        await this.postIndividualGameMessage(channel, sport, game, i + 1);
+        await this.postIndividualGameMessage(channel, sport, game, i + 1, timezone);
         
         // Small delay to avoid rate limits
         if (i < games.length - 1) {
@@ -418,15 +481,18 @@ class GameLogManager {
    * @param {string} sport - Sport key
    * @param {Object} game - Game object
    * @param {number} gameNumber - Game number for display
+   * @param {string} timezone - Timezone for the game time
    */
-  async postIndividualGameMessage(channel, sport, game, gameNumber) {
+  async postIndividualGameMessage(channel, sport, game, gameNumber, timezone = getDefaultTimezone()) {
     try {
       const { ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
 
       // Format game time (short format)
       const gameTime = new Date(game.date).toLocaleTimeString('en-US', {
         hour: 'numeric',
-        minute: '2-digit'
+        minute: '2-digit',
+        timeZone: timezone,
+        timeZoneName: 'short'
       });
 
       // Create team names (use abbreviations for compactness)
@@ -479,11 +545,11 @@ class GameLogManager {
       const actionRow = new ActionRowBuilder()
         .addComponents(
           new ButtonBuilder()
-            .setCustomId(`toggle_betting_${sport}_${game.id}`)
+            .setCustomId(GameLogInteractionHandler.TOGGLE_BETTING_BUTTON.build({ sport, gameId: game.id }))
             .setLabel(hasThread ? '🗑️ Delete Thread' : '📈 Create Thread')
             .setStyle(hasThread ? ButtonStyle.Danger : ButtonStyle.Success),
           new ButtonBuilder()
-            .setCustomId(`game_options_${sport}_${game.id}`)
+            .setCustomId(GameLogInteractionHandler.GAME_OPTIONS_BUTTON.build({ sport, gameId: game.id }))
             .setLabel('⚙️ Options')
             .setStyle(ButtonStyle.Secondary)
         );
@@ -507,15 +573,17 @@ class GameLogManager {
    * Post "no games" message
    * @param {TextChannel} channel - Discord channel
    * @param {string} sport - Sport key
+   * @param {string} timezone - Timezone for the date
    */
-  async postNoGamesMessage(channel, sport) {
+  async postNoGamesMessage(channel, sport, timezone = getDefaultTimezone()) {
     try {
       const sportName = this.getSportDisplayName(sport);
       const today = new Date().toLocaleDateString('en-US', {
         weekday: 'long',
         year: 'numeric',
         month: 'long',
-        day: 'numeric'
+        day: 'numeric',
+        timeZone: timezone
       });
 
       const embed = new EmbedBuilder()
@@ -643,4 +711,7 @@ class GameLogManager {
   }
 }
 
+// Local hour the daily game logs are posted in each server's timezone
+GameLogManager.DAILY_POST_HOUR = 8;
+
 module.exports = GameLogManager;
\ No newline at end of file
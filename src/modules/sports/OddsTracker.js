@@ -1,6 +1,7 @@
 const ActionNetworkScraper = require('./ActionNetworkScraper');
 const BettingSnapshotRepository = require('../../database/repositories/BettingSnapshotRepository');
 const logger = require('../../utils/logger');
+const { getDefaultTimezone, isLocalHour } = require('../../utils/timezone');
 const cron = require('node-cron');
 
 /**
@@ -17,15 +18,20 @@ class OddsTracker {
     // Supported sports
     this.supportedSports = ['nfl', 'nba', 'nhl', 'ncaa_basketball', 'ncaa_football'];
     
-    // Scraping schedule configuration
+    // Scraping schedule configuration: local hours, run in every server's timezone
     this.scrapingSchedules = {
       // Multiple times daily for active betting
-      morning: '0 8 * * *',    // 8 AM
-      midday: '0 12 * * *',    // 12 PM
-      afternoon: '0 16 * * *', // 4 PM
-      evening: '0 20 * * *',   // 8 PM
-      night: '0 23 * * *'      // 11 PM
+      morning: 8,    // 8 AM
+      midday: 12,    // 12 PM
+      afternoon: 16, // 4 PM
+      evening: 20,   // 8 PM
+      night: 23      // 11 PM
     };
+
+    // Schedule hours arrive once per server timezone, but one full scrape covers them all
+    this.minScheduledScrapeInterval = 60 * 60 * 1000; // 1 hour
+    this.lastScheduledScrapeAt = null;
+    this.scheduledScrapeRunning = false;
   }
 
   /**
@@ -35,9 +41,6 @@ class OddsTracker {
     if (this.isInitialized) return;
 
     try {
-      // Ensure betting snapshots table exists
-      await this.snapshotRepo.createTable();
-      
       // Schedule automated scraping
       this.scheduleAutomatedScraping();
       
@@ -54,20 +57,72 @@ class OddsTracker {
    * Schedule automated odds scraping
    */
   scheduleAutomatedScraping() {
-    Object.entries(this.scrapingSchedules).forEach(([name, schedule]) => {
-      const job = cron.schedule(schedule, async () => {
-        logger.info('Running scheduled odds scraping', { schedule: name });
-        await this.scrapeAllSports();
-      }, {
-        scheduled: false,
-        timezone: 'America/New_York'
-      });
-
-      this.scheduledJobs.set(name, job);
-      job.start();
-      
-      logger.info('Scheduled odds scraping job', { name, schedule });
+    // Servers can be in different timezones, so check every 15 minutes whether any just hit a scrape hour
+    const job = cron.schedule('*/15 * * * *', () => this.runScheduledScrape(), {
+      scheduled: false
     });
+
+    this.scheduledJobs.set('scheduled-scrape', job);
+    job.start();
+
+    logger.info('Scheduled odds scraping', { schedules: this.scrapingSchedules });
+  }
+
+  /**
+   * Scrape all sports if a schedule is due, at most once per minScheduledScrapeInterval
+   * @param {Date} now - Tick time
+   * @returns {Promise<Object|null>} - Scraping results, or null when skipped
+   */
+  async runScheduledScrape(now = new Date()) {
+    if (this.scheduledScrapeRunning) return null;
+    if (this.lastScheduledScrapeAt && now - this.lastScheduledScrapeAt < this.minScheduledScrapeInterval) return null;
+
+    const due = await this.getDueSchedules(now);
+    if (due.length === 0) return null;
+
+    logger.info('Running scheduled odds scraping', { schedules: due });
+
+    this.scheduledScrapeRunning = true;
+    try {
+      return await this.scrapeAllSports();
+    } finally {
+      this.scheduledScrapeRunning = false;
+      this.lastScheduledScrapeAt = new Date();
+    }
+  }
+
+  /**
+   * Get the timezones servers have picked, plus the bot default
+   * @returns {Promise<string[]>}
+   */
+  async getTimezones() {
+    try {
+      const ServerConfigRepository = require('../../database/repositories/ServerConfigRepository');
+      return await new ServerConfigRepository().getTimezonesInUse();
+    } catch (error) {
+      logger.warn('Could not load server timezones, using the default', { error: error.message });
+      return [getDefaultTimezone()];
+    }
+  }
+
+  /**
+   * Get the schedules that are due in at least one server's timezone
+   * @param {Date} now - Tick time
+   * @returns {Promise<string[]>} - Due schedule names with their timezone, e.g. "morning (Europe/Paris)"
+   */
+  async getDueSchedules(now = new Date()) {
+    const timezones = await this.getTimezones();
+    const due = [];
+
+    for (const timezone of timezones) {
+      for (const [name, hour] of Object.entries(this.scrapingSchedules)) {
+        if (isLocalHour(now, timezone, hour)) {
+          due.push(`${name} (${timezone})`);
+        }
+      }
+    }
+
+    return due;
   }
 
   /**
@@ -391,10 +446,11 @@ class OddsTracker {
   }
 
   /**
-   * Cleanup resources
+   * Cleanup resources, including the scraper's Puppeteer browser
    */
-  cleanup() {
+  async cleanup() {
     this.stopScheduledJobs();
+    await this.scraper.cleanup();
     this.isInitialized = false;
     logger.info('OddsTracker cleanup completed');
   }
@@ -0,0 +1,155 @@
+const { EmbedBuilder } = require('discord.js');
+const logger = require('./logger');
+const dbConnection = require('../database/connection');
+
+// Recorded action types and how /audit and the mod-log channel label them
+const ACTIONS = {
+  'betting_thread.create': '🧵 Betting thread created',
+  'lobby.disband': '💥 Lobby disbanded',
+  'lobby.kick': '👢 Member kicked from lobby',
+  'team_color.override': '🎨 Team color changed',
+  'odds.scrape': '📊 Manual odds scrape',
+  'audit.channel': '📝 Audit log channel changed',
+  'database.restore': '♻️ Database restored from backup'
+};
+
+/**
+ * Persists bot actions per guild for /audit and, when a server has picked a
+ * mod-log channel, posts each entry there too. Recording never throws: a failed
+ * write is logged and the action it describes carries on.
+ */
+class AuditLog {
+  constructor() {
+    this.repository = null;
+    this.configRepo = null;
+  }
+
+  /**
+   * Repository for entries, or null without a database
+   * @returns {AuditLogRepository|null}
+   */
+  getRepository() {
+    if (!dbConnection.isReady()) {
+      return null;
+    }
+
+    if (!this.repository) {
+      const AuditLogRepository = require('../database/repositories/AuditLogRepository');
+      this.repository = new AuditLogRepository();
+    }
+
+    return this.repository;
+  }
+
+  /**
+   * Record an action
+   * @param {Object} entry
+   * @param {string} entry.guildId - Guild the action happened in
+   * @param {string|null} entry.actorId - Member who caused it, null for the bot itself
+   * @param {string} entry.action - One of ACTIONS
+   * @param {string} [entry.targetType] - user, channel, thread, lobby or team
+   * @param {string} [entry.targetId] - ID (or name) of the target
+   * @param {Object} [entry.payload] - Action details
+   * @param {Client} [client] - Discord client, needed to mirror into the mod-log channel
+   * @returns {Promise<Object|null>} - The stored entry, or null if it could not be saved
+   */
+  async record(entry, client = null) {
+    const repository = this.getRepository();
+    if (!repository || !entry.guildId) {
+      return null;
+    }
+
+    try {
+      const stored = await repository.record(entry);
+      logger.debug('Recorded audit entry', { guildId: entry.guildId, action: entry.action, actorId: entry.actorId });
+
+      if (client) {
+        await this.mirror(stored, client);
+      }
+
+      return stored;
+    } catch (error) {
+      logger.error('Failed to record audit entry', { guildId: entry.guildId, action: entry.action, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Post an entry to the guild's mod-log channel, if it has one
+   */
+  async mirror(entry, client) {
+    if (!this.configRepo) {
+      const ServerConfigRepository = require('../database/repositories/ServerConfigRepository');
+      this.configRepo = new ServerConfigRepository();
+    }
+
+    const serverConfig = await this.configRepo.getByGuildId(entry.guildId);
+    if (!serverConfig?.auditChannelId) {
+      return;
+    }
+
+    try {
+      const channel = await client.channels.fetch(serverConfig.auditChannelId);
+      await channel.send({ embeds: [this.buildEmbed(entry)] });
+    } catch (error) {
+      logger.warn('Failed to mirror audit entry to mod-log channel', {
+        guildId: entry.guildId,
+        channelId: serverConfig.auditChannelId,
+        error: error.message
+      });
+    }
+  }
+
+  buildEmbed(entry) {
+    const embed = new EmbedBuilder()
+      .setColor(0x5865F2)
+      .setTitle(this.getLabel(entry.action))
+      .addFields({ name: 'By', value: this.formatActor(entry.actorId), inline: true })
+      .setFooter({ text: `Audit #${entry.id}` })
+      .setTimestamp(new Date(entry.createdAt));
+
+    if (entry.targetId) {
+      embed.addFields({ name: 'Target', value: this.formatTarget(entry), inline: true });
+    }
+
+    const details = this.formatPayload(entry.payload);
+    if (details) {
+      embed.addFields({ name: 'Details', value: details });
+    }
+
+    return embed;
+  }
+
+  getLabel(action) {
+    return ACTIONS[action] || action;
+  }
+
+  formatActor(actorId) {
+    return actorId ? `<@${actorId}>` : 'Bot';
+  }
+
+  /**
+   * Mention users and channels, show other targets as "type id"
+   */
+  formatTarget({ targetType, targetId }) {
+    if (!targetId) return '—';
+    if (targetType === 'user') return `<@${targetId}>`;
+    if (targetType === 'channel' || targetType === 'thread') return `<#${targetId}>`;
+    return targetType ? `${targetType} ${targetId}` : targetId;
+  }
+
+  formatPayload(payload) {
+    if (!payload) return null;
+
+    const lines = Object.entries(payload)
+      .filter(([, value]) => value !== null && value !== undefined)
+      .map(([key, value]) => `**${key}:** ${typeof value === 'object' ? JSON.stringify(value) : value}`);
+
+    return lines.length > 0 ? lines.join('\n').slice(0, 1024) : null;
+  }
+}
+
+const auditLog = new AuditLog();
+auditLog.ACTIONS = ACTIONS;
+
+module.exports = auditLog;
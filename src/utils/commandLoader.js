@@ -6,6 +6,7 @@ const logger = require('./logger');
 class CommandLoader {
   constructor() {
     this.commands = new Collection();
+    this.commandFiles = new Map(); // command name -> { filePath, category }
   }
 
   /**
@@ -55,30 +56,13 @@ class CommandLoader {
           delete require.cache[require.resolve(filePath)];
         }
 
-        const CommandClass = require(filePath);
-        
-        // Handle both class exports and direct command objects
-        let command;
-        if (typeof CommandClass === 'function') {
-          command = new CommandClass();
-        } else if (CommandClass && typeof CommandClass === 'object') {
-          command = CommandClass;
-        } else {
-          logger.warn(`Invalid command export in ${filePath}`);
+        const command = this.loadCommandFile(filePath, category);
+        if (!command) {
           continue;
         }
 
-        // Validate command structure
-        if (!this.validateCommand(command, filePath)) {
-          continue;
-        }
-
-        // Set category if not already set
-        if (command.options && !command.options.category) {
-          command.options.category = category;
-        }
-
         this.commands.set(command.data.name, command);
+        this.commandFiles.set(command.data.name, { filePath, category });
         loadedCount++;
         
         logger.debug(`Loaded command: ${command.data.name} from ${category}/${file}`);
@@ -92,6 +76,39 @@ class CommandLoader {
     }
   }
 
+  /**
+   * Require a command file and build the command it exports
+   * @param {string} filePath - Path to the command file
+   * @param {string} category - Category name for the command
+   * @returns {Object|null} - Command object or null if the export is invalid
+   */
+  loadCommandFile(filePath, category) {
+    const CommandClass = require(filePath);
+
+    // Handle both class exports and direct command objects
+    let command;
+    if (typeof CommandClass === 'function') {
+      command = new CommandClass();
+    } else if (CommandClass && typeof CommandClass === 'object') {
+      command = CommandClass;
+    } else {
+      logger.warn(`Invalid command export in ${filePath}`);
+      return null;
+    }
+
+    // Validate command structure
+    if (!this.validateCommand(command, filePath)) {
+      return null;
+    }
+
+    // Set category if not already set
+    if (command.options && !command.options.category) {
+      command.options.category = category;
+    }
+
+    return command;
+  }
+
   /**
    * Validate command structure
    * @param {Object} command - Command object to validate
@@ -156,41 +173,73 @@ class CommandLoader {
   }
 
   /**
-   * Reload a specific command
+   * Find which loaded command came from a file
+   * @param {string} filePath - Path to a command file
+   * @returns {string|null} - Command name or null if no loaded command uses the file
+   */
+  getCommandNameForFile(filePath) {
+    const resolved = path.resolve(filePath);
+    for (const [name, source] of this.commandFiles) {
+      if (path.resolve(source.filePath) === resolved) {
+        return name;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Re-read a command's file from disk and swap the new version in. Only the
+   * command file itself is re-required; modules it imports stay cached. If the
+   * file fails to load, builds an invalid command or renames the command, the
+   * previous version stays in place and the error is thrown.
    * @param {string} name - Command name to reload
-   * @param {string} commandsPath - Path to the commands directory
-   * @returns {boolean} - Whether the reload was successful
+   * @returns {{ command: Object, previous: Object }} - New and previous command versions
    */
-  async reloadCommand(name, commandsPath) {
-    const command = this.commands.get(name);
-    if (!command) {
-      logger.warn(`Command ${name} not found for reload`);
-      return false;
+  reloadCommand(name) {
+    const previous = this.commands.get(name);
+    const source = this.commandFiles.get(name);
+    if (!previous || !source) {
+      throw new Error(`Command ${name} is not loaded`);
     }
 
+    const { filePath, category } = source;
+    const modulePath = require.resolve(filePath);
+    const previousModule = require.cache[modulePath];
+    delete require.cache[modulePath];
+
     try {
-      // Find the command file
-      const category = command.options?.category || 'general';
-      const folderPath = path.join(commandsPath, category);
-      
-      if (!fs.existsSync(folderPath)) {
-        logger.error(`Category folder ${category} not found`);
-        return false;
+      const command = this.loadCommandFile(filePath, category);
+      if (!command) {
+        throw new Error(`${filePath} no longer exports a valid command`);
       }
 
-      // Remove from collection
-      this.commands.delete(name);
+      if (command.data.name !== name) {
+        throw new Error(`${filePath} now defines /${command.data.name}; restart the bot to rename commands`);
+      }
 
-      // Reload the folder
-      await this.loadCommandsFromFolder(folderPath, category);
+      // Build the definition now so a broken builder fails before the swap
+      command.data.toJSON();
 
+      this.commands.set(name, command);
       logger.info(`Reloaded command: ${name}`);
-      return true;
+      return { command, previous };
     } catch (error) {
+      if (previousModule) {
+        require.cache[modulePath] = previousModule;
+      }
       logger.error(`Error reloading command ${name}:`, error);
-      return false;
+      throw error;
     }
   }
+
+  /**
+   * Put back the version of a command that reloadCommand replaced
+   * @param {Object} previous - Command returned as `previous` by reloadCommand
+   */
+  restoreCommand(previous) {
+    this.commands.set(previous.data.name, previous);
+    logger.warn(`Rolled back command: ${previous.data.name}`);
+  }
 }
 
-module.exports = CommandLoader;
\ No newline at end of file
+module.exports = CommandLoader;
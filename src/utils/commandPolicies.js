@@ -0,0 +1,173 @@
+const { PermissionFlagsBits } = require('discord.js');
+const logger = require('./logger');
+const dbConnection = require('../database/connection');
+const i18n = require('./i18n');
+
+const CATEGORIES = ['gaming', 'sports', 'admin', 'general'];
+const PROTECTED_COMMANDS = ['permissions']; // Never restricted, so admins cannot lock themselves out
+
+/**
+ * Evaluates the role and channel policies guild admins set with /permissions.
+ *
+ * Roles and channels are decided separately. For each, policies on the command
+ * itself win over policies on its category. Within a level:
+ * - channels: a deny on this channel blocks, and allow policies make a whitelist
+ * - roles: holding any allowed role permits, otherwise a denied role blocks, and
+ *   allow policies without a matching role block
+ * Administrators are never restricted.
+ */
+class CommandPolicies {
+  constructor() {
+    this.repository = null;
+  }
+
+  /**
+   * Repository for policies, or null without a database
+   * @returns {CommandPermissionRepository|null}
+   */
+  getRepository() {
+    if (!dbConnection.isReady()) {
+      return null;
+    }
+
+    if (!this.repository) {
+      const CommandPermissionRepository = require('../database/repositories/CommandPermissionRepository');
+      this.repository = new CommandPermissionRepository();
+    }
+
+    return this.repository;
+  }
+
+  /**
+   * Decide whether a member may run a command here
+   * @param {BaseCommand} command - Command being run
+   * @param {CommandInteraction} interaction - The Discord interaction
+   * @returns {Promise<Object>} - { allowed, reason }
+   */
+  async evaluate(command, interaction) {
+    const repository = this.getRepository();
+    const guildId = interaction.guild?.id;
+
+    if (!repository || !guildId || PROTECTED_COMMANDS.includes(command.name)) {
+      return { allowed: true, reason: null };
+    }
+
+    if (interaction.member?.permissions?.has(PermissionFlagsBits.Administrator)) {
+      return { allowed: true, reason: null };
+    }
+
+    const policies = await repository.getPoliciesFor(guildId, command.name, command.options.category);
+    if (policies.length === 0) {
+      return { allowed: true, reason: null };
+    }
+
+    const channelPolicies = this.mostSpecific(policies.filter(policy => policy.subject_type === 'channel'));
+    if (!this.channelAllows(channelPolicies, interaction.channel)) {
+      return { allowed: false, reason: 'channel' };
+    }
+
+    const rolePolicies = this.mostSpecific(policies.filter(policy => policy.subject_type === 'role'));
+    if (!this.rolesAllow(rolePolicies, this.getMemberRoleIds(interaction.member, guildId))) {
+      return { allowed: false, reason: 'role' };
+    }
+
+    return { allowed: true, reason: null };
+  }
+
+  /**
+   * Command policies if there are any, otherwise category policies
+   */
+  mostSpecific(policies) {
+    const commandPolicies = policies.filter(policy => policy.target_type === 'command');
+    return commandPolicies.length > 0 ? commandPolicies : policies;
+  }
+
+  channelAllows(policies, channel) {
+    if (policies.length === 0) {
+      return true;
+    }
+
+    // Threads follow the policies of their parent channel
+    const channelIds = [channel?.id, channel?.parentId].filter(Boolean);
+    const matching = policies.filter(policy => channelIds.includes(policy.subject_id));
+
+    if (matching.some(policy => policy.effect === 'deny')) {
+      return false;
+    }
+
+    const whitelist = policies.filter(policy => policy.effect === 'allow');
+    return whitelist.length === 0 || matching.length > 0;
+  }
+
+  rolesAllow(policies, roleIds) {
+    if (policies.length === 0) {
+      return true;
+    }
+
+    const matching = policies.filter(policy => roleIds.includes(policy.subject_id));
+    if (matching.some(policy => policy.effect === 'allow')) {
+      return true;
+    }
+
+    if (matching.some(policy => policy.effect === 'deny')) {
+      return false;
+    }
+
+    return !policies.some(policy => policy.effect === 'allow');
+  }
+
+  /**
+   * Role IDs of a member, including @everyone (whose ID is the guild ID)
+   */
+  getMemberRoleIds(member, guildId) {
+    const roles = member?.roles;
+    // Uncached members carry role IDs as an array instead of a role manager
+    const roleIds = Array.isArray(roles) ? roles : [...(roles?.cache?.keys() || [])];
+    return roleIds.includes(guildId) ? roleIds : [...roleIds, guildId];
+  }
+
+  /**
+   * Reply explaining a denial
+   */
+  async replyDenied(interaction, reason) {
+    const content = await i18n.translate(interaction, reason === 'channel' ? 'command.deniedChannel' : 'command.deniedRole');
+
+    await interaction.reply({ content, ephemeral: true });
+  }
+
+  /**
+   * Check a command against the guild's policies, replying when it is denied
+   * @returns {Promise<boolean>} - Whether the command may run
+   */
+  async check(command, interaction) {
+    let result;
+    try {
+      result = await this.evaluate(command, interaction);
+    } catch (error) {
+      logger.error('Failed to evaluate command permission policies:', error);
+      await interaction.reply({
+        content: await i18n.translate(interaction, 'command.policyError'),
+        ephemeral: true
+      });
+      return false;
+    }
+
+    if (!result.allowed) {
+      logger.info('Command denied by permission policy', {
+        command: command.name,
+        userId: interaction.user?.id,
+        guildId: interaction.guild?.id,
+        reason: result.reason
+      });
+      await this.replyDenied(interaction, result.reason);
+    }
+
+    return result.allowed;
+  }
+}
+
+// Create singleton instance
+const commandPolicies = new CommandPolicies();
+commandPolicies.CATEGORIES = CATEGORIES;
+
+module.exports = commandPolicies;
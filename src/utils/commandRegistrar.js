@@ -0,0 +1,192 @@
+const { Routes } = require('discord.js');
+const logger = require('./logger');
+
+// Top-level command fields we send; anything else Discord returns (id, version,
+// application_id, integration_types...) is server-side state
+const COMMAND_FIELDS = [
+  'name', 'name_localizations', 'description', 'description_localizations',
+  'options', 'default_member_permissions', 'dm_permission', 'nsfw', 'type'
+];
+
+// Values Discord fills in when a field is left out
+const COMMAND_DEFAULTS = { type: 1, dm_permission: true, nsfw: false };
+
+/**
+ * Registers slash command definitions with Discord, either globally or for one
+ * guild. Besides the bulk overwrite used at startup it can diff local command JSON
+ * against what Discord has and push only the commands that changed.
+ */
+class CommandRegistrar {
+  /**
+   * @param {Object} options
+   * @param {REST} options.rest - Authenticated discord.js REST client
+   * @param {string} options.clientId - Application ID
+   * @param {string|null} [options.guildId] - Register to this guild instead of globally
+   */
+  constructor({ rest, clientId, guildId = null }) {
+    this.rest = rest;
+    this.clientId = clientId;
+    this.guildId = guildId;
+  }
+
+  get scope() {
+    return this.guildId ? `guild ${this.guildId}` : 'global';
+  }
+
+  commandsRoute() {
+    return this.guildId
+      ? Routes.applicationGuildCommands(this.clientId, this.guildId)
+      : Routes.applicationCommands(this.clientId);
+  }
+
+  commandRoute(commandId) {
+    return this.guildId
+      ? Routes.applicationGuildCommand(this.clientId, this.guildId, commandId)
+      : Routes.applicationCommand(this.clientId, commandId);
+  }
+
+  /**
+   * Replace every registered command with the given definitions
+   * @param {Array<Object>} commands - Command JSON
+   * @returns {Promise<Array<Object>>} - Commands as registered by Discord
+   */
+  async registerAll(commands) {
+    return await this.rest.put(this.commandsRoute(), { body: commands });
+  }
+
+  /**
+   * Get the commands Discord currently has in this scope
+   * @returns {Promise<Array<Object>>}
+   */
+  async fetchRegistered() {
+    return await this.rest.get(this.commandsRoute());
+  }
+
+  /**
+   * Work out which local commands need creating, updating or deleting
+   * @param {Array<Object>} commands - Local command JSON
+   * @param {Array<Object>} registered - Commands from fetchRegistered()
+   * @param {Object} options
+   * @param {boolean} [options.prune] - Delete registered commands with no local definition
+   * @returns {{ create: Array<Object>, update: Array<Object>, remove: Array<Object>, unchanged: Array<string> }}
+   */
+  diff(commands, registered, { prune = false } = {}) {
+    const registeredByName = new Map(registered.map(command => [command.name, command]));
+    const changes = { create: [], update: [], remove: [], unchanged: [] };
+
+    for (const command of commands) {
+      const existing = registeredByName.get(command.name);
+
+      if (!existing) {
+        changes.create.push(command);
+      } else if (CommandRegistrar.isSame(command, existing)) {
+        changes.unchanged.push(command.name);
+      } else {
+        changes.update.push({ id: existing.id, data: command });
+      }
+    }
+
+    if (prune) {
+      const localNames = new Set(commands.map(command => command.name));
+      changes.remove = registered
+        .filter(command => !localNames.has(command.name))
+        .map(({ id, name }) => ({ id, name }));
+    }
+
+    return changes;
+  }
+
+  /**
+   * Push only the changed commands. Each change is a separate request, so one
+   * rejected definition does not hold back the others.
+   * @param {Array<Object>} commands - Local command JSON to sync
+   * @param {Object} options - See diff()
+   * @returns {Promise<Array<{ name: string, action: string, error?: Error }>>} - Outcome per command;
+   *   action is created, updated, deleted or unchanged
+   */
+  async sync(commands, options = {}) {
+    const changes = this.diff(commands, await this.fetchRegistered(), options);
+    const results = changes.unchanged.map(name => ({ name, action: 'unchanged' }));
+
+    const apply = async (name, action, request) => {
+      try {
+        await request();
+        results.push({ name, action });
+      } catch (error) {
+        logger.error(`Failed to sync slash command ${name}`, { action, scope: this.scope, error: error.message });
+        results.push({ name, action, error });
+      }
+    };
+
+    for (const command of changes.create) {
+      await apply(command.name, 'created', () => this.rest.post(this.commandsRoute(), { body: command }));
+    }
+
+    for (const { id, data } of changes.update) {
+      await apply(data.name, 'updated', () => this.rest.patch(this.commandRoute(id), { body: data }));
+    }
+
+    for (const { id, name } of changes.remove) {
+      await apply(name, 'deleted', () => this.rest.delete(this.commandRoute(id)));
+    }
+
+    logger.info('Synced slash commands', {
+      scope: this.scope,
+      created: changes.create.length,
+      updated: changes.update.length,
+      deleted: changes.remove.length,
+      unchanged: changes.unchanged.length
+    });
+
+    return results;
+  }
+
+  /**
+   * Compare a local definition with a registered one, ignoring fields Discord
+   * adds and values it defaults
+   */
+  static isSame(local, registered) {
+    return JSON.stringify(CommandRegistrar.normalize(local)) === JSON.stringify(CommandRegistrar.normalize(registered));
+  }
+
+  /**
+   * Reduce command JSON to a canonical form: known fields only, defaults and empty
+   * values dropped and object keys sorted
+   * @param {Object} command - Command JSON
+   * @returns {Object}
+   */
+  static normalize(command) {
+    const normalized = {};
+
+    for (const field of COMMAND_FIELDS) {
+      const value = command[field] ?? COMMAND_DEFAULTS[field];
+      if (value === COMMAND_DEFAULTS[field]) continue;
+      normalized[field] = value;
+    }
+
+    return CommandRegistrar.compact(normalized);
+  }
+
+  static compact(value) {
+    if (Array.isArray(value)) {
+      const items = value.map(item => CommandRegistrar.compact(item)).filter(item => item !== undefined);
+      return items.length > 0 ? items : undefined;
+    }
+
+    if (value && typeof value === 'object') {
+      const compacted = {};
+      for (const key of Object.keys(value).sort()) {
+        const child = CommandRegistrar.compact(value[key]);
+        if (child !== undefined) {
+          compacted[key] = child;
+        }
+      }
+      return Object.keys(compacted).length > 0 ? compacted : undefined;
+    }
+
+    // Unset, false and null all mean "not set" to Discord (required, autocomplete...)
+    return value === null || value === false ? undefined : value;
+  }
+}
+
+module.exports = CommandRegistrar;
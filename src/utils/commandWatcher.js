@@ -0,0 +1,69 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+/**
+ * Watches the commands directory in development and reports changed command
+ * files once edits settle, so they can be hot reloaded without a restart.
+ */
+class CommandWatcher {
+  /**
+   * @param {string} commandsPath - Path to the commands directory
+   * @param {Function} onChange - Async callback (filePath) for each changed command file
+   * @param {Object} options
+   * @param {number} [options.debounceMs] - Quiet period before a change is reported
+   */
+  constructor(commandsPath, onChange, { debounceMs = 500 } = {}) {
+    this.commandsPath = commandsPath;
+    this.onChange = onChange;
+    this.debounceMs = debounceMs;
+    this.watcher = null;
+    this.pending = new Map(); // file path -> debounce timer
+  }
+
+  start() {
+    if (this.watcher) return;
+
+    this.watcher = fs.watch(this.commandsPath, { recursive: true }, (eventType, filename) => {
+      if (!filename || !filename.endsWith('.js') || path.basename(filename) === 'BaseCommand.js') {
+        return;
+      }
+
+      // Editors often write a file several times in a row
+      const filePath = path.join(this.commandsPath, filename);
+      clearTimeout(this.pending.get(filePath));
+      this.pending.set(filePath, setTimeout(() => this.report(filePath), this.debounceMs));
+    });
+
+    this.watcher.on('error', error => logger.error('Command watcher error:', error));
+    logger.info('Watching commands for changes', { path: this.commandsPath });
+  }
+
+  async report(filePath) {
+    this.pending.delete(filePath);
+
+    if (!fs.existsSync(filePath)) {
+      return;
+    }
+
+    try {
+      await this.onChange(filePath);
+    } catch (error) {
+      logger.error(`Failed to hot reload ${filePath}:`, error);
+    }
+  }
+
+  stop() {
+    for (const timer of this.pending.values()) {
+      clearTimeout(timer);
+    }
+    this.pending.clear();
+
+    if (this.watcher) {
+      this.watcher.close();
+      this.watcher = null;
+    }
+  }
+}
+
+module.exports = CommandWatcher;
@@ -0,0 +1,333 @@
+const logger = require('./logger');
+const i18n = require('./i18n');
+
+const CUSTOM_ID_SEPARATOR = ':';
+const CUSTOM_ID_MAX_LENGTH = 100;
+const COMPONENT_TYPES = ['button', 'select', 'modal'];
+const PARAM_TYPES = ['string', 'integer', 'enum'];
+
+/**
+ * Typed, versioned customId schema for a message component.
+ * Custom IDs are encoded as `name:v{version}:param1:param2`. Bumping the version
+ * makes every control built with an older one answer as expired. Legacy prefixes
+ * map customIds posted before the schema existed onto its params.
+ */
+class ComponentSchema {
+  constructor({ name, type, version = 1, params = [], legacy = {} }) {
+    if (!name || name.includes(CUSTOM_ID_SEPARATOR)) {
+      throw new Error(`Invalid component name: ${name}`);
+    }
+
+    if (!COMPONENT_TYPES.includes(type)) {
+      throw new Error(`Invalid component type for ${name}: ${type}`);
+    }
+
+    this.name = name;
+    this.type = type;
+    this.version = version;
+    this.params = params.map(param => ({ type: 'string', ...param }));
+    this.legacy = legacy;
+
+    for (const param of this.params) {
+      if (!PARAM_TYPES.includes(param.type)) {
+        throw new Error(`Invalid type for ${name} param ${param.name}: ${param.type}`);
+      }
+    }
+  }
+
+  /**
+   * Build a customId for this component
+   * @param {Object} values - Param values keyed by param name
+   * @returns {string} - Encoded customId
+   */
+  build(values = {}) {
+    const encoded = this.params.map(param => {
+      const value = String(values[param.name] ?? '');
+
+      if (!this.isValidValue(param, value)) {
+        throw new Error(`Invalid value for ${this.name} param ${param.name}: ${value}`);
+      }
+
+      return value;
+    });
+
+    const customId = [this.name, `v${this.version}`, ...encoded].join(CUSTOM_ID_SEPARATOR);
+    if (customId.length > CUSTOM_ID_MAX_LENGTH) {
+      throw new Error(`Custom ID for ${this.name} exceeds ${CUSTOM_ID_MAX_LENGTH} characters`);
+    }
+
+    return customId;
+  }
+
+  /**
+   * Parse a customId built by this schema or matching one of its legacy prefixes
+   * @param {string} customId - Component customId
+   * @returns {Object|null} - Params keyed by name, or null if the customId is stale or malformed
+   */
+  parse(customId) {
+    const legacyPrefix = this.getLegacyPrefix(customId);
+    if (legacyPrefix) {
+      const values = this.legacy[legacyPrefix](customId.substring(legacyPrefix.length));
+      return this.toParams(this.params.map(param => values?.[param.name]));
+    }
+
+    const [name, version, ...values] = customId.split(CUSTOM_ID_SEPARATOR);
+    if (name !== this.name || version !== `v${this.version}`) {
+      return null;
+    }
+
+    return this.toParams(values);
+  }
+
+  /**
+   * Longest legacy prefix the customId starts with
+   * @returns {string|null}
+   */
+  getLegacyPrefix(customId) {
+    return Object.keys(this.legacy)
+      .filter(prefix => customId.startsWith(prefix))
+      .sort((a, b) => b.length - a.length)[0] || null;
+  }
+
+  /**
+   * Validate and convert positional values into named params
+   */
+  toParams(values) {
+    if (values.length !== this.params.length) {
+      return null;
+    }
+
+    const params = {};
+    for (let i = 0; i < this.params.length; i++) {
+      const param = this.params[i];
+      const value = values[i] === undefined || values[i] === null ? '' : String(values[i]);
+
+      if (!this.isValidValue(param, value)) {
+        return null;
+      }
+
+      params[param.name] = param.type === 'integer' ? parseInt(value, 10) : value;
+    }
+
+    return params;
+  }
+
+  isValidValue(param, value) {
+    if (!value || value.includes(CUSTOM_ID_SEPARATOR)) {
+      return false;
+    }
+
+    if (param.type === 'integer') {
+      return /^\d+$/.test(value);
+    }
+
+    if (param.type === 'enum') {
+      return param.values.includes(value);
+    }
+
+    return true;
+  }
+}
+
+/**
+ * Routes button, select menu and modal interactions to handlers registered by command modules.
+ * Handlers receive parsed params and the shared services provided by the bot, so new
+ * interactive features only need a schema and a registration.
+ */
+class ComponentRouter {
+  constructor(services = {}) {
+    this.services = { ...services };
+    this.registrations = new Map(); // Keyed by `${type}:${name}`
+  }
+
+  /**
+   * Define a customId schema
+   * @param {Object} definition - Schema definition (name, type, version, params, legacy)
+   * @returns {ComponentSchema}
+   */
+  static defineComponent(definition) {
+    return new ComponentSchema(definition);
+  }
+
+  /**
+   * Add or replace shared services handed to every handler
+   * @param {Object} services - Services keyed by name
+   */
+  provide(services) {
+    Object.assign(this.services, services);
+  }
+
+  /**
+   * Register a component handler
+   * @param {Object} registration - Registration
+   * @param {ComponentSchema} registration.component - Schema the handler answers
+   * @param {Function} registration.handle - Handler (interaction, params, services)
+   * @param {Array<string>} [registration.permissions] - Member permissions required to use the control
+   * @param {Array<string>} [registration.requires] - Services that must be available
+   */
+  register(registration) {
+    const { component, handle } = registration;
+
+    if (!(component instanceof ComponentSchema)) {
+      throw new Error('Component registrations need a schema from ComponentRouter.defineComponent');
+    }
+
+    if (typeof handle !== 'function') {
+      throw new Error(`Component ${component.name} is missing a handle function`);
+    }
+
+    const key = `${component.type}:${component.name}`;
+    if (this.registrations.has(key)) {
+      logger.warn('Replacing component handler', { type: component.type, name: component.name });
+    }
+
+    this.registrations.set(key, {
+      permissions: [],
+      requires: [],
+      ...registration
+    });
+  }
+
+  /**
+   * Register the components every command module exposes through getComponents()
+   * @param {Collection} commands - Loaded commands
+   * @returns {number} - Number of handlers registered
+   */
+  registerCommandComponents(commands) {
+    let registered = 0;
+
+    for (const command of commands.values()) {
+      if (typeof command.getComponents !== 'function') {
+        continue;
+      }
+
+      for (const registration of command.getComponents()) {
+        try {
+          this.register(registration);
+          registered++;
+        } catch (error) {
+          logger.error(`Failed to register component for command ${command.data?.name}:`, error);
+        }
+      }
+    }
+
+    logger.info(`Registered ${registered} component handlers`);
+    return registered;
+  }
+
+  /**
+   * Find the handler and params for a component interaction
+   * @param {Interaction} interaction - Discord component interaction
+   * @returns {Object|null} - { registration, params } or null if nothing matches
+   */
+  resolve(interaction) {
+    const type = ComponentRouter.getComponentType(interaction);
+    const customId = interaction.customId || '';
+
+    if (!type) {
+      return null;
+    }
+
+    const [name] = customId.split(CUSTOM_ID_SEPARATOR);
+    const candidates = customId.includes(CUSTOM_ID_SEPARATOR)
+      ? [this.registrations.get(`${type}:${name}`)].filter(Boolean)
+      : [...this.registrations.values()].filter(registration =>
+        registration.component.type === type && registration.component.getLegacyPrefix(customId)
+      );
+
+    for (const registration of candidates) {
+      const params = registration.component.parse(customId);
+      if (params) {
+        return { registration, params };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Dispatch a component interaction to its handler
+   * @param {Interaction} interaction - Discord button, select menu or modal interaction
+   * @returns {Promise<boolean>} - Whether a handler ran
+   */
+  async route(interaction) {
+    const match = this.resolve(interaction);
+
+    if (!match) {
+      logger.warn('Expired or unknown component interaction:', { customId: interaction.customId });
+      await this.respond(interaction, 'components.expired');
+      return false;
+    }
+
+    const { registration, params } = match;
+    const { component } = registration;
+
+    const missingPermissions = registration.permissions.filter(permission =>
+      !interaction.member?.permissions?.has(permission)
+    );
+    if (missingPermissions.length > 0) {
+      const names = missingPermissions.map(ComponentRouter.formatPermission).join('", "');
+      await this.respond(interaction, 'components.missingPermission', { permissions: names });
+      return false;
+    }
+
+    const unavailable = registration.requires.filter(name => !this.services[name]);
+    if (unavailable.length > 0) {
+      logger.warn('Component services unavailable', { name: component.name, unavailable });
+      await this.respond(interaction, 'components.unavailable');
+      return false;
+    }
+
+    try {
+      await registration.handle(interaction, params, this.services);
+      return true;
+    } catch (error) {
+      logger.error(`Error handling ${component.type} ${component.name}:`, error);
+      await this.respond(interaction, 'components.error');
+      return false;
+    }
+  }
+
+  /**
+   * Send an ephemeral message in the member's language whether or not the interaction was already answered
+   * @param {Interaction} interaction - Component interaction
+   * @param {string} key - i18n message key
+   * @param {Object} params - Message placeholders
+   */
+  async respond(interaction, key, params = {}) {
+    try {
+      const content = await i18n.translate(interaction, key, params);
+
+      if (interaction.replied || interaction.deferred) {
+        await interaction.followUp({ content, ephemeral: true });
+      } else {
+        await interaction.reply({ content, ephemeral: true });
+      }
+    } catch (error) {
+      logger.error('Failed to respond to component interaction:', error);
+    }
+  }
+
+  /**
+   * Component type of an interaction, or null for non-component interactions
+   * @returns {string|null}
+   */
+  static getComponentType(interaction) {
+    if (interaction.isButton?.()) return 'button';
+    if (interaction.isAnySelectMenu?.()) return 'select';
+    if (interaction.isModalSubmit?.()) return 'modal';
+    return null;
+  }
+
+  /**
+   * Turn a permission flag name like ManageChannels into "Manage Channels"
+   */
+  static formatPermission(permission) {
+    return String(permission).replace(/([a-z])([A-Z])/g, '$1 $2');
+  }
+}
+
+ComponentRouter.EXPIRED_MESSAGE = i18n.t(i18n.BASE_LOCALE, 'components.expired');
+ComponentRouter.ComponentSchema = ComponentSchema;
+
+module.exports = ComponentRouter;
@@ -205,6 +205,8 @@ class EmojiReactionManager {
         lobbyId: reactionData.lobbyId
       });
 
+      await this.syncLobbyCatalog(reactionData, newChannelName);
+
     } catch (error) {
       logger.error('Failed to update voice channel with emoji:', error);
       
@@ -257,6 +259,8 @@ class EmojiReactionManager {
           userId: user.id,
           lobbyId: reactionData.lobbyId
         });
+
+        await this.syncLobbyCatalog(reactionData, originalChannelName);
       }
 
     } catch (error) {
@@ -264,6 +268,30 @@ class EmojiReactionManager {
     }
   }
 
+  /**
+   * Refresh the lobby's catalog post and text channel name after a voice channel rename
+   * @param {Object} reactionData - Tracked reaction data
+   * @param {string} channelName - The new voice channel name
+   */
+  async syncLobbyCatalog(reactionData, channelName) {
+    try {
+      const LobbyRepository = require('../database/repositories/LobbyRepository');
+      const lobbyCatalogManager = require('./lobbyCatalogManager');
+
+      const lobby = await new LobbyRepository().getLobbyById(reactionData.lobbyId);
+      if (lobby) {
+        await lobbyCatalogManager.updateLobbyInCatalog(
+          lobby.id,
+          lobby,
+          reactionData.voiceChannelManager.client,
+          { channelName }
+        );
+      }
+    } catch (error) {
+      logger.warn('Failed to sync lobby catalog after emoji change:', error);
+    }
+  }
+
   /**
    * Clean up reaction listener data
    * @param {string} reactionKey - The reaction key to clean up
@@ -1,4 +1,5 @@
 const logger = require('./logger');
+const i18n = require('./i18n');
 
 class ErrorHandler {
   static async handleDiscordError(error, interaction = null) {
@@ -10,20 +11,20 @@ class ErrorHandler {
 
     if (!interaction) return;
 
-    let userMessage = 'An unexpected error occurred. Please try again later.';
+    let messageKey = 'errors.unexpected';
 
     switch (error.code) {
       case 50013: // Missing Permissions
-        userMessage = 'I don\'t have permission to perform this action. Please check my role permissions.';
+        messageKey = 'errors.missingPermissions';
         break;
       case 50001: // Missing Access
-        userMessage = 'I don\'t have access to this channel or resource.';
+        messageKey = 'errors.missingAccess';
         break;
       case 50035: // Invalid Form Body
-        userMessage = 'Invalid input provided. Please check your command parameters.';
+        messageKey = 'errors.invalidInput';
         break;
       case 429: // Rate Limited
-        userMessage = 'I\'m being rate limited. Please wait a moment and try again.';
+        messageKey = 'errors.rateLimited';
         break;
       case 10062: // Unknown Interaction
         // Don't respond to unknown interaction errors
@@ -31,6 +32,8 @@ class ErrorHandler {
     }
 
     try {
+      const userMessage = await i18n.translate(interaction, messageKey);
+
       if (interaction.replied || interaction.deferred) {
         await interaction.followUp({ content: userMessage, ephemeral: true });
       } else {
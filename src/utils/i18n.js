@@ -0,0 +1,238 @@
+const config = require('../config');
+const logger = require('./logger');
+const dbConnection = require('../database/connection');
+
+const BASE_LOCALE = 'en';
+
+// Locales with a catalog in src/locales, and the Discord locale codes each one covers
+const LOCALES = {
+  en: { name: 'English', discordLocales: ['en-US', 'en-GB'] },
+  es: { name: 'Español', discordLocales: ['es-ES', 'es-419'] }
+};
+
+/**
+ * Message catalogs and locale-aware formatting for user-facing text.
+ * Catalogs are nested JSON objects in src/locales addressed by dotted keys
+ * ("command.guildOnly"). A value is either a string with {placeholders} or a
+ * plural object ({ one, other }) picked by the `count` parameter. Keys missing
+ * from a catalog fall back to English.
+ */
+class I18n {
+  constructor() {
+    this.catalogs = {};
+    for (const locale of Object.keys(LOCALES)) {
+      this.catalogs[locale] = require(`../locales/${locale}.json`);
+    }
+
+    // Resolved locale per interaction, so validation and the command share one lookup
+    this.interactionLocales = new WeakMap();
+    this.configRepo = null;
+  }
+
+  /**
+   * Map a Discord locale code ("es-ES") or catalog code ("es") to a supported locale
+   * @param {string|null} locale - Locale code
+   * @returns {string|null} - Supported locale or null
+   */
+  normalize(locale) {
+    if (!locale) return null;
+    if (LOCALES[locale]) return locale;
+
+    const language = locale.split('-')[0].toLowerCase();
+    return LOCALES[language] ? language : null;
+  }
+
+  /**
+   * Locale used when neither the member nor the server has a supported one
+   */
+  getDefaultLocale() {
+    return this.normalize(config.bot.locale) || BASE_LOCALE;
+  }
+
+  /**
+   * Pick the response language for an interaction: the member's Discord language if
+   * supported, then the server default from /setup, then the server's Discord
+   * community language, then the bot default.
+   * @param {Interaction} interaction - Discord interaction
+   * @returns {Promise<string>} - Supported locale
+   */
+  async resolveLocale(interaction) {
+    if (!interaction) return this.getDefaultLocale();
+
+    if (this.interactionLocales.has(interaction)) {
+      return this.interactionLocales.get(interaction);
+    }
+
+    const locale = this.normalize(interaction.locale)
+      || (interaction.guild && await this.getGuildLocale(interaction.guild.id))
+      || this.normalize(interaction.guildLocale)
+      || this.getDefaultLocale();
+
+    this.interactionLocales.set(interaction, locale);
+    return locale;
+  }
+
+  /**
+   * Get the language a server picked in /setup
+   * @param {string} guildId - Guild ID
+   * @returns {Promise<string|null>} - Supported locale or null when unset
+   */
+  async getGuildLocale(guildId) {
+    if (!dbConnection.isReady()) {
+      return null;
+    }
+
+    try {
+      if (!this.configRepo) {
+        const ServerConfigRepository = require('../database/repositories/ServerConfigRepository');
+        this.configRepo = new ServerConfigRepository();
+      }
+
+      const serverConfig = await this.configRepo.getByGuildId(guildId);
+      return this.normalize(serverConfig?.locale);
+    } catch (error) {
+      logger.warn('Could not load server locale', { guildId, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Translate a message key
+   * @param {string} locale - Supported locale
+   * @param {string} key - Dotted catalog key
+   * @param {Object} params - Placeholder values; `count` also picks the plural form
+   * @returns {string} - Translated text, or the key itself if no catalog has it
+   */
+  t(locale, key, params = {}) {
+    let message = this.lookup(locale, key);
+    if (message === undefined && locale !== BASE_LOCALE) {
+      message = this.lookup(BASE_LOCALE, key);
+    }
+
+    if (message === undefined) {
+      logger.warn('Missing translation', { locale, key });
+      return key;
+    }
+
+    if (typeof message === 'object') {
+      const form = new Intl.PluralRules(locale).select(params.count ?? 0);
+      message = message[form] ?? message.other;
+    }
+
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) => {
+      const value = params[name];
+      if (value === undefined || value === null) return placeholder;
+      return typeof value === 'number' ? this.formatNumber(locale, value) : String(value);
+    });
+  }
+
+  /**
+   * Translate an interaction's response text in one step
+   */
+  async translate(interaction, key, params = {}) {
+    return this.t(await this.resolveLocale(interaction), key, params);
+  }
+
+  /**
+   * Find a catalog entry without falling back
+   * @returns {string|Object|undefined}
+   */
+  lookup(locale, key) {
+    return key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), this.catalogs[locale]);
+  }
+
+  /**
+   * Format a number with the locale's separators
+   * @param {string} locale - Supported locale
+   * @param {number} value - Number to format
+   * @param {Object} options - Intl.NumberFormat options
+   */
+  formatNumber(locale, value, options = {}) {
+    return new Intl.NumberFormat(LOCALES[locale]?.discordLocales[0] || locale, options).format(value);
+  }
+
+  /**
+   * Format American odds ("+150", "-110")
+   * @param {string} locale - Supported locale
+   * @param {number|null} odds - American odds
+   */
+  formatOdds(locale, odds) {
+    if (!odds) return this.t(locale, 'odds.notAvailable');
+    return this.formatNumber(locale, odds, { signDisplay: 'exceptZero', useGrouping: false });
+  }
+
+  /**
+   * Format a spread or other signed line ("+3.5", "-7", "+3,5" in Spanish)
+   * @param {string} locale - Supported locale
+   * @param {number|null} line - Line value
+   */
+  formatLine(locale, line) {
+    if (line === null || line === undefined) return this.t(locale, 'odds.notAvailable');
+    return this.formatNumber(locale, line, { signDisplay: 'exceptZero', maximumFractionDigits: 1 });
+  }
+
+  /**
+   * Add name and description localizations from the catalogs to a slash command's
+   * JSON. Entries live under commands.<command> with nested options.<option> for
+   * subcommands and options, and choices.<value> for choice names.
+   * @param {Object} data - SlashCommandBuilder#toJSON() output
+   * @returns {Object} - Command JSON with *_localizations filled in
+   */
+  localizeCommand(data) {
+    return this.localizeOption(data, `commands.${data.name}`);
+  }
+
+  localizeOption(option, key) {
+    const localized = { ...option };
+
+    const names = this.collectLocalizations(`${key}.name`);
+    if (names) {
+      localized.name_localizations = { ...option.name_localizations, ...names };
+    }
+
+    const descriptions = this.collectLocalizations(`${key}.description`);
+    if (descriptions) {
+      localized.description_localizations = { ...option.description_localizations, ...descriptions };
+    }
+
+    if (option.options) {
+      localized.options = option.options.map(child => this.localizeOption(child, `${key}.options.${child.name}`));
+    }
+
+    if (option.choices) {
+      localized.choices = option.choices.map(choice => {
+        const choiceNames = this.collectLocalizations(`${key}.choices.${choice.value}`);
+        return choiceNames ? { ...choice, name_localizations: { ...choice.name_localizations, ...choiceNames } } : choice;
+      });
+    }
+
+    return localized;
+  }
+
+  /**
+   * Collect a key's translations keyed by Discord locale code
+   * @returns {Object|null} - e.g. { 'es-ES': '...', 'es-419': '...' }, or null if untranslated
+   */
+  collectLocalizations(key) {
+    const localizations = {};
+
+    for (const [locale, { discordLocales }] of Object.entries(LOCALES)) {
+      if (locale === BASE_LOCALE) continue;
+
+      const value = this.lookup(locale, key);
+      if (typeof value !== 'string') continue;
+
+      for (const discordLocale of discordLocales) {
+        localizations[discordLocale] = value;
+      }
+    }
+
+    return Object.keys(localizations).length > 0 ? localizations : null;
+  }
+}
+
+const i18n = new I18n();
+i18n.LOCALES = LOCALES;
+i18n.BASE_LOCALE = BASE_LOCALE;
+
+module.exports = i18n;
@@ -1,5 +1,47 @@
+const crypto = require('crypto');
 const { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
 const logger = require('./logger');
+const ComponentRouter = require('./componentRouter');
+
+const TEXT_CHAT_FIELD = '💬 Text Chat';
+
+// Custom ID schemas for catalog controls, registered with the component router by /create-lobby
+const JOIN_REQUEST_BUTTON = ComponentRouter.defineComponent({
+  name: 'lobby-join',
+  type: 'button',
+  params: [{ name: 'lobbyId' }],
+  legacy: {
+    'join_request_': lobbyId => ({ lobbyId })
+  }
+});
+
+const RSVP_BUTTON = ComponentRouter.defineComponent({
+  name: 'lobby-rsvp',
+  type: 'button',
+  params: [
+    { name: 'response', type: 'enum', values: ['going', 'maybe', 'no'] },
+    { name: 'lobbyId' }
+  ],
+  legacy: {
+    'rsvp_': rest => {
+      const [response, ...lobbyIdParts] = rest.split('_');
+      return { response, lobbyId: lobbyIdParts.join('_') };
+    }
+  }
+});
+
+const JOIN_RESPONSE_BUTTON = ComponentRouter.defineComponent({
+  name: 'join-reply',
+  type: 'button',
+  params: [
+    { name: 'action', type: 'enum', values: ['approve', 'decline'] },
+    { name: 'requestId' }
+  ],
+  legacy: {
+    'approve_': requestId => ({ action: 'approve', requestId }),
+    'decline_': requestId => ({ action: 'decline', requestId })
+  }
+});
 
 /**
  * Manages the lobby catalog system for displaying active lobbies
@@ -8,6 +50,19 @@ class LobbyCatalogManager {
   constructor() {
     this.pendingRequests = new Map(); // Track pending join requests
     this.catalogMessages = new Map(); // Track catalog messages by lobby ID
+    this.federationManager = null; // Created on first use
+  }
+
+  /**
+   * Get the federation manager that mirrors public lobbies into partner guilds
+   * @returns {LobbyFederationManager}
+   */
+  getFederationManager() {
+    if (!this.federationManager) {
+      const LobbyFederationManager = require('../modules/gaming/LobbyFederationManager');
+      this.federationManager = new LobbyFederationManager();
+    }
+    return this.federationManager;
   }
 
   /**
@@ -16,6 +71,12 @@ class LobbyCatalogManager {
    * @returns {Promise<TextChannel>} - The lobby catalog channel
    */
   async getOrCreateLobbyChannel(guild) {
+    // Use the channel chosen in /setup when it still exists
+    const configuredChannel = await this.getConfiguredLobbyChannel(guild);
+    if (configuredChannel) {
+      return configuredChannel;
+    }
+
     // Look for existing lobby channel
     let lobbyChannel = guild.channels.cache.find(
       channel => channel.name === 'lobby-catalog' || channel.name === '🎮-lobby-catalog'
@@ -70,6 +131,32 @@ class LobbyCatalogManager {
     return lobbyChannel;
   }
 
+  /**
+   * Get the catalog channel configured for a guild, if any
+   * @param {Guild} guild - Discord guild
+   * @returns {Promise<TextChannel|null>}
+   */
+  async getConfiguredLobbyChannel(guild) {
+    try {
+      const ServerConfigRepository = require('../database/repositories/ServerConfigRepository');
+      const serverConfig = await new ServerConfigRepository().getByGuildId(guild.id);
+      const channelId = serverConfig?.lobbyCatalogChannelId;
+
+      if (!channelId) {
+        return null;
+      }
+
+      const channel = guild.channels.cache.get(channelId);
+      if (!channel) {
+        logger.warn('Configured lobby catalog channel no longer exists', { guildId: guild.id, channelId });
+      }
+      return channel || null;
+    } catch (error) {
+      logger.warn('Could not load lobby catalog channel setting', { guildId: guild.id, error: error.message });
+      return null;
+    }
+  }
+
   /**
    * Post a lobby to the catalog channel
    * @param {Guild} guild - Discord guild
@@ -82,49 +169,8 @@ class LobbyCatalogManager {
     try {
       const lobbyChannel = await this.getOrCreateLobbyChannel(guild);
 
-      // Create lobby embed
-      const embed = new EmbedBuilder()
-        .setColor(0x0099FF)
-        .setTitle(`🎮 ${lobby.gameType} Lobby`)
-        .setDescription(`Join <@${leaderId}>'s gaming session!`)
-        .addFields(
-          { name: '🎯 Game', value: lobby.gameType, inline: true },
-          { name: '👑 Leader', value: `<@${leaderId}>`, inline: true },
-          { name: '👥 Members', value: `${lobby.getMemberCount()}`, inline: true }
-        );
-
-      if (voiceChannelId) {
-        embed.addFields({ 
-          name: '🔊 Voice Channel', 
-          value: `<#${voiceChannelId}>`, 
-          inline: true 
-        });
-      }
-
-      embed.addFields(
-        { name: '⏰ Status', value: 'Active - Auto-cleanup after 30min of inactivity', inline: false },
-        { name: '🆔 Lobby ID', value: `\`${lobby.id}\``, inline: true }
-      );
-
-      if (voiceChannelId) {
-        embed.addFields({
-          name: '🎨 Customize',
-          value: 'React with emojis below to customize your voice channel name!',
-          inline: false
-        });
-      }
-
-      embed.setTimestamp()
-        .setFooter({ text: 'Click the button below to request access!' });
-
-      // Create join request button
-      const joinButton = new ButtonBuilder()
-        .setCustomId(`join_request_${lobby.id}`)
-        .setLabel('Request to Join')
-        .setStyle(ButtonStyle.Primary)
-        .setEmoji('🚪');
-
-      const actionRow = new ActionRowBuilder().addComponents(joinButton);
+      const embed = this.buildLobbyEmbed(lobby, leaderId, voiceChannelId);
+      const actionRow = this.buildJoinRequestRow(lobby.id);
 
       // Send the catalog message
       const catalogMessage = await lobbyChannel.send({
@@ -146,6 +192,14 @@ class LobbyCatalogManager {
         gameType: lobby.gameType
       });
 
+      if (lobby.isPublic) {
+        try {
+          await this.getFederationManager().mirrorLobby(lobby, guild.client);
+        } catch (federationError) {
+          logger.warn('Failed to mirror lobby to partner catalogs:', federationError);
+        }
+      }
+
       return catalogMessage;
     } catch (error) {
       logger.error('Failed to post lobby to catalog:', error);
@@ -153,14 +207,320 @@ class LobbyCatalogManager {
     }
   }
 
+  /**
+   * Build the catalog embed for an active lobby
+   * @param {Object} lobby - Lobby object
+   * @param {string} leaderId - Leader user ID
+   * @param {string} voiceChannelId - Voice channel ID (optional)
+   * @returns {EmbedBuilder} - The lobby embed
+   */
+  buildLobbyEmbed(lobby, leaderId, voiceChannelId = null) {
+    const embed = new EmbedBuilder()
+      .setColor(0x0099FF)
+      .setTitle(`🎮 ${lobby.gameType} Lobby`)
+      .setDescription(`Join <@${leaderId}>'s gaming session!`)
+      .addFields(
+        { name: '🎯 Game', value: lobby.gameType, inline: true },
+        { name: '👑 Leader', value: `<@${leaderId}>`, inline: true },
+        { name: '👥 Members', value: `${lobby.getMemberCount()}`, inline: true }
+      );
+
+    if (voiceChannelId) {
+      embed.addFields({ 
+        name: '🔊 Voice Channel', 
+        value: `<#${voiceChannelId}>`, 
+        inline: true 
+      });
+    }
+
+    if (lobby.textChannelId) {
+      embed.addFields({
+        name: TEXT_CHAT_FIELD,
+        value: `<#${lobby.textChannelId}>`,
+        inline: true
+      });
+    }
+
+    embed.addFields(
+      { name: '⏰ Status', value: 'Active - Auto-cleanup after 30min of inactivity', inline: false },
+      { name: '🆔 Lobby ID', value: `\`${lobby.id}\``, inline: true }
+    );
+
+    if (voiceChannelId) {
+      embed.addFields({
+        name: '🎨 Customize',
+        value: 'React with emojis below to customize your voice channel name!',
+        inline: false
+      });
+    }
+
+    embed.setTimestamp()
+      .setFooter({ text: 'Click the button below to request access!' });
+
+    return embed;
+  }
+
+  /**
+   * Build the catalog embed for a lobby mirrored from a partner guild.
+   * Channel mentions don't resolve across servers, so the lobby's channels are left out.
+   * @param {Object} lobby - Lobby object
+   * @param {string} sourceGuildName - Name of the lobby's home server
+   * @returns {EmbedBuilder} - The mirrored lobby embed
+   */
+  buildMirrorEmbed(lobby, sourceGuildName = 'a partner server') {
+    return new EmbedBuilder()
+      .setColor(0x5865F2)
+      .setTitle(`🌐 ${lobby.gameType} Lobby`)
+      .setDescription(`<@${lobby.leaderId}> is hosting in **${sourceGuildName}**. Request to join and you'll get an invite to the server if approved.`)
+      .addFields(
+        { name: '🎯 Game', value: lobby.gameType, inline: true },
+        { name: '👑 Leader', value: `<@${lobby.leaderId}>`, inline: true },
+        { name: '👥 Members', value: `${lobby.getMemberCount()}`, inline: true },
+        { name: '🏠 Partner Server', value: sourceGuildName, inline: true },
+        { name: '🆔 Lobby ID', value: `\`${lobby.id}\``, inline: true }
+      )
+      .setTimestamp()
+      .setFooter({ text: 'Shared from a partnered server' });
+  }
+
+  /**
+   * Build the "Request to Join" button row for a lobby
+   * @param {string} lobbyId - Lobby ID
+   * @returns {ActionRowBuilder} - The button row
+   */
+  buildJoinRequestRow(lobbyId) {
+    const joinButton = new ButtonBuilder()
+      .setCustomId(JOIN_REQUEST_BUTTON.build({ lobbyId }))
+      .setLabel('Request to Join')
+      .setStyle(ButtonStyle.Primary)
+      .setEmoji('🚪');
+
+    return new ActionRowBuilder().addComponents(joinButton);
+  }
+
+  /**
+   * Build the catalog embed for a scheduled lobby with its RSVP tallies
+   * @param {Object} lobby - Scheduled lobby object
+   * @param {Array} rsvps - RSVP rows for the lobby
+   * @returns {EmbedBuilder} - The scheduled lobby embed
+   */
+  buildScheduledLobbyEmbed(lobby, rsvps = []) {
+    const startUnix = Math.floor(new Date(lobby.scheduledStart).getTime() / 1000);
+    const byResponse = { going: [], maybe: [], no: [] };
+
+    for (const rsvp of rsvps) {
+      if (byResponse[rsvp.response]) {
+        byResponse[rsvp.response].push(`<@${rsvp.user_id}>`);
+      }
+    }
+
+    const formatList = (users) => users.length > 0 ? users.join('\n') : '—';
+    const goingLabel = lobby.maxPlayers
+      ? `✅ Going (${byResponse.going.length}/${lobby.maxPlayers})`
+      : `✅ Going (${byResponse.going.length})`;
+
+    return new EmbedBuilder()
+      .setColor(0x9B59B6)
+      .setTitle(`📅 ${lobby.gameType} Lobby`)
+      .setDescription(`<@${lobby.leaderId}> is planning a session! RSVP below so you get a reminder and voice access when it starts.`)
+      .addFields(
+        { name: '🎯 Game', value: lobby.gameType, inline: true },
+        { name: '👑 Leader', value: `<@${lobby.leaderId}>`, inline: true },
+        { name: '🕒 Starts', value: `<t:${startUnix}:F> (<t:${startUnix}:R>)`, inline: false },
+        { name: goingLabel, value: formatList(byResponse.going), inline: true },
+        { name: `🤔 Maybe (${byResponse.maybe.length})`, value: formatList(byResponse.maybe), inline: true },
+        { name: `❌ Can't Make It (${byResponse.no.length})`, value: formatList(byResponse.no), inline: true },
+        { name: '🆔 Lobby ID', value: `\`${lobby.id}\``, inline: true }
+      )
+      .setTimestamp()
+      .setFooter({ text: 'The voice channel opens automatically at the start time' });
+  }
+
+  /**
+   * Build the RSVP button row for a scheduled lobby
+   * @param {string} lobbyId - Lobby ID
+   * @returns {ActionRowBuilder} - The button row
+   */
+  buildRsvpRow(lobbyId) {
+    const goingButton = new ButtonBuilder()
+      .setCustomId(RSVP_BUTTON.build({ response: 'going', lobbyId }))
+      .setLabel('Going')
+      .setStyle(ButtonStyle.Success)
+      .setEmoji('✅');
+
+    const maybeButton = new ButtonBuilder()
+      .setCustomId(RSVP_BUTTON.build({ response: 'maybe', lobbyId }))
+      .setLabel('Maybe')
+      .setStyle(ButtonStyle.Secondary)
+      .setEmoji('🤔');
+
+    const noButton = new ButtonBuilder()
+      .setCustomId(RSVP_BUTTON.build({ response: 'no', lobbyId }))
+      .setLabel('Can\'t Make It')
+      .setStyle(ButtonStyle.Danger)
+      .setEmoji('❌');
+
+    return new ActionRowBuilder().addComponents(goingButton, maybeButton, noButton);
+  }
+
+  /**
+   * Post a scheduled lobby with RSVP buttons to the catalog channel
+   * @param {Guild} guild - Discord guild
+   * @param {Object} lobby - Scheduled lobby object
+   * @param {Array} rsvps - RSVP rows for the lobby
+   * @returns {Promise<Message>} - The catalog message
+   */
+  async postScheduledLobbyToCatalog(guild, lobby, rsvps = []) {
+    try {
+      const lobbyChannel = await this.getOrCreateLobbyChannel(guild);
+
+      const catalogMessage = await lobbyChannel.send({
+        embeds: [this.buildScheduledLobbyEmbed(lobby, rsvps)],
+        components: [this.buildRsvpRow(lobby.id)]
+      });
+
+      this.trackCatalogMessage(lobby.id, {
+        messageId: catalogMessage.id,
+        channelId: lobbyChannel.id,
+        guildId: guild.id
+      });
+
+      logger.info('Posted scheduled lobby to catalog', {
+        lobbyId: lobby.id,
+        messageId: catalogMessage.id,
+        channelId: lobbyChannel.id,
+        scheduledStart: lobby.scheduledStart
+      });
+
+      return catalogMessage;
+    } catch (error) {
+      logger.error('Failed to post scheduled lobby to catalog:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Track a catalog message for a lobby (used to restore tracking after a restart)
+   * @param {string} lobbyId - Lobby ID
+   * @param {Object} catalogData - { messageId, channelId, guildId }
+   */
+  trackCatalogMessage(lobbyId, catalogData) {
+    this.catalogMessages.set(lobbyId, catalogData);
+  }
+
+  /**
+   * Fetch the tracked catalog message for a lobby
+   * @param {string} lobbyId - Lobby ID
+   * @param {Client} client - Discord client
+   * @returns {Promise<Message|null>} - The catalog message or null
+   */
+  async fetchCatalogMessage(lobbyId, client) {
+    const catalogData = this.catalogMessages.get(lobbyId);
+    if (!catalogData) {
+      return null;
+    }
+
+    const guild = client.guilds.cache.get(catalogData.guildId);
+    const channel = guild?.channels.cache.get(catalogData.channelId);
+    if (!channel) {
+      return null;
+    }
+
+    return await channel.messages.fetch(catalogData.messageId).catch(() => null);
+  }
+
+  /**
+   * Switch a scheduled lobby's catalog post to the active lobby layout
+   * @param {Object} lobby - Lobby that just started
+   * @param {Client} client - Discord client
+   * @returns {Promise<Message|null>} - The updated catalog message or null
+   */
+  async markLobbyStarted(lobby, client) {
+    try {
+      const message = await this.fetchCatalogMessage(lobby.id, client);
+      if (!message) {
+        logger.warn('Catalog message not found for started lobby', { lobbyId: lobby.id });
+        return null;
+      }
+
+      await message.edit({
+        embeds: [this.buildLobbyEmbed(lobby, lobby.leaderId, lobby.voiceChannelId)],
+        components: [this.buildJoinRequestRow(lobby.id)]
+      });
+
+      logger.info('Updated catalog for started lobby', { lobbyId: lobby.id });
+      return message;
+    } catch (error) {
+      logger.error('Failed to update catalog for started lobby:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Handle RSVP button interactions on scheduled lobby posts
+   * @param {ButtonInteraction} interaction - Discord button interaction
+   * @param {LobbyManager} lobbyManager - Lobby manager instance
+   * @param {string} lobbyId - Scheduled lobby ID
+   * @param {string} response - RSVP response (going, maybe or no)
+   */
+  async handleRsvp(interaction, lobbyManager, lobbyId, response) {
+    try {
+      let rsvps;
+      try {
+        rsvps = await lobbyManager.setRsvp(lobbyId, interaction.user.id, response);
+      } catch (rsvpError) {
+        await interaction.reply({
+          content: `❌ ${rsvpError.message}`,
+          ephemeral: true
+        });
+        return;
+      }
+
+      const lobby = await lobbyManager.getLobby(lobbyId);
+      await interaction.message.edit({
+        embeds: [this.buildScheduledLobbyEmbed(lobby, rsvps)],
+        components: [this.buildRsvpRow(lobbyId)]
+      });
+
+      const responseText = {
+        going: '✅ You\'re going! You\'ll get a reminder before it starts and voice access when it opens.',
+        maybe: '🤔 Marked as maybe. You\'ll still get a reminder before it starts.',
+        no: '❌ Got it, you can\'t make this one.'
+      };
+
+      await interaction.reply({
+        content: responseText[response],
+        ephemeral: true
+      });
+    } catch (error) {
+      logger.error('Failed to handle RSVP:', error);
+      if (!interaction.replied) {
+        await interaction.reply({
+          content: '❌ Failed to record your RSVP. Please try again.',
+          ephemeral: true
+        });
+      }
+    }
+  }
+
   /**
    * Update a lobby's catalog message
    * @param {string} lobbyId - Lobby ID
    * @param {Object} updatedLobby - Updated lobby object
    * @param {Client} client - Discord client
+   * @param {Object} [options]
+   * @param {string} [options.channelName] - New voice channel name to mirror on the lobby text channel
    */
-  async updateLobbyInCatalog(lobbyId, updatedLobby, client) {
+  async updateLobbyInCatalog(lobbyId, updatedLobby, client, options = {}) {
     try {
+      if (options.channelName) {
+        await this.syncTextChannelName(updatedLobby, client, options.channelName);
+      }
+
+      if (updatedLobby.isPublic) {
+        await this.getFederationManager().updateMirrors(updatedLobby, client);
+      }
+
       const catalogData = this.catalogMessages.get(lobbyId);
       if (!catalogData) {
         return; // No catalog message to update
@@ -190,6 +550,11 @@ class LobbyCatalogManager {
         memberField.value = `${updatedLobby.getMemberCount()}`;
       }
 
+      // Link a text channel that was added after the lobby was posted
+      if (updatedLobby.textChannelId && !fields.some(field => field.name === TEXT_CHAT_FIELD)) {
+        embed.addFields({ name: TEXT_CHAT_FIELD, value: `<#${updatedLobby.textChannelId}>`, inline: true });
+      }
+
       await message.edit({ embeds: [embed] });
 
       logger.debug('Updated lobby in catalog', { lobbyId, memberCount: updatedLobby.getMemberCount() });
@@ -198,6 +563,31 @@ class LobbyCatalogManager {
     }
   }
 
+  /**
+   * Rename a lobby's text channel to match its voice channel name (e.g. after an emoji change)
+   * @param {Object} lobby - Lobby object
+   * @param {Client} client - Discord client
+   * @param {string} channelName - Voice channel name to mirror
+   */
+  async syncTextChannelName(lobby, client, channelName) {
+    if (!lobby.textChannelId) {
+      return;
+    }
+
+    try {
+      const VoiceChannelManager = require('../modules/gaming/VoiceChannelManager');
+      const textChannel = client.channels.cache.get(lobby.textChannelId);
+      const textChannelName = VoiceChannelManager.toTextChannelName(channelName);
+
+      if (textChannel && textChannel.name !== textChannelName) {
+        await textChannel.setName(textChannelName, 'Synced with lobby voice channel name');
+        logger.debug('Synced lobby text channel name', { lobbyId: lobby.id, textChannelName });
+      }
+    } catch (error) {
+      logger.warn('Failed to sync lobby text channel name:', error);
+    }
+  }
+
   /**
    * Remove a lobby from the catalog
    * @param {string} lobbyId - Lobby ID
@@ -205,6 +595,8 @@ class LobbyCatalogManager {
    */
   async removeLobbyFromCatalog(lobbyId, client) {
     try {
+      await this.getFederationManager().removeMirrors(lobbyId, client);
+
       const catalogData = this.catalogMessages.get(lobbyId);
       if (!catalogData) {
         return; // No catalog message to remove
@@ -232,10 +624,10 @@ class LobbyCatalogManager {
    * Handle join request button interaction
    * @param {ButtonInteraction} interaction - Discord button interaction
    * @param {LobbyManager} lobbyManager - Lobby manager instance
+   * @param {string} lobbyId - Lobby ID
    */
-  async handleJoinRequest(interaction, lobbyManager) {
+  async handleJoinRequest(interaction, lobbyManager, lobbyId) {
     try {
-      const lobbyId = interaction.customId.replace('join_request_', '');
       const requesterId = interaction.user.id;
 
       // Get the lobby
@@ -266,22 +658,42 @@ class LobbyCatalogManager {
         return;
       }
 
-      // Create unique request ID
-      const requestId = `${lobbyId}_${requesterId}_${Date.now()}`;
+      // Requests from a mirrored post need the partnership to still be in place
+      const crossServer = lobby.guildId !== interaction.guild.id;
+      if (crossServer && !await this.getFederationManager().canJoinFrom(lobby, interaction.guild.id)) {
+        await interaction.reply({
+          content: '❌ This lobby is no longer shared with this server.',
+          ephemeral: true
+        });
+        return;
+      }
+
+      // Full lobbies queue the requester instead of pinging the leader
+      if (await lobbyManager.isLobbyFull(lobby)) {
+        await this.replyWithWaitlistPosition(interaction, lobby, lobbyManager);
+        return;
+      }
 
-      // Store the request
-      this.pendingRequests.set(requestId, {
+      const requestId = this.createJoinRequest({
         lobbyId,
         requesterId,
         requesterTag: interaction.user.tag,
         leaderId: lobby.leaderId,
         gameType: lobby.gameType,
         guildName: interaction.guild.name,
-        timestamp: Date.now()
+        crossServer
       });
 
       // Send DM to lobby leader
-      await this.sendJoinRequestDM(requestId, interaction.client);
+      try {
+        await this.sendJoinRequestDM(requestId, interaction.client);
+      } catch (dmError) {
+        await interaction.reply({
+          content: `⚠️ Couldn't send your join request to <@${lobby.leaderId}>. They may have DMs disabled, so ask them in the server instead.`,
+          ephemeral: true
+        });
+        return;
+      }
 
       // Respond to the requester
       await interaction.reply({
@@ -294,7 +706,8 @@ class LobbyCatalogManager {
         lobbyId,
         requesterId,
         leaderId: lobby.leaderId,
-        gameType: lobby.gameType
+        gameType: lobby.gameType,
+        crossServer
       });
 
     } catch (error) {
@@ -307,7 +720,41 @@ class LobbyCatalogManager {
   }
 
   /**
-   * Send join request DM to lobby leader
+   * Put the user on a full lobby's waitlist and reply with their position
+   * @param {Interaction} interaction - Button or command interaction (not yet replied to)
+   * @param {Lobby} lobby - The full lobby
+   * @param {LobbyManager} lobbyManager - Lobby manager instance
+   */
+  async replyWithWaitlistPosition(interaction, lobby, lobbyManager) {
+    const waitlistManager = lobbyManager.getWaitlistManager();
+    const { position, alreadyWaiting } = await waitlistManager.joinWaitlist(lobby.id, interaction.user.id);
+
+    await interaction.reply({
+      content: alreadyWaiting
+        ? `⏳ You're already on the waitlist for this **${lobby.gameType}** lobby (position **#${position}**).`
+        : `⏳ This **${lobby.gameType}** lobby is full, so you've been added to the waitlist at position **#${position}**. You'll get a DM when a slot opens.`,
+      components: [waitlistManager.buildLeaveWaitlistRow(lobby.id)],
+      ephemeral: true
+    });
+  }
+
+  /**
+   * Store a pending join request under a short random ID. The leader's
+   * approve/decline buttons carry the ID, and custom IDs are limited to 100
+   * characters, which lobby and user IDs together can exceed.
+   * @param {Object} request - { lobbyId, requesterId, requesterTag, leaderId, gameType, guildName, crossServer }
+   * @returns {string} - Request ID
+   */
+  createJoinRequest(request) {
+    const requestId = crypto.randomBytes(8).toString('hex');
+    this.pendingRequests.set(requestId, { ...request, timestamp: Date.now() });
+    return requestId;
+  }
+
+  /**
+   * Send join request DM to lobby leader. When it cannot be sent, the request
+   * is dropped (the leader could never answer it) and the error is rethrown so
+   * the requester can be told.
    * @param {string} requestId - Request ID
    * @param {Client} client - Discord client
    */
@@ -324,11 +771,13 @@ class LobbyCatalogManager {
       const embed = new EmbedBuilder()
         .setColor(0x0099FF)
         .setTitle('🚪 Lobby Join Request')
-        .setDescription(`**${requester.tag}** wants to join your **${requestData.gameType}** lobby in **${requestData.guildName}**!`)
+        .setDescription(requestData.crossServer
+          ? `**${requester.tag}** from partner server **${requestData.guildName}** wants to join your **${requestData.gameType}** lobby! If you approve, they'll get an invite to your server.`
+          : `**${requester.tag}** wants to join your **${requestData.gameType}** lobby in **${requestData.guildName}**!`)
         .addFields(
           { name: '👤 Requester', value: `<@${requestData.requesterId}>`, inline: true },
           { name: '🎯 Game', value: requestData.gameType, inline: true },
-          { name: '🏠 Server', value: requestData.guildName, inline: true }
+          { name: requestData.crossServer ? '🌐 Partner Server' : '🏠 Server', value: requestData.guildName, inline: true }
         )
         .addFields({
           name: '⏰ Auto-Delete',
@@ -338,13 +787,13 @@ class LobbyCatalogManager {
 
       // Create approve/decline buttons
       const approveButton = new ButtonBuilder()
-        .setCustomId(`approve_${requestId}`)
+        .setCustomId(JOIN_RESPONSE_BUTTON.build({ action: 'approve', requestId }))
         .setLabel('Approve')
         .setStyle(ButtonStyle.Success)
         .setEmoji('✅');
 
       const declineButton = new ButtonBuilder()
-        .setCustomId(`decline_${requestId}`)
+        .setCustomId(JOIN_RESPONSE_BUTTON.build({ action: 'decline', requestId }))
         .setLabel('Decline')
         .setStyle(ButtonStyle.Danger)
         .setEmoji('❌');
@@ -360,7 +809,9 @@ class LobbyCatalogManager {
       }, config.dm.volatileDeleteMinutes);
 
     } catch (error) {
+      this.pendingRequests.delete(requestId);
       logger.error('Failed to send join request DM:', error);
+      throw error;
     }
   }
 
@@ -369,12 +820,12 @@ class LobbyCatalogManager {
    * @param {ButtonInteraction} interaction - Discord button interaction
    * @param {LobbyManager} lobbyManager - Lobby manager instance
    * @param {VoiceChannelManager} voiceChannelManager - Voice channel manager instance
+   * @param {string} action - approve or decline
+   * @param {string} requestId - Pending join request ID
    */
-  async handleJoinResponse(interaction, lobbyManager, voiceChannelManager) {
+  async handleJoinResponse(interaction, lobbyManager, voiceChannelManager, action, requestId) {
     try {
       const config = require('../config');
-      const [action, ...requestIdParts] = interaction.customId.split('_');
-      const requestId = requestIdParts.join('_');
       const requestData = this.pendingRequests.get(requestId);
 
       if (!requestData) {
@@ -385,7 +836,7 @@ class LobbyCatalogManager {
         return;
       }
 
-      const { lobbyId, requesterId, requesterTag, gameType } = requestData;
+      const { lobbyId, requesterId, requesterTag, gameType, crossServer } = requestData;
 
       if (action === 'approve') {
         // Approve the request
@@ -394,9 +845,26 @@ class LobbyCatalogManager {
           
           // Grant voice channel access
           if (lobby.voiceChannelId && voiceChannelManager) {
-            await voiceChannelManager.addUserToChannel(lobby.voiceChannelId, requesterId);
+            try {
+              await voiceChannelManager.addUserToChannel(lobby.voiceChannelId, requesterId);
+            } catch (accessError) {
+              // A partner server player who hasn't joined this server yet can't always be granted access
+              if (!crossServer) {
+                throw accessError;
+              }
+              logger.warn('Failed to grant voice access to partner server player', {
+                lobbyId,
+                requesterId,
+                error: accessError.message
+              });
+            }
           }
 
+          // Partner server players may not be in this server yet
+          const invite = crossServer
+            ? await this.getFederationManager().createCrossServerInvite(lobby, interaction.client)
+            : null;
+
           // Update catalog
           await this.updateLobbyInCatalog(lobbyId, lobby, interaction.client);
 
@@ -408,15 +876,21 @@ class LobbyCatalogManager {
           // Notify the requester with volatile DM
           try {
             const requester = await interaction.client.users.fetch(requesterId);
+            const nextSteps = invite
+              ? {
+                name: '🌐 Server Invite',
+                value: `This lobby is hosted on a partner server. Join with ${invite.url} (single use, expires in 24 hours), then hop in the lobby voice channel!`
+              }
+              : {
+                name: '📋 Next Steps',
+                value: `• Go back to the server\n• Join the voice channel if available\n• Have fun gaming!`
+              };
             const notifyEmbed = new EmbedBuilder()
               .setColor(0x00FF00)
               .setTitle('✅ Join Request Approved!')
               .setDescription(`Your request to join the **${gameType}** lobby has been approved!`)
               .addFields(
-                {
-                  name: '📋 Next Steps',
-                  value: `• Go back to the server\n• Join the voice channel if available\n• Have fun gaming!`
-                },
+                nextSteps,
                 {
                   name: '⏰ Auto-Delete',
                   value: `This message will automatically delete in ${config.dm.volatileDeleteMinutes} minutes to keep your DMs clean.`
@@ -519,4 +993,10 @@ class LobbyCatalogManager {
 // Create singleton instance
 const lobbyCatalogManager = new LobbyCatalogManager();
 
+lobbyCatalogManager.components = {
+  joinRequest: JOIN_REQUEST_BUTTON,
+  rsvp: RSVP_BUTTON,
+  joinResponse: JOIN_RESPONSE_BUTTON
+};
+
 module.exports = lobbyCatalogManager;
\ No newline at end of file
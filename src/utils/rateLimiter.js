@@ -0,0 +1,278 @@
+const logger = require('./logger');
+const dbConnection = require('../database/connection');
+
+const SCOPES = ['user', 'channel', 'guild'];
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000; // 1 hour
+
+/**
+ * Command rate limiting with per-user, per-channel and per-guild buckets.
+ * A command's `cooldown` option is the default; guilds can override it and exempt
+ * roles through /command-config. Buckets are persisted while the database is
+ * available so cooldowns survive restarts, and kept in memory otherwise.
+ * Also enforces a global limit on simultaneous runs of expensive commands.
+ */
+class RateLimiter {
+  constructor() {
+    this.buckets = new Map(); // bucketKey -> { uses, windowEndsAt }
+    this.activeRuns = new Map(); // commandName -> running count
+    this.lastPrunedAt = Date.now();
+    this.repository = null;
+  }
+
+  /**
+   * Repository for overrides and persisted buckets, or null without a database
+   * @returns {CommandRateLimitRepository|null}
+   */
+  getRepository() {
+    if (!dbConnection.isReady()) {
+      return null;
+    }
+
+    if (!this.repository) {
+      const CommandRateLimitRepository = require('../database/repositories/CommandRateLimitRepository');
+      this.repository = new CommandRateLimitRepository();
+    }
+
+    return this.repository;
+  }
+
+  /**
+   * Effective limit for a command in a guild
+   * @param {BaseCommand} command - Command being run
+   * @param {string|null} guildId - Guild ID, or null in DMs
+   * @returns {Promise<Object>} - { scope, cooldownSeconds, maxUses, overridden }
+   */
+  async getLimit(command, guildId) {
+    const limit = { scope: 'user', cooldownSeconds: command.options.cooldown, maxUses: 1, overridden: false };
+    const repository = this.getRepository();
+
+    if (!repository || !guildId) {
+      return limit;
+    }
+
+    const override = await repository.getOverride(guildId, command.name);
+    if (!override) {
+      return limit;
+    }
+
+    return {
+      scope: override.scope,
+      cooldownSeconds: override.cooldown_seconds,
+      maxUses: override.max_uses,
+      overridden: true
+    };
+  }
+
+  /**
+   * Whether the member has a role exempt from the command's rate limit
+   */
+  async isExempt(interaction, commandName) {
+    const repository = this.getRepository();
+    const guildId = interaction.guild?.id;
+
+    if (!repository || !guildId || !interaction.member) {
+      return false;
+    }
+
+    const exemptRoleIds = await repository.getExemptRoleIds(guildId, commandName);
+    if (exemptRoleIds.length === 0) {
+      return false;
+    }
+
+    // Uncached members carry role IDs as an array instead of a role manager
+    const roles = interaction.member.roles;
+    return exemptRoleIds.some(roleId =>
+      Array.isArray(roles) ? roles.includes(roleId) : roles?.cache?.has(roleId)
+    );
+  }
+
+  /**
+   * Key of the bucket an interaction counts against, as `command:guild:scope:id`.
+   * Guild and channel scopes fall back to the user in DMs.
+   */
+  getBucketKey(commandName, scope, interaction) {
+    const guildId = interaction.guild?.id;
+    const prefix = `${commandName}:${guildId || 'dm'}`;
+
+    if (scope === 'guild' && guildId) {
+      return `${prefix}:guild:${guildId}`;
+    }
+
+    if (scope === 'channel' && guildId && interaction.channel?.id) {
+      return `${prefix}:channel:${interaction.channel.id}`;
+    }
+
+    return `${prefix}:user:${interaction.user.id}`;
+  }
+
+  /**
+   * Count a command use against its bucket
+   * @param {BaseCommand} command - Command being run
+   * @param {CommandInteraction} interaction - The Discord interaction
+   * @returns {Promise<Object>} - { allowed, retryAfterMs, scope }
+   */
+  async consume(command, interaction) {
+    let limit;
+    try {
+      if (await this.isExempt(interaction, command.name)) {
+        return { allowed: true, retryAfterMs: 0, scope: null };
+      }
+      limit = await this.getLimit(command, interaction.guild?.id || null);
+    } catch (error) {
+      logger.error('Failed to load command rate limit, using the default:', error);
+      limit = { scope: 'user', cooldownSeconds: command.options.cooldown, maxUses: 1 };
+    }
+
+    const cooldownMs = limit.cooldownSeconds * 1000;
+    if (!(cooldownMs > 0)) {
+      return { allowed: true, retryAfterMs: 0, scope: limit.scope };
+    }
+
+    const bucketKey = this.getBucketKey(command.name, limit.scope, interaction);
+    await this.loadBucket(bucketKey);
+
+    // Check and take the use on the in-memory bucket without awaiting in between,
+    // so simultaneous uses cannot both see the count from before the other
+    const now = Date.now();
+    const bucket = this.buckets.get(bucketKey);
+
+    if (bucket && bucket.windowEndsAt > now && bucket.uses >= limit.maxUses) {
+      return { allowed: false, retryAfterMs: bucket.windowEndsAt - now, scope: limit.scope };
+    }
+
+    const updated = bucket && bucket.windowEndsAt > now
+      ? { uses: bucket.uses + 1, windowEndsAt: bucket.windowEndsAt }
+      : { uses: 1, windowEndsAt: now + cooldownMs };
+
+    this.buckets.set(bucketKey, updated);
+    await this.persistBucket(bucketKey, updated);
+    await this.pruneIfDue(now);
+
+    return { allowed: true, retryAfterMs: 0, scope: limit.scope };
+  }
+
+  /**
+   * Bring a persisted bucket into memory unless it is already there. A use
+   * counted while the database read was in flight wins over the stored copy.
+   */
+  async loadBucket(bucketKey) {
+    if (this.buckets.has(bucketKey)) {
+      return;
+    }
+
+    const repository = this.getRepository();
+    if (!repository) {
+      return;
+    }
+
+    try {
+      const bucket = await repository.getBucket(bucketKey);
+      if (bucket && !this.buckets.has(bucketKey)) {
+        this.buckets.set(bucketKey, bucket);
+      }
+    } catch (error) {
+      logger.error('Failed to load cooldown bucket:', error);
+    }
+  }
+
+  async persistBucket(bucketKey, bucket) {
+    const repository = this.getRepository();
+    if (!repository) {
+      return;
+    }
+
+    try {
+      await repository.saveBucket(bucketKey, bucket);
+    } catch (error) {
+      logger.error('Failed to persist cooldown bucket:', error);
+    }
+  }
+
+  /**
+   * Drop expired buckets from memory and the database at most once per interval
+   */
+  async pruneIfDue(now = Date.now()) {
+    if (now - this.lastPrunedAt < PRUNE_INTERVAL_MS) {
+      return;
+    }
+
+    this.lastPrunedAt = now;
+    for (const [bucketKey, bucket] of this.buckets) {
+      if (bucket.windowEndsAt <= now) {
+        this.buckets.delete(bucketKey);
+      }
+    }
+
+    try {
+      await this.getRepository()?.pruneBuckets(now);
+    } catch (error) {
+      logger.error('Failed to prune cooldown buckets:', error);
+    }
+  }
+
+  /**
+   * Forget a command's buckets in a guild so a changed limit applies straight away
+   * @param {string} guildId - Guild ID
+   * @param {string} commandName - Command whose buckets to clear
+   */
+  async resetBuckets(guildId, commandName) {
+    const prefix = `${commandName}:${guildId}:`;
+
+    for (const bucketKey of this.buckets.keys()) {
+      if (bucketKey.startsWith(prefix)) {
+        this.buckets.delete(bucketKey);
+      }
+    }
+
+    await this.getRepository()?.deleteBuckets(prefix);
+  }
+
+  /**
+   * Reserve one of a command's concurrent run slots
+   * @param {string} commandName - Command name
+   * @param {number} [maxConcurrent] - Global limit on simultaneous runs (none if unset)
+   * @returns {Function|null} - Release function, or null if every slot is taken
+   */
+  acquire(commandName, maxConcurrent) {
+    if (!maxConcurrent) {
+      return () => {};
+    }
+
+    const running = this.activeRuns.get(commandName) || 0;
+    if (running >= maxConcurrent) {
+      return null;
+    }
+
+    this.activeRuns.set(commandName, running + 1);
+
+    let released = false;
+    return () => {
+      if (released) return;
+      released = true;
+
+      const remaining = (this.activeRuns.get(commandName) || 1) - 1;
+      if (remaining > 0) {
+        this.activeRuns.set(commandName, remaining);
+      } else {
+        this.activeRuns.delete(commandName);
+      }
+    };
+  }
+
+  /**
+   * Health details for the service container
+   */
+  getStats() {
+    return {
+      buckets: this.buckets.size,
+      activeRuns: Object.fromEntries(this.activeRuns),
+      persisted: Boolean(this.getRepository())
+    };
+  }
+}
+
+// Create singleton instance
+const rateLimiter = new RateLimiter();
+rateLimiter.SCOPES = SCOPES;
+
+module.exports = rateLimiter;
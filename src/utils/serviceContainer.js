@@ -0,0 +1,273 @@
+const logger = require('./logger');
+
+const STATUS = {
+  REGISTERED: 'registered',
+  STARTING: 'starting',
+  RUNNING: 'running',
+  FAILED: 'failed',
+  STOPPED: 'stopped'
+};
+
+/**
+ * Small dependency-injection container for long-lived bot subsystems.
+ * Services are created on first use with their dependencies, started in dependency
+ * order and stopped in reverse, and report a health status each.
+ */
+class ServiceContainer {
+  constructor() {
+    this.definitions = new Map();
+    this.instances = new Map();
+    this.states = new Map(); // name -> { status, error, startedAt }
+    this.creationOrder = [];
+    this.resolving = new Set();
+  }
+
+  /**
+   * Register a service
+   * @param {string} name - Service name
+   * @param {Object} definition - Service definition
+   * @param {Function} definition.factory - Creates the instance from its resolved dependencies
+   * @param {Array<string>} [definition.dependsOn] - Services to create and start first
+   * @param {Function} [definition.start] - Async start hook (instance)
+   * @param {Function} [definition.stop] - Async stop hook (instance)
+   * @param {Function} [definition.health] - Extra health details (instance) => Object
+   * @param {boolean} [definition.required] - Whether a failed start should throw
+   * @param {boolean} [definition.lazy] - Skip in start() and create only when requested
+   */
+  register(name, definition) {
+    if (typeof definition.factory !== 'function') {
+      throw new Error(`Service ${name} is missing a factory`);
+    }
+
+    this.definitions.set(name, { dependsOn: [], required: false, lazy: false, ...definition });
+    this.states.set(name, { status: STATUS.REGISTERED, error: null, startedAt: null });
+    return this;
+  }
+
+  /**
+   * Register an already-built instance, e.g. a fake in tests
+   * @param {string} name - Service name
+   * @param {*} instance - Service instance
+   * @param {Object} [hooks] - Optional start/stop/health hooks
+   */
+  set(name, instance, hooks = {}) {
+    this.register(name, { ...hooks, factory: () => instance });
+    this.instantiate(name);
+
+    if (!hooks.start) {
+      this.setState(name, { status: STATUS.RUNNING, startedAt: new Date() });
+    }
+
+    return this;
+  }
+
+  has(name) {
+    return this.definitions.has(name);
+  }
+
+  /**
+   * Get a service instance, creating it and its dependencies if needed
+   * @param {string} name - Service name
+   * @returns {*} - Service instance
+   */
+  get(name) {
+    if (this.instances.has(name)) {
+      return this.instances.get(name);
+    }
+
+    if (!this.definitions.has(name)) {
+      throw new Error(`Unknown service: ${name}`);
+    }
+
+    return this.instantiate(name);
+  }
+
+  /**
+   * Get a service only if it started successfully (or needs no start)
+   * @returns {*|null}
+   */
+  getIfRunning(name) {
+    return this.states.get(name)?.status === STATUS.RUNNING ? this.instances.get(name) : null;
+  }
+
+  /**
+   * All running services keyed by name
+   * @returns {Object}
+   */
+  getRunningServices() {
+    const running = {};
+    for (const [name, state] of this.states) {
+      if (state.status === STATUS.RUNNING) {
+        running[name] = this.instances.get(name);
+      }
+    }
+    return running;
+  }
+
+  instantiate(name) {
+    if (this.resolving.has(name)) {
+      throw new Error(`Circular service dependency: ${[...this.resolving, name].join(' -> ')}`);
+    }
+
+    const definition = this.definitions.get(name);
+    this.resolving.add(name);
+
+    try {
+      const dependencies = {};
+      for (const dependency of definition.dependsOn) {
+        dependencies[dependency] = this.get(dependency);
+      }
+
+      const instance = definition.factory(dependencies);
+      this.instances.set(name, instance);
+      this.creationOrder.push(name);
+
+      // Lazy services have no separate start step and are usable once created
+      if (definition.lazy && !definition.start) {
+        this.setState(name, { status: STATUS.RUNNING, startedAt: new Date() });
+      }
+
+      return instance;
+    } finally {
+      this.resolving.delete(name);
+    }
+  }
+
+  /**
+   * Start services and everything they depend on, in dependency order.
+   * Already running services are skipped, and a failed service marks its dependents failed.
+   * @param {Array<string>} [names] - Services to start (defaults to every non-lazy service)
+   * @returns {Promise<Object>} - Health report
+   */
+  async start(names = null) {
+    const targets = names || [...this.definitions.keys()].filter(name => !this.definitions.get(name).lazy);
+
+    for (const name of this.getStartOrder(targets)) {
+      await this.startService(name);
+    }
+
+    return this.getHealth();
+  }
+
+  async startService(name) {
+    const state = this.states.get(name);
+    if (state.status === STATUS.RUNNING || state.status === STATUS.STARTING) {
+      return;
+    }
+
+    const definition = this.definitions.get(name);
+    const failedDependency = definition.dependsOn.find(dependency =>
+      this.states.get(dependency)?.status !== STATUS.RUNNING
+    );
+
+    try {
+      if (failedDependency) {
+        throw new Error(`Dependency ${failedDependency} is not running`);
+      }
+
+      this.setState(name, { status: STATUS.STARTING, error: null });
+      const instance = this.get(name);
+
+      if (definition.start) {
+        await definition.start(instance);
+      }
+
+      this.setState(name, { status: STATUS.RUNNING, startedAt: new Date() });
+      logger.debug(`Service ${name} started`);
+    } catch (error) {
+      this.setState(name, { status: STATUS.FAILED, error: error.message });
+      logger.error(`Failed to start service ${name}:`, error);
+
+      if (definition.required) {
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Stop every created service in reverse creation order, so dependents stop first
+   */
+  async stop() {
+    for (const name of [...this.creationOrder].reverse()) {
+      const state = this.states.get(name);
+      if (state.status !== STATUS.RUNNING) {
+        continue;
+      }
+
+      const definition = this.definitions.get(name);
+      try {
+        if (definition.stop) {
+          await definition.stop(this.instances.get(name));
+        }
+        this.setState(name, { status: STATUS.STOPPED });
+        logger.debug(`Service ${name} stopped`);
+      } catch (error) {
+        this.setState(name, { status: STATUS.FAILED, error: error.message });
+        logger.error(`Failed to stop service ${name}:`, error);
+      }
+    }
+  }
+
+  /**
+   * Dependency-first order for a set of services
+   * @returns {Array<string>}
+   */
+  getStartOrder(names) {
+    const ordered = [];
+    const visiting = new Set();
+
+    const visit = (name) => {
+      if (ordered.includes(name)) return;
+
+      const definition = this.definitions.get(name);
+      if (!definition) {
+        throw new Error(`Unknown service: ${name}`);
+      }
+
+      if (visiting.has(name)) {
+        throw new Error(`Circular service dependency: ${[...visiting, name].join(' -> ')}`);
+      }
+
+      visiting.add(name);
+      definition.dependsOn.forEach(visit);
+      visiting.delete(name);
+      ordered.push(name);
+    };
+
+    names.forEach(visit);
+    return ordered;
+  }
+
+  /**
+   * Health status of every registered service
+   * @returns {Object} - name -> { status, error, startedAt, ...details }
+   */
+  getHealth() {
+    const report = {};
+
+    for (const [name, state] of this.states) {
+      const definition = this.definitions.get(name);
+      let details = {};
+
+      if (definition.health && this.instances.has(name)) {
+        try {
+          details = definition.health(this.instances.get(name)) || {};
+        } catch (error) {
+          details = { healthError: error.message };
+        }
+      }
+
+      report[name] = { ...state, ...details };
+    }
+
+    return report;
+  }
+
+  setState(name, changes) {
+    this.states.set(name, { ...this.states.get(name), ...changes });
+  }
+}
+
+ServiceContainer.STATUS = STATUS;
+
+module.exports = ServiceContainer;
@@ -0,0 +1,150 @@
+const config = require('../config');
+
+/**
+ * Timezone helpers shared by server settings, lobby schedules and game logs.
+ * Servers pick a timezone in /setup; everything else falls back to the bot default.
+ */
+
+// Offered in /setup, any other IANA name can be typed in
+const COMMON_TIMEZONES = [
+  { name: 'Eastern (New York)', value: 'America/New_York' },
+  { name: 'Central (Chicago)', value: 'America/Chicago' },
+  { name: 'Mountain (Denver)', value: 'America/Denver' },
+  { name: 'Mountain, no DST (Phoenix)', value: 'America/Phoenix' },
+  { name: 'Pacific (Los Angeles)', value: 'America/Los_Angeles' },
+  { name: 'Alaska (Anchorage)', value: 'America/Anchorage' },
+  { name: 'Hawaii (Honolulu)', value: 'Pacific/Honolulu' },
+  { name: 'Atlantic (Halifax)', value: 'America/Halifax' },
+  { name: 'Brazil (São Paulo)', value: 'America/Sao_Paulo' },
+  { name: 'UTC', value: 'UTC' },
+  { name: 'UK (London)', value: 'Europe/London' },
+  { name: 'Central Europe (Berlin)', value: 'Europe/Berlin' },
+  { name: 'Eastern Europe (Helsinki)', value: 'Europe/Helsinki' },
+  { name: 'Moscow', value: 'Europe/Moscow' },
+  { name: 'India (Kolkata)', value: 'Asia/Kolkata' },
+  { name: 'China (Shanghai)', value: 'Asia/Shanghai' },
+  { name: 'Japan (Tokyo)', value: 'Asia/Tokyo' },
+  { name: 'Australia East (Sydney)', value: 'Australia/Sydney' },
+  { name: 'New Zealand (Auckland)', value: 'Pacific/Auckland' }
+];
+
+/**
+ * Check whether a timezone name is understood by Intl
+ * @param {string} timezone - IANA timezone name
+ * @returns {boolean}
+ */
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Timezone used when a server has not picked one
+ * @returns {string} - IANA timezone name
+ */
+function getDefaultTimezone() {
+  return config.bot.timezone;
+}
+
+/**
+ * Wall-clock parts of an instant in a timezone
+ * @param {Date} date - Instant
+ * @param {string} timezone - IANA timezone name
+ * @returns {Object} - { year, month, day, hour, minute, second } with month 1-12
+ */
+function getZonedParts(date, timezone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+
+  const value = type => parseInt(parts.find(part => part.type === type).value, 10);
+  return {
+    year: value('year'),
+    month: value('month'),
+    day: value('day'),
+    hour: value('hour'),
+    minute: value('minute'),
+    second: value('second')
+  };
+}
+
+/**
+ * Calendar day of an instant in a timezone
+ * @returns {string} - YYYY-MM-DD
+ */
+function getDateKey(date, timezone) {
+  const { year, month, day } = getZonedParts(date, timezone);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Offset of a timezone from UTC at an instant, in milliseconds
+ */
+function getOffsetMs(date, timezone) {
+  const { year, month, day, hour, minute, second } = getZonedParts(date, timezone);
+  const wholeSeconds = Math.floor(date.getTime() / 1000) * 1000;
+  return Date.UTC(year, month - 1, day, hour, minute, second) - wholeSeconds;
+}
+
+/**
+ * Instant at which a wall-clock time occurs in a timezone.
+ * Out-of-range days roll over like Date.UTC, so { day: 32 } is next month.
+ * @param {Object} wallClock - { year, month, day, hour, minute } with month 1-12
+ * @param {string} timezone - IANA timezone name
+ * @returns {Date}
+ */
+function zonedTimeToDate({ year, month, day, hour = 0, minute = 0 }, timezone) {
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute);
+  const offset = getOffsetMs(new Date(asUtc), timezone);
+  const corrected = getOffsetMs(new Date(asUtc - offset), timezone);
+
+  // A second pass settles times near a daylight saving change
+  return new Date(asUtc - corrected);
+}
+
+/**
+ * Keep the games that start on the given day in a timezone
+ * @param {Array} games - Games with a `date`
+ * @param {string} timezone - IANA timezone name
+ * @param {Date} [day] - Any instant on the day to keep (defaults to now)
+ * @returns {Array}
+ */
+function filterGamesOnDay(games, timezone, day = new Date()) {
+  const dayKey = getDateKey(day, timezone);
+  return games.filter(game => getDateKey(new Date(game.date), timezone) === dayKey);
+}
+
+/**
+ * Whether an instant falls in the first minutes of a local hour, for jobs that
+ * tick every few minutes and should run once per day in each timezone
+ * @param {Date} date - Tick time
+ * @param {string} timezone - IANA timezone name
+ * @param {number} hour - Local hour (0-23)
+ * @param {number} [windowMinutes] - Tick interval
+ */
+function isLocalHour(date, timezone, hour, windowMinutes = 15) {
+  const parts = getZonedParts(date, timezone);
+  return parts.hour === hour && parts.minute < windowMinutes;
+}
+
+module.exports = {
+  COMMON_TIMEZONES,
+  isValidTimezone,
+  getDefaultTimezone,
+  getZonedParts,
+  getDateKey,
+  zonedTimeToDate,
+  filterGamesOnDay,
+  isLocalHour
+};
@@ -0,0 +1,81 @@
+const request = require('supertest');
+const AdminApiServer = require('../../src/modules/admin/AdminApiServer');
+const ServiceContainer = require('../../src/utils/serviceContainer');
+
+describe('Admin API', () => {
+  let services;
+  let oddsTracker;
+  let server;
+
+  beforeEach(() => {
+    oddsTracker = {
+      supportedSports: ['nfl', 'nba'],
+      scrapingSchedules: { morning: 8 },
+      scheduledJobs: new Map([['scheduled-scrape', {}]]),
+      getTrackingStats: jest.fn().mockResolvedValue({ totalSnapshots: 12 }),
+      manualScrape: jest.fn().mockResolvedValue({ nfl: { snapshots: 3, movements: [] } })
+    };
+
+    services = new ServiceContainer();
+    services.set('oddsTracker', oddsTracker);
+    services.set('espnClient', { getDailyQueryStatus: () => ({ nfl: { scheduleQueries: 2, limit: 100 } }) });
+
+    const bot = {
+      client: { isReady: () => true, user: { tag: 'Bot#0001' }, guilds: { cache: new Map([['guild-1', {}]]) }, ws: { ping: 42 } },
+      commands: new Map([['ping', {}]]),
+      services
+    };
+
+    server = new AdminApiServer(bot, { token: 'secret-token' });
+  });
+
+  test('should report bot health and service status', async () => {
+    const response = await request(server.handle).get('/api/health').expect(200);
+
+    expect(response.body).toMatchObject({
+      status: 'ok',
+      discord: { ready: true, user: 'Bot#0001', guilds: 1, pingMs: 42 },
+      commands: 1,
+      services: { oddsTracker: { status: 'running' }, espnClient: { status: 'running' } }
+    });
+  });
+
+  test('should serve odds and ESPN status, and 503 for services that are not running', async () => {
+    const odds = await request(server.handle).get('/api/odds?sport=nfl&days=3').expect(200);
+    expect(oddsTracker.getTrackingStats).toHaveBeenCalledWith('nfl', 3);
+    expect(odds.body.sports).toEqual({ nfl: { totalSnapshots: 12 } });
+
+    const espn = await request(server.handle).get('/api/espn').expect(200);
+    expect(espn.body.nfl.scheduleQueries).toBe(2);
+
+    await request(server.handle).get('/api/models').expect(503);
+    await request(server.handle).get('/api/database').expect(503);
+    await request(server.handle).get('/api/odds?sport=cricket').expect(400);
+    await request(server.handle).get('/api/nothing').expect(404);
+  });
+
+  test('should require the API token to trigger a scrape', async () => {
+    await request(server.handle).post('/api/odds/scrape').send({ sport: 'nfl' }).expect(401);
+    await request(server.handle).post('/api/odds/scrape').set('Authorization', 'Bearer wrong').send({ sport: 'nfl' }).expect(401);
+    expect(oddsTracker.manualScrape).not.toHaveBeenCalled();
+
+    const response = await request(server.handle)
+      .post('/api/odds/scrape')
+      .set('Authorization', 'Bearer secret-token')
+      .send({ sport: 'nfl' })
+      .expect(200);
+
+    expect(oddsTracker.manualScrape).toHaveBeenCalledWith('nfl');
+    expect(response.body).toMatchObject({ sport: 'nfl', results: { nfl: { snapshots: 3 } } });
+
+    server.token = null;
+    await request(server.handle).post('/api/odds/scrape').set('Authorization', 'Bearer secret-token').expect(403);
+    await request(server.handle).get('/api/odds/scrape').expect(405);
+  });
+
+  test('should serve the dashboard', async () => {
+    const response = await request(server.handle).get('/').expect(200);
+    expect(response.headers['content-type']).toContain('text/html');
+    expect(response.text).toContain('/api/odds/scrape');
+  });
+});
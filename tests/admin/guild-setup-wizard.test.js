@@ -0,0 +1,113 @@
+const GuildSetupWizard = require('../../src/modules/admin/GuildSetupWizard');
+const GameLogManager = require('../../src/modules/sports/GameLogManager');
+const ServerConfigRepository = require('../../src/database/repositories/ServerConfigRepository');
+const dbConnection = require('../../src/database/connection');
+
+describe('Guild setup wizard', () => {
+  let wizard;
+  let configRepo;
+  let guild;
+
+  const createChannel = (id, type, grantedPermissions = ['ViewChannel', 'SendMessages', 'EmbedLinks', 'CreatePublicThreads']) => ({
+    id,
+    type,
+    name: id,
+    permissionsFor: () => ({ has: permission => grantedPermissions.includes(permission) })
+  });
+
+  const createInteraction = (overrides = {}) => ({
+    guild,
+    user: { id: 'admin-1' },
+    values: [],
+    reply: jest.fn().mockResolvedValue(true),
+    update: jest.fn().mockResolvedValue(true),
+    ...overrides
+  });
+
+  const modalFields = values => ({ getTextInputValue: name => values[name] });
+
+  beforeAll(async () => {
+    if (!dbConnection.isReady()) {
+      await dbConnection.initialize();
+    }
+  });
+
+  beforeEach(async () => {
+    await dbConnection.run('DELETE FROM server_config');
+
+    const channels = new Map([
+      ['nfl-text', createChannel('nfl-text', 0)],
+      ['nfl-forum', createChannel('nfl-forum', 15)],
+      ['read-only', createChannel('read-only', 0, ['ViewChannel'])]
+    ]);
+    channels.find = predicate => [...channels.values()].find(predicate);
+
+    guild = {
+      id: 'guild-1',
+      channels: { cache: channels, create: jest.fn() },
+      members: { me: { permissions: { has: () => true } } }
+    };
+
+    wizard = new GuildSetupWizard();
+    wizard.showStep = jest.fn().mockResolvedValue(true);
+    configRepo = new ServerConfigRepository();
+  });
+
+  afterAll(async () => {
+    await dbConnection.close();
+  });
+
+  test('should save and clear sport channels and forums as they are picked', async () => {
+    await wizard.handleSportChannel(createInteraction({ values: ['nfl-text'] }), { kind: 'gamelog', sport: 'nfl' });
+    await wizard.handleSportChannel(createInteraction({ values: ['nfl-forum'] }), { kind: 'forum', sport: 'ncaa_football' });
+
+    let serverConfig = await configRepo.getByGuildId('guild-1');
+    expect(serverConfig.getSportsChannel('nfl')).toBe('nfl-text');
+    expect(serverConfig.getBettingForum('ncaa_football')).toBe('nfl-forum');
+    expect(wizard.showStep).toHaveBeenLastCalledWith(expect.anything(), 'sports', 'ncaa_football');
+
+    await wizard.handleSportChannel(createInteraction({ values: [] }), { kind: 'gamelog', sport: 'nfl' });
+    serverConfig = await configRepo.getByGuildId('guild-1');
+    expect(serverConfig.getSportsChannel('nfl')).toBeNull();
+  });
+
+  test('should validate lobby defaults and timezones before saving', async () => {
+    const badDefaults = createInteraction({ fields: modalFields({ duration: '2', max_size: '10' }) });
+    await wizard.handleLobbyDefaultsModal(badDefaults);
+    expect(badDefaults.reply).toHaveBeenCalledWith({ content: '❌ Lobby duration must be between 5 and 1440 minutes', ephemeral: true });
+
+    await wizard.handleLobbyDefaultsModal(createInteraction({ fields: modalFields({ duration: '90', max_size: '6' }) }));
+    expect(await configRepo.getLobbySettings('guild-1')).toEqual({ duration: 90, maxSize: 6 });
+
+    const badTimezone = createInteraction({ fields: modalFields({ timezone: 'Mars/Olympus' }) });
+    await wizard.handleTimezoneModal(badTimezone);
+    expect(badTimezone.reply).toHaveBeenCalledWith(expect.objectContaining({ ephemeral: true }));
+
+    await wizard.handleTimezoneModal(createInteraction({ fields: modalFields({ timezone: 'Europe/Paris' }) }));
+    expect((await configRepo.getByGuildId('guild-1')).timezone).toBe('Europe/Paris');
+  });
+
+  test('should flag deleted channels and missing bot permissions', async () => {
+    await configRepo.setSportsChannel('guild-1', 'nba', 'read-only');
+    await configRepo.setBettingForum('guild-1', 'nhl', 'gone');
+    await configRepo.setLobbyCatalogChannel('guild-1', 'nfl-text');
+
+    const problems = wizard.findChannelProblems(guild, await configRepo.getByGuildId('guild-1'));
+
+    expect(problems).toEqual([
+      'NBA game logs: bot is missing SendMessages, EmbedLinks in <#read-only>',
+      'NHL betting forum: the channel was deleted'
+    ]);
+  });
+
+  test('should post game logs to the configured channel and stop creating channels after setup', async () => {
+    const gameLogManager = new GameLogManager({});
+
+    await configRepo.setSportsChannel('guild-1', 'ncaa', 'nfl-text');
+    expect(await gameLogManager.findOrCreateSportChannel(guild, 'ncaa_basketball')).toBe(guild.channels.cache.get('nfl-text'));
+
+    await configRepo.markSetupComplete('guild-1');
+    expect(await gameLogManager.findOrCreateSportChannel(guild, 'nhl')).toBeNull();
+    expect(guild.channels.create).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,78 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { DatabaseConnection } = require('../../src/database/connection');
+const { SqliteDriver } = require('../../src/database/drivers');
+const BackupManager = require('../../src/database/BackupManager');
+
+describe('BackupManager', () => {
+  let directory;
+  let databasePath;
+  let db;
+  let backups;
+
+  const names = async () => (await db.all('SELECT name FROM widgets ORDER BY id')).map(row => row.name);
+  const tick = () => new Promise(resolve => setTimeout(resolve, 5));
+
+  beforeEach(async () => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'backups-'));
+    databasePath = path.join(directory, 'bot.db');
+
+    db = new DatabaseConnection();
+    await db.open(new SqliteDriver({ path: databasePath }));
+    backups = new BackupManager(db, { databasePath, enabled: true, retention: 3 });
+  });
+
+  afterEach(async () => {
+    await db.close();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('should write compressed backups, prune old ones and restore by name or time', async () => {
+    expect(await backups.createBefore('pre-migrate')).toBeNull();
+
+    await db.exec("CREATE TABLE widgets (id INTEGER PRIMARY KEY, name TEXT); INSERT INTO widgets (name) VALUES ('first');");
+    const first = await backups.create();
+    expect(first.name).toMatch(/^bot-\d{8}T\d{9}Z-manual\.db\.gz$/);
+    expect(first.path).toBe(path.join(directory, 'backups', first.name));
+    expect(zlib.gunzipSync(fs.readFileSync(first.path)).subarray(0, 15).toString()).toBe('SQLite format 3');
+
+    await tick();
+    await db.run("INSERT INTO widgets (name) VALUES ('second')");
+    const second = await backups.createBefore('Pre Reset!');
+    expect(second.reason).toBe('pre-reset');
+
+    await tick();
+    await db.run("INSERT INTO widgets (name) VALUES ('third')");
+    const restored = await backups.restore(new Date(second.createdAt.getTime() + 1));
+    expect(restored.restored.name).toBe(second.name);
+    expect(restored.safetyBackup.reason).toBe('pre-restore');
+    expect(await names()).toEqual(['first', 'second']);
+
+    await backups.restore(restored.safetyBackup.name);
+    expect(await names()).toEqual(['first', 'second', 'third']);
+
+    // The second restore's own pre-restore backup pushed the first backup out
+    expect((await backups.list()).map(backup => backup.reason)).toEqual(['pre-restore', 'pre-restore', 'pre-reset']);
+    await expect(backups.restore(first.name)).rejects.toThrow(`No backup matches ${first.name}`);
+    await expect(backups.restore('2000-01-01T00:00')).rejects.toThrow('No backup matches 2000-01-01T00:00');
+  });
+
+  test('should refuse backups that fail the integrity check and databases it cannot copy', async () => {
+    await db.exec('CREATE TABLE widgets (id INTEGER PRIMARY KEY, name TEXT);');
+    const backup = await backups.create();
+    expect((await backups.verify(backup.name)).name).toBe(backup.name);
+
+    fs.writeFileSync(backup.path, zlib.gzipSync(Buffer.alloc(4096, 7)));
+    await expect(backups.restore(backup.name)).rejects.toThrow('file is not a database');
+    expect(fs.readdirSync(path.join(directory, 'backups'))).toEqual([backup.name]);
+
+    const memory = new DatabaseConnection();
+    await memory.open(new SqliteDriver({ path: ':memory:' }));
+    const unsupported = new BackupManager(memory, { databasePath: ':memory:', enabled: true, directory });
+    expect(await unsupported.createBefore('pre-migrate')).toBeNull();
+    await expect(unsupported.create()).rejects.toThrow('Backups are only supported for SQLite database files');
+    await memory.close();
+  });
+});
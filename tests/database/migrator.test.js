@@ -0,0 +1,105 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DatabaseConnection } = require('../../src/database/connection');
+const { SqliteDriver } = require('../../src/database/drivers');
+const Migrator = require('../../src/database/Migrator');
+
+const openMemory = async () => {
+  const connection = new DatabaseConnection();
+  await connection.open(new SqliteDriver({ path: ':memory:' }));
+  return connection;
+};
+
+describe('Migrator', () => {
+  let directory;
+  let db;
+  let migrator;
+
+  const write = (file, sql) => fs.writeFileSync(path.join(directory, file), sql);
+  const tableNames = async () =>
+    (await db.all("SELECT name FROM sqlite_master WHERE type = 'table' AND name != 'sqlite_sequence' ORDER BY name")).map(row => row.name);
+
+  beforeEach(async () => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+    write('001_create_widgets.sql', 'CREATE TABLE widgets (id INTEGER PRIMARY KEY, name TEXT NOT NULL);');
+    write('002_add_widget_color.sql', 'ALTER TABLE widgets ADD COLUMN color TEXT;\nCREATE INDEX idx_widgets_color ON widgets(color);');
+    write('002_add_widget_color.down.sql', 'DROP INDEX idx_widgets_color;\nALTER TABLE widgets DROP COLUMN color;');
+
+    db = await openMemory();
+    migrator = new Migrator(db, { directory });
+  });
+
+  afterEach(async () => {
+    await db.close();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('should apply pending migrations in order, revert them and refuse to revert without a down script', async () => {
+    expect(await migrator.up({ to: 1 })).toEqual(['001_create_widgets']);
+    expect(await migrator.up()).toEqual(['002_add_widget_color']);
+    expect(await migrator.up()).toEqual([]);
+
+    const columns = (await db.all('PRAGMA table_info(widgets)')).map(column => column.name);
+    expect(columns).toEqual(['id', 'name', 'color']);
+
+    expect(await migrator.down()).toEqual(['002_add_widget_color']);
+    expect((await migrator.status()).pending.map(migration => migration.name)).toEqual(['002_add_widget_color']);
+    await expect(migrator.down()).rejects.toThrow('No down migration for 001_create_widgets');
+  });
+
+  test('should roll back a failing migration and refuse to run once an applied file changes', async () => {
+    write('003_broken.sql', 'CREATE TABLE gadgets (id INTEGER PRIMARY KEY);\nINSERT INTO missing_table VALUES (1);');
+
+    await expect(migrator.up()).rejects.toThrow('no such table: missing_table');
+    expect(await tableNames()).toEqual(['migrations', 'widgets']);
+    expect((await migrator.status()).pending.map(migration => migration.name)).toEqual(['003_broken']);
+
+    fs.unlinkSync(path.join(directory, '003_broken.sql'));
+    write('001_create_widgets.sql', 'CREATE TABLE widgets (id INTEGER PRIMARY KEY, label TEXT);');
+
+    expect((await migrator.status()).modified).toEqual(['001_create_widgets']);
+    await expect(migrator.up()).rejects.toThrow('Migrations changed after they were applied: 001_create_widgets');
+  });
+
+  test('should report drift between the live schema and the migrations', async () => {
+    await migrator.up();
+    expect(await migrator.checkDrift(openMemory)).toEqual([]);
+
+    await db.exec('ALTER TABLE widgets ADD COLUMN weight REAL; DROP INDEX idx_widgets_color; CREATE TABLE scratch (id INTEGER);');
+
+    expect(await migrator.checkDrift(openMemory)).toEqual([
+      'widgets.weight: unexpected column',
+      'widgets: index idx_widgets_color is missing',
+      'scratch: unexpected table'
+    ]);
+  });
+
+  test('should apply every bundled migration and keep old betting rows when aligning the tables', async () => {
+    const bundled = new Migrator(db);
+
+    await bundled.up({ to: 27 });
+    await db.run(
+      "INSERT INTO betting_threads (game_id, thread_id, channel_id, guild_id, home_team, away_team, game_date) VALUES ('g1', 't1', 'c1', 'guild', 'Home', 'Away', '2025-01-01')"
+    );
+    await bundled.up();
+
+    const snapshotColumns = (await db.all('PRAGMA table_info(betting_snapshots)')).map(column => column.name);
+    expect(snapshotColumns).toEqual(expect.arrayContaining(['sport', 'scraped_at', 'spread_line', 'total_line', 'is_stale']));
+    expect(await db.get('SELECT COUNT(*) AS count FROM betting_threads_legacy')).toEqual({ count: 1 });
+
+    await bundled.down({ to: 13 });
+    expect(await db.get('SELECT home_team FROM betting_threads')).toEqual({ home_team: 'Home' });
+    expect(await tableNames()).not.toContain('audit_log');
+
+    await db.run("INSERT INTO server_config (guild_id) VALUES ('guild')");
+    await db.run("INSERT INTO lobbies (id, guild_id, leader_id, game_type, status) VALUES ('l1', 'guild', 'leader', 'Valorant', 'scheduled')");
+    await bundled.down({ to: 6 });
+    expect(await tableNames()).not.toContain('lobby_rsvps');
+    expect(await db.get("SELECT status FROM lobbies WHERE id = 'l1'")).toEqual({ status: 'disbanded' });
+    expect(await bundled.checkDrift(openMemory)).toEqual([]);
+
+    await bundled.up();
+    expect(await bundled.checkDrift(openMemory)).toEqual(['betting_threads_legacy: unexpected table']);
+  });
+});
@@ -124,6 +124,29 @@ describe('Lobby Model', () => {
       expect(lobby.transferLeadership('non-member')).toBe(false);
       expect(lobby.isLeader('leader-456')).toBe(true);
     });
+
+    it('should track co-leaders and report roles', () => {
+      lobby.addMember('user-789');
+      expect(lobby.addCoLeader('user-789')).toBe(true);
+      expect(lobby.addCoLeader('leader-456')).toBe(false);
+      expect(lobby.addCoLeader('non-member')).toBe(false);
+
+      expect(lobby.getRole('leader-456')).toBe('leader');
+      expect(lobby.getRole('user-789')).toBe('co_leader');
+      expect(lobby.getRole('non-member')).toBeNull();
+
+      lobby.removeMember('user-789');
+      expect(lobby.isCoLeader('user-789')).toBe(false);
+    });
+
+    it('should drop the co-leader role when a co-leader becomes leader', () => {
+      lobby.addMember('user-789');
+      lobby.addCoLeader('user-789');
+      lobby.transferLeadership('user-789');
+
+      expect(lobby.getRole('user-789')).toBe('leader');
+      expect(lobby.getCoLeaderIds()).toEqual([]);
+    });
   });
 
   describe('status management', () => {
@@ -194,6 +217,56 @@ describe('Lobby Model', () => {
     });
   });
 
+  describe('scheduled lobbies', () => {
+    const start = new Date(Date.now() + (2 * 60 * 60 * 1000));
+
+    it('should create a scheduled lobby that is not yet active', () => {
+      const lobby = Lobby.createScheduled('guild-123', 'leader-456', 'Valorant', start, 5);
+
+      expect(lobby.status).toBe('scheduled');
+      expect(lobby.isScheduled()).toBe(true);
+      expect(lobby.isActive()).toBe(false);
+      expect(lobby.scheduledStart).toBe(start.toISOString());
+      expect(lobby.maxPlayers).toBe(5);
+      expect(lobby.hasMember('leader-456')).toBe(true);
+      expect(lobby.validate().isValid).toBe(true);
+    });
+
+    it('should not collide with the active lobby ID for the same game', () => {
+      const scheduled = Lobby.createScheduled('guild-123', 'leader-456', 'Valorant', start);
+      const active = Lobby.create('guild-123', 'leader-456', 'Valorant');
+
+      expect(scheduled.id).not.toBe(active.id);
+      expect(scheduled.id.startsWith(active.id)).toBe(true);
+    });
+
+    it('should report when the start time is due', () => {
+      const lobby = Lobby.createScheduled('guild-123', 'leader-456', 'Valorant', start);
+
+      expect(lobby.isStartDue()).toBe(false);
+      expect(lobby.isStartDue(new Date(start.getTime() + 1000))).toBe(true);
+      expect(lobby.getMinutesUntilStart(new Date(start.getTime() - (10 * 60 * 1000)))).toBe(10);
+    });
+
+    it('should become active when activated', () => {
+      const lobby = Lobby.createScheduled('guild-123', 'leader-456', 'Valorant', start);
+      lobby.activate();
+
+      expect(lobby.isActive()).toBe(true);
+      expect(lobby.isStartDue()).toBe(false);
+    });
+
+    it('should require a start time when scheduled', () => {
+      const lobby = new Lobby({
+        id: 'test', guildId: 'guild-123', leaderId: 'leader-456', gameType: 'Valorant', status: 'scheduled'
+      });
+      const validation = lobby.validate();
+
+      expect(validation.isValid).toBe(false);
+      expect(validation.errors).toContain('Scheduled lobbies require a valid start time');
+    });
+  });
+
   describe('toDatabase', () => {
     it('should convert to database format', () => {
       const lobby = Lobby.create('guild-123', 'leader-456', 'Valorant');
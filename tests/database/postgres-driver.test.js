@@ -0,0 +1,64 @@
+const { DatabaseConnection } = require('../../src/database/connection');
+const { PostgresDriver, createDriver } = require('../../src/database/drivers');
+
+describe('PostgresDriver', () => {
+  test('should translate SQLite table definitions and functions', () => {
+    const create = PostgresDriver.translate(
+      "-- Widgets\nCREATE TABLE widgets (id INTEGER PRIMARY KEY AUTOINCREMENT, weight REAL, seen_at DATETIME DEFAULT CURRENT_TIMESTAMP, active BOOLEAN DEFAULT TRUE)"
+    );
+    expect(create).toMatch(/^CREATE TABLE widgets \(id SERIAL PRIMARY KEY, weight DOUBLE PRECISION, seen_at TEXT DEFAULT \(to_char/);
+    expect(create).toMatch(/active INTEGER DEFAULT 1\)$/);
+
+    expect(PostgresDriver.translate('INSERT OR IGNORE INTO widgets (name) VALUES (?) RETURNING id'))
+      .toBe('INSERT INTO widgets (name) VALUES (?) ON CONFLICT DO NOTHING RETURNING id');
+    expect(PostgresDriver.translate("SELECT IFNULL(name, '') AS displayName FROM widgets WHERE name = ? COLLATE NOCASE"))
+      .toBe('SELECT COALESCE(name, \'\') AS "displayName" FROM widgets WHERE LOWER(name) = LOWER(?)');
+    expect(PostgresDriver.translate('PRAGMA foreign_keys = ON')).toBeNull();
+  });
+
+  test('should number placeholders and split scripts outside quotes and comments', () => {
+    expect(PostgresDriver.toPositional("SELECT '?' AS q, ? AS a -- why?\n, ? AS b"))
+      .toBe("SELECT '?' AS q, $1 AS a -- why?\n, $2 AS b");
+    expect(PostgresDriver.splitStatements("INSERT INTO t VALUES ('a;b');\n-- done;\nDELETE FROM t;"))
+      .toEqual(["INSERT INTO t VALUES ('a;b')", '\n-- done;\nDELETE FROM t']);
+    expect([true, false, undefined, new Date(5)].map(PostgresDriver.toParam)).toEqual([1, 0, null, 5]);
+  });
+
+  test('should require a connection string for postgres', () => {
+    expect(() => createDriver({ driver: 'postgres' })).toThrow('DATABASE_URL is required');
+    expect(createDriver({ driver: 'postgres', url: 'postgres://bot@localhost/bot' }).describe())
+      .toBe('PostgreSQL database: localhost/bot');
+  });
+
+  // Needs a server: runs in the postgres Jest project (DATABASE_URL set)
+  const withServer = process.env.DATABASE_DRIVER === 'postgres' ? test : test.skip;
+
+  withServer('should run the shared connection\'s queries inside an open transaction on its client', async () => {
+    const db = new DatabaseConnection();
+    // One connection: a query sent to the pool during the transaction would wait for it forever
+    await db.open(new PostgresDriver({ url: process.env.DATABASE_URL, poolSize: 1 }));
+
+    try {
+      await db.exec('CREATE TABLE widgets (id INTEGER PRIMARY KEY AUTOINCREMENT, name TEXT)');
+
+      await expect(db.transaction(async tx => {
+        await tx.run("INSERT INTO widgets (name) VALUES ('through tx')");
+        await db.run("INSERT INTO widgets (name) VALUES ('through connection')");
+        expect((await db.get('SELECT COUNT(*) AS count FROM widgets')).count).toBe(2);
+        throw new Error('roll back');
+      })).rejects.toThrow('roll back');
+      expect((await db.get('SELECT COUNT(*) AS count FROM widgets')).count).toBe(0);
+
+      await db.transaction(async () => {
+        await db.run("INSERT INTO widgets (name) VALUES ('committed')");
+      });
+      expect(await db.all('SELECT name FROM widgets')).toEqual([{ name: 'committed' }]);
+
+      await expect(db.transaction(() => db.transaction(() => null)))
+        .rejects.toThrow('Cannot start a transaction within a transaction');
+    } finally {
+      await db.exec('DROP TABLE IF EXISTS widgets');
+      await db.close();
+    }
+  });
+});
@@ -0,0 +1,83 @@
+const { DatabaseConnection } = require('../../src/database/connection');
+const { SqliteDriver } = require('../../src/database/drivers');
+const BaseRepository = require('../../src/database/repositories/BaseRepository');
+const QueryBuilder = require('../../src/database/QueryBuilder');
+
+describe('QueryBuilder', () => {
+  let db;
+  let repository;
+
+  const ids = rows => rows.map(row => row.id);
+
+  beforeEach(async () => {
+    db = new DatabaseConnection();
+    await db.open(new SqliteDriver({ path: ':memory:' }));
+    await db.exec('CREATE TABLE games (id INTEGER PRIMARY KEY, sport TEXT NOT NULL, game_date TEXT NOT NULL, home TEXT, score INTEGER)');
+
+    repository = new BaseRepository('games');
+    repository.db = db;
+
+    await repository.createMany([
+      { id: 1, sport: 'nba', game_date: '2025-11-20', home: 'Bulls', score: 101 },
+      { id: 2, sport: 'nba', game_date: '2025-11-22', home: null, score: 95 },
+      { id: 3, sport: 'nhl', game_date: '2025-11-22', home: 'Wings', score: 4 },
+      { id: 4, sport: 'nba', game_date: '2025-11-25', home: 'Bucks', score: 110 },
+      { id: 5, sport: 'nhl', game_date: '2025-11-28', home: 'Blues', score: 2 }
+    ], { batchSize: 2 });
+  });
+
+  afterEach(async () => {
+    await db.close();
+  });
+
+  test('should filter with operators and keep equality criteria working as before', async () => {
+    expect(ids(await repository.findBy({ sport: 'nba', home: null }, 'id ASC'))).toEqual([1, 2, 4]);
+    expect(ids(await repository.findBy({ game_date: { between: ['2025-11-21', '2025-11-25'] } }, 'id'))).toEqual([2, 3, 4]);
+    expect(ids(await repository.findBy({ score: { gt: 4, lte: 101 }, id: { notIn: [2] } }, 'id'))).toEqual([1]);
+    expect(ids(await repository.findBy({ home: { isNull: true } }))).toEqual([2]);
+    expect(ids(await repository.findBy({ home: { like: 'B%' }, or: [{ sport: 'nhl' }, { score: { gte: 110 } }] }, 'id'))).toEqual([4, 5]);
+    expect(await repository.findBy({ id: { in: [] } })).toEqual([]);
+
+    expect(await repository.count({ sport: 'nba', score: { lt: 100 } })).toBe(1);
+    expect((await repository.deleteBy({ id: { in: [1, 2] } })).changes).toBe(2);
+    await expect(repository.findBy({ score: { near: 3 } })).rejects.toThrow('Unknown operator near for score');
+    await expect(repository.findBy({ 'score; DROP TABLE games': 1 })).rejects.toThrow('Invalid column name');
+  });
+
+  test('should order by several columns, project columns and page with cursors', async () => {
+    const ordered = repository.select('id', 'game_date').orderBy([['game_date', 'DESC'], ['id', 'DESC']]);
+    expect(await ordered.limit(2).offset(1).all()).toEqual([
+      { id: 4, game_date: '2025-11-25' },
+      { id: 3, game_date: '2025-11-22' }
+    ]);
+
+    const first = await repository.where({ sport: { ne: 'mlb' } }).orderBy('game_date DESC, id DESC').page(2);
+    expect(ids(first.rows)).toEqual([5, 4]);
+
+    const second = await repository.where({}).orderBy('game_date DESC, id DESC').after(first.nextCursor).page(2);
+    expect(ids(second.rows)).toEqual([3, 2]);
+
+    const last = await repository.where({}).orderBy('game_date DESC, id DESC').after(second.nextCursor).page(2);
+    expect(ids(last.rows)).toEqual([1]);
+    expect(last.nextCursor).toBeNull();
+
+    await expect(repository.where({}).orderBy('RANDOM()').page(2)).rejects.toThrow('Cursor pagination needs the query ordered by columns');
+    expect(() => repository.where({}).orderBy('id').after('not-a-cursor').toSQL()).toThrow('Invalid cursor');
+  });
+
+  test('should insert batches atomically', async () => {
+    await expect(repository.createMany([
+      { id: 6, sport: 'nfl', game_date: '2025-11-30' },
+      { id: 1, sport: 'nfl', game_date: '2025-11-30' }
+    ])).rejects.toThrow('UNIQUE constraint failed');
+    expect(await repository.count({ sport: 'nfl' })).toBe(0);
+
+    await expect(repository.createMany([{ id: 7, sport: 'nfl' }, { id: 8, game_date: '2025-12-01' }]))
+      .rejects.toThrow('Every record in a batch insert needs the same columns');
+
+    expect(QueryBuilder.compile({ sport: 'nfl', score: { gte: 3, lt: undefined }, home: { isNull: false } })).toEqual({
+      sql: 'sport = ? AND score >= ? AND home IS NOT NULL',
+      params: ['nfl', 3]
+    });
+  });
+});
@@ -99,6 +99,45 @@ describe('Teams Seed Data', () => {
     expect(results.failed).toBe(0);
   });
 
+  describe('with fixture teams', () => {
+    const fixtures = [
+      { teamId: 'MSU', statbroadcastGid: 'msu', teamName: 'Michigan State', sport: 'mens-college-basketball', conference: null },
+      { teamId: 'DUKE', statbroadcastGid: 'duke', teamName: 'Duke', sport: 'mens-college-basketball', conference: null },
+      { teamId: 'UNC', statbroadcastGid: 'unc', teamName: 'North Carolina', sport: 'mens-college-basketball', conference: null }
+    ];
+    let loaded;
+
+    beforeEach(() => {
+      loaded = teams.splice(0, teams.length, ...fixtures);
+    });
+
+    afterEach(() => {
+      teams.splice(0, teams.length, ...loaded);
+    });
+
+    test('should seed repeated teams without failing the batch', async () => {
+      teams.push({ ...fixtures[0], teamName: 'Michigan St.' });
+
+      const results = await seedTeams(teamRepo);
+
+      expect(results).toEqual({ total: 4, created: 3, updated: 1, failed: 0 });
+      expect((await teamRepo.getTeamByEspnId('MSU')).teamName).toBe('Michigan St.');
+    });
+
+    test('should fall back to one insert per team when the batch fails', async () => {
+      jest.spyOn(teamRepo, 'createTeams').mockRejectedValueOnce(new Error('constraint failed'));
+      const saveTeam = jest.spyOn(teamRepo, 'saveTeam')
+        .mockImplementationOnce(() => Promise.reject(new Error('invalid row')));
+
+      const results = await seedTeams(teamRepo);
+
+      expect(results).toEqual({ total: 3, created: 2, updated: 0, failed: 1 });
+      expect(saveTeam).toHaveBeenCalledTimes(3);
+      expect(await teamRepo.getTeamByEspnId('DUKE')).toBeDefined();
+      expect(await teamRepo.getTeamByEspnId('MSU')).toBeNull();
+    });
+  });
+
   test('should include major conference teams', () => {
     const conferences = teams.map(t => t.conference);
     
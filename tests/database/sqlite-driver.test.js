@@ -0,0 +1,105 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DatabaseConnection } = require('../../src/database/connection');
+const { SqliteDriver } = require('../../src/database/drivers');
+const QueryMetrics = require('../../src/database/QueryMetrics');
+const logger = require('../../src/utils/logger');
+
+describe('SqliteDriver', () => {
+  let directory;
+  let databasePath;
+  let drivers;
+
+  const openDriver = async options => {
+    const driver = new SqliteDriver({ path: databasePath, ...options });
+    await driver.open();
+    drivers.push(driver);
+    return driver;
+  };
+
+  beforeEach(async () => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'sqlite-driver-'));
+    databasePath = path.join(directory, 'bot.db');
+    drivers = [];
+  });
+
+  afterEach(async () => {
+    for (const driver of drivers) {
+      await driver.close();
+    }
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('should read from the pool while a transaction holds the write queue', async () => {
+    const driver = await openDriver({ journalMode: 'wal', readPoolSize: 2, pragmas: { cache_size: -4000 } });
+    await driver.exec('CREATE TABLE widgets (id INTEGER PRIMARY KEY, name TEXT)');
+    expect(driver.getStats()).toMatchObject({ journalMode: 'wal', readConnections: 2, queuedWrites: 0 });
+    expect(await driver.get('PRAGMA busy_timeout')).toEqual({ timeout: 5000 });
+
+    const order = [];
+    let release;
+    const held = new Promise(resolve => { release = resolve; });
+
+    const transaction = driver.transaction(async tx => {
+      await tx.run("INSERT INTO widgets (name) VALUES ('in transaction')");
+      // Inside the transaction, reads see its own writes
+      order.push(`inside: ${(await tx.get('SELECT COUNT(*) AS count FROM widgets')).count}`);
+      await held;
+      order.push('commit');
+    });
+    const queuedWrite = driver.run("INSERT INTO widgets (name) VALUES ('queued')").then(() => order.push('queued write'));
+
+    await new Promise(resolve => setTimeout(resolve, 20));
+    order.push(`outside: ${(await driver.get('SELECT COUNT(*) AS count FROM widgets')).count}`);
+    expect(driver.getStats().queuedWrites).toBe(2);
+
+    release();
+    await Promise.all([transaction, queuedWrite]);
+
+    expect(order).toEqual(['inside: 1', 'outside: 0', 'commit', 'queued write']);
+    expect((await driver.all('SELECT name FROM widgets ORDER BY id')).map(row => row.name)).toEqual(['in transaction', 'queued']);
+    await expect(driver.transaction(() => driver.transaction(() => null))).rejects.toThrow('cannot start a transaction within a transaction');
+    await expect(openDriver({ pragmas: { 'cache_size = 1; DROP TABLE widgets': 1 } })).rejects.toThrow('Invalid SQLite pragma');
+  });
+
+  test('should retry writes with backoff while another connection holds the lock', async () => {
+    const other = await openDriver({ journalMode: 'wal' });
+    await other.exec('CREATE TABLE widgets (id INTEGER PRIMARY KEY, name TEXT)');
+    const driver = await openDriver({ journalMode: 'wal', busyTimeout: 0, busyRetries: 4, retryDelay: 10 });
+
+    await other.run('BEGIN IMMEDIATE');
+    setTimeout(() => other.run('COMMIT'), 25);
+    await driver.run("INSERT INTO widgets (name) VALUES ('after retry')");
+    expect(driver.getStats().busyRetries).toBeGreaterThan(0);
+
+    const impatient = await openDriver({ busyTimeout: 0, busyRetries: 0 });
+    await other.run('BEGIN IMMEDIATE');
+    await expect(impatient.run("INSERT INTO widgets (name) VALUES ('gives up')")).rejects.toMatchObject({ code: 'SQLITE_BUSY' });
+    await other.run('ROLLBACK');
+    expect(impatient.getStats()).toMatchObject({ busyRetries: 0, busyFailures: 1 });
+  });
+
+  test('should time queries through the connection and log slow ones', async () => {
+    const db = new DatabaseConnection();
+    await db.open(new SqliteDriver({ path: ':memory:' }));
+    db.metrics = new QueryMetrics({ slowQueryMs: 0 });
+    const warn = jest.spyOn(logger, 'warn').mockImplementation(() => {});
+
+    await db.exec('CREATE TABLE widgets (id INTEGER PRIMARY KEY, name TEXT)');
+    await db.transaction([{ sql: 'INSERT INTO widgets (name) VALUES (?)', params: ['a'] }]);
+    for (let i = 0; i < 3; i++) {
+      await db.get('SELECT   name FROM widgets\n WHERE id = ?', [1]);
+    }
+    await expect(db.all('SELECT * FROM missing')).rejects.toThrow('no such table');
+
+    const stats = db.getStats();
+    expect(stats).toMatchObject({ queries: 6, errors: 1, slowQueries: 6, driver: { journalMode: 'memory', readConnections: 0 } });
+    expect(stats.topStatements.find(entry => entry.sql === 'SELECT name FROM widgets WHERE id = ?')).toMatchObject({ count: 3, errors: 0 });
+    expect(stats.topStatements.map(entry => entry.sql)).toContain('TRANSACTION');
+    expect(warn).toHaveBeenCalledWith('Slow database query', expect.objectContaining({ sql: 'SELECT * FROM missing' }));
+
+    warn.mockRestore();
+    await db.close();
+  });
+});
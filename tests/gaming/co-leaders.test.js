@@ -0,0 +1,113 @@
+const LobbyManager = require('../../src/modules/gaming/LobbyManager');
+const PartyLeaderManager = require('../../src/modules/gaming/PartyLeaderManager');
+const dbConnection = require('../../src/database/connection');
+
+describe('Lobby co-leaders', () => {
+  let lobbyManager;
+  let partyLeaderManager;
+  let voiceChannelManager;
+  let lobby;
+
+  beforeAll(async () => {
+    if (!dbConnection.isReady()) {
+      await dbConnection.initialize();
+    }
+  });
+
+  beforeEach(async () => {
+    await dbConnection.run('DELETE FROM lobby_waitlist');
+    await dbConnection.run('DELETE FROM lobby_members');
+    await dbConnection.run('DELETE FROM lobbies');
+
+    voiceChannelManager = {
+      client: { channels: { cache: new Map() } },
+      addUserToChannel: jest.fn().mockResolvedValue(true),
+      removeUserFromChannel: jest.fn().mockResolvedValue(true),
+      moveUserToChannel: jest.fn().mockResolvedValue(true)
+    };
+
+    lobbyManager = new LobbyManager(voiceChannelManager);
+    partyLeaderManager = new PartyLeaderManager(lobbyManager, voiceChannelManager);
+
+    lobby = await lobbyManager.createLobby('guild-1', 'leader-1', 'Valorant');
+    await lobbyManager.joinLobby(lobby.id, 'co-1');
+    await lobbyManager.joinLobby(lobby.id, 'member-1');
+    await partyLeaderManager.promoteToCoLeader(lobby.id, 'leader-1', 'co-1');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    await dbConnection.close();
+  });
+
+  test('should persist co-leaders on lobby_members', async () => {
+    const stored = await lobbyManager.getLobby(lobby.id);
+    expect(stored.getCoLeaderIds()).toEqual(['co-1']);
+    expect(stored.getRole('member-1')).toBe('member');
+
+    await expect(partyLeaderManager.promoteToCoLeader(lobby.id, 'leader-1', 'co-1'))
+      .rejects.toThrow('User is already a co-leader');
+  });
+
+  test('should let co-leaders invite, kick and move members', async () => {
+    await lobbyManager.updateLobbyVoiceChannel(lobby.id, 'voice-1');
+
+    await partyLeaderManager.inviteUser(lobby.id, 'co-1', 'user-2');
+    await partyLeaderManager.moveMemberToChannel(lobby.id, 'co-1', 'user-2');
+    expect(voiceChannelManager.moveUserToChannel).toHaveBeenCalledWith('user-2', 'voice-1', 'guild-1');
+
+    const result = await partyLeaderManager.kickUser(lobby.id, 'co-1', 'member-1');
+
+    expect(result.lobby.getMemberIds().sort()).toEqual(['co-1', 'leader-1', 'user-2']);
+    await expect(partyLeaderManager.kickUser(lobby.id, 'member-1', 'user-2'))
+      .rejects.toThrow('Only the lobby leader or a co-leader can kick users');
+  });
+
+  test('should not let co-leaders disband, transfer leadership or kick the leader', async () => {
+    await expect(partyLeaderManager.disbandLobby(lobby.id, 'co-1'))
+      .rejects.toThrow('Only the lobby leader can disband the lobby');
+    await expect(partyLeaderManager.transferLeadership(lobby.id, 'co-1', 'member-1'))
+      .rejects.toThrow('Only the lobby leader can transfer leadership');
+    await expect(partyLeaderManager.kickUser(lobby.id, 'co-1', 'leader-1'))
+      .rejects.toThrow('Cannot kick the lobby leader');
+  });
+
+  test('should report capabilities from the role matrix', async () => {
+    const coLeader = await partyLeaderManager.getLeadershipCapabilities(lobby.id, 'co-1');
+    expect(coLeader.role).toBe('co_leader');
+    expect(coLeader.capabilities).toEqual(PartyLeaderManager.ROLE_CAPABILITIES.co_leader);
+
+    const member = await partyLeaderManager.getLeadershipCapabilities(lobby.id, 'member-1');
+    expect(member.capabilities).toEqual(['leave_lobby']);
+
+    const stored = await lobbyManager.getLobby(lobby.id);
+    expect(() => lobbyManager.validateLobbyPermissions(stored, 'co-1', 'disband'))
+      .toThrow('Only the lobby leader can disband the lobby');
+  });
+
+  test('should resolve lobbies by capability for commands', async () => {
+    await expect(lobbyManager.findLobbyWithCapability('co-1', 'invite_users'))
+      .resolves.toMatchObject({ id: lobby.id });
+    await expect(lobbyManager.findLobbyWithCapability('co-1', 'disband_lobby'))
+      .rejects.toThrow('You are not in any lobby where you can disband the lobby');
+  });
+
+  test('should hand leadership to a co-leader when the leader leaves', async () => {
+    const remaining = await lobbyManager.leaveLobby(lobby.id, 'leader-1');
+    expect(remaining.leaderId).toBe('co-1');
+
+    const stored = await lobbyManager.getLobby(lobby.id);
+    expect(stored.getRole('co-1')).toBe('leader');
+    expect(stored.getCoLeaderIds()).toEqual([]);
+  });
+
+  test('should demote co-leaders', async () => {
+    await partyLeaderManager.demoteCoLeader(lobby.id, 'leader-1', 'co-1');
+
+    const stored = await lobbyManager.getLobby(lobby.id);
+    expect(stored.isCoLeader('co-1')).toBe(false);
+  });
+});
@@ -0,0 +1,176 @@
+const LobbyExpiryManager = require('../../src/modules/gaming/LobbyExpiryManager');
+const LobbyManager = require('../../src/modules/gaming/LobbyManager');
+const LobbyRepository = require('../../src/database/repositories/LobbyRepository');
+const volatileDM = require('../../src/utils/volatileDM');
+const config = require('../../src/config');
+const dbConnection = require('../../src/database/connection');
+
+describe('LobbyExpiryManager', () => {
+  let lobbyManager;
+  let expiryManager;
+  let lobbyRepo;
+  let voiceChannelManager;
+  let occupiedChannels;
+
+  beforeAll(async () => {
+    if (!dbConnection.isReady()) {
+      await dbConnection.initialize();
+    }
+  });
+
+  beforeEach(async () => {
+    await dbConnection.run('DELETE FROM lobby_members');
+    await dbConnection.run('DELETE FROM lobbies');
+
+    occupiedChannels = new Set();
+
+    const client = {
+      users: { fetch: jest.fn().mockImplementation(async (id) => ({ id })) },
+      guilds: { cache: new Map() }
+    };
+
+    voiceChannelManager = {
+      client,
+      isChannelEmpty: jest.fn().mockImplementation(channelId => !occupiedChannels.has(channelId)),
+      deleteChannel: jest.fn().mockResolvedValue(true)
+    };
+
+    lobbyManager = new LobbyManager(voiceChannelManager);
+    expiryManager = new LobbyExpiryManager(client, lobbyManager);
+    lobbyRepo = new LobbyRepository();
+
+    jest.spyOn(volatileDM, 'sendVolatileDM').mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    expiryManager.stop();
+    jest.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    await dbConnection.close();
+  });
+
+  const createVoiceLobby = async (options = {}) => {
+    const lobby = await lobbyManager.createLobby('guild-1', 'leader-1', 'Valorant', options);
+    await lobbyManager.updateLobbyVoiceChannel(lobby.id, 'voice-1');
+    return lobby;
+  };
+
+  const minutesFrom = (date, minutes) => new Date(date.getTime() + minutes * 60 * 1000);
+
+  test('should start a grace countdown when the lobby voice channel empties', async () => {
+    const lobby = await createVoiceLobby();
+    occupiedChannels.add('voice-1');
+    await expiryManager.trackLobby(lobby.id);
+
+    occupiedChannels.delete('voice-1');
+    await expiryManager.handleVoiceStateUpdate(
+      { id: 'leader-1', channelId: 'voice-1' },
+      { id: 'leader-1', channelId: null }
+    );
+
+    const stored = await lobbyRepo.getLobbyById(lobby.id);
+    expect(stored.voiceEmptySince).not.toBeNull();
+    expect(expiryManager.timers.get(lobby.id)).toEqual(
+      expect.objectContaining({ warning: expect.anything(), disband: expect.anything() })
+    );
+  });
+
+  test('should cancel the countdown when someone rejoins', async () => {
+    const lobby = await createVoiceLobby();
+    await lobbyRepo.markVoiceEmpty(lobby.id);
+    await lobbyRepo.markEmptyWarningSent(lobby.id);
+
+    occupiedChannels.add('voice-1');
+    await expiryManager.handleVoiceStateUpdate(
+      { id: 'member-1', channelId: null },
+      { id: 'member-1', channelId: 'voice-1' }
+    );
+
+    const stored = await lobbyRepo.getLobbyById(lobby.id);
+    expect(stored.voiceEmptySince).toBeNull();
+    expect(stored.emptyWarningSentAt).toBeNull();
+    expect(expiryManager.timers.has(lobby.id)).toBe(false);
+  });
+
+  test('should extend a timed lobby while members are in voice', async () => {
+    const lobby = await createVoiceLobby({ durationMinutes: 5 });
+    occupiedChannels.add('voice-1');
+
+    const now = new Date();
+    await expiryManager.trackLobby(lobby.id, now);
+
+    const stored = await lobbyRepo.getLobbyById(lobby.id);
+    expect(new Date(stored.expiresAt).getTime())
+      .toBe(minutesFrom(now, config.lobby.activityExtendMinutes).getTime());
+    expect(expiryManager.timers.get(lobby.id).expiry).toBeDefined();
+  });
+
+  test('should warn the leader once before disbanding', async () => {
+    const lobby = await createVoiceLobby();
+    await lobbyRepo.markVoiceEmpty(lobby.id);
+
+    expect(await expiryManager.sendEmptyWarning(lobby.id)).toBe(true);
+    expect(await expiryManager.sendEmptyWarning(lobby.id)).toBe(false);
+
+    expect(volatileDM.sendVolatileDM).toHaveBeenCalledTimes(1);
+    expect(volatileDM.sendVolatileDM.mock.calls[0][0]).toEqual({ id: 'leader-1' });
+  });
+
+  test('should disband the lobby once the grace period passes with voice still empty', async () => {
+    const lobby = await createVoiceLobby();
+    await lobbyRepo.markVoiceEmpty(lobby.id);
+
+    expect(await expiryManager.disbandEmptyLobby(lobby.id)).toBe(true);
+
+    const stored = await lobbyRepo.getLobbyById(lobby.id);
+    expect(stored.status).toBe('disbanded');
+    expect(voiceChannelManager.deleteChannel).toHaveBeenCalledWith('voice-1', expect.any(String));
+  });
+
+  test('should not disband if members returned without a voice event', async () => {
+    const lobby = await createVoiceLobby();
+    await lobbyRepo.markVoiceEmpty(lobby.id);
+    occupiedChannels.add('voice-1');
+
+    expect(await expiryManager.disbandEmptyLobby(lobby.id)).toBe(false);
+
+    const stored = await lobbyRepo.getLobbyById(lobby.id);
+    expect(stored.status).toBe('active');
+    expect(stored.voiceEmptySince).toBeNull();
+  });
+
+  test('should expire a timed lobby whose voice channel is empty when it is due', async () => {
+    const lobby = await createVoiceLobby({ durationMinutes: 5 });
+
+    expect(await expiryManager.handleExpiryDue(lobby.id, minutesFrom(new Date(), 10))).toBe(true);
+
+    const stored = await lobbyRepo.getLobbyById(lobby.id);
+    expect(stored.status).toBe('expired');
+  });
+
+  test('should rebuild timers from the database on start', async () => {
+    const emptied = await createVoiceLobby();
+    const emptySince = minutesFrom(new Date(), -10);
+    await lobbyRepo.markVoiceEmpty(emptied.id, emptySince);
+
+    await expiryManager.start();
+
+    const stored = await lobbyRepo.getLobbyById(emptied.id);
+    expect(stored.voiceEmptySince).toBe(emptySince.toISOString());
+    expect(expiryManager.getDisbandTime(stored).getTime())
+      .toBe(minutesFrom(emptySince, config.lobby.emptyGraceMinutes).getTime());
+    expect(expiryManager.timers.get(emptied.id).disband).toBeDefined();
+  });
+
+  test('should start counting down lobbies that emptied while the bot was offline', async () => {
+    const lobby = await createVoiceLobby();
+
+    await expiryManager.start();
+
+    const stored = await lobbyRepo.getLobbyById(lobby.id);
+    expect(stored.voiceEmptySince).not.toBeNull();
+    expect(expiryManager.timers.get(lobby.id).disband).toBeDefined();
+  });
+});
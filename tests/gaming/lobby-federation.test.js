@@ -0,0 +1,173 @@
+const LobbyFederationManager = require('../../src/modules/gaming/LobbyFederationManager');
+const LobbyManager = require('../../src/modules/gaming/LobbyManager');
+const GuildFederationRepository = require('../../src/database/repositories/GuildFederationRepository');
+const lobbyCatalogManager = require('../../src/utils/lobbyCatalogManager');
+const dbConnection = require('../../src/database/connection');
+
+describe('Lobby federation', () => {
+  let federationManager;
+  let federationRepo;
+  let lobbyManager;
+  let client;
+  let catalogChannels;
+
+  beforeAll(async () => {
+    if (!dbConnection.isReady()) {
+      await dbConnection.initialize();
+    }
+  });
+
+  const createGuild = (id, name) => {
+    const messages = new Map();
+    let nextMessageId = 1;
+
+    const catalogChannel = {
+      id: `catalog-${id}`,
+      name: '🎮-lobby-catalog',
+      messages: {
+        fetch: jest.fn().mockImplementation(async (messageId) => {
+          if (!messages.has(messageId)) throw new Error('Unknown Message');
+          return messages.get(messageId);
+        })
+      },
+      send: jest.fn().mockImplementation(async (payload) => {
+        const message = {
+          id: `${id}-msg-${nextMessageId++}`,
+          payload,
+          edit: jest.fn().mockResolvedValue(true),
+          delete: jest.fn().mockImplementation(async () => messages.delete(message.id))
+        };
+        messages.set(message.id, message);
+        return message;
+      })
+    };
+    catalogChannels[id] = catalogChannel;
+
+    return {
+      id,
+      name,
+      channels: {
+        cache: {
+          find: () => catalogChannel,
+          get: channelId => (channelId === catalogChannel.id ? catalogChannel : undefined)
+        }
+      }
+    };
+  };
+
+  beforeEach(async () => {
+    await dbConnection.run('DELETE FROM lobby_catalog_mirrors');
+    await dbConnection.run('DELETE FROM guild_federation_links');
+    await dbConnection.run('DELETE FROM lobby_members');
+    await dbConnection.run('DELETE FROM lobbies');
+
+    catalogChannels = {};
+    client = {
+      guilds: {
+        cache: new Map([
+          ['guild-a', createGuild('guild-a', 'Alpha')],
+          ['guild-b', createGuild('guild-b', 'Bravo')],
+          ['guild-c', createGuild('guild-c', 'Charlie')]
+        ])
+      },
+      channels: { cache: new Map() }
+    };
+
+    federationManager = new LobbyFederationManager();
+    federationRepo = new GuildFederationRepository();
+    lobbyManager = new LobbyManager();
+    lobbyCatalogManager.federationManager = federationManager;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    await dbConnection.close();
+  });
+
+  const partner = async (guildId, partnerGuildId) => {
+    await federationManager.linkGuild(guildId, partnerGuildId, 'admin-1', client);
+    return await federationManager.linkGuild(partnerGuildId, guildId, 'admin-2', client);
+  };
+
+  test('should only activate a partnership once both servers have linked', async () => {
+    const first = await federationManager.linkGuild('guild-a', 'guild-b', 'admin-1', client);
+    expect(first.active).toBe(false);
+
+    const pending = await federationManager.getFederationStatus('guild-b');
+    expect(pending.incoming).toEqual(['guild-a']);
+    expect(pending.partners).toEqual([]);
+
+    const second = await federationManager.linkGuild('guild-b', 'guild-a', 'admin-2', client);
+    expect(second.active).toBe(true);
+
+    const status = await federationManager.getFederationStatus('guild-a');
+    expect(status.partners).toEqual(['guild-b']);
+    expect(status.outgoing).toEqual([]);
+  });
+
+  test('should reject linking to itself or to a server the bot is not in', async () => {
+    await expect(federationManager.linkGuild('guild-a', 'guild-a', 'admin-1', client))
+      .rejects.toThrow('cannot be linked to itself');
+    await expect(federationManager.linkGuild('guild-a', 'guild-z', 'admin-1', client))
+      .rejects.toThrow('not in that server');
+  });
+
+  test('should mirror public lobbies into partner catalogs only', async () => {
+    await partner('guild-a', 'guild-b');
+    await federationManager.linkGuild('guild-a', 'guild-c', 'admin-1', client);
+
+    const lobby = await lobbyManager.createLobby('guild-a', 'leader-1', 'Valorant', { isPublic: true });
+    const privateLobby = await lobbyManager.createLobby('guild-a', 'leader-2', 'Valorant');
+
+    expect(await federationManager.mirrorLobby(lobby, client)).toBe(1);
+    expect(await federationManager.mirrorLobby(privateLobby, client)).toBe(0);
+
+    expect(catalogChannels['guild-b'].send).toHaveBeenCalledTimes(1);
+    expect(catalogChannels['guild-c'].send).not.toHaveBeenCalled();
+
+    const mirrors = await federationRepo.getMirrors(lobby.id);
+    expect(mirrors).toHaveLength(1);
+    expect(mirrors[0].guild_id).toBe('guild-b');
+  });
+
+  test('should update and remove mirrored posts together with the source lobby', async () => {
+    await partner('guild-a', 'guild-b');
+    const lobby = await lobbyManager.createLobby('guild-a', 'leader-1', 'Valorant', { isPublic: true });
+    await federationManager.mirrorLobby(lobby, client);
+
+    const [mirror] = await federationRepo.getMirrors(lobby.id);
+    const message = await catalogChannels['guild-b'].messages.fetch(mirror.message_id);
+
+    await lobbyCatalogManager.updateLobbyInCatalog(lobby.id, lobby, client);
+    expect(message.edit).toHaveBeenCalledTimes(1);
+
+    await lobbyCatalogManager.removeLobbyFromCatalog(lobby.id, client);
+    expect(message.delete).toHaveBeenCalled();
+    expect(await federationRepo.getMirrors(lobby.id)).toEqual([]);
+  });
+
+  test('should take down mirrored posts when servers are unlinked', async () => {
+    await partner('guild-a', 'guild-b');
+    const lobby = await lobbyManager.createLobby('guild-a', 'leader-1', 'Valorant', { isPublic: true });
+    await federationManager.mirrorLobby(lobby, client);
+
+    await federationManager.unlinkGuild('guild-b', 'guild-a', client);
+
+    expect(await federationRepo.getMirrors(lobby.id)).toEqual([]);
+    expect(await federationManager.canJoinFrom(lobby, 'guild-b')).toBe(false);
+  });
+
+  test('should only accept join requests from partner servers for public lobbies', async () => {
+    await partner('guild-a', 'guild-b');
+    const publicLobby = await lobbyManager.createLobby('guild-a', 'leader-1', 'Valorant', { isPublic: true });
+    const guildLobby = await lobbyManager.createLobby('guild-a', 'leader-2', 'Valorant');
+
+    expect(await federationManager.canJoinFrom(publicLobby, 'guild-a')).toBe(true);
+    expect(await federationManager.canJoinFrom(publicLobby, 'guild-b')).toBe(true);
+    expect(await federationManager.canJoinFrom(publicLobby, 'guild-c')).toBe(false);
+    expect(await federationManager.canJoinFrom(guildLobby, 'guild-b')).toBe(false);
+  });
+});
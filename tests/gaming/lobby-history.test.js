@@ -0,0 +1,103 @@
+const LobbyManager = require('../../src/modules/gaming/LobbyManager');
+const LobbyStatsManager = require('../../src/modules/gaming/LobbyStatsManager');
+const LobbyHistoryRepository = require('../../src/database/repositories/LobbyHistoryRepository');
+const dbConnection = require('../../src/database/connection');
+
+describe('Lobby session history', () => {
+  let lobbyManager;
+  let statsManager;
+  let historyRepo;
+
+  beforeAll(async () => {
+    if (!dbConnection.isReady()) {
+      await dbConnection.initialize();
+    }
+  });
+
+  beforeEach(async () => {
+    await dbConnection.run('DELETE FROM lobby_session_members');
+    await dbConnection.run('DELETE FROM lobby_sessions');
+    await dbConnection.run('DELETE FROM lobby_members');
+    await dbConnection.run('DELETE FROM lobbies');
+
+    lobbyManager = new LobbyManager();
+    statsManager = new LobbyStatsManager();
+    historyRepo = new LobbyHistoryRepository();
+  });
+
+  afterAll(async () => {
+    await dbConnection.close();
+  });
+
+  const voiceState = (userId, channelId) => ({ id: userId, channelId });
+
+  test('should record join and leave times for each member', async () => {
+    const lobby = await lobbyManager.createLobby('guild-1', 'leader-1', 'Valorant');
+    await lobbyManager.joinLobby(lobby.id, 'member-1');
+    await lobbyManager.leaveLobby(lobby.id, 'member-1');
+
+    const session = await historyRepo.getOpenSession(lobby.id);
+    const stints = await dbConnection.all(
+      'SELECT * FROM lobby_session_members WHERE session_id = ? ORDER BY id',
+      [session.id]
+    );
+
+    expect(session.game_type).toBe('Valorant');
+    expect(stints.map(s => s.user_id)).toEqual(['leader-1', 'member-1']);
+    expect(stints[0].left_at).toBeNull();
+    expect(stints[1].left_at).not.toBeNull();
+  });
+
+  test('should record the outcome when a lobby ends', async () => {
+    const disbanded = await lobbyManager.createLobby('guild-1', 'leader-1', 'Valorant');
+    await lobbyManager.disbandLobby(disbanded.id);
+
+    const emptied = await lobbyManager.createLobby('guild-1', 'leader-2', 'Valorant');
+    await lobbyManager.leaveLobby(emptied.id, 'leader-2');
+
+    const expired = await lobbyManager.createLobby('guild-1', 'leader-3', 'Valorant');
+    await lobbyManager.expireLobby(expired.id);
+
+    const sessions = await dbConnection.all('SELECT lobby_id, outcome, ended_at FROM lobby_sessions ORDER BY id');
+    expect(sessions.map(s => s.outcome)).toEqual(['disbanded', 'emptied', 'expired']);
+    expect(sessions.every(s => s.ended_at)).toBe(true);
+  });
+
+  test('should count voice time from voice state updates', async () => {
+    const lobby = await lobbyManager.createLobby('guild-1', 'leader-1', 'Valorant');
+    await lobbyManager.updateLobbyVoiceChannel(lobby.id, 'voice-1');
+    await lobbyManager.joinLobby(lobby.id, 'member-1');
+
+    await statsManager.handleVoiceStateUpdate(voiceState('member-1', null), voiceState('member-1', 'voice-1'));
+    // Backdate the voice join by two hours
+    await dbConnection.run(
+      'UPDATE lobby_session_members SET voice_joined_at = ? WHERE user_id = ?',
+      [new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString(), 'member-1']
+    );
+    await statsManager.handleVoiceStateUpdate(voiceState('member-1', 'voice-1'), voiceState('member-1', null));
+
+    const stats = await statsManager.getUserStats('guild-1', 'member-1');
+    expect(stats.hoursPlayed).toBe(2);
+    expect(stats.games).toEqual([{ gameType: 'Valorant', sessions: 1, hoursPlayed: 2 }]);
+    expect(stats.teammates).toEqual([{ userId: 'leader-1', sharedSessions: 1 }]);
+  });
+
+  test('should rank players and games on the guild leaderboard', async () => {
+    const first = await lobbyManager.createLobby('guild-1', 'leader-1', 'Valorant');
+    await lobbyManager.joinLobby(first.id, 'member-1');
+    await lobbyManager.disbandLobby(first.id);
+
+    const second = await lobbyManager.createLobby('guild-1', 'leader-1', 'valorant');
+    await lobbyManager.disbandLobby(second.id);
+
+    await lobbyManager.createLobby('guild-1', 'leader-2', 'Apex');
+    await lobbyManager.createLobby('guild-2', 'leader-3', 'Apex');
+
+    const leaderboard = await statsManager.getLeaderboard('guild-1');
+    expect(leaderboard.players[0]).toEqual({ userId: 'leader-1', sessions: 2, hoursPlayed: 0 });
+    expect(leaderboard.games).toEqual([
+      { gameType: 'Valorant', sessions: 2 },
+      { gameType: 'Apex', sessions: 1 }
+    ]);
+  });
+});
@@ -0,0 +1,67 @@
+const LobbyManager = require('../../src/modules/gaming/LobbyManager');
+const lobbyCatalogManager = require('../../src/utils/lobbyCatalogManager');
+const volatileDM = require('../../src/utils/volatileDM');
+const { ButtonBuilder } = require('discord.js');
+const dbConnection = require('../../src/database/connection');
+
+describe('Lobby join requests', () => {
+  const requesterId = '987654321098765432';
+  let lobbyManager;
+  let lobby;
+  let interaction;
+  let sendDM;
+
+  beforeAll(async () => {
+    if (!dbConnection.isReady()) {
+      await dbConnection.initialize();
+    }
+  });
+
+  beforeEach(async () => {
+    await dbConnection.run('DELETE FROM lobby_members');
+    await dbConnection.run('DELETE FROM lobbies');
+
+    lobbyManager = new LobbyManager();
+    lobby = await lobbyManager.createLobby('guild-a', '123456789012345678', 'Valorant', { isPublic: true });
+
+    interaction = {
+      user: { id: requesterId, tag: 'requester#0001' },
+      guild: { id: 'guild-a', name: 'Alpha' },
+      client: { users: { fetch: jest.fn().mockImplementation(async id => ({ id, tag: `${id}#0001` })) } },
+      reply: jest.fn().mockResolvedValue(true)
+    };
+
+    sendDM = jest.spyOn(volatileDM, 'sendVolatileDM').mockResolvedValue(null);
+    ButtonBuilder.mockClear();
+  });
+
+  afterEach(() => {
+    lobbyCatalogManager.pendingRequests.clear();
+    jest.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    await dbConnection.close();
+  });
+
+  test('should DM the leader approve and decline buttons keyed by a short request ID', async () => {
+    await lobbyCatalogManager.handleJoinRequest(interaction, lobbyManager, lobby.id);
+
+    expect(interaction.reply).toHaveBeenCalledWith(expect.objectContaining({ content: expect.stringContaining('Join request sent') }));
+    const [requestId, request] = [...lobbyCatalogManager.pendingRequests].find(([, pending]) => pending.requesterId === requesterId);
+    expect(request).toMatchObject({ lobbyId: lobby.id, crossServer: false });
+    expect(requestId.length).toBeLessThan(lobby.id.length);
+
+    const customIds = ButtonBuilder.mock.results.map(result => result.value.setCustomId.mock.calls[0][0]);
+    expect(customIds).toEqual([`join-reply:v1:approve:${requestId}`, `join-reply:v1:decline:${requestId}`]);
+  });
+
+  test('should tell the requester and drop the request when the leader cannot be DMed', async () => {
+    sendDM.mockRejectedValue(new Error('Cannot send messages to this user'));
+
+    await lobbyCatalogManager.handleJoinRequest(interaction, lobbyManager, lobby.id);
+
+    expect(interaction.reply).toHaveBeenCalledWith(expect.objectContaining({ content: expect.stringContaining("Couldn't send your join request") }));
+    expect(lobbyCatalogManager.pendingRequests.size).toBe(0);
+  });
+});
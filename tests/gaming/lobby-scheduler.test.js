@@ -0,0 +1,159 @@
+const LobbyScheduler = require('../../src/modules/gaming/LobbyScheduler');
+const LobbyManager = require('../../src/modules/gaming/LobbyManager');
+const LobbyRepository = require('../../src/database/repositories/LobbyRepository');
+const volatileDM = require('../../src/utils/volatileDM');
+const dbConnection = require('../../src/database/connection');
+
+describe('LobbyScheduler', () => {
+  describe('parseStartTime', () => {
+    const now = new Date(2025, 5, 1, 18, 0, 0, 0);
+
+    test('should parse relative durations', () => {
+      expect(LobbyScheduler.parseStartTime('in 2h', now).getTime())
+        .toBe(now.getTime() + 2 * 60 * 60 * 1000);
+      expect(LobbyScheduler.parseStartTime('1h30m', now).getTime())
+        .toBe(now.getTime() + 90 * 60 * 1000);
+      expect(LobbyScheduler.parseStartTime('45min', now).getTime())
+        .toBe(now.getTime() + 45 * 60 * 1000);
+    });
+
+    test('should parse clock times as the next occurrence', () => {
+      const later = LobbyScheduler.parseStartTime('20:30', now);
+      expect(later.getDate()).toBe(1);
+      expect(later.getHours()).toBe(20);
+      expect(later.getMinutes()).toBe(30);
+
+      const tomorrow = LobbyScheduler.parseStartTime('9am', now);
+      expect(tomorrow.getDate()).toBe(2);
+      expect(tomorrow.getHours()).toBe(9);
+
+      expect(LobbyScheduler.parseStartTime('8:15pm', now).getHours()).toBe(20);
+    });
+
+    test('should parse calendar dates and Discord timestamps', () => {
+      const date = LobbyScheduler.parseStartTime('2025-06-03 19:00', now);
+      expect(date.getFullYear()).toBe(2025);
+      expect(date.getMonth()).toBe(5);
+      expect(date.getDate()).toBe(3);
+      expect(date.getHours()).toBe(19);
+
+      expect(LobbyScheduler.parseStartTime('<t:1748800800:F>', now).getTime()).toBe(1748800800 * 1000);
+      expect(LobbyScheduler.parseStartTime('1748800800', now).getTime()).toBe(1748800800 * 1000);
+    });
+
+    test('should read clock times and dates in the server timezone', () => {
+      // 2025-06-02 02:00 UTC is still the evening of June 1 in Los Angeles
+      const lateUtc = new Date(Date.UTC(2025, 5, 2, 2, 0));
+
+      expect(LobbyScheduler.parseStartTime('20:30', lateUtc, 'America/Los_Angeles').toISOString())
+        .toBe('2025-06-02T03:30:00.000Z');
+      expect(LobbyScheduler.parseStartTime('6pm', lateUtc, 'America/Los_Angeles').toISOString())
+        .toBe('2025-06-03T01:00:00.000Z');
+      expect(LobbyScheduler.parseStartTime('2025-06-03 19:00', lateUtc, 'Europe/Paris').toISOString())
+        .toBe('2025-06-03T17:00:00.000Z');
+    });
+
+    test('should reject unrecognized input', () => {
+      expect(LobbyScheduler.parseStartTime('tomorrow-ish', now)).toBeNull();
+      expect(LobbyScheduler.parseStartTime('25:00', now)).toBeNull();
+      expect(LobbyScheduler.parseStartTime('', now)).toBeNull();
+      expect(LobbyScheduler.parseStartTime(null, now)).toBeNull();
+    });
+  });
+
+  describe('scheduled lobby lifecycle', () => {
+    let lobbyManager;
+    let lobbyRepo;
+    let scheduler;
+    let client;
+
+    beforeAll(async () => {
+      if (!dbConnection.isReady()) {
+        await dbConnection.initialize();
+      }
+    });
+
+    beforeEach(async () => {
+      await dbConnection.run('DELETE FROM lobby_rsvps');
+      await dbConnection.run('DELETE FROM lobby_members');
+      await dbConnection.run('DELETE FROM lobbies');
+
+      lobbyManager = new LobbyManager();
+      lobbyRepo = new LobbyRepository();
+      client = {
+        users: { fetch: jest.fn().mockImplementation(async (id) => ({ id })) },
+        guilds: { cache: new Map() }
+      };
+      scheduler = new LobbyScheduler(client, lobbyManager);
+
+      jest.spyOn(volatileDM, 'sendVolatileDM').mockResolvedValue(null);
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    afterAll(async () => {
+      await dbConnection.close();
+    });
+
+    test('should reject start times in the past', async () => {
+      await expect(
+        lobbyManager.createScheduledLobby('guild-1', 'leader-1', 'Valorant', new Date(Date.now() - 1000))
+      ).rejects.toThrow('Start time must be at least 1 minute in the future');
+    });
+
+    test('should record RSVPs and cap going responses at max players', async () => {
+      const start = new Date(Date.now() + 2 * 60 * 60 * 1000);
+      const lobby = await lobbyManager.createScheduledLobby('guild-1', 'leader-1', 'Valorant', start, { maxPlayers: 2 });
+
+      await lobbyManager.setRsvp(lobby.id, 'user-1', 'maybe');
+      const rsvps = await lobbyManager.setRsvp(lobby.id, 'user-1', 'going');
+
+      expect(rsvps.find(r => r.user_id === 'user-1').response).toBe('going');
+      expect(rsvps.find(r => r.user_id === 'leader-1').response).toBe('going');
+
+      await expect(lobbyManager.setRsvp(lobby.id, 'user-2', 'going')).rejects.toThrow('already has 2 players going');
+      await expect(lobbyManager.setRsvp(lobby.id, 'user-2', 'maybe')).resolves.toHaveLength(3);
+    });
+
+    test('should send reminders once within the reminder window', async () => {
+      const start = new Date(Date.now() + 10 * 60 * 1000);
+      const lobby = await lobbyManager.createScheduledLobby('guild-1', 'leader-1', 'Valorant', start);
+      await lobbyManager.setRsvp(lobby.id, 'user-1', 'maybe');
+      await lobbyManager.setRsvp(lobby.id, 'user-2', 'no');
+
+      await scheduler.processScheduledLobbies();
+      await scheduler.processScheduledLobbies();
+
+      // Leader and the "maybe" user, sent only once
+      expect(volatileDM.sendVolatileDM).toHaveBeenCalledTimes(2);
+      const stored = await lobbyRepo.getLobbyById(lobby.id);
+      expect(stored.reminderSentAt).not.toBeNull();
+      expect(stored.isScheduled()).toBe(true);
+    });
+
+    test('should open due lobbies and add going members', async () => {
+      const start = new Date(Date.now() + 5 * 60 * 1000);
+      const lobby = await lobbyManager.createScheduledLobby('guild-1', 'leader-1', 'Valorant', start);
+      await lobbyManager.setRsvp(lobby.id, 'user-1', 'going');
+      await lobbyManager.setRsvp(lobby.id, 'user-2', 'maybe');
+
+      await scheduler.processScheduledLobbies(new Date(start.getTime() + 1000));
+
+      const stored = await lobbyRepo.getLobbyById(lobby.id);
+      expect(stored.status).toBe('active');
+      expect(stored.getMemberIds().sort()).toEqual(['leader-1', 'user-1']);
+    });
+
+    test('should expire lobbies whose start was missed by more than the grace period', async () => {
+      const start = new Date(Date.now() + 5 * 60 * 1000);
+      const lobby = await lobbyManager.createScheduledLobby('guild-1', 'leader-1', 'Valorant', start);
+
+      await scheduler.processScheduledLobbies(new Date(start.getTime() + 2 * 60 * 60 * 1000));
+
+      const stored = await lobbyRepo.getLobbyById(lobby.id);
+      expect(stored.status).toBe('expired');
+    });
+  });
+});
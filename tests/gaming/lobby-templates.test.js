@@ -0,0 +1,127 @@
+const LobbyTemplateManager = require('../../src/modules/gaming/LobbyTemplateManager');
+const LobbyTemplate = require('../../src/database/models/LobbyTemplate');
+const dbConnection = require('../../src/database/connection');
+
+describe('Lobby templates', () => {
+  describe('LobbyTemplate model', () => {
+    test('should round-trip the invite list through the database format', () => {
+      const template = new LobbyTemplate({
+        guildId: 'guild-1',
+        ownerId: 'user-1',
+        createdBy: 'user-1',
+        name: 'Ranked',
+        gameType: 'Valorant',
+        inviteList: ['111111111111111111']
+      });
+
+      const restored = new LobbyTemplate({ ...template.toDatabase(), id: 1 });
+
+      expect(restored.inviteList).toEqual(['111111111111111111']);
+      expect(restored.isShared()).toBe(false);
+      expect(restored.validate().isValid).toBe(true);
+    });
+
+    test('should reject invalid settings', () => {
+      const template = new LobbyTemplate({
+        guildId: 'guild-1',
+        createdBy: 'user-1',
+        name: 'Bad',
+        gameType: 'Valorant',
+        maxPlayers: 50,
+        channelEmoji: 'fire',
+        privacy: 'secret'
+      });
+
+      const { errors } = template.validate();
+
+      expect(errors).toContain('Max players must be between 2 and 20');
+      expect(errors).toContain('Channel emoji must be a single emoji');
+      expect(errors).toContain('Privacy must be public or private');
+    });
+  });
+
+  describe('parseInviteList', () => {
+    test('should extract unique user IDs from mentions and raw IDs', () => {
+      expect(LobbyTemplateManager.parseInviteList('<@111111111111111111> <@!222222222222222222> 111111111111111111'))
+        .toEqual(['111111111111111111', '222222222222222222']);
+      expect(LobbyTemplateManager.parseInviteList('nobody here')).toEqual([]);
+      expect(LobbyTemplateManager.parseInviteList(null)).toEqual([]);
+    });
+  });
+
+  describe('LobbyTemplateManager', () => {
+    let templateManager;
+
+    beforeAll(async () => {
+      if (!dbConnection.isReady()) {
+        await dbConnection.initialize();
+      }
+    });
+
+    beforeEach(async () => {
+      await dbConnection.run('DELETE FROM lobby_templates');
+      templateManager = new LobbyTemplateManager();
+    });
+
+    afterAll(async () => {
+      await dbConnection.close();
+    });
+
+    test('should replace a template saved again under the same name', async () => {
+      await templateManager.saveTemplate('guild-1', 'user-1', { name: 'Ranked', gameType: 'Valorant', maxPlayers: 5 });
+      const { template, replaced } = await templateManager.saveTemplate('guild-1', 'user-1', {
+        name: 'ranked',
+        gameType: 'Valorant',
+        maxPlayers: 3
+      });
+
+      const { personal } = await templateManager.listTemplates('guild-1', 'user-1');
+
+      expect(replaced).toBe(true);
+      expect(personal).toHaveLength(1);
+      expect(personal[0].id).toBe(template.id);
+      expect(personal[0].maxPlayers).toBe(3);
+    });
+
+    test('should keep personal templates private and share guild templates', async () => {
+      await templateManager.saveTemplate('guild-1', 'user-1', { name: 'Mine', gameType: 'Valorant' });
+      await templateManager.saveTemplate('guild-1', 'admin-1', { name: 'Scrims', gameType: 'CS2' }, { shared: true });
+
+      const forOther = await templateManager.listTemplates('guild-1', 'user-2');
+      expect(forOther.personal).toHaveLength(0);
+      expect(forOther.shared.map(t => t.name)).toEqual(['Scrims']);
+
+      const choices = await templateManager.getAutocompleteChoices('guild-1', 'user-1', '');
+      expect(choices.map(choice => choice.name)).toEqual(['👤 Mine (Valorant)', '🏠 Scrims (CS2)']);
+    });
+
+    test('should resolve templates by ID or name, preferring personal ones', async () => {
+      const { template: shared } = await templateManager.saveTemplate(
+        'guild-1', 'admin-1', { name: 'Ranked', gameType: 'CS2' }, { shared: true }
+      );
+      const { template: personal } = await templateManager.saveTemplate(
+        'guild-1', 'user-1', { name: 'Ranked', gameType: 'Valorant' }
+      );
+      const { template: othersTemplate } = await templateManager.saveTemplate(
+        'guild-1', 'user-2', { name: 'Secret', gameType: 'Apex' }
+      );
+
+      expect((await templateManager.resolveTemplate('guild-1', 'user-1', 'ranked')).id).toBe(personal.id);
+      expect((await templateManager.resolveTemplate('guild-1', 'user-3', 'Ranked')).id).toBe(shared.id);
+      expect((await templateManager.resolveTemplate('guild-1', 'user-1', String(shared.id))).id).toBe(shared.id);
+      expect(await templateManager.resolveTemplate('guild-1', 'user-1', String(othersTemplate.id))).toBeNull();
+      expect(await templateManager.resolveTemplate('guild-2', 'user-1', 'Ranked')).toBeNull();
+    });
+
+    test('should delete templates within the requested scope', async () => {
+      await templateManager.saveTemplate('guild-1', 'admin-1', { name: 'Scrims', gameType: 'CS2' }, { shared: true });
+
+      await expect(templateManager.deleteTemplate('guild-1', 'admin-1', 'Scrims'))
+        .rejects.toThrow('No personal template named "Scrims" was found');
+
+      await templateManager.deleteTemplate('guild-1', 'admin-1', 'Scrims', { shared: true });
+      const { shared } = await templateManager.listTemplates('guild-1', 'admin-1');
+      expect(shared).toHaveLength(0);
+    });
+  });
+});
@@ -0,0 +1,115 @@
+const LobbyManager = require('../../src/modules/gaming/LobbyManager');
+const VoiceChannelManager = require('../../src/modules/gaming/VoiceChannelManager');
+const LobbyRepository = require('../../src/database/repositories/LobbyRepository');
+const lobbyCatalogManager = require('../../src/utils/lobbyCatalogManager');
+const dbConnection = require('../../src/database/connection');
+
+describe('Lobby text channels', () => {
+  let lobbyManager;
+  let lobbyRepo;
+  let voiceChannelManager;
+  let textChannel;
+
+  beforeAll(async () => {
+    if (!dbConnection.isReady()) {
+      await dbConnection.initialize();
+    }
+  });
+
+  beforeEach(async () => {
+    await dbConnection.run('DELETE FROM lobby_members');
+    await dbConnection.run('DELETE FROM lobbies');
+
+    textChannel = { id: 'text-1', name: 'valorant', setName: jest.fn().mockResolvedValue(true) };
+
+    const client = {
+      users: { fetch: jest.fn().mockImplementation(async (id) => ({ id })) },
+      guilds: { cache: new Map() },
+      channels: { cache: new Map([['text-1', textChannel]]) }
+    };
+
+    voiceChannelManager = {
+      client,
+      createPrivateChannel: jest.fn().mockResolvedValue({ id: 'voice-1', name: 'valorant' }),
+      createTextChannel: jest.fn().mockResolvedValue(textChannel),
+      archiveTextChannel: jest.fn().mockResolvedValue(true),
+      deleteChannel: jest.fn().mockResolvedValue(true),
+      isChannelEmpty: jest.fn().mockReturnValue(true)
+    };
+
+    lobbyManager = new LobbyManager(voiceChannelManager);
+    lobbyRepo = new LobbyRepository();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    await dbConnection.close();
+  });
+
+  test('should create a text channel alongside the voice channel', async () => {
+    const lobby = await lobbyManager.createLobbyWithVoice('guild-1', 'leader-1', 'Valorant');
+
+    expect(voiceChannelManager.createTextChannel).toHaveBeenCalledWith(
+      expect.objectContaining({ id: 'voice-1' }),
+      'Valorant'
+    );
+    expect(lobby.textChannelId).toBe('text-1');
+
+    const stored = await lobbyRepo.getLobbyById(lobby.id);
+    expect(stored.textChannelId).toBe('text-1');
+  });
+
+  test('should keep the lobby if the text channel cannot be created', async () => {
+    voiceChannelManager.createTextChannel.mockRejectedValue(new Error('Missing Permissions'));
+
+    const lobby = await lobbyManager.createLobbyWithVoice('guild-1', 'leader-1', 'Valorant');
+
+    expect(lobby.voiceChannelId).toBe('voice-1');
+    expect(lobby.textChannelId).toBeNull();
+  });
+
+  test('should archive rather than delete the text channel when the lobby is disbanded', async () => {
+    const lobby = await lobbyManager.createLobbyWithVoice('guild-1', 'leader-1', 'Valorant');
+
+    await lobbyManager.disbandLobby(lobby.id);
+
+    expect(voiceChannelManager.deleteChannel).toHaveBeenCalledWith('voice-1', expect.any(String));
+    expect(voiceChannelManager.deleteChannel).not.toHaveBeenCalledWith('text-1', expect.anything());
+    expect(voiceChannelManager.archiveTextChannel).toHaveBeenCalledWith('text-1', 'Lobby disbanded');
+  });
+
+  test('should archive the text channel when the lobby expires', async () => {
+    const lobby = await lobbyManager.createLobbyWithVoice('guild-1', 'leader-1', 'Valorant');
+
+    await lobbyManager.expireLobby(lobby.id);
+
+    expect(voiceChannelManager.archiveTextChannel).toHaveBeenCalledWith('text-1', 'Lobby expired');
+  });
+
+  test('should link the text channel in the catalog embed', async () => {
+    const lobby = await lobbyManager.createLobbyWithVoice('guild-1', 'leader-1', 'Valorant');
+
+    const embed = lobbyCatalogManager.buildLobbyEmbed(lobby, lobby.leaderId, lobby.voiceChannelId);
+    const fields = embed.addFields.mock.calls.flat();
+
+    expect(fields).toContainEqual(expect.objectContaining({ name: '💬 Text Chat', value: '<#text-1>' }));
+  });
+
+  test('should rename the text channel to follow the voice channel name', async () => {
+    const lobby = await lobbyManager.createLobbyWithVoice('guild-1', 'leader-1', 'Valorant');
+
+    await lobbyCatalogManager.updateLobbyInCatalog(lobby.id, lobby, voiceChannelManager.client, {
+      channelName: '🔥 valorant 🔥'
+    });
+
+    expect(textChannel.setName).toHaveBeenCalledWith('🔥-valorant-🔥', expect.any(String));
+  });
+
+  test('should format voice channel names as text channel names', () => {
+    expect(VoiceChannelManager.toTextChannelName('⚡ Rocket  League ⚡')).toBe('⚡-rocket-league-⚡');
+    expect(VoiceChannelManager.toTextChannelName('   ')).toBe('lobby-chat');
+  });
+});
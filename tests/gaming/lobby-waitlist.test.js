@@ -0,0 +1,123 @@
+const LobbyManager = require('../../src/modules/gaming/LobbyManager');
+const LobbyWaitlistRepository = require('../../src/database/repositories/LobbyWaitlistRepository');
+const volatileDM = require('../../src/utils/volatileDM');
+const dbConnection = require('../../src/database/connection');
+
+describe('LobbyWaitlistManager', () => {
+  let lobbyManager;
+  let waitlistManager;
+  let waitlistRepo;
+  let voiceChannelManager;
+  let lobby;
+
+  beforeAll(async () => {
+    if (!dbConnection.isReady()) {
+      await dbConnection.initialize();
+    }
+  });
+
+  beforeEach(async () => {
+    await dbConnection.run('DELETE FROM lobby_waitlist');
+    await dbConnection.run('DELETE FROM lobby_members');
+    await dbConnection.run('DELETE FROM lobbies');
+
+    voiceChannelManager = {
+      client: {
+        users: { fetch: jest.fn().mockImplementation(async (id) => ({ id })) },
+        guilds: { cache: new Map() }
+      },
+      addUserToChannel: jest.fn().mockResolvedValue(true)
+    };
+
+    lobbyManager = new LobbyManager(voiceChannelManager);
+    waitlistManager = lobbyManager.getWaitlistManager();
+    waitlistRepo = new LobbyWaitlistRepository();
+
+    jest.spyOn(volatileDM, 'sendVolatileDM').mockResolvedValue(null);
+
+    lobby = await lobbyManager.createLobby('guild-1', 'leader-1', 'Valorant', { maxPlayers: 2 });
+    await lobbyManager.updateLobbyVoiceChannel(lobby.id, 'voice-1');
+    await lobbyManager.joinLobby(lobby.id, 'member-1');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    await dbConnection.close();
+  });
+
+  test('should enforce the per-lobby player cap', async () => {
+    await expect(lobbyManager.joinLobby(lobby.id, 'user-1')).rejects.toThrow('Lobby is full (max 2 members)');
+  });
+
+  test('should queue users in order and report positions', async () => {
+    await expect(waitlistManager.joinWaitlist(lobby.id, 'user-1'))
+      .resolves.toEqual({ position: 1, alreadyWaiting: false });
+    await expect(waitlistManager.joinWaitlist(lobby.id, 'user-2'))
+      .resolves.toEqual({ position: 2, alreadyWaiting: false });
+    await expect(waitlistManager.joinWaitlist(lobby.id, 'user-1'))
+      .resolves.toEqual({ position: 1, alreadyWaiting: true });
+
+    await waitlistManager.leaveWaitlist(lobby.id, 'user-1');
+    expect(await waitlistRepo.getPosition(lobby.id, 'user-2')).toBe(1);
+  });
+
+  test('should not queue users for lobbies with open slots', async () => {
+    await lobbyManager.leaveLobby(lobby.id, 'member-1');
+
+    await expect(waitlistManager.joinWaitlist(lobby.id, 'user-1'))
+      .rejects.toThrow('This lobby has an open slot');
+  });
+
+  test('should offer a freed slot to the first waiting user and add them on accept', async () => {
+    await waitlistManager.joinWaitlist(lobby.id, 'user-1');
+    await waitlistManager.joinWaitlist(lobby.id, 'user-2');
+
+    await lobbyManager.leaveLobby(lobby.id, 'member-1');
+
+    const offer = await waitlistRepo.getActiveOffer(lobby.id);
+    expect(offer.user_id).toBe('user-1');
+    expect(volatileDM.sendVolatileDM).toHaveBeenCalledTimes(1);
+
+    const joined = await waitlistManager.acceptOffer(lobby.id, 'user-1');
+
+    expect(joined.hasMember('user-1')).toBe(true);
+    expect(voiceChannelManager.addUserToChannel).toHaveBeenCalledWith('voice-1', 'user-1');
+    expect(await waitlistRepo.getEntry(lobby.id, 'user-1')).toBeNull();
+    // Lobby is full again, so user-2 keeps waiting without an offer
+    expect(await waitlistRepo.getActiveOffer(lobby.id)).toBeNull();
+  });
+
+  test('should pass the slot on when an offer is declined', async () => {
+    await waitlistManager.joinWaitlist(lobby.id, 'user-1');
+    await waitlistManager.joinWaitlist(lobby.id, 'user-2');
+    await lobbyManager.leaveLobby(lobby.id, 'member-1');
+
+    await waitlistManager.declineOffer(lobby.id, 'user-1');
+
+    const offer = await waitlistRepo.getActiveOffer(lobby.id);
+    expect(offer.user_id).toBe('user-2');
+  });
+
+  test('should expire lapsed offers and reject late accepts', async () => {
+    await waitlistManager.joinWaitlist(lobby.id, 'user-1');
+    await waitlistManager.joinWaitlist(lobby.id, 'user-2');
+    await lobbyManager.leaveLobby(lobby.id, 'member-1');
+
+    const expiredCount = await waitlistManager.expireOffers(new Date(Date.now() + 60 * 60 * 1000));
+
+    expect(expiredCount).toBe(1);
+    await expect(waitlistManager.acceptOffer(lobby.id, 'user-1')).rejects.toThrow('This waitlist offer has expired.');
+    expect((await waitlistRepo.getActiveOffer(lobby.id)).user_id).toBe('user-2');
+  });
+
+  test('should clear the waitlist when the lobby is disbanded', async () => {
+    await waitlistManager.joinWaitlist(lobby.id, 'user-1');
+
+    await lobbyManager.disbandLobby(lobby.id);
+
+    expect(await waitlistManager.getWaitlist(lobby.id)).toHaveLength(0);
+  });
+});
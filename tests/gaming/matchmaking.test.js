@@ -0,0 +1,139 @@
+const MatchmakingManager = require('../../src/modules/gaming/MatchmakingManager');
+const LobbyManager = require('../../src/modules/gaming/LobbyManager');
+const MatchmakingQueueRepository = require('../../src/database/repositories/MatchmakingQueueRepository');
+const volatileDM = require('../../src/utils/volatileDM');
+const dbConnection = require('../../src/database/connection');
+
+describe('MatchmakingManager', () => {
+  let lobbyManager;
+  let matchmakingManager;
+  let queueRepo;
+  let voiceChannelManager;
+
+  beforeAll(async () => {
+    if (!dbConnection.isReady()) {
+      await dbConnection.initialize();
+    }
+  });
+
+  beforeEach(async () => {
+    await dbConnection.run('DELETE FROM matchmaking_queue');
+    await dbConnection.run('DELETE FROM lobby_waitlist');
+    await dbConnection.run('DELETE FROM lobby_members');
+    await dbConnection.run('DELETE FROM lobbies');
+
+    const client = {
+      users: { fetch: jest.fn().mockImplementation(async (id) => ({ id })) },
+      guilds: { cache: new Map() }
+    };
+
+    voiceChannelManager = {
+      client,
+      createPrivateChannel: jest.fn().mockResolvedValue({ id: 'voice-1' }),
+      addUserToChannel: jest.fn().mockResolvedValue(true),
+      moveUserToChannel: jest.fn().mockResolvedValue(true)
+    };
+
+    lobbyManager = new LobbyManager(voiceChannelManager);
+    matchmakingManager = new MatchmakingManager(client, lobbyManager);
+    queueRepo = new MatchmakingQueueRepository();
+
+    jest.spyOn(volatileDM, 'sendVolatileDM').mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    matchmakingManager.stop();
+    jest.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    await dbConnection.close();
+  });
+
+  const entry = (id, rank, role, groupSize = 3) => ({
+    id,
+    user_id: `user-${id}`,
+    game_type: 'Overwatch',
+    rank,
+    role,
+    group_size: groupSize
+  });
+
+  describe('findGroup', () => {
+    test('should keep ranks within the allowed spread', () => {
+      const group = MatchmakingManager.findGroup([
+        entry(1, 5, null),
+        entry(2, 9, null),
+        entry(3, 6, null),
+        entry(4, 7, null)
+      ], 2);
+
+      expect(group.map(e => e.id)).toEqual([1, 3, 4]);
+    });
+
+    test('should not let one role take more than its share', () => {
+      const entries = [entry(1, null, 'dps', 5), entry(2, null, 'dps', 5), entry(3, null, 'dps', 5), entry(4, null, 'dps', 5), entry(5, null, 'tank', 5)];
+      expect(MatchmakingManager.findGroup(entries, 2)).toBeNull();
+
+      entries.push(entry(6, null, 'healer', 5));
+      expect(MatchmakingManager.findGroup(entries, 2).map(e => e.id)).toEqual([1, 2, 3, 5, 6]);
+    });
+
+    test('should only group players wanting the same group size', () => {
+      expect(MatchmakingManager.findGroup([entry(1, null, null, 2), entry(2, null, null, 3), entry(3, null, null, 3)], 2)).toBeNull();
+    });
+  });
+
+  test('should validate queue options', async () => {
+    await expect(matchmakingManager.joinQueue('guild-1', 'user-1', 'Overwatch', { rank: 11 }))
+      .rejects.toThrow('Rank must be a whole number between 1 and 10');
+    await expect(matchmakingManager.joinQueue('guild-1', 'user-1', 'Overwatch', { role: 'support' }))
+      .rejects.toThrow('Role must be one of');
+  });
+
+  test('should wait until enough players queue, then create the lobby and move everyone in', async () => {
+    const first = await matchmakingManager.joinQueue('guild-1', 'user-1', 'Overwatch', { rank: 4, groupSize: 2 });
+    expect(first.lobby).toBeNull();
+    expect(first.position).toBe(1);
+
+    await expect(matchmakingManager.joinQueue('guild-1', 'user-1', 'overwatch', { groupSize: 2 }))
+      .rejects.toThrow('You are already queued for **Overwatch**');
+
+    const second = await matchmakingManager.joinQueue('guild-1', 'user-2', 'overwatch', { rank: 5, groupSize: 2 });
+
+    expect(second.lobby).not.toBeNull();
+    expect(second.lobby.leaderId).toBe('user-2'); // highest rank leads
+    expect(second.lobby.getMemberIds().sort()).toEqual(['user-1', 'user-2']);
+    expect(second.lobby.maxPlayers).toBe(2);
+    expect(voiceChannelManager.moveUserToChannel).toHaveBeenCalledWith('user-1', 'voice-1', 'guild-1');
+    expect(voiceChannelManager.moveUserToChannel).toHaveBeenCalledWith('user-2', 'voice-1', 'guild-1');
+    expect(volatileDM.sendVolatileDM).toHaveBeenCalledTimes(2);
+    expect(await queueRepo.getQueuedGames()).toEqual([]);
+  });
+
+  test('should let players leave the queue', async () => {
+    await matchmakingManager.joinQueue('guild-1', 'user-1', 'Overwatch');
+    await matchmakingManager.leaveQueue('guild-1', 'user-1');
+
+    expect(await matchmakingManager.getQueueStatus('guild-1', 'user-1')).toBeNull();
+    await expect(matchmakingManager.leaveQueue('guild-1', 'user-1'))
+      .rejects.toThrow('You are not in a matchmaking queue');
+  });
+
+  test('should time out entries and allow requeueing', async () => {
+    const { entry: queued } = await matchmakingManager.joinQueue('guild-1', 'user-1', 'Overwatch', { groupSize: 2 });
+
+    const later = new Date(Date.now() + 31 * 60 * 1000);
+    await expect(matchmakingManager.expireEntries(later)).resolves.toBe(1);
+    expect(await matchmakingManager.getQueueStatus('guild-1', 'user-1')).toBeNull();
+    expect(volatileDM.sendVolatileDM).toHaveBeenCalledTimes(1);
+
+    await expect(matchmakingManager.requeue(queued.id, 'user-2'))
+      .rejects.toThrow('This queue entry no longer exists');
+
+    await matchmakingManager.requeue(queued.id, 'user-1');
+    const status = await matchmakingManager.getQueueStatus('guild-1', 'user-1');
+    expect(status.position).toBe(1);
+    expect(status.entry.group_size).toBe(2);
+  });
+});
@@ -0,0 +1,135 @@
+const RecurringLobbyManager = require('../../src/modules/gaming/RecurringLobbyManager');
+const LobbyTemplateManager = require('../../src/modules/gaming/LobbyTemplateManager');
+const LobbyManager = require('../../src/modules/gaming/LobbyManager');
+const RecurringLobbyRepository = require('../../src/database/repositories/RecurringLobbyRepository');
+const volatileDM = require('../../src/utils/volatileDM');
+const dbConnection = require('../../src/database/connection');
+
+describe('RecurringLobbyManager', () => {
+  let lobbyManager;
+  let recurringLobbyManager;
+  let seriesRepo;
+  let template;
+
+  beforeAll(async () => {
+    if (!dbConnection.isReady()) {
+      await dbConnection.initialize();
+    }
+  });
+
+  beforeEach(async () => {
+    await dbConnection.run('DELETE FROM recurring_lobbies');
+    await dbConnection.run('DELETE FROM lobby_templates');
+    await dbConnection.run('DELETE FROM lobby_members');
+    await dbConnection.run('DELETE FROM lobbies');
+
+    const client = {
+      users: { fetch: jest.fn().mockImplementation(async (id) => ({ id })) },
+      guilds: { cache: new Map() }
+    };
+
+    lobbyManager = new LobbyManager();
+    recurringLobbyManager = new RecurringLobbyManager(client, lobbyManager);
+    seriesRepo = new RecurringLobbyRepository();
+
+    jest.spyOn(volatileDM, 'sendVolatileDM').mockResolvedValue(null);
+
+    ({ template } = await new LobbyTemplateManager().saveTemplate('guild-1', 'leader-1', {
+      name: 'Game Night',
+      gameType: 'Valorant',
+      maxPlayers: 5,
+      inviteList: ['member-1']
+    }));
+  });
+
+  afterEach(() => {
+    recurringLobbyManager.stop();
+    jest.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    await dbConnection.close();
+  });
+
+  test('should reject invalid cron schedules', async () => {
+    await expect(recurringLobbyManager.createSeries('guild-1', 'leader-1', {
+      template: 'Game Night',
+      cronExpression: 'every tuesday'
+    })).rejects.toThrow('Schedule must be a valid cron expression');
+  });
+
+  test('should schedule a cron job for new series', async () => {
+    const { series } = await recurringLobbyManager.createSeries('guild-1', 'leader-1', {
+      template: 'Game Night',
+      cronExpression: '0 20 * * 2',
+      inviteList: ['member-2', 'leader-1']
+    });
+
+    expect(series.templateId).toBe(template.id);
+    expect(series.inviteList).toEqual(['member-2']);
+    expect(recurringLobbyManager.scheduledJobs.has(series.id)).toBe(true);
+  });
+
+  test('should create the lobby and add template and series invitees at each occurrence', async () => {
+    const { series } = await recurringLobbyManager.createSeries('guild-1', 'leader-1', {
+      template: 'Game Night',
+      cronExpression: '0 20 * * 2',
+      inviteList: ['member-2']
+    });
+
+    const lobby = await recurringLobbyManager.runOccurrence(series.id);
+
+    expect(lobby.gameType).toBe('Valorant');
+    expect(lobby.maxPlayers).toBe(5);
+    expect(lobby.getMemberIds().sort()).toEqual(['leader-1', 'member-1', 'member-2']);
+    // Leader plus both invitees are notified
+    expect(volatileDM.sendVolatileDM).toHaveBeenCalledTimes(3);
+
+    const stored = await seriesRepo.getSeriesById(series.id);
+    expect(stored.lastLobbyId).toBe(lobby.id);
+  });
+
+  test('should skip occurrences while the previous lobby is still active', async () => {
+    const { series } = await recurringLobbyManager.createSeries('guild-1', 'leader-1', {
+      template: 'Game Night',
+      cronExpression: '0 20 * * 2'
+    });
+
+    await recurringLobbyManager.runOccurrence(series.id);
+    await expect(recurringLobbyManager.runOccurrence(series.id)).resolves.toBeNull();
+  });
+
+  test('should honour skip, pause and resume', async () => {
+    const { series } = await recurringLobbyManager.createSeries('guild-1', 'leader-1', {
+      template: 'Game Night',
+      cronExpression: '0 20 * * 2'
+    });
+
+    await recurringLobbyManager.skipNextOccurrence('guild-1', series.id, 'leader-1');
+    await expect(recurringLobbyManager.runOccurrence(series.id)).resolves.toBeNull();
+    expect((await seriesRepo.getSeriesById(series.id)).skipCount).toBe(0);
+
+    await recurringLobbyManager.pauseSeries('guild-1', series.id, 'leader-1');
+    expect(recurringLobbyManager.scheduledJobs.has(series.id)).toBe(false);
+    await expect(recurringLobbyManager.runOccurrence(series.id)).resolves.toBeNull();
+
+    await recurringLobbyManager.resumeSeries('guild-1', series.id, 'leader-1');
+    expect(recurringLobbyManager.scheduledJobs.has(series.id)).toBe(true);
+  });
+
+  test('should only let the leader or an admin manage a series', async () => {
+    const { series } = await recurringLobbyManager.createSeries('guild-1', 'leader-1', {
+      template: 'Game Night',
+      cronExpression: '0 20 * * 2'
+    });
+
+    await expect(recurringLobbyManager.deleteSeries('guild-1', series.id, 'member-1'))
+      .rejects.toThrow('Only the series leader or a server admin');
+    await expect(recurringLobbyManager.deleteSeries('guild-2', series.id, 'leader-1'))
+      .rejects.toThrow('Recurring lobby not found');
+
+    await recurringLobbyManager.deleteSeries('guild-1', series.id, 'admin-1', true);
+    expect(await seriesRepo.getSeriesById(series.id)).toBeNull();
+    expect(recurringLobbyManager.scheduledJobs.has(series.id)).toBe(false);
+  });
+});
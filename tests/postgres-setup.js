@@ -0,0 +1,31 @@
+// Jest setup for the postgres project: every test file runs in its own empty
+// schema of the DATABASE_URL database, dropped again when the file is done
+const crypto = require('crypto');
+const { Client } = require('pg');
+
+const serverUrl = process.env.DATABASE_URL;
+const schema = `test_${crypto.randomBytes(6).toString('hex')}`;
+
+// Set before the test file loads src/config, which reads them once
+const url = new URL(serverUrl);
+url.searchParams.set('options', `-c search_path=${schema}`);
+process.env.DATABASE_DRIVER = 'postgres';
+process.env.DATABASE_URL = url.toString();
+
+async function runOnServer(sql) {
+  const client = new Client({ connectionString: serverUrl });
+  await client.connect();
+  try {
+    await client.query(sql);
+  } finally {
+    await client.end();
+  }
+}
+
+beforeAll(async () => {
+  await runOnServer(`CREATE SCHEMA ${schema}`);
+});
+
+afterAll(async () => {
+  await runOnServer(`DROP SCHEMA IF EXISTS ${schema} CASCADE`);
+});
@@ -100,6 +100,7 @@ jest.mock('discord.js', () => ({
 // Mock environment variables for testing
 process.env.DISCORD_TOKEN = 'test_token';
 process.env.DISCORD_CLIENT_ID = 'test_client_id';
+process.env.DATABASE_DRIVER = 'sqlite';
 process.env.DATABASE_PATH = ':memory:';
 process.env.NODE_ENV = 'test';
 process.env.LOG_LEVEL = 'error';
@@ -158,6 +158,11 @@ describe('HistoricalGameRepository', () => {
 
       expect(history).toHaveLength(0);
     });
+
+    it('should reject a call without a season', async () => {
+      await expect(repository.getTeamGameHistory('12')).rejects.toThrow('A season is required');
+      await expect(repository.getBettingOutcomes('12', null)).rejects.toThrow('A season is required');
+    });
   });
 
   describe('getHeadToHeadHistory', () => {
@@ -0,0 +1,42 @@
+const OddsTracker = require('../../src/modules/sports/OddsTracker');
+
+describe('OddsTracker scheduled scraping', () => {
+  let tracker;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    tracker = new OddsTracker(null);
+    jest.spyOn(tracker, 'getTimezones').mockResolvedValue(['America/New_York', 'America/Chicago', 'Europe/Paris']);
+    jest.spyOn(tracker, 'scrapeAllSports').mockResolvedValue({ totalSnapshots: 0 });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  const tickAt = async iso => {
+    jest.setSystemTime(new Date(iso));
+    return tracker.runScheduledScrape();
+  };
+
+  test('should run one full scrape for a tick where several timezones are due', async () => {
+    // 22:00 UTC is 16:00 in Chicago and 23:00 in Paris
+    jest.setSystemTime(new Date('2026-01-15T22:00:00Z'));
+
+    expect(await tracker.getDueSchedules()).toEqual(['afternoon (America/Chicago)', 'night (Europe/Paris)']);
+    await tracker.runScheduledScrape();
+
+    expect(tracker.scrapeAllSports).toHaveBeenCalledTimes(1);
+  });
+
+  test('should skip schedules that come due within an hour of the last scrape', async () => {
+    tracker.getTimezones.mockResolvedValue(['Asia/Kolkata', 'Europe/Paris']);
+
+    // 12:00 in Kolkata, then 08:00 in Paris half an hour later, then 12:00 in Paris
+    await tickAt('2026-01-15T06:30:00Z');
+    expect(await tickAt('2026-01-15T07:00:00Z')).toBeNull();
+    await tickAt('2026-01-15T11:00:00Z');
+
+    expect(tracker.scrapeAllSports).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,69 @@
+const auditLog = require('../../src/utils/auditLog');
+const AuditLogRepository = require('../../src/database/repositories/AuditLogRepository');
+const ServerConfigRepository = require('../../src/database/repositories/ServerConfigRepository');
+const dbConnection = require('../../src/database/connection');
+
+describe('AuditLog', () => {
+  let repository;
+  let channel;
+  let client;
+
+  beforeAll(async () => {
+    if (!dbConnection.isReady()) {
+      await dbConnection.initialize();
+    }
+  });
+
+  beforeEach(async () => {
+    await dbConnection.run('DELETE FROM audit_log');
+    await dbConnection.run('DELETE FROM server_config');
+    repository = new AuditLogRepository();
+
+    channel = { send: jest.fn().mockResolvedValue(true) };
+    client = { channels: { fetch: jest.fn().mockResolvedValue(channel) } };
+  });
+
+  afterAll(async () => {
+    await dbConnection.close();
+  });
+
+  test('should search entries by actor, action and date range', async () => {
+    await auditLog.record({ guildId: 'guild-1', actorId: 'mod-1', action: 'lobby.kick', targetType: 'user', targetId: 'user-2', payload: { lobby: 'lobby-1' } });
+    await auditLog.record({ guildId: 'guild-1', actorId: 'mod-2', action: 'odds.scrape', payload: { sport: 'nfl' } });
+    await auditLog.record({ guildId: 'guild-1', actorId: null, action: 'lobby.disband', targetType: 'lobby', targetId: 'lobby-1' });
+    await auditLog.record({ guildId: 'guild-2', actorId: 'mod-1', action: 'lobby.kick', targetType: 'user', targetId: 'user-3' });
+
+    const byActor = await repository.search('guild-1', { actorId: 'mod-1' });
+    expect(byActor.total).toBe(1);
+    expect(byActor.entries[0]).toMatchObject({ action: 'lobby.kick', targetId: 'user-2', payload: { lobby: 'lobby-1' } });
+
+    const byAction = await repository.search('guild-1', { action: 'lobby.disband' });
+    expect(byAction.entries.map(entry => entry.actorId)).toEqual([null]);
+
+    const tomorrow = new Date(Date.now() + 24 * 60 * 60 * 1000);
+    expect((await repository.search('guild-1', { since: tomorrow })).total).toBe(0);
+    expect((await repository.search('guild-1', { until: tomorrow, limit: 2 })).entries).toHaveLength(2);
+  });
+
+  test('should mirror entries to the configured mod-log channel only', async () => {
+    await auditLog.record({ guildId: 'guild-1', actorId: 'mod-1', action: 'odds.scrape' }, client);
+    expect(client.channels.fetch).not.toHaveBeenCalled();
+
+    await new ServerConfigRepository().setAuditChannel('guild-1', 'mod-log');
+    const entry = await auditLog.record({ guildId: 'guild-1', actorId: 'mod-1', action: 'lobby.kick', targetType: 'user', targetId: 'user-2' }, client);
+
+    expect(client.channels.fetch).toHaveBeenCalledWith('mod-log');
+    expect(channel.send).toHaveBeenCalledTimes(1);
+    expect(entry.id).toEqual(expect.any(Number));
+  });
+
+  test('should not fail the audited action when the mod-log channel is gone', async () => {
+    await new ServerConfigRepository().setAuditChannel('guild-1', 'deleted-channel');
+    client.channels.fetch.mockRejectedValue(new Error('Unknown Channel'));
+
+    const entry = await auditLog.record({ guildId: 'guild-1', actorId: 'mod-1', action: 'odds.scrape' }, client);
+
+    expect(entry).not.toBeNull();
+    expect((await repository.search('guild-1')).total).toBe(1);
+  });
+});
@@ -0,0 +1,87 @@
+const commandPolicies = require('../../src/utils/commandPolicies');
+const CommandPermissionRepository = require('../../src/database/repositories/CommandPermissionRepository');
+const dbConnection = require('../../src/database/connection');
+
+describe('CommandPolicies', () => {
+  let repository;
+
+  const queueCommand = { name: 'queue', options: { category: 'gaming' } };
+  const statsCommand = { name: 'gaming-stats', options: { category: 'gaming' } };
+
+  const createInteraction = ({ roleIds = [], channelId = 'channel-general', parentId = null, admin = false } = {}) => ({
+    user: { id: 'user-1' },
+    guild: { id: 'guild-1' },
+    channel: { id: channelId, parentId },
+    member: {
+      roles: { cache: new Map(roleIds.map(id => [id, { id }])) },
+      permissions: { has: jest.fn().mockReturnValue(admin) }
+    },
+    reply: jest.fn().mockResolvedValue(true)
+  });
+
+  const setPolicy = (target, subject, effect) => repository.setPolicy('guild-1', {
+    targetType: target.command ? 'command' : 'category',
+    target: target.command || target.category,
+    subjectType: subject.role ? 'role' : 'channel',
+    subjectId: subject.role || subject.channel,
+    effect
+  }, 'admin-1');
+
+  beforeAll(async () => {
+    if (!dbConnection.isReady()) {
+      await dbConnection.initialize();
+    }
+  });
+
+  beforeEach(async () => {
+    await dbConnection.run('DELETE FROM command_permission_policies');
+    repository = new CommandPermissionRepository();
+  });
+
+  afterAll(async () => {
+    await dbConnection.close();
+  });
+
+  test('should allow everything when no policies are set', async () => {
+    expect(await commandPolicies.evaluate(queueCommand, createInteraction())).toEqual({ allowed: true, reason: null });
+  });
+
+  test('should limit a category to allowed roles while letting command policies win', async () => {
+    await setPolicy({ category: 'gaming' }, { role: 'role-gamer' }, 'allow');
+    await setPolicy({ command: 'gaming-stats' }, { role: 'guild-1' }, 'allow');
+
+    expect((await commandPolicies.evaluate(queueCommand, createInteraction())).reason).toBe('role');
+    expect((await commandPolicies.evaluate(queueCommand, createInteraction({ roleIds: ['role-gamer'] }))).allowed).toBe(true);
+
+    // @everyone shares the guild ID, so this opens /gaming-stats to all members
+    expect((await commandPolicies.evaluate(statsCommand, createInteraction())).allowed).toBe(true);
+  });
+
+  test('should deny roles unless the member also holds an allowed role', async () => {
+    await setPolicy({ command: 'queue' }, { role: 'role-muted' }, 'deny');
+    await setPolicy({ command: 'queue' }, { role: 'role-mod' }, 'allow');
+
+    expect((await commandPolicies.evaluate(queueCommand, createInteraction({ roleIds: ['role-muted'] }))).allowed).toBe(false);
+    expect((await commandPolicies.evaluate(queueCommand, createInteraction({ roleIds: ['role-muted', 'role-mod'] }))).allowed).toBe(true);
+  });
+
+  test('should restrict channels and apply them to threads through their parent', async () => {
+    await setPolicy({ category: 'gaming' }, { channel: 'channel-lfg' }, 'allow');
+
+    const denied = createInteraction();
+    expect(await commandPolicies.check(queueCommand, denied)).toBe(false);
+    expect(denied.reply).toHaveBeenCalledWith({ content: '❌ This command can\'t be used in this channel.', ephemeral: true });
+
+    expect((await commandPolicies.evaluate(queueCommand, createInteraction({ channelId: 'channel-lfg' }))).allowed).toBe(true);
+    expect((await commandPolicies.evaluate(queueCommand, createInteraction({ channelId: 'thread-1', parentId: 'channel-lfg' }))).allowed).toBe(true);
+  });
+
+  test('should never restrict administrators or the /permissions command', async () => {
+    await setPolicy({ category: 'gaming' }, { role: 'guild-1' }, 'deny');
+    await setPolicy({ category: 'admin' }, { role: 'guild-1' }, 'deny');
+
+    expect((await commandPolicies.evaluate(queueCommand, createInteraction())).allowed).toBe(false);
+    expect((await commandPolicies.evaluate(queueCommand, createInteraction({ admin: true }))).allowed).toBe(true);
+    expect((await commandPolicies.evaluate({ name: 'permissions', options: { category: 'admin' } }, createInteraction())).allowed).toBe(true);
+  });
+});
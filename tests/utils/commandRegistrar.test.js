@@ -0,0 +1,91 @@
+const { Routes } = require('discord.js');
+const CommandRegistrar = require('../../src/utils/commandRegistrar');
+
+describe('CommandRegistrar', () => {
+  let rest;
+  let registrar;
+
+  const registered = (id, data) => ({
+    id,
+    application_id: 'app-1',
+    version: `${id}-v1`,
+    type: 1,
+    dm_permission: true,
+    nsfw: false,
+    default_member_permissions: null,
+    name_localizations: null,
+    description_localizations: null,
+    ...data
+  });
+
+  beforeAll(() => {
+    Routes.applicationCommand = jest.fn((clientId, commandId) => `/applications/${clientId}/commands/${commandId}`);
+  });
+
+  beforeEach(() => {
+    rest = {
+      get: jest.fn(),
+      post: jest.fn().mockResolvedValue({}),
+      patch: jest.fn().mockResolvedValue({}),
+      delete: jest.fn().mockResolvedValue(undefined)
+    };
+    registrar = new CommandRegistrar({ rest, clientId: 'app-1' });
+  });
+
+  test('should treat fields Discord fills in as unchanged', () => {
+    const local = {
+      name: 'queue',
+      description: 'Join matchmaking',
+      options: [{ type: 3, name: 'game', description: 'Game', required: false, autocomplete: true }],
+      default_member_permissions: undefined,
+      dm_permission: false
+    };
+    const remote = registered('1', {
+      name: 'queue',
+      description: 'Join matchmaking',
+      dm_permission: false,
+      options: [{ type: 3, name: 'game', description: 'Game', autocomplete: true, name_localizations: null }]
+    });
+
+    expect(CommandRegistrar.isSame(local, remote)).toBe(true);
+    expect(CommandRegistrar.isSame({ ...local, description: 'Find a group' }, remote)).toBe(false);
+  });
+
+  test('should push only new and changed commands', async () => {
+    rest.get.mockResolvedValue([
+      registered('1', { name: 'ping', description: 'Check latency' }),
+      registered('2', { name: 'queue', description: 'Join matchmaking' }),
+      registered('3', { name: 'old', description: 'Removed command' })
+    ]);
+
+    const results = await registrar.sync([
+      { name: 'ping', description: 'Check latency' },
+      { name: 'queue', description: 'Find a group to play with' },
+      { name: 'reload', description: 'Reload commands' }
+    ]);
+
+    expect(rest.post).toHaveBeenCalledWith('/applications/123/commands', { body: { name: 'reload', description: 'Reload commands' } });
+    expect(rest.patch).toHaveBeenCalledWith('/applications/app-1/commands/2', { body: { name: 'queue', description: 'Find a group to play with' } });
+    expect(rest.delete).not.toHaveBeenCalled();
+    expect(results).toEqual(expect.arrayContaining([
+      { name: 'ping', action: 'unchanged' },
+      { name: 'queue', action: 'updated' },
+      { name: 'reload', action: 'created' }
+    ]));
+  });
+
+  test('should report a rejected definition without stopping the others', async () => {
+    rest.get.mockResolvedValue([registered('1', { name: 'ping', description: 'Check latency' })]);
+    rest.patch.mockRejectedValue(new Error('Invalid Form Body'));
+
+    const results = await registrar.sync([
+      { name: 'ping', description: '' },
+      { name: 'reload', description: 'Reload commands' }
+    ]);
+
+    expect(results).toEqual([
+      { name: 'reload', action: 'created' },
+      { name: 'ping', action: 'updated', error: expect.any(Error) }
+    ]);
+  });
+});
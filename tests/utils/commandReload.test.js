@@ -0,0 +1,63 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CommandLoader = require('../../src/utils/commandLoader');
+
+describe('CommandLoader reloading', () => {
+  let commandsPath;
+  let filePath;
+  let loader;
+
+  const writeCommand = (description, name = 'echo') => {
+    // Jest keeps its own module registry, so forget loaded files the way require.cache would
+    jest.resetModules();
+    fs.writeFileSync(filePath, `
+      module.exports = {
+        options: {},
+        data: { name: '${name}', description: '${description}', toJSON() { return { name: this.name, description: this.description }; } },
+        execute: async () => {}
+      };
+    `);
+  };
+
+  beforeEach(async () => {
+    commandsPath = fs.mkdtempSync(path.join(os.tmpdir(), 'commands-'));
+    fs.mkdirSync(path.join(commandsPath, 'general'));
+    filePath = path.join(commandsPath, 'general', 'echo.js');
+
+    writeCommand('First version');
+    loader = new CommandLoader();
+    await loader.loadCommands(commandsPath);
+  });
+
+  afterEach(() => {
+    fs.rmSync(commandsPath, { recursive: true, force: true });
+  });
+
+  test('should swap in the edited command and restore the previous one on request', () => {
+    writeCommand('Second version');
+
+    const { command, previous } = loader.reloadCommand('echo');
+    expect(command.data.description).toBe('Second version');
+    expect(command.options.category).toBe('general');
+    expect(loader.getCommand('echo')).toBe(command);
+    expect(loader.getCommandNameForFile(filePath)).toBe('echo');
+
+    loader.restoreCommand(previous);
+    expect(loader.getCommand('echo').data.description).toBe('First version');
+  });
+
+  test('should keep the running version when the file is broken or renames the command', () => {
+    const running = loader.getCommand('echo');
+
+    jest.resetModules();
+    fs.writeFileSync(filePath, 'module.exports = {');
+    expect(() => loader.reloadCommand('echo')).toThrow();
+    expect(loader.getCommand('echo')).toBe(running);
+
+    writeCommand('Renamed', 'shout');
+    expect(() => loader.reloadCommand('echo')).toThrow('restart the bot to rename commands');
+    expect(loader.getCommand('echo')).toBe(running);
+    expect(loader.getCommand('shout')).toBeNull();
+  });
+});
@@ -0,0 +1,154 @@
+const { Collection } = require('discord.js');
+const ComponentRouter = require('../../src/utils/componentRouter');
+const GameLogInteractionHandler = require('../../src/modules/sports/GameLogInteractionHandler');
+const lobbyCatalogManager = require('../../src/utils/lobbyCatalogManager');
+
+describe('ComponentRouter', () => {
+  let router;
+  let handle;
+
+  const WAITLIST_BUTTON = ComponentRouter.defineComponent({
+    name: 'waitlist-test',
+    type: 'button',
+    version: 2,
+    params: [
+      { name: 'action', type: 'enum', values: ['accept', 'leave'] },
+      { name: 'entryId', type: 'integer' }
+    ],
+    legacy: {
+      'old_waitlist_': rest => {
+        const [action, entryId] = rest.split('_');
+        return { action, entryId };
+      }
+    }
+  });
+
+  const createInteraction = (customId, overrides = {}) => ({
+    customId,
+    replied: false,
+    deferred: false,
+    isButton: () => true,
+    isAnySelectMenu: () => false,
+    isModalSubmit: () => false,
+    member: { permissions: { has: jest.fn().mockReturnValue(true) } },
+    reply: jest.fn().mockResolvedValue(true),
+    followUp: jest.fn().mockResolvedValue(true),
+    ...overrides
+  });
+
+  beforeEach(() => {
+    handle = jest.fn().mockResolvedValue(true);
+    router = new ComponentRouter({ lobbyManager: { id: 'shared' } });
+    router.register({ component: WAITLIST_BUTTON, requires: ['lobbyManager'], handle });
+  });
+
+  test('should build versioned custom IDs and route them with typed params and shared services', async () => {
+    const customId = WAITLIST_BUTTON.build({ action: 'accept', entryId: 42 });
+    expect(customId).toBe('waitlist-test:v2:accept:42');
+
+    const interaction = createInteraction(customId);
+    expect(await router.route(interaction)).toBe(true);
+
+    expect(handle).toHaveBeenCalledWith(
+      interaction,
+      { action: 'accept', entryId: 42 },
+      expect.objectContaining({ lobbyManager: { id: 'shared' } })
+    );
+  });
+
+  test('should still route custom IDs posted before the schema existed', async () => {
+    await router.route(createInteraction('old_waitlist_leave_7'));
+
+    expect(handle).toHaveBeenCalledWith(expect.anything(), { action: 'leave', entryId: 7 }, expect.anything());
+  });
+
+  test('should answer unknown, stale and malformed custom IDs as expired', async () => {
+    const customIds = [
+      'something_else_1',
+      'waitlist-test:v1:accept:42',
+      'waitlist-test:v2:explode:42',
+      'waitlist-test:v2:accept:not-a-number'
+    ];
+
+    for (const customId of customIds) {
+      const interaction = createInteraction(customId);
+      expect(await router.route(interaction)).toBe(false);
+      expect(interaction.reply).toHaveBeenCalledWith({ content: ComponentRouter.EXPIRED_MESSAGE, ephemeral: true });
+    }
+
+    expect(handle).not.toHaveBeenCalled();
+  });
+
+  test('should only match handlers of the interaction component type', async () => {
+    const interaction = createInteraction(WAITLIST_BUTTON.build({ action: 'accept', entryId: 1 }), {
+      isButton: () => false,
+      isModalSubmit: () => true
+    });
+
+    expect(await router.route(interaction)).toBe(false);
+    expect(handle).not.toHaveBeenCalled();
+  });
+
+  test('should check member permissions before running a handler', async () => {
+    const MODERATOR_BUTTON = ComponentRouter.defineComponent({ name: 'moderate', type: 'button', params: [{ name: 'target' }] });
+    router.register({ component: MODERATOR_BUTTON, permissions: ['ManageChannels'], handle });
+
+    const interaction = createInteraction(MODERATOR_BUTTON.build({ target: 'abc' }));
+    interaction.member.permissions.has.mockReturnValue(false);
+
+    expect(await router.route(interaction)).toBe(false);
+    expect(interaction.member.permissions.has).toHaveBeenCalledWith('ManageChannels');
+    expect(interaction.reply).toHaveBeenCalledWith({
+      content: '❌ You need the "Manage Channels" permission to use this.',
+      ephemeral: true
+    });
+    expect(handle).not.toHaveBeenCalled();
+  });
+
+  test('should hold off handlers whose services are not available yet', async () => {
+    router = new ComponentRouter();
+    router.register({ component: WAITLIST_BUTTON, requires: ['lobbyManager'], handle });
+
+    const interaction = createInteraction(WAITLIST_BUTTON.build({ action: 'accept', entryId: 1 }));
+    expect(await router.route(interaction)).toBe(false);
+    expect(handle).not.toHaveBeenCalled();
+
+    router.provide({ lobbyManager: {} });
+    expect(await router.route(createInteraction(interaction.customId))).toBe(true);
+  });
+
+  test('should report handler errors without throwing', async () => {
+    handle.mockRejectedValue(new Error('boom'));
+    const interaction = createInteraction(WAITLIST_BUTTON.build({ action: 'accept', entryId: 1 }), { deferred: true });
+
+    expect(await router.route(interaction)).toBe(false);
+    expect(interaction.followUp).toHaveBeenCalledWith(expect.objectContaining({ ephemeral: true }));
+  });
+
+  test('should refuse custom IDs that cannot be parsed back', () => {
+    expect(() => WAITLIST_BUTTON.build({ action: 'accept', entryId: 'a:b' })).toThrow('Invalid value');
+    expect(() => WAITLIST_BUTTON.build({ action: 'accept' })).toThrow('Invalid value');
+  });
+
+  test('should register components exposed by command modules', () => {
+    const commands = new Collection([
+      ['with-components', { data: { name: 'with-components' }, getComponents: () => [{ component: lobbyCatalogManager.components.rsvp, handle }] }],
+      ['without-components', { data: { name: 'without-components' } }]
+    ]);
+
+    router = new ComponentRouter();
+    expect(router.registerCommandComponents(commands)).toBe(1);
+  });
+
+  test('should keep parsing game log custom IDs for sports with underscores', () => {
+    const { TOGGLE_BETTING_BUTTON, GAME_OPTIONS_MODAL } = GameLogInteractionHandler;
+
+    expect(TOGGLE_BETTING_BUTTON.parse('toggle_betting_ncaa_football_401547')).toEqual({
+      sport: 'ncaa_football',
+      gameId: '401547'
+    });
+    expect(GAME_OPTIONS_MODAL.parse('game_options_modal_nfl_123')).toEqual({ sport: 'nfl', gameId: '123' });
+    expect(TOGGLE_BETTING_BUTTON.parse(TOGGLE_BETTING_BUTTON.build({ sport: 'ncaa_football', gameId: '9' })))
+      .toEqual({ sport: 'ncaa_football', gameId: '9' });
+  });
+});
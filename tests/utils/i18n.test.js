@@ -0,0 +1,101 @@
+const i18n = require('../../src/utils/i18n');
+const ServerConfigRepository = require('../../src/database/repositories/ServerConfigRepository');
+const dbConnection = require('../../src/database/connection');
+
+describe('i18n', () => {
+  beforeAll(async () => {
+    if (!dbConnection.isReady()) {
+      await dbConnection.initialize();
+    }
+  });
+
+  beforeEach(async () => {
+    await dbConnection.run('DELETE FROM server_config');
+  });
+
+  afterAll(async () => {
+    await dbConnection.close();
+  });
+
+  test('should translate with placeholders, plural forms and English fallback', () => {
+    expect(i18n.t('es', 'command.guildOnly')).toBe('Este comando solo se puede usar en un servidor.');
+    expect(i18n.t('en', 'clearDms.noneFound', { count: 1 })).toBe('No bot messages found in your DMs from the past hour.');
+    expect(i18n.t('es', 'clearDms.deleted', { count: 1200, hours: 24 }))
+      .toBe('¡Se borraron 1200 mensajes del bot de tus MD (últimas 24 horas)!');
+    expect(i18n.t('es', 'clearDms.deleted', { count: 1, hours: 24 }))
+      .toBe('¡Se borró 1 mensaje del bot de tus MD (últimas 24 horas)!');
+
+    i18n.catalogs.en.testOnly = 'Only in English';
+    expect(i18n.t('es', 'testOnly')).toBe('Only in English');
+    delete i18n.catalogs.en.testOnly;
+
+    expect(i18n.t('es', 'missing.key')).toBe('missing.key');
+  });
+
+  test('should format numbers, odds and lines for the locale', () => {
+    expect(i18n.formatNumber('en', 12345.5)).toBe('12,345.5');
+    expect(i18n.formatNumber('es', 12345.5)).toBe('12.345,5');
+    expect(i18n.formatOdds('en', 150)).toBe('+150');
+    expect(i18n.formatOdds('es', -1100)).toBe('-1100');
+    expect(i18n.formatOdds('es', null)).toBe('N/D');
+    expect(i18n.formatLine('en', -3.5)).toBe('-3.5');
+    expect(i18n.formatLine('es', 3.5)).toBe('+3,5');
+  });
+
+  test('should pick the member language, then the server default, then the bot default', async () => {
+    const guild = { id: 'guild-1' };
+
+    expect(await i18n.resolveLocale({ locale: 'es-419', guild })).toBe('es');
+    expect(await i18n.resolveLocale({ locale: 'fr', guild })).toBe('en');
+    expect(await i18n.resolveLocale({ locale: 'fr', guild, guildLocale: 'es-ES' })).toBe('es');
+
+    await new ServerConfigRepository().setLocale('guild-1', 'es');
+    expect(await i18n.resolveLocale({ locale: 'de', guild, guildLocale: 'en-US' })).toBe('es');
+    expect(await i18n.resolveLocale({ locale: 'en-GB', guild })).toBe('en');
+  });
+
+  test('should add catalog translations to slash command JSON', () => {
+    const localized = i18n.localizeCommand({
+      name: 'queue',
+      description: 'Queue for a game',
+      options: [{
+        name: 'join',
+        description: 'Join the queue',
+        options: [{
+          name: 'role',
+          description: 'The role you want to play',
+          choices: [{ name: 'Tank', value: 'tank' }, { name: 'Other', value: 'other' }]
+        }]
+      }]
+    });
+
+    expect(localized.description_localizations['es-ES']).toBe(i18n.lookup('es', 'commands.queue.description'));
+    expect(localized.description_localizations['es-419']).toBe(localized.description_localizations['es-ES']);
+
+    const role = localized.options[0].options[0];
+    expect(role.description_localizations['es-ES']).toBe('El rol que quieres jugar');
+    expect(role.choices[0].name_localizations).toEqual({ 'es-ES': 'Tanque', 'es-419': 'Tanque' });
+    expect(role.choices[1].name_localizations).toBeUndefined();
+  });
+
+  test('should keep command translations within Discord limits and every message in English', () => {
+    const collect = (node, path, entries) => {
+      for (const [key, value] of Object.entries(node)) {
+        const keyPath = path ? `${path}.${key}` : key;
+        if (typeof value === 'string') entries.push([keyPath, value]);
+        else collect(value, keyPath, entries);
+      }
+      return entries;
+    };
+
+    for (const [key, value] of collect(i18n.catalogs.es.commands, 'commands', [])) {
+      expect(`${key}: ${value.length}`).toBe(`${key}: ${Math.min(value.length, 100)}`);
+    }
+
+    const { commands, ...messages } = i18n.catalogs.es;
+    for (const [key] of collect(messages, '', [])) {
+      const baseKey = key.replace(/\.(one|other)$/, '');
+      expect(i18n.lookup('en', baseKey)).toBeDefined();
+    }
+  });
+});
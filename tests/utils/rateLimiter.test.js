@@ -0,0 +1,102 @@
+const rateLimiter = require('../../src/utils/rateLimiter');
+const CommandRateLimitRepository = require('../../src/database/repositories/CommandRateLimitRepository');
+const dbConnection = require('../../src/database/connection');
+
+describe('RateLimiter', () => {
+  let limiter;
+  let repository;
+
+  const command = { name: 'lobby-info', options: { cooldown: 30 } };
+
+  const createInteraction = (userId, { channelId = 'channel-1', roleIds = [] } = {}) => ({
+    user: { id: userId },
+    guild: { id: 'guild-1' },
+    channel: { id: channelId },
+    member: { roles: { cache: new Map(roleIds.map(id => [id, { id }])) } }
+  });
+
+  beforeAll(async () => {
+    if (!dbConnection.isReady()) {
+      await dbConnection.initialize();
+    }
+  });
+
+  beforeEach(async () => {
+    await dbConnection.run('DELETE FROM command_rate_limits');
+    await dbConnection.run('DELETE FROM command_rate_limit_exemptions');
+    await dbConnection.run('DELETE FROM command_cooldowns');
+
+    limiter = new rateLimiter.constructor();
+    repository = new CommandRateLimitRepository();
+  });
+
+  afterAll(async () => {
+    await dbConnection.close();
+  });
+
+  test('should apply the command cooldown per user by default', async () => {
+    expect((await limiter.consume(command, createInteraction('user-1'))).allowed).toBe(true);
+
+    const blocked = await limiter.consume(command, createInteraction('user-1'));
+    expect(blocked.allowed).toBe(false);
+    expect(blocked.retryAfterMs).toBeGreaterThan(29000);
+
+    expect((await limiter.consume(command, createInteraction('user-2'))).allowed).toBe(true);
+  });
+
+  test('should use guild overrides with shared channel buckets and several uses per window', async () => {
+    await repository.setOverride('guild-1', 'lobby-info', { scope: 'channel', cooldownSeconds: 60, maxUses: 2 }, 'admin-1');
+
+    expect((await limiter.consume(command, createInteraction('user-1'))).allowed).toBe(true);
+    expect((await limiter.consume(command, createInteraction('user-2'))).allowed).toBe(true);
+
+    const blocked = await limiter.consume(command, createInteraction('user-3'));
+    expect(blocked).toEqual(expect.objectContaining({ allowed: false, scope: 'channel' }));
+
+    expect((await limiter.consume(command, createInteraction('user-3', { channelId: 'channel-2' }))).allowed).toBe(true);
+  });
+
+  test('should count simultaneous uses of a bucket one at a time', async () => {
+    await repository.setOverride('guild-1', 'lobby-info', { scope: 'guild', cooldownSeconds: 60, maxUses: 2 }, 'admin-1');
+
+    const results = await Promise.all(
+      ['user-1', 'user-2', 'user-3', 'user-4'].map(userId => limiter.consume(command, createInteraction(userId)))
+    );
+
+    // Which calls get through depends on scheduling, but only two of them may
+    expect(results.filter(result => result.allowed)).toHaveLength(2);
+    expect(await repository.getBucket('lobby-info:guild-1:guild:guild-1')).toEqual(expect.objectContaining({ uses: 2 }));
+  });
+
+  test('should let exempt roles skip the limit', async () => {
+    await repository.addExemption('guild-1', '*', 'role-mod', 'admin-1');
+
+    for (let i = 0; i < 3; i++) {
+      expect((await limiter.consume(command, createInteraction('user-1', { roleIds: ['role-mod'] }))).allowed).toBe(true);
+    }
+  });
+
+  test('should keep cooldowns across restarts and clear them when the limit changes', async () => {
+    await limiter.consume(command, createInteraction('user-1'));
+
+    const restarted = new rateLimiter.constructor();
+    expect((await restarted.consume(command, createInteraction('user-1'))).allowed).toBe(false);
+
+    await repository.setOverride('guild-1', 'lobby-info', { scope: 'user', cooldownSeconds: 0, maxUses: 1 }, 'admin-1');
+    await restarted.resetBuckets('guild-1', 'lobby-info');
+
+    expect((await restarted.consume(command, createInteraction('user-1'))).allowed).toBe(true);
+  });
+
+  test('should cap simultaneous runs of a command', () => {
+    const release = limiter.acquire('scrape-odds', 1);
+    expect(release).toEqual(expect.any(Function));
+    expect(limiter.acquire('scrape-odds', 1)).toBeNull();
+
+    release();
+    release();
+    expect(limiter.acquire('scrape-odds', 1)).toEqual(expect.any(Function));
+    expect(limiter.getStats().activeRuns).toEqual({ 'scrape-odds': 1 });
+    expect(limiter.acquire('ping')).toEqual(expect.any(Function));
+  });
+});
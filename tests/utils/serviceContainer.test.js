@@ -0,0 +1,116 @@
+const ServiceContainer = require('../../src/utils/serviceContainer');
+
+describe('ServiceContainer', () => {
+  let container;
+  let events;
+
+  const trackedService = (name, dependsOn = []) => ({
+    dependsOn,
+    factory: dependencies => ({ name, dependencies }),
+    start: async () => events.push(`start:${name}`),
+    stop: async () => events.push(`stop:${name}`)
+  });
+
+  beforeEach(() => {
+    container = new ServiceContainer();
+    events = [];
+  });
+
+  test('should start services after their dependencies and stop them in reverse', async () => {
+    container.register('scheduler', trackedService('scheduler', ['lobbyManager']));
+    container.register('lobbyManager', trackedService('lobbyManager', ['database']));
+    container.register('database', trackedService('database'));
+
+    await container.start();
+    await container.stop();
+
+    expect(events).toEqual([
+      'start:database', 'start:lobbyManager', 'start:scheduler',
+      'stop:scheduler', 'stop:lobbyManager', 'stop:database'
+    ]);
+  });
+
+  test('should inject resolved dependencies into factories', () => {
+    container.register('lobbyManager', trackedService('lobbyManager', ['database']));
+    container.set('database', { fake: true });
+
+    expect(container.get('lobbyManager').dependencies).toEqual({ database: { fake: true } });
+    expect(container.get('lobbyManager')).toBe(container.get('lobbyManager'));
+  });
+
+  test('should report health and keep dependents of a failed service from starting', async () => {
+    container.register('scraper', {
+      factory: () => ({}),
+      start: async () => { throw new Error('browser failed to launch'); }
+    });
+    container.register('oddsTracker', trackedService('oddsTracker', ['scraper']));
+    container.register('gameLogs', {
+      ...trackedService('gameLogs'),
+      health: () => ({ scheduledJobs: 2 })
+    });
+
+    const health = await container.start();
+
+    expect(health.scraper).toEqual(expect.objectContaining({ status: 'failed', error: 'browser failed to launch' }));
+    expect(health.oddsTracker).toEqual(expect.objectContaining({ status: 'failed', error: 'Dependency scraper is not running' }));
+    expect(health.gameLogs).toEqual(expect.objectContaining({ status: 'running', scheduledJobs: 2 }));
+    expect(container.getIfRunning('oddsTracker')).toBeNull();
+    expect(events).toEqual(['start:gameLogs']);
+  });
+
+  test('should throw when a required service fails to start', async () => {
+    container.register('database', {
+      factory: () => ({}),
+      start: async () => { throw new Error('disk full'); },
+      required: true
+    });
+
+    await expect(container.start()).rejects.toThrow('disk full');
+  });
+
+  test('should only create lazy services on request and still stop them', async () => {
+    const dispose = jest.fn();
+    container.register('models', { lazy: true, factory: () => ({ dispose }), stop: models => models.dispose() });
+    container.register('database', trackedService('database'));
+
+    await container.start();
+    expect(container.getHealth().models.status).toBe('registered');
+
+    container.get('models');
+    await container.stop();
+
+    expect(dispose).toHaveBeenCalled();
+    expect(container.getHealth().models.status).toBe('stopped');
+  });
+
+  test('should skip services that are already running', async () => {
+    container.register('database', trackedService('database'));
+    container.register('lobbyManager', trackedService('lobbyManager', ['database']));
+
+    await container.start(['database']);
+    await container.start();
+
+    expect(events).toEqual(['start:database', 'start:lobbyManager']);
+  });
+
+  test('should reject unknown and circular dependencies', async () => {
+    container.register('a', trackedService('a', ['b']));
+    container.register('b', trackedService('b', ['a']));
+
+    expect(() => container.get('missing')).toThrow('Unknown service: missing');
+    await expect(container.start()).rejects.toThrow('Circular service dependency');
+  });
+
+  test('should hand commands the shared running services', async () => {
+    const BaseCommand = require('../../src/commands/BaseCommand');
+    const command = new BaseCommand('test', 'Test command');
+    const interaction = { client: { bot: { services: container } } };
+    container.register('lobbyManager', trackedService('lobbyManager'));
+
+    expect(() => command.getService(interaction, 'lobbyManager')).toThrow('not available yet');
+
+    await container.start();
+
+    expect(command.getService(interaction, 'lobbyManager')).toBe(container.get('lobbyManager'));
+  });
+});
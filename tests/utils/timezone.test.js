@@ -0,0 +1,47 @@
+const {
+  getDateKey,
+  zonedTimeToDate,
+  filterGamesOnDay,
+  isLocalHour
+} = require('../../src/utils/timezone');
+
+describe('Timezone helpers', () => {
+  // 8:30 PM on Jan 10 in Los Angeles, 11:30 PM in New York, already Jan 11 in UTC
+  const lateEvening = new Date('2025-01-11T04:30:00Z');
+
+  test('should bucket instants by the calendar day of each timezone', () => {
+    expect(getDateKey(lateEvening, 'America/Los_Angeles')).toBe('2025-01-10');
+    expect(getDateKey(lateEvening, 'America/New_York')).toBe('2025-01-10');
+    expect(getDateKey(lateEvening, 'UTC')).toBe('2025-01-11');
+  });
+
+  test('should keep late West Coast games on today\'s log', () => {
+    const games = [
+      { id: 'early', date: '2025-01-10T20:00:00Z' },
+      { id: 'west-coast-late', date: '2025-01-11T05:00:00Z' },
+      { id: 'tomorrow', date: '2025-01-11T20:00:00Z' }
+    ];
+
+    expect(filterGamesOnDay(games, 'America/Los_Angeles', lateEvening).map(game => game.id))
+      .toEqual(['early', 'west-coast-late']);
+    expect(filterGamesOnDay(games, 'UTC', lateEvening).map(game => game.id))
+      .toEqual(['west-coast-late', 'tomorrow']);
+  });
+
+  test('should convert wall-clock times across daylight saving changes', () => {
+    expect(zonedTimeToDate({ year: 2025, month: 1, day: 15, hour: 19, minute: 0 }, 'America/New_York').toISOString())
+      .toBe('2025-01-16T00:00:00.000Z');
+    expect(zonedTimeToDate({ year: 2025, month: 7, day: 15, hour: 19, minute: 0 }, 'America/New_York').toISOString())
+      .toBe('2025-07-15T23:00:00.000Z');
+    expect(zonedTimeToDate({ year: 2025, month: 3, day: 9, hour: 12, minute: 0 }, 'America/New_York').toISOString())
+      .toBe('2025-03-09T16:00:00.000Z');
+  });
+
+  test('should match a local hour only within the tick window', () => {
+    const eightAmParis = new Date('2025-06-01T06:10:00Z');
+
+    expect(isLocalHour(eightAmParis, 'Europe/Paris', 8)).toBe(true);
+    expect(isLocalHour(eightAmParis, 'America/New_York', 8)).toBe(false);
+    expect(isLocalHour(new Date('2025-06-01T06:20:00Z'), 'Europe/Paris', 8)).toBe(false);
+  });
+});